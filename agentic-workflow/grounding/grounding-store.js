@@ -17,12 +17,13 @@
  *   │  .getSelectorRecommendations(page)       │
  *   │  .getDomainContext()                     │
  *   │  .getExplorationFreshness(ticketId)      │
- *   └─────────┬───────────────┬───────────────┘
- *             │               │
- *   ┌─────────▼──────┐  ┌────▼──────────────┐
- *   │  BM25Index      │  │ SelectorRegistry   │
- *   │  (text-indexer)  │  │ (selector-registry)│
- *   └────────────────┘  └───────────────────┘
+ *   │  .findStepBindings(stepText)             │
+ *   └─────────┬───────────────┬──────────┬────┘
+ *             │               │          │
+ *   ┌─────────▼──────┐  ┌────▼──────────────┐  ┌▼────────────┐
+ *   │  BM25Index      │  │ SelectorRegistry   │  │ StepIndex    │
+ *   │  (text-indexer)  │  │ (selector-registry)│  │ (step-index) │
+ *   └────────────────┘  └───────────────────┘  └─────────────┘
  *
  * Customizable per project via grounding-config.json.
  * Different users with different applications define their own:
@@ -39,6 +40,7 @@ const fs = require('fs');
 const path = require('path');
 const { BM25Index, chunk, tokenize } = require('./text-indexer');
 const { SelectorRegistry } = require('./selector-registry');
+const { StepIndex } = require('./step-index');
 
 // ─── Constants ──────────────────────────────────────────────────────────────
 
@@ -46,6 +48,7 @@ const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'grounding-conf
 const DEFAULT_INDEX_DIR = path.join(__dirname, '..', 'grounding-data');
 const INDEX_FILE = 'grounding-index.json';
 const SELECTOR_FILE = 'selector-registry.json';
+const STEP_INDEX_FILE = 'step-index.json';
 const MTIME_FILE = 'file-mtimes.json';
 
 // ─── GroundingStore ─────────────────────────────────────────────────────────
@@ -72,6 +75,7 @@ class GroundingStore {
         // Core components (initialized lazily or via buildIndex)
         this.index = null;              // BM25Index
         this.selectorRegistry = null;   // SelectorRegistry
+        this.stepIndex = null;          // StepIndex (Gherkin step definitions)
         this._kbConnector = null;       // KnowledgeBaseConnector (dynamic KB integration)
         this._fileMtimes = new Map();   // filePath → mtime (for staleness)
         this._lastBuildTime = null;
@@ -153,18 +157,23 @@ class GroundingStore {
             totalSelectors += this.selectorRegistry.mergeWithLearningStore(this.learningStore);
         }
 
-        // 4. Save state
+        // 4. Build step definition index
+        this.stepIndex = new StepIndex();
+        const stepsDir = path.resolve(this.projectRoot, this.config.indexSources?.find(s => s.type === 'stepDefinition')?.path || 'tests/steps');
+        const totalSteps = this.stepIndex.buildFromStepFiles(stepsDir, { projectRoot: this.projectRoot });
+
+        // 5. Save state
         this._fileMtimes = newMtimes;
         this._lastBuildTime = new Date();
         this._initialized = true;
 
-        // 5. Persist to disk
+        // 6. Persist to disk
         this._saveIndex();
 
         const elapsed = Date.now() - startTime;
-        this._log(`✅ Index built: ${totalChunks} chunks from ${totalFiles} files, ${totalSelectors} selectors (${elapsed}ms)`);
+        this._log(`✅ Index built: ${totalChunks} chunks from ${totalFiles} files, ${totalSelectors} selectors, ${totalSteps} steps (${elapsed}ms)`);
 
-        return { chunks: totalChunks, selectors: totalSelectors, files: totalFiles, elapsed };
+        return { chunks: totalChunks, selectors: totalSelectors, steps: totalSteps, files: totalFiles, elapsed };
     }
 
     /**
@@ -410,7 +419,8 @@ class GroundingStore {
         }
 
         const nameLower = featureName.toLowerCase();
-        const feature = features.find(f =>
+        // An exact name wins over the looser partial matches below
+        const feature = features.find(f => f.name.toLowerCase() === nameLower) || features.find(f =>
             f.name.toLowerCase().includes(nameLower) ||
             (f.keywords || []).some(k => k.toLowerCase().includes(nameLower)) ||
             nameLower.split(/\s+/).some(w => f.name.toLowerCase().includes(w))
@@ -641,6 +651,21 @@ class GroundingStore {
         return sections.join('\n');
     }
 
+    /**
+     * Step definitions a Gherkin step binds to, and similarly worded ones
+     * to reuse when it binds to none.
+     *
+     * @param {string} stepText - Step text without its keyword
+     * @param {Object} [options] - Passed to StepIndex.findSimilar()
+     * @returns {{ bindings: Object[], similar: Object[] }}
+     */
+    findStepBindings(stepText, options = {}) {
+        this.ensureInitialized();
+        const index = this.stepIndex || new StepIndex();
+        const bindings = index.findBindings(stepText);
+        return { bindings, similar: bindings.length > 0 ? [] : index.findSimilar(stepText, options) };
+    }
+
     /**
      * Check existing test coverage for a feature or page.
      *
@@ -713,6 +738,7 @@ class GroundingStore {
             projectName: this.config.project?.applicationName || 'unknown',
             index: this.index?.getStats() || null,
             selectors: this.selectorRegistry?.getStats() || null,
+            steps: this.stepIndex?.getStats() || null,
             features: (this.config.featureMap || []).length,
             terminologyEntries: Object.keys(this.config.domainTerminology || {}).length,
             customRules: (this.config.customGroundingRules || []).length,
@@ -765,6 +791,12 @@ class GroundingStore {
                 fs.writeFileSync(regPath, JSON.stringify(this.selectorRegistry.toJSON(), null, 2), 'utf-8');
             }
 
+            // Save step definition index
+            if (this.stepIndex) {
+                const stepPath = path.join(this.indexDir, STEP_INDEX_FILE);
+                fs.writeFileSync(stepPath, JSON.stringify(this.stepIndex.toJSON(), null, 2), 'utf-8');
+            }
+
             // Save file mtimes
             const mtimePath = path.join(this.indexDir, MTIME_FILE);
             const mtimeObj = {};
@@ -799,6 +831,12 @@ class GroundingStore {
                 this.selectorRegistry = new SelectorRegistry(this.config.selectorRegistry || {});
             }
 
+            // Load step definition index
+            const stepPath = path.join(this.indexDir, STEP_INDEX_FILE);
+            this.stepIndex = fs.existsSync(stepPath)
+                ? StepIndex.fromJSON(JSON.parse(fs.readFileSync(stepPath, 'utf-8')))
+                : new StepIndex();
+
             // Load file mtimes
             if (fs.existsSync(mtimePath)) {
                 const mtimeObj = JSON.parse(fs.readFileSync(mtimePath, 'utf-8'));
@@ -0,0 +1,289 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * STEP INDEX — Implemented Gherkin Step Definitions
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Indexes the playwright-bdd step definitions already in the project
+ * (Given / When / Then / Step calls in tests/steps) so that:
+ *   - feature steps can be checked for a binding before anything is generated
+ *   - new steps reuse existing phrasing instead of adding near-duplicates
+ *
+ * A definition's pattern is a Cucumber expression ('I open the {string} tab')
+ * or a regular expression (/^I have (\d+) items$/). Matching ignores the
+ * keyword, as Cucumber does.
+ *
+ * Definitions whose body still contains PENDING_STEP_MARKER (scaffolds written
+ * by bdd-steps.js) are indexed but flagged pending.
+ *
+ * @module step-index
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const PENDING_STEP_MARKER = 'Pending step:';
+
+const PARAMETER_PATTERNS = {
+    string: '(?:"([^"]*)"|\'([^\']*)\')',
+    int: '(-?\\d+)',
+    float: '(-?\\d*\\.?\\d+)',
+    word: '([^\\s]+)',
+    '': '(.*)',
+};
+
+const STEP_CALL = /\b(Given|When|Then|Step)\s*\(\s*(?:(['"`])((?:\\.|(?!\2)[^\\])*)\2|\/((?:\\.|[^/\n\\])+)\/([gimsuy]*))/g;
+const STOP_WORDS = new Set(['a', 'an', 'the', 'i', 'is', 'are', 'be', 'on', 'in', 'to', 'of', 'and', 'user', 'should']);
+
+// ─── Step Index ─────────────────────────────────────────────────────────────
+
+class StepIndex {
+    constructor() {
+        this.entries = [];
+        this._compiled = new Map(); // entry → RegExp
+    }
+
+    /**
+     * Index every .js file under a step definitions directory.
+     *
+     * @param {string} stepsDir - Absolute path
+     * @param {Object} [options]
+     * @param {string} [options.projectRoot] - Entry files are relative to it (default: stepsDir)
+     * @returns {number} Number of step definitions found
+     */
+    buildFromStepFiles(stepsDir, options = {}) {
+        if (!fs.existsSync(stepsDir)) return 0;
+        const base = options.projectRoot || stepsDir;
+
+        let count = 0;
+        for (const filePath of this._walkDir(stepsDir, '.js')) {
+            try {
+                const content = fs.readFileSync(filePath, 'utf-8');
+                count += this.addSource(content, path.relative(base, filePath).replace(/\\/g, '/')).length;
+            } catch {
+                // Skip unreadable files
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Index the step definitions in one file's source.
+     *
+     * @param {string} content
+     * @param {string} file - Recorded on each entry
+     * @returns {Object[]} The entries added
+     */
+    addSource(content, file) {
+        const calls = [...content.matchAll(STEP_CALL)];
+        const added = calls.map((call, i) => {
+            const [, keyword, , expression, regexSource, regexFlags] = call;
+            const body = content.slice(call.index, calls[i + 1]?.index ?? content.length);
+            const entry = {
+                keyword,
+                kind: expression !== undefined ? 'expression' : 'regex',
+                pattern: expression !== undefined ? expression.replace(/\\(['"`])/g, '$1') : regexSource,
+                flags: regexFlags || '',
+                file,
+                line: content.slice(0, call.index).split('\n').length,
+                pending: body.includes(PENDING_STEP_MARKER),
+            };
+            this.entries.push(entry);
+            return entry;
+        });
+        return added;
+    }
+
+    /**
+     * @param {string} text - Step text without its keyword
+     * @returns {Object[]} Every definition that matches (more than one is ambiguous)
+     */
+    findBindings(text) {
+        const stepText = String(text || '').trim();
+        return this.entries.filter(entry => {
+            const regex = this._regexFor(entry);
+            return regex ? regex.test(stepText) : false;
+        });
+    }
+
+    /**
+     * @param {string} text
+     * @returns {Object|null} The first matching definition
+     */
+    match(text) {
+        return this.findBindings(text)[0] || null;
+    }
+
+    /**
+     * Definitions worded like the step, ignoring quoted values and numbers.
+     * Used to reuse existing phrasing rather than add a near-duplicate.
+     *
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {number} [options.limit=3]
+     * @param {number} [options.threshold=0.5] - Minimum word overlap (Jaccard)
+     * @returns {Array<Object>} Entries with a `similarity` score, best first
+     */
+    findSimilar(text, options = {}) {
+        const limit = options.limit || 3;
+        const threshold = options.threshold ?? 0.5;
+        const words = significantWords(text);
+        if (words.size === 0) return [];
+
+        return this.entries
+            .map(entry => {
+                const other = significantWords(entry.kind === 'regex' ? entry.pattern.replace(/\([^)]*\)/g, ' ') : entry.pattern);
+                const shared = [...words].filter(word => other.has(word)).length;
+                const union = new Set([...words, ...other]).size;
+                return { ...entry, similarity: union === 0 ? 0 : Math.round((shared / union) * 100) / 100 };
+            })
+            .filter(entry => entry.similarity >= threshold)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, limit);
+    }
+
+    /**
+     * Get index statistics.
+     */
+    getStats() {
+        return {
+            steps: this.entries.length,
+            files: new Set(this.entries.map(entry => entry.file)).size,
+            pending: this.entries.filter(entry => entry.pending).length,
+        };
+    }
+
+    /**
+     * Serialize to JSON.
+     */
+    toJSON() {
+        return {
+            entries: this.entries,
+            buildTimestamp: new Date().toISOString(),
+        };
+    }
+
+    /**
+     * Restore from JSON.
+     */
+    static fromJSON(json) {
+        const index = new StepIndex();
+        index.entries = json?.entries || [];
+        return index;
+    }
+
+    // ─── Private Helpers ────────────────────────────────────────────
+
+    _regexFor(entry) {
+        if (!this._compiled.has(entry)) {
+            let regex = null;
+            try {
+                regex = entry.kind === 'regex'
+                    ? new RegExp(entry.pattern, entry.flags.replace(/g/g, ''))
+                    : expressionToRegExp(entry.pattern);
+            } catch {
+                regex = null;
+            }
+            this._compiled.set(entry, regex);
+        }
+        return this._compiled.get(entry);
+    }
+
+    _walkDir(dir, ext) {
+        const results = [];
+        try {
+            const entries = fs.readdirSync(dir, { withFileTypes: true });
+            for (const entry of entries) {
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    if (entry.name !== 'node_modules') results.push(...this._walkDir(fullPath, ext));
+                } else if (entry.isFile() && entry.name.endsWith(ext)) {
+                    results.push(fullPath);
+                }
+            }
+        } catch {
+            // Skip inaccessible directories
+        }
+        return results;
+    }
+}
+
+// ─── Cucumber Expressions ───────────────────────────────────────────────────
+
+/**
+ * Compile a Cucumber expression: {string} {int} {float} {word} {} parameters,
+ * optional text in parentheses and word alternatives separated by "/".
+ * Unknown parameter types match anything. A backslash escapes ( ) { } /.
+ *
+ * @param {string} expression
+ * @returns {RegExp}
+ */
+function expressionToRegExp(expression) {
+    const escaped = [];
+    const text = String(expression).replace(/\\([(){}/\\])/g, (_, char) => {
+        escaped.push(char);
+        return `\u0000${escaped.length - 1}\u0000`;
+    });
+
+    const source = text.split(/(\{[^}]*\})/).map(part => {
+        const parameter = part.match(/^\{([^}]*)\}$/);
+        if (parameter) return PARAMETER_PATTERNS[parameter[1]] ?? '(.*)';
+        return part.split(/(\s+)/).map(word => {
+            if (/^\s*$/.test(word)) return word.replace(/\s+/g, '\\s+');
+            const alternatives = word.split('/').map(optionalText);
+            return alternatives.length > 1 ? `(?:${alternatives.join('|')})` : alternatives[0];
+        }).join('');
+    }).join('');
+
+    const restored = source.replace(/\u0000(\d+)\u0000/g, (_, i) => escapeRegExp(escaped[Number(i)]));
+    return new RegExp(`^${restored}$`);
+}
+
+/**
+ * The Cucumber expression for a concrete step: quoted values become
+ * {string}, numbers {int} or {float}.
+ *
+ * @param {string} text - Step text without its keyword
+ * @returns {{ expression: string, parameters: string[] }} Parameter types in order
+ */
+function stepExpression(text) {
+    const parameters = [];
+    const expression = String(text || '').trim()
+        .replace(/"[^"]*"|'[^']*'|(?<![\w.-])-?\d+(?:\.\d+)?(?![\w.])|[(){}/\\]/g, token => {
+            if (/^["']/.test(token)) {
+                parameters.push('string');
+                return '{string}';
+            }
+            if (/^-?\d+\.\d+$/.test(token)) {
+                parameters.push('float');
+                return '{float}';
+            }
+            if (/^-?\d+$/.test(token)) {
+                parameters.push('int');
+                return '{int}';
+            }
+            return `\\${token}`;
+        });
+    return { expression, parameters };
+}
+
+function optionalText(word) {
+    return escapeRegExp(word).replace(/\\\(([^)\\]*)\\\)/g, '(?:$1)?');
+}
+
+function escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+function significantWords(text) {
+    const words = String(text || '')
+        .toLowerCase()
+        .replace(/"[^"]*"|'[^']*'|\{[^}]*\}|\\.|-?\d+(?:\.\d+)?/g, ' ')
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+    return new Set(words);
+}
+
+module.exports = { StepIndex, expressionToRegExp, stepExpression, PENDING_STEP_MARKER };
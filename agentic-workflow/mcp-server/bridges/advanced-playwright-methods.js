@@ -24,6 +24,11 @@ import { createHash } from 'crypto';
 import { writeFile, readFile, mkdir } from 'fs/promises';
 import { existsSync } from 'fs';
 import path from 'path';
+import { createRequire } from 'module';
+import { decodePNG, comparePNG, resolveMaskPatterns } from '../utils/visual-diff.js';
+import { auditPage, writeAuditReport } from '../utils/a11y-audit.js';
+
+const require = createRequire(import.meta.url);
 
 /**
  * Apply advanced methods to a PlaywrightDirectBridge instance
@@ -604,43 +609,193 @@ export function applyAdvancedMethods(bridge) {
     // ═══════════════════════════════════════════════════
 
     /**
-     * Take a baseline screenshot for visual comparison
+     * Capture a screenshot for visual testing. Masked elements (selectors, and
+     * elements whose text matches a mask pattern such as prices or dates) are
+     * painted over so dynamic content does not register as a change.
+     * Returns the PNG and the page offset of its top-left corner in CSS pixels.
      */
-    bridge.screenshotBaseline = async function (args) {
-        const { name, selector, fullPage = false, dir = './visual-baselines' } = args;
+    bridge._captureVisualScreenshot = async function (args) {
+        const { selector, fullPage = false, mask = [], maskPatterns = [], maskColor } = args;
 
-        await mkdir(dir, { recursive: true });
-        const filePath = path.join(dir, `${name}.png`);
+        const locators = [
+            ...mask.map(sel => this.page.locator(sel)),
+            ...resolveMaskPatterns(maskPatterns).map(pattern => this.page.getByText(pattern)),
+        ];
+        const options = { animations: 'disabled', caret: 'hide' };
+        if (locators.length > 0) options.mask = locators;
+        if (maskColor) options.maskColor = maskColor;
 
-        const options = { path: filePath, fullPage };
+        const scale = await this.page.evaluate(() => window.devicePixelRatio || 1);
         if (selector) {
             const element = await this.page.$(selector);
-            if (element) {
-                await element.screenshot({ path: filePath });
-            } else {
-                throw new Error(`Element not found: ${selector}`);
+            if (!element) throw new Error(`Element not found: ${selector}`);
+            const buffer = await element.screenshot(options);
+            // Measured after the capture, which scrolls the element into view
+            const box = await element.boundingBox();
+            return { buffer, origin: { x: box?.x || 0, y: box?.y || 0 }, scale };
+        }
+
+        const buffer = await this.page.screenshot({ ...options, fullPage });
+        // Bounding boxes are viewport-relative; a full-page image starts at the document origin
+        const origin = fullPage
+            ? await this.page.evaluate(() => ({ x: -window.scrollX, y: -window.scrollY }))
+            : { x: 0, y: 0 };
+        return { buffer, origin, scale };
+    };
+
+    /**
+     * Resolve ignored selectors to image pixel rectangles — every matching
+     * element is ignored.
+     */
+    bridge._resolveIgnoreRegions = async function (selectors, capture) {
+        const regions = [];
+        const unresolved = [];
+        for (const sel of selectors) {
+            const elements = await this.page.$$(sel);
+            if (elements.length === 0) unresolved.push(sel);
+            for (const element of elements) {
+                const box = await element.boundingBox();
+                if (!box) continue;
+                regions.push({
+                    x: (box.x - capture.origin.x) * capture.scale,
+                    y: (box.y - capture.origin.y) * capture.scale,
+                    width: box.width * capture.scale,
+                    height: box.height * capture.scale,
+                });
             }
-        } else {
-            await this.page.screenshot(options);
         }
+        return { regions, unresolved };
+    };
+
+    /**
+     * Shared baseline store of the SDK (sdk-orchestrator/visual-baseline-store.js),
+     * keyed by ticket, name, URL pattern, viewport, browser and environment.
+     */
+    bridge._visualBaselineStore = function () {
+        if (!this._visualBaselines) {
+            const { VisualBaselineStore } = require('../../sdk-orchestrator/visual-baseline-store.js');
+            this._visualBaselines = new VisualBaselineStore();
+        }
+        return this._visualBaselines;
+    };
+
+    bridge._visualBaselineKey = function (args) {
+        return {
+            name: args.name,
+            ticketId: args.ticketId || process.env.SDK_TICKET_ID || null,
+            pageUrl: this.page.url(),
+            urlPattern: args.urlPattern,
+            viewport: this.page.viewportSize() || this.config.viewport,
+            browser: this.config.browser,
+            environment: args.environment || process.env.SDK_ENVIRONMENT || 'UAT',
+        };
+    };
+
+    /**
+     * Take a baseline screenshot for visual comparison. Without `dir` the
+     * screenshot becomes the approved version of its baseline in the shared
+     * store; with `dir` it is written there as <name>.png.
+     */
+    bridge.screenshotBaseline = async function (args) {
+        if (args.dir) return this._screenshotBaselineInDir(args);
+
+        const { buffer } = await this._captureVisualScreenshot(args);
+        const store = this._visualBaselineStore();
+        const check = await store.check(this._visualBaselineKey(args), buffer, { threshold: 0 });
+        const baseline = check.candidateId
+            ? store.approve(check.baselineId, check.candidateId, { reviewer: 'mcp', comment: args.comment || null })
+            : store.get(check.baselineId);
+        const { width, height } = decodePNG(buffer);
+
+        return {
+            success: true,
+            baselineId: check.baselineId,
+            key: check.key,
+            version: baseline.approvedVersion,
+            unchanged: !check.candidateId,
+            baseline: store.getImagePath(check.baselineId, { version: baseline.approvedVersion }),
+            hash: createHash('sha256').update(buffer).digest('hex'),
+            size: buffer.length,
+            dimensions: { width, height },
+        };
+    };
+
+    bridge._screenshotBaselineInDir = async function (args) {
+        const { name, dir } = args;
+
+        await mkdir(dir, { recursive: true });
+        const filePath = path.join(dir, `${name}.png`);
+
+        const { buffer } = await this._captureVisualScreenshot(args);
+        await writeFile(filePath, buffer);
 
         // Compute hash for change detection
-        const buffer = await readFile(filePath);
         const hash = createHash('sha256').update(buffer).digest('hex');
+        const { width, height } = decodePNG(buffer);
 
         return {
             success: true,
             baseline: filePath,
             hash,
             size: buffer.length,
+            dimensions: { width, height },
         };
     };
 
     /**
-     * Compare current screenshot against baseline
+     * Compare current screenshot against baseline, pixel by pixel. `threshold`
+     * is the accepted ratio of changed pixels. Without `dir` the approved
+     * baseline of the shared store is used and a difference is left there as a
+     * candidate for review on the dashboard; with `dir` the highlighted diff and
+     * the current screenshot are written next to <name>.png.
      */
     bridge.screenshotCompare = async function (args) {
-        const { name, selector, fullPage = false, dir = './visual-baselines', threshold = 0.01 } = args;
+        if (args.dir) return this._screenshotCompareInDir(args);
+
+        const { threshold = 0.01, colorThreshold = 0.1, antialiasing = true, ignore = [], ignoreRegions = [] } = args;
+        const store = this._visualBaselineStore();
+        const key = this._visualBaselineKey(args);
+
+        const capture = await this._captureVisualScreenshot(args);
+        const { regions, unresolved } = await this._resolveIgnoreRegions(ignore, capture);
+        const check = await store.check(
+            { ...key, ignoreRegions: [...ignoreRegions, ...regions] },
+            capture.buffer,
+            { threshold, colorThreshold, antialiasing },
+        );
+
+        const response = {
+            match: check.result === 'passed',
+            result: check.result,
+            mismatchRatio: check.mismatchRatio,
+            mismatchPercent: check.mismatchRatio === null ? null : `${(check.mismatchRatio * 100).toFixed(2)}%`,
+            threshold,
+            diffPixels: check.diffPixels,
+            baselineId: check.baselineId,
+            key: check.key,
+            approvedVersion: check.approvedVersion,
+            baselinePath: check.approvedVersion === null
+                ? null
+                : store.getImagePath(check.baselineId, { version: check.approvedVersion }),
+        };
+        if (check.candidate) {
+            response.candidateId = check.candidate.id;
+            response.currentPath = store.getImagePath(check.baselineId, { candidateId: check.candidate.id });
+            response.diffPath = store.getImagePath(check.baselineId, { candidateId: check.candidate.id, kind: 'diff' });
+            response.dimensions = check.candidate.dimensions;
+            response.message = check.result === 'new'
+                ? 'No approved baseline yet — screenshot queued for review'
+                : 'Visual change queued for review (approve or reject on the dashboard)';
+        }
+        if (unresolved.length > 0) response.unresolvedIgnoreSelectors = unresolved;
+        return response;
+    };
+
+    bridge._screenshotCompareInDir = async function (args) {
+        const {
+            name, dir, threshold = 0.01,
+            colorThreshold = 0.1, antialiasing = true, ignore = [], ignoreRegions = [],
+        } = args;
 
         const baselinePath = path.join(dir, `${name}.png`);
 
@@ -648,16 +803,9 @@ export function applyAdvancedMethods(bridge) {
             return { match: false, error: 'Baseline not found. Take a baseline first.', baselinePath };
         }
 
-        // Take current screenshot to buffer
-        let currentBuffer;
-        if (selector) {
-            const element = await this.page.$(selector);
-            if (!element) throw new Error(`Element not found: ${selector}`);
-            currentBuffer = await element.screenshot();
-        } else {
-            currentBuffer = await this.page.screenshot({ fullPage });
-        }
-
+        // Mask the same dynamic content the baseline should have been taken with
+        const capture = await this._captureVisualScreenshot(args);
+        const currentBuffer = capture.buffer;
         const baselineBuffer = await readFile(baselinePath);
 
         // Quick byte-level comparison
@@ -668,26 +816,43 @@ export function applyAdvancedMethods(bridge) {
             return {
                 match: true,
                 identical: true,
+                mismatchRatio: 0,
                 message: 'Screenshots are pixel-perfect identical',
             };
         }
 
-        // Save diff for manual review
-        const diffPath = path.join(dir, `${name}-diff.png`);
-        await writeFile(diffPath, currentBuffer);
-
-        // Size comparison as proxy for significant change
-        const sizeDiff = Math.abs(currentBuffer.length - baselineBuffer.length) / baselineBuffer.length;
+        const { regions, unresolved } = await this._resolveIgnoreRegions(ignore, capture);
+        const result = comparePNG(baselineBuffer, currentBuffer, {
+            colorThreshold,
+            antialiasing,
+            ignoreRegions: [...ignoreRegions, ...regions],
+        });
 
-        return {
-            match: sizeDiff < threshold,
-            identical: false,
-            sizeDifference: `${(sizeDiff * 100).toFixed(2)}%`,
+        const currentPath = path.join(dir, `${name}-current.png`);
+        const diffPath = path.join(dir, `${name}-diff.png`);
+        await writeFile(currentPath, currentBuffer);
+        await writeFile(diffPath, result.diffPng);
+
+        const response = {
+            match: result.diffPixels === 0 || (result.dimensionsMatch && result.mismatchRatio <= threshold),
+            identical: result.diffPixels === 0 && result.antiAliasedPixels === 0,
+            mismatchRatio: Number(result.mismatchRatio.toFixed(6)),
+            mismatchPercent: `${(result.mismatchRatio * 100).toFixed(2)}%`,
+            threshold,
+            diffPixels: result.diffPixels,
+            antiAliasedPixels: result.antiAliasedPixels,
+            ignoredPixels: result.ignoredPixels,
+            comparedPixels: result.comparedPixels,
+            dimensionsMatch: result.dimensionsMatch,
+            dimensions: result.dimensions,
+            baselinePath,
+            currentPath,
             diffPath,
             currentHash,
             baselineHash,
-            note: 'Pixel-level diff requires external image comparison library. Hash and size comparison provided.',
         };
+        if (unresolved.length > 0) response.unresolvedIgnoreSelectors = unresolved;
+        return response;
     };
 
     // ═══════════════════════════════════════════════════
@@ -824,134 +989,18 @@ export function applyAdvancedMethods(bridge) {
     // ═══════════════════════════════════════════════════
 
     /**
-     * Run accessibility audit using the browser's built-in accessibility tree
+     * Run the rule-based WCAG 2.2 audit (utils/a11y-audit.js) on the page or a subtree.
+     * Findings carry their WCAG criteria, severity, and a selector from SelectorEngine.
      */
     bridge.accessibilityAudit = async function (args = {}) {
-        const { selector } = args;
-
-        let snapshot;
-        if (selector) {
-            const element = await this.page.$(selector);
-            if (!element) throw new Error(`Element not found: ${selector}`);
-            snapshot = await this.page.accessibility.snapshot({ root: element });
-        } else {
-            snapshot = await this.page.accessibility.snapshot();
-        }
-
-        // Analyze for common issues
-        const issues = [];
-        const walkTree = (node, depth = 0) => {
-            if (!node) return;
-
-            // Check for missing names on interactive elements
-            const interactiveRoles = ['button', 'link', 'textbox', 'checkbox', 'radio', 'combobox', 'menuitem', 'tab'];
-            if (interactiveRoles.includes(node.role) && !node.name) {
-                issues.push({
-                    severity: 'error',
-                    rule: 'missing-label',
-                    message: `${node.role} element has no accessible name`,
-                    role: node.role,
-                });
-            }
-
-            // Check for images without alt text
-            if (node.role === 'img' && !node.name) {
-                issues.push({
-                    severity: 'error',
-                    rule: 'img-alt',
-                    message: 'Image has no alt text',
-                    role: node.role,
-                });
-            }
-
-            // Check for headings with no text
-            if (node.role === 'heading' && !node.name) {
-                issues.push({
-                    severity: 'warning',
-                    rule: 'empty-heading',
-                    message: 'Empty heading element',
-                    role: node.role,
-                    level: node.level,
-                });
-            }
-
-            // Recurse into children
-            if (node.children) {
-                for (const child of node.children) {
-                    walkTree(child, depth + 1);
-                }
-            }
-        };
-
-        walkTree(snapshot);
-
-        // Also check via DOM evaluation for additional issues
-        const domIssues = await this.page.evaluate(() => {
-            const issues = [];
-
-            // Check for missing lang attribute
-            if (!document.documentElement.lang) {
-                issues.push({ severity: 'error', rule: 'html-lang', message: 'HTML element missing lang attribute' });
-            }
-
-            // Check for missing page title
-            if (!document.title) {
-                issues.push({ severity: 'error', rule: 'document-title', message: 'Page has no title' });
-            }
-
-            // Check for tabindex > 0
-            document.querySelectorAll('[tabindex]').forEach(el => {
-                if (parseInt(el.getAttribute('tabindex')) > 0) {
-                    issues.push({
-                        severity: 'warning',
-                        rule: 'tabindex-positive',
-                        message: `Element has positive tabindex: ${el.tagName}`,
-                    });
-                }
-            });
-
-            // Check for missing form labels
-            document.querySelectorAll('input:not([type="hidden"]):not([type="submit"]):not([type="button"]), textarea, select').forEach(el => {
-                const id = el.id;
-                const ariaLabel = el.getAttribute('aria-label');
-                const ariaLabelledBy = el.getAttribute('aria-labelledby');
-                const hasLabel = id && document.querySelector(`label[for="${id}"]`);
-
-                if (!ariaLabel && !ariaLabelledBy && !hasLabel && !el.getAttribute('title')) {
-                    issues.push({
-                        severity: 'error',
-                        rule: 'label',
-                        message: `Form element missing label: ${el.tagName}[type=${el.type || 'text'}]`,
-                    });
-                }
-            });
-
-            // Check color contrast (approximate check for text elements)
-            // Full contrast check requires more complex analysis
-            const contrastWarnings = [];
-            document.querySelectorAll('body *').forEach(el => {
-                const style = window.getComputedStyle(el);
-                if (style.color === style.backgroundColor && el.textContent?.trim()) {
-                    contrastWarnings.push({
-                        severity: 'warning',
-                        rule: 'color-contrast',
-                        message: `Potential contrast issue: ${el.tagName}`,
-                    });
-                }
+        const result = await auditPage(this.page, args);
+        if (args.report) {
+            result.report = await writeAuditReport(result, {
+                format: args.report === true ? 'both' : args.report,
+                outputDir: args.outputDir,
             });
-            // Only report first 5 contrast issues
-            issues.push(...contrastWarnings.slice(0, 5));
-
-            return issues;
-        });
-
-        return {
-            snapshot,
-            issues: [...issues, ...domIssues],
-            issueCount: issues.length + domIssues.length,
-            errors: [...issues, ...domIssues].filter(i => i.severity === 'error').length,
-            warnings: [...issues, ...domIssues].filter(i => i.severity === 'warning').length,
-        };
+        }
+        return result;
     };
 
     // ═══════════════════════════════════════════════════
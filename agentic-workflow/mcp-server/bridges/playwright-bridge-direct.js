@@ -8,6 +8,13 @@
  * 
  * ENHANCED: Now includes 55+ additional methods from Playwright cheatsheet
  * for deep application exploration and accurate selector generation.
+ *
+ * One bridge per MCP browser session. With a `browserPool` in the config the
+ * bridge leases a shared browser process instead of launching its own; its
+ * contexts stay private to the session and close() only closes those.
+ *
+ * Session fixtures: `recordHarPath` records the context's network traffic as a
+ * HAR; `replayHarPath` serves it from a recorded HAR instead of the network.
  * 
  * ═══════════════════════════════════════════════════════════════════════════════════════
  */
@@ -48,6 +55,9 @@ export class PlaywrightDirectBridge extends EventEmitter {
             },
         };
 
+        this.sessionId = config.sessionId ?? null;
+        this.browserPool = config.browserPool ?? null;
+
         this.browser = null;
         this.context = null;
         this.page = null;
@@ -102,25 +112,43 @@ export class PlaywrightDirectBridge extends EventEmitter {
             return;
         }
 
-        console.error(`[PlaywrightDirect] Launching ${this.config.browser}...`);
+        console.error(`[PlaywrightDirect] ${this.browserPool ? 'Leasing' : 'Launching'} ${this.config.browser}` +
+            `${this.sessionId ? ` for session ${this.sessionId}` : ''}...`);
 
         try {
-            // Select browser type
-            const browserType = {
-                chromium: chromium,
-                firefox: firefox,
-                webkit: webkit,
-            }[this.config.browser] || chromium;
-
-            // Launch browser
-            this.browser = await browserType.launch({
-                headless: this.config.headless,
-            });
+            if (this.browserPool) {
+                // Shared process; the lease's close() only closes this session's contexts
+                const lease = await this.browserPool.acquire({
+                    browser: this.config.browser,
+                    headless: this.config.headless,
+                });
+                this.browser = lease.browser;
+            } else {
+                // Select browser type
+                const browserType = {
+                    chromium: chromium,
+                    firefox: firefox,
+                    webkit: webkit,
+                }[this.config.browser] || chromium;
+
+                // Launch browser
+                this.browser = await browserType.launch({
+                    headless: this.config.headless,
+                });
+            }
 
             // Create context with viewport
-            this.context = await this.browser.newContext({
-                viewport: this.config.viewport,
-            });
+            const contextOptions = { viewport: this.config.viewport };
+            if (this.config.recordHarPath) {
+                contextOptions.recordHar = { path: this.config.recordHarPath, content: 'embed' };
+            }
+            this.context = await this.browser.newContext(contextOptions);
+
+            // Replay: answer every request from the fixture HAR, abort the rest (no network)
+            if (this.config.replayHarPath) {
+                await this.context.routeFromHAR(this.config.replayHarPath, { notFound: 'abort' });
+                console.error(`[PlaywrightDirect] Network served from ${this.config.replayHarPath}`);
+            }
 
             // Create initial page
             this.page = await this.context.newPage();
@@ -320,11 +348,9 @@ export class PlaywrightDirectBridge extends EventEmitter {
             const pageAlive = this.page && !this.page.isClosed();
             if (!browserAlive || !pageAlive) {
                 console.error('[PlaywrightDirect] Browser/page is dead — reconnecting...');
-                // Reset stale state
-                this.browser = null;
-                this.context = null;
-                this.page = null;
-                this.connected = false;
+                // Release what is left (a pooled lease, a live browser with a dead page)
+                // and reset stale state
+                await this.close();
             }
         }
         if (!this.connected) {
@@ -1970,7 +1996,7 @@ export class PlaywrightDirectBridge extends EventEmitter {
     }
 
     /**
-     * Close browser
+     * Close browser (pooled: only this session's contexts, the process stays up)
      */
     async close() {
         // Always reset state even if browser.close() throws — otherwise
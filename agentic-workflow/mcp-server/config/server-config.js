@@ -51,6 +51,22 @@ const DEFAULT_CONFIG = {
         timeout: 30000,
     },
 
+    // Browser sessions (sse/http transports: one isolated context per MCP session)
+    sessions: {
+        maxContexts: 8,               // Concurrent browser sessions
+        idleTimeoutMs: 900000,        // Close a session's context after 15 min without tool calls
+        maxBrowsers: 2,               // Pooled browser processes
+        maxContextsPerBrowser: 4,     // Sessions sharing one browser process
+        browserIdleMs: 60000,         // Close a pooled browser this long after its last session
+    },
+
+    // Session fixtures (see utils/session-fixture.js)
+    fixtures: {
+        recordDir: null,              // Record every browser session (tool calls + HAR) under this dir
+        replay: null,                 // Fixture directory to replay
+        replayMode: 'recorded',       // 'recorded' (answer from the recording) | 'live' (browser on the HAR)
+    },
+
     // Routing preferences
     routing: {
         // Prefer Playwright for these categories
@@ -128,6 +144,23 @@ export class ServerConfig {
         if (this.config.playwright.viewport.height < 240) {
             this.config.playwright.viewport.height = 240;
         }
+
+        // Validate session limits (NaN from a bad env var falls back to the default)
+        for (const key of ['maxContexts', 'maxBrowsers', 'maxContextsPerBrowser']) {
+            if (!(this.config.sessions[key] >= 1)) {
+                console.warn(`[Config] Invalid sessions.${key}: ${this.config.sessions[key]}. Using ${DEFAULT_CONFIG.sessions[key]}.`);
+                this.config.sessions[key] = DEFAULT_CONFIG.sessions[key];
+            }
+        }
+        if (!(this.config.sessions.idleTimeoutMs >= 0)) {
+            this.config.sessions.idleTimeoutMs = DEFAULT_CONFIG.sessions.idleTimeoutMs;
+        }
+
+        // Validate replay mode
+        if (!['recorded', 'live'].includes(this.config.fixtures.replayMode)) {
+            console.warn(`[Config] Invalid fixtures.replayMode: ${this.config.fixtures.replayMode}. Using recorded.`);
+            this.config.fixtures.replayMode = 'recorded';
+        }
     }
 
     /**
@@ -151,6 +184,20 @@ export class ServerConfig {
         return this.config.chromeDevTools;
     }
 
+    /**
+     * Get browser session configuration
+     */
+    get sessions() {
+        return this.config.sessions;
+    }
+
+    /**
+     * Get session fixture configuration
+     */
+    get fixtures() {
+        return this.config.fixtures;
+    }
+
     /**
      * Get routing configuration
      */
@@ -223,6 +270,33 @@ export class ServerConfig {
             config.chromeDevTools = { port: parseInt(process.env.MCP_CDP_PORT, 10) };
         }
 
+        // Browser session settings
+        const sessionEnv = {
+            maxContexts: 'MCP_MAX_CONTEXTS',
+            idleTimeoutMs: 'MCP_SESSION_IDLE_MS',
+            maxBrowsers: 'MCP_MAX_BROWSERS',
+            maxContextsPerBrowser: 'MCP_CONTEXTS_PER_BROWSER',
+        };
+        for (const [key, envName] of Object.entries(sessionEnv)) {
+            if (process.env[envName]) {
+                config.sessions = config.sessions || {};
+                config.sessions[key] = parseInt(process.env[envName], 10);
+            }
+        }
+
+        // Session fixture settings
+        const fixtureEnv = {
+            recordDir: 'MCP_RECORD_DIR',
+            replay: 'MCP_REPLAY_FIXTURE',
+            replayMode: 'MCP_REPLAY_MODE',
+        };
+        for (const [key, envName] of Object.entries(fixtureEnv)) {
+            if (process.env[envName]) {
+                config.fixtures = config.fixtures || {};
+                config.fixtures[key] = process.env[envName];
+            }
+        }
+
         return new ServerConfig(config);
     }
 }
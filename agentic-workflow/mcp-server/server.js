@@ -12,6 +12,16 @@
  * 
  * Protocol Version: 2025-11-25
  * 
+ * Browser sessions: every MCP session (one SSE connection, one Streamable HTTP
+ * session ID, or the stdio client) gets its own Playwright context, page and
+ * event buffers, created on its first browser tool call. Contexts share a pool
+ * of browser processes, are closed when the session ends or sits idle, and are
+ * capped at `sessions.maxContexts`.
+ *
+ * Session fixtures: with `fixtures.recordDir` every browser session is recorded
+ * (tool calls + HAR); with `fixtures.replay` sessions replay a recorded fixture
+ * offline instead of driving the live application (see utils/session-fixture.js).
+ * 
  * ═══════════════════════════════════════════════════════════════════════════════════════
  */
 
@@ -28,6 +38,7 @@ import {
     McpError,
 } from '@modelcontextprotocol/sdk/types.js';
 import http from 'node:http';
+import { randomUUID } from 'node:crypto';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
@@ -51,31 +62,10 @@ import { EXECUTE_EXPLORATION_DEFINITION, executeExploration } from './tools/prog
 import { getTemplates } from './tools/exploration-templates.js';
 import { ServerConfig } from './config/server-config.js';
 import { EventManager } from './utils/event-manager.js';
-
-function classifyToolFailure(error) {
-    const blocker = error?.blocker || null;
-    const message = error?.message || 'Unknown tool execution error';
-
-    if (error?.code === 'RUNTIME_BLOCKER' || blocker) {
-        return {
-            code: 'RUNTIME_BLOCKER',
-            message,
-            blocker,
-        };
-    }
-
-    if (/timed out after/i.test(message)) {
-        return {
-            code: 'TOOL_TIMEOUT',
-            message,
-        };
-    }
-
-    return {
-        code: 'INTERNAL_TOOL_ERROR',
-        message,
-    };
-}
+import { BrowserPool } from './utils/browser-pool.js';
+import { BrowserSessionManager, DEFAULT_SESSION_ID } from './utils/session-manager.js';
+import { SessionRecorder, SessionReplay, loadFixture } from './utils/session-fixture.js';
+import { classifyToolFailure } from './utils/tool-failure.js';
 
 /**
  * Unified Automation MCP Server
@@ -85,21 +75,71 @@ class UnifiedAutomationServer {
     constructor(config = {}) {
         this.config = new ServerConfig(config);
         this.server = null;
-        this.playwrightBridge = null;
-        this.chromeDevToolsBridge = null;
-        this.router = null;
         this.eventManager = null;
+        this.browserPool = null;
+        this.sessionManager = null;
+        this.replayFixture = null;
         this.isInitialized = false;
+
+        /** @type {Map<string, { transport: object, server: Server }>} MCP session ID → sse/http connection */
+        this._connections = new Map();
     }
 
     /**
-     * Initialize the MCP server and all bridges
+     * Initialize the MCP server and the browser session machinery
      */
     async initialize() {
         console.error('[UnifiedMCP] Initializing server...');
 
-        // Create the MCP server instance
-        this.server = new Server(
+        // Initialize the event manager for real-time event streaming
+        this.eventManager = new EventManager();
+
+        // Fixture replay: load once so a bad path fails at startup, not on the first tool call
+        const fixtures = this.config.fixtures;
+        if (fixtures.replay) {
+            this.replayFixture = loadFixture(fixtures.replay);
+            if (fixtures.replayMode === 'live' && !this.replayFixture.harPath) {
+                throw new Error(`Fixture ${fixtures.replay} has no HAR — live replay needs recorded network traffic`);
+            }
+            console.error(`[UnifiedMCP] Replaying fixture ${this.replayFixture.meta.id} ` +
+                `(${this.replayFixture.calls.length} calls, mode=${fixtures.replayMode})`);
+        }
+
+        // Browser sessions: bridges and router per MCP session, pooled browser processes
+        const sessions = this.config.sessions;
+        this.browserPool = new BrowserPool({
+            maxBrowsers: sessions.maxBrowsers,
+            maxContextsPerBrowser: sessions.maxContextsPerBrowser,
+            browserIdleMs: sessions.browserIdleMs,
+        });
+        this.sessionManager = new BrowserSessionManager({
+            createSession: (sessionId) => this._createBrowserSession(sessionId),
+            destroySession: (session) => {
+                this.eventManager?.disconnectBridge(session.playwrightBridge);
+                this.eventManager?.clearSession(session.id);
+                // After the bridge cleanup, so the context has flushed its HAR
+                session.recorder?.finish();
+            },
+            maxContexts: sessions.maxContexts,
+            idleTimeoutMs: sessions.idleTimeoutMs,
+        });
+
+        // The stdio server; sse/http create one per connection
+        this.server = this._createMcpServer();
+
+        // Pre-build tool search index at startup (one-time ~10ms)
+        getToolSearchIndex();
+
+        this.isInitialized = true;
+        console.error('[UnifiedMCP] Server initialized successfully');
+    }
+
+    /**
+     * Create an MCP server instance with all handlers registered. The SDK
+     * server talks to a single transport, so sse/http need one per session.
+     */
+    _createMcpServer() {
+        const server = new Server(
             {
                 name: 'unified-automation-mcp',
                 version: '1.0.0',
@@ -118,42 +158,82 @@ class UnifiedAutomationServer {
             }
         );
 
-        // Initialize bridges to underlying MCP servers
-        this.playwrightBridge = new PlaywrightBridge(this.config.playwright);
-        this.chromeDevToolsBridge = new ChromeDevToolsBridge(this.config.chromeDevTools);
-
-        // Initialize the intelligent router
-        this.router = new IntelligentRouter(
-            this.playwrightBridge,
-            this.chromeDevToolsBridge
-        );
-
-        // Initialize the event manager for real-time event streaming
-        this.eventManager = new EventManager();
-        this.eventManager.connectBridge(this.playwrightBridge);
-
         // Register handlers
-        this.registerToolListHandler();
-        this.registerToolCallHandler();
-        this.registerResourceHandlers();
-
-        // Pre-build tool search index at startup (one-time ~10ms)
-        getToolSearchIndex();
+        this.registerToolListHandler(server);
+        this.registerToolCallHandler(server);
+        this.registerResourceHandlers(server);
 
         // Setup error handling
-        this.server.onerror = (error) => {
+        server.onerror = (error) => {
             console.error('[UnifiedMCP] Server error:', error);
         };
 
-        this.isInitialized = true;
-        console.error('[UnifiedMCP] Server initialized successfully');
+        return server;
+    }
+
+    /**
+     * Bridges and router for one browser session (called by the session manager)
+     */
+    _createBrowserSession(sessionId) {
+        const { recordDir, replayMode } = this.config.fixtures;
+        const replay = this.replayFixture
+            ? new SessionReplay(this.replayFixture, { mode: replayMode })
+            : null;
+        // Answering from a recording drives no browser, so there is nothing to record
+        const recorder = recordDir && replay?.mode !== 'recorded'
+            ? new SessionRecorder({
+                dir: recordDir,
+                sessionId,
+                meta: {
+                    browser: this.config.playwright.browser,
+                    viewport: this.config.playwright.viewport,
+                    replayOf: replay ? this.replayFixture.meta.id : null,
+                },
+            })
+            : null;
+
+        const playwrightBridge = new PlaywrightBridge({
+            ...this.config.playwright,
+            sessionId,
+            browserPool: this.browserPool,
+            recordHarPath: recorder?.harPath ?? null,
+            replayHarPath: replay?.harPath ?? null,
+        });
+        const chromeDevToolsBridge = new ChromeDevToolsBridge(this.config.chromeDevTools);
+        const router = new IntelligentRouter(playwrightBridge, chromeDevToolsBridge);
+
+        this.eventManager.connectBridge(playwrightBridge, 'playwright', sessionId);
+
+        return { playwrightBridge, chromeDevToolsBridge, router, recorder, replay };
+    }
+
+    /**
+     * Route one tool call in a browser session — answered from the fixture in
+     * recorded replay, otherwise routed to the bridges (and recorded if enabled).
+     */
+    async _routeTool(session, name, args) {
+        if (session.replay?.mode === 'recorded') {
+            return session.replay.respond(name, args);
+        }
+
+        const pageUrl = () => {
+            try { return session.playwrightBridge.page?.url() ?? null; } catch { return null; }
+        };
+        try {
+            const result = await session.router.route(name, args);
+            session.recorder?.record(name, args, result, null, pageUrl());
+            return result;
+        } catch (error) {
+            session.recorder?.record(name, args, null, error, pageUrl());
+            throw error;
+        }
     }
 
     /**
      * Register the tools/list handler
      */
-    registerToolListHandler() {
-        this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+    registerToolListHandler(server = this.server) {
+        server.setRequestHandler(ListToolsRequestSchema, async () => {
             return await this.listToolsResponse();
         });
     }
@@ -236,10 +316,11 @@ class UnifiedAutomationServer {
     /**
      * Register the tools/call handler
      */
-    registerToolCallHandler() {
-        this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    registerToolCallHandler(server = this.server) {
+        server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
             const { name, arguments: args } = request.params;
-            return await this.callToolResponse(name, args || {});
+            // stdio has no session ID — its calls share the default session
+            return await this.callToolResponse(name, args || {}, extra?.sessionId || DEFAULT_SESSION_ID);
         });
     }
 
@@ -247,8 +328,12 @@ class UnifiedAutomationServer {
      * Build the tools/call response payload.
      * Exposed as a public method so integration tests can exercise the real
      * server call path without transport bootstrapping.
+     *
+     * @param {string} name
+     * @param {object} [args]
+     * @param {string} [sessionId] - MCP session whose browser runs the call
      */
-    async callToolResponse(name, args = {}) {
+    async callToolResponse(name, args = {}, sessionId = DEFAULT_SESSION_ID) {
         const toolCallTimeout = this.config.playwright?.toolCallTimeout
             ?? (parseInt(process.env.MCP_TOOL_TIMEOUT) || 120000);
 
@@ -267,11 +352,16 @@ class UnifiedAutomationServer {
                 };
             }
 
+            // The default (stdio) session is never closed for idleness
+            const sessionOptions = { pinned: sessionId === DEFAULT_SESSION_ID };
+
             if (name === 'unified_execute_exploration') {
-                const routeToolCall = async (toolName, toolArgs) => {
-                    return await this.router.route(toolName, toolArgs);
-                };
-                const execResult = await executeExploration(args || {}, routeToolCall, getTemplates());
+                const execResult = await this.sessionManager.run(sessionId, (session) => {
+                    const routeToolCall = async (toolName, toolArgs) => {
+                        return await this._routeTool(session, toolName, toolArgs);
+                    };
+                    return executeExploration(args || {}, routeToolCall, getTemplates());
+                }, sessionOptions);
                 return {
                     content: [
                         {
@@ -282,15 +372,15 @@ class UnifiedAutomationServer {
                 };
             }
 
-            const result = await Promise.race([
-                this.router.route(name, args || {}),
+            const result = await this.sessionManager.run(sessionId, (session) => Promise.race([
+                this._routeTool(session, name, args || {}),
                 new Promise((_, reject) =>
                     setTimeout(() => reject(new Error(
                         `Tool call '${name}' timed out after ${toolCallTimeout}ms. ` +
                         'The page may be unresponsive or a selector was not found.'
                     )), toolCallTimeout)
                 ),
-            ]);
+            ]), sessionOptions);
 
             return {
                 content: [
@@ -316,7 +406,7 @@ class UnifiedAutomationServer {
      * MCP resources so SDK sessions can read them via protocol instead
      * of custom tool calls.
      */
-    registerResourceHandlers() {
+    registerResourceHandlers(server = this.server) {
         const baseDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
 
         // Helper: recursively list JSON files in a directory
@@ -345,7 +435,7 @@ class UnifiedAutomationServer {
         };
 
         // ── resources/list ──────────────────────────────────────────────
-        this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+        server.setRequestHandler(ListResourcesRequestSchema, async () => {
             const resources = [];
 
             // Exploration data (MCP snapshots)
@@ -389,7 +479,7 @@ class UnifiedAutomationServer {
         });
 
         // ── resources/read ──────────────────────────────────────────────
-        this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+        server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
             const { uri } = request.params;
             console.error(`[UnifiedMCP] resources/read — ${uri}`);
 
@@ -467,13 +557,12 @@ class UnifiedAutomationServer {
                 const host = options.host ?? process.env.MCP_HOST ?? '127.0.0.1';
                 const endpoint = options.endpoint ?? '/sse';
 
-                this._sseTransports = new Map();
                 this._httpServer = http.createServer(async (req, res) => {
                     const url = new URL(req.url, `http://${req.headers.host}`);
 
                     // CORS headers
                     res.setHeader('Access-Control-Allow-Origin', options.cors ?? '*');
-                    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+                    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
                     res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 
                     if (req.method === 'OPTIONS') {
@@ -486,34 +575,29 @@ class UnifiedAutomationServer {
                         // SSE connection endpoint
                         console.error(`[UnifiedMCP] New SSE connection from ${req.socket.remoteAddress}`);
                         const sseTransport = new SSEServerTransport(`${endpoint}/messages`, res);
-                        this._sseTransports.set(sseTransport.sessionId, sseTransport);
+                        const server = this._createMcpServer();
+                        this._connections.set(sseTransport.sessionId, { transport: sseTransport, server });
 
-                        // Clean up on disconnect
+                        // Clean up on disconnect — the session's browser context goes with it
                         res.on('close', () => {
-                            this._sseTransports.delete(sseTransport.sessionId);
                             console.error(`[UnifiedMCP] SSE client disconnected (${sseTransport.sessionId})`);
+                            this._closeConnection(sseTransport.sessionId, 'disconnected');
                         });
 
-                        await this.server.connect(sseTransport);
+                        await server.connect(sseTransport);
                     } else if (url.pathname === `${endpoint}/messages`) {
                         // Message endpoint for SSE
                         const sessionId = url.searchParams.get('sessionId');
-                        const sseTransport = this._sseTransports.get(sessionId);
+                        const connection = this._connections.get(sessionId);
 
-                        if (sseTransport) {
-                            await sseTransport.handlePostMessage(req, res);
+                        if (connection) {
+                            await connection.transport.handlePostMessage(req, res);
                         } else {
                             res.writeHead(404);
                             res.end(JSON.stringify({ error: 'Session not found' }));
                         }
-                    } else if (url.pathname === '/health') {
-                        res.writeHead(200, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({
-                            status: 'ok',
-                            transport: 'sse',
-                            sessions: this._sseTransports.size,
-                            uptime: process.uptime(),
-                        }));
+                    } else if (this._handleSessionRoute(req, res, url, 'sse')) {
+                        // /health, /sessions
                     } else {
                         res.writeHead(404);
                         res.end(JSON.stringify({ error: 'Not found' }));
@@ -546,18 +630,42 @@ class UnifiedAutomationServer {
                     }
 
                     if (url.pathname === '/mcp') {
-                        const httpTransport = new StreamableHTTPServerTransport({
-                            sessionIdGenerator: undefined,
-                        });
-                        await this.server.connect(httpTransport);
-                        await httpTransport.handleRequest(req, res);
-                    } else if (url.pathname === '/health') {
-                        res.writeHead(200, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({
-                            status: 'ok',
-                            transport: 'http',
-                            uptime: process.uptime(),
-                        }));
+                        // Stateful: the initialize request opens a session, later
+                        // requests carry its mcp-session-id header
+                        const sessionId = req.headers['mcp-session-id'];
+                        let connection = sessionId ? this._connections.get(sessionId) : null;
+
+                        if (!connection) {
+                            if (sessionId) {
+                                res.writeHead(404, { 'Content-Type': 'application/json' });
+                                res.end(JSON.stringify({
+                                    jsonrpc: '2.0',
+                                    error: { code: -32001, message: 'Session not found' },
+                                    id: null,
+                                }));
+                                return;
+                            }
+
+                            const server = this._createMcpServer();
+                            const httpTransport = new StreamableHTTPServerTransport({
+                                sessionIdGenerator: () => randomUUID(),
+                                onsessioninitialized: (newSessionId) => {
+                                    this._connections.set(newSessionId, connection);
+                                    console.error(`[UnifiedMCP] HTTP session opened (${newSessionId})`);
+                                },
+                            });
+                            httpTransport.onclose = () => {
+                                if (httpTransport.sessionId) {
+                                    this._closeConnection(httpTransport.sessionId, 'closed');
+                                }
+                            };
+                            connection = { transport: httpTransport, server };
+                            await server.connect(httpTransport);
+                        }
+
+                        await connection.transport.handleRequest(req, res);
+                    } else if (this._handleSessionRoute(req, res, url, 'http')) {
+                        // /health, /sessions
                     } else {
                         res.writeHead(404);
                         res.end(JSON.stringify({ error: 'Not found' }));
@@ -575,6 +683,97 @@ class UnifiedAutomationServer {
         }
     }
 
+    /**
+     * An sse/http MCP session ended: close its browser session and its server.
+     */
+    _closeConnection(sessionId, reason) {
+        const connection = this._connections.get(sessionId);
+        if (!connection) return;
+        this._connections.delete(sessionId);
+
+        this.sessionManager?.close(sessionId, reason)
+            .catch(e => console.error(`[UnifiedMCP] Session cleanup error (${sessionId}):`, e.message));
+        connection.server.close()
+            .catch(e => console.error(`[UnifiedMCP] MCP server close error (${sessionId}):`, e.message));
+    }
+
+    /**
+     * Routes shared by the sse and http transports:
+     *   GET    /health                   — status, connections, browser sessions, pool
+     *   GET    /sessions                 — browser sessions
+     *   GET    /sessions/:id/events      — SSE stream of one session's browser events
+     *                                      (?category=console&since=<ms> replays buffered ones first)
+     *   DELETE /sessions/:id             — close a session's browser context
+     *
+     * @returns {boolean} Whether the request was handled
+     */
+    _handleSessionRoute(req, res, url, transport) {
+        const sendJson = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (url.pathname === '/health') {
+            sendJson(200, {
+                status: 'ok',
+                transport,
+                connections: this._connections.size,
+                browserSessions: this.sessionManager.getStats(),
+                browserPool: this.browserPool.getStats(),
+                uptime: process.uptime(),
+            });
+            return true;
+        }
+
+        if (url.pathname === '/sessions' && req.method === 'GET') {
+            sendJson(200, { sessions: this.sessionManager.list() });
+            return true;
+        }
+
+        const match = url.pathname.match(/^\/sessions\/([^/]+)(\/events)?$/);
+        if (!match) return false;
+        const sessionId = decodeURIComponent(match[1]);
+
+        if (!match[2] && req.method === 'DELETE') {
+            this.sessionManager.close(sessionId, 'closed by request')
+                .then(closed => sendJson(closed ? 200 : 404, closed ? { closed: sessionId } : { error: 'Session not found' }))
+                .catch(error => sendJson(500, { error: error.message }));
+            return true;
+        }
+
+        if (match[2] && req.method === 'GET') {
+            if (!this.sessionManager.has(sessionId)) {
+                sendJson(404, { error: 'Session not found' });
+                return true;
+            }
+
+            const category = url.searchParams.get('category') || '*';
+            const since = parseInt(url.searchParams.get('since'), 10);
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive',
+            });
+            const send = (event) => res.write(`event: ${event.category}\ndata: ${JSON.stringify(event)}\n\n`);
+
+            if (since > 0) {
+                this.eventManager.getEvents({ sessionId, category, since }).events.forEach(send);
+            }
+            const subscriptionId = this.eventManager.subscribe(category, send, null, sessionId);
+            const onClosed = ({ sessionId: closedId }) => {
+                if (closedId === sessionId) res.end();
+            };
+            this.sessionManager.on('closed', onClosed);
+            req.on('close', () => {
+                this.eventManager?.unsubscribe(subscriptionId);
+                this.sessionManager?.off('closed', onClosed);
+            });
+            return true;
+        }
+
+        return false;
+    }
+
     /**
      * Shutdown the server and cleanup resources.
      * Uses Promise.allSettled with a timeout to prevent deadlock if the browser
@@ -600,22 +799,24 @@ class UnifiedAutomationServer {
             this.eventManager = null;
         }
 
-        // 2. Cleanup bridges and server in parallel with a timeout guard.
-        //    If browser.close() hangs (frozen page), we don't block forever.
+        // 2. Cleanup browser sessions, pooled browsers and servers in parallel with
+        //    a timeout guard. If browser.close() hangs (frozen page), we don't block forever.
         const cleanupTasks = [];
 
-        if (this.playwrightBridge) {
+        if (this.sessionManager) {
             cleanupTasks.push(
-                this.playwrightBridge.cleanup()
-                    .catch(e => console.error('[UnifiedMCP] Playwright cleanup error:', e.message))
+                this.sessionManager.closeAll()
+                    .then(() => this.browserPool?.closeAll())
+                    .catch(e => console.error('[UnifiedMCP] Browser session cleanup error:', e.message))
             );
         }
-        if (this.chromeDevToolsBridge) {
+        for (const [sessionId, { server }] of this._connections) {
             cleanupTasks.push(
-                this.chromeDevToolsBridge.cleanup()
-                    .catch(e => console.error('[UnifiedMCP] ChromeDevTools cleanup error:', e.message))
+                server.close()
+                    .catch(e => console.error(`[UnifiedMCP] MCP server close error (${sessionId}):`, e.message))
             );
         }
+        this._connections.clear();
         if (this.server) {
             cleanupTasks.push(
                 this.server.close()
@@ -332,14 +332,21 @@ export const ADVANCED_TOOLS = [
 
     {
         name: 'unified_screenshot_baseline',
-        description: 'Take a baseline screenshot for visual regression testing',
+        description: 'Take a baseline screenshot for visual regression testing. Stored as the next approved version of the baseline keyed by name, ticket, page URL pattern, viewport, browser and environment (reviewable on the dashboard); pass dir to write a plain <name>.png instead.',
         inputSchema: {
             type: 'object',
             properties: {
                 name: { type: 'string', description: 'Unique name for this baseline' },
                 selector: { type: 'string', description: 'CSS selector to screenshot a specific element' },
                 fullPage: { type: 'boolean', description: 'Capture full page', default: false },
-                dir: { type: 'string', description: 'Directory to store baselines', default: './visual-baselines' },
+                ticketId: { type: 'string', description: 'Ticket the baseline belongs to (default: SDK_TICKET_ID)' },
+                environment: { type: 'string', description: 'Environment the page runs in (default: SDK_ENVIRONMENT or UAT)' },
+                urlPattern: { type: 'string', description: 'Page URL pattern of the baseline key (default: derived from the current URL, IDs replaced by *)' },
+                comment: { type: 'string', description: 'Note stored with the approved version' },
+                dir: { type: 'string', description: 'Write <name>.png to this directory instead of the baseline store' },
+                mask: { type: 'array', items: { type: 'string' }, description: 'CSS selectors of dynamic elements to paint over' },
+                maskPatterns: { type: 'array', items: { type: 'string' }, description: 'Paint over elements whose text matches: price, date, time, relativeTime, or a regex ("/.../i")' },
+                maskColor: { type: 'string', description: 'Mask color (CSS color)', default: '#FF00FF' },
             },
             required: ['name'],
         },
@@ -347,15 +354,38 @@ export const ADVANCED_TOOLS = [
     },
     {
         name: 'unified_screenshot_compare',
-        description: 'Compare current page/element screenshot against a stored baseline',
+        description: 'Compare current page/element screenshot against the approved baseline pixel by pixel. Returns the ratio of changed pixels and writes a highlighted diff image (red = changed, yellow = anti-aliasing, blue = ignored); a change is queued for approve/reject review. Use the same mask/maskPatterns and key fields as the baseline.',
         inputSchema: {
             type: 'object',
             properties: {
                 name: { type: 'string', description: 'Baseline name to compare against' },
                 selector: { type: 'string', description: 'CSS selector to screenshot a specific element' },
                 fullPage: { type: 'boolean', description: 'Capture full page', default: false },
-                dir: { type: 'string', description: 'Directory where baselines are stored', default: './visual-baselines' },
-                threshold: { type: 'number', description: 'Acceptable difference ratio (0-1)', default: 0.01 },
+                ticketId: { type: 'string', description: 'Ticket the baseline belongs to (default: SDK_TICKET_ID)' },
+                environment: { type: 'string', description: 'Environment the page runs in (default: SDK_ENVIRONMENT or UAT)' },
+                urlPattern: { type: 'string', description: 'Page URL pattern of the baseline key (default: derived from the current URL)' },
+                dir: { type: 'string', description: 'Compare against <name>.png in this directory instead of the baseline store' },
+                threshold: { type: 'number', description: 'Acceptable ratio of changed pixels (0-1)', default: 0.01 },
+                colorThreshold: { type: 'number', description: 'Per-pixel color sensitivity (0 = exact, 1 = lenient)', default: 0.1 },
+                antialiasing: { type: 'boolean', description: 'Tolerate anti-aliasing differences', default: true },
+                ignore: { type: 'array', items: { type: 'string' }, description: 'CSS selectors of elements excluded from the comparison' },
+                ignoreRegions: {
+                    type: 'array',
+                    description: 'Rectangles excluded from the comparison, in image pixels',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            x: { type: 'number' },
+                            y: { type: 'number' },
+                            width: { type: 'number' },
+                            height: { type: 'number' },
+                        },
+                        required: ['x', 'y', 'width', 'height'],
+                    },
+                },
+                mask: { type: 'array', items: { type: 'string' }, description: 'CSS selectors of dynamic elements to paint over' },
+                maskPatterns: { type: 'array', items: { type: 'string' }, description: 'Paint over elements whose text matches: price, date, time, relativeTime, or a regex ("/.../i")' },
+                maskColor: { type: 'string', description: 'Mask color (CSS color)', default: '#FF00FF' },
             },
             required: ['name'],
         },
@@ -419,11 +449,23 @@ export const ADVANCED_TOOLS = [
 
     {
         name: 'unified_accessibility_audit',
-        description: 'Run an accessibility audit on the current page. Checks for missing labels, alt text, heading structure, form labels, and more.',
+        description: 'Run a WCAG 2.2 accessibility audit on the current page: color contrast, landmarks, heading order, form labels, ARIA validity, keyboard traps and focus visibility, duplicate IDs, and target size. Each issue has its WCAG criterion, severity, and selector. Set report to write JSON/Markdown files for a bug ticket.',
         inputSchema: {
             type: 'object',
             properties: {
                 selector: { type: 'string', description: 'CSS selector to audit a specific subtree (omit for full page)' },
+                level: { type: 'string', enum: ['A', 'AA'], description: 'WCAG conformance level to check', default: 'AA' },
+                rules: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Only run these rule ids (e.g. "color-contrast") or categories: contrast, landmarks, headings, forms, names, aria, focus, ids, target-size, document',
+                },
+                keyboard: { type: 'boolean', description: 'Tab through the page to check for keyboard traps, focus visibility and obscured focus (moves focus)', default: true },
+                maxTabStops: { type: 'number', description: 'Maximum Tab presses for the keyboard check', default: 100 },
+                maxPerRule: { type: 'number', description: 'Maximum issues listed per rule', default: 25 },
+                report: { type: 'string', enum: ['json', 'markdown', 'both'], description: 'Write the audit as report file(s) for attaching to a bug ticket' },
+                outputDir: { type: 'string', description: 'Report directory (default: the run\'s evidence folder, else test-results/accessibility)' },
+                state: { type: 'string', description: 'Label for the UI state audited (e.g. "login-modal-open"); recorded in the result and report file name' },
             },
         },
         _meta: { source: 'playwright', category: 'accessibility' },
@@ -0,0 +1,1442 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ * ACCESSIBILITY AUDIT — Rule-Based WCAG 2.2 Engine
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ *
+ * Backs unified_accessibility_audit. Runs fully offline inside the page — no axe or
+ * other third-party runtime is injected.
+ *
+ *   1. Select   — pick rules from A11Y_RULES by id and/or conformance level (A / AA)
+ *   2. Audit    — one page.evaluate() pass over the DOM (getAuditSource) that checks
+ *                 contrast, landmarks, headings, form labels, ARIA validity, duplicate
+ *                 IDs, target size, and document language/title
+ *   3. Keyboard — auditPage presses Tab through the page and records each stop
+ *                 (getFocusProbeSource); analyzeFocusSequence finds keyboard traps,
+ *                 missing focus indicators and focus hidden behind other content
+ *   4. Resolve  — every offending element is fingerprinted like the snapshot DOM walker
+ *                 so SelectorEngine can produce its selector and Playwright locator
+ *   5. Report   — buildAuditResult maps findings to WCAG 2.2 criteria and severities;
+ *                 writeAuditReport emits JSON + Markdown files BugGenie attaches to Jira
+ *
+ * auditPage runs steps 1-5 on a Playwright page; the bridge and the spec helper
+ * (sdk-orchestrator/a11y-results.js → auditAccessibility) both go through it.
+ *
+ * The color / contrast / target-spacing helpers are plain functions so they can be
+ * unit-tested in Node and serialized into the in-page audit source unchanged.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ */
+
+import { writeFile, mkdir } from 'fs/promises';
+import path from 'path';
+import { SelectorEngine } from './selector-engine.js';
+
+// ---------------------------------------------------------------------------
+// WCAG 2.2 CRITERIA & RULE CATALOG
+// ---------------------------------------------------------------------------
+
+/** WCAG 2.2 success criteria the rules map to */
+const WCAG_CRITERIA = {
+    '1.1.1': { name: 'Non-text Content', level: 'A' },
+    '1.3.1': { name: 'Info and Relationships', level: 'A' },
+    '1.4.3': { name: 'Contrast (Minimum)', level: 'AA' },
+    '2.1.2': { name: 'No Keyboard Trap', level: 'A' },
+    '2.4.1': { name: 'Bypass Blocks', level: 'A' },
+    '2.4.2': { name: 'Page Titled', level: 'A' },
+    '2.4.3': { name: 'Focus Order', level: 'A' },
+    '2.4.4': { name: 'Link Purpose (In Context)', level: 'A' },
+    '2.4.6': { name: 'Headings and Labels', level: 'AA' },
+    '2.4.7': { name: 'Focus Visible', level: 'AA' },
+    '2.4.11': { name: 'Focus Not Obscured (Minimum)', level: 'AA' },
+    '2.5.8': { name: 'Target Size (Minimum)', level: 'AA' },
+    '3.1.1': { name: 'Language of Page', level: 'A' },
+    '4.1.2': { name: 'Name, Role, Value', level: 'A' },
+};
+
+/** Most to least severe */
+const SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+const LEVELS = ['A', 'AA'];
+
+/**
+ * Rule catalog. A rule with no WCAG criteria is a best practice — it runs at every
+ * level (duplicate-id: 4.1.1 Parsing was removed in WCAG 2.2).
+ */
+const A11Y_RULES = {
+    'color-contrast': { category: 'contrast', wcag: ['1.4.3'], severity: 'serious', description: 'Text contrast is at least 4.5:1, or 3:1 for large text' },
+    'landmark-one-main': { category: 'landmarks', wcag: ['1.3.1', '2.4.1'], severity: 'moderate', description: 'The page has exactly one main landmark' },
+    'landmark-unique': { category: 'landmarks', wcag: ['1.3.1'], severity: 'moderate', description: 'Banner and contentinfo appear once; repeated landmarks have distinct names' },
+    'region': { category: 'landmarks', wcag: ['2.4.1'], severity: 'moderate', description: 'All visible content is inside a landmark' },
+    'heading-order': { category: 'headings', wcag: ['1.3.1'], severity: 'moderate', description: 'Heading levels only increase by one' },
+    'empty-heading': { category: 'headings', wcag: ['2.4.6'], severity: 'minor', description: 'Headings have discernible text' },
+    'label': { category: 'forms', wcag: ['1.3.1', '4.1.2'], severity: 'critical', description: 'Form fields have an accessible name' },
+    'label-for': { category: 'forms', wcag: ['1.3.1'], severity: 'moderate', description: '<label for> points at an existing form field' },
+    'image-alt': { category: 'names', wcag: ['1.1.1'], severity: 'critical', description: 'Images have alternative text' },
+    'button-name': { category: 'names', wcag: ['4.1.2'], severity: 'critical', description: 'Buttons have an accessible name' },
+    'link-name': { category: 'names', wcag: ['2.4.4', '4.1.2'], severity: 'serious', description: 'Links have an accessible name' },
+    'aria-roles': { category: 'aria', wcag: ['4.1.2'], severity: 'critical', description: 'role values are valid, non-abstract ARIA roles' },
+    'aria-valid-attr': { category: 'aria', wcag: ['4.1.2'], severity: 'critical', description: 'aria-* attributes exist in WAI-ARIA 1.2' },
+    'aria-valid-attr-value': { category: 'aria', wcag: ['4.1.2'], severity: 'critical', description: 'aria-* attribute values are valid and ID references resolve' },
+    'aria-required-attr': { category: 'aria', wcag: ['4.1.2'], severity: 'critical', description: 'Elements with a role carry the states that role requires' },
+    'aria-hidden-focus': { category: 'aria', wcag: ['4.1.2'], severity: 'serious', description: 'aria-hidden content contains no focusable elements' },
+    'tabindex-positive': { category: 'focus', wcag: ['2.4.3'], severity: 'serious', description: 'No element uses a tabindex greater than 0' },
+    'keyboard-trap': { category: 'focus', wcag: ['2.1.2'], severity: 'critical', description: 'Tab can move focus away from every component', keyboard: true },
+    'focus-visible': { category: 'focus', wcag: ['2.4.7'], severity: 'serious', description: 'Focused elements show a visible focus indicator', keyboard: true },
+    'focus-obscured': { category: 'focus', wcag: ['2.4.11'], severity: 'serious', description: 'Focused elements are not entirely hidden by other content', keyboard: true },
+    'duplicate-id-aria': { category: 'ids', wcag: ['4.1.2'], severity: 'serious', description: 'IDs referenced by labels and ARIA attributes are unique' },
+    'duplicate-id': { category: 'ids', wcag: [], severity: 'minor', description: 'id attributes are unique' },
+    'target-size': { category: 'target-size', wcag: ['2.5.8'], severity: 'serious', description: 'Pointer targets are at least 24×24 px or have enough spacing' },
+    'html-lang': { category: 'document', wcag: ['3.1.1'], severity: 'serious', description: '<html> has a valid lang attribute' },
+    'document-title': { category: 'document', wcag: ['2.4.2'], severity: 'serious', description: 'The document has a non-empty <title>' },
+};
+
+// ---------------------------------------------------------------------------
+// WAI-ARIA 1.2 DATA
+// ---------------------------------------------------------------------------
+
+const ARIA_ROLES = [
+    'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption',
+    'cell', 'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo',
+    'definition', 'deletion', 'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure',
+    'form', 'generic', 'grid', 'gridcell', 'group', 'heading', 'img', 'insertion', 'link', 'list',
+    'listbox', 'listitem', 'log', 'main', 'marquee', 'math', 'menu', 'menubar', 'menuitem',
+    'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation', 'none', 'note', 'option',
+    'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row', 'rowgroup',
+    'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider', 'spinbutton', 'status',
+    'strong', 'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term',
+    'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem',
+];
+
+const BOOL = { type: 'boolean' };
+const TRISTATE = { type: 'tristate' };
+const IDREF = { type: 'idref' };
+const IDREFS = { type: 'idrefs' };
+const INTEGER = { type: 'integer' };
+const NUMBER = { type: 'number' };
+const STRING = { type: 'string' };
+const OPTIONAL_BOOL = { type: 'token', values: ['true', 'false', 'undefined'] };
+
+/** Every global and role-specific aria-* attribute, with its value type */
+const ARIA_ATTRIBUTES = {
+    'aria-activedescendant': IDREF,
+    'aria-atomic': BOOL,
+    'aria-autocomplete': { type: 'token', values: ['inline', 'list', 'both', 'none'] },
+    'aria-braillelabel': STRING,
+    'aria-brailleroledescription': STRING,
+    'aria-busy': BOOL,
+    'aria-checked': { type: 'token', values: ['true', 'false', 'mixed', 'undefined'] },
+    'aria-colcount': INTEGER,
+    'aria-colindex': INTEGER,
+    'aria-colindextext': STRING,
+    'aria-colspan': INTEGER,
+    'aria-controls': IDREFS,
+    'aria-current': { type: 'token', values: ['page', 'step', 'location', 'date', 'time', 'true', 'false'] },
+    'aria-describedby': IDREFS,
+    'aria-description': STRING,
+    'aria-details': IDREFS,
+    'aria-disabled': BOOL,
+    'aria-dropeffect': { type: 'tokens', values: ['copy', 'execute', 'link', 'move', 'none', 'popup'] },
+    'aria-errormessage': IDREFS,
+    'aria-expanded': OPTIONAL_BOOL,
+    'aria-flowto': IDREFS,
+    'aria-grabbed': OPTIONAL_BOOL,
+    'aria-haspopup': { type: 'token', values: ['false', 'true', 'menu', 'listbox', 'tree', 'grid', 'dialog'] },
+    'aria-hidden': OPTIONAL_BOOL,
+    'aria-invalid': { type: 'token', values: ['grammar', 'false', 'spelling', 'true'] },
+    'aria-keyshortcuts': STRING,
+    'aria-label': STRING,
+    'aria-labelledby': IDREFS,
+    'aria-level': INTEGER,
+    'aria-live': { type: 'token', values: ['assertive', 'off', 'polite'] },
+    'aria-modal': BOOL,
+    'aria-multiline': BOOL,
+    'aria-multiselectable': BOOL,
+    'aria-orientation': { type: 'token', values: ['horizontal', 'vertical', 'undefined'] },
+    'aria-owns': IDREFS,
+    'aria-placeholder': STRING,
+    'aria-posinset': INTEGER,
+    'aria-pressed': TRISTATE,
+    'aria-readonly': BOOL,
+    'aria-relevant': { type: 'tokens', values: ['additions', 'all', 'removals', 'text'] },
+    'aria-required': BOOL,
+    'aria-roledescription': STRING,
+    'aria-rowcount': INTEGER,
+    'aria-rowindex': INTEGER,
+    'aria-rowindextext': STRING,
+    'aria-rowspan': INTEGER,
+    'aria-selected': OPTIONAL_BOOL,
+    'aria-setsize': INTEGER,
+    'aria-sort': { type: 'token', values: ['ascending', 'descending', 'none', 'other'] },
+    'aria-valuemax': NUMBER,
+    'aria-valuemin': NUMBER,
+    'aria-valuenow': NUMBER,
+    'aria-valuetext': STRING,
+};
+
+/**
+ * States a role must carry, and the native elements that already supply them
+ * (so <input type="checkbox" role="switch"> needs no aria-checked).
+ */
+const REQUIRED_ARIA_ATTRIBUTES = {
+    checkbox: { attributes: ['aria-checked'], native: 'input[type="checkbox"]' },
+    combobox: { attributes: ['aria-expanded'], native: 'select, input' },
+    heading: { attributes: ['aria-level'], native: 'h1, h2, h3, h4, h5, h6' },
+    menuitemcheckbox: { attributes: ['aria-checked'], native: 'input[type="checkbox"]' },
+    menuitemradio: { attributes: ['aria-checked'], native: 'input[type="radio"]' },
+    meter: { attributes: ['aria-valuenow'], native: 'meter' },
+    radio: { attributes: ['aria-checked'], native: 'input[type="radio"]' },
+    scrollbar: { attributes: ['aria-controls', 'aria-valuenow'], native: null },
+    slider: { attributes: ['aria-valuenow'], native: 'input[type="range"]' },
+    switch: { attributes: ['aria-checked'], native: 'input[type="checkbox"]' },
+};
+
+/** Minimum pointer target size for 2.5.8, in CSS pixels */
+const MIN_TARGET_SIZE = 24;
+
+/** Default cap on findings reported per rule (the rest are counted in `truncated`) */
+const DEFAULT_MAX_PER_RULE = 25;
+
+/** Default cap on Tab presses during the keyboard probe */
+const DEFAULT_MAX_TAB_STOPS = 100;
+
+const DEFAULT_REPORT_DIR = path.join('test-results', 'accessibility');
+
+// ---------------------------------------------------------------------------
+// RULE SELECTION
+// ---------------------------------------------------------------------------
+
+/**
+ * Conformance level a rule belongs to — the highest level among its criteria.
+ * Best-practice rules (no criteria) report 'A' so they run at every level.
+ * @param {string} ruleId
+ * @returns {'A'|'AA'}
+ */
+function ruleLevel(ruleId) {
+    const levels = A11Y_RULES[ruleId].wcag.map(criterion => WCAG_CRITERIA[criterion].level);
+    return levels.includes('AA') ? 'AA' : 'A';
+}
+
+/**
+ * Resolve which rules an audit runs.
+ * @param {Object} [options]
+ * @param {string[]} [options.rules] - Rule ids or categories (e.g. 'aria', 'focus'); default all
+ * @param {'A'|'AA'} [options.level='AA'] - Conformance target; AA rules are skipped for 'A'
+ * @returns {string[]} Rule ids
+ */
+function selectAuditRules({ rules, level = 'AA' } = {}) {
+    const target = String(level).toUpperCase();
+    if (!LEVELS.includes(target)) {
+        throw new Error(`Unknown WCAG level "${level}". Use one of: ${LEVELS.join(', ')}`);
+    }
+
+    let selected = Object.keys(A11Y_RULES);
+    if (Array.isArray(rules) && rules.length > 0) {
+        const categories = new Set(Object.values(A11Y_RULES).map(rule => rule.category));
+        const unknown = rules.filter(name => !A11Y_RULES[name] && !categories.has(name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown accessibility rule(s): ${unknown.join(', ')}. Available: ${Object.keys(A11Y_RULES).join(', ')}`);
+        }
+        selected = selected.filter(id => rules.includes(id) || rules.includes(A11Y_RULES[id].category));
+    }
+
+    return selected.filter(id => target === 'AA' || ruleLevel(id) === 'A');
+}
+
+// ---------------------------------------------------------------------------
+// COLOR & CONTRAST (serialized into the page)
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a CSS color as returned by getComputedStyle (rgb/rgba, either syntax),
+ * a hex color, or 'transparent'.
+ * @param {string} value
+ * @returns {{r: number, g: number, b: number, a: number}|null}
+ */
+function parseColor(value) {
+    if (!value) return null;
+    const text = String(value).trim().toLowerCase();
+    if (text === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+
+    const hex = text.match(/^#([0-9a-f]{3,8})$/);
+    if (hex) {
+        let digits = hex[1];
+        if (digits.length === 3 || digits.length === 4) digits = digits.split('').map(c => c + c).join('');
+        if (digits.length !== 6 && digits.length !== 8) return null;
+        return {
+            r: parseInt(digits.slice(0, 2), 16),
+            g: parseInt(digits.slice(2, 4), 16),
+            b: parseInt(digits.slice(4, 6), 16),
+            a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1,
+        };
+    }
+
+    const fn = text.match(/^rgba?\(([^)]+)\)$/);
+    if (!fn) return null;
+    const parts = fn[1].split(/[\s,/]+/).filter(Boolean);
+    if (parts.length < 3) return null;
+
+    const channel = part => (part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part));
+    const [r, g, b] = parts.slice(0, 3).map(channel);
+    const a = parts[3] === undefined ? 1 : (parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]));
+    if ([r, g, b, a].some(Number.isNaN)) return null;
+    return { r, g, b, a };
+}
+
+/**
+ * Composite a (possibly translucent) color over a background ("source over").
+ * @param {{r, g, b, a}} top
+ * @param {{r, g, b, a}} bottom
+ * @returns {{r: number, g: number, b: number, a: number}}
+ */
+function blendColors(top, bottom) {
+    const a = top.a + bottom.a * (1 - top.a);
+    if (a === 0) return { r: 0, g: 0, b: 0, a: 0 };
+    const mix = (t, b) => (t * top.a + b * bottom.a * (1 - top.a)) / a;
+    return { r: mix(top.r, bottom.r), g: mix(top.g, bottom.g), b: mix(top.b, bottom.b), a };
+}
+
+/**
+ * WCAG relative luminance of an sRGB color.
+ * @param {{r, g, b}} color - Channels 0–255
+ * @returns {number} 0 (black) – 1 (white)
+ */
+function relativeLuminance({ r, g, b }) {
+    const linear = channel => {
+        const c = channel / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * WCAG contrast ratio between two opaque colors.
+ * @returns {number} 1 – 21
+ */
+function contrastRatio(foreground, background) {
+    const l1 = relativeLuminance(foreground);
+    const l2 = relativeLuminance(background);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+/**
+ * Large-scale text per WCAG: at least 18pt (24px), or 14pt (≈18.66px) bold.
+ * @param {number} fontSizePx
+ * @param {string|number} fontWeight - Computed font-weight
+ * @returns {boolean}
+ */
+function isLargeText(fontSizePx, fontWeight) {
+    const weight = fontWeight === 'bold' ? 700 : (parseInt(fontWeight, 10) || 400);
+    return fontSizePx >= 24 || (fontSizePx >= 18.66 && weight >= 700);
+}
+
+/**
+ * Minimum contrast ratio for 1.4.3.
+ * @param {boolean} large
+ * @returns {number}
+ */
+function requiredContrast(large) {
+    return large ? 3 : 4.5;
+}
+
+/** Opaque color → '#rrggbb' */
+function toHexColor({ r, g, b }) {
+    return '#' + [r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
+
+// ---------------------------------------------------------------------------
+// ARIA VALUE VALIDATION (serialized into the page)
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate one aria-* attribute value against its WAI-ARIA 1.2 type.
+ * @param {{type: string, values?: string[]}} spec - Entry from ARIA_ATTRIBUTES
+ * @param {string} value - Attribute value
+ * @param {(id: string) => boolean} idExists - Whether an ID is present in the document
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateAriaValue(spec, value, idExists) {
+    const text = String(value ?? '').trim();
+    if (spec.type === 'string') return null;
+    if (text === '') return 'must not be empty';
+
+    switch (spec.type) {
+        case 'boolean':
+            return ['true', 'false'].includes(text) ? null : `"${text}" is not true/false`;
+        case 'tristate':
+            return ['true', 'false', 'mixed'].includes(text) ? null : `"${text}" is not true/false/mixed`;
+        case 'integer':
+            return /^-?\d+$/.test(text) ? null : `"${text}" is not an integer`;
+        case 'number':
+            return text !== '' && Number.isFinite(Number(text)) ? null : `"${text}" is not a number`;
+        case 'token':
+            return spec.values.includes(text) ? null : `"${text}" is not one of ${spec.values.join('/')}`;
+        case 'tokens': {
+            const invalid = text.split(/\s+/).filter(token => !spec.values.includes(token));
+            return invalid.length === 0 ? null : `"${invalid.join(' ')}" not in ${spec.values.join('/')}`;
+        }
+        case 'idref':
+            if (/\s/.test(text)) return `expects a single ID, got "${text}"`;
+            return idExists(text) ? null : `references missing id "${text}"`;
+        case 'idrefs': {
+            const missing = text.split(/\s+/).filter(id => !idExists(id));
+            return missing.length === 0 ? null : `references missing id(s) ${missing.map(id => `"${id}"`).join(', ')}`;
+        }
+        default:
+            return null;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// TARGET SIZE (serialized into the page)
+// ---------------------------------------------------------------------------
+
+/**
+ * 2.5.8 Target Size (Minimum): a target smaller than 24×24 passes only if a
+ * 24px-diameter circle centred on it intersects no other target and no other
+ * undersized target's circle.
+ *
+ * @param {Array<{x: number, y: number, width: number, height: number, exempt?: boolean}>} targets
+ * @param {number} [minSize=24]
+ * @returns {Array<{index: number, conflictsWith: number}>} Failing targets and the target they crowd
+ */
+function findTargetSizeViolations(targets, minSize = 24) {
+    const radius = minSize / 2;
+    const undersized = targets.map(t => t.width < minSize || t.height < minSize);
+    const center = t => ({ x: t.x + t.width / 2, y: t.y + t.height / 2 });
+    const distanceToRect = (p, t) => {
+        const dx = Math.max(t.x - p.x, 0, p.x - (t.x + t.width));
+        const dy = Math.max(t.y - p.y, 0, p.y - (t.y + t.height));
+        return Math.hypot(dx, dy);
+    };
+
+    const violations = [];
+    targets.forEach((target, index) => {
+        if (!undersized[index] || target.exempt || target.width === 0 || target.height === 0) return;
+        const c = center(target);
+
+        for (let other = 0; other < targets.length; other++) {
+            if (other === index) continue;
+            const t = targets[other];
+            if (t.width === 0 || t.height === 0) continue;
+            const crowdsTarget = distanceToRect(c, t) < radius;
+            const c2 = center(t);
+            const crowdsCircle = undersized[other] && Math.hypot(c.x - c2.x, c.y - c2.y) < minSize;
+            if (crowdsTarget || crowdsCircle) {
+                violations.push({ index, conflictsWith: other });
+                return;
+            }
+        }
+    });
+    return violations;
+}
+
+// ---------------------------------------------------------------------------
+// IN-PAGE HELPERS (serialized into the page)
+// ---------------------------------------------------------------------------
+
+/**
+ * Element fingerprint in the shape the snapshot DOM walker produces, so that
+ * SelectorEngine.generateUniqueSelector works on it unchanged. Adds `cssPath`
+ * (structural fallback) and `html` (opening tag) for reports.
+ */
+function describeElement(el, ref) {
+    const tag = el.tagName.toLowerCase();
+    const role = el.getAttribute('role') || undefined;
+    const rect = el.getBoundingClientRect();
+    const ariaLabel = el.getAttribute('aria-label') || undefined;
+    const placeholder = el.getAttribute('placeholder') || undefined;
+    const title = el.getAttribute('title') || undefined;
+    const alt = el.getAttribute('alt') || undefined;
+    const rawText = tag === 'html' || tag === 'body' ? '' : (el.innerText || el.value || '');
+    const text = String(rawText).trim().substring(0, 100) || undefined;
+
+    let associatedLabel;
+    if (el.labels && el.labels.length > 0) {
+        associatedLabel = (el.labels[0].innerText || '').trim().substring(0, 100) || undefined;
+    }
+
+    let nthIndex = 0;
+    if (el.parentElement) {
+        nthIndex = Array.from(el.parentElement.children)
+            .filter(s => s.tagName === el.tagName && (s.getAttribute('role') || '') === (role || ''))
+            .indexOf(el);
+    }
+
+    const cssPath = (() => {
+        const parts = [];
+        let node = el;
+        while (node && node.nodeType === 1 && node !== document.documentElement) {
+            if (node.id && document.querySelectorAll('#' + CSS.escape(node.id)).length === 1) {
+                parts.unshift('#' + CSS.escape(node.id));
+                return parts.join(' > ');
+            }
+            let part = node.tagName.toLowerCase();
+            const parent = node.parentElement;
+            if (parent) {
+                const same = Array.from(parent.children).filter(s => s.tagName === node.tagName);
+                if (same.length > 1) part += `:nth-of-type(${same.indexOf(node) + 1})`;
+            }
+            parts.unshift(part);
+            node = parent;
+        }
+        parts.unshift('html');
+        return parts.join(' > ');
+    })();
+
+    const outer = el.outerHTML || '';
+    const openTag = outer.substring(0, outer.indexOf('>') + 1) || `<${tag}>`;
+
+    return {
+        ref,
+        tag,
+        role,
+        text,
+        id: el.id || undefined,
+        name: el.getAttribute('name') || undefined,
+        className: typeof el.className === 'string' ? el.className : undefined,
+        type: el.type || undefined,
+        inputType: tag === 'input' ? (el.type || 'text') : undefined,
+        href: el.href || undefined,
+        placeholder,
+        ariaLabel,
+        title,
+        alt,
+        computedLabel: ariaLabel || placeholder || title || alt || text || undefined,
+        associatedLabel,
+        dataTestId: el.getAttribute('data-testid') || undefined,
+        dataTestIdAlt: el.getAttribute('data-test-id') || undefined,
+        dataQa: el.getAttribute('data-qa') || undefined,
+        visible: rect.width > 0 && rect.height > 0,
+        bounds: { x: Math.round(rect.x), y: Math.round(rect.y), width: Math.round(rect.width), height: Math.round(rect.height) },
+        nthIndex,
+        cssPath,
+        html: openTag.length > 200 ? openTag.substring(0, 197) + '...' : openTag,
+    };
+}
+
+/** Whether the element is rendered (not display:none / visibility:hidden / detached) */
+function isRendered(el) {
+    if (typeof el.checkVisibility === 'function') {
+        return el.checkVisibility({ checkVisibilityCSS: true, visibilityProperty: true });
+    }
+    const style = getComputedStyle(el);
+    if (style.display === 'none' || style.visibility === 'hidden') return false;
+    return el.getClientRects().length > 0;
+}
+
+/** Rendered and not removed from the accessibility tree with aria-hidden */
+function isExposed(el) {
+    return isRendered(el) && !el.closest('[aria-hidden="true"]');
+}
+
+/** Keyboard-focusable via Tab: rendered, enabled, not inert, tabindex ≥ 0 */
+function isTabbable(el) {
+    if (el.disabled || el.closest('[inert]') || !isRendered(el)) return false;
+    if (el.tabIndex < 0) return false;
+    const tag = el.tagName.toLowerCase();
+    if (el.hasAttribute('tabindex')) return true;
+    if (tag === 'a' || tag === 'area') return el.hasAttribute('href');
+    if (tag === 'input') return el.type !== 'hidden';
+    if (['button', 'select', 'textarea', 'iframe', 'summary'].includes(tag)) return true;
+    return el.isContentEditable;
+}
+
+/** Explicit role (first token), otherwise the HTML implicit role */
+function roleOf(el) {
+    const explicit = (el.getAttribute('role') || '').trim().split(/\s+/)[0];
+    if (explicit) return explicit;
+
+    const tag = el.tagName.toLowerCase();
+    const sectioning = 'article, aside, main, nav, section';
+    const named = () => el.hasAttribute('aria-label') || el.hasAttribute('aria-labelledby') || el.hasAttribute('title');
+    switch (tag) {
+        case 'a': case 'area': return el.hasAttribute('href') ? 'link' : null;
+        case 'button': case 'summary': return 'button';
+        case 'input': {
+            const type = (el.type || 'text').toLowerCase();
+            if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+            if (type === 'checkbox') return 'checkbox';
+            if (type === 'radio') return 'radio';
+            if (type === 'range') return 'slider';
+            if (type === 'number') return 'spinbutton';
+            if (type === 'search') return el.hasAttribute('list') ? 'combobox' : 'searchbox';
+            if (['text', 'email', 'tel', 'url', 'password'].includes(type)) return el.hasAttribute('list') ? 'combobox' : 'textbox';
+            return null;
+        }
+        case 'select': return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+        case 'textarea': return 'textbox';
+        case 'img': return el.getAttribute('alt') === '' ? 'presentation' : 'img';
+        case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': return 'heading';
+        case 'main': return 'main';
+        case 'nav': return 'navigation';
+        case 'aside': return 'complementary';
+        case 'search': return 'search';
+        case 'header': return el.parentElement && el.parentElement.closest(sectioning) ? null : 'banner';
+        case 'footer': return el.parentElement && el.parentElement.closest(sectioning) ? null : 'contentinfo';
+        case 'form': return named() ? 'form' : null;
+        case 'section': return named() ? 'region' : null;
+        case 'dialog': return 'dialog';
+        default: return null;
+    }
+}
+
+/** Text an element contributes to a name computed from content */
+function nameFromContent(el) {
+    const parts = [];
+    for (const node of el.childNodes) {
+        if (node.nodeType === 3) {
+            parts.push(node.textContent);
+        } else if (node.nodeType === 1) {
+            if (node.getAttribute('aria-hidden') === 'true' || !isRendered(node)) continue;
+            const tag = node.tagName.toLowerCase();
+            const label = node.getAttribute('aria-label');
+            if (label && label.trim()) parts.push(label);
+            else if (tag === 'img') parts.push(node.getAttribute('alt') || '');
+            else if (tag === 'svg') parts.push((node.querySelector('title') || {}).textContent || '');
+            else parts.push(nameFromContent(node));
+        }
+    }
+    return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Simplified accessible name computation (accname 1.2 steps that matter for
+ * audits): aria-labelledby, aria-label, <label>, alt, button value, content, title,
+ * placeholder. Returns { name, source }.
+ */
+function accessibleName(el) {
+    const tag = el.tagName.toLowerCase();
+    const labelledBy = (el.getAttribute('aria-labelledby') || '').trim();
+    if (labelledBy) {
+        const text = labelledBy.split(/\s+/)
+            .map(id => document.getElementById(id))
+            .filter(Boolean)
+            .map(node => (node.textContent || '').trim())
+            .join(' ')
+            .trim();
+        if (text) return { name: text, source: 'aria-labelledby' };
+    }
+
+    const ariaLabel = (el.getAttribute('aria-label') || '').trim();
+    if (ariaLabel) return { name: ariaLabel, source: 'aria-label' };
+
+    if (el.labels && el.labels.length > 0) {
+        const text = Array.from(el.labels).map(label => nameFromContent(label)).join(' ').trim();
+        if (text) return { name: text, source: 'label' };
+    }
+
+    if (tag === 'img' || tag === 'area' || (tag === 'input' && el.type === 'image')) {
+        const alt = el.getAttribute('alt');
+        if (alt !== null && alt.trim()) return { name: alt.trim(), source: 'alt' };
+    }
+
+    if (tag === 'input' && ['submit', 'reset', 'button'].includes(el.type)) {
+        const value = (el.value || (el.type === 'submit' ? 'Submit' : el.type === 'reset' ? 'Reset' : '')).trim();
+        if (value) return { name: value, source: 'value' };
+    }
+
+    const role = roleOf(el);
+    const fromContent = ['button', 'link', 'heading', 'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio',
+        'option', 'checkbox', 'radio', 'switch', 'treeitem', 'cell', 'columnheader', 'rowheader', 'tooltip'];
+    if (fromContent.includes(role) && !['input', 'select', 'textarea'].includes(tag)) {
+        const text = nameFromContent(el);
+        if (text) return { name: text, source: 'content' };
+    }
+
+    const title = (el.getAttribute('title') || '').trim();
+    if (title) return { name: title, source: 'title' };
+
+    const placeholder = (el.getAttribute('placeholder') || '').trim();
+    if (placeholder) return { name: placeholder, source: 'placeholder' };
+
+    return { name: '', source: null };
+}
+
+// ---------------------------------------------------------------------------
+// IN-PAGE AUDIT
+// ---------------------------------------------------------------------------
+
+/**
+ * The audit pass. Runs inside page.evaluate() with the helpers above in scope.
+ *
+ * @param {Object} options - { selector, rules, maxPerRule }
+ * @param {Object} data - { roles, attributes, requiredAttributes, minTargetSize }
+ * @returns {{ url, title, violations, incomplete, truncated, focusableCount } | { error }}
+ */
+function runAudit(options, data) {
+    const enabled = new Set(options.rules);
+    const root = options.selector ? document.querySelector(options.selector) : document.body;
+    if (!root) return { error: `Element not found: ${options.selector}` };
+    const pageLevel = !options.selector;
+
+    const violations = [];
+    const incomplete = [];
+    const counts = {};
+    const truncated = {};
+    const fingerprints = new Map();
+
+    const describe = el => {
+        if (!fingerprints.has(el)) fingerprints.set(el, describeElement(el, 'a11y' + (fingerprints.size + 1)));
+        return fingerprints.get(el);
+    };
+    const record = (list, rule, el, message, details) => {
+        if (!enabled.has(rule)) return;
+        const key = (list === incomplete ? 'review:' : '') + rule;
+        counts[key] = (counts[key] || 0) + 1;
+        if (counts[key] > options.maxPerRule) {
+            truncated[key] = counts[key] - options.maxPerRule;
+            return;
+        }
+        list.push({ rule, message, element: el ? describe(el) : null, details: details || undefined });
+    };
+    const fail = (rule, el, message, details) => record(violations, rule, el, message, details);
+    const review = (rule, el, message, details) => record(incomplete, rule, el, message, details);
+
+    const elements = [root, ...root.querySelectorAll('*')]
+        .filter(el => !['script', 'style', 'template', 'noscript', 'head', 'meta', 'link'].includes(el.tagName.toLowerCase()));
+    const idExists = id => !!document.getElementById(id);
+
+    // ── Document ──
+    if (pageLevel) {
+        const lang = (document.documentElement.getAttribute('lang') || '').trim();
+        if (!lang) fail('html-lang', document.documentElement, '<html> element has no lang attribute');
+        else if (!/^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i.test(lang)) fail('html-lang', document.documentElement, `lang="${lang}" is not a valid language tag`);
+
+        if (!document.title.trim()) fail('document-title', document.documentElement, 'Document has no title');
+    }
+
+    // ── Landmarks ──
+    if (pageLevel) {
+        const landmarkRoles = ['banner', 'complementary', 'contentinfo', 'form', 'main', 'navigation', 'region', 'search'];
+        const landmarks = [...document.body.querySelectorAll('*')]
+            .filter(el => landmarkRoles.includes(roleOf(el)) && isExposed(el));
+
+        const mains = landmarks.filter(el => roleOf(el) === 'main');
+        if (mains.length === 0) fail('landmark-one-main', document.documentElement, 'Page has no main landmark');
+        mains.slice(1).forEach(el => fail('landmark-one-main', el, `Page has ${mains.length} main landmarks`));
+
+        const byRole = {};
+        for (const el of landmarks) (byRole[roleOf(el)] = byRole[roleOf(el)] || []).push(el);
+        for (const role of ['banner', 'contentinfo']) {
+            (byRole[role] || []).slice(1).forEach(el => fail('landmark-unique', el, `Page has ${byRole[role].length} ${role} landmarks`));
+        }
+        for (const role of ['navigation', 'complementary', 'region', 'form', 'search']) {
+            const seen = new Map();
+            for (const el of byRole[role] || []) {
+                const name = accessibleName(el).name.toLowerCase();
+                if (seen.has(name)) {
+                    fail('landmark-unique', el, name
+                        ? `Multiple ${role} landmarks are named "${accessibleName(el).name}"`
+                        : `Multiple ${role} landmarks have no name to tell them apart`);
+                } else {
+                    seen.set(name, el);
+                }
+            }
+        }
+
+        const inLandmark = el => {
+            for (let node = el; node && node !== document.body; node = node.parentElement) {
+                const role = roleOf(node);
+                if (landmarkRoles.includes(role) || role === 'dialog' || role === 'alertdialog') return true;
+            }
+            return false;
+        };
+        const reportedRegions = new Set();
+        for (const el of document.body.querySelectorAll('*')) {
+            const hasText = Array.from(el.childNodes).some(n => n.nodeType === 3 && n.textContent.trim());
+            if (!hasText || !isExposed(el) || inLandmark(el)) continue;
+            // Skip links ahead of the landmarks are the expected exception
+            if (el.closest('a[href^="#"]')) continue;
+            let top = el;
+            while (top.parentElement && top.parentElement !== document.body) top = top.parentElement;
+            if (reportedRegions.has(top)) continue;
+            reportedRegions.add(top);
+            fail('region', top, 'Content is not contained in any landmark');
+        }
+    }
+
+    // ── Headings ──
+    let previousLevel = 0;
+    for (const el of elements) {
+        if (roleOf(el) !== 'heading' || !isExposed(el)) continue;
+        const tagLevel = /^h([1-6])$/i.exec(el.tagName);
+        const level = parseInt(el.getAttribute('aria-level'), 10) || (tagLevel ? Number(tagLevel[1]) : 2);
+        if (!accessibleName(el).name) fail('empty-heading', el, `h${level} heading has no text`);
+        if (previousLevel && level > previousLevel + 1) {
+            fail('heading-order', el, `Heading level jumps from h${previousLevel} to h${level}`, { from: previousLevel, to: level });
+        }
+        previousLevel = level;
+    }
+
+    // ── Form labels ──
+    const fieldRoles = ['textbox', 'searchbox', 'combobox', 'listbox', 'spinbutton', 'slider', 'checkbox', 'radio', 'switch'];
+    for (const el of elements) {
+        const tag = el.tagName.toLowerCase();
+        const isNativeField = (tag === 'input' && !['hidden', 'submit', 'button', 'reset', 'image'].includes(el.type)) ||
+            tag === 'select' || tag === 'textarea';
+        const isAriaField = !isNativeField && el.hasAttribute('role') && fieldRoles.includes(roleOf(el));
+        if ((!isNativeField && !isAriaField) || !isExposed(el)) continue;
+
+        const { name, source } = accessibleName(el);
+        if (!name) {
+            fail('label', el, `${tag}${el.type ? `[type=${el.type}]` : ''} has no accessible name`);
+        } else if (source === 'placeholder' || source === 'title') {
+            review('label', el, `Field is labelled only by its ${source} "${name}"`, { source });
+        }
+    }
+    for (const label of root.querySelectorAll('label[for]')) {
+        const target = document.getElementById(label.getAttribute('for'));
+        const labelable = target && ['input', 'select', 'textarea', 'button', 'meter', 'output', 'progress'].includes(target.tagName.toLowerCase());
+        if (!target) fail('label-for', label, `<label for="${label.getAttribute('for')}"> points at a missing id`);
+        else if (!labelable) fail('label-for', label, `<label for="${label.getAttribute('for')}"> points at a <${target.tagName.toLowerCase()}>, which cannot be labelled`);
+    }
+
+    // ── Names: images, buttons, links ──
+    for (const el of elements) {
+        if (!isExposed(el)) continue;
+        const tag = el.tagName.toLowerCase();
+        const role = roleOf(el);
+        if ((tag === 'img' && !['presentation', 'none'].includes(role)) || (role === 'img' && tag !== 'svg') || (tag === 'input' && el.type === 'image')) {
+            if (tag === 'img' && !el.hasAttribute('alt') && !accessibleName(el).name) fail('image-alt', el, 'Image has no alt attribute');
+            else if (!accessibleName(el).name && tag !== 'img') fail('image-alt', el, 'Image has no text alternative');
+        } else if (tag === 'svg' && role === 'img' && !accessibleName(el).name && !el.querySelector('title')) {
+            fail('image-alt', el, 'svg[role=img] has no text alternative');
+        } else if (role === 'button' && !accessibleName(el).name) {
+            fail('button-name', el, 'Button has no accessible name');
+        } else if (role === 'link' && !accessibleName(el).name) {
+            fail('link-name', el, 'Link has no accessible name');
+        }
+    }
+
+    // ── ARIA ──
+    const abstractRoles = ['command', 'composite', 'input', 'landmark', 'range', 'roletype', 'section', 'sectionhead', 'select', 'structure', 'widget', 'window'];
+    const isValidRole = role => data.roles.includes(role) || /^(doc|graphics)-[a-z]+$/.test(role);
+    for (const el of elements) {
+        const roleAttr = (el.getAttribute('role') || '').trim();
+        if (el.hasAttribute('role')) {
+            const tokens = roleAttr.split(/\s+/).filter(Boolean);
+            const valid = tokens.filter(isValidRole);
+            if (tokens.length === 0) fail('aria-roles', el, 'role attribute is empty');
+            else if (valid.length === 0) {
+                const abstract = tokens.filter(t => abstractRoles.includes(t));
+                fail('aria-roles', el, abstract.length > 0
+                    ? `role="${roleAttr}" uses abstract role(s) ${abstract.join(', ')}`
+                    : `role="${roleAttr}" is not a valid ARIA role`);
+            }
+        }
+
+        for (const attr of el.attributes) {
+            if (!attr.name.startsWith('aria-')) continue;
+            const spec = data.attributes[attr.name];
+            if (!spec) {
+                fail('aria-valid-attr', el, `${attr.name} is not a WAI-ARIA attribute`, { attribute: attr.name });
+                continue;
+            }
+            const problem = validateAriaValue(spec, attr.value, idExists);
+            if (problem) fail('aria-valid-attr-value', el, `${attr.name}: ${problem}`, { attribute: attr.name, value: attr.value });
+        }
+
+        const required = data.requiredAttributes[roleAttr.split(/\s+/)[0]];
+        if (required && !(required.native && el.matches(required.native))) {
+            const missing = required.attributes.filter(name => !el.hasAttribute(name));
+            if (missing.length > 0) fail('aria-required-attr', el, `role="${roleAttr}" requires ${missing.join(', ')}`, { missing });
+        }
+
+        if (el.getAttribute('aria-hidden') === 'true' && !(el.parentElement && el.parentElement.closest('[aria-hidden="true"]'))) {
+            for (const focusable of [el, ...el.querySelectorAll('*')]) {
+                if (isTabbable(focusable)) fail('aria-hidden-focus', focusable, 'Focusable element is inside aria-hidden="true" content');
+            }
+        }
+
+        const tabindex = parseInt(el.getAttribute('tabindex'), 10);
+        if (tabindex > 0) fail('tabindex-positive', el, `tabindex="${tabindex}" overrides the natural focus order`, { tabindex });
+    }
+
+    // ── Duplicate IDs ──
+    const referenced = new Set();
+    for (const el of document.querySelectorAll('label[for]')) referenced.add(el.getAttribute('for'));
+    const idrefAttrs = ['aria-activedescendant', 'aria-controls', 'aria-describedby', 'aria-details', 'aria-errormessage', 'aria-flowto', 'aria-labelledby', 'aria-owns'];
+    for (const el of document.querySelectorAll(idrefAttrs.map(a => `[${a}]`).join(','))) {
+        for (const attr of idrefAttrs) (el.getAttribute(attr) || '').split(/\s+/).filter(Boolean).forEach(id => referenced.add(id));
+    }
+    const byId = new Map();
+    for (const el of document.querySelectorAll('[id]')) {
+        if (!el.id) continue;
+        (byId.get(el.id) || byId.set(el.id, []).get(el.id)).push(el);
+    }
+    for (const [id, list] of byId) {
+        if (list.length < 2) continue;
+        const rule = referenced.has(id) ? 'duplicate-id-aria' : 'duplicate-id';
+        list.slice(1).filter(el => root.contains(el))
+            .forEach(el => fail(rule, el, `id="${id}" is used by ${list.length} elements`, { id, count: list.length }));
+    }
+
+    // ── Target size ──
+    const interactiveRoles = ['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'menuitemcheckbox',
+        'menuitemradio', 'option', 'slider', 'combobox', 'textbox', 'searchbox', 'spinbutton', 'treeitem'];
+    const targetEls = enabled.has('target-size')
+        ? elements.filter(el => interactiveRoles.includes(roleOf(el)) && isExposed(el) && !el.disabled)
+        : [];
+    const targets = targetEls.map(el => {
+        const rect = el.getBoundingClientRect();
+        const tag = el.tagName.toLowerCase();
+        const style = getComputedStyle(el);
+        // Inline links inside a sentence, and labelled native checkboxes/radios sized by the UA, are exempt
+        const inlineLink = tag === 'a' && style.display === 'inline' && el.parentElement &&
+            (el.parentElement.textContent || '').trim().length > (el.textContent || '').trim().length;
+        const uaControl = tag === 'input' && ['checkbox', 'radio'].includes(el.type) && el.labels && el.labels.length > 0 && style.appearance !== 'none';
+        return { x: rect.x, y: rect.y, width: rect.width, height: rect.height, exempt: inlineLink || uaControl };
+    });
+    for (const { index, conflictsWith } of findTargetSizeViolations(targets, data.minTargetSize)) {
+        const t = targets[index];
+        fail('target-size', targetEls[index],
+            `Target is ${Math.round(t.width)}×${Math.round(t.height)}px with another target within ${data.minTargetSize / 2}px of its centre`,
+            { width: Math.round(t.width), height: Math.round(t.height), crowdedBy: describe(targetEls[conflictsWith]).cssPath });
+    }
+
+    // ── Color contrast ──
+    if (enabled.has('color-contrast')) {
+        for (const el of elements) {
+            const hasText = Array.from(el.childNodes).some(n => n.nodeType === 3 && n.textContent.trim());
+            if (!hasText || !isRendered(el) || el.disabled || el.closest('[aria-disabled="true"]')) continue;
+            const style = getComputedStyle(el);
+            const fontSize = parseFloat(style.fontSize);
+            if (!fontSize) continue;
+
+            let opacity = 1;
+            let backgroundImage = false;
+            const layers = [];
+            for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+                const s = node === el ? style : getComputedStyle(node);
+                opacity *= parseFloat(s.opacity);
+                if (backgroundImage || layers.some(l => l.a >= 1)) continue;
+                if (s.backgroundImage && s.backgroundImage !== 'none') { backgroundImage = true; continue; }
+                const bg = parseColor(s.backgroundColor);
+                if (bg && bg.a > 0) layers.push(bg);
+            }
+            if (opacity === 0) continue;
+            if (backgroundImage) {
+                review('color-contrast', el, 'Text sits on a background image or gradient — check contrast manually');
+                continue;
+            }
+
+            let background = { r: 255, g: 255, b: 255, a: 1 };
+            for (let i = layers.length - 1; i >= 0; i--) background = blendColors(layers[i], background);
+            const color = parseColor(style.color);
+            if (!color) continue;
+            const foreground = blendColors({ ...color, a: color.a * opacity }, background);
+
+            const large = isLargeText(fontSize, style.fontWeight);
+            const ratio = contrastRatio(foreground, background);
+            const required = requiredContrast(large);
+            if (ratio < required) {
+                fail('color-contrast', el, `Contrast ${ratio.toFixed(2)}:1 is below ${required}:1`, {
+                    ratio: Math.round(ratio * 100) / 100,
+                    required,
+                    foreground: toHexColor(foreground),
+                    background: toHexColor(background),
+                    fontSize: style.fontSize,
+                    fontWeight: style.fontWeight,
+                    largeText: large,
+                });
+            }
+        }
+    }
+
+    return {
+        url: location.href,
+        title: document.title,
+        violations,
+        incomplete,
+        truncated,
+        focusableCount: [...document.querySelectorAll('*')].filter(isTabbable).length,
+    };
+}
+
+// ---------------------------------------------------------------------------
+// KEYBOARD PROBE (in-page step + Node-side analysis)
+// ---------------------------------------------------------------------------
+
+/**
+ * One Tab stop. Runs inside page.evaluate() after each Tab press. Remembers the
+ * previous stop on window so it can compare that element's focused styles with
+ * its styles now that focus has moved on (no change = no visible indicator).
+ */
+function probeFocusStep(selector) {
+    const state = window.__a11yFocusProbe || (window.__a11yFocusProbe = { prev: null, prevStyle: null, ids: new WeakMap(), next: 0 });
+    const styleKey = el => {
+        const s = getComputedStyle(el);
+        return [s.outlineStyle, s.outlineWidth, s.outlineColor, s.boxShadow, s.backgroundColor, s.color,
+            s.borderTopColor, s.borderBottomColor, s.borderBottomWidth, s.textDecorationLine].join('|');
+    };
+    const scope = selector ? document.querySelector(selector) : null;
+    const inScope = el => !selector || (scope ? scope.contains(el) : false);
+
+    let el = document.activeElement;
+    while (el && el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement;
+    const focused = el && el !== document.body && el !== document.documentElement ? el : null;
+
+    let previous = null;
+    if (state.prev && state.prev !== focused && state.prev.isConnected) {
+        previous = {
+            id: state.ids.get(state.prev),
+            element: describeElement(state.prev, 'focus' + state.ids.get(state.prev)),
+            indicatorChanged: styleKey(state.prev) !== state.prevStyle,
+            inScope: inScope(state.prev),
+        };
+    }
+
+    if (!focused) {
+        state.prev = null;
+        return { focus: null, previous };
+    }
+
+    if (!state.ids.has(focused)) state.ids.set(focused, ++state.next);
+    const id = state.ids.get(focused);
+
+    // Focus Not Obscured: every sampled point of the element is covered by something else
+    const rect = focused.getBoundingClientRect();
+    const points = [
+        [rect.left + rect.width / 2, rect.top + rect.height / 2],
+        [rect.left + 1, rect.top + 1], [rect.right - 1, rect.top + 1],
+        [rect.left + 1, rect.bottom - 1], [rect.right - 1, rect.bottom - 1],
+    ].filter(([x, y]) => x >= 0 && y >= 0 && x < innerWidth && y < innerHeight);
+    const covered = points.filter(([x, y]) => {
+        const hit = document.elementFromPoint(x, y);
+        return hit && hit !== focused && !focused.contains(hit) && !hit.contains(focused);
+    });
+
+    state.prev = focused;
+    state.prevStyle = styleKey(focused);
+
+    return {
+        focus: {
+            id,
+            element: describeElement(focused, 'focus' + id),
+            frame: focused.tagName === 'IFRAME',
+            obscured: points.length > 0 && covered.length === points.length,
+            inScope: inScope(focused),
+        },
+        previous,
+    };
+}
+
+/**
+ * Analyze the Tab sequence recorded by the bridge.
+ *
+ * A keyboard trap is focus returning to an element it already visited without ever
+ * leaving the page (focus on <body>) while other tabbable elements were never reached.
+ *
+ * @param {Array<{focus: Object|null, previous: Object|null}>} steps - probeFocusStep results in order
+ * @param {Object} [options]
+ * @param {number} [options.focusableCount] - Tabbable elements on the page
+ * @returns {{ violations: Array, tabStops: number, trapped: boolean, cycle: number[], complete: boolean }}
+ *   `complete` — focus left the page or revisited an element, so further Tab presses add nothing
+ */
+function analyzeFocusSequence(steps, { focusableCount = Infinity } = {}) {
+    const violations = [];
+    const reported = new Set();
+    const once = (rule, element, message, details) => {
+        const key = `${rule}:${element.ref}`;
+        if (reported.has(key)) return;
+        reported.add(key);
+        violations.push({ rule, message, element, details });
+    };
+
+    const visited = [];
+    let trapped = false;
+    let cycle = [];
+    let complete = false;
+
+    for (const step of steps) {
+        if (step.previous && !step.previous.indicatorChanged && step.previous.inScope !== false && step.previous.element.tag !== 'iframe') {
+            once('focus-visible', step.previous.element, 'No visible change when this element receives keyboard focus');
+        }
+        if (!step.focus) {
+            if (visited.length > 0) {
+                complete = true;  // left the page — Tab order completed normally
+                break;
+            }
+            continue;
+        }
+
+        const { id, element, obscured, frame, inScope } = step.focus;
+        if (obscured && inScope !== false) once('focus-obscured', element, 'Focused element is completely hidden behind other content');
+
+        // Tab moving between controls inside an iframe keeps the iframe as activeElement
+        if (frame && visited[visited.length - 1] === id) continue;
+
+        const seenAt = visited.indexOf(id);
+        if (seenAt !== -1) {
+            complete = true;
+            const distinct = visited.length;
+            if (distinct < focusableCount) {
+                trapped = true;
+                cycle = visited.slice(seenAt);
+                once('keyboard-trap', element, cycle.length === 1
+                    ? 'Tab does not move focus away from this element'
+                    : `Tab cycles through ${cycle.length} elements and cannot leave them (${distinct} of ${focusableCount} focusable elements reached)`,
+                { cycleLength: cycle.length, reached: distinct, focusable: focusableCount });
+            }
+            break;
+        }
+        visited.push(id);
+    }
+
+    return { violations, tabStops: visited.length, trapped, cycle, complete };
+}
+
+// ---------------------------------------------------------------------------
+// PAGE SOURCE BUILDERS
+// ---------------------------------------------------------------------------
+
+const SHARED_PAGE_HELPERS = [
+    parseColor, blendColors, relativeLuminance, contrastRatio, isLargeText, requiredContrast, toHexColor,
+    validateAriaValue, findTargetSizeViolations, describeElement, isRendered, isExposed, isTabbable,
+    roleOf, nameFromContent, accessibleName,
+].map(fn => fn.toString()).join('\n\n');
+
+/**
+ * JS source for the in-page audit pass — evaluate with page.evaluate(source).
+ * @param {Object} options
+ * @param {string[]} options.rules - From selectAuditRules()
+ * @param {string} [options.selector] - Audit only this subtree
+ * @param {number} [options.maxPerRule]
+ * @returns {string}
+ */
+function getAuditSource({ rules, selector = null, maxPerRule = DEFAULT_MAX_PER_RULE }) {
+    const data = {
+        roles: ARIA_ROLES,
+        attributes: ARIA_ATTRIBUTES,
+        requiredAttributes: REQUIRED_ARIA_ATTRIBUTES,
+        minTargetSize: MIN_TARGET_SIZE,
+    };
+    return `(function() {
+${SHARED_PAGE_HELPERS}
+
+${runAudit.toString()}
+
+return runAudit(${JSON.stringify({ rules, selector, maxPerRule })}, ${JSON.stringify(data)});
+})()`;
+}
+
+/**
+ * JS source for one keyboard-probe step — evaluate after each Tab press.
+ * @param {string} [selector] - Scope of the audit; stops outside it are not reported
+ * @returns {string}
+ */
+function getFocusProbeSource(selector = null) {
+    return `(function() {
+${SHARED_PAGE_HELPERS}
+
+${probeFocusStep.toString()}
+
+return probeFocusStep(${JSON.stringify(selector)});
+})()`;
+}
+
+// ---------------------------------------------------------------------------
+// RESULT ASSEMBLY
+// ---------------------------------------------------------------------------
+
+/**
+ * Best selector for a reported element: SelectorEngine's CSS selector when the
+ * uniqueness pass confirmed it matches exactly one node, otherwise the structural
+ * cssPath. The Playwright locator always comes from SelectorEngine.
+ *
+ * @param {Object|null} element - Fingerprint from describeElement
+ * @param {Object} matchCounts - From SelectorEngine.getUniquenessValidationScript
+ * @returns {{selector: string|null, locator: string|null, selectorStrategy: string|null}}
+ */
+function resolveIssueSelector(element, matchCounts = {}) {
+    if (!element) return { selector: null, locator: null, selectorStrategy: null };
+    const best = SelectorEngine.generateUniqueSelector(element, matchCounts);
+    const unique = best.cssSelector && matchCounts[best.cssSelector] === 1;
+    return {
+        selector: unique ? best.cssSelector : (element.cssPath || best.cssSelector),
+        locator: best.primary,
+        selectorStrategy: unique ? best.strategy : 'css-path',
+    };
+}
+
+/** Fingerprints of every element referenced by findings — feed to the uniqueness pass */
+function collectIssueElements(findings) {
+    const seen = new Set();
+    return findings.map(f => f.element).filter(el => el && !seen.has(el.ref) && seen.add(el.ref));
+}
+
+function toIssue(finding, matchCounts) {
+    const rule = A11Y_RULES[finding.rule];
+    return {
+        rule: finding.rule,
+        severity: rule.severity,
+        category: rule.category,
+        wcag: rule.wcag.map(criterion => ({ criterion, ...WCAG_CRITERIA[criterion] })),
+        message: finding.message,
+        ...resolveIssueSelector(finding.element, matchCounts),
+        html: finding.element?.html || null,
+        bounds: finding.element?.bounds || null,
+        details: finding.details || undefined,
+    };
+}
+
+/**
+ * Turn raw in-page + keyboard findings into the tool result.
+ *
+ * @param {Object} raw - runAudit() output, with keyboard violations merged into `violations`
+ * @param {Object} options
+ * @param {string[]} options.rules - Rules that ran
+ * @param {string} [options.level='AA']
+ * @param {string} [options.selector]
+ * @param {Object} [options.matchCounts] - SelectorEngine uniqueness counts
+ * @param {Object} [options.keyboard] - analyzeFocusSequence() output
+ * @param {string} [options.state] - UI state the page was in (e.g. "login-modal-open")
+ * @returns {Object}
+ */
+function buildAuditResult(raw, { rules, level = 'AA', selector = null, matchCounts = {}, keyboard = null, state = null }) {
+    const bySeverity = (a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || a.rule.localeCompare(b.rule);
+    const issues = raw.violations.filter(v => rules.includes(v.rule)).map(v => toIssue(v, matchCounts)).sort(bySeverity);
+    const needsReview = (raw.incomplete || []).filter(v => rules.includes(v.rule)).map(v => toIssue(v, matchCounts)).sort(bySeverity);
+
+    const summary = {
+        total: issues.length,
+        bySeverity: Object.fromEntries(SEVERITIES.map(s => [s, issues.filter(i => i.severity === s).length])),
+        byRule: {},
+        byCriterion: {},
+    };
+    for (const issue of issues) {
+        summary.byRule[issue.rule] = (summary.byRule[issue.rule] || 0) + 1;
+        for (const { criterion } of issue.wcag) summary.byCriterion[criterion] = (summary.byCriterion[criterion] || 0) + 1;
+    }
+
+    const errors = summary.bySeverity.critical + summary.bySeverity.serious;
+    return {
+        url: raw.url,
+        title: raw.title,
+        state: state || null,
+        standard: 'WCAG 2.2',
+        level,
+        scope: selector || null,
+        auditedAt: new Date().toISOString(),
+        rulesRun: rules,
+        passed: issues.length === 0,
+        issueCount: issues.length,
+        errors,
+        warnings: issues.length - errors,
+        summary,
+        issues,
+        needsReview,
+        truncated: raw.truncated && Object.keys(raw.truncated).length > 0 ? raw.truncated : undefined,
+        keyboard: keyboard ? { tabStops: keyboard.tabStops, trapped: keyboard.trapped } : undefined,
+    };
+}
+
+// ---------------------------------------------------------------------------
+// PAGE AUDIT (Playwright page)
+// ---------------------------------------------------------------------------
+
+/**
+ * Tab through the page from the top, recording each focus stop.
+ * Focus is cleared before and after so the probe leaves no trace.
+ *
+ * @param {import('playwright').Page} page
+ * @param {Object} options
+ * @param {string} [options.selector]
+ * @param {number} options.focusableCount - From the audit pass
+ * @param {number} [options.maxTabStops]
+ * @returns {Promise<Object>} analyzeFocusSequence() output
+ */
+async function probeKeyboardFocus(page, { selector = null, focusableCount, maxTabStops = DEFAULT_MAX_TAB_STOPS }) {
+    const clearFocus = () => page.evaluate(() => {
+        if (document.activeElement && document.activeElement.blur) document.activeElement.blur();
+        delete window.__a11yFocusProbe;
+    });
+
+    await clearFocus();
+    const stepSource = getFocusProbeSource(selector);
+    const steps = [];
+    const limit = Math.min(focusableCount + 3, maxTabStops);
+    for (let i = 0; i < limit; i++) {
+        await page.keyboard.press('Tab');
+        try {
+            steps.push(await page.evaluate(stepSource));
+        } catch (error) {
+            // Tab activated something that navigated away — nothing more to probe
+            break;
+        }
+        if (analyzeFocusSequence(steps, { focusableCount }).complete) break;
+    }
+    await clearFocus().catch(() => { /* page may have navigated */ });
+
+    return analyzeFocusSequence(steps, { focusableCount });
+}
+
+/**
+ * Audit a Playwright page: the in-page rule pass, the keyboard probe when a
+ * keyboard rule is selected, and SelectorEngine selectors for every finding.
+ *
+ * @param {import('playwright').Page} page
+ * @param {Object} [options]
+ * @param {string} [options.selector] - Audit only this subtree
+ * @param {string} [options.level='AA']
+ * @param {string[]} [options.rules] - Rule ids or categories (default: all at `level`)
+ * @param {boolean} [options.keyboard=true] - Tab through the page (moves focus)
+ * @param {number} [options.maxTabStops]
+ * @param {number} [options.maxPerRule]
+ * @param {string} [options.state] - UI state label recorded in the result
+ * @returns {Promise<Object>} buildAuditResult() output
+ */
+async function auditPage(page, options = {}) {
+    const { selector, level = 'AA', keyboard = true, state } = options;
+    const rules = selectAuditRules({ rules: options.rules, level });
+
+    const raw = await page.evaluate(getAuditSource({ rules, selector, maxPerRule: options.maxPerRule }));
+    if (raw.error) throw new Error(raw.error);
+
+    let keyboardResult = null;
+    if (keyboard && rules.some(rule => A11Y_RULES[rule].keyboard)) {
+        keyboardResult = await probeKeyboardFocus(page, {
+            selector,
+            focusableCount: raw.focusableCount,
+            maxTabStops: options.maxTabStops || DEFAULT_MAX_TAB_STOPS,
+        });
+        raw.violations.push(...keyboardResult.violations);
+    }
+
+    // Same uniqueness pass as unified_snapshot, so selectors are ranked identically
+    const elements = collectIssueElements([...raw.violations, ...raw.incomplete]);
+    let matchCounts = {};
+    if (elements.length > 0) {
+        try {
+            matchCounts = await page.evaluate(SelectorEngine.getUniquenessValidationScript(elements));
+        } catch (error) {
+            console.error('[A11y] Uniqueness validation failed (non-fatal):', error.message);
+        }
+    }
+
+    return buildAuditResult(raw, { rules, level, selector, matchCounts, keyboard: keyboardResult, state });
+}
+
+// ---------------------------------------------------------------------------
+// REPORT EXPORT (BugGenie attachments)
+// ---------------------------------------------------------------------------
+
+const cell = value => String(value ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+/**
+ * Markdown report — the body BugGenie attaches to (or pastes into) a Jira defect.
+ * @param {Object} result - buildAuditResult() output
+ * @returns {string}
+ */
+function formatAuditMarkdown(result) {
+    const counts = SEVERITIES.filter(s => result.summary.bySeverity[s] > 0)
+        .map(s => `${result.summary.bySeverity[s]} ${s}`)
+        .join(', ');
+    const lines = [
+        `# Accessibility audit — ${result.title || result.url}`,
+        '',
+        `- **URL:** ${result.url}`,
+        ...(result.state ? [`- **State:** ${result.state}`] : []),
+        `- **Standard:** ${result.standard} Level ${result.level}`,
+        `- **Scope:** ${result.scope ? `\`${result.scope}\`` : 'full page'}`,
+        `- **Audited:** ${result.auditedAt}`,
+        `- **Result:** ${result.passed ? 'no issues found' : `${result.issueCount} issue(s) — ${counts}`}`,
+    ];
+    if (result.keyboard) {
+        lines.push(`- **Keyboard:** ${result.keyboard.tabStops} tab stop(s)${result.keyboard.trapped ? ', focus trapped' : ''}`);
+    }
+
+    const table = issues => [
+        '| # | Severity | Rule | WCAG 2.2 | Selector | Problem |',
+        '|---|----------|------|----------|----------|---------|',
+        ...issues.map((issue, i) => {
+            const wcag = issue.wcag.length > 0
+                ? issue.wcag.map(c => `${c.criterion} ${c.name} (${c.level})`).join('; ')
+                : 'Best practice';
+            return `| ${i + 1} | ${issue.severity} | ${issue.rule} | ${cell(wcag)} | \`${cell(issue.selector)}\` | ${cell(issue.message)} |`;
+        }),
+    ];
+
+    if (result.issues.length > 0) lines.push('', '## Issues', '', ...table(result.issues));
+    if (result.needsReview.length > 0) lines.push('', '## Needs manual review', '', ...table(result.needsReview));
+    if (result.truncated) {
+        lines.push('', '## Not listed', '', ...Object.entries(result.truncated).map(([rule, n]) => `- ${rule}: ${n} more`));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/** Report directory: the run's evidence folder under the SDK, otherwise test-results/accessibility */
+function defaultReportDir() {
+    const runId = process.env.SDK_RUN_ID;
+    return runId ? path.join('test-results', 'mission-evidence', runId, 'accessibility') : DEFAULT_REPORT_DIR;
+}
+
+/**
+ * Write the audit as report files (JSON and/or Markdown).
+ * @param {Object} result - buildAuditResult() output
+ * @param {Object} [options]
+ * @param {'json'|'markdown'|'both'} [options.format='both']
+ * @param {string} [options.outputDir]
+ * @param {string} [options.name] - File name without extension
+ * @returns {Promise<{json?: string, markdown?: string}>} Absolute paths
+ */
+async function writeAuditReport(result, { format = 'both', outputDir, name } = {}) {
+    if (!['json', 'markdown', 'both'].includes(format)) {
+        throw new Error(`Unknown report format "${format}". Use json, markdown or both`);
+    }
+    const dir = path.resolve(outputDir || defaultReportDir());
+    await mkdir(dir, { recursive: true });
+
+    let slug = 'page';
+    try {
+        const url = new URL(result.url);
+        slug = `${url.hostname}${url.pathname}`.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').slice(0, 60) || 'page';
+    } catch { /* about:blank and friends */ }
+    if (result.state) slug = String(result.state).replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').slice(0, 60) || slug;
+    const base = name || `a11y-${slug}-${result.auditedAt.replace(/[:.]/g, '-')}`;
+
+    const written = {};
+    if (format !== 'markdown') {
+        written.json = path.join(dir, `${base}.json`);
+        await writeFile(written.json, JSON.stringify(result, null, 2));
+    }
+    if (format !== 'json') {
+        written.markdown = path.join(dir, `${base}.md`);
+        await writeFile(written.markdown, formatAuditMarkdown(result));
+    }
+    return written;
+}
+
+// ---------------------------------------------------------------------------
+// EXPORTS
+// ---------------------------------------------------------------------------
+
+export {
+    A11Y_RULES,
+    WCAG_CRITERIA,
+    SEVERITIES,
+    ARIA_ROLES,
+    ARIA_ATTRIBUTES,
+    REQUIRED_ARIA_ATTRIBUTES,
+    MIN_TARGET_SIZE,
+    DEFAULT_MAX_TAB_STOPS,
+    selectAuditRules,
+    parseColor,
+    blendColors,
+    relativeLuminance,
+    contrastRatio,
+    isLargeText,
+    requiredContrast,
+    validateAriaValue,
+    findTargetSizeViolations,
+    analyzeFocusSequence,
+    getAuditSource,
+    getFocusProbeSource,
+    collectIssueElements,
+    resolveIssueSelector,
+    buildAuditResult,
+    probeKeyboardFocus,
+    auditPage,
+    formatAuditMarkdown,
+    writeAuditReport,
+};
@@ -0,0 +1,416 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ * UNIT TESTS — Accessibility Audit (WCAG 2.2 rule engine)
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ *
+ * Run: node agentic-workflow/mcp-server/utils/a11y-audit.test.js
+ *
+ * Tests cover:
+ *   1. selectAuditRules — ids, categories, level filtering
+ *   2. Color parsing, blending, luminance and contrast ratios
+ *   3. validateAriaValue — every WAI-ARIA value type
+ *   4. findTargetSizeViolations — 2.5.8 size and spacing
+ *   5. analyzeFocusSequence — keyboard traps, focus visible, focus obscured
+ *   6. In-page sources, selector resolution, result assembly
+ *   7. auditPage — rule pass, keyboard probe and selectors on a stub page
+ *   8. Markdown / JSON report export
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ */
+
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+    A11Y_RULES, WCAG_CRITERIA, ARIA_ATTRIBUTES, selectAuditRules, parseColor, blendColors,
+    relativeLuminance, contrastRatio, isLargeText, requiredContrast, validateAriaValue,
+    findTargetSizeViolations, analyzeFocusSequence, getAuditSource, getFocusProbeSource,
+    collectIssueElements, resolveIssueSelector, buildAuditResult, auditPage, formatAuditMarkdown, writeAuditReport,
+} from './a11y-audit.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function assert(condition, testName) {
+    if (condition) {
+        passed++;
+        console.log(`  ✅ ${testName}`);
+    } else {
+        failed++;
+        failures.push(testName);
+        console.log(`  ❌ ${testName}`);
+    }
+}
+
+function assertEqual(actual, expected, testName) {
+    if (actual === expected) {
+        passed++;
+        console.log(`  ✅ ${testName}`);
+    } else {
+        failed++;
+        failures.push(`${testName} — expected: "${expected}", got: "${actual}"`);
+        console.log(`  ❌ ${testName}`);
+        console.log(`     expected: "${expected}"`);
+        console.log(`     actual:   "${actual}"`);
+    }
+}
+
+function assertThrows(fn, startsWith, testName) {
+    let error = null;
+    try { fn(); } catch (err) { error = err; }
+    assert(error && error.message.startsWith(startsWith), testName);
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+const element = (ref, extra = {}) => ({ ref, tag: 'div', nthIndex: 0, cssPath: `html > body > div:nth-of-type(${ref.length})`, ...extra });
+
+/** A Tab stop as probeFocusStep reports it */
+const stop = (id, extra = {}) => ({ focus: { id, element: element(`f${id}`, { tag: 'button' }), obscured: false, frame: false, inScope: true, ...extra } });
+
+/** Attach the "previous stop" record probeFocusStep adds once focus moves on */
+const leaving = (step, id, indicatorChanged = true) => ({
+    ...step,
+    previous: { id, element: element(`f${id}`, { tag: 'button' }), indicatorChanged, inScope: true },
+});
+
+/** Stand-in for a Playwright page: answers the audit, probe and uniqueness sources */
+function stubPage({ raw, steps = [], matchCounts = {} }) {
+    const calls = { sources: [], keys: [] };
+    let next = 0;
+    return {
+        calls,
+        keyboard: { press: async key => { calls.keys.push(key); } },
+        evaluate: async source => {
+            if (typeof source === 'function') return undefined;  // focus reset
+            calls.sources.push(source);
+            if (source.includes('function runAudit')) return JSON.parse(JSON.stringify(raw));
+            if (source.includes('function probeFocusStep')) return steps[next++] || { focus: null };
+            return matchCounts;
+        },
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 1. RULE SELECTION
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n📋 selectAuditRules');
+{
+    const all = selectAuditRules();
+    assertEqual(all.length, Object.keys(A11Y_RULES).length, 'default runs every rule at AA');
+
+    const levelA = selectAuditRules({ level: 'A' });
+    assert(!levelA.includes('color-contrast') && !levelA.includes('target-size'), 'level A skips AA rules');
+    assert(levelA.includes('label') && levelA.includes('keyboard-trap'), 'level A keeps A rules');
+    assert(levelA.includes('duplicate-id'), 'best-practice rules run at level A');
+    assert(selectAuditRules({ level: 'aa' }).length === all.length, 'level is case-insensitive');
+
+    assertEqual(selectAuditRules({ rules: ['color-contrast'] }).join(','), 'color-contrast', 'single rule id');
+    assertEqual(selectAuditRules({ rules: ['focus'] }).sort().join(','),
+        'focus-obscured,focus-visible,keyboard-trap,tabindex-positive', 'category expands to its rules');
+    assertEqual(selectAuditRules({ rules: ['target-size'], level: 'A' }).length, 0, 'AA rule filtered out at level A');
+
+    assertThrows(() => selectAuditRules({ rules: ['nope'] }), 'Unknown accessibility rule(s): nope', 'unknown rule rejected');
+    assertThrows(() => selectAuditRules({ level: 'AAA' }), 'Unknown WCAG level "AAA"', 'unsupported level rejected');
+
+    const unmapped = Object.values(A11Y_RULES).flatMap(rule => rule.wcag).filter(c => !WCAG_CRITERIA[c]);
+    assertEqual(unmapped.length, 0, 'every rule criterion is in WCAG_CRITERIA');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 2. COLOR & CONTRAST
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n🎨 Color & contrast');
+{
+    const red = parseColor('rgb(255, 0, 0)');
+    assert(red.r === 255 && red.g === 0 && red.b === 0 && red.a === 1, 'rgb()');
+    assertEqual(parseColor('rgba(0, 0, 0, 0.5)').a, 0.5, 'rgba() alpha');
+    assertEqual(parseColor('rgb(10 20 30 / 25%)').a, 0.25, 'space syntax with percent alpha');
+    assertEqual(parseColor('#0f0').g, 255, '#rgb shorthand');
+    assertEqual(Math.round(parseColor('#11223380').a * 100), 50, '#rrggbbaa alpha');
+    assertEqual(parseColor('transparent').a, 0, 'transparent');
+    assertEqual(parseColor('currentcolor'), null, 'unsupported keyword → null');
+    assertEqual(parseColor('#12345'), null, 'bad hex length → null');
+
+    const half = blendColors({ r: 0, g: 0, b: 0, a: 0.5 }, { r: 255, g: 255, b: 255, a: 1 });
+    assertEqual(Math.round(half.r), 128, 'blend 50% black over white');
+    assertEqual(half.a, 1, 'blend over opaque stays opaque');
+    assertEqual(blendColors({ r: 1, g: 2, b: 3, a: 0 }, { r: 0, g: 0, b: 0, a: 0 }).a, 0, 'transparent over transparent');
+
+    assertEqual(relativeLuminance({ r: 255, g: 255, b: 255 }), 1, 'white luminance 1');
+    assertEqual(relativeLuminance({ r: 0, g: 0, b: 0 }), 0, 'black luminance 0');
+    assertEqual(Math.round(contrastRatio({ r: 0, g: 0, b: 0 }, { r: 255, g: 255, b: 255 })), 21, 'black on white 21:1');
+    assertEqual(contrastRatio({ r: 255, g: 255, b: 255 }, { r: 255, g: 255, b: 255 }), 1, 'same color 1:1');
+    const grey = contrastRatio(parseColor('#777777'), parseColor('#ffffff'));
+    assert(grey > 4.47 && grey < 4.49, '#777 on white ≈ 4.48:1 (just fails AA)');
+    assert(contrastRatio(parseColor('#767676'), parseColor('#ffffff')) >= 4.5, '#767676 on white passes AA');
+    assertEqual(contrastRatio(parseColor('#777'), parseColor('#fff')), contrastRatio(parseColor('#fff'), parseColor('#777')), 'ratio is symmetric');
+
+    assert(isLargeText(24, '400'), '24px regular is large');
+    assert(!isLargeText(23, '400'), '23px regular is not large');
+    assert(isLargeText(18.67, '700'), '14pt bold is large');
+    assert(isLargeText(19, 'bold'), 'keyword bold');
+    assert(!isLargeText(18.67, '600'), '14pt semibold is not large');
+    assertEqual(requiredContrast(false), 4.5, 'normal text needs 4.5');
+    assertEqual(requiredContrast(true), 3, 'large text needs 3');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 3. ARIA VALUES
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n♿ validateAriaValue');
+{
+    const ids = new Set(['a', 'b']);
+    const idExists = id => ids.has(id);
+    const check = (attr, value) => validateAriaValue(ARIA_ATTRIBUTES[attr], value, idExists);
+
+    assertEqual(check('aria-busy', 'true'), null, 'boolean true');
+    assert(check('aria-busy', 'yes')?.includes('not true/false'), 'boolean rejects yes');
+    assertEqual(check('aria-pressed', 'mixed'), null, 'tristate mixed');
+    assertEqual(check('aria-checked', 'undefined'), null, 'aria-checked undefined token');
+    assertEqual(check('aria-expanded', 'undefined'), null, 'optional boolean undefined');
+    assert(check('aria-expanded', 'open') !== null, 'optional boolean rejects other tokens');
+    assertEqual(check('aria-level', '2'), null, 'integer');
+    assert(check('aria-level', '2.5') !== null, 'integer rejects decimal');
+    assertEqual(check('aria-valuenow', '2.5'), null, 'number accepts decimal');
+    assert(check('aria-valuenow', 'abc') !== null, 'number rejects text');
+    assertEqual(check('aria-live', 'polite'), null, 'token');
+    assert(check('aria-live', 'loud')?.includes('assertive/off/polite'), 'token lists allowed values');
+    assertEqual(check('aria-relevant', 'additions text'), null, 'token list');
+    assert(check('aria-relevant', 'additions bogus')?.includes('"bogus"'), 'token list names the bad token');
+    assertEqual(check('aria-activedescendant', 'a'), null, 'idref resolves');
+    assert(check('aria-activedescendant', 'zz')?.includes('missing id "zz"'), 'idref missing');
+    assert(check('aria-activedescendant', 'a b')?.includes('single ID'), 'idref rejects a list');
+    assertEqual(check('aria-labelledby', 'a  b'), null, 'idrefs resolve');
+    assert(check('aria-labelledby', 'a x y')?.includes('"x", "y"'), 'idrefs list missing ids');
+    assertEqual(check('aria-label', ''), null, 'empty string attribute allowed');
+    assertEqual(check('aria-hidden', ''), 'must not be empty', 'empty non-string rejected');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 4. TARGET SIZE
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n🎯 findTargetSizeViolations');
+{
+    const t = (x, y, width, height, extra = {}) => ({ x, y, width, height, ...extra });
+
+    assertEqual(findTargetSizeViolations([t(0, 0, 24, 24), t(24, 0, 24, 24)]).length, 0, '24×24 targets pass even when adjacent');
+    assertEqual(findTargetSizeViolations([t(0, 0, 16, 16), t(100, 0, 16, 16)]).length, 0, 'small but well spaced passes');
+
+    const crowded = findTargetSizeViolations([t(0, 0, 16, 16), t(18, 0, 16, 16)]);
+    assertEqual(crowded.length, 2, 'two small targets 2px apart both fail');
+    assertEqual(crowded[0].conflictsWith, 1, 'violation names the crowding target');
+
+    const nextToLarge = findTargetSizeViolations([t(0, 0, 16, 16), t(17, 0, 40, 40)]);
+    assertEqual(nextToLarge.length, 1, 'small target beside a large one fails (circle hits the large target)');
+    assertEqual(nextToLarge[0].index, 0, 'only the undersized target is reported');
+
+    // Centres 24px apart: circles touch but do not overlap
+    assertEqual(findTargetSizeViolations([t(0, 0, 16, 16), t(24, 0, 16, 16)]).length, 0, 'circles exactly touching pass');
+    assertEqual(findTargetSizeViolations([t(0, 0, 16, 16, { exempt: true }), t(18, 0, 30, 30)]).length, 0, 'exempt targets are skipped');
+    assertEqual(findTargetSizeViolations([t(0, 0, 0, 0), t(0, 0, 10, 10)]).length, 0, 'zero-size targets ignored');
+    assertEqual(findTargetSizeViolations([t(0, 0, 30, 20), t(0, 21, 30, 30)], 24).length, 1, 'width OK but height < 24 is undersized');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 5. KEYBOARD SEQUENCE
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n⌨️  analyzeFocusSequence');
+{
+    const normal = analyzeFocusSequence([
+        stop(1), leaving(stop(2), 1), leaving(stop(3), 2), leaving({ focus: null }, 3), stop(1),
+    ], { focusableCount: 3 });
+    assertEqual(normal.violations.length, 0, 'normal order has no violations');
+    assert(normal.complete && !normal.trapped, 'leaving the page completes the probe');
+    assertEqual(normal.tabStops, 3, 'tab stops counted');
+
+    const trap = analyzeFocusSequence([
+        stop(1), leaving(stop(2), 1), leaving(stop(3), 2), leaving(stop(2), 3),
+    ], { focusableCount: 10 });
+    assert(trap.trapped && trap.complete, 'revisit without leaving the page is a trap');
+    assertEqual(trap.cycle.join(','), '2,3', 'cycle holds the trapped elements');
+    const trapIssue = trap.violations.find(v => v.rule === 'keyboard-trap');
+    assert(trapIssue?.message.includes('3 of 10'), 'trap message reports reach');
+    assertEqual(trapIssue?.element.ref, 'f2', 'trap reported on the element focus returns to');
+
+    const stuck = analyzeFocusSequence([stop(1), stop(1)], { focusableCount: 4 });
+    assert(stuck.violations[0]?.message.includes('does not move focus'), 'focus that never moves is a trap');
+
+    const everything = analyzeFocusSequence([stop(1), stop(2), stop(1)], { focusableCount: 2 });
+    assert(!everything.trapped, 'wrapping after reaching every element is not a trap');
+
+    const frame = analyzeFocusSequence([stop(1), stop(2, { frame: true }), stop(2, { frame: true }), stop(3), { focus: null }],
+        { focusableCount: 3 });
+    assert(!frame.trapped && frame.tabStops === 3, 'tabbing inside an iframe is not a trap');
+
+    const invisible = analyzeFocusSequence([stop(1), leaving(stop(2), 1, false), leaving(stop(3), 2, false), leaving(stop(1), 3, true)],
+        { focusableCount: 3 });
+    assertEqual(invisible.violations.filter(v => v.rule === 'focus-visible').map(v => v.element.ref).join(','), 'f1,f2',
+        'unchanged styles on blur → focus-visible');
+
+    const outOfScope = analyzeFocusSequence([
+        stop(1), { ...stop(2), previous: { id: 1, element: element('f1'), indicatorChanged: false, inScope: false } },
+    ], { focusableCount: 2 });
+    assertEqual(outOfScope.violations.length, 0, 'elements outside the audited subtree are not reported');
+
+    const obscured = analyzeFocusSequence([stop(1, { obscured: true }), stop(1, { obscured: true })], { focusableCount: 1 });
+    assertEqual(obscured.violations.filter(v => v.rule === 'focus-obscured').length, 1, 'obscured focus reported once');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 6. PAGE SOURCES, SELECTORS, RESULT
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n🧩 Page sources & results');
+{
+    const source = getAuditSource({ rules: ['label', 'color-contrast'], selector: '#main' });
+    let parses = true;
+    try { new Function(`return ${source}`); } catch { parses = false; }
+    assert(parses, 'audit source is valid JavaScript');
+    assert(source.includes('"rules":["label","color-contrast"]') && source.includes('"selector":"#main"'), 'options embedded');
+    assert(source.includes('function contrastRatio') && source.includes('function runAudit'), 'helpers serialized with the audit');
+
+    let probeParses = true;
+    try { new Function(`return ${getFocusProbeSource('#main')}`); } catch { probeParses = false; }
+    assert(probeParses, 'focus probe source is valid JavaScript');
+
+    const withTestId = element('a11y1', { tag: 'input', dataTestId: 'email' });
+    const unique = resolveIssueSelector(withTestId, { '[data-testid="email"]': 1 });
+    assertEqual(unique.selector, '[data-testid="email"]', 'unique SelectorEngine CSS selector used');
+    assertEqual(unique.locator, "page.getByTestId('email')", 'Playwright locator from SelectorEngine');
+
+    const ambiguous = resolveIssueSelector(withTestId, { '[data-testid="email"]': 3 });
+    assertEqual(ambiguous.selector, withTestId.cssPath, 'non-unique selector falls back to cssPath');
+    assertEqual(ambiguous.selectorStrategy, 'css-path', 'fallback strategy reported');
+    assertEqual(resolveIssueSelector(null).selector, null, 'document-level finding has no selector');
+
+    const shared = element('a11y1');
+    assertEqual(collectIssueElements([{ element: shared }, { element: shared }, { element: null }]).length, 1, 'elements deduplicated by ref');
+
+    const raw = {
+        url: 'https://example.com/search?q=1',
+        title: 'Search',
+        violations: [
+            { rule: 'heading-order', message: 'Heading level jumps from h1 to h3', element: element('a11y1', { tag: 'h3' }) },
+            { rule: 'label', message: 'input[type=text] has no accessible name', element: withTestId },
+            { rule: 'color-contrast', message: 'Contrast 2.10:1 is below 4.5:1', element: element('a11y2'), details: { ratio: 2.1 } },
+            { rule: 'html-lang', message: '<html> element has no lang attribute', element: null },
+            { rule: 'target-size', message: 'filtered out', element: element('a11y3') },
+        ],
+        incomplete: [{ rule: 'label', message: 'Field is labelled only by its placeholder "Email"', element: withTestId }],
+        truncated: { 'color-contrast': 4 },
+    };
+    const rules = selectAuditRules({ rules: ['heading-order', 'label', 'color-contrast', 'html-lang'] });
+    const result = buildAuditResult(raw, { rules, matchCounts: { '[data-testid="email"]': 1 }, keyboard: { tabStops: 5, trapped: false } });
+
+    assertEqual(result.issues.map(i => i.rule).join(','), 'label,color-contrast,html-lang,heading-order', 'issues sorted by severity, then rule');
+    assertEqual(result.issueCount, 4, 'findings for rules that did not run are dropped');
+    assertEqual(result.errors, 3, 'critical + serious count as errors');
+    assertEqual(result.warnings, 1, 'moderate + minor count as warnings');
+    assert(!result.passed, 'failing audit not passed');
+    assertEqual(result.summary.bySeverity.critical, 1, 'summary by severity');
+    assertEqual(result.summary.byCriterion['1.3.1'], 2, 'summary by criterion (label + heading-order)');
+
+    const label = result.issues[0];
+    assertEqual(label.wcag.map(c => c.criterion).join(','), '1.3.1,4.1.2', 'WCAG criteria mapped');
+    assertEqual(label.wcag[1].name, 'Name, Role, Value', 'criterion name included');
+    assertEqual(label.selector, '[data-testid="email"]', 'issue carries its selector');
+    assertEqual(result.issues[1].details.ratio, 2.1, 'details preserved');
+    assertEqual(result.needsReview.length, 1, 'incomplete findings listed for review');
+    assertEqual(result.truncated['color-contrast'], 4, 'truncated counts kept');
+    assertEqual(result.keyboard.tabStops, 5, 'keyboard summary kept');
+    assertEqual(result.standard, 'WCAG 2.2', 'standard named');
+
+    const clean = buildAuditResult({ url: 'about:blank', title: '', violations: [], incomplete: [] }, { rules });
+    assert(clean.passed && clean.issueCount === 0 && clean.truncated === undefined, 'clean audit passes');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 7. PAGE AUDIT
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n🖥️  auditPage');
+{
+    const raw = {
+        url: 'https://example.com/login',
+        title: 'Login',
+        violations: [{ rule: 'label', message: 'input[type=text] has no accessible name', element: element('a11y1', { tag: 'input', dataTestId: 'user' }) }],
+        incomplete: [],
+        focusableCount: 2,
+    };
+    const steps = [stop(1), leaving(stop(2), 1), leaving({ focus: null }, 2, false)];
+
+    const page = stubPage({ raw, steps, matchCounts: { '[data-testid="user"]': 1 } });
+    const result = await auditPage(page, { state: 'login-modal-open' });
+    assertEqual(page.calls.keys.length, 3, 'Tab pressed until focus leaves the page');
+    assertEqual(result.keyboard.tabStops, 2, 'keyboard summary from the probe');
+    assertEqual(result.issues.map(i => i.rule).join(','), 'label,focus-visible', 'keyboard findings merged with the rule pass');
+    assertEqual(result.issues[0].selector, '[data-testid="user"]', 'uniqueness pass feeds the selectors');
+    assertEqual(result.state, 'login-modal-open', 'state recorded');
+
+    const quiet = stubPage({ raw, steps });
+    const noKeyboard = await auditPage(quiet, { keyboard: false, rules: ['forms'] });
+    assertEqual(quiet.calls.keys.length, 0, 'keyboard: false skips the probe');
+    assert(noKeyboard.keyboard === undefined && noKeyboard.state === null, 'no keyboard summary, no state');
+    assert(quiet.calls.sources[0].includes('"rules":["label","label-for"]'), 'categories expanded before the audit pass');
+
+    let error = null;
+    try { await auditPage(stubPage({ raw: { error: 'Selector "#nope" matched no element' } }), { selector: '#nope' }); } catch (err) { error = err; }
+    assert(error && error.message === 'Selector "#nope" matched no element', 'in-page errors thrown');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 8. REPORT EXPORT
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n📝 Reports');
+{
+    const rules = selectAuditRules();
+    const result = buildAuditResult({
+        url: 'https://example.com/listing/42',
+        title: 'Listing',
+        violations: [{ rule: 'link-name', message: 'Link | with pipe\nand newline', element: element('a11y1', { tag: 'a', cssPath: 'a.x' }) }],
+        incomplete: [],
+    }, { rules, selector: '#content' });
+
+    const md = formatAuditMarkdown(result);
+    assert(md.startsWith('# Accessibility audit — Listing'), 'markdown title');
+    assert(md.includes('- **Scope:** `#content`'), 'scope listed');
+    assert(md.includes('1 issue(s) — 1 serious'), 'result line counts severities');
+    assert(md.includes('2.4.4 Link Purpose (In Context) (A); 4.1.2 Name, Role, Value (A)'), 'criteria in table');
+    assert(md.includes('Link \\| with pipe and newline'), 'table cells escaped');
+    assert(!md.includes('## Needs manual review'), 'empty sections omitted');
+
+    const dir = mkdtempSync(path.join(tmpdir(), 'a11y-report-'));
+    try {
+        const written = await writeAuditReport(result, { outputDir: dir });
+        assert(written.json && written.markdown, 'both formats written by default');
+        assert(path.basename(written.json).startsWith('a11y-example-com-listing-42-'), 'file named after the page');
+        assertEqual(JSON.parse(readFileSync(written.json, 'utf-8')).issues[0].rule, 'link-name', 'JSON report holds the result');
+        assertEqual(readFileSync(written.markdown, 'utf-8'), md, 'Markdown report matches formatAuditMarkdown');
+
+        const withState = await writeAuditReport({ ...result, state: 'Filters panel open' }, { outputDir: dir, format: 'markdown' });
+        assert(path.basename(withState.markdown).startsWith('a11y-Filters-panel-open-'), 'file named after the state');
+        assert(readFileSync(withState.markdown, 'utf-8').includes('- **State:** Filters panel open'), 'state listed in markdown');
+
+        const jsonOnly = await writeAuditReport(result, { outputDir: dir, format: 'json', name: 'custom' });
+        assert(jsonOnly.json.endsWith('custom.json') && !jsonOnly.markdown, 'json-only with custom name');
+
+        let error = null;
+        try { await writeAuditReport(result, { outputDir: dir, format: 'pdf' }); } catch (err) { error = err; }
+        assert(error && error.message.startsWith('Unknown report format "pdf"'), 'unknown format rejected');
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failures.length > 0) {
+    console.log('\nFailed tests:');
+    failures.forEach(f => console.log(`  ❌ ${f}`));
+}
+console.log('═'.repeat(60));
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,186 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ * BROWSER POOL — Shared Browser Processes for Session-Scoped Contexts
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ *
+ * MCP sessions each get their own browser contexts, but launching a browser process
+ * per session is slow and heavy. The pool keeps a few processes per browser type
+ * and hands out leases on them.
+ *
+ * A lease behaves like the Playwright Browser it wraps, except that:
+ *   - contexts() lists only the contexts created through the lease
+ *   - close() closes those contexts and returns the slot; the process stays up
+ *
+ * Each process serves up to maxContextsPerBrowser leases; at most maxBrowsers
+ * processes run. A process without leases is closed after browserIdleMs.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ */
+
+import { EventEmitter } from 'events';
+
+// Playwright is loaded on first launch, so a pool with a custom launcher never needs it
+async function launchBrowser(browserName, launchOptions) {
+    const playwright = await import('playwright');
+    const browserType = playwright[browserName] || playwright.chromium;
+    return browserType.launch(launchOptions);
+}
+
+export class BrowserPool extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxBrowsers=2]           - Browser processes across all types
+     * @param {number} [options.maxContextsPerBrowser=4] - Leases per process
+     * @param {number} [options.browserIdleMs=60000]     - Close a process this long after its last lease
+     * @param {Function} [options.launcher]              - (browserName, launchOptions) => Promise<Browser>
+     */
+    constructor(options = {}) {
+        super();
+        this.maxBrowsers = options.maxBrowsers ?? 2;
+        this.maxContextsPerBrowser = options.maxContextsPerBrowser ?? 4;
+        this.browserIdleMs = options.browserIdleMs ?? 60000;
+        this._launcher = options.launcher || launchBrowser;
+
+        /** @type {Set<{ key: string, ready: Promise<object>, browser: object|null, leases: number, idleTimer: NodeJS.Timeout|null }>} */
+        this._entries = new Set();
+        this._nextLeaseId = 1;
+    }
+
+    /**
+     * Lease a browser process for one session.
+     *
+     * @param {object} [options]
+     * @param {string} [options.browser='chromium']
+     * @param {boolean} [options.headless=true]
+     * @returns {Promise<{ id: string, browser: object, release: Function }>}
+     */
+    async acquire({ browser = 'chromium', headless = true } = {}) {
+        const key = `${browser}:${headless ? 'headless' : 'headed'}`;
+        const entry = this._pickEntry(key) || this._launchEntry(key, browser, { headless });
+
+        // Reserve the slot before awaiting so concurrent acquires see it
+        entry.leases++;
+        if (entry.idleTimer) {
+            clearTimeout(entry.idleTimer);
+            entry.idleTimer = null;
+        }
+
+        let pooledBrowser;
+        try {
+            pooledBrowser = await entry.ready;
+        } catch (error) {
+            this._entries.delete(entry);
+            throw error;
+        }
+
+        return this._createLease(entry, pooledBrowser);
+    }
+
+    _pickEntry(key) {
+        let best = null;
+        for (const entry of this._entries) {
+            if (entry.key !== key || entry.leases >= this.maxContextsPerBrowser) continue;
+            if (entry.browser && !entry.browser.isConnected()) continue;
+            if (!best || entry.leases < best.leases) best = entry;
+        }
+        return best;
+    }
+
+    _launchEntry(key, browserName, launchOptions) {
+        if (this._entries.size >= this.maxBrowsers) {
+            const error = new Error(
+                `Browser pool exhausted: ${this.maxBrowsers} browser(s) x ${this.maxContextsPerBrowser} context(s) in use`
+            );
+            error.code = 'SESSION_LIMIT';
+            throw error;
+        }
+
+        const entry = { key, ready: null, browser: null, leases: 0, idleTimer: null };
+        entry.ready = this._launcher(browserName, launchOptions).then((browser) => {
+            entry.browser = browser;
+            browser.on?.('disconnected', () => {
+                this._entries.delete(entry);
+                console.error(`[BrowserPool] ${key} browser disconnected (${entry.leases} lease(s))`);
+            });
+            console.error(`[BrowserPool] Launched ${key} browser (${this._entries.size}/${this.maxBrowsers})`);
+            this.emit('launch', { key });
+            return browser;
+        });
+        this._entries.add(entry);
+        return entry;
+    }
+
+    _createLease(entry, browser) {
+        const id = `lease-${this._nextLeaseId++}`;
+        const owned = new Set();
+        let released = false;
+
+        const release = () => {
+            if (released) return;
+            released = true;
+            entry.leases = Math.max(0, entry.leases - 1);
+            if (entry.leases === 0 && this._entries.has(entry)) {
+                entry.idleTimer = setTimeout(() => this._closeEntry(entry, 'idle'), this.browserIdleMs);
+                entry.idleTimer.unref?.();
+            }
+            this.emit('release', { id, key: entry.key });
+        };
+
+        const overrides = {
+            newContext: async (contextOptions) => {
+                const context = await browser.newContext(contextOptions);
+                owned.add(context);
+                context.on?.('close', () => owned.delete(context));
+                return context;
+            },
+            contexts: () => [...owned],
+            close: async () => {
+                await Promise.allSettled([...owned].map(context => context.close()));
+                owned.clear();
+                release();
+            },
+        };
+
+        const leasedBrowser = new Proxy(browser, {
+            get(target, prop) {
+                if (Object.prototype.hasOwnProperty.call(overrides, prop)) return overrides[prop];
+                const value = Reflect.get(target, prop, target);
+                return typeof value === 'function' ? value.bind(target) : value;
+            },
+        });
+
+        return { id, browser: leasedBrowser, release };
+    }
+
+    async _closeEntry(entry, reason) {
+        this._entries.delete(entry);
+        if (entry.idleTimer) clearTimeout(entry.idleTimer);
+        try {
+            const browser = entry.browser || await entry.ready;
+            await browser.close();
+            console.error(`[BrowserPool] Closed ${entry.key} browser (${reason})`);
+        } catch (error) {
+            console.error(`[BrowserPool] Browser close error (non-fatal): ${error.message}`);
+        }
+    }
+
+    /**
+     * Close every pooled browser process.
+     */
+    async closeAll() {
+        await Promise.allSettled([...this._entries].map(entry => this._closeEntry(entry, 'shutdown')));
+    }
+
+    getStats() {
+        const browsers = [...this._entries].map(entry => ({
+            key: entry.key,
+            leases: entry.leases,
+            connected: entry.browser ? entry.browser.isConnected() : false,
+        }));
+        return {
+            browsers,
+            leases: browsers.reduce((sum, browser) => sum + browser.leases, 0),
+            capacity: this.maxBrowsers * this.maxContextsPerBrowser,
+        };
+    }
+}
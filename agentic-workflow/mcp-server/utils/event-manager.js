@@ -8,10 +8,13 @@
  * a unified API for querying and streaming them.
  * 
  * Features:
- *   - Ring-buffered event storage per category
- *   - Subscription system for real-time streaming (SSE/WebSocket)
- *   - Event filtering by type, source, timestamp
+ *   - Ring-buffered event storage per session and category
+ *   - Subscription system for real-time streaming (SSE/WebSocket), optionally per session
+ *   - Event filtering by type, source, timestamp, session
  *   - Aggregate statistics
+ *
+ * Each MCP browser session has its own buffers, so a busy session cannot evict
+ * another session's events. Events pushed without a session ID go to 'default'.
  * 
  * ═══════════════════════════════════════════════════════════════════════════════════════
  */
@@ -22,6 +25,9 @@ import { EventEmitter } from 'events';
  * @typedef {'console' | 'network' | 'pageerror' | 'dialog' | 'mutation' | 'navigation' | 'custom'} EventCategory
  */
 
+const CATEGORIES = ['console', 'network', 'pageerror', 'dialog', 'mutation', 'navigation', 'custom'];
+const DEFAULT_SESSION = 'default';
+
 export class EventManager extends EventEmitter {
     constructor(options = {}) {
         super();
@@ -30,20 +36,15 @@ export class EventManager extends EventEmitter {
         this._bufferSize = options.bufferSize ?? 2000;
         this._enabled = true;
 
-        /** @type {Map<EventCategory, Array<object>>} */
-        this._buffers = new Map([
-            ['console', []],
-            ['network', []],
-            ['pageerror', []],
-            ['dialog', []],
-            ['mutation', []],
-            ['navigation', []],
-            ['custom', []],
-        ]);
-
-        /** @type {Map<string, { category: EventCategory, filter?: Function, callback: Function }>} */
+        /** @type {Map<string, Map<EventCategory, Array<object>>>} Session ID → category buffers */
+        this._sessions = new Map();
+
+        /** @type {Map<string, { category: EventCategory, filter?: Function, callback: Function, sessionId: string|null }>} */
         this._subscriptions = new Map();
 
+        /** @type {Map<object, Array<[string, Function]>>} Bridge → listeners added by connectBridge */
+        this._bridgeListeners = new Map();
+
         this._stats = {
             totalEvents: 0,
             eventsByCategory: {},
@@ -56,20 +57,22 @@ export class EventManager extends EventEmitter {
      * @param {EventCategory} category 
      * @param {object} data 
      * @param {string} [source] - Bridge source identifier
+     * @param {string} [sessionId] - MCP browser session the event belongs to
      */
-    push(category, data, source = 'unknown') {
+    push(category, data, source = 'unknown', sessionId = DEFAULT_SESSION) {
         if (!this._enabled) return;
 
         const event = {
             id: `${category}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
             category,
             source,
+            sessionId: sessionId || DEFAULT_SESSION,
             timestamp: Date.now(),
             data,
         };
 
-        // Store in ring buffer
-        const buffer = this._buffers.get(category);
+        // Store in the session's ring buffer
+        const buffer = this._getBuffers(event.sessionId, true).get(category);
         if (buffer) {
             buffer.push(event);
             if (buffer.length > this._bufferSize) {
@@ -87,6 +90,7 @@ export class EventManager extends EventEmitter {
 
         // Notify subscribers
         for (const [, sub] of this._subscriptions) {
+            if (sub.sessionId && sub.sessionId !== event.sessionId) continue;
             if (sub.category === category || sub.category === '*') {
                 if (!sub.filter || sub.filter(event)) {
                     try { sub.callback(event); } catch (e) { /* ignore subscriber errors */ }
@@ -96,23 +100,33 @@ export class EventManager extends EventEmitter {
     }
 
     /**
-     * Get buffered events
+     * Get buffered events, across all sessions unless `sessionId` is given
      */
     getEvents(options = {}) {
-        const { category, since, limit, type, url, source } = options;
-
-        let events;
-        if (category && category !== '*') {
-            events = [...(this._buffers.get(category) || [])];
-        } else {
-            // Merge all categories
-            events = [];
-            for (const buffer of this._buffers.values()) {
-                events.push(...buffer);
+        const { category, since, limit, type, url, source, sessionId } = options;
+
+        const sessions = sessionId
+            ? [this._getBuffers(sessionId, false)].filter(Boolean)
+            : [...this._sessions.values()];
+
+        const events = [];
+        for (const buffers of sessions) {
+            if (category && category !== '*') {
+                events.push(...(buffers.get(category) || []));
+            } else {
+                for (const buffer of buffers.values()) {
+                    events.push(...buffer);
+                }
             }
+        }
+        if (sessions.length > 1 || !category || category === '*') {
             events.sort((a, b) => a.timestamp - b.timestamp);
         }
 
+        return this._filterEvents(events, { since, limit, type, url, source });
+    }
+
+    _filterEvents(events, { since, limit, type, url, source }) {
         // Apply filters
         if (since) events = events.filter(e => e.timestamp >= since);
         if (source) events = events.filter(e => e.source === source);
@@ -130,11 +144,15 @@ export class EventManager extends EventEmitter {
 
     /**
      * Subscribe to events
+     * @param {EventCategory | '*'} category
+     * @param {Function} callback
+     * @param {Function} [filter]
+     * @param {string} [sessionId] - Only events of this session
      * @returns {string} Subscription ID
      */
-    subscribe(category, callback, filter = null) {
+    subscribe(category, callback, filter = null, sessionId = null) {
         const id = `sub-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
-        this._subscriptions.set(id, { category, callback, filter });
+        this._subscriptions.set(id, { category, callback, filter, sessionId });
         return id;
     }
 
@@ -146,31 +164,58 @@ export class EventManager extends EventEmitter {
     }
 
     /**
-     * Clear events in a category (or all)
+     * Clear events in a category (or all), in every session
      */
     clear(category = null) {
-        if (category) {
-            const buffer = this._buffers.get(category);
-            if (buffer) buffer.length = 0;
-        } else {
-            for (const buffer of this._buffers.values()) {
-                buffer.length = 0;
+        for (const buffers of this._sessions.values()) {
+            if (category) {
+                const buffer = buffers.get(category);
+                if (buffer) buffer.length = 0;
+            } else {
+                for (const buffer of buffers.values()) {
+                    buffer.length = 0;
+                }
             }
         }
     }
 
+    /**
+     * Drop a closed session: its buffered events and its subscriptions
+     */
+    clearSession(sessionId) {
+        this._sessions.delete(sessionId);
+        for (const [id, sub] of this._subscriptions) {
+            if (sub.sessionId === sessionId) this._subscriptions.delete(id);
+        }
+    }
+
+    _getBuffers(sessionId, create) {
+        let buffers = this._sessions.get(sessionId);
+        if (!buffers && create) {
+            buffers = new Map(CATEGORIES.map(category => [category, []]));
+            this._sessions.set(sessionId, buffers);
+        }
+        return buffers || null;
+    }
+
     /**
      * Get statistics
      */
     getStats() {
-        const bufferSizes = {};
-        for (const [cat, buf] of this._buffers) {
-            bufferSizes[cat] = buf.length;
+        const bufferSizes = Object.fromEntries(CATEGORIES.map(category => [category, 0]));
+        const sessions = {};
+        for (const [sessionId, buffers] of this._sessions) {
+            sessions[sessionId] = 0;
+            for (const [cat, buf] of buffers) {
+                bufferSizes[cat] += buf.length;
+                sessions[sessionId] += buf.length;
+            }
         }
 
         return {
             ...this._stats,
             bufferSizes,
+            sessions,
             subscriptions: this._subscriptions.size,
             uptime: Date.now() - this._stats.startTime,
         };
@@ -185,14 +230,31 @@ export class EventManager extends EventEmitter {
 
     /**
      * Connect to a PlaywrightDirectBridge and pipe its events
+     * @param {object} bridge
+     * @param {string} [sourceName]
+     * @param {string} [sessionId] - Browser session the bridge belongs to
+     */
+    connectBridge(bridge, sourceName = 'playwright', sessionId = DEFAULT_SESSION) {
+        if (!bridge || this._bridgeListeners.has(bridge)) return;
+
+        const listeners = [
+            ['console', (data) => this.push('console', data, sourceName, sessionId)],
+            ['pageerror', (data) => this.push('pageerror', data, sourceName, sessionId)],
+            ['response', (data) => this.push('network', data, sourceName, sessionId)],
+            ['requestfailed', (data) => this.push('network', { ...data, failed: true }, sourceName, sessionId)],
+            ['dialog', (data) => this.push('dialog', data, sourceName, sessionId)],
+        ];
+        for (const [event, listener] of listeners) bridge.on(event, listener);
+        this._bridgeListeners.set(bridge, listeners);
+    }
+
+    /**
+     * Stop piping a bridge's events (its session closed)
      */
-    connectBridge(bridge, sourceName = 'playwright') {
-        if (!bridge) return;
-
-        bridge.on('console', (data) => this.push('console', data, sourceName));
-        bridge.on('pageerror', (data) => this.push('pageerror', data, sourceName));
-        bridge.on('response', (data) => this.push('network', data, sourceName));
-        bridge.on('requestfailed', (data) => this.push('network', { ...data, failed: true }, sourceName));
-        bridge.on('dialog', (data) => this.push('dialog', data, sourceName));
+    disconnectBridge(bridge) {
+        const listeners = this._bridgeListeners.get(bridge);
+        if (!listeners) return;
+        for (const [event, listener] of listeners) bridge.off(event, listener);
+        this._bridgeListeners.delete(bridge);
     }
 }
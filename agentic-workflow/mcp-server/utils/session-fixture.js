@@ -0,0 +1,268 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ * SESSION FIXTURES — Record and Replay MCP Exploration Sessions
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ *
+ * A fixture is one browser session captured as a directory:
+ *
+ *   <recordDir>/<fixtureId>/
+ *     fixture.json   — meta (session, start URL, browser, viewport, call count)
+ *     calls.jsonl    — one tool call per line: { id, timestamp, elapsed, tool, params, result, error, url }
+ *     network.har    — the session's network traffic (written when the context closes)
+ *
+ * Calls use the ExplorationSession recording shape (scripts/shared/exploration-session.js),
+ * so fixtures and runner sessions convert both ways. calls.jsonl is appended per call so a
+ * crashed session still leaves a usable fixture.
+ *
+ * Replay modes:
+ *   recorded — tool calls are answered from calls.jsonl; no browser, no network.
+ *              A call the recording does not contain fails with code REPLAY_MISS.
+ *   live     — tool calls run against a real browser whose network is served from
+ *              network.har (unmatched requests are aborted), reproducing the page
+ *              state offline for healing sessions.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const FIXTURE_VERSION = 1;
+export const FIXTURE_FILE = 'fixture.json';
+export const CALLS_FILE = 'calls.jsonl';
+export const HAR_FILE = 'network.har';
+export const REPLAY_MODES = ['recorded', 'live'];
+
+/**
+ * JSON with sorted object keys, so equal params always produce the same key.
+ */
+export function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+function callKey(tool, params) {
+    return `${tool} ${stableStringify(params || {})}`;
+}
+
+// ─── Recording ──────────────────────────────────────────────────────────────
+
+export class SessionRecorder {
+    /**
+     * @param {object} options
+     * @param {string} options.dir        - Parent directory for fixtures
+     * @param {string} [options.sessionId] - MCP session being recorded
+     * @param {object} [options.meta]     - Extra meta (browser, viewport, label)
+     */
+    constructor(options) {
+        const sessionId = options.sessionId || 'default';
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        this.id = `${stamp}-${sessionId.replace(/[^\w-]/g, '_')}`;
+        this.dir = path.join(options.dir, this.id);
+        this.startTime = Date.now();
+        this.callCount = 0;
+        this.finished = false;
+
+        this.meta = {
+            version: FIXTURE_VERSION,
+            id: this.id,
+            sessionId,
+            createdAt: new Date(this.startTime).toISOString(),
+            finishedAt: null,
+            startUrl: null,
+            calls: 0,
+            har: HAR_FILE,
+            ...options.meta,
+        };
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(path.join(this.dir, CALLS_FILE), '');
+        this._writeMeta();
+    }
+
+    /** Where the browser context should record its HAR */
+    get harPath() {
+        return path.join(this.dir, HAR_FILE);
+    }
+
+    /**
+     * Record one tool call.
+     *
+     * @param {string} tool
+     * @param {object} params
+     * @param {*} [result]
+     * @param {Error|string|null} [error]
+     * @param {string|null} [url] - Page URL after the call
+     */
+    record(tool, params, result = null, error = null, url = null) {
+        if (this.finished) return null;
+        const call = {
+            id: ++this.callCount,
+            timestamp: new Date().toISOString(),
+            elapsed: Date.now() - this.startTime,
+            tool,
+            params: params || {},
+            result: error ? null : result,
+            error: error ? (error.message || String(error)) : null,
+            url,
+        };
+        fs.appendFileSync(path.join(this.dir, CALLS_FILE), JSON.stringify(call) + '\n');
+
+        if (!this.meta.startUrl && tool === 'unified_navigate' && !error) {
+            this.meta.startUrl = params?.url || url;
+            this._writeMeta();
+        }
+        return call;
+    }
+
+    /**
+     * Finalize fixture.json. Call after the browser context closed so the HAR exists.
+     */
+    finish() {
+        if (this.finished) return this.meta;
+        this.finished = true;
+        this.meta.finishedAt = new Date().toISOString();
+        this.meta.calls = this.callCount;
+        if (!fs.existsSync(this.harPath)) this.meta.har = null;
+        this._writeMeta();
+        console.error(`[Fixtures] Recorded ${this.callCount} call(s) → ${this.dir}`);
+        return this.meta;
+    }
+
+    _writeMeta() {
+        fs.writeFileSync(path.join(this.dir, FIXTURE_FILE), JSON.stringify(this.meta, null, 2));
+    }
+}
+
+// ─── Loading ────────────────────────────────────────────────────────────────
+
+/**
+ * Load a fixture from its directory (or its fixture.json path).
+ *
+ * @returns {{ dir: string, meta: object, calls: object[], harPath: string|null }}
+ */
+export function loadFixture(fixturePath) {
+    const dir = path.basename(fixturePath) === FIXTURE_FILE ? path.dirname(fixturePath) : fixturePath;
+    const metaPath = path.join(dir, FIXTURE_FILE);
+    if (!fs.existsSync(metaPath)) {
+        throw new Error(`Not a session fixture: ${dir} (no ${FIXTURE_FILE})`);
+    }
+
+    const meta = JSON.parse(fs.readFileSync(metaPath, 'utf-8'));
+    if (meta.version !== FIXTURE_VERSION) {
+        throw new Error(`Unsupported fixture version ${meta.version} in ${dir} (expected ${FIXTURE_VERSION})`);
+    }
+
+    const callsPath = path.join(dir, CALLS_FILE);
+    const calls = fs.existsSync(callsPath)
+        ? fs.readFileSync(callsPath, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+        : [];
+
+    const harPath = path.join(dir, meta.har || HAR_FILE);
+    return { dir, meta, calls, harPath: fs.existsSync(harPath) ? harPath : null };
+}
+
+/**
+ * List fixtures under a record directory, newest first.
+ */
+export function listFixtures(recordDir) {
+    if (!fs.existsSync(recordDir)) return [];
+    return fs.readdirSync(recordDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && fs.existsSync(path.join(recordDir, entry.name, FIXTURE_FILE)))
+        .map(entry => {
+            const meta = JSON.parse(fs.readFileSync(path.join(recordDir, entry.name, FIXTURE_FILE), 'utf-8'));
+            return { ...meta, dir: path.join(recordDir, entry.name) };
+        })
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+// ─── Replay ─────────────────────────────────────────────────────────────────
+
+export class SessionReplay {
+    /**
+     * @param {object} fixture - From loadFixture()
+     * @param {object} [options]
+     * @param {string} [options.mode='recorded'] - 'recorded' | 'live'
+     */
+    constructor(fixture, options = {}) {
+        const mode = options.mode || 'recorded';
+        if (!REPLAY_MODES.includes(mode)) {
+            throw new Error(`Unknown replay mode "${mode}". Supported: ${REPLAY_MODES.join(', ')}`);
+        }
+        if (mode === 'live' && !fixture.harPath) {
+            throw new Error(`Fixture ${fixture.dir} has no ${HAR_FILE} — live replay needs recorded network traffic`);
+        }
+
+        this.fixture = fixture;
+        this.mode = mode;
+        this.stats = { hits: 0, misses: 0 };
+
+        // Calls with identical tool+params replay in recorded order; the last one repeats
+        /** @type {Map<string, { calls: object[], next: number }>} */
+        this._queues = new Map();
+        for (const call of fixture.calls) {
+            const key = callKey(call.tool, call.params);
+            if (!this._queues.has(key)) this._queues.set(key, { calls: [], next: 0 });
+            this._queues.get(key).calls.push(call);
+        }
+    }
+
+    /** HAR to route the browser context from in live mode */
+    get harPath() {
+        return this.mode === 'live' ? this.fixture.harPath : null;
+    }
+
+    /**
+     * The recorded call matching tool + params, or null.
+     */
+    match(tool, params) {
+        const queue = this._queues.get(callKey(tool, params));
+        if (!queue) return null;
+        const call = queue.calls[Math.min(queue.next, queue.calls.length - 1)];
+        queue.next++;
+        return call;
+    }
+
+    /**
+     * Answer a tool call from the recording (recorded mode). Recorded errors are
+     * rethrown; unrecorded calls fail with code REPLAY_MISS and carry the
+     * fixture id, tool and params.
+     */
+    respond(tool, params) {
+        const call = this.match(tool, params);
+        if (!call) {
+            this.stats.misses++;
+            const recorded = this.fixture.calls.filter(c => c.tool === tool).map(c => stableStringify(c.params));
+            const error = new Error(
+                `Replay miss: ${tool} ${stableStringify(params || {})} is not in fixture ${this.fixture.meta.id}` +
+                (recorded.length > 0 ? `. Recorded ${tool} calls: ${recorded.slice(0, 5).join(' | ')}` : '')
+            );
+            error.code = 'REPLAY_MISS';
+            error.fixture = this.fixture.meta.id;
+            error.tool = tool;
+            error.params = params || {};
+            throw error;
+        }
+
+        this.stats.hits++;
+        if (call.error) throw new Error(call.error);
+        return call.result;
+    }
+
+    getStats() {
+        const consumed = [...this._queues.values()].reduce((sum, q) => sum + Math.min(q.next, q.calls.length), 0);
+        return {
+            fixture: this.fixture.meta.id,
+            mode: this.mode,
+            ...this.stats,
+            recordedCalls: this.fixture.calls.length,
+            unusedCalls: this.fixture.calls.length - consumed,
+        };
+    }
+}
@@ -0,0 +1,229 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ * UNIT TESTS — Session Fixtures (record / replay)
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ *
+ * Run: node agentic-workflow/mcp-server/utils/session-fixture.test.js
+ *
+ * Tests cover:
+ *   1. stableStringify — key order independence
+ *   2. SessionRecorder — fixture layout, calls, errors, start URL, finish
+ *   3. loadFixture / listFixtures
+ *   4. SessionReplay — matching, ordering, repeats, misses, recorded errors, modes
+ *   5. ExplorationSession — saveFixture / fromFixture round trip
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ */
+
+import { mkdtempSync, readFileSync, writeFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import {
+    FIXTURE_VERSION, stableStringify, SessionRecorder, SessionReplay, loadFixture, listFixtures,
+} from './session-fixture.js';
+import { classifyToolFailure } from './tool-failure.js';
+
+const require = createRequire(import.meta.url);
+const { ExplorationSession } = require('../../scripts/shared/exploration-session.js');
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function assert(condition, testName) {
+    if (condition) {
+        passed++;
+        console.log(`  ✅ ${testName}`);
+    } else {
+        failed++;
+        failures.push(testName);
+        console.log(`  ❌ ${testName}`);
+    }
+}
+
+function assertEqual(actual, expected, testName) {
+    if (actual === expected) {
+        passed++;
+        console.log(`  ✅ ${testName}`);
+    } else {
+        failed++;
+        failures.push(`${testName} — expected: "${expected}", got: "${actual}"`);
+        console.log(`  ❌ ${testName}`);
+        console.log(`     expected: "${expected}"`);
+        console.log(`     actual:   "${actual}"`);
+    }
+}
+
+function assertThrows(fn, match, testName) {
+    let error = null;
+    try { fn(); } catch (err) { error = err; }
+    assert(error !== null && (typeof match === 'string' ? error.code === match : match.test(error.message)), testName);
+}
+
+const SNAPSHOT = {
+    url: 'https://app.test/search',
+    title: 'Search',
+    ariaTree: '- heading "Search" [level=1]',
+    elements: [
+        { ref: 'e1', role: 'button', name: 'Apply Filters', selector: { primary: "getByRole('button', { name: 'Apply Filters' })" } },
+        { ref: 'e2', role: 'textbox', name: 'Location' },
+    ],
+};
+
+const root = mkdtempSync(path.join(tmpdir(), 'session-fixture-'));
+
+try {
+    // ═══════════════════════════════════════════════════════════════════════════
+    // 1. stableStringify
+    // ═══════════════════════════════════════════════════════════════════════════
+    console.log('\n═══ 1. stableStringify ═══');
+    assertEqual(stableStringify({ b: 1, a: { d: [1, { y: 2, x: 1 }], c: null } }), '{"a":{"c":null,"d":[1,{"x":1,"y":2}]},"b":1}', 'keys sorted at every depth');
+    assertEqual(stableStringify({ a: 1, b: undefined }), stableStringify({ a: 1 }), 'undefined keys ignored');
+    assertEqual(stableStringify(undefined), 'null', 'undefined → null');
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // 2. SessionRecorder
+    // ═══════════════════════════════════════════════════════════════════════════
+    console.log('\n═══ 2. SessionRecorder ═══');
+    const recorder = new SessionRecorder({ dir: root, sessionId: 'abc/123', meta: { browser: 'chromium' } });
+    assert(recorder.id.endsWith('-abc_123'), 'fixture id ends with the sanitized session id');
+    assert(existsSync(path.join(recorder.dir, 'fixture.json')), 'fixture.json written up front');
+    assertEqual(recorder.harPath, path.join(recorder.dir, 'network.har'), 'HAR path inside the fixture');
+
+    recorder.record('unified_navigate', { url: 'https://app.test/' }, { success: true }, null, 'https://app.test/');
+    recorder.record('unified_snapshot', { filter: { interactiveOnly: true } }, SNAPSHOT, null, SNAPSHOT.url);
+    recorder.record('unified_click', { ref: 'e9' }, { success: true }, new Error('Element e9 not found'), SNAPSHOT.url);
+    recorder.record('unified_snapshot', {}, { ...SNAPSHOT, title: 'Results' }, null, SNAPSHOT.url);
+
+    const lines = readFileSync(path.join(recorder.dir, 'calls.jsonl'), 'utf-8').split('\n').filter(Boolean);
+    assertEqual(lines.length, 4, 'one line per call, appended as recorded');
+    const clickCall = JSON.parse(lines[2]);
+    assertEqual(clickCall.error, 'Element e9 not found', 'error stored as its message');
+    assertEqual(clickCall.result, null, 'failed call stores no result');
+    assertEqual(JSON.parse(lines[0]).id, 1, 'calls numbered from 1');
+    assertEqual(JSON.parse(readFileSync(path.join(recorder.dir, 'fixture.json'), 'utf-8')).startUrl, 'https://app.test/', 'first navigation sets startUrl');
+
+    // A context closing writes the HAR before finish()
+    writeFileSync(recorder.harPath, JSON.stringify({ log: { entries: [] } }));
+    const meta = recorder.finish();
+    assertEqual(meta.calls, 4, 'finish records the call count');
+    assert(meta.finishedAt !== null, 'finish stamps finishedAt');
+    assertEqual(meta.har, 'network.har', 'HAR kept when present');
+    assertEqual(meta.browser, 'chromium', 'extra meta kept');
+    assertEqual(recorder.record('unified_click', {}), null, 'no recording after finish');
+
+    const noHar = new SessionRecorder({ dir: root, sessionId: 'no-har' });
+    noHar.record('unified_navigate', { url: 'https://app.test/other' }, { success: true });
+    assertEqual(noHar.finish().har, null, 'missing HAR → har: null');
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // 3. loadFixture / listFixtures
+    // ═══════════════════════════════════════════════════════════════════════════
+    console.log('\n═══ 3. loadFixture / listFixtures ═══');
+    const fixture = loadFixture(recorder.dir);
+    assertEqual(fixture.calls.length, 4, 'calls loaded');
+    assertEqual(fixture.meta.version, FIXTURE_VERSION, 'meta loaded');
+    assertEqual(fixture.harPath, recorder.harPath, 'HAR path resolved');
+    assertEqual(loadFixture(path.join(recorder.dir, 'fixture.json')).dir, recorder.dir, 'fixture.json path accepted');
+    assertEqual(loadFixture(noHar.dir).harPath, null, 'no HAR → harPath null');
+    assertThrows(() => loadFixture(root), /Not a session fixture/, 'directory without fixture.json rejected');
+
+    const badVersion = new SessionRecorder({ dir: path.join(root, 'old'), sessionId: 'v0' });
+    writeFileSync(path.join(badVersion.dir, 'fixture.json'), JSON.stringify({ ...badVersion.meta, version: 0 }));
+    assertThrows(() => loadFixture(badVersion.dir), /Unsupported fixture version 0/, 'unknown version rejected');
+
+    const listed = listFixtures(root);
+    assertEqual(listed.length, 2, 'lists fixtures, skips other directories');
+    assert(listed.every(f => f.dir && f.id), 'listed fixtures carry dir and id');
+    assertEqual(listFixtures(path.join(root, 'missing')).length, 0, 'missing record dir → empty list');
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // 4. SessionReplay
+    // ═══════════════════════════════════════════════════════════════════════════
+    console.log('\n═══ 4. SessionReplay ═══');
+    const replay = new SessionReplay(fixture);
+    assertEqual(replay.mode, 'recorded', 'recorded mode by default');
+    assertEqual(replay.harPath, null, 'recorded mode routes no HAR');
+
+    assertEqual(replay.respond('unified_navigate', { url: 'https://app.test/' }).success, true, 'navigate answered from the recording');
+    assertEqual(replay.respond('unified_snapshot', { filter: { interactiveOnly: true } }).elements[0].ref, 'e1', 'params matched structurally');
+    assertEqual(replay.respond('unified_snapshot', {}).title, 'Results', 'different params → different recorded call');
+    assertEqual(replay.respond('unified_snapshot', {}).title, 'Results', 'exhausted call repeats the last result');
+    assertThrows(() => replay.respond('unified_click', { ref: 'e9' }), /Element e9 not found/, 'recorded error rethrown');
+    assertThrows(() => replay.respond('unified_click', { ref: 'e1' }), 'REPLAY_MISS', 'unrecorded params → REPLAY_MISS');
+
+    let missMessage = '';
+    try { replay.respond('unified_click', { ref: 'e1' }); } catch (err) { missMessage = err.message; }
+    assert(missMessage.includes('{"ref":"e9"}'), 'miss lists the recorded calls of that tool');
+
+    let missError = null;
+    try { replay.respond('unified_click', { ref: 'e1' }); } catch (err) { missError = err; }
+    const failure = classifyToolFailure(missError);
+    assertEqual(failure.code, 'REPLAY_MISS', 'server reports a miss as REPLAY_MISS, not SESSION_LIMIT');
+    assertEqual(failure.fixture, fixture.meta.id, 'REPLAY_MISS failure names the fixture');
+    assertEqual(failure.tool, 'unified_click', 'REPLAY_MISS failure names the tool');
+    assertEqual(failure.params.ref, 'e1', 'REPLAY_MISS failure carries the unrecorded params');
+    const limit = Object.assign(new Error('All 2 browser slots are in use'), { code: 'SESSION_LIMIT' });
+    assertEqual(classifyToolFailure(limit).code, 'SESSION_LIMIT', 'session limits keep their own code');
+
+    const stats = replay.getStats();
+    assertEqual(stats.hits, 5, 'hits counted');
+    assertEqual(stats.misses, 3, 'misses counted');
+    assertEqual(stats.unusedCalls, 0, 'every recorded call consumed');
+
+    const ordered = new SessionReplay({
+        dir: root,
+        meta: { id: 'ordered' },
+        calls: [
+            { tool: 'unified_get_text_content', params: { selector: '#count' }, result: '10 results' },
+            { tool: 'unified_get_text_content', params: { selector: '#count' }, result: '3 results' },
+        ],
+        harPath: null,
+    });
+    assertEqual(ordered.respond('unified_get_text_content', { selector: '#count' }), '10 results', 'identical calls replay in order (1)');
+    assertEqual(ordered.respond('unified_get_text_content', { selector: '#count' }), '3 results', 'identical calls replay in order (2)');
+    assertEqual(ordered.match('unified_navigate', {}), null, 'match returns null for unknown calls');
+
+    const live = new SessionReplay(fixture, { mode: 'live' });
+    assertEqual(live.harPath, recorder.harPath, 'live mode routes the fixture HAR');
+    assertThrows(() => new SessionReplay(loadFixture(noHar.dir), { mode: 'live' }), /has no network.har/, 'live mode needs a HAR');
+    assertThrows(() => new SessionReplay(fixture, { mode: 'mocked' }), /Unknown replay mode "mocked"/, 'unknown mode rejected');
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // 5. ExplorationSession round trip
+    // ═══════════════════════════════════════════════════════════════════════════
+    console.log('\n═══ 5. ExplorationSession round trip ═══');
+    const rebuilt = ExplorationSession.fromFixture(recorder.dir);
+    assertEqual(rebuilt.recordings.length, 4, 'recordings rebuilt');
+    assertEqual(rebuilt.errors.length, 1, 'errored call listed in errors');
+    assertEqual(rebuilt.pages.length, 2, 'snapshot results become visited pages');
+    assertEqual(rebuilt.getElement('e1')?.name, 'Apply Filters', 'snapshot elements captured by ref');
+    assertEqual(rebuilt.currentUrl, SNAPSHOT.url, 'current URL follows the calls');
+    assertEqual(rebuilt.sessionId, fixture.meta.id, 'session id is the fixture id');
+
+    const runnerSession = new ExplorationSession('AOTF-1');
+    runnerSession.record('unified_navigate', { url: 'https://app.test/' }, { success: true });
+    runnerSession.record('unified_get_by_role', { role: 'button', name: 'Apply' }, { count: 1 });
+    const savedDir = runnerSession.saveFixture(path.join(root, 'runner'));
+    const saved = loadFixture(savedDir);
+    assertEqual(saved.meta.startUrl, 'https://app.test/', 'saved fixture has the start URL');
+    assertEqual(saved.meta.ticketId, 'AOTF-1', 'saved fixture keeps the ticket');
+    assertEqual(saved.harPath, null, 'runner fixture has no HAR');
+    assertEqual(new SessionReplay(saved).respond('unified_get_by_role', { name: 'Apply', role: 'button' }).count, 1, 'runner fixture replays through SessionReplay');
+} finally {
+    rmSync(root, { recursive: true, force: true });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failures.length > 0) {
+    console.log('\nFailed tests:');
+    failures.forEach(f => console.log(`  ❌ ${f}`));
+}
+console.log('═'.repeat(60));
+
+process.exit(failed > 0 ? 1 : 0);
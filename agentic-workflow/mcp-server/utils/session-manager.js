@@ -0,0 +1,174 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ * BROWSER SESSION MANAGER — Per-Client Browser State
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ *
+ * One browser session per MCP session ID. A session owns its own Playwright bridge
+ * (page, context, snapshot refs, captured events), ChromeDevTools bridge and router,
+ * so two clients exploring at once never drive the same page.
+ *
+ * Sessions are created on the first browser tool call and closed when:
+ *   - the MCP transport closes (client disconnected / DELETE /mcp)
+ *   - they sat idle for idleTimeoutMs with no tool call in flight
+ *   - the server shuts down
+ *
+ * maxContexts caps concurrent sessions; a new session beyond it fails with
+ * code SESSION_LIMIT. Pinned sessions (stdio) are never closed for idleness.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ */
+
+import { EventEmitter } from 'events';
+
+export const DEFAULT_SESSION_ID = 'default';
+
+export class BrowserSessionManager extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {Function} options.createSession   - (sessionId) => { playwrightBridge, chromeDevToolsBridge, router }
+     * @param {Function} [options.destroySession] - async (session) => void, after the bridges are cleaned up
+     * @param {number} [options.maxContexts=8]
+     * @param {number} [options.idleTimeoutMs=900000] - 0 disables idle cleanup
+     * @param {number} [options.sweepIntervalMs=30000]
+     */
+    constructor(options) {
+        super();
+        this._createSession = options.createSession;
+        this._destroySession = options.destroySession || null;
+        this.maxContexts = options.maxContexts ?? 8;
+        this.idleTimeoutMs = options.idleTimeoutMs ?? 900000;
+
+        /** @type {Map<string, object>} */
+        this._sessions = new Map();
+
+        this._sweepTimer = null;
+        if (this.idleTimeoutMs > 0) {
+            this._sweepTimer = setInterval(() => this.sweep(), options.sweepIntervalMs ?? 30000);
+            this._sweepTimer.unref?.();
+        }
+    }
+
+    /**
+     * Get the session for an MCP session ID, creating it on first use.
+     *
+     * @param {string} [sessionId]
+     * @param {object} [options]
+     * @param {boolean} [options.pinned] - Exempt from idle cleanup
+     * @returns {object} { id, playwrightBridge, chromeDevToolsBridge, router, createdAt, lastUsedAt, activeCalls }
+     */
+    get(sessionId = DEFAULT_SESSION_ID, options = {}) {
+        let session = this._sessions.get(sessionId);
+        if (!session) {
+            if (this._sessions.size >= this.maxContexts) {
+                const error = new Error(
+                    `Browser session limit reached (${this.maxContexts} concurrent contexts). ` +
+                    'Close an idle session or retry later.'
+                );
+                error.code = 'SESSION_LIMIT';
+                throw error;
+            }
+
+            session = {
+                ...this._createSession(sessionId),
+                id: sessionId,
+                pinned: options.pinned === true,
+                createdAt: Date.now(),
+                lastUsedAt: Date.now(),
+                activeCalls: 0,
+            };
+            this._sessions.set(sessionId, session);
+            console.error(`[Sessions] Created browser session ${sessionId} (${this._sessions.size}/${this.maxContexts})`);
+            this.emit('created', { sessionId });
+        }
+        session.lastUsedAt = Date.now();
+        return session;
+    }
+
+    has(sessionId) {
+        return this._sessions.has(sessionId);
+    }
+
+    /**
+     * Run fn against a session. The session is not closed for idleness while
+     * a call is in flight.
+     */
+    async run(sessionId, fn, options = {}) {
+        const session = this.get(sessionId, options);
+        session.activeCalls++;
+        try {
+            return await fn(session);
+        } finally {
+            session.activeCalls--;
+            session.lastUsedAt = Date.now();
+        }
+    }
+
+    /**
+     * Close a session and its browser context.
+     *
+     * @param {string} sessionId
+     * @param {string} [reason]
+     * @returns {Promise<boolean>} false when there was no such session
+     */
+    async close(sessionId, reason = 'closed') {
+        const session = this._sessions.get(sessionId);
+        if (!session) return false;
+        this._sessions.delete(sessionId);
+
+        await Promise.allSettled([
+            session.playwrightBridge?.cleanup(),
+            session.chromeDevToolsBridge?.cleanup(),
+        ]);
+        if (this._destroySession) {
+            try { await this._destroySession(session); } catch (e) { /* best-effort cleanup */ }
+        }
+
+        console.error(`[Sessions] Closed browser session ${sessionId} (${reason})`);
+        this.emit('closed', { sessionId, reason });
+        return true;
+    }
+
+    /**
+     * Close sessions idle for longer than idleTimeoutMs.
+     * @returns {Promise<string[]>} Closed session IDs
+     */
+    async sweep(now = Date.now()) {
+        if (!(this.idleTimeoutMs > 0)) return [];
+        const idle = [...this._sessions.values()]
+            .filter(session => !session.pinned && session.activeCalls === 0 && now - session.lastUsedAt >= this.idleTimeoutMs)
+            .map(session => session.id);
+        await Promise.all(idle.map(sessionId => this.close(sessionId, 'idle')));
+        return idle;
+    }
+
+    async closeAll(reason = 'shutdown') {
+        if (this._sweepTimer) {
+            clearInterval(this._sweepTimer);
+            this._sweepTimer = null;
+        }
+        await Promise.all([...this._sessions.keys()].map(sessionId => this.close(sessionId, reason)));
+    }
+
+    list() {
+        const now = Date.now();
+        return [...this._sessions.values()].map(session => ({
+            id: session.id,
+            pinned: session.pinned,
+            connected: session.playwrightBridge?.isConnected?.() || false,
+            url: session.playwrightBridge?.page?.url?.() || null,
+            activeCalls: session.activeCalls,
+            fixture: session.recorder?.dir || null,
+            replay: session.replay?.getStats() || null,
+            createdAt: new Date(session.createdAt).toISOString(),
+            idleMs: now - session.lastUsedAt,
+        }));
+    }
+
+    getStats() {
+        return {
+            sessions: this._sessions.size,
+            maxContexts: this.maxContexts,
+            idleTimeoutMs: this.idleTimeoutMs,
+        };
+    }
+}
@@ -0,0 +1,348 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ * UNIT TESTS — Browser Sessions (session manager, browser pool, per-session events)
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ *
+ * Run: node agentic-workflow/mcp-server/utils/session-manager.test.js
+ *
+ * Tests cover:
+ *   1. BrowserPool — lease reuse, new processes, exhaustion, lease isolation
+ *   2. BrowserPool — idle close and disconnected processes
+ *   3. BrowserSessionManager — create, limit, run, close
+ *   4. BrowserSessionManager — idle sweep (pinned and busy sessions survive)
+ *   5. EventManager — per-session buffers, subscriptions, bridge disconnect
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ */
+
+import { EventEmitter } from 'events';
+import { BrowserPool } from './browser-pool.js';
+import { BrowserSessionManager, DEFAULT_SESSION_ID } from './session-manager.js';
+import { EventManager } from './event-manager.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function assert(condition, testName) {
+    if (condition) {
+        passed++;
+        console.log(`  ✅ ${testName}`);
+    } else {
+        failed++;
+        failures.push(testName);
+        console.log(`  ❌ ${testName}`);
+    }
+}
+
+function assertEqual(actual, expected, testName) {
+    if (actual === expected) {
+        passed++;
+        console.log(`  ✅ ${testName}`);
+    } else {
+        failed++;
+        failures.push(`${testName} — expected: "${expected}", got: "${actual}"`);
+        console.log(`  ❌ ${testName}`);
+        console.log(`     expected: "${expected}"`);
+        console.log(`     actual:   "${actual}"`);
+    }
+}
+
+async function assertRejects(fn, code, testName) {
+    let error = null;
+    try { await fn(); } catch (err) { error = err; }
+    assert(error !== null && error.code === code, testName);
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ─── Fakes ──────────────────────────────────────────────────────────────────
+
+class FakeContext extends EventEmitter {
+    constructor() {
+        super();
+        this.closed = false;
+    }
+    async close() {
+        this.closed = true;
+        this.emit('close');
+    }
+}
+
+class FakeBrowser extends EventEmitter {
+    constructor(name) {
+        super();
+        this.name = name;
+        this.connected = true;
+        this.closed = false;
+        this._contexts = [];
+    }
+    isConnected() { return this.connected; }
+    async newContext() {
+        const context = new FakeContext();
+        this._contexts.push(context);
+        return context;
+    }
+    contexts() { return this._contexts.filter(context => !context.closed); }
+    version() { return '1.0'; }
+    async close() {
+        this.closed = true;
+        this.connected = false;
+    }
+    disconnect() {
+        this.connected = false;
+        this.emit('disconnected');
+    }
+}
+
+function fakeLauncher() {
+    const launched = [];
+    const launcher = async (browserName, launchOptions) => {
+        const browser = new FakeBrowser(`${browserName}-${launched.length + 1}`);
+        browser.launchOptions = launchOptions;
+        launched.push(browser);
+        return browser;
+    };
+    return { launched, launcher };
+}
+
+class FakeBridge extends EventEmitter {
+    constructor() {
+        super();
+        this.cleanedUp = false;
+    }
+    async cleanup() { this.cleanedUp = true; }
+}
+
+function createManager(options = {}) {
+    const destroyed = [];
+    const manager = new BrowserSessionManager({
+        createSession: (sessionId) => ({
+            playwrightBridge: new FakeBridge(),
+            chromeDevToolsBridge: new FakeBridge(),
+            router: { sessionId },
+        }),
+        destroySession: async (session) => { destroyed.push(session.id); },
+        sweepIntervalMs: 60000,
+        ...options,
+    });
+    return { manager, destroyed };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 1. BrowserPool — leases
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n═══ 1. BrowserPool — leases ═══');
+{
+    const { launched, launcher } = fakeLauncher();
+    const pool = new BrowserPool({ maxBrowsers: 2, maxContextsPerBrowser: 2, launcher });
+
+    const [a, b] = await Promise.all([pool.acquire(), pool.acquire()]);
+    assertEqual(launched.length, 1, 'concurrent acquires share one process');
+    assert(a.id !== b.id, 'each lease has its own id');
+    assertEqual(launched[0].launchOptions.headless, true, 'headless by default');
+
+    const c = await pool.acquire();
+    assertEqual(launched.length, 2, 'process full — second process launched');
+
+    const headed = pool.acquire({ headless: false });
+    await assertRejects(() => headed, 'SESSION_LIMIT', 'different launch key beyond maxBrowsers → SESSION_LIMIT');
+
+    const d = await pool.acquire();
+    await assertRejects(() => pool.acquire(), 'SESSION_LIMIT', 'all slots leased → SESSION_LIMIT');
+    assertEqual(pool.getStats().leases, 4, 'stats count leases');
+    assertEqual(pool.getStats().capacity, 4, 'stats report capacity');
+
+    const ctxA = await a.browser.newContext();
+    const ctxB = await b.browser.newContext();
+    assertEqual(a.browser.contexts().length, 1, 'lease lists only its own contexts');
+    assertEqual(a.browser.contexts()[0], ctxA, 'lease context is the one it created');
+    assertEqual(a.browser.version(), '1.0', 'other browser methods pass through');
+    assert(a.browser.isConnected(), 'isConnected passes through');
+
+    await a.browser.close();
+    assert(ctxA.closed, 'lease close() closes its contexts');
+    assert(!ctxB.closed, 'lease close() leaves other leases\' contexts open');
+    assert(!launched[0].closed, 'lease close() keeps the process running');
+    assertEqual(pool.getStats().leases, 3, 'lease close() returns the slot');
+
+    const e = await pool.acquire();
+    assertEqual(launched.length, 2, 'freed slot reused without launching');
+
+    a.release();
+    assertEqual(pool.getStats().leases, 4, 'release is idempotent');
+
+    await Promise.all([b, c, d, e].map(lease => lease.browser.close()));
+    await pool.closeAll();
+    assert(launched.every(browser => browser.closed), 'closeAll closes every process');
+    assertEqual(pool.getStats().browsers.length, 0, 'closeAll empties the pool');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 2. BrowserPool — idle and disconnected processes
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n═══ 2. BrowserPool — idle and disconnected processes ═══');
+{
+    const { launched, launcher } = fakeLauncher();
+    const pool = new BrowserPool({ maxBrowsers: 1, maxContextsPerBrowser: 2, browserIdleMs: 20, launcher });
+
+    const lease = await pool.acquire();
+    lease.release();
+    const again = await pool.acquire();
+    await wait(40);
+    assert(!launched[0].closed, 'acquire cancels the idle timer');
+
+    again.release();
+    await wait(40);
+    assert(launched[0].closed, 'process closed after browserIdleMs without leases');
+    assertEqual(pool.getStats().browsers.length, 0, 'idle process removed from the pool');
+
+    const fresh = await pool.acquire();
+    assertEqual(launched.length, 2, 'next acquire launches a new process');
+    launched[1].disconnect();
+    assertEqual(pool.getStats().browsers.length, 0, 'disconnected process removed');
+    await pool.acquire();
+    assertEqual(launched.length, 3, 'acquire after disconnect launches again');
+    fresh.release();
+
+    const failing = new BrowserPool({ launcher: async () => { throw new Error('no browser'); } });
+    let error = null;
+    try { await failing.acquire(); } catch (err) { error = err; }
+    assert(error && error.message === 'no browser', 'launch failure rejects acquire');
+    assertEqual(failing.getStats().browsers.length, 0, 'failed launch does not hold a slot');
+
+    await pool.closeAll();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 3. BrowserSessionManager — create, limit, run, close
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n═══ 3. BrowserSessionManager — create, limit, run, close ═══');
+{
+    const { manager, destroyed } = createManager({ maxContexts: 2 });
+    const created = [];
+    manager.on('created', ({ sessionId }) => created.push(sessionId));
+
+    const first = manager.get('a');
+    assertEqual(manager.get('a'), first, 'same id → same session');
+    assertEqual(first.router.sessionId, 'a', 'createSession receives the id');
+    assertEqual(first.id, 'a', 'session carries its id');
+    assertEqual(manager.get().id, DEFAULT_SESSION_ID, 'no id → default session');
+    assertEqual(created.join(','), `a,${DEFAULT_SESSION_ID}`, 'created emitted once per session');
+
+    let error = null;
+    try { manager.get('c'); } catch (err) { error = err; }
+    assert(error && error.code === 'SESSION_LIMIT', 'maxContexts exceeded → SESSION_LIMIT');
+    assert(!manager.has('c'), 'rejected session not registered');
+
+    let during = null;
+    const result = await manager.run('a', async (session) => {
+        during = session.activeCalls;
+        return 'done';
+    });
+    assertEqual(result, 'done', 'run returns the callback result');
+    assertEqual(during, 1, 'activeCalls counted during run');
+    assertEqual(first.activeCalls, 0, 'activeCalls released after run');
+
+    await manager.run('a', async () => { throw new Error('boom'); }).catch(() => {});
+    assertEqual(first.activeCalls, 0, 'activeCalls released after a throwing run');
+
+    const closedEvents = [];
+    manager.on('closed', (event) => closedEvents.push(event));
+    assertEqual(await manager.close('a', 'disconnected'), true, 'close returns true');
+    assert(first.playwrightBridge.cleanedUp && first.chromeDevToolsBridge.cleanedUp, 'close cleans up both bridges');
+    assertEqual(destroyed.join(','), 'a', 'close calls destroySession');
+    assertEqual(closedEvents[0]?.reason, 'disconnected', 'closed emitted with reason');
+    assertEqual(await manager.close('a'), false, 'closing an unknown session returns false');
+
+    manager.get('c');
+    assertEqual(manager.list().length, 2, 'freed slot usable');
+    assertEqual(manager.getStats().sessions, 2, 'stats count sessions');
+
+    await manager.closeAll();
+    assertEqual(manager.list().length, 0, 'closeAll closes every session');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 4. BrowserSessionManager — idle sweep
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n═══ 4. BrowserSessionManager — idle sweep ═══');
+{
+    const { manager } = createManager({ idleTimeoutMs: 1000 });
+    const now = Date.now();
+
+    manager.get('idle');
+    manager.get('pinned', { pinned: true });
+    manager.get('recent');
+    const busy = manager.get('busy');
+    for (const id of ['idle', 'pinned', 'busy']) manager.get(id).lastUsedAt = now - 5000;
+    manager.get('recent').lastUsedAt = now;
+    busy.activeCalls = 1;
+
+    const closed = await manager.sweep(now);
+    assertEqual(closed.join(','), 'idle', 'only the idle session swept');
+    assert(manager.has('pinned'), 'pinned session kept');
+    assert(manager.has('busy'), 'session with a call in flight kept');
+    assert(manager.has('recent'), 'recently used session kept');
+
+    const disabled = createManager({ idleTimeoutMs: 0 }).manager;
+    disabled.get('x').lastUsedAt = 0;
+    assertEqual((await disabled.sweep()).length, 0, 'idleTimeoutMs 0 disables sweeping');
+
+    await manager.closeAll();
+    await disabled.closeAll();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 5. EventManager — per-session events
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n═══ 5. EventManager — per-session events ═══');
+{
+    const events = new EventManager();
+    const bridgeA = new FakeBridge();
+    const bridgeB = new FakeBridge();
+    events.connectBridge(bridgeA, 'playwright', 'a');
+    events.connectBridge(bridgeB, 'playwright', 'b');
+
+    const seenByA = [];
+    const seenByAll = [];
+    events.subscribe('console', (event) => seenByA.push(event), null, 'a');
+    events.subscribe('*', (event) => seenByAll.push(event));
+
+    bridgeA.emit('console', { type: 'log', text: 'from a' });
+    bridgeB.emit('console', { type: 'error', text: 'from b' });
+    bridgeB.emit('response', { url: 'https://b.test/api', status: 200 });
+
+    assertEqual(events.getEvents({ sessionId: 'a' }).total, 1, 'session a sees only its events');
+    assertEqual(events.getEvents({ sessionId: 'b', category: 'network' }).total, 1, 'session and category filters combine');
+    assertEqual(events.getEvents({}).total, 3, 'no sessionId → events from every session');
+    assertEqual(events.getEvents({ category: 'console', type: 'error' }).events[0]?.sessionId, 'b', 'events tagged with sessionId');
+    assertEqual(seenByA.length, 1, 'session subscription filtered to its session');
+    assertEqual(seenByAll.length, 3, 'unscoped subscription sees every session');
+    assertEqual(events.getStats().sessions.b, 2, 'stats count events per session');
+
+    events.push('custom', { type: 'note' });
+    assertEqual(events.getEvents({ sessionId: 'default' }).total, 1, 'push without sessionId → default session');
+
+    events.disconnectBridge(bridgeA);
+    bridgeA.emit('console', { type: 'log', text: 'after disconnect' });
+    assertEqual(events.getEvents({ sessionId: 'a' }).total, 1, 'disconnected bridge no longer piped');
+    assertEqual(bridgeA.listenerCount('console'), 0, 'disconnectBridge removes its listeners');
+
+    events.clearSession('b');
+    assertEqual(events.getEvents({ sessionId: 'b' }).total, 0, 'clearSession drops the session buffers');
+    assertEqual(events.getEvents({}).total, 2, 'clearSession keeps other sessions');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failures.length > 0) {
+    console.log('\nFailed tests:');
+    failures.forEach(f => console.log(`  ❌ ${f}`));
+}
+console.log('═'.repeat(60));
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,48 @@
+/**
+ * Classify a failed tool call for the MCP error response.
+ *
+ * Codes: RUNTIME_BLOCKER (with the blocker), SESSION_LIMIT, REPLAY_MISS (with the
+ * fixture, tool and params the recording did not contain), TOOL_TIMEOUT and
+ * INTERNAL_TOOL_ERROR.
+ */
+export function classifyToolFailure(error) {
+    const blocker = error?.blocker || null;
+    const message = error?.message || 'Unknown tool execution error';
+
+    if (error?.code === 'RUNTIME_BLOCKER' || blocker) {
+        return {
+            code: 'RUNTIME_BLOCKER',
+            message,
+            blocker,
+        };
+    }
+
+    if (error?.code === 'SESSION_LIMIT') {
+        return {
+            code: 'SESSION_LIMIT',
+            message,
+        };
+    }
+
+    if (error?.code === 'REPLAY_MISS') {
+        return {
+            code: 'REPLAY_MISS',
+            message,
+            fixture: error.fixture || null,
+            tool: error.tool || null,
+            params: error.params || {},
+        };
+    }
+
+    if (/timed out after/i.test(message)) {
+        return {
+            code: 'TOOL_TIMEOUT',
+            message,
+        };
+    }
+
+    return {
+        code: 'INTERNAL_TOOL_ERROR',
+        message,
+    };
+}
@@ -0,0 +1,577 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ * VISUAL DIFF — Pure-JS PNG Codec & Pixel Comparison
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ *
+ * Backs unified_screenshot_compare with a real pixel-level comparison, using only
+ * node:zlib — no native image libraries.
+ *
+ *   1. Decode   — PNG (all color types, bit depths 1–16, Adam7 interlacing) → RGBA
+ *   2. Compare  — per-pixel perceptual color distance (YIQ), with anti-aliasing
+ *                 detection so font smoothing / edge rendering noise is tolerated
+ *   3. Ignore   — rectangles excluded from the comparison (resolved selectors, or
+ *                 coordinates given by the caller)
+ *   4. Emit     — highlighted diff image: faded baseline, red = changed,
+ *                 yellow = anti-aliasing, blue tint = ignored
+ *
+ * Masking of dynamic content (prices, dates, times) happens at capture time — the
+ * bridge paints masked elements in both screenshots; DYNAMIC_CONTENT_PATTERNS
+ * holds the text patterns for that.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ */
+
+import { inflateSync, deflateSync } from 'zlib';
+
+// ---------------------------------------------------------------------------
+// PNG CONSTANTS
+// ---------------------------------------------------------------------------
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/** Channels per color type (0 gray, 2 RGB, 3 palette, 4 gray+alpha, 6 RGBA) */
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/** Adam7 passes: [xStart, yStart, xStep, yStep] */
+const ADAM7_PASSES = [
+    [0, 0, 8, 8],
+    [4, 0, 8, 8],
+    [0, 4, 4, 8],
+    [2, 0, 4, 4],
+    [0, 2, 2, 4],
+    [1, 0, 2, 2],
+    [0, 1, 1, 2],
+];
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 as used by PNG chunks.
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// ---------------------------------------------------------------------------
+// DECODE
+// ---------------------------------------------------------------------------
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+/**
+ * Reverse the per-scanline filters of one (sub)image in place.
+ * @returns {number} Offset just after the image in `data`
+ */
+function unfilter(data, offset, rowBytes, rows, bpp) {
+    let previous = null;
+    for (let y = 0; y < rows; y++) {
+        const filter = data[offset];
+        const start = offset + 1;
+        if (start + rowBytes > data.length) throw new Error('PNG image data is truncated');
+        for (let i = 0; i < rowBytes; i++) {
+            const left = i >= bpp ? data[start + i - bpp] : 0;
+            const up = previous !== null ? data[previous + i] : 0;
+            const upLeft = previous !== null && i >= bpp ? data[previous + i - bpp] : 0;
+            let value = data[start + i];
+            switch (filter) {
+                case 0: break;
+                case 1: value += left; break;
+                case 2: value += up; break;
+                case 3: value += (left + up) >> 1; break;
+                case 4: value += paeth(left, up, upLeft); break;
+                default: throw new Error(`Unknown PNG filter type ${filter}`);
+            }
+            data[start + i] = value & 0xff;
+        }
+        previous = start;
+        offset = start + rowBytes;
+    }
+    return offset;
+}
+
+/** Read sample `index` of a scanline as an 8-bit value. */
+function readSample(data, rowStart, index, bitDepth) {
+    if (bitDepth === 8) return data[rowStart + index];
+    if (bitDepth === 16) return data[rowStart + index * 2];
+    const perByte = 8 / bitDepth;
+    const byte = data[rowStart + Math.floor(index / perByte)];
+    const shift = 8 - bitDepth * (index % perByte + 1);
+    return (byte >> shift) & ((1 << bitDepth) - 1);
+}
+
+/** Read raw (unscaled) sample, full 16-bit precision — used for tRNS matching. */
+function readRawSample(data, rowStart, index, bitDepth) {
+    if (bitDepth === 16) return (data[rowStart + index * 2] << 8) | data[rowStart + index * 2 + 1];
+    return readSample(data, rowStart, index, bitDepth);
+}
+
+/**
+ * Decode a PNG into 8-bit RGBA.
+ *
+ * @param {Buffer} buffer
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ */
+function decodePNG(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error('Not a PNG image');
+    }
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+
+    let offset = 8;
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const body = buffer.subarray(offset + 8, offset + 8 + length);
+        if (body.length < length) throw new Error(`PNG chunk ${type} is truncated`);
+        offset += 12 + length;
+
+        if (type === 'IHDR') {
+            header = {
+                width: body.readUInt32BE(0),
+                height: body.readUInt32BE(4),
+                bitDepth: body[8],
+                colorType: body[9],
+                interlace: body[12],
+            };
+        } else if (type === 'PLTE') {
+            palette = body;
+        } else if (type === 'tRNS') {
+            transparency = body;
+        } else if (type === 'IDAT') {
+            idat.push(body);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header) throw new Error('PNG has no IHDR chunk');
+    const { width, height, bitDepth, colorType, interlace } = header;
+    const channels = CHANNELS[colorType];
+    if (!channels) throw new Error(`Unsupported PNG color type ${colorType}`);
+    if (![1, 2, 4, 8, 16].includes(bitDepth)) throw new Error(`Unsupported PNG bit depth ${bitDepth}`);
+    if (colorType === 3 && !palette) throw new Error('Palette PNG has no PLTE chunk');
+    if (idat.length === 0) throw new Error('PNG has no image data');
+
+    const raw = inflateSync(Buffer.concat(idat));
+    const out = new Uint8Array(width * height * 4);
+    const bitsPerPixel = channels * bitDepth;
+    const bpp = Math.max(1, bitsPerPixel >> 3);
+    const scale = bitDepth < 8 && colorType !== 3 ? 255 / ((1 << bitDepth) - 1) : 1;
+
+    // tRNS for gray / RGB: a single fully-transparent color
+    const transparentKey = transparency && (colorType === 0 || colorType === 2)
+        ? Array.from({ length: colorType === 0 ? 1 : 3 }, (_, i) => transparency.readUInt16BE(i * 2))
+        : null;
+
+    const writePixel = (rowStart, x, target) => {
+        const o = target * 4;
+        if (colorType === 3) {
+            const index = readSample(raw, rowStart, x, bitDepth);
+            out[o] = palette[index * 3];
+            out[o + 1] = palette[index * 3 + 1];
+            out[o + 2] = palette[index * 3 + 2];
+            out[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+            return;
+        }
+        const sample = i => Math.round(readSample(raw, rowStart, x * channels + i, bitDepth) * scale);
+        if (colorType === 0 || colorType === 4) {
+            const gray = sample(0);
+            out[o] = out[o + 1] = out[o + 2] = gray;
+            out[o + 3] = colorType === 4 ? sample(1) : 255;
+        } else {
+            out[o] = sample(0);
+            out[o + 1] = sample(1);
+            out[o + 2] = sample(2);
+            out[o + 3] = colorType === 6 ? sample(3) : 255;
+        }
+        if (transparentKey && transparentKey.every((key, i) => readRawSample(raw, rowStart, x * channels + i, bitDepth) === key)) {
+            out[o + 3] = 0;
+        }
+    };
+
+    const passes = interlace === 1 ? ADAM7_PASSES : [[0, 0, 1, 1]];
+    let position = 0;
+    for (const [x0, y0, dx, dy] of passes) {
+        const passWidth = Math.ceil((width - x0) / dx);
+        const passHeight = Math.ceil((height - y0) / dy);
+        if (passWidth <= 0 || passHeight <= 0) continue;
+
+        const rowBytes = Math.ceil((passWidth * bitsPerPixel) / 8);
+        const start = position;
+        position = unfilter(raw, position, rowBytes, passHeight, bpp);
+
+        for (let y = 0; y < passHeight; y++) {
+            const rowStart = start + y * (rowBytes + 1) + 1;
+            // Fast path: 8-bit RGBA rows copy straight through (Playwright screenshots)
+            if (colorType === 6 && bitDepth === 8 && dx === 1) {
+                out.set(raw.subarray(rowStart, rowStart + rowBytes), (y0 + y * dy) * width * 4);
+                continue;
+            }
+            for (let x = 0; x < passWidth; x++) {
+                writePixel(rowStart, x, (y0 + y * dy) * width + x0 + x * dx);
+            }
+        }
+    }
+
+    return { width, height, data: out };
+}
+
+// ---------------------------------------------------------------------------
+// ENCODE
+// ---------------------------------------------------------------------------
+
+function chunk(type, body) {
+    const head = Buffer.alloc(8);
+    head.writeUInt32BE(body.length, 0);
+    head.write(type, 4, 'latin1');
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), body])), 0);
+    return Buffer.concat([head, body, crc]);
+}
+
+/**
+ * Encode 8-bit RGBA as a PNG (non-interlaced, Sub filter).
+ *
+ * @param {{ width: number, height: number, data: Uint8Array }} image
+ * @returns {Buffer}
+ */
+function encodePNG({ width, height, data }) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 6;  // RGBA
+
+    const rowBytes = width * 4;
+    const raw = Buffer.alloc((rowBytes + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const target = y * (rowBytes + 1);
+        const source = y * rowBytes;
+        raw[target] = 1;
+        for (let i = 0; i < rowBytes; i++) {
+            raw[target + 1 + i] = (data[source + i] - (i >= 4 ? data[source + i - 4] : 0)) & 0xff;
+        }
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+// ---------------------------------------------------------------------------
+// PIXEL COMPARISON
+// ---------------------------------------------------------------------------
+
+// Alpha is blended onto white before comparing
+function blend(channel, alpha) {
+    return 255 + (channel - 255) * alpha;
+}
+
+function rgb2y(r, g, b) { return r * 0.29889531 + g * 0.58662247 + b * 0.11448223; }
+function rgb2i(r, g, b) { return r * 0.59597799 - g * 0.27417610 - b * 0.32180189; }
+function rgb2q(r, g, b) { return r * 0.21147017 - g * 0.52261711 + b * 0.31114694; }
+
+/**
+ * Perceptual color distance between two pixels (YIQ, squared). Signed:
+ * negative when the first pixel is brighter.
+ */
+function colorDelta(img1, img2, k, m, yOnly = false) {
+    let r1 = img1[k], g1 = img1[k + 1], b1 = img1[k + 2];
+    let r2 = img2[m], g2 = img2[m + 1], b2 = img2[m + 2];
+    const a1 = img1[k + 3], a2 = img2[m + 3];
+
+    if (a1 === a2 && r1 === r2 && g1 === g2 && b1 === b2) return 0;
+
+    if (a1 < 255) {
+        const a = a1 / 255;
+        r1 = blend(r1, a); g1 = blend(g1, a); b1 = blend(b1, a);
+    }
+    if (a2 < 255) {
+        const a = a2 / 255;
+        r2 = blend(r2, a); g2 = blend(g2, a); b2 = blend(b2, a);
+    }
+
+    const y1 = rgb2y(r1, g1, b1);
+    const y2 = rgb2y(r2, g2, b2);
+    const y = y1 - y2;
+    if (yOnly) return y;
+
+    const i = rgb2i(r1, g1, b1) - rgb2i(r2, g2, b2);
+    const q = rgb2q(r1, g1, b1) - rgb2q(r2, g2, b2);
+    const delta = 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+    return y1 > y2 ? -delta : delta;
+}
+
+/** At least 3 neighbours share the exact color of (x1, y1). */
+function hasManySiblings(img, x1, y1, width, height) {
+    const x0 = Math.max(x1 - 1, 0);
+    const y0 = Math.max(y1 - 1, 0);
+    const x2 = Math.min(x1 + 1, width - 1);
+    const y2 = Math.min(y1 + 1, height - 1);
+    const pos = (y1 * width + x1) * 4;
+    let zeroes = x1 === x0 || x1 === x2 || y1 === y0 || y1 === y2 ? 1 : 0;
+
+    for (let x = x0; x <= x2; x++) {
+        for (let y = y0; y <= y2; y++) {
+            if (x === x1 && y === y1) continue;
+            const pos2 = (y * width + x) * 4;
+            if (img[pos] === img[pos2] && img[pos + 1] === img[pos2 + 1]
+                && img[pos + 2] === img[pos2 + 2] && img[pos + 3] === img[pos2 + 3]) {
+                zeroes++;
+            }
+            if (zeroes > 2) return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Whether the pixel at (x1, y1) of `img` looks like anti-aliasing: it sits on a
+ * brightness gradient between a darkest and a brightest neighbour, one of which
+ * is part of a flat area in both images.
+ */
+function isAntialiased(img, x1, y1, width, height, img2) {
+    const x0 = Math.max(x1 - 1, 0);
+    const y0 = Math.max(y1 - 1, 0);
+    const x2 = Math.min(x1 + 1, width - 1);
+    const y2 = Math.min(y1 + 1, height - 1);
+    const pos = (y1 * width + x1) * 4;
+    let zeroes = x1 === x0 || x1 === x2 || y1 === y0 || y1 === y2 ? 1 : 0;
+    let min = 0;
+    let max = 0;
+    let minX, minY, maxX, maxY;
+
+    for (let x = x0; x <= x2; x++) {
+        for (let y = y0; y <= y2; y++) {
+            if (x === x1 && y === y1) continue;
+            const delta = colorDelta(img, img, pos, (y * width + x) * 4, true);
+            if (delta === 0) {
+                zeroes++;
+                if (zeroes > 2) return false;
+            } else if (delta < min) {
+                min = delta; minX = x; minY = y;
+            } else if (delta > max) {
+                max = delta; maxX = x; maxY = y;
+            }
+        }
+    }
+
+    if (min === 0 || max === 0) return false;
+    return (hasManySiblings(img, minX, minY, width, height) && hasManySiblings(img2, minX, minY, width, height))
+        || (hasManySiblings(img, maxX, maxY, width, height) && hasManySiblings(img2, maxX, maxY, width, height));
+}
+
+/** Copy the top-left `width` × `height` area of an RGBA image. */
+function crop(image, width, height) {
+    if (image.width === width && image.height === height) return image.data;
+    const out = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        out.set(image.data.subarray(y * image.width * 4, (y * image.width + width) * 4), y * width * 4);
+    }
+    return out;
+}
+
+/**
+ * Clamp regions to the image and round them to whole pixels. Regions are
+ * { x, y, width, height } in image pixels.
+ */
+function normalizeRegions(regions, width, height) {
+    return (regions || [])
+        .filter(region => region && [region.x, region.y, region.width, region.height].every(Number.isFinite))
+        .map(region => {
+            const x0 = Math.max(0, Math.floor(region.x));
+            const y0 = Math.max(0, Math.floor(region.y));
+            const x1 = Math.min(width, Math.ceil(region.x + region.width));
+            const y1 = Math.min(height, Math.ceil(region.y + region.height));
+            return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+        })
+        .filter(region => region.width > 0 && region.height > 0);
+}
+
+/**
+ * Compare two RGBA images pixel by pixel.
+ *
+ * Images of different sizes are compared over their overlap; pixels outside it
+ * count as changed. The mismatch ratio is changed pixels / compared pixels
+ * (ignored pixels are not compared).
+ *
+ * @param {{ width, height, data }} baseline
+ * @param {{ width, height, data }} current
+ * @param {Object} [options]
+ * @param {number} [options.colorThreshold=0.1] - Per-pixel color sensitivity (0 = exact, 1 = lenient)
+ * @param {boolean} [options.antialiasing=true] - Tolerate anti-aliasing pixels (not counted as changed)
+ * @param {Array<{x,y,width,height}>} [options.ignoreRegions] - Excluded from the comparison
+ * @param {boolean} [options.diffImage=true] - Produce the highlighted diff image
+ * @returns {Object} { diffPixels, antiAliasedPixels, ignoredPixels, comparedPixels, mismatchRatio, dimensionsMatch, dimensions, width, height, diff }
+ */
+function compareImages(baseline, current, options = {}) {
+    const colorThreshold = options.colorThreshold ?? 0.1;
+    const antialiasing = options.antialiasing !== false;
+    const maxDelta = 35215 * colorThreshold * colorThreshold;
+
+    const width = Math.max(baseline.width, current.width);
+    const height = Math.max(baseline.height, current.height);
+    const overlapWidth = Math.min(baseline.width, current.width);
+    const overlapHeight = Math.min(baseline.height, current.height);
+    const img1 = crop(baseline, overlapWidth, overlapHeight);
+    const img2 = crop(current, overlapWidth, overlapHeight);
+
+    const ignoreRegions = normalizeRegions(options.ignoreRegions, width, height);
+    const ignored = new Uint8Array(width * height);
+    for (const region of ignoreRegions) {
+        for (let y = region.y; y < region.y + region.height; y++) {
+            ignored.fill(1, y * width + region.x, y * width + region.x + region.width);
+        }
+    }
+
+    const diff = options.diffImage === false ? null : new Uint8Array(width * height * 4);
+    const paint = (x, y, r, g, b) => {
+        const o = (y * width + x) * 4;
+        diff[o] = r; diff[o + 1] = g; diff[o + 2] = b; diff[o + 3] = 255;
+    };
+    const paintFaded = (x, y, source, pos, tint = null) => {
+        // Grayscale baseline at 10% opacity over white
+        const a = source[pos + 3] / 255;
+        const gray = blend(rgb2y(source[pos], source[pos + 1], source[pos + 2]), 0.1 * a);
+        if (tint) paint(x, y, (gray + tint[0]) >> 1, (gray + tint[1]) >> 1, (gray + tint[2]) >> 1);
+        else paint(x, y, gray, gray, gray);
+    };
+
+    let diffPixels = 0;
+    let antiAliasedPixels = 0;
+    let ignoredPixels = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = y * width + x;
+            const inside = x < overlapWidth && y < overlapHeight;
+
+            if (ignored[index]) {
+                ignoredPixels++;
+                if (diff) {
+                    if (inside) paintFaded(x, y, img1, (y * overlapWidth + x) * 4, [120, 160, 255]);
+                    else paint(x, y, 190, 210, 255);
+                }
+                continue;
+            }
+            if (!inside) {
+                diffPixels++;
+                if (diff) paint(x, y, 255, 0, 0);
+                continue;
+            }
+
+            const pos = (y * overlapWidth + x) * 4;
+            const delta = colorDelta(img1, img2, pos, pos);
+            if (Math.abs(delta) > maxDelta) {
+                if (antialiasing && (isAntialiased(img1, x, y, overlapWidth, overlapHeight, img2)
+                    || isAntialiased(img2, x, y, overlapWidth, overlapHeight, img1))) {
+                    antiAliasedPixels++;
+                    if (diff) paint(x, y, 255, 255, 0);
+                } else {
+                    diffPixels++;
+                    if (diff) paint(x, y, 255, 0, 0);
+                }
+            } else if (diff) {
+                paintFaded(x, y, img1, pos);
+            }
+        }
+    }
+
+    const comparedPixels = width * height - ignoredPixels;
+    return {
+        width,
+        height,
+        dimensionsMatch: baseline.width === current.width && baseline.height === current.height,
+        dimensions: {
+            baseline: { width: baseline.width, height: baseline.height },
+            current: { width: current.width, height: current.height },
+        },
+        diffPixels,
+        antiAliasedPixels,
+        ignoredPixels,
+        comparedPixels,
+        mismatchRatio: comparedPixels > 0 ? diffPixels / comparedPixels : 0,
+        ignoreRegions,
+        diff: diff ? { width, height, data: diff } : null,
+    };
+}
+
+/**
+ * Decode two PNG buffers and compare them.
+ * @returns {Object} compareImages result, plus diffPng (Buffer) unless options.diffImage is false
+ */
+function comparePNG(baselineBuffer, currentBuffer, options = {}) {
+    const result = compareImages(decodePNG(baselineBuffer), decodePNG(currentBuffer), options);
+    return { ...result, diffPng: result.diff ? encodePNG(result.diff) : null };
+}
+
+// ---------------------------------------------------------------------------
+// DYNAMIC CONTENT PATTERNS
+// ---------------------------------------------------------------------------
+
+/**
+ * Text patterns for masking dynamic content at capture time. Elements whose
+ * text matches are painted over in both baseline and current screenshots.
+ */
+const DYNAMIC_CONTENT_PATTERNS = {
+    price: /[$€£¥₹]\s?\d[\d,]*(?:\.\d{1,2})?|\d[\d,]*(?:\.\d{2})?\s?(?:USD|EUR|GBP)\b/,
+    date: /\b\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}\b|\b\d{4}-\d{2}-\d{2}\b|\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?\s+\d{1,2},?\s+\d{4}\b/i,
+    time: /\b\d{1,2}:\d{2}(?::\d{2})?\s?(?:[AP]M)?\b/i,
+    relativeTime: /\b(?:\d+|an?|a few)\s+(?:second|minute|hour|day|week|month|year)s?\s+ago\b|\bjust now\b/i,
+};
+
+/**
+ * Resolve mask pattern names (DYNAMIC_CONTENT_PATTERNS keys) and regex sources
+ * ("/.../flags" or a plain pattern) to RegExps.
+ *
+ * @param {string[]} patterns
+ * @returns {RegExp[]}
+ */
+function resolveMaskPatterns(patterns = []) {
+    return patterns.map(pattern => {
+        if (pattern instanceof RegExp) return pattern;
+        if (DYNAMIC_CONTENT_PATTERNS[pattern]) return DYNAMIC_CONTENT_PATTERNS[pattern];
+        const literal = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+        try {
+            return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+        } catch (err) {
+            throw new Error(`Invalid mask pattern "${pattern}": ${err.message}`);
+        }
+    });
+}
+
+export {
+    decodePNG,
+    encodePNG,
+    compareImages,
+    comparePNG,
+    crc32,
+    DYNAMIC_CONTENT_PATTERNS,
+    resolveMaskPatterns,
+};
@@ -0,0 +1,323 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ * UNIT TESTS — Visual Diff (PNG codec + pixel comparison)
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ *
+ * Run: node agentic-workflow/mcp-server/utils/visual-diff.test.js
+ *
+ * Tests cover:
+ *   1. encodePNG / decodePNG round trip
+ *   2. decodePNG — gray, palette + tRNS, 16-bit, sub-byte depths, Adam7, all filters
+ *   3. compareImages — mismatch ratio, color threshold, anti-aliasing tolerance
+ *   4. Ignore regions and size mismatches
+ *   5. Diff image colors
+ *   6. Mask patterns
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════════════
+ */
+
+import { deflateSync } from 'zlib';
+import {
+    decodePNG, encodePNG, compareImages, comparePNG, crc32,
+    DYNAMIC_CONTENT_PATTERNS, resolveMaskPatterns,
+} from './visual-diff.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function assert(condition, testName) {
+    if (condition) {
+        passed++;
+        console.log(`  ✅ ${testName}`);
+    } else {
+        failed++;
+        failures.push(testName);
+        console.log(`  ❌ ${testName}`);
+    }
+}
+
+function assertEqual(actual, expected, testName) {
+    if (actual === expected) {
+        passed++;
+        console.log(`  ✅ ${testName}`);
+    } else {
+        failed++;
+        failures.push(`${testName} — expected: "${expected}", got: "${actual}"`);
+        console.log(`  ❌ ${testName}`);
+        console.log(`     expected: "${expected}"`);
+        console.log(`     actual:   "${actual}"`);
+    }
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/** Solid RGBA image, optionally painted by fn(x, y) → [r, g, b, a]. */
+function image(width, height, fn = () => [255, 255, 255, 255]) {
+    const data = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) data.set(fn(x, y), (y * width + x) * 4);
+    }
+    return { width, height, data };
+}
+
+function pixel(img, x, y) {
+    return Array.from(img.data.subarray((y * img.width + x) * 4, (y * img.width + x) * 4 + 4));
+}
+
+function chunk(type, body) {
+    const head = Buffer.alloc(8);
+    head.writeUInt32BE(body.length, 0);
+    head.write(type, 4, 'latin1');
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), body])), 0);
+    return Buffer.concat([head, body, crc]);
+}
+
+/** Hand-built PNG from already-filtered scanlines. */
+function rawPNG({ width, height, bitDepth, colorType, interlace = 0, scanlines, plte, trns }) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = bitDepth;
+    header[9] = colorType;
+    header[12] = interlace;
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        ...(plte ? [chunk('PLTE', Buffer.from(plte))] : []),
+        ...(trns ? [chunk('tRNS', Buffer.from(trns))] : []),
+        chunk('IDAT', deflateSync(Buffer.from(scanlines))),
+        chunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEST SUITE: PNG round trip
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n🧪 encodePNG / decodePNG');
+
+{
+    const original = image(7, 5, (x, y) => [x * 30, y * 50, (x + y) * 10, 200 + x]);
+    const decoded = decodePNG(encodePNG(original));
+    assertEqual(decoded.width, 7, 'width survives round trip');
+    assertEqual(decoded.height, 5, 'height survives round trip');
+    assert(Buffer.from(decoded.data).equals(Buffer.from(original.data)), 'pixels survive round trip');
+    assertEqual(crc32(Buffer.from('IEND')), 0xae426082, 'crc32 matches PNG IEND checksum');
+}
+
+{
+    let error = null;
+    try { decodePNG(Buffer.from('not a png')); } catch (err) { error = err; }
+    assert(error && error.message === 'Not a PNG image', 'rejects non-PNG input');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEST SUITE: decodePNG color types
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n🧪 decodePNG color types');
+
+{
+    // 8-bit gray, filters None and Up
+    const png = rawPNG({ width: 2, height: 2, bitDepth: 8, colorType: 0, scanlines: [0, 10, 200, 2, 5, 5] });
+    const img = decodePNG(png);
+    assertEqual(pixel(img, 1, 0).join(), '200,200,200,255', 'gray 8-bit');
+    assertEqual(pixel(img, 0, 1).join(), '15,15,15,255', 'Up filter');
+}
+
+{
+    // 2-bit palette with tRNS: indices 0,1,2,3
+    const png = rawPNG({
+        width: 4, height: 1, bitDepth: 2, colorType: 3,
+        scanlines: [0, 0b00011011],
+        plte: [255, 0, 0, 0, 255, 0, 0, 0, 255, 9, 9, 9],
+        trns: [0, 128],
+    });
+    const img = decodePNG(png);
+    assertEqual(pixel(img, 0, 0).join(), '255,0,0,0', 'palette index 0 with tRNS alpha 0');
+    assertEqual(pixel(img, 1, 0).join(), '0,255,0,128', 'palette index 1 with tRNS alpha 128');
+    assertEqual(pixel(img, 3, 0).join(), '9,9,9,255', 'palette index beyond tRNS is opaque');
+}
+
+{
+    // 1-bit gray scales to 0 / 255
+    const png = rawPNG({ width: 3, height: 1, bitDepth: 1, colorType: 0, scanlines: [0, 0b10100000] });
+    const img = decodePNG(png);
+    assertEqual(`${pixel(img, 0, 0)[0]},${pixel(img, 1, 0)[0]},${pixel(img, 2, 0)[0]}`, '255,0,255', '1-bit gray');
+}
+
+{
+    // 16-bit RGB with Sub filter (bpp = 6) and tRNS key
+    const png = rawPNG({
+        width: 2, height: 1, bitDepth: 16, colorType: 2,
+        scanlines: [1, 0x12, 0x34, 0x56, 0x78, 0x9a, 0xbc, 0x01, 0x00, 0x01, 0x00, 0x01, 0x00],
+        trns: [0x13, 0x34, 0x57, 0x78, 0x9b, 0xbc],
+    });
+    const img = decodePNG(png);
+    assertEqual(pixel(img, 0, 0).join(), '18,86,154,255', '16-bit RGB uses high bytes');
+    assertEqual(pixel(img, 1, 0).join(), '19,87,155,0', 'Sub filter + tRNS color key');
+}
+
+{
+    // Gray + alpha with Average and Paeth filters
+    const png = rawPNG({
+        width: 2, height: 3, bitDepth: 8, colorType: 4,
+        scanlines: [0, 100, 255, 50, 255, 3, 10, 0, 10, 0, 4, 1, 1, 1, 1],
+    });
+    const img = decodePNG(png);
+    assertEqual(pixel(img, 0, 1).join(), '60,60,60,127', 'Average filter');
+    assertEqual(pixel(img, 1, 1).join(), '65,65,65,191', 'Average filter uses left pixel');
+    assertEqual(pixel(img, 0, 2).join(), '61,61,61,128', 'Paeth filter');
+    assertEqual(pixel(img, 1, 2).join(), '66,66,66,192', 'Paeth filter picks nearest predictor');
+}
+
+{
+    // Adam7 interlaced 3x3 gray: pass 1 (0,0), pass 4 (2,0), pass 5 (0,2),(2,2),
+    // pass 6 (1,0),(1,2), pass 7 row 1 (x 0..2)
+    const png = rawPNG({
+        width: 3, height: 3, bitDepth: 8, colorType: 0, interlace: 1,
+        scanlines: [
+            0, 1,           // pass 1
+            0, 3,           // pass 4
+            0, 7, 9,        // pass 5
+            0, 2,           // pass 6, row 0
+            0, 8,           // pass 6, row 2
+            0, 4, 5, 6,     // pass 7
+        ],
+    });
+    const img = decodePNG(png);
+    const values = [];
+    for (let y = 0; y < 3; y++) for (let x = 0; x < 3; x++) values.push(pixel(img, x, y)[0]);
+    assertEqual(values.join(), '1,2,3,4,5,6,7,8,9', 'Adam7 interlacing');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEST SUITE: compareImages
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n🧪 compareImages');
+
+{
+    const a = image(10, 10);
+    const result = compareImages(a, image(10, 10));
+    assertEqual(result.diffPixels, 0, 'identical images have no diff');
+    assertEqual(result.mismatchRatio, 0, 'identical mismatch ratio 0');
+    assert(result.dimensionsMatch, 'dimensions match');
+}
+
+{
+    const a = image(10, 10);
+    const b = image(10, 10, (x, y) => (x < 5 && y < 2 ? [0, 0, 0, 255] : [255, 255, 255, 255]));
+    const result = compareImages(a, b, { antialiasing: false });
+    assertEqual(result.diffPixels, 10, 'changed block counted');
+    assertEqual(result.mismatchRatio, 0.1, 'mismatch ratio = changed / compared');
+    assertEqual(pixel(result.diff, 0, 0).join(), '255,0,0,255', 'changed pixel is red in diff');
+    assertEqual(pixel(result.diff, 9, 9).join(), '255,255,255,255', 'unchanged white stays white (faded)');
+}
+
+{
+    // Slight color shift below the color threshold
+    const a = image(4, 4, () => [100, 100, 100, 255]);
+    const b = image(4, 4, () => [103, 100, 100, 255]);
+    assertEqual(compareImages(a, b).diffPixels, 0, 'small color shift within default colorThreshold');
+    assertEqual(compareImages(a, b, { colorThreshold: 0 }).diffPixels, 16, 'colorThreshold 0 is exact');
+}
+
+{
+    // Alpha is blended on white: fully transparent black == white
+    const a = image(2, 2, () => [0, 0, 0, 0]);
+    const b = image(2, 2);
+    assertEqual(compareImages(a, b).diffPixels, 0, 'transparent pixels compare as white');
+}
+
+{
+    // Anti-aliased edge: left half black, right half white; current has a gray
+    // column on the boundary
+    const a = image(8, 8, x => (x < 4 ? [0, 0, 0, 255] : [255, 255, 255, 255]));
+    const b = image(8, 8, x => (x < 4 ? [0, 0, 0, 255] : x === 4 ? [128, 128, 128, 255] : [255, 255, 255, 255]));
+    const tolerant = compareImages(a, b);
+    assertEqual(tolerant.diffPixels, 0, 'anti-aliased edge tolerated');
+    assertEqual(tolerant.antiAliasedPixels, 8, 'anti-aliased pixels counted separately');
+    assertEqual(pixel(tolerant.diff, 4, 3).join(), '255,255,0,255', 'anti-aliased pixel is yellow in diff');
+    assertEqual(compareImages(a, b, { antialiasing: false }).diffPixels, 8, 'antialiasing: false counts them');
+}
+
+{
+    // A solid change in a flat area is not anti-aliasing
+    const a = image(9, 9);
+    const b = image(9, 9, (x, y) => (x >= 3 && x <= 5 && y >= 3 && y <= 5 ? [255, 0, 0, 255] : [255, 255, 255, 255]));
+    assertEqual(compareImages(a, b).diffPixels, 9, 'flat-area change is not anti-aliasing');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEST SUITE: Ignore regions & sizes
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n🧪 ignore regions & sizes');
+
+{
+    const a = image(10, 10);
+    const b = image(10, 10, (x, y) => (y === 0 ? [0, 0, 0, 255] : [255, 255, 255, 255]));
+    const result = compareImages(a, b, { ignoreRegions: [{ x: 0, y: 0, width: 10, height: 1.5 }] });
+    assertEqual(result.diffPixels, 0, 'changes inside ignore region not counted');
+    assertEqual(result.ignoredPixels, 20, 'ignore region rounded outward to whole pixels');
+    assertEqual(result.comparedPixels, 80, 'ignored pixels not compared');
+    const tinted = pixel(result.diff, 0, 0);
+    assert(tinted[2] > tinted[0], 'ignored pixel tinted blue in diff');
+}
+
+{
+    const result = compareImages(image(4, 4), image(4, 4), { ignoreRegions: [{ x: -5, y: 2, width: 100, height: 100 }, { x: 1 }] });
+    assertEqual(result.ignoredPixels, 8, 'ignore regions clamped, invalid ones dropped');
+}
+
+{
+    const result = compareImages(image(4, 4), image(5, 4));
+    assert(!result.dimensionsMatch, 'size mismatch detected');
+    assertEqual(result.width, 5, 'diff covers the larger width');
+    assertEqual(result.diffPixels, 4, 'pixels outside the overlap count as changed');
+    assertEqual(result.dimensions.current.width, 5, 'both sizes reported');
+}
+
+{
+    const result = comparePNG(encodePNG(image(3, 3)), encodePNG(image(3, 3, () => [0, 0, 0, 255])), { antialiasing: false });
+    assertEqual(result.diffPixels, 9, 'comparePNG decodes and compares');
+    assertEqual(decodePNG(result.diffPng).width, 3, 'comparePNG encodes the diff image');
+    assertEqual(comparePNG(encodePNG(image(2, 2)), encodePNG(image(2, 2)), { diffImage: false }).diffPng, null, 'diffImage: false skips the image');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEST SUITE: Mask patterns
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n🧪 mask patterns');
+
+{
+    assert(DYNAMIC_CONTENT_PATTERNS.price.test('$1,299.00'), 'price: dollar amount');
+    assert(DYNAMIC_CONTENT_PATTERNS.price.test('450 EUR'), 'price: currency code');
+    assert(DYNAMIC_CONTENT_PATTERNS.date.test('Listed 03/14/2026'), 'date: numeric');
+    assert(DYNAMIC_CONTENT_PATTERNS.date.test('2026-03-14'), 'date: ISO');
+    assert(DYNAMIC_CONTENT_PATTERNS.date.test('March 14, 2026'), 'date: long form');
+    assert(DYNAMIC_CONTENT_PATTERNS.time.test('Updated 9:45 AM'), 'time');
+    assert(DYNAMIC_CONTENT_PATTERNS.relativeTime.test('3 days ago'), 'relative time');
+    assert(!DYNAMIC_CONTENT_PATTERNS.price.test('3 beds'), 'price: plain number not matched');
+
+    const [price, custom, literal] = resolveMaskPatterns(['price', 'MLS# \\d+', '/sold/i']);
+    assert(price === DYNAMIC_CONTENT_PATTERNS.price, 'preset name resolves to preset');
+    assert(custom.test('MLS# 12345'), 'plain string becomes a regex');
+    assert(literal.flags === 'i' && literal.test('SOLD'), '/.../flags literal keeps flags');
+
+    let error = null;
+    try { resolveMaskPatterns(['(']); } catch (err) { error = err; }
+    assert(error && error.message.startsWith('Invalid mask pattern "("'), 'invalid regex rejected');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════════════════════════════════
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failures.length > 0) {
+    console.log('\nFailed tests:');
+    failures.forEach(f => console.log(`  ❌ ${f}`));
+}
+console.log('═'.repeat(60));
+
+process.exit(failed > 0 ? 1 : 0);
@@ -6,6 +6,11 @@
  * Usage:
  *   const { generateTestCaseExcel } = require('./scripts/excel-template-generator.js');
  *   await generateTestCaseExcel(jiraInfo, preConditions, testCases, outputPath);
+ *
+ * Test cases rendered from a test case document (sdk-orchestrator/testcase-document.js)
+ * carry priority, tags, covered acceptance criteria and data references; they get a
+ * details row under their title, and the document identity is kept in a hidden
+ * "TestGenie" sheet so edited files can be imported back.
  */
 
 const ExcelJS = require('exceljs');
@@ -21,9 +26,26 @@ const COLORS = {
     HEADER_TEXT: 'FFFFFFFF',        // Table header text (white)
     TEST_CASE_TITLE_BG: 'FFD9E2F3', // Test case title background (light blue)
     SEPARATOR_BG: 'FFE7E6E6',       // Section separator (light gray)
-    BLACK_TEXT: 'FF000000'          // Standard text
+    BLACK_TEXT: 'FF000000',         // Standard text
+    DETAILS_TEXT: 'FF595959'        // Test case details row (priority, tags, ...)
 };
 
+/**
+ * Labels of the test case details row cells, in column order
+ */
+const DETAIL_LABELS = {
+    PRIORITY: 'Priority:',
+    TAGS: 'Tags:',
+    COVERS: 'Covers:',
+    DATA: 'Data:',
+    PRE_CONDITIONS: 'Pre-Conditions:'
+};
+
+/**
+ * Hidden worksheet holding the source document identity
+ */
+const METADATA_SHEET = 'TestGenie';
+
 /**
  * Standard column widths
  */
@@ -46,9 +68,12 @@ const COLUMN_WIDTHS = {
  * @param {string} preConditions - Pre-conditions generated from ticket context
  * @param {Array} testCases - Array of test case objects generated from acceptance criteria
  * @param {string} outputPath - Full path where Excel file should be saved
+ * @param {Object} [options]
+ * @param {Object} [options.metadata] - Document identity written to the hidden "TestGenie" sheet
+ *   (e.g., { ticketId, scenarioId, scenarioSlug, revision })
  * @returns {Promise<string>} - Path to created Excel file
  */
-async function generateTestCaseExcel(jiraInfo, preConditions, testCases, outputPath) {
+async function generateTestCaseExcel(jiraInfo, preConditions, testCases, outputPath, options = {}) {
     // Validation
     if (!jiraInfo || !jiraInfo.number || !jiraInfo.title || !jiraInfo.url) {
         throw new Error('❌ Missing required Jira information (number, title, url)');
@@ -192,6 +217,28 @@ async function generateTestCaseExcel(jiraInfo, preConditions, testCases, outputP
         };
         currentRow++;
 
+        // Details Row (only for test cases rendered from a test case document)
+        if (hasDetails(testCase)) {
+            const detailsRow = worksheet.getRow(currentRow);
+            detailsRow.getCell(1).value = `${DETAIL_LABELS.PRIORITY} ${testCase.priority || ''}`.trim();
+            detailsRow.getCell(2).value = `${DETAIL_LABELS.TAGS} ${(testCase.tags || []).join(', ')}`.trim();
+            detailsRow.getCell(3).value = `${DETAIL_LABELS.COVERS} ${(testCase.acceptanceCriteria || []).join(', ')}`.trim();
+            detailsRow.getCell(4).value = `${DETAIL_LABELS.DATA} ${(testCase.dataRefs || []).join(', ')}`.trim();
+            for (let col = 1; col <= 4; col++) {
+                detailsRow.getCell(col).font = { italic: true, color: { argb: COLORS.DETAILS_TEXT } };
+            }
+            currentRow++;
+
+            if (testCase.preConditions) {
+                const casePreCondRow = worksheet.getRow(currentRow);
+                worksheet.mergeCells(currentRow, 1, currentRow, 4);
+                casePreCondRow.getCell(1).value = `${DETAIL_LABELS.PRE_CONDITIONS} ${testCase.preConditions}`;
+                casePreCondRow.getCell(1).font = { italic: true, color: { argb: COLORS.DETAILS_TEXT } };
+                casePreCondRow.getCell(1).alignment = { wrapText: true, vertical: 'top' };
+                currentRow++;
+            }
+        }
+
         // Table Header Row
         const headerRow = worksheet.getRow(currentRow);
         headerRow.getCell(1).value = 'Test Step ID';
@@ -250,6 +297,14 @@ async function generateTestCaseExcel(jiraInfo, preConditions, testCases, outputP
         });
     });
 
+    // ═══════════════════════════════════════════════════════════════
+    // SECTION 6: DOCUMENT IDENTITY (hidden)
+    // ═══════════════════════════════════════════════════════════════
+    if (options.metadata) {
+        const metadataSheet = workbook.addWorksheet(METADATA_SHEET, { state: 'veryHidden' });
+        metadataSheet.getCell('A1').value = JSON.stringify(options.metadata);
+    }
+
     // Ensure output directory exists
     const outputDir = path.dirname(outputPath);
     if (!fs.existsSync(outputDir)) {
@@ -270,6 +325,21 @@ async function generateTestCaseExcel(jiraInfo, preConditions, testCases, outputP
     return outputPath;
 }
 
+/**
+ * Whether a test case carries document fields shown in a details row
+ *
+ * @param {Object} testCase
+ * @returns {boolean}
+ */
+function hasDetails(testCase) {
+    return Boolean(
+        testCase.priority ||
+        (testCase.tags && testCase.tags.length) ||
+        (testCase.acceptanceCriteria && testCase.acceptanceCriteria.length) ||
+        (testCase.dataRefs && testCase.dataRefs.length)
+    );
+}
+
 /**
  * Validate test case data structure before generating Excel
  * 
@@ -323,5 +393,7 @@ module.exports = {
     generateTestCaseExcel,
     validateTestCases,
     COLORS,
-    COLUMN_WIDTHS
+    COLUMN_WIDTHS,
+    DETAIL_LABELS,
+    METADATA_SHEET
 };
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * RUN-STORE-MIGRATE — RunStore Backend Migration CLI
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Move pipeline run history from the legacy JSON store into SQLite and inspect
+ * either backend.
+ *
+ * Usage:
+ *   node agentic-workflow/scripts/run-store-migrate.js import             # run-store.json → run-store.db
+ *   node agentic-workflow/scripts/run-store-migrate.js import --overwrite # replace runs already in SQLite
+ *   node agentic-workflow/scripts/run-store-migrate.js import --from <json> --to <db>
+ *   node agentic-workflow/scripts/run-store-migrate.js stats              # counts for the configured backend
+ *
+ * @module run-store-migrate
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const path = require('path');
+const fs = require('fs');
+const {
+    createRunStoreAdapter,
+    loadRunStoreConfig,
+    resolveSqliteDriver,
+    SqliteRunStoreAdapter,
+    DEFAULT_JSON_PATH,
+    DEFAULT_SQLITE_PATH,
+} = require('../sdk-orchestrator/run-store-adapters');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function log(msg) {
+    console.log(`  ${msg}`);
+}
+
+function header(title) {
+    console.log('');
+    console.log(`═══ ${title} ${'═'.repeat(Math.max(0, 60 - title.length))}`);
+}
+
+function parseFlags(args) {
+    const flags = {};
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--overwrite') flags.overwrite = true;
+        else if (arg === '--from') flags.from = args[++i];
+        else if (arg === '--to') flags.to = args[++i];
+    }
+    return flags;
+}
+
+function resolveFromRoot(value, fallback) {
+    if (!value) return fallback;
+    return path.isAbsolute(value) ? value : path.resolve(ROOT_DIR, value);
+}
+
+// ─── Commands ───────────────────────────────────────────────────────────────
+
+function cmdImport(flags) {
+    header('Import run-store.json → SQLite');
+
+    const config = loadRunStoreConfig();
+    const from = flags.from ? path.resolve(flags.from) : resolveFromRoot(config.jsonPath, DEFAULT_JSON_PATH);
+    const to = flags.to ? path.resolve(flags.to) : resolveFromRoot(config.sqlitePath, DEFAULT_SQLITE_PATH);
+
+    if (!resolveSqliteDriver()) {
+        log('❌ No SQLite driver available — use Node ≥ 22.5 or install better-sqlite3');
+        process.exit(1);
+    }
+    if (!fs.existsSync(from)) {
+        log(`❌ Source not found: ${from}`);
+        process.exit(1);
+    }
+
+    log(`Source: ${from}`);
+    log(`Target: ${to}`);
+
+    const adapter = new SqliteRunStoreAdapter({ dbPath: to });
+    try {
+        const summary = adapter.importFromJson(from, { overwrite: flags.overwrite === true });
+        log('');
+        log(`Imported: ${summary.imported} run(s)`);
+        log(`Skipped:  ${summary.skipped} run(s)${flags.overwrite ? '' : ' (already present — use --overwrite to replace)'}`);
+        log(`Batches:  ${summary.batches}`);
+    } finally {
+        adapter.close();
+    }
+
+    if (config.backend !== 'sqlite') {
+        log('');
+        log('⚠ workflow-config.json → sdk.runStore.backend is not "sqlite".');
+        log('  Set it to "sqlite" so the server reads from the imported database.');
+    }
+
+    log('');
+    log('✅ Import complete');
+}
+
+function cmdStats() {
+    header('Run Store Statistics');
+
+    const adapter = createRunStoreAdapter({ autoImport: false });
+    try {
+        const info = adapter.describe();
+        const stats = adapter.getStats();
+
+        log(`Backend:  ${info.type}${info.driver ? ` (${info.driver})` : ''}`);
+        log(`Location: ${info.location}`);
+        log(`Runs:     ${stats.totalRuns}`);
+        for (const [status, count] of Object.entries(stats.byStatus)) {
+            log(`  ${status.padEnd(10)} ${count}`);
+        }
+    } finally {
+        adapter.close();
+    }
+}
+
+// ─── Main ───────────────────────────────────────────────────────────────────
+
+function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    if (!command) {
+        console.log(`
+Run Store Migration CLI — Move pipeline run history between backends
+
+Usage:
+  node run-store-migrate.js <command> [options]
+
+Commands:
+  import             Import run-store.json into the SQLite database
+    --from <path>      Source JSON file (default: sdk.runStore.jsonPath)
+    --to <path>        Target database (default: sdk.runStore.sqlitePath)
+    --overwrite        Replace runs that already exist in the database
+  stats              Show run counts for the configured backend
+`);
+        process.exit(0);
+    }
+
+    try {
+        switch (command) {
+            case 'import': cmdImport(parseFlags(args)); break;
+            case 'stats': cmdStats(); break;
+            default:
+                console.error(`Unknown command: ${command}`);
+                process.exit(1);
+        }
+    } catch (error) {
+        console.error(`\n❌ Error: ${error.message}`);
+        if (process.env.DEBUG) console.error(error.stack);
+        process.exit(1);
+    }
+}
+
+main();
@@ -11,10 +11,21 @@
  * - Snapshot parsing and element ref tracking
  * - Session export for script generation
  * - Page/element/action tracking with timestamps
+ * - Session fixtures: save recordings as a fixture the MCP server can replay,
+ *   and rebuild a session from a fixture it recorded
+ *   (format: agentic-workflow/mcp-server/utils/session-fixture.js)
  * 
  * ═══════════════════════════════════════════════════════════════════════════════════════
  */
 
+const fs = require('fs');
+const path = require('path');
+
+// Fixture layout — keep in sync with mcp-server/utils/session-fixture.js
+const FIXTURE_VERSION = 1;
+const FIXTURE_FILE = 'fixture.json';
+const CALLS_FILE = 'calls.jsonl';
+
 /**
  * Parse Playwright MCP snapshot YAML into structured elements
  * @param {string} snapshotYaml - Raw snapshot YAML text
@@ -217,6 +228,91 @@ class ExplorationSession {
         return matches;
     }
 
+    // =========================================================
+    // Session fixtures
+    // =========================================================
+
+    /**
+     * Save the recorded tool calls as a session fixture (no network HAR — replay
+     * it with MCP_REPLAY_MODE=recorded).
+     *
+     * @param {string} dir - Parent directory; the fixture is written to <dir>/<sessionId>
+     * @returns {string} Fixture directory
+     */
+    saveFixture(dir) {
+        const fixtureDir = path.join(dir, this.sessionId);
+        fs.mkdirSync(fixtureDir, { recursive: true });
+
+        const startCall = this.recordings.find(r => r.tool === 'unified_navigate' && !r.error);
+        const meta = {
+            version: FIXTURE_VERSION,
+            id: this.sessionId,
+            sessionId: this.sessionId,
+            ticketId: this.ticketId,
+            environment: this.environment,
+            createdAt: new Date(this.startTime).toISOString(),
+            finishedAt: new Date().toISOString(),
+            startUrl: startCall?.params?.url || this.pagesVisited[0] || null,
+            calls: this.recordings.length,
+            har: null,
+        };
+        fs.writeFileSync(path.join(fixtureDir, FIXTURE_FILE), JSON.stringify(meta, null, 2));
+        fs.writeFileSync(
+            path.join(fixtureDir, CALLS_FILE),
+            this.recordings.map(r => JSON.stringify(r) + '\n').join('')
+        );
+        return fixtureDir;
+    }
+
+    /**
+     * Rebuild a session from a fixture: recordings, visited pages and the
+     * elements of every recorded snapshot, as if the exploration ran again.
+     *
+     * @param {string} fixturePath - Fixture directory (or its fixture.json)
+     * @param {Object} [options] - Constructor options
+     * @returns {ExplorationSession}
+     */
+    static fromFixture(fixturePath, options = {}) {
+        const dir = path.basename(fixturePath) === FIXTURE_FILE ? path.dirname(fixturePath) : fixturePath;
+        const meta = JSON.parse(fs.readFileSync(path.join(dir, FIXTURE_FILE), 'utf-8'));
+        if (meta.version !== FIXTURE_VERSION) {
+            throw new Error(`Unsupported fixture version ${meta.version} in ${dir} (expected ${FIXTURE_VERSION})`);
+        }
+        const calls = fs.readFileSync(path.join(dir, CALLS_FILE), 'utf-8')
+            .split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+        const session = new ExplorationSession(meta.ticketId || meta.id, {
+            environment: meta.environment,
+            baseUrl: meta.startUrl || '',
+            ...options,
+        });
+        session.sessionId = meta.id;
+        session.startTime = Date.parse(meta.createdAt) || session.startTime;
+
+        for (const call of calls) {
+            if (call.url) session.currentUrl = call.url;
+            session.recordings.push(call);
+            if (call.error) {
+                session.errors.push({ tool: call.tool, error: call.error, timestamp: new Date(call.timestamp) });
+                continue;
+            }
+
+            const result = call.result;
+            if (/snapshot/.test(call.tool) && result && typeof result === 'object') {
+                const url = result.url || call.url;
+                session.addPage(url, result.title || '', result.ariaTree || null);
+                if (typeof result.ariaTree === 'string') session.storeSnapshot(result.ariaTree, url);
+                // Direct-bridge snapshots carry SelectorEngine elements with refs
+                for (const el of result.elements || []) {
+                    if (el.ref) session.capturedElements.set(el.ref, { ...el });
+                }
+            } else if (typeof result === 'string' && /\[ref=/.test(result)) {
+                session.storeSnapshot(result, call.url);
+            }
+        }
+        return session;
+    }
+
     // =========================================================
     // Export / Summary
     // =========================================================
@@ -0,0 +1,404 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * A11Y RESULTS — Per-State Accessibility Audits and Grouped Defects
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Accessibility audits of a run are recorded in two places:
+ *
+ *   - The A11Y stage explores the ticket's pages and audits every state it
+ *     reaches with unified_accessibility_audit (report: 'json') into
+ *       test-results/mission-evidence/<runId>/accessibility/explore[/<scenario>]/
+ *   - Specs call auditAccessibility(page, { state }) during EXECUTE; each call
+ *     writes its report to
+ *       test-results/mission-evidence/<runId>/accessibility/
+ *
+ * Both hold mcp-server/utils/a11y-audit.js results (one file per state).
+ * summarizeAccessibility groups their issues into defects — one per rule and
+ * element, listing every state it was seen in — with their WCAG 2.2 criteria.
+ * BugGenie files the grouped defects; the pipeline report and the consolidated
+ * report show them as an accessibility section.
+ *
+ * The audit engine is the MCP server's (ESM, loaded on first use).
+ *
+ * @module sdk-orchestrator/a11y-results
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { readJSONSync, loadWorkflowConfig } = require('./utils');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..', '..');
+const WORKFLOW_ROOT = path.join(__dirname, '..');
+const EVIDENCE_ROOT = path.join(PROJECT_ROOT, 'test-results', 'mission-evidence');
+const A11Y_AUDIT_MODULE = path.join(WORKFLOW_ROOT, 'mcp-server', 'utils', 'a11y-audit.js');
+
+// Same order as SEVERITIES in mcp-server/utils/a11y-audit.js
+const SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+const AUDIT_SOURCE = Object.freeze({
+    EXPLORE: 'explore',
+    SPEC: 'spec',
+});
+
+const DEFAULTS = {
+    level: 'AA',
+    failOn: ['critical', 'serious'],
+    maxDefects: 50,
+};
+
+// ─── Configuration ──────────────────────────────────────────────────────────
+
+/**
+ * Normalize sdk.accessibility.
+ *
+ * @param {Object} [config] - sdk.accessibility (defaults to workflow-config.json)
+ * @returns {{ enabled: boolean, level: string, rules: string[]|null, failOn: string[], keyboard: boolean, maxDefects: number }}
+ */
+function loadA11yConfig(config) {
+    const a11y = config || loadWorkflowConfig()?.sdk?.accessibility || {};
+    const failOn = Array.isArray(a11y.failOn)
+        ? a11y.failOn.filter(severity => SEVERITIES.includes(severity))
+        : DEFAULTS.failOn;
+    const maxDefects = Number(a11y.maxDefects);
+
+    return {
+        enabled: a11y.enabled !== false,
+        level: a11y.level === 'A' ? 'A' : DEFAULTS.level,
+        rules: Array.isArray(a11y.rules) && a11y.rules.length > 0 ? a11y.rules : null,
+        failOn,
+        keyboard: a11y.keyboard === true,
+        maxDefects: Number.isFinite(maxDefects) && maxDefects > 0 ? Math.floor(maxDefects) : DEFAULTS.maxDefects,
+    };
+}
+
+// ─── Locations ──────────────────────────────────────────────────────────────
+
+function getAuditDir(runId, baseDir = EVIDENCE_ROOT) {
+    return path.join(baseDir || EVIDENCE_ROOT, runId, 'accessibility');
+}
+
+function getExploreDir(runId, scenarioSlug = '', baseDir = EVIDENCE_ROOT) {
+    return path.join(getAuditDir(runId, baseDir), 'explore', scenarioSlug || '');
+}
+
+// ─── Test-side Audit ────────────────────────────────────────────────────────
+
+/**
+ * Audit the page in its current state. Called from specs; the report joins
+ * the run's accessibility results once EXECUTE finishes. Run context comes
+ * from the SDK_* environment the pipeline sets, like captureVisualCheckpoint.
+ *
+ *   const audit = await auditAccessibility(page, { state: 'login-modal-open' });
+ *   expect.soft(audit.failures, audit.state).toEqual([]);
+ *
+ * @param {import('playwright').Page} page
+ * @param {Object} [options]
+ * @param {string} [options.state='page'] - UI state, unique per page within a spec
+ * @param {string} [options.selector]     - Audit only this subtree
+ * @param {string} [options.level]        - 'A' | 'AA' (default sdk.accessibility.level)
+ * @param {string[]} [options.rules]      - Rule ids or categories
+ * @param {boolean} [options.keyboard]    - Tab-key probe (moves focus; default sdk.accessibility.keyboard)
+ * @param {string[]} [options.failOn]     - Severities listed in `failures` (default sdk.accessibility.failOn)
+ * @param {string} [options.baseDir]      - Evidence root (default test-results/mission-evidence)
+ * @returns {Promise<Object>} The audit result plus `report` (file paths) and `failures` (one line per issue)
+ */
+async function auditAccessibility(page, options = {}) {
+    const settings = loadA11yConfig(options.config);
+    const runId = options.runId || process.env.SDK_RUN_ID || 'adhoc-run';
+    const state = String(options.state || 'page');
+    const { auditPage, writeAuditReport } = await loadA11yAudit();
+
+    const result = await auditPage(page, {
+        state,
+        selector: options.selector,
+        level: options.level || settings.level,
+        rules: options.rules || settings.rules || undefined,
+        keyboard: options.keyboard ?? settings.keyboard,
+    });
+    const audit = {
+        ...result,
+        runId,
+        scenarioId: options.scenarioId ?? (process.env.SDK_SCENARIO_ID || null),
+        ticketId: options.ticketId || process.env.SDK_TICKET_ID || null,
+        source: AUDIT_SOURCE.SPEC,
+    };
+    audit.report = await writeAuditReport(audit, {
+        outputDir: getAuditDir(runId, options.baseDir),
+        name: `${slug(state)}-${Date.now().toString(36)}`,
+    });
+
+    const failOn = options.failOn || settings.failOn;
+    audit.failures = audit.issues.filter(issue => failOn.includes(issue.severity)).map(describeIssue);
+    return audit;
+}
+
+// ─── Reading Audits ─────────────────────────────────────────────────────────
+
+/**
+ * Audit reports (a11y-audit.js JSON) in one directory. Other JSON files are
+ * ignored.
+ *
+ * @param {string} dir
+ * @param {Object} [options]
+ * @param {string} [options.source]     - Recorded on reports that do not carry one
+ * @param {string} [options.scenarioId] - Drop reports recorded for another scenario
+ * @returns {Object[]} Reports with `file` and `source`
+ */
+function readAuditReports(dir, options = {}) {
+    if (!dir || !fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => {
+            const filePath = path.join(dir, file);
+            const report = readJSONSync(filePath, null);
+            if (!isAuditReport(report)) return null;
+            return { ...report, source: report.source || options.source || AUDIT_SOURCE.EXPLORE, file: filePath };
+        })
+        .filter(report => report && (!options.scenarioId || !report.scenarioId || report.scenarioId === options.scenarioId));
+}
+
+/**
+ * Every audit of a run: the A11Y stage's exploration first, then the specs'.
+ *
+ * @param {string} runId
+ * @param {Object} [options]
+ * @param {string} [options.scenarioId]
+ * @param {string} [options.scenarioSlug]
+ * @param {string} [options.baseDir]
+ * @returns {Object[]}
+ */
+function readRunAudits(runId, options = {}) {
+    return [
+        ...readAuditReports(getExploreDir(runId, options.scenarioSlug, options.baseDir), { source: AUDIT_SOURCE.EXPLORE }),
+        ...readAuditReports(getAuditDir(runId, options.baseDir), { source: AUDIT_SOURCE.SPEC, scenarioId: options.scenarioId }),
+    ];
+}
+
+function isAuditReport(report) {
+    return !!report && Array.isArray(report.issues) && !!report.summary && typeof report.standard === 'string';
+}
+
+// ─── Grouping ───────────────────────────────────────────────────────────────
+
+/**
+ * Group the issues of several audits into defects: one per rule and element
+ * (selector, or markup when there is none), with every state it was seen in.
+ * Most severe first, then the most widespread.
+ *
+ * @param {Object[]} audits
+ * @returns {Object[]} { id, rule, severity, category, wcag, message, selector, locator, html, states, reports }
+ */
+function groupAccessibilityDefects(audits) {
+    const groups = new Map();
+
+    for (const audit of audits) {
+        const state = stateOf(audit);
+        for (const issue of audit.issues || []) {
+            const key = `${issue.rule}\n${issue.selector || issue.html || issue.message}`;
+            let defect = groups.get(key);
+            if (!defect) {
+                defect = {
+                    rule: issue.rule,
+                    severity: issue.severity,
+                    category: issue.category,
+                    wcag: issue.wcag || [],
+                    message: issue.message,
+                    selector: issue.selector || null,
+                    locator: issue.locator || null,
+                    html: issue.html || null,
+                    states: [],
+                    reports: [],
+                };
+                groups.set(key, defect);
+            }
+            if (!defect.states.some(entry => entry.state === state)) {
+                defect.states.push({ state, url: audit.url || null });
+            }
+            if (audit.file && !defect.reports.includes(audit.file)) defect.reports.push(audit.file);
+        }
+    }
+
+    return Array.from(groups.values())
+        .sort((a, b) => severityRank(a.severity) - severityRank(b.severity)
+            || b.states.length - a.states.length
+            || a.rule.localeCompare(b.rule))
+        .map((defect, index) => ({ id: `A11Y-${index + 1}`, ...defect }));
+}
+
+/**
+ * Accessibility section of a run: states audited, grouped defects and their
+ * WCAG criteria.
+ *
+ * @param {Object[]} audits - readRunAudits() output
+ * @param {Object} [options]
+ * @param {number} [options.maxDefects] - Defects listed (all are counted)
+ * @returns {Object}
+ */
+function summarizeAccessibility(audits, options = {}) {
+    const maxDefects = options.maxDefects || DEFAULTS.maxDefects;
+    const defects = groupAccessibilityDefects(audits);
+
+    const bySeverity = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+    const byCriterion = {};
+    for (const defect of defects) {
+        bySeverity[defect.severity] = (bySeverity[defect.severity] || 0) + 1;
+        for (const { criterion } of defect.wcag) byCriterion[criterion] = (byCriterion[criterion] || 0) + 1;
+    }
+
+    return {
+        standard: audits[0]?.standard || 'WCAG 2.2',
+        level: audits[0]?.level || DEFAULTS.level,
+        audits: audits.length,
+        passed: defects.length === 0,
+        issueCount: defects.length,
+        occurrenceCount: audits.reduce((sum, audit) => sum + (audit.issues?.length || 0), 0),
+        needsReviewCount: audits.reduce((sum, audit) => sum + (audit.needsReview?.length || 0), 0),
+        bySeverity,
+        byCriterion,
+        states: audits.map(audit => ({
+            state: stateOf(audit),
+            url: audit.url || null,
+            title: audit.title || null,
+            source: audit.source || null,
+            issueCount: audit.issueCount ?? (audit.issues?.length || 0),
+            report: audit.file || null,
+        })),
+        defects: defects.slice(0, maxDefects),
+        truncated: Math.max(0, defects.length - maxDefects),
+    };
+}
+
+/**
+ * Merge the accessibility sections of several runs (consolidated report).
+ * Defects keep their ticket; IDs are renumbered.
+ *
+ * @param {Array<{ ticketId: string, accessibility: Object }>} entries
+ * @returns {Object|null} null when no entry has an accessibility section
+ */
+function mergeAccessibilitySummaries(entries) {
+    const sections = entries.filter(entry => Array.isArray(entry?.accessibility?.defects));
+    if (sections.length === 0) return null;
+
+    const bySeverity = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+    const byCriterion = {};
+    let audits = 0;
+    let issueCount = 0;
+    for (const { accessibility } of sections) {
+        audits += accessibility.audits || 0;
+        issueCount += accessibility.issueCount || 0;
+        for (const [severity, count] of Object.entries(accessibility.bySeverity || {})) {
+            bySeverity[severity] = (bySeverity[severity] || 0) + count;
+        }
+        for (const [criterion, count] of Object.entries(accessibility.byCriterion || {})) {
+            byCriterion[criterion] = (byCriterion[criterion] || 0) + count;
+        }
+    }
+
+    const defects = sections
+        .flatMap(({ ticketId, accessibility }) => accessibility.defects.map(defect => ({ ...defect, ticketId: ticketId || null })))
+        .sort((a, b) => severityRank(a.severity) - severityRank(b.severity) || (b.states?.length || 0) - (a.states?.length || 0))
+        .map((defect, index) => ({ ...defect, id: `A11Y-${index + 1}` }));
+
+    return {
+        standard: sections[0].accessibility.standard || 'WCAG 2.2',
+        tickets: sections.length,
+        audits,
+        issueCount,
+        bySeverity,
+        byCriterion,
+        defects,
+    };
+}
+
+// ─── Formatting ─────────────────────────────────────────────────────────────
+
+/**
+ * Plain-text defect list for agent prompts (BugGenie).
+ * @param {Object} summary - summarizeAccessibility() output
+ * @returns {string}
+ */
+function formatAccessibilityDefects(summary) {
+    const counts = SEVERITIES.filter(severity => summary.bySeverity[severity] > 0)
+        .map(severity => `${summary.bySeverity[severity]} ${severity}`)
+        .join(', ');
+    const lines = [
+        `${summary.standard} Level ${summary.level}: ${summary.issueCount} defect(s) across ${summary.states.length} audited state(s)` +
+        `${counts ? ` — ${counts}` : ''}`,
+    ];
+
+    summary.defects.forEach((defect, index) => {
+        lines.push(
+            '',
+            `${index + 1}. [${defect.id}] ${defect.severity} · ${defect.rule} — ${formatCriteria(defect.wcag)}`,
+            `   Element: ${defect.selector || 'document'}${defect.locator ? ` (${defect.locator})` : ''}`,
+            `   Problem: ${defect.message}`,
+            `   Seen in: ${defect.states.map(entry => (entry.url ? `${entry.state} (${entry.url})` : entry.state)).join(', ')}`,
+        );
+    });
+    if (summary.truncated > 0) lines.push('', `…and ${summary.truncated} more defect(s), see the state reports.`);
+
+    return lines.join('\n');
+}
+
+function formatCriteria(wcag) {
+    if (!wcag || wcag.length === 0) return 'Best practice';
+    return wcag.map(entry => `${entry.criterion} ${entry.name} (${entry.level})`).join(', ');
+}
+
+/** One assertion line per issue: severity, rule, criteria, element and problem */
+function describeIssue(issue) {
+    const criteria = issue.wcag?.length ? issue.wcag.map(entry => entry.criterion).join(', ') : 'best practice';
+    return `${issue.severity} ${issue.rule} (WCAG ${criteria}) at ${issue.selector || 'document'}: ${issue.message}`;
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+let _a11yAudit = null;
+
+/** The ESM audit engine shared with the MCP server. */
+function loadA11yAudit() {
+    if (!_a11yAudit) _a11yAudit = import(pathToFileURL(A11Y_AUDIT_MODULE).href);
+    return _a11yAudit;
+}
+
+function stateOf(audit) {
+    return audit.state || audit.title || audit.url || 'page';
+}
+
+function severityRank(severity) {
+    const rank = SEVERITIES.indexOf(severity);
+    return rank < 0 ? SEVERITIES.length : rank;
+}
+
+function slug(value) {
+    return String(value || 'page')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60) || 'page';
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+    loadA11yConfig,
+    getAuditDir,
+    getExploreDir,
+    auditAccessibility,
+    readAuditReports,
+    readRunAudits,
+    groupAccessibilityDefects,
+    summarizeAccessibility,
+    mergeAccessibilitySummaries,
+    formatAccessibilityDefects,
+    describeIssue,
+    loadA11yAudit,
+    AUDIT_SOURCE,
+    SEVERITIES,
+};
@@ -193,7 +193,15 @@ class AgentCoordinator extends EventEmitter {
 
             // ── After Execution ───────────────────────────────────
             case 'execute': {
+                const a11yDefects = result.accessibility?.issueCount || 0;
                 if (result.success || result.testResults?.passed) {
+                    if (a11yDefects > 0) {
+                        return {
+                            action: ROUTE.SKIP,
+                            targets: ['healing'],
+                            reason: `All tests passed — skip healing, file ${a11yDefects} accessibility defect(s)`,
+                        };
+                    }
                     return {
                         action: ROUTE.SKIP,
                         targets: ['healing', 'buggenie'],
@@ -201,6 +209,15 @@ class AgentCoordinator extends EventEmitter {
                     };
                 }
 
+                // The accessibility spec only fails on its audits — nothing to heal
+                if (context.mode === 'a11y') {
+                    return {
+                        action: ROUTE.SKIP,
+                        targets: ['healing'],
+                        reason: 'Accessibility audits failed — skip healing, file the defects',
+                    };
+                }
+
                 const failures = result.testResults?.failedCount || 0;
                 const total = result.testResults?.totalCount || 0;
 
@@ -18,6 +18,7 @@ const { createCustomTools } = require('./custom-tools');
 const { createEnforcementHooks, createCognitiveEnforcementHooks, COGNITIVE_PHASE_RULES } = require('./enforcement-hooks');
 const { getContextEngine } = require('./context-engine');
 const { buildSharedLayers } = require('./prompt-layers');
+const { getActiveUsage, getActiveStage, estimateTokens } = require('./cost-accounting');
 
 // Grounding system — provides local context to reduce LLM hallucinations
 let _groundingStoreModule;
@@ -215,6 +216,10 @@ class AgentSessionFactory {
      * @param {Object} [context.contextStore] - SharedContextStore for agent collaboration
      * @param {Object} [context.groundingStore] - GroundingStore for local context
      * @param {string} [context.taskDescription] - Task description for grounding query
+     * @param {string} [context.mcpRecordDir] - Record the MCP browser session as a fixture under this dir
+     * @param {string} [context.mcpReplayFixture] - Replay this recorded fixture instead of the live app
+     * @param {string} [context.mcpReplayMode] - 'recorded' (default) | 'live'
+     * @param {string} [context.scenarioSlug] - Mission scenario the test case document is kept for
      * @returns {Promise<Object>} { session, sessionId, agentName }
      */
     async createAgentSession(agentName, context = {}) {
@@ -291,6 +296,11 @@ class AgentSessionFactory {
             config: this.config,
             contextStore: context.contextStore || null,
             groundingStore: gStore || null,
+            testCaseScope: context.ticketId ? {
+                scenarioId: context.scenarioId || null,
+                scenarioName: context.scenarioName || null,
+                scenarioSlug: context.scenarioSlug || null,
+            } : null,
         });
 
         // 4. Get role-specific enforcement hooks
@@ -337,19 +347,31 @@ class AgentSessionFactory {
             const AGENT_PROFILES = { scriptgenerator: 'core', testgenie: 'core', buggenie: 'core', codereviewer: 'core', docgenie: 'core' };
             const toolProfile = context.toolProfile || AGENT_PROFILES[effectiveRole] || 'full';
             this._log(`🖥️  Unified MCP: headless=${mcpHeadless}, browser=${process.env.MCP_BROWSER || 'chromium'}, toolProfile=${toolProfile}`);
+            const mcpEnv = {
+                MCP_HEADLESS: mcpHeadless,
+                MCP_TIMEOUT: process.env.MCP_TIMEOUT || '60000',
+                MCP_BROWSER: process.env.MCP_BROWSER || 'chromium',
+                MCP_TOOL_TIMEOUT: process.env.MCP_TOOL_TIMEOUT || '120000',
+                MCP_LOG_LEVEL: process.env.MCP_LOG_LEVEL || 'info',
+                MCP_TOOL_PROFILE: toolProfile,
+            };
+
+            // Session fixtures: record this session's exploration, or replay a recorded one offline
+            const recordDir = context.mcpRecordDir || process.env.MCP_RECORD_DIR;
+            const replayFixture = context.mcpReplayFixture || process.env.MCP_REPLAY_FIXTURE;
+            if (recordDir) mcpEnv.MCP_RECORD_DIR = recordDir;
+            if (replayFixture) {
+                mcpEnv.MCP_REPLAY_FIXTURE = replayFixture;
+                mcpEnv.MCP_REPLAY_MODE = context.mcpReplayMode || process.env.MCP_REPLAY_MODE || 'recorded';
+                this._log(`📼 Unified MCP replaying fixture ${replayFixture} (${mcpEnv.MCP_REPLAY_MODE})`);
+            }
+
             mcpServers['unified-automation'] = {
                 type: 'local',
                 command: 'node',
                 args: [path.join(__dirname, '..', 'mcp-server', 'server.js')],
                 tools: ['*'],
-                env: {
-                    MCP_HEADLESS: mcpHeadless,
-                    MCP_TIMEOUT: process.env.MCP_TIMEOUT || '60000',
-                    MCP_BROWSER: process.env.MCP_BROWSER || 'chromium',
-                    MCP_TOOL_TIMEOUT: process.env.MCP_TOOL_TIMEOUT || '120000',
-                    MCP_LOG_LEVEL: process.env.MCP_LOG_LEVEL || 'info',
-                    MCP_TOOL_PROFILE: toolProfile,
-                },
+                env: mcpEnv,
             };
         }
 
@@ -435,8 +457,9 @@ class AgentSessionFactory {
             }
         }
 
+        const model = this._resolveSessionModel();
         const sessionConfig = {
-            model: this.model,
+            model,
             tools,
             systemMessage: {
                 content: assembledPrompt,
@@ -500,7 +523,13 @@ class AgentSessionFactory {
             });
         } catch { /* ignore if on() doesn't support global handler */ }
 
-        this._activeSessions.set(sessionId, { agentName, session, createdAt: new Date() });
+        this._activeSessions.set(sessionId, {
+            agentName,
+            session,
+            model,
+            createdAt: new Date(),
+            contextChars: assembledPrompt.length,
+        });
         this._log(`✅ ${agentName} session created [${sessionId}]`);
 
         return { session, sessionId, agentName };
@@ -522,8 +551,9 @@ class AgentSessionFactory {
         // Read model parameter config for thinking-capable sessions
         const modelParams = this._resolveModelParameters(agentName);
 
+        const model = this._resolveSessionModel(options.model);
         const sessionConfig = {
-            model: options.model || this.model,
+            model,
             tools: [],
             systemMessage: { content: systemPrompt },
             streaming: false,
@@ -543,7 +573,13 @@ class AgentSessionFactory {
 
         const session = await this.client.createSession(sessionConfig);
         const sessionId = session.sessionId;
-        this._activeSessions.set(sessionId, { agentName, session, createdAt: new Date() });
+        this._activeSessions.set(sessionId, {
+            agentName,
+            session,
+            model,
+            createdAt: new Date(),
+            contextChars: (systemPrompt || '').length,
+        });
 
         this._log(`✅ Lightweight ${agentName} session created [${sessionId}]`);
 
@@ -557,6 +593,19 @@ class AgentSessionFactory {
         };
     }
 
+    /**
+     * Model for a new session. A budget downgrade of the active run wins over
+     * everything; otherwise an explicit request, then the run's model (the
+     * factory model is shared by parallel runs), then the factory default.
+     *
+     * @param {string} [requested]
+     * @returns {string|undefined}
+     */
+    _resolveSessionModel(requested) {
+        const usage = getActiveUsage();
+        return usage?.modelOverride || requested || usage?.model || this.model;
+    }
+
     /**
      * Resolve model parameters (thinking, temperature, etc.) for a given agent/phase.
      * Reads from workflow-config.json → sdk.modelParameters.
@@ -609,9 +658,10 @@ class AgentSessionFactory {
      * @param {Object} failureContext - Error analysis output
      * @param {string} specPath       - Path to the failing spec file
      * @param {string} explorationData - Previous exploration JSON
+     * @param {Object} [sessionOptions] - { mcpRecordDir, mcpReplayFixture, mcpReplayMode } (see createAgentSession)
      * @returns {Promise<Object>} { session, sessionId }
      */
-    async createHealingSession(failureContext, specPath, explorationData) {
+    async createHealingSession(failureContext, specPath, explorationData, sessionOptions = {}) {
         const healingPrompt = [
             '## SELF-HEALING MODE',
             '',
@@ -642,6 +692,9 @@ class AgentSessionFactory {
             ticketContext: healingPrompt,
             frameworkInventory: this._getFrameworkInventory(),
             historicalContext: this._getHistoricalContext(failureContext.ticketId),
+            mcpRecordDir: sessionOptions.mcpRecordDir || null,
+            mcpReplayFixture: sessionOptions.mcpReplayFixture || null,
+            mcpReplayMode: sessionOptions.mcpReplayMode || null,
         });
     }
 
@@ -659,6 +712,15 @@ class AgentSessionFactory {
         const timeout = options.timeout || 300000;
         const unsubs = [];
 
+        // Book the call to the active run's ledger (cost-accounting); refused
+        // once the run is over budget
+        const usage = getActiveUsage();
+        const stage = getActiveStage();
+        if (usage) usage.assertWithinBudget(stage);
+        const metered = { inputTokens: 0, outputTokens: 0, model: null, reported: false, toolCalls: 0 };
+        const startedAt = Date.now();
+        let responseText = '';
+
         // NOTE: The global event listener attached in createAgentSession() already
         // logs all events. No need for a duplicate all-event listener here.
 
@@ -667,6 +729,7 @@ class AgentSessionFactory {
             unsubs.push(session.on('tool.execution_start', (event) => {
                 const toolName = event?.data?.toolName || event?.data?.name || 'unknown';
                 this._log(`🔧 Tool start: ${toolName}`);
+                metered.toolCalls++;
                 if (options.onToolStart) options.onToolStart(toolName, event?.data);
             }));
         } catch { /* event may not exist in all SDK versions */ }
@@ -686,6 +749,15 @@ class AgentSessionFactory {
             }));
         } catch { /* event may not exist in all SDK versions */ }
 
+        try {
+            unsubs.push(session.on('assistant.usage', (event) => {
+                metered.reported = true;
+                metered.inputTokens += event?.data?.inputTokens || 0;
+                metered.outputTokens += event?.data?.outputTokens || 0;
+                metered.model = event?.data?.model || metered.model;
+            }));
+        } catch { /* usage events are not emitted by older SDK versions */ }
+
         if (options.onDelta) {
             try {
                 unsubs.push(session.on('assistant.message_delta', (event) => {
@@ -714,12 +786,47 @@ class AgentSessionFactory {
                     (result ? Object.keys(result).join(', ') : 'null/undefined'));
             }
 
+            responseText = content;
             return content;
         } finally {
             // Clean up all event subscriptions
             for (const unsub of unsubs) {
                 if (typeof unsub === 'function') unsub();
             }
+            if (usage) this._recordUsage(usage, stage, session, prompt, responseText, metered, startedAt);
+        }
+    }
+
+    /**
+     * Book a finished (or failed) call. Without SDK usage events the tokens
+     * are estimated: the session's system prompt and conversation so far are
+     * re-sent as input on every turn.
+     */
+    _recordUsage(usage, stage, session, prompt, responseText, metered, startedAt) {
+        const entry = this._activeSessions.get(session?.sessionId) || {};
+        const promptChars = String(prompt || '').length;
+        const inputChars = (entry.contextChars || 0) + promptChars;
+        entry.contextChars = inputChars + responseText.length;
+        const modelBefore = usage.activeModel;
+
+        try {
+            usage.recordCall({
+                stage,
+                agent: entry.agentName,
+                model: metered.model || entry.model,
+                inputTokens: metered.reported ? metered.inputTokens : estimateTokens(inputChars),
+                outputTokens: metered.reported ? metered.outputTokens : estimateTokens(responseText),
+                toolCalls: metered.toolCalls,
+                durationMs: Date.now() - startedAt,
+                estimated: !metered.reported,
+            });
+        } catch (error) {
+            this._log(`⚠️ Usage accounting failed: ${error.message}`);
+        }
+        if (usage.abortReason) {
+            this._log(`💸 ${usage.abortReason}`);
+        } else if (usage.activeModel !== modelBefore) {
+            this._log(`💸 Budget exceeded — new sessions use ${usage.activeModel} (was ${modelBefore})`);
         }
     }
 
@@ -0,0 +1,538 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * BATCH PLANNER — Feature Groups, Shared Exploration, Dependency Order
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Plans a multi-ticket batch before any run is queued:
+ *
+ *   1. Feature groups  — each ticket (summary, labels, components, epic) is
+ *                        matched against the grounding featureMap and resolved
+ *                        through GroundingStore.getFeatureContext
+ *   2. Exploration     — tickets of a group share one exploration snapshot:
+ *                        the freshest one a member already has
+ *                        (GroundingStore.getExplorationFreshness), otherwise
+ *                        the first member explores and the rest wait for it
+ *   3. Dependencies    — Jira "blocks" / "is blocked by" links between batch
+ *                        tickets order the runs; a ticket starts only after
+ *                        its blockers finish (RunQueue enforces this)
+ *
+ * Settings: workflow-config.json → sdk.batch.
+ *
+ * The consolidated batch report (buildBatchReport / formatBatchReport)
+ * combines the plan with the outcome of every run.
+ *
+ * @module sdk-orchestrator/batch-planner
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadWorkflowConfig } = require('./utils');
+
+const DEPENDENCY_TYPE = {
+    BLOCKS: 'blocks',
+    EXPLORATION: 'exploration',
+};
+
+const EXPLORATION_MODE = {
+    REUSE: 'reuse',
+    EXPLORE_ONCE: 'explore-once',
+    OWN: 'own',
+};
+
+const BLOCKER_FAILURE = {
+    SKIP: 'skip',
+    RUN: 'run',
+};
+
+// ─── Config ─────────────────────────────────────────────────────────────────
+
+/**
+ * Read sdk.batch from workflow-config.json.
+ * @param {Object} [config] - sdk.batch block (default: read from disk)
+ * @returns {Object}
+ */
+function loadBatchConfig(config) {
+    const batch = config || loadWorkflowConfig()?.sdk?.batch || {};
+    return {
+        planning: batch.planning !== false,
+        shareExploration: batch.shareExploration !== false,
+        fetchTickets: batch.fetchTickets !== false,
+        linkTypes: toList(batch.linkTypes || ['Blocks']).map(type => type.toLowerCase()),
+        onBlockerFailure: batch.onBlockerFailure === BLOCKER_FAILURE.RUN ? BLOCKER_FAILURE.RUN : BLOCKER_FAILURE.SKIP,
+        reportDir: batch.reportDir || 'agentic-workflow/test-artifacts/reports',
+    };
+}
+
+// ─── Ticket Metadata ────────────────────────────────────────────────────────
+
+/**
+ * Fetch summary, labels, components, epic and issue links of each ticket from
+ * the tracker in sdk.tracker.provider (Jira by default). Tickets that cannot
+ * be read are reported in `warnings` and planned from their ID alone.
+ *
+ * @param {string[]} ticketIds
+ * @param {Object} [options]
+ * @param {Object} [options.tracker] - TrackerProvider (default: per sdk.tracker)
+ * @returns {Promise<{ tickets: Object<string, Object>, warnings: string[] }>}
+ */
+async function fetchBatchTickets(ticketIds, options = {}) {
+    const { getTrackerProvider } = require('./tracker-providers');
+    const tracker = options.tracker || getTrackerProvider();
+    const tickets = {};
+    const warnings = [];
+
+    await Promise.all(ticketIds.map(async (ticketId) => {
+        try {
+            const issue = await tracker.getIssue(ticketId);
+            tickets[ticketId] = {
+                summary: issue.summary,
+                labels: issue.labels,
+                components: issue.components,
+                epic: issue.parent?.summary || '',
+                issueLinks: issue.issueLinks,
+            };
+        } catch (error) {
+            warnings.push(`${ticketId}: ${error.message}`);
+        }
+    }));
+
+    return { tickets, warnings };
+}
+
+// ─── Planning ───────────────────────────────────────────────────────────────
+
+/**
+ * Fetch ticket details (when enabled) and plan the batch.
+ *
+ * @param {string[]} ticketIds
+ * @param {Object} options - See planBatch; plus `tracker` and `config` (sdk.batch)
+ * @returns {Promise<Object>} Batch plan
+ */
+async function createBatchPlan(ticketIds, options = {}) {
+    const config = options.config || loadBatchConfig();
+    let tickets = options.tickets || {};
+    let warnings = [];
+
+    if (!options.tickets && config.fetchTickets) {
+        ({ tickets, warnings } = await fetchBatchTickets(ticketIds, { tracker: options.tracker }));
+    }
+
+    const plan = planBatch(ticketIds, {
+        ...options,
+        tickets,
+        shareExploration: options.shareExploration ?? config.shareExploration,
+        linkTypes: config.linkTypes,
+    });
+    plan.warnings.unshift(...warnings);
+    return plan;
+}
+
+/**
+ * Plan a batch: feature groups, shared exploration and run order.
+ *
+ * @param {string[]} ticketIds
+ * @param {Object} options
+ * @param {Object} options.groundingStore                 - GroundingStore
+ * @param {Object<string, Object>} [options.tickets]      - ticketId → { summary, labels, components, epic, issueLinks }
+ * @param {Object<string, string[]>} [options.dependencies] - ticketId → blocker ticketIds (in addition to Jira links)
+ * @param {Object<string, string>} [options.features]     - ticketId → featureMap name (skips matching)
+ * @param {boolean} [options.shareExploration=true]
+ * @param {string[]} [options.linkTypes=['blocks']]       - Jira link type names that order runs
+ * @returns {{
+ *   order: string[],
+ *   groups: Object[],
+ *   tickets: Object<string, Object>,
+ *   externalBlockers: { ticketId: string, blockedBy: string }[],
+ *   warnings: string[]
+ * }}
+ * @throws {Error} When ticket dependencies form a cycle
+ */
+function planBatch(ticketIds, options) {
+    const { groundingStore } = options;
+    const ticketData = options.tickets || {};
+    const linkTypes = (options.linkTypes || ['blocks']).map(type => type.toLowerCase());
+    const shareExploration = options.shareExploration !== false;
+    const ids = [...new Set(ticketIds)];
+    const members = new Set(ids);
+    const warnings = [];
+
+    // Blocking edges: blocker → dependent
+    const blockers = new Map(ids.map(id => [id, new Set()]));
+    const externalBlockers = [];
+    for (const ticketId of ids) {
+        for (const link of ticketData[ticketId]?.issueLinks || []) {
+            if (!isBlockingLink(link, linkTypes)) continue;
+            const other = link.relatedIssueKey;
+            const [blocker, dependent] = link.direction === 'inward' ? [other, ticketId] : [ticketId, other];
+            if (members.has(blocker) && members.has(dependent)) {
+                blockers.get(dependent).add(blocker);
+            } else if (dependent === ticketId) {
+                externalBlockers.push({ ticketId, blockedBy: blocker });
+            }
+        }
+        for (const blocker of toList(options.dependencies?.[ticketId])) {
+            if (!members.has(blocker)) {
+                warnings.push(`${ticketId}: dependency ${blocker} is not part of the batch — ignored`);
+                continue;
+            }
+            if (blocker !== ticketId) blockers.get(ticketId).add(blocker);
+        }
+    }
+
+    const order = topologicalOrder(ids, blockers);
+    const position = new Map(order.map((id, index) => [id, index]));
+
+    // Feature groups, in run order
+    const features = new Map();
+    for (const ticketId of order) {
+        const feature = resolveFeature(ticketId, ticketData[ticketId], options.features?.[ticketId], groundingStore);
+        if (options.features?.[ticketId] && !feature) {
+            warnings.push(`${ticketId}: feature "${options.features[ticketId]}" is not in the grounding featureMap`);
+        }
+        features.set(ticketId, feature);
+    }
+
+    const groupsByName = new Map();
+    const groups = [];
+    for (const ticketId of order) {
+        const feature = features.get(ticketId);
+        let group = feature ? groupsByName.get(feature.name) : null;
+        if (!group) {
+            group = {
+                feature: feature?.name || null,
+                pages: feature?.pages || [],
+                tickets: [],
+                exploration: { mode: EXPLORATION_MODE.OWN, sourceTicketId: null, path: null, ageDays: null },
+            };
+            groups.push(group);
+            if (feature) groupsByName.set(feature.name, group);
+        }
+        group.tickets.push(ticketId);
+    }
+
+    const tickets = Object.fromEntries(order.map(ticketId => [ticketId, {
+        ticketId,
+        summary: ticketData[ticketId]?.summary || null,
+        feature: features.get(ticketId)?.name || null,
+        position: position.get(ticketId) + 1,
+        dependsOn: [...blockers.get(ticketId)]
+            .sort((a, b) => position.get(a) - position.get(b))
+            .map(blocker => ({ ticketId: blocker, type: DEPENDENCY_TYPE.BLOCKS })),
+        sharedExploration: null,
+    }]));
+
+    if (shareExploration) {
+        for (const group of groups) {
+            if (!group.feature || group.tickets.length < 2) continue;
+            planGroupExploration(group, tickets, groundingStore);
+        }
+    }
+
+    return { order, groups, tickets, externalBlockers, warnings };
+}
+
+/**
+ * Pick the snapshot a feature group shares. Members with a fresh snapshot of
+ * their own keep it; the rest reuse the freshest member snapshot, or wait for
+ * the first member to explore.
+ */
+function planGroupExploration(group, tickets, groundingStore) {
+    const freshness = new Map(group.tickets.map(ticketId =>
+        [ticketId, groundingStore.getExplorationFreshness(ticketId)]));
+    const fresh = group.tickets
+        .filter(ticketId => freshness.get(ticketId).fresh)
+        .sort((a, b) => freshness.get(a).ageDays - freshness.get(b).ageDays);
+
+    if (fresh.length > 0) {
+        const source = fresh[0];
+        group.exploration = {
+            mode: EXPLORATION_MODE.REUSE,
+            sourceTicketId: source,
+            path: freshness.get(source).path,
+            ageDays: freshness.get(source).ageDays,
+        };
+        for (const ticketId of group.tickets) {
+            if (freshness.get(ticketId).fresh) continue;
+            tickets[ticketId].sharedExploration = { sourceTicketId: source, feature: group.feature };
+        }
+        return;
+    }
+
+    const leader = group.tickets[0];
+    group.exploration = { mode: EXPLORATION_MODE.EXPLORE_ONCE, sourceTicketId: leader, path: null, ageDays: null };
+    for (const ticketId of group.tickets.slice(1)) {
+        tickets[ticketId].sharedExploration = { sourceTicketId: leader, feature: group.feature };
+        if (!tickets[ticketId].dependsOn.some(dep => dep.ticketId === leader)) {
+            tickets[ticketId].dependsOn.push({ ticketId: leader, type: DEPENDENCY_TYPE.EXPLORATION });
+        }
+    }
+}
+
+/**
+ * Feature of a ticket: the explicit name if given, otherwise the featureMap
+ * entry whose name and keywords best match the ticket text.
+ * @returns {Object|null} GroundingStore.getFeatureContext result
+ */
+function resolveFeature(ticketId, ticket, explicitName, groundingStore) {
+    if (explicitName) return groundingStore.getFeatureContext(explicitName);
+    if (!ticket) return null;
+
+    const text = [ticket.summary, ticket.epic, ...(ticket.labels || []), ...(ticket.components || [])]
+        .filter(Boolean).join(' ').toLowerCase();
+    if (!text) return null;
+
+    let best = null;
+    let bestScore = 0;
+    for (const feature of groundingStore.config?.featureMap || []) {
+        let score = containsWord(text, feature.name) ? 3 : 0;
+        for (const keyword of feature.keywords || []) {
+            if (containsWord(text, keyword)) score += 1;
+        }
+        if (score > bestScore) {
+            best = feature;
+            bestScore = score;
+        }
+    }
+    return best ? groundingStore.getFeatureContext(best.name) : null;
+}
+
+/**
+ * Kahn's algorithm, keeping the requested order among independent tickets.
+ * @throws {Error} Naming one cycle when the graph is not acyclic
+ */
+function topologicalOrder(ids, blockers) {
+    const remaining = new Map(ids.map(id => [id, new Set(blockers.get(id))]));
+    const order = [];
+
+    while (remaining.size > 0) {
+        const ready = ids.find(id => remaining.has(id) && remaining.get(id).size === 0);
+        if (!ready) throw new Error(`Ticket dependency cycle: ${findCycle(remaining).join(' → ')}`);
+        order.push(ready);
+        remaining.delete(ready);
+        for (const pending of remaining.values()) pending.delete(ready);
+    }
+    return order;
+}
+
+function findCycle(remaining) {
+    let current = remaining.keys().next().value;
+    const seen = [];
+    while (!seen.includes(current)) {
+        seen.push(current);
+        current = remaining.get(current).values().next().value;
+    }
+    const cycle = seen.slice(seen.indexOf(current)).reverse();
+    return [...cycle, cycle[0]];
+}
+
+function isBlockingLink(link, linkTypes) {
+    const names = [link.type?.name, link.type?.outward].filter(Boolean).map(name => name.toLowerCase());
+    return names.some(name => linkTypes.includes(name));
+}
+
+// ─── Batch Report ───────────────────────────────────────────────────────────
+
+/**
+ * Consolidated report for a batch: totals, per-group exploration sharing and
+ * the outcome of every ticket in plan order.
+ *
+ * @param {Object} batch - RunStore.getBatch() result (includes `plan` when planned)
+ * @returns {Object}
+ */
+function buildBatchReport(batch) {
+    const plan = batch.plan || null;
+    const runsByTicket = new Map(batch.runs.map(run => [run.ticketId, run]));
+    const order = plan?.order || batch.runs.map(run => run.ticketId);
+
+    const tickets = order.map(ticketId => {
+        const run = runsByTicket.get(ticketId) || null;
+        const scenarioResults = run?.result?.scenarioResults || [];
+        const tests = scenarioResults.reduce((totals, item) => {
+            const stats = item.artifacts?.testResults;
+            if (stats?.totalCount === undefined) return totals;
+            totals.total += stats.totalCount;
+            totals.passed += stats.passedCount ?? stats.totalCount - (stats.failedCount || 0);
+            return totals;
+        }, { total: 0, passed: 0 });
+
+        return {
+            ticketId,
+            runId: run?.runId || null,
+            status: run?.status || 'missing',
+            feature: run?.batchPlan?.feature ?? plan?.tickets?.[ticketId]?.feature ?? null,
+            position: run?.batchPlan?.position ?? null,
+            dependsOn: (run?.batchPlan?.dependsOn || []).map(dep => ({ ticketId: dep.ticketId, type: dep.type })),
+            exploration: run?.batchPlan?.explorationUsed || null,
+            duration: run?.duration || null,
+            tests: tests.total > 0 ? tests : null,
+            error: run?.error || null,
+        };
+    });
+
+    return {
+        batchId: batch.batchId,
+        status: batch.status,
+        generatedAt: new Date().toISOString(),
+        summary: {
+            total: batch.total,
+            completed: batch.completed,
+            passed: batch.passed,
+            failed: batch.failed,
+            cancelled: batch.runs.filter(run => run.status === 'cancelled').length,
+            explorationsReused: tickets.filter(ticket => ticket.exploration?.reused).length,
+        },
+        groups: (plan?.groups || []).map(group => ({
+            feature: group.feature,
+            pages: group.pages,
+            tickets: group.tickets,
+            exploration: group.exploration,
+        })),
+        tickets,
+        externalBlockers: plan?.externalBlockers || [],
+        warnings: plan?.warnings || [],
+    };
+}
+
+/**
+ * Batch record (RunStore.getBatch shape) for a batch run outside the server,
+ * from SDKOrchestrator.runPlannedBatch results, for buildBatchReport().
+ *
+ * @param {string} batchId
+ * @param {Object} plan
+ * @param {Object[]} results - Pipeline results in plan order
+ * @returns {Object}
+ */
+function batchFromResults(batchId, plan, results) {
+    const runs = results.map(result => {
+        const entry = plan.tickets[result.ticketId];
+        return {
+            runId: result.runId || null,
+            ticketId: result.ticketId,
+            status: result.skipped ? 'cancelled' : result.success ? 'completed' : 'failed',
+            duration: result.duration || null,
+            error: result.error || null,
+            batchPlan: {
+                feature: entry.feature,
+                position: entry.position,
+                dependsOn: entry.dependsOn,
+                explorationUsed: result.explorationUsed || null,
+            },
+            result: { scenarioResults: [{ artifacts: result.artifacts || {} }] },
+        };
+    });
+    const passed = runs.filter(run => run.status === 'completed').length;
+
+    return {
+        batchId,
+        total: runs.length,
+        completed: runs.length,
+        passed,
+        failed: runs.filter(run => run.status === 'failed').length,
+        status: passed === runs.length ? 'completed' : 'failed',
+        plan,
+        runs,
+    };
+}
+
+/**
+ * Markdown rendering of buildBatchReport().
+ * @param {Object} report
+ * @returns {string}
+ */
+function formatBatchReport(report) {
+    const { summary } = report;
+    const lines = [
+        `# Batch ${report.batchId} — ${report.status}`,
+        '',
+        `${summary.passed}/${summary.total} passed · ${summary.failed} failed · ${summary.cancelled} skipped/cancelled · ` +
+        `${summary.explorationsReused} shared exploration(s) reused`,
+        '',
+        '| # | Ticket | Feature | Status | Tests | Depends on | Exploration | Duration |',
+        '| --- | --- | --- | --- | --- | --- | --- | --- |',
+        ...report.tickets.map((ticket, index) => {
+            const dependsOn = ticket.dependsOn
+                .map(dep => dep.type === DEPENDENCY_TYPE.BLOCKS ? dep.ticketId : `${dep.ticketId} (exploration)`)
+                .join(', ');
+            const exploration = !ticket.exploration ? '—'
+                : ticket.exploration.reused ? `shared from ${ticket.exploration.sourceTicketId}` : 'explored';
+            const tests = ticket.tests ? `${ticket.tests.passed}/${ticket.tests.total}` : '—';
+            return `| ${index + 1} | ${ticket.ticketId} | ${ticket.feature || '—'} | ${ticket.status} | ${tests} | ` +
+                `${dependsOn || '—'} | ${exploration} | ${ticket.duration || '—'} |`;
+        }),
+    ];
+
+    const groups = report.groups.filter(group => group.feature);
+    if (groups.length > 0) {
+        lines.push('', '## Feature groups', '');
+        for (const group of groups) {
+            const source = {
+                [EXPLORATION_MODE.REUSE]: `reuses ${group.exploration.sourceTicketId} snapshot (${group.exploration.ageDays} days old)`,
+                [EXPLORATION_MODE.EXPLORE_ONCE]: `${group.exploration.sourceTicketId} explores, the others reuse it`,
+                [EXPLORATION_MODE.OWN]: 'each ticket explores',
+            }[group.exploration.mode];
+            lines.push(`- **${group.feature}** (${group.tickets.join(', ')}) — ${source}`);
+        }
+    }
+
+    const failures = report.tickets.filter(ticket => ticket.error);
+    if (failures.length > 0) {
+        lines.push('', '## Failures', '');
+        for (const ticket of failures) lines.push(`- ${ticket.ticketId}: ${String(ticket.error).slice(0, 300)}`);
+    }
+
+    if (report.externalBlockers.length > 0) {
+        lines.push('', '## Blockers outside the batch', '');
+        for (const item of report.externalBlockers) lines.push(`- ${item.ticketId} is blocked by ${item.blockedBy}`);
+    }
+
+    if (report.warnings.length > 0) {
+        lines.push('', '## Planning warnings', '');
+        for (const warning of report.warnings) lines.push(`- ${warning}`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Write the report as `batch-<batchId>-report.json` and `.md`.
+ * @param {Object} report
+ * @param {string} dir - Absolute directory
+ * @returns {{ jsonPath: string, markdownPath: string }}
+ */
+function writeBatchReport(report, dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const base = path.join(dir, `batch-${report.batchId}-report`);
+    fs.writeFileSync(`${base}.json`, JSON.stringify(report, null, 2), 'utf-8');
+    fs.writeFileSync(`${base}.md`, formatBatchReport(report), 'utf-8');
+    return { jsonPath: `${base}.json`, markdownPath: `${base}.md` };
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function containsWord(text, phrase) {
+    const value = String(phrase || '').trim().toLowerCase();
+    if (!value) return false;
+    return new RegExp(`(^|[^a-z0-9])${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^a-z0-9])`).test(text);
+}
+
+function toList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+    loadBatchConfig,
+    fetchBatchTickets,
+    createBatchPlan,
+    planBatch,
+    buildBatchReport,
+    batchFromResults,
+    formatBatchReport,
+    writeBatchReport,
+    DEPENDENCY_TYPE,
+    EXPLORATION_MODE,
+    BLOCKER_FAILURE,
+};
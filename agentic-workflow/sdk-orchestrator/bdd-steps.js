@@ -0,0 +1,551 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * BDD STEPS — Gherkin Features and playwright-bdd Step Definitions
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * With sdk.bdd.enabled, TestGenie's test case document is also written as a
+ * .feature file in featuresDir, and ScriptGenerator writes playwright-bdd
+ * step definitions for it in stepsDir:
+ *
+ *   tests/features/<ticketId>[-<scenario>]-test-cases.feature
+ *   tests/steps/<ticketId>.steps.js
+ *
+ *   1. Every feature step is looked up in the step index (grounding/
+ *      step-index.js) — steps an existing definition matches are reused.
+ *   2. The rest are scaffolded once per Cucumber expression (quoted values
+ *      and numbers become parameters), each with a pending body, the
+ *      existing steps worded like it, and the business function or page
+ *      object method (through POmanager) whose name best fits the step.
+ *   3. ScriptGenerator replaces the pending bodies with framework calls.
+ *   4. The script quality gate fails while a feature step has no binding,
+ *      is still pending, or matches more than one definition.
+ *
+ * @module sdk-orchestrator/bdd-steps
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { StepIndex, stepExpression, PENDING_STEP_MARKER } = require('../grounding/step-index');
+const { renderGherkin, testCaseFileStem } = require('./testcase-document');
+const { loadWorkflowConfig } = require('./utils');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const STEP_KEYWORDS = ['Given', 'When', 'Then'];
+const PARAMETER_NAMES = { string: 'text', int: 'count', float: 'value' };
+const NAME_STOP_WORDS = new Set(['a', 'an', 'the', 'i', 'is', 'are', 'to', 'of', 'on', 'in', 'and', 'user', 'should', 'be', 'get', 'set']);
+
+// ─── Config ─────────────────────────────────────────────────────────────────
+
+/**
+ * Normalize sdk.bdd.
+ *
+ * @param {Object} [config] - sdk.bdd (read from workflow-config.json when omitted)
+ * @returns {Object}
+ */
+function loadBddConfig(config) {
+    const bdd = config || loadWorkflowConfig()?.sdk?.bdd || {};
+    const threshold = Number(bdd.suggestionThreshold);
+
+    return {
+        enabled: bdd.enabled === true,
+        featuresDir: bdd.featuresDir || 'tests/features',
+        stepsDir: bdd.stepsDir || 'tests/steps',
+        pageObjectsDir: bdd.pageObjectsDir || 'tests/pageobjects',
+        failOnUnboundSteps: bdd.failOnUnboundSteps !== false,
+        suggestionThreshold: Number.isFinite(threshold) && threshold > 0 && threshold <= 1 ? threshold : 0.6,
+    };
+}
+
+// ─── Features ───────────────────────────────────────────────────────────────
+
+/**
+ * Write a test case document as a .feature file in featuresDir.
+ *
+ * @param {Object} document - Test case document
+ * @param {Object} [options]
+ * @param {Object} [options.config]      - From loadBddConfig()
+ * @param {string} [options.projectRoot]
+ * @returns {string} Path of the feature file
+ */
+function writeFeatureFile(document, options = {}) {
+    const config = options.config || loadBddConfig();
+    const featurePath = path.join(
+        path.resolve(options.projectRoot || PROJECT_ROOT, config.featuresDir),
+        `${testCaseFileStem(document.ticketId, document.scenarioSlug)}.feature`,
+    );
+    fs.mkdirSync(path.dirname(featurePath), { recursive: true });
+    fs.writeFileSync(featurePath, renderGherkin(document), 'utf-8');
+    return featurePath;
+}
+
+/**
+ * The feature files written for a ticket (one per scenario).
+ *
+ * @param {string} ticketId
+ * @param {Object} [options]
+ * @param {Object} [options.config]      - From loadBddConfig()
+ * @param {string} [options.projectRoot]
+ * @returns {string[]} Absolute paths
+ */
+function findFeatureFiles(ticketId, options = {}) {
+    const config = options.config || loadBddConfig();
+    const featuresDir = path.resolve(options.projectRoot || PROJECT_ROOT, config.featuresDir);
+    if (!fs.existsSync(featuresDir)) return [];
+    return fs.readdirSync(featuresDir)
+        .filter(name => name.startsWith(`${ticketId}-`) && name.endsWith('-test-cases.feature'))
+        .sort()
+        .map(name => path.join(featuresDir, name));
+}
+
+/**
+ * Parse the parts of Gherkin step binding needs: tags, scenarios (outlines
+ * expanded with their examples) and steps with And / But resolved to the
+ * keyword they continue. Background steps are listed on the feature and
+ * prepended to each scenario.
+ *
+ * @param {string} content
+ * @param {string} [file]
+ * @returns {{ file, name, tags: string[], background: Object[], scenarios: Object[] }}
+ */
+function parseFeature(content, file = null) {
+    const feature = { file, name: '', tags: [], background: [], scenarios: [] };
+    let tags = [];
+    let target = null;      // step list being filled
+    let lastType = 'Given';
+    let inDocString = false;
+
+    String(content || '').split(/\r?\n/).forEach((raw, index) => {
+        const line = raw.trim();
+        const lineNumber = index + 1;
+        if (line.startsWith('"""') || line.startsWith('```')) {
+            inDocString = !inDocString;
+            return;
+        }
+        if (inDocString || !line || line.startsWith('#')) return;
+
+        if (line.startsWith('@')) {
+            tags.push(...line.split(/\s+/).filter(tag => tag.startsWith('@')).map(tag => tag.slice(1)));
+            return;
+        }
+
+        const heading = line.match(/^(Feature|Background|Scenario Outline|Scenario Template|Scenario|Example|Examples|Scenarios):\s*(.*)$/);
+        if (heading) {
+            const [, kind, name] = heading;
+            if (kind === 'Feature') {
+                feature.name = name;
+                feature.tags = tags;
+                target = null;
+            } else if (kind === 'Background') {
+                target = feature.background;
+            } else if (['Examples', 'Scenarios'].includes(kind)) {
+                target = null;
+            } else {
+                const scenario = { name, tags: [...feature.tags, ...tags], line: lineNumber, steps: [] };
+                feature.scenarios.push(scenario);
+                target = scenario.steps;
+            }
+            tags = [];
+            lastType = 'Given';
+            return;
+        }
+
+        if (line.startsWith('|')) return; // data tables and examples (read by expandOutlines)
+
+        const step = line.match(/^(Given|When|Then|And|But|\*)\s+(.+)$/);
+        if (step && target) {
+            const [, keyword, text] = step;
+            const type = STEP_KEYWORDS.includes(keyword) ? keyword : lastType;
+            lastType = type;
+            target.push({ keyword, type, text, line: lineNumber });
+        }
+    });
+
+    return expandOutlines(feature, content);
+}
+
+/**
+ * Unique steps of one or more features, background included, with the
+ * scenarios using each.
+ *
+ * @param {Object[]} features - From parseFeature()
+ * @returns {Array<{ type, text, file, line, scenarios: string[] }>}
+ */
+function featureSteps(features) {
+    const steps = new Map();
+    for (const feature of features) {
+        for (const scenario of feature.scenarios) {
+            for (const step of [...feature.background, ...scenario.steps]) {
+                const entry = steps.get(step.text) || { type: step.type, text: step.text, file: feature.file, line: step.line, scenarios: [] };
+                if (!entry.scenarios.includes(scenario.name)) entry.scenarios.push(scenario.name);
+                steps.set(step.text, entry);
+            }
+        }
+    }
+    return [...steps.values()];
+}
+
+// ─── Bindings ───────────────────────────────────────────────────────────────
+
+/**
+ * Check every feature step against the step index.
+ *
+ * @param {Object[]} features   - From parseFeature()
+ * @param {StepIndex} stepIndex
+ * @returns {Object} { passed, total, bound, pending, ambiguous, unbound } — unbound steps carry similar definitions
+ */
+function checkStepBindings(features, stepIndex) {
+    const result = { passed: false, total: 0, bound: [], pending: [], ambiguous: [], unbound: [] };
+    for (const step of featureSteps(features)) {
+        result.total++;
+        const bindings = stepIndex.findBindings(step.text);
+        const location = binding => ({ pattern: binding.pattern, file: binding.file, line: binding.line });
+        if (bindings.length === 0) {
+            result.unbound.push({ ...step, similar: stepIndex.findSimilar(step.text).map(location) });
+        } else if (bindings.length > 1) {
+            result.ambiguous.push({ ...step, bindings: bindings.map(location) });
+        } else if (bindings[0].pending) {
+            result.pending.push({ ...step, binding: location(bindings[0]) });
+        } else {
+            result.bound.push({ ...step, binding: location(bindings[0]) });
+        }
+    }
+    result.passed = result.unbound.length === 0 && result.pending.length === 0 && result.ambiguous.length === 0;
+    return result;
+}
+
+/**
+ * Read feature files and check them against the step definitions currently
+ * in stepsDir (indexed fresh, so steps written moments ago count).
+ *
+ * @param {string[]} featurePaths
+ * @param {Object} [options]
+ * @param {Object} [options.config]      - From loadBddConfig()
+ * @param {string} [options.projectRoot]
+ * @returns {Object} checkStepBindings() result plus { features, message }
+ */
+function checkFeatureBindings(featurePaths, options = {}) {
+    const config = options.config || loadBddConfig();
+    const projectRoot = options.projectRoot || PROJECT_ROOT;
+    const stepIndex = new StepIndex();
+    stepIndex.buildFromStepFiles(path.resolve(projectRoot, config.stepsDir), { projectRoot });
+
+    const features = featurePaths
+        .filter(featurePath => fs.existsSync(featurePath))
+        .map(featurePath => parseFeature(fs.readFileSync(featurePath, 'utf-8'), path.relative(projectRoot, featurePath).replace(/\\/g, '/')));
+    const result = checkStepBindings(features, stepIndex);
+    const problems = [
+        result.unbound.length && `${result.unbound.length} unbound`,
+        result.pending.length && `${result.pending.length} pending`,
+        result.ambiguous.length && `${result.ambiguous.length} ambiguous`,
+    ].filter(Boolean);
+    return {
+        ...result,
+        features: features.map(feature => feature.file),
+        message: result.passed
+            ? `All ${result.total} feature step(s) are bound`
+            : `Feature steps without a usable binding: ${problems.join(', ')} of ${result.total}`,
+    };
+}
+
+// ─── Step Catalog ───────────────────────────────────────────────────────────
+
+/**
+ * Business function and page object methods reachable through POmanager,
+ * for matching steps to framework calls.
+ *
+ * @param {Object} inventory        - utils/project-path-resolver getFrameworkInventory() result
+ * @param {string} poManagerSource  - Content of POmanager.js
+ * @returns {Array<{ accessor, method, kind, file }>}
+ */
+function buildStepCatalog(inventory, poManagerSource) {
+    const accessors = poManagerAccessors(poManagerSource || '');
+    const entries = [];
+    const add = (items, kind) => {
+        for (const item of items || []) {
+            const accessor = accessors.get(item.fileName);
+            if (!accessor) continue;
+            for (const method of item.methods || []) {
+                if (method === 'constructor' || method.startsWith('_')) continue;
+                entries.push({ accessor, method, kind, file: item.file });
+            }
+        }
+    };
+    add(inventory?.businessFunctions, 'businessFunction');
+    add(inventory?.pageObjects, 'pageObject');
+    return entries;
+}
+
+/**
+ * The catalog method whose name best fits a step, scored by the words the
+ * method name and the step share (F1 of the two word sets). Business
+ * functions win ties.
+ *
+ * @param {string} stepText
+ * @param {Object[]} catalog - From buildStepCatalog()
+ * @param {number} [threshold=0.6]
+ * @returns {Object|null} Catalog entry with `score` and `call`
+ */
+function suggestImplementation(stepText, catalog, threshold = 0.6) {
+    const stepWords = nameWords(stepText.replace(/"[^"]*"|'[^']*'/g, ' '));
+    let best = null;
+    for (const entry of catalog || []) {
+        const methodWords = nameWords(entry.method);
+        if (methodWords.size === 0) continue;
+        const shared = [...methodWords].filter(word => stepWords.has(word)).length;
+        const score = Math.round(((2 * shared) / (methodWords.size + stepWords.size)) * 100) / 100;
+        const better = !best || score > best.score || (score === best.score && entry.kind === 'businessFunction' && best.kind !== 'businessFunction');
+        if (shared > 0 && better) best = { ...entry, score };
+    }
+    if (!best || best.score < threshold) return null;
+    return { ...best, call: `await poManager.${best.accessor}().${best.method}()` };
+}
+
+// ─── Step Definitions ───────────────────────────────────────────────────────
+
+/**
+ * Scaffold step definitions for the feature steps no definition matches.
+ * Steps that differ only in quoted values or numbers share one definition.
+ *
+ * @param {Object[]} features   - From parseFeature()
+ * @param {Object} options
+ * @param {StepIndex} options.stepIndex
+ * @param {Object[]} [options.catalog]         - From buildStepCatalog()
+ * @param {string} options.ticketId
+ * @param {string} [options.poManagerImport]   - Require path of POmanager from the steps file
+ * @param {number} [options.suggestionThreshold]
+ * @param {boolean} [options.header=true]      - Include imports (false when appending)
+ * @returns {{ content: string, steps: Object[], reused: Object[] }}
+ */
+function generateStepDefinitions(features, options) {
+    const { stepIndex, ticketId } = options;
+    const steps = [];
+    const reused = [];
+    const expressions = new Set();
+
+    for (const step of featureSteps(features)) {
+        const binding = stepIndex.match(step.text);
+        if (binding) {
+            reused.push({ text: step.text, pattern: binding.pattern, file: binding.file, line: binding.line });
+            continue;
+        }
+        const { expression, parameters } = stepExpression(step.text);
+        if (expressions.has(expression)) continue;
+        expressions.add(expression);
+        steps.push({
+            type: step.type,
+            text: step.text,
+            expression,
+            parameters,
+            scenarios: step.scenarios,
+            similar: stepIndex.findSimilar(step.text).map(entry => entry.pattern),
+            suggestion: suggestImplementation(step.text, options.catalog, options.suggestionThreshold),
+        });
+    }
+
+    const lines = [];
+    if (options.header !== false) {
+        const keywords = STEP_KEYWORDS.filter(keyword => steps.some(step => step.type === keyword));
+        const files = features.map(feature => feature.file).filter(Boolean);
+        lines.push(
+            '/**',
+            ` * Step definitions for ${ticketId}${files.length ? ` (${files.join(', ')})` : ''}.`,
+            ' * Reuse business functions and page objects through POmanager; steps that',
+            ' * existing definitions already cover are not repeated here.',
+            ' */',
+            '',
+            'const { createBdd } = require(\'playwright-bdd\');',
+            `const POmanager = require('${options.poManagerImport || '../pageobjects/POmanager'}');`,
+            '',
+            `const { ${(keywords.length ? keywords : ['Given']).join(', ')} } = createBdd();`,
+        );
+    }
+    for (const step of steps) {
+        const names = parameterNames(step.parameters);
+        const quoted = step.expression.replace(/\\/g, '\\\\').replace(/'/g, '\\\'');
+        lines.push(
+            '',
+            `${step.type}('${quoted}', async ({ page }${names.map(name => `, ${name}`).join('')}) => {`,
+            '    const poManager = new POmanager(page);',
+            ...(step.suggestion ? [`    // Suggested: ${step.suggestion.call};`] : []),
+            ...step.similar.map(pattern => `    // Similar existing step: ${pattern}`),
+            `    throw new Error('${PENDING_STEP_MARKER} ${quoted}');`,
+            '});',
+        );
+    }
+    return { content: lines.length ? `${lines.join('\n')}\n` : '', steps, reused };
+}
+
+/**
+ * Where a ticket's step definitions are written.
+ *
+ * @param {string} ticketId
+ * @param {Object} [options]
+ * @param {Object} [options.config]      - From loadBddConfig()
+ * @param {string} [options.projectRoot]
+ * @returns {string}
+ */
+function stepDefinitionsPath(ticketId, options = {}) {
+    const config = options.config || loadBddConfig();
+    return path.join(path.resolve(options.projectRoot || PROJECT_ROOT, config.stepsDir), `${ticketId.toLowerCase()}.steps.js`);
+}
+
+/**
+ * Scaffold the definitions a ticket's features are missing into
+ * stepsDir/<ticketId>.steps.js, appending when the file exists.
+ *
+ * @param {Object} options
+ * @param {string} options.ticketId
+ * @param {string[]} options.featurePaths
+ * @param {StepIndex} [options.stepIndex] - Default: indexed from stepsDir
+ * @param {Object[]} [options.catalog]    - Default: from the framework inventory and POmanager.js
+ * @param {Object} [options.config]       - From loadBddConfig()
+ * @param {string} [options.projectRoot]
+ * @returns {{ path: string, steps: Object[], reused: Object[], written: boolean }}
+ */
+function writeStepDefinitions(options) {
+    const config = options.config || loadBddConfig();
+    const projectRoot = options.projectRoot || PROJECT_ROOT;
+    const stepsPath = stepDefinitionsPath(options.ticketId, { config, projectRoot });
+    const stepsDir = path.dirname(stepsPath);
+    const pageObjectsDir = path.resolve(projectRoot, config.pageObjectsDir);
+
+    let stepIndex = options.stepIndex;
+    if (!stepIndex) {
+        stepIndex = new StepIndex();
+        stepIndex.buildFromStepFiles(stepsDir, { projectRoot });
+    }
+    const features = options.featurePaths
+        .filter(featurePath => fs.existsSync(featurePath))
+        .map(featurePath => parseFeature(fs.readFileSync(featurePath, 'utf-8'), path.relative(projectRoot, featurePath).replace(/\\/g, '/')));
+
+    const exists = fs.existsSync(stepsPath);
+    const generated = generateStepDefinitions(features, {
+        stepIndex,
+        ticketId: options.ticketId,
+        catalog: options.catalog || loadStepCatalog(projectRoot, pageObjectsDir),
+        poManagerImport: toRequirePath(path.relative(stepsDir, path.join(pageObjectsDir, 'POmanager'))),
+        suggestionThreshold: config.suggestionThreshold,
+        header: !exists,
+    });
+
+    if (generated.steps.length > 0) {
+        fs.mkdirSync(stepsDir, { recursive: true });
+        if (exists) fs.appendFileSync(stepsPath, generated.content, 'utf-8');
+        else fs.writeFileSync(stepsPath, generated.content, 'utf-8');
+    }
+    return { path: stepsPath, steps: generated.steps, reused: generated.reused, written: generated.steps.length > 0 };
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/** One scenario per examples row of each Scenario Outline, placeholders filled in. */
+function expandOutlines(feature, content) {
+    const lines = String(content || '').split(/\r?\n/);
+    feature.scenarios = feature.scenarios.flatMap(scenario => {
+        const examples = outlineExamples(lines, scenario.line);
+        if (!examples) return [scenario];
+        return examples.map((row, i) => ({
+            ...scenario,
+            name: `${scenario.name} (example ${i + 1})`,
+            steps: scenario.steps.map(step => ({
+                ...step,
+                text: step.text.replace(/<([^>]+)>/g, (placeholder, name) => (name in row ? row[name] : placeholder)),
+            })),
+        }));
+    });
+    return feature;
+}
+
+/** Example rows of the scenario outline whose heading is on `line`, or null. */
+function outlineExamples(lines, line) {
+    if (!/^\s*Scenario (Outline|Template):/.test(lines[line - 1] || '')) return null;
+    const rows = [];
+    let header = null;
+    let inExamples = false;
+    for (let i = line; i < lines.length; i++) {
+        const text = lines[i].trim();
+        if (/^(Scenario|Scenario Outline|Scenario Template|Example|Rule|Feature):/.test(text)) break;
+        if (/^(Examples|Scenarios):/.test(text)) {
+            inExamples = true;
+            header = null;
+            continue;
+        }
+        if (inExamples && text.startsWith('|')) {
+            const cells = text.replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+            if (!header) header = cells;
+            else rows.push(Object.fromEntries(header.map((name, j) => [name, cells[j] ?? ''])));
+        }
+    }
+    return rows.length > 0 ? rows : null;
+}
+
+function poManagerAccessors(source) {
+    const modules = new Map();   // variable → file name
+    for (const [, variable, file] of source.matchAll(/const\s+(\w+)\s*=\s*require\(\s*['"]([^'"]+)['"]\s*\)/g)) {
+        modules.set(variable, path.basename(file, '.js'));
+    }
+    const instances = new Map(); // instance property → file name
+    for (const [, property, variable] of source.matchAll(/this\.(\w+)\s*=\s*new\s+(\w+)\s*\(/g)) {
+        if (modules.has(variable)) instances.set(property, modules.get(variable));
+    }
+    const accessors = new Map(); // file name → accessor
+    for (const [, accessor, property] of source.matchAll(/^\s*(\w+)\s*\(\s*\)\s*\{\s*return\s+this\.(\w+)\s*;?\s*\}/gm)) {
+        const fileName = instances.get(property);
+        if (fileName && !accessors.has(fileName)) accessors.set(fileName, accessor);
+    }
+    return accessors;
+}
+
+function loadStepCatalog(projectRoot, pageObjectsDir) {
+    try {
+        const { getFrameworkInventoryCache } = require('../utils/project-path-resolver');
+        const poManagerPath = path.join(pageObjectsDir, 'POmanager.js');
+        const source = fs.existsSync(poManagerPath) ? fs.readFileSync(poManagerPath, 'utf-8') : '';
+        return buildStepCatalog(getFrameworkInventoryCache(), source);
+    } catch {
+        return [];
+    }
+}
+
+function nameWords(text) {
+    return new Set(String(text || '')
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .map(word => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word))
+        .filter(word => word.length > 1 && !NAME_STOP_WORDS.has(word)));
+}
+
+function parameterNames(parameters) {
+    const counts = {};
+    return parameters.map(type => {
+        const base = PARAMETER_NAMES[type] || 'arg';
+        counts[base] = (counts[base] || 0) + 1;
+        return counts[base] > 1 ? `${base}${counts[base]}` : base;
+    });
+}
+
+function toRequirePath(relativePath) {
+    const posix = relativePath.replace(/\\/g, '/');
+    return posix.startsWith('.') ? posix : `./${posix}`;
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+    loadBddConfig,
+    writeFeatureFile,
+    findFeatureFiles,
+    parseFeature,
+    featureSteps,
+    checkStepBindings,
+    checkFeatureBindings,
+    buildStepCatalog,
+    suggestImplementation,
+    generateStepDefinitions,
+    stepDefinitionsPath,
+    writeStepDefinitions,
+};
@@ -2645,6 +2645,8 @@ class ChatSessionManager extends EventEmitter {
         'update_jira_estimates': { phase: 'jira', message: 'Updating Jira estimates...' },
         'update_jira_ticket': { phase: 'jira', message: 'Updating Jira ticket...' },
         'generate_test_case_excel': { phase: 'excel', message: 'Generating Excel file...' },
+        'import_test_case_excel': { phase: 'excel', message: 'Importing edited test cases...' },
+        'sync_test_cases': { phase: 'test-management', message: 'Syncing test cases to test management...' },
         'generate_excel_report': { phase: 'excel', message: 'Generating Excel report...' },
         'list_session_documents': { phase: 'document', message: 'Inspecting uploaded session documents...' },
         'parse_session_document': { phase: 'document', message: 'Parsing uploaded document...' },
@@ -2670,6 +2672,8 @@ class ChatSessionManager extends EventEmitter {
         'find_test_files': { phase: 'framework', message: 'Searching for test files...' },
         'get_selector_recommendations': { phase: 'grounding', message: 'Getting selector recommendations...' },
         'check_existing_coverage': { phase: 'grounding', message: 'Checking existing coverage...' },
+        'find_step_bindings': { phase: 'grounding', message: 'Looking up step definitions...' },
+        'generate_step_definitions': { phase: 'framework', message: 'Scaffolding step definitions...' },
         'get_snapshot_quality': { phase: 'validation', message: 'Analyzing snapshot quality...' },
         'analyze_test_failure': { phase: 'validation', message: 'Analyzing test failure...' },
         'publish_image_to_chat': { phase: 'screenshot', message: 'Publishing image to chat...' },
@@ -11,12 +11,20 @@
  *   node agentic-workflow/sdk-orchestrator/cli.js --tickets AOTF-001,AOTF-002 --parallel
  *   node agentic-workflow/sdk-orchestrator/cli.js --server              # Start HTTP server
  *   node agentic-workflow/sdk-orchestrator/cli.js --ticket X --ci       # CI mode (JSON output)
+ *   node agentic-workflow/sdk-orchestrator/cli.js --resume <runId>      # Resume a failed run
+ *   node agentic-workflow/sdk-orchestrator/cli.js --schedule list       # Manage cron schedules
  *
  * Options:
  *   --ticket, -t      Jira ticket ID (e.g., AOTF-16339)
  *   --tickets         Comma-separated ticket IDs for parallel execution
- *   --mode, -m        Pipeline mode: full | generate | heal | execute (default: full)
+ *   --mode, -m        Pipeline mode: full | testcase | generate | heal | execute | a11y, or a
+ *                     mode from sdk.pipelineModes (default: full)
+ *   --modes           List pipeline modes, including config-defined ones
  *   --parallel        Run multiple tickets in parallel batches
+ *   --depends         Extra ticket dependencies for a batch: AOTF-2:AOTF-1 (AOTF-2 waits for AOTF-1)
+ *   --no-plan         Run a batch without feature grouping / dependency ordering
+ *   --resume          Resume a failed/cancelled run after its last completed stage
+ *   --schedule        Manage scheduled runs: list | show | add | remove | enable | disable | preview
  *   --ci              CI mode: headless, JSON stdout, structured exit codes
  *   --server          Start HTTP pipeline server (Phase 1)
  *   --port            Server port override (default: 3100 or SERVER_PORT env)
@@ -35,6 +43,11 @@
 const path = require('path');
 const fs = require('fs');
 const { SDKOrchestrator } = require('./index');
+const {
+    createBatchPlan, loadBatchConfig, buildBatchReport, batchFromResults, formatBatchReport, writeBatchReport,
+} = require('./batch-planner');
+const { generateBatchId, isValidMode } = require('./utils');
+const { listModes } = require('./pipeline-modes');
 
 // ─── Argument Parsing ───────────────────────────────────────────────────────
 
@@ -45,11 +58,21 @@ function parseArgs(argv) {
         mode: 'full',
         environment: 'UAT',
         parallel: false,
+        plan: true,
+        dependencies: {},
         ci: false,
         server: false,
         port: null,
         verbose: false,
         dryRun: false,
+        resume: null,
+        schedule: null,
+        scheduleId: null,
+        name: null,
+        cron: null,
+        timezone: null,
+        specs: [],
+        listModes: false,
         help: false,
     };
 
@@ -80,6 +103,18 @@ function parseArgs(argv) {
             case '--parallel':
                 args.parallel = true;
                 break;
+            case '--no-plan':
+                args.plan = false;
+                break;
+            case '--depends':
+                for (const pair of (next || '').split(',').map(s => s.trim()).filter(Boolean)) {
+                    const [ticketId, blocker] = pair.split(':').map(s => s.trim());
+                    if (ticketId && blocker) {
+                        args.dependencies[ticketId] = [...(args.dependencies[ticketId] || []), blocker];
+                    }
+                }
+                i++;
+                break;
             case '--ci':
                 args.ci = true;
                 break;
@@ -97,13 +132,43 @@ function parseArgs(argv) {
             case '--dry-run':
                 args.dryRun = true;
                 break;
+            case '--resume':
+                args.resume = next;
+                i++;
+                break;
+            case '--schedule':
+                args.schedule = next;
+                i++;
+                break;
+            case '--name':
+                args.name = next;
+                i++;
+                break;
+            case '--cron':
+                args.cron = next;
+                i++;
+                break;
+            case '--tz':
+            case '--timezone':
+                args.timezone = next;
+                i++;
+                break;
+            case '--specs':
+                args.specs = (next || '').split(',').map(s => s.trim()).filter(Boolean);
+                i++;
+                break;
+            case '--modes':
+                args.listModes = true;
+                break;
             case '--help':
             case '-h':
                 args.help = true;
                 break;
             default:
-                // Positional: treat as ticket ID if no flag provided
-                if (!arg.startsWith('-') && !args.ticket) {
+                // Positional: schedule ID for --schedule subcommands, else ticket ID
+                if (!arg.startsWith('-') && args.schedule && !args.scheduleId) {
+                    args.scheduleId = arg;
+                } else if (!arg.startsWith('-') && !args.ticket) {
                     args.ticket = arg;
                 }
                 break;
@@ -123,17 +188,38 @@ Usage:
   node sdk-orchestrator/cli.js --ticket <ID> [options]
   node sdk-orchestrator/cli.js --tickets <ID1>,<ID2> --parallel
   node sdk-orchestrator/cli.js --server [--port 3100]
+  node sdk-orchestrator/cli.js --resume <runId>
+  node sdk-orchestrator/cli.js --schedule <command> [id] [options]
 
 Options:
   --ticket, -t <ID>      Jira ticket ID (e.g., AOTF-16339)
   --tickets <IDs>        Comma-separated ticket IDs
   --mode, -m <mode>      Pipeline mode (default: full)
                            full     — Full pipeline: test cases → script → execute → heal
+                           testcase — Test cases + Excel only
                            generate — Skip test cases, just generate script + execute
                            heal     — Execute existing script + self-heal failures
                            execute  — Just run existing script, report results
+                           <name>   — A mode defined in sdk.pipelineModes (see --modes)
+  --modes                List all pipeline modes with their stages
   --env, -e <env>        Target environment: UAT | INT | PROD (default: UAT)
-  --parallel             Process multiple tickets in parallel batches
+  --parallel             Process multiple tickets in parallel batches. The batch is
+                           planned first (sdk.batch): tickets are grouped by feature,
+                           share fresh exploration snapshots and run after the
+                           tickets that block them (Jira "blocks" links)
+  --depends <T:B,...>    Extra batch dependencies — T runs after B
+  --no-plan              Batch without grouping or dependency ordering
+  --resume <runId>       Resume a failed/cancelled run after its last completed stage
+                           (reuses test cases, exploration, spec, cognitive tier
+                           and shared context from the earlier run)
+  --schedule <command>   Manage cron schedules run by the pipeline server
+                           list              — All schedules with next/last run
+                           show <id>         — One schedule and its last run
+                           add               — Needs --name, --cron and --tickets and/or --specs
+                                               (uses --mode, --env; optional --tz UTC)
+                           remove <id>       — Delete a schedule
+                           enable|disable <id>
+                           preview           — Next fire times of --cron
   --ci                   CI mode: sets headless, outputs JSON, structured exit codes
   --server               Start HTTP pipeline server instead of running a pipeline
   --port <port>          Server port (default: 3100 or SERVER_PORT env var)
@@ -150,8 +236,13 @@ Examples:
   node sdk-orchestrator/cli.js -t AOTF-16339 -m full
   node sdk-orchestrator/cli.js -t AOTF-16339 -m heal -v
   node sdk-orchestrator/cli.js --tickets AOTF-001,AOTF-002 --parallel
+  node sdk-orchestrator/cli.js --tickets AOTF-001,AOTF-002,AOTF-003 --parallel --depends AOTF-003:AOTF-001 --dry-run
   node sdk-orchestrator/cli.js -t AOTF-16339 --ci --env UAT
   node sdk-orchestrator/cli.js --server --port 3100
+  node sdk-orchestrator/cli.js --resume run_lxk2m9a1_3f9c2b1e -v
+  node sdk-orchestrator/cli.js --schedule add --name "Nightly heal" --cron "0 2 * * *" -m heal --tickets AOTF-101,AOTF-102
+  node sdk-orchestrator/cli.js --schedule add --name "Weekly regen" --cron "0 4 * * SAT" --specs tests/specs/aotf-204
+  node sdk-orchestrator/cli.js --schedule disable sched_lxk2m9a1_3f9c2b1e
 `);
 }
 
@@ -243,6 +334,22 @@ function writeCISummary(results) {
     }
 }
 
+function writeCIOutput(results, extra = {}) {
+    process.stdout.write(JSON.stringify({
+        success: results.every(r => r.success),
+        ...extra,
+        results,
+        summary: {
+            total: results.length,
+            passed: results.filter(r => r.success).length,
+            failed: results.filter(r => !r.success).length,
+        },
+    }, null, 2) + '\n');
+
+    writeCISummary(results);
+    process.exit(getCIExitCode(results));
+}
+
 function getCIExitCode(results) {
     const hasInfraError = results.some(r => r.error && !r.stageResults?.execute);
     if (hasInfraError) return 2;
@@ -250,6 +357,314 @@ function getCIExitCode(results) {
     return hasFailures ? 1 : 0;
 }
 
+function printBatchPlan(plan) {
+    console.log('\n   Batch plan:');
+    for (const ticketId of plan.order) {
+        const entry = plan.tickets[ticketId];
+        const after = entry.dependsOn.map(dep => dep.type === 'blocks' ? dep.ticketId : `${dep.ticketId} (exploration)`);
+        console.log(`     ${entry.position}. ${ticketId}${entry.feature ? ` [${entry.feature}]` : ''}` +
+            `${after.length > 0 ? ` — after ${after.join(', ')}` : ''}` +
+            `${entry.sharedExploration ? ` — exploration from ${entry.sharedExploration.sourceTicketId}` : ''}`);
+    }
+    for (const item of plan.externalBlockers) {
+        console.log(`     ⚠️ ${item.ticketId} is blocked by ${item.blockedBy} (not in this batch)`);
+    }
+    for (const warning of plan.warnings) {
+        console.log(`     ⚠️ ${warning}`);
+    }
+}
+
+function getGroundingStoreForCli() {
+    const { getGroundingStore } = require('../grounding/grounding-store');
+    return getGroundingStore({ projectRoot: path.join(__dirname, '..', '..') });
+}
+
+// ─── Resume ─────────────────────────────────────────────────────────────────
+
+/**
+ * Continue a failed/cancelled run from its RunStore checkpoint. Records the
+ * continuation as a new run linked via `resumedFrom`, so it can itself be
+ * resumed later.
+ */
+async function resumeRun(args) {
+    const { RunStore, RUN_STATUS } = require('./run-store');
+    const { FlakyTestTracker } = require('./flaky-tests');
+    // Queued/running runs in the store belong to the server's run queue —
+    // leave them for it instead of failing them as orphans.
+    const runStore = new RunStore({ requeueInterrupted: true });
+    const plan = runStore.getResumePlan(args.resume);
+
+    const fail = (message) => {
+        if (args.ci) {
+            process.stdout.write(JSON.stringify({ error: message }) + '\n');
+        } else {
+            console.error(`❌ Error: ${message}`);
+        }
+        runStore.close();
+        process.exit(2);
+    };
+
+    if (!plan) fail(`Run ${args.resume} not found`);
+    if (!plan.resumable) fail(`Run ${args.resume} cannot be resumed: ${plan.reason}`);
+
+    const pending = plan.scenarios.filter(item => !item.completed);
+
+    if (args.dryRun) {
+        if (args.ci) {
+            process.stdout.write(JSON.stringify({ dryRun: true, plan }) + '\n');
+        } else {
+            console.log('\n📋 DRY RUN — Resume Plan:');
+            console.log(`   Run:         ${plan.runId}`);
+            console.log(`   Ticket:      ${plan.ticketId}`);
+            console.log(`   Mode:        ${plan.mode}`);
+            for (const item of pending) {
+                const done = item.resume?.completedStages || [];
+                console.log(`   Scenario:    ${item.scenario.id} — resume after ${item.resume?.lastCompletedStage || '(start)'}` +
+                    `${done.length > 0 ? ` [done: ${done.join(', ')}]` : ''}`);
+            }
+            console.log('\n   No actions taken.');
+        }
+        runStore.close();
+        process.exit(0);
+    }
+
+    if (!args.ci) console.log('\n🚀 Initializing SDK Orchestrator...');
+    const orchestrator = new SDKOrchestrator({ verbose: args.verbose });
+    const run = runStore.createRun({
+        ticketId: plan.ticketId,
+        mode: plan.mode,
+        environment: plan.environment,
+        triggeredBy: 'cli',
+        resumedFrom: plan.runId,
+        mission: { scenarios: plan.scenarios.map(item => item.scenario) },
+    });
+    const testHistory = new FlakyTestTracker({ runStore });
+    const results = [];
+
+    try {
+        await orchestrator.start();
+        if (!args.ci) console.log('✅ Orchestrator ready.\n');
+
+        const onProgress = args.ci ? () => { } : createProgressHandler();
+        runStore.startRun(run.runId);
+
+        for (const item of pending) {
+            const { scenario, resume } = item;
+            if (!args.ci) {
+                console.log(`\n♻️ Resuming ${plan.ticketId} [${plan.mode}] from ${plan.runId}` +
+                    `${scenario.id !== 'default' ? ` — ${scenario.name || scenario.id}` : ''}` +
+                    ` after ${resume?.lastCompletedStage || '(start)'}\n`);
+            }
+
+            runStore.updateScenario(run.runId, scenario.id, { status: RUN_STATUS.RUNNING });
+            const result = await orchestrator.runPipeline(plan.ticketId, {
+                mode: plan.mode,
+                runId: run.runId,
+                contextRunId: `${run.runId}__${scenario.id}`,
+                scenario,
+                scenarioId: scenario.id,
+                authState: scenario.authState || 'unspecified',
+                resume,
+                testHistory,
+                onCheckpoint: snapshot => runStore.recordResumePoint(run.runId, scenario.id, snapshot),
+                onProgress,
+            });
+            runStore.updateScenario(run.runId, scenario.id, {
+                status: result.success ? RUN_STATUS.COMPLETED : RUN_STATUS.FAILED,
+            });
+
+            results.push(result);
+            if (!args.ci) printResult(result);
+        }
+
+        const failures = results.filter(r => !r.success);
+        runStore.completeRun(run.runId, {
+            success: failures.length === 0,
+            error: failures.map(r => r.error || 'failed').join('; ') || null,
+            lastCompletedStage: results[results.length - 1]?.lastCompletedStage || null,
+            artifacts: {
+                scenarioResults: Object.fromEntries(results.map((r, i) => [pending[i].scenario.id, r.artifacts || {}])),
+            },
+        });
+
+        if (args.ci) {
+            writeCIOutput(results, { runId: run.runId, resumedFrom: plan.runId });
+        } else {
+            console.log(`\n📌 Resumed run recorded as ${run.runId}`);
+        }
+    } catch (error) {
+        runStore.completeRun(run.runId, { success: false, error: error.message });
+        if (args.ci) {
+            process.stdout.write(JSON.stringify({
+                success: false,
+                error: error.message,
+                runId: run.runId,
+                resumedFrom: plan.runId,
+                results,
+            }) + '\n');
+            process.exit(2);
+        } else {
+            console.error(`\n💥 Fatal error: ${error.message}`);
+            if (args.verbose) {
+                console.error(error.stack);
+            }
+            process.exit(1);
+        }
+    } finally {
+        await orchestrator.stop().catch(() => { });
+        runStore.close();
+    }
+}
+
+// ─── Schedules ──────────────────────────────────────────────────────────────
+
+/**
+ * Manage cron schedules. Edits schedules.json directly; a running server
+ * picks up changes on its next tick.
+ */
+function scheduleCommand(args) {
+    const { RunStore } = require('./run-store');
+    const { ScheduleStore, resolveScheduleStorePath } = require('./schedule-store');
+    const { describeSchedule, loadSchedulerConfig } = require('./scheduler');
+    const { CronExpression } = require('./cron-expression');
+
+    const runStore = new RunStore({ requeueInterrupted: true });
+    const store = new ScheduleStore({
+        storePath: resolveScheduleStorePath(runStore.storePath, loadSchedulerConfig()),
+    });
+
+    const output = (data, printHuman) => {
+        if (args.ci) process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+        else printHuman();
+    };
+    const finish = (code, message) => {
+        if (message) {
+            if (args.ci) process.stdout.write(JSON.stringify({ error: message }) + '\n');
+            else console.error(`❌ Error: ${message}`);
+        }
+        runStore.close();
+        process.exit(code);
+    };
+    const requireId = () => {
+        if (!args.scheduleId) finish(2, `--schedule ${args.schedule} needs a schedule ID`);
+        return args.scheduleId;
+    };
+    const printSchedule = (schedule) => {
+        const described = describeSchedule(schedule, runStore);
+        const targets = [...described.ticketIds, ...described.specFolders].join(', ');
+        console.log(`\n  ${described.enabled ? '🟢' : '⏸️ '} ${described.name}  (${described.scheduleId})`);
+        console.log(`     Cron:     ${described.cron}${described.timezone === 'UTC' ? ' UTC' : ''}`);
+        console.log(`     Runs:     ${described.mode} on ${described.environment} — ${targets}`);
+        console.log(`     Next:     ${described.nextRunAt || '—'}`);
+        if (described.lastRun) {
+            console.log(`     Last:     ${described.lastRun.triggeredAt} — ${described.lastRun.status}` +
+                ` (${described.lastRun.runIds.length} run(s))${described.lastRun.error ? ` — ${described.lastRun.error}` : ''}`);
+        }
+    };
+
+    try {
+        switch (args.schedule) {
+            case 'list': {
+                const schedules = store.list();
+                output({ schedules: schedules.map(item => describeSchedule(item, runStore)) }, () => {
+                    if (schedules.length === 0) console.log('\n  No schedules. Add one with --schedule add.');
+                    schedules.forEach(printSchedule);
+                    console.log('');
+                });
+                break;
+            }
+            case 'show': {
+                const schedule = store.get(requireId());
+                if (!schedule) finish(2, `Schedule ${args.scheduleId} not found`);
+                output({ schedule: describeSchedule(schedule, runStore, { upcoming: 5 }) }, () => {
+                    printSchedule(schedule);
+                    console.log('');
+                });
+                break;
+            }
+            case 'add': {
+                const schedule = store.create({
+                    name: args.name,
+                    cron: args.cron,
+                    timezone: args.timezone || undefined,
+                    mode: args.mode,
+                    environment: args.environment,
+                    ticketIds: args.tickets.length > 0 ? args.tickets : (args.ticket ? [args.ticket] : []),
+                    specFolders: args.specs,
+                    createdBy: 'cli',
+                });
+                output({ schedule }, () => {
+                    console.log('\n✅ Schedule created');
+                    printSchedule(schedule);
+                    console.log('');
+                });
+                break;
+            }
+            case 'remove': {
+                if (!store.remove(requireId())) finish(2, `Schedule ${args.scheduleId} not found`);
+                output({ scheduleId: args.scheduleId, deleted: true }, () => {
+                    console.log(`\n🗑️  Schedule ${args.scheduleId} removed\n`);
+                });
+                break;
+            }
+            case 'enable':
+            case 'disable': {
+                const schedule = store.update(requireId(), { enabled: args.schedule === 'enable' });
+                if (!schedule) finish(2, `Schedule ${args.scheduleId} not found`);
+                output({ schedule }, () => {
+                    printSchedule(schedule);
+                    console.log('');
+                });
+                break;
+            }
+            case 'preview': {
+                const cron = new CronExpression(args.cron, { timezone: args.timezone || 'local' });
+                const upcoming = cron.nextRuns(5).map(date => date.toISOString());
+                output({ cron: cron.expression, timezone: cron.timezone, upcoming }, () => {
+                    console.log(`\n  Next runs of "${cron.expression}" (${cron.timezone}):`);
+                    upcoming.forEach(time => console.log(`    ${time}`));
+                    console.log('');
+                });
+                break;
+            }
+            default:
+                finish(2, `Unknown --schedule command "${args.schedule}". Use: list, show, add, remove, enable, disable, preview`);
+        }
+    } catch (error) {
+        finish(2, error.message);
+    }
+
+    finish(0);
+}
+
+// ─── Pipeline Modes ─────────────────────────────────────────────────────────
+
+function printModes(args) {
+    const catalog = listModes();
+    if (args.ci) {
+        process.stdout.write(JSON.stringify(catalog) + '\n');
+        return;
+    }
+
+    console.log('\n  Pipeline modes:\n');
+    for (const mode of catalog.modes) {
+        const groups = new Map(mode.parallelGroups.flatMap(group => group.map(stage => [stage, group])));
+        const steps = [];
+        for (const stage of mode.stages) {
+            const group = groups.get(stage);
+            if (group && group[0] !== stage) continue;
+            const label = group ? `[${group.join(' ‖ ')}]` : stage;
+            steps.push(mode.conditions[stage] ? `${label}?` : label);
+        }
+        console.log(`  ${mode.name.padEnd(20)} ${mode.label}${mode.source === 'builtin' ? '' : ` (${mode.source})`}`);
+        console.log(`  ${''.padEnd(20)} ${steps.join(' → ')}`);
+    }
+    for (const mode of catalog.invalid) {
+        console.log(`  ⚠️ ${mode.name.padEnd(17)} invalid: ${mode.errors.join('; ')}`);
+    }
+    console.log('');
+}
+
 // ─── Main ───────────────────────────────────────────────────────────────────
 
 async function main() {
@@ -260,6 +675,11 @@ async function main() {
         process.exit(0);
     }
 
+    if (args.listModes) {
+        printModes(args);
+        process.exit(0);
+    }
+
     // ─── Server Mode ────────────────────────────────────────────────
     if (args.server) {
         const { startServer } = require('./server');
@@ -273,6 +693,18 @@ async function main() {
         setupCIMode();
     }
 
+    // ─── Resume Mode ────────────────────────────────────────────────
+    if (args.resume) {
+        await resumeRun(args);
+        return;
+    }
+
+    // ─── Schedule Management ────────────────────────────────────────
+    if (args.schedule) {
+        scheduleCommand(args);
+        return;
+    }
+
     // Validate inputs
     const ticketIds = args.tickets.length > 0 ? args.tickets : (args.ticket ? [args.ticket] : []);
 
@@ -286,16 +718,38 @@ async function main() {
         process.exit(2);
     }
 
-    const validModes = ['full', 'generate', 'heal', 'execute'];
-    if (!validModes.includes(args.mode)) {
+    if (!isValidMode(args.mode)) {
         if (!args.ci) {
-            console.error(`❌ Error: Invalid mode "${args.mode}". Valid modes: ${validModes.join(', ')}`);
+            const { modes, invalid } = listModes();
+            console.error(`❌ Error: Invalid mode "${args.mode}". Valid modes: ${modes.map(mode => mode.name).join(', ')}`);
+            const broken = invalid.find(mode => mode.name === args.mode);
+            if (broken) console.error(`   sdk.pipelineModes.modes.${broken.name}: ${broken.errors.join('; ')}`);
         } else {
             process.stdout.write(JSON.stringify({ error: `Invalid mode: ${args.mode}` }) + '\n');
         }
         process.exit(2);
     }
 
+    // Batch planning — feature groups, shared exploration, dependency order
+    const batchConfig = loadBatchConfig();
+    let batchPlan = null;
+    if (args.parallel && ticketIds.length > 1 && args.plan && batchConfig.planning) {
+        try {
+            batchPlan = await createBatchPlan(ticketIds, {
+                groundingStore: getGroundingStoreForCli(),
+                dependencies: args.dependencies,
+                config: batchConfig,
+            });
+        } catch (error) {
+            if (!args.ci) {
+                console.error(`❌ Error: ${error.message}`);
+            } else {
+                process.stdout.write(JSON.stringify({ error: error.message }) + '\n');
+            }
+            process.exit(2);
+        }
+    }
+
     // Dry run — just show plan
     if (args.dryRun) {
         const plan = {
@@ -304,6 +758,7 @@ async function main() {
             environment: args.environment,
             parallel: args.parallel,
             ci: args.ci,
+            batch: batchPlan,
         };
 
         if (args.ci) {
@@ -316,6 +771,7 @@ async function main() {
             console.log(`   Parallel:    ${args.parallel}`);
             console.log(`   CI:          ${args.ci}`);
             console.log(`   Verbose:     ${args.verbose}`);
+            if (batchPlan) printBatchPlan(batchPlan);
             console.log('\n   No actions taken.');
         }
         process.exit(0);
@@ -333,7 +789,31 @@ async function main() {
 
         const onProgress = args.ci ? () => { } : createProgressHandler();
 
-        if (args.parallel && ticketIds.length > 1) {
+        if (batchPlan) {
+            // Planned batch — dependency order, shared exploration, one report
+            if (!args.ci) {
+                console.log(`🔀 Running ${ticketIds.length} tickets as a planned batch...`);
+                printBatchPlan(batchPlan);
+                console.log('');
+            }
+            const results = await orchestrator.runPlannedBatch(batchPlan, {
+                mode: args.mode,
+                onProgress,
+                groundingStore: getGroundingStoreForCli(),
+                onBlockerFailure: batchConfig.onBlockerFailure,
+            });
+            allResults.push(...results);
+
+            const report = buildBatchReport(batchFromResults(generateBatchId(), batchPlan, results));
+            const { markdownPath } = writeBatchReport(report, path.resolve(__dirname, '..', '..', batchConfig.reportDir));
+            if (!args.ci) {
+                for (const result of results) {
+                    if (!result.skipped) printResult(result);
+                }
+                console.log('\n' + formatBatchReport(report));
+                console.log(`📄 Batch report: ${path.relative(process.cwd(), markdownPath)}`);
+            }
+        } else if (args.parallel && ticketIds.length > 1) {
             // Parallel execution
             if (!args.ci) console.log(`🔀 Running ${ticketIds.length} tickets in parallel...\n`);
             const results = await orchestrator.runParallel(ticketIds, {
@@ -365,18 +845,7 @@ async function main() {
 
         // CI output
         if (args.ci) {
-            process.stdout.write(JSON.stringify({
-                success: allResults.every(r => r.success),
-                results: allResults,
-                summary: {
-                    total: allResults.length,
-                    passed: allResults.filter(r => r.success).length,
-                    failed: allResults.filter(r => !r.success).length,
-                },
-            }, null, 2) + '\n');
-
-            writeCISummary(allResults);
-            process.exit(getCIExitCode(allResults));
+            writeCIOutput(allResults);
         }
     } catch (error) {
         if (args.ci) {
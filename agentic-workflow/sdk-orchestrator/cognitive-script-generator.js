@@ -279,7 +279,9 @@ class CognitiveScriptGenerator {
      * @param {string} [context.testCases] - Test cases text from TestGenie
      * @param {string} [context.testCasesPath] - Path to test cases Excel
      * @param {string} [context.appUrl] - Application URL
+     * @param {Object} [context.sharedExploration] - Fresh snapshot of another ticket to use instead of exploring { ticketId, path, ageDays }
      * @param {Object} [context.contextStore] - Existing SharedContextStore
+     * @param {Object} [context.fixtures] - MCP session fixtures { recordDir, replay, replayMode } for the MCP phases
      * @param {Function} [onProgress] - Progress callback (phase, message)
      * @returns {Object} Result with script path, exploration data, metrics
      */
@@ -354,9 +356,27 @@ class CognitiveScriptGenerator {
             // Respects MCP_EXPLORATION_ENABLED from .env — when 'false', skip exploration
             // and let the coder generate from analyst plan + KB/grounding data only.
             const explorationEnabled = process.env.MCP_EXPLORATION_ENABLED !== 'false';
+            const sharedExploration = this._loadSharedExploration(context.sharedExploration);
             let explorerResult;
 
-            if (explorationEnabled) {
+            if (sharedExploration) {
+                // Batch run — another ticket of the same feature explored these pages recently
+                this._log(`\n── Phase 2: EXPLORER (SHARED — ${context.sharedExploration.ticketId}, ${context.sharedExploration.ageDays} days old) ──`);
+                explorerResult = {
+                    success: true,
+                    shared: true,
+                    exploration: sharedExploration,
+                    score: 0,
+                    metrics: { durationMs: 0 },
+                };
+                phaseResults.explorer = explorerResult;
+                metrics.phases.explorer = explorerResult.metrics;
+                store.recordDecision('cognitive-explorer', 'Exploration REUSED',
+                    `Fresh snapshot from ${context.sharedExploration.ticketId} (${sharedExploration.selectorCount || 0} selectors, ${(sharedExploration.pagesVisited || []).length} pages)`, {
+                        sourceTicketId: context.sharedExploration.ticketId,
+                        ageDays: context.sharedExploration.ageDays,
+                    });
+            } else if (explorationEnabled) {
                 onProgress('explorer', 'Exploring application via MCP (plan-guided)...');
                 this._log('\n── Phase 2: EXPLORER ─────────────────────────');
 
@@ -466,8 +486,8 @@ class CognitiveScriptGenerator {
             this._log(`COGNITIVE LOOP COMPLETE — Confidence: ${metrics.finalConfidence}%`);
             this._log(`${'═'.repeat(70)}`);
 
-            // Save enriched exploration data
-            if (explorerResult.exploration) {
+            // Save enriched exploration data (a shared snapshot belongs to its source ticket)
+            if (explorerResult.exploration && !explorerResult.shared) {
                 this._saveExplorationData(context.ticketId, explorerResult.exploration);
             }
 
@@ -588,6 +608,7 @@ class CognitiveScriptGenerator {
                 systemPromptOverride: phases.explorer.buildExplorerSystemPrompt(),
                 toolProfile: 'explorer-nav',
                 contextStore: store,
+                ...this._fixtureSessionOptions(context),
             });
             session = sessionInfo.session;
             sessionId = sessionInfo.sessionId;
@@ -842,6 +863,7 @@ class CognitiveScriptGenerator {
                 systemPromptOverride: phases.dryrun.buildDryRunSystemPrompt(),
                 toolProfile: 'dryrun',
                 contextStore: store,
+                ...this._fixtureSessionOptions(context),
             });
             session = sessionInfo.session;
             sessionId = sessionInfo.sessionId;
@@ -933,6 +955,9 @@ class CognitiveScriptGenerator {
 
     _getAppUrl(context) {
         if (context.appUrl) return context.appUrl;
+        // A replayed fixture only answers the navigation it recorded
+        const replayStartUrl = this._getReplayStartUrl(context);
+        if (replayStartUrl) return replayStartUrl;
         try {
             const envPath = path.join(__dirname, '..', '.env');
             if (fs.existsSync(envPath)) {
@@ -944,6 +969,27 @@ class CognitiveScriptGenerator {
         return this.config.environments?.UAT?.baseUrl || null;
     }
 
+    /**
+     * Session options for the MCP phases (explorer, dry-run): record their
+     * browser sessions, or replay a recorded fixture instead of the live app.
+     */
+    _fixtureSessionOptions(context) {
+        const fixtures = context.fixtures || {};
+        return {
+            mcpRecordDir: fixtures.recordDir || null,
+            mcpReplayFixture: fixtures.replay || null,
+            mcpReplayMode: fixtures.replayMode || null,
+        };
+    }
+
+    _getReplayStartUrl(context) {
+        if (!context.fixtures?.replay) return null;
+        try {
+            const meta = JSON.parse(fs.readFileSync(path.join(context.fixtures.replay, 'fixture.json'), 'utf-8'));
+            return meta.startUrl || null;
+        } catch { return null; }
+    }
+
     _getSelectorRecommendations(ticketId) {
         if (!this.groundingStore) return null;
         try {
@@ -995,6 +1041,21 @@ class CognitiveScriptGenerator {
         return null;
     }
 
+    /**
+     * Read a shared exploration snapshot (standard exploration format).
+     * @param {Object|null} shared - { ticketId, path, ageDays }
+     * @returns {Object|null} null when absent or unreadable — the explorer runs instead
+     */
+    _loadSharedExploration(shared) {
+        if (!shared?.path) return null;
+        try {
+            return JSON.parse(fs.readFileSync(shared.path, 'utf-8'));
+        } catch (error) {
+            this._log(`  ⚠️ Shared exploration ${path.basename(shared.path)} unreadable — exploring instead: ${error.message}`);
+            return null;
+        }
+    }
+
     _saveExplorationData(ticketId, exploration) {
         try {
             const explorationDir = path.join(__dirname, '..', 'exploration-data');
@@ -1016,9 +1077,11 @@ class CognitiveScriptGenerator {
             success: status === 'success' && !!phaseResults.coder?.specPath,
             status,
             specPath: phaseResults.coder?.specPath || null,
-            explorationPath: phaseResults.explorer?.exploration
-                ? path.join(__dirname, '..', 'exploration-data', `${context.ticketId}-exploration.json`)
-                : null,
+            explorationPath: phaseResults.explorer?.shared
+                ? context.sharedExploration.path
+                : phaseResults.explorer?.exploration
+                    ? path.join(__dirname, '..', 'exploration-data', `${context.ticketId}-exploration.json`)
+                    : null,
             confidence: metrics.finalConfidence,
             metrics,
             phaseResults: {
@@ -0,0 +1,695 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * COST ACCOUNTING — Per-Stage Usage, Budgets and Cost Reports
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Every pipeline run gets a RunUsage ledger. PipelineRunner makes it the
+ * active ledger (AsyncLocalStorage) for the whole run and tags each stage, so
+ * AgentSessionFactory.sendAndWait — the single path to the model — can book
+ * each call without threading the ledger through every agent:
+ *
+ *   - Tokens in/out   from the SDK `assistant.usage` events; calls without
+ *                     one are estimated from prompt/response size (~4 chars
+ *                     per token) and flagged `estimated`
+ *   - Model           as reported by the SDK, else the session's model
+ *   - Tool calls      `tool.execution_start` events
+ *   - Wall time       and retries (a stage executed again) per stage
+ *
+ * Budgets (per run and per stage: maxTokens, maxCostUsd, maxToolCalls,
+ * maxWallTimeMs) are checked after every call. When one is exceeded the run
+ * either aborts or, with onBudgetExceeded "downgrade", continues on the next
+ * cheaper model from model-catalog.getDowngradeModel. A downgraded run still
+ * aborts once usage reaches hardLimitFactor × the budget, or when no cheaper
+ * model is left. Wall-time budgets cannot be downgraded: they time the stage
+ * out.
+ *
+ * Settings: workflow-config.json → sdk.costs.
+ *
+ * buildCostReport aggregates the usage stored on run records by ticket,
+ * agent and ISO week (GET /api/analytics/cost).
+ *
+ * @module sdk-orchestrator/cost-accounting
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { getDowngradeModel } = require('./model-catalog');
+const { loadWorkflowConfig } = require('./utils');
+
+const BUDGET_POLICY = {
+    ABORT: 'abort',
+    DOWNGRADE: 'downgrade',
+};
+
+const BUDGET_METRICS = ['maxTokens', 'maxCostUsd', 'maxToolCalls', 'maxWallTimeMs'];
+
+// Usage booked outside a stage (supervisor briefings, coordinator routing)
+const UNATTRIBUTED_STAGE = 'orchestration';
+
+const CHARS_PER_TOKEN = 4;
+
+const REPORT_GROUPS = ['ticket', 'agent', 'week'];
+
+// ─── Config ─────────────────────────────────────────────────────────────────
+
+/**
+ * Read sdk.costs from workflow-config.json.
+ * @param {Object} [config] - sdk.costs block (default: read from disk)
+ * @returns {Object}
+ */
+function loadCostConfig(config) {
+    const costs = config || loadWorkflowConfig()?.sdk?.costs || {};
+    const budgets = costs.budgets || {};
+
+    const stages = {};
+    for (const [stage, budget] of Object.entries(budgets.stages || {})) {
+        if (stage.startsWith('_')) continue;
+        stages[stage] = normalizeBudget(budget);
+    }
+
+    const pricing = {};
+    for (const [model, rates] of Object.entries(costs.pricing || {})) {
+        if (model.startsWith('_') || !rates) continue;
+        pricing[model] = {
+            input: Number(rates.input) || 0,
+            output: Number(rates.output) || 0,
+        };
+    }
+
+    return {
+        enabled: costs.enabled !== false,
+        currency: costs.currency || 'USD',
+        pricing,
+        budgets: {
+            run: normalizeBudget(budgets.run),
+            stages,
+        },
+        onBudgetExceeded: costs.onBudgetExceeded === BUDGET_POLICY.DOWNGRADE
+            ? BUDGET_POLICY.DOWNGRADE
+            : BUDGET_POLICY.ABORT,
+        hardLimitFactor: Number(costs.hardLimitFactor) >= 1 ? Number(costs.hardLimitFactor) : 2,
+        downgradePaths: costs.downgradePaths || {},
+    };
+}
+
+function normalizeBudget(budget = {}) {
+    const normalized = {};
+    for (const metric of BUDGET_METRICS) {
+        const value = Number(budget?.[metric]);
+        normalized[metric] = Number.isFinite(value) && value > 0 ? value : null;
+    }
+    return normalized;
+}
+
+// ─── Pricing ────────────────────────────────────────────────────────────────
+
+/**
+ * Rates (USD per 1M tokens) for a model: exact match, else the longest
+ * configured prefix ("claude-sonnet" covers "claude-sonnet-4.5"), else
+ * "default".
+ *
+ * @param {string} model
+ * @param {Object} pricing - loadCostConfig().pricing
+ * @returns {{ input: number, output: number }|null}
+ */
+function resolvePricing(model, pricing = {}) {
+    const value = String(model || '').toLowerCase();
+    if (value && pricing[value]) return pricing[value];
+
+    const prefix = Object.keys(pricing)
+        .filter(key => key !== 'default' && value.startsWith(key.toLowerCase()))
+        .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? pricing[prefix] : (pricing.default || null);
+}
+
+/**
+ * @param {string} model
+ * @param {number} inputTokens
+ * @param {number} outputTokens
+ * @param {Object} pricing - loadCostConfig().pricing
+ * @returns {number} USD
+ */
+function estimateCost(model, inputTokens, outputTokens, pricing) {
+    const rates = resolvePricing(model, pricing);
+    if (!rates) return 0;
+    return ((inputTokens || 0) * rates.input + (outputTokens || 0) * rates.output) / 1e6;
+}
+
+/**
+ * Rough token count for text the SDK did not report usage for.
+ * @param {string|number} text - Text or its length
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    const length = typeof text === 'number' ? text : String(text || '').length;
+    return Math.ceil(length / CHARS_PER_TOKEN);
+}
+
+// ─── Active Ledger ──────────────────────────────────────────────────────────
+
+const usageStorage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `usage` as the active ledger; calls made inside are booked to
+ * `stage` (or the unattributed bucket).
+ *
+ * @param {RunUsage} usage
+ * @param {Function} fn
+ * @param {string|null} [stage]
+ * @returns {*} Whatever fn returns
+ */
+function runWithUsage(usage, fn, stage = null) {
+    return usageStorage.run({ usage, stage }, fn);
+}
+
+/** @returns {RunUsage|null} Ledger of the run the caller belongs to */
+function getActiveUsage() {
+    return usageStorage.getStore()?.usage || null;
+}
+
+/** @returns {string|null} Stage the caller belongs to */
+function getActiveStage() {
+    return usageStorage.getStore()?.stage || null;
+}
+
+// ─── Run Ledger ─────────────────────────────────────────────────────────────
+
+function emptyCounters() {
+    return {
+        calls: 0,
+        estimatedCalls: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        totalTokens: 0,
+        toolCalls: 0,
+        costUsd: 0,
+    };
+}
+
+function addCounters(target, source) {
+    for (const key of Object.keys(emptyCounters())) {
+        target[key] += source[key] || 0;
+    }
+    return target;
+}
+
+function roundCost(value) {
+    return Math.round((value || 0) * 1e6) / 1e6;
+}
+
+class RunUsage {
+    /**
+     * @param {Object} options
+     * @param {string} options.runId
+     * @param {string} [options.ticketId]
+     * @param {string} [options.scenarioId]
+     * @param {string} [options.model]       - Model the run was started with
+     * @param {Object} [options.config]      - loadCostConfig() result
+     * @param {Array}  [options.modelGroups] - Live model catalog groups (downgrade targets must be available)
+     * @param {Function} [options.onUpdate]  - Called with toJSON() after each stage (notify)
+     */
+    constructor(options = {}) {
+        this.runId = options.runId || null;
+        this.ticketId = options.ticketId || null;
+        this.scenarioId = options.scenarioId || null;
+        this.model = options.model || null;
+        this.modelOverride = null;
+        this.config = options.config || loadCostConfig();
+        this.modelGroups = options.modelGroups || undefined;
+        this.onUpdate = options.onUpdate || null;
+        this.startedAt = Date.now();
+
+        this.stages = new Map();
+        this.agents = new Map();
+        this.totals = emptyCounters();
+        this.breaches = [];
+        this.events = [];
+        this.abortReason = null;
+
+        this._handledBreaches = new Set();
+        this._timedOutStages = new Set();
+    }
+
+    /** Model new sessions of this run should use. */
+    get activeModel() {
+        return this.modelOverride || this.model;
+    }
+
+    // ─── Stages ─────────────────────────────────────────────────────
+
+    /**
+     * Start timing an attempt of a stage. Executing a stage that already ran
+     * in this run counts as a retry.
+     * @param {string} stage
+     */
+    beginStage(stage) {
+        const entry = this._stageEntry(stage);
+        if (entry.attempts > 0) entry.retries++;
+        entry.attempts++;
+        entry._startedAt = Date.now();
+        entry.startedAt = entry.startedAt || new Date().toISOString();
+    }
+
+    /** @param {string} stage */
+    endStage(stage) {
+        const entry = this._stageEntry(stage);
+        if (entry._startedAt) {
+            entry.wallTimeMs += Date.now() - entry._startedAt;
+            entry._startedAt = null;
+        }
+        entry.completedAt = new Date().toISOString();
+        this.notify();
+    }
+
+    /**
+     * Time left for `stage` under its own and the run's wall-time budget.
+     * @param {string} stage
+     * @returns {{ ms: number, scope: 'stage'|'run', limit: number }|null} null when unlimited
+     */
+    getWallTimeLimit(stage) {
+        const limits = [];
+        const stageLimit = this.config.budgets.stages[stage]?.maxWallTimeMs;
+        if (stageLimit) {
+            const used = this._stageEntry(stage).wallTimeMs;
+            limits.push({ ms: stageLimit - used, scope: 'stage', limit: stageLimit });
+        }
+        const runLimit = this.config.budgets.run.maxWallTimeMs;
+        if (runLimit) {
+            limits.push({ ms: runLimit - (Date.now() - this.startedAt), scope: 'run', limit: runLimit });
+        }
+        if (limits.length === 0) return null;
+        const tightest = limits.sort((a, b) => a.ms - b.ms)[0];
+        return { ...tightest, ms: Math.max(0, tightest.ms) };
+    }
+
+    /**
+     * Record that `stage` ran out of wall time. A run-level timeout aborts the
+     * run; later model calls from the abandoned stage are refused.
+     *
+     * @param {string} stage
+     * @param {{ scope: string, limit: number }} limit - From getWallTimeLimit
+     * @returns {string} Error message for the stage result
+     */
+    recordTimeout(stage, limit) {
+        this._timedOutStages.add(stage);
+        const message = limit.scope === 'run'
+            ? `Run wall-time budget exceeded (${formatMs(limit.limit)}) during ${stage}`
+            : `Stage ${stage} exceeded its wall-time budget (${formatMs(limit.limit)})`;
+
+        const breach = {
+            scope: limit.scope,
+            stage,
+            metric: 'maxWallTimeMs',
+            limit: limit.limit,
+            actual: limit.scope === 'run' ? Date.now() - this.startedAt : this._stageEntry(stage).wallTimeMs,
+            at: new Date().toISOString(),
+        };
+        this.breaches.push(breach);
+        this.events.push({ type: 'timeout', ...breach, message });
+        if (limit.scope === 'run') this._abort(message, breach);
+        return message;
+    }
+
+    // ─── Calls ──────────────────────────────────────────────────────
+
+    /**
+     * Throw when the run was aborted by a budget or `stage` timed out.
+     * Called before every model call.
+     * @param {string|null} [stage]
+     */
+    assertWithinBudget(stage = null) {
+        if (this.abortReason) throw new Error(`Budget exceeded: ${this.abortReason}`);
+        if (stage && this._timedOutStages.has(stage)) {
+            throw new Error(`Budget exceeded: stage ${stage} ran out of wall time`);
+        }
+    }
+
+    /**
+     * Book one model call and enforce budgets.
+     *
+     * @param {Object} call
+     * @param {string} [call.stage]
+     * @param {string} [call.agent]
+     * @param {string} [call.model]
+     * @param {number} [call.inputTokens]
+     * @param {number} [call.outputTokens]
+     * @param {number} [call.toolCalls]
+     * @param {number} [call.durationMs]
+     * @param {boolean} [call.estimated] - Tokens were estimated, not reported
+     */
+    recordCall(call = {}) {
+        const model = call.model || this.activeModel || 'unknown';
+        const inputTokens = Math.max(0, Math.round(call.inputTokens || 0));
+        const outputTokens = Math.max(0, Math.round(call.outputTokens || 0));
+        const counters = {
+            calls: 1,
+            estimatedCalls: call.estimated ? 1 : 0,
+            inputTokens,
+            outputTokens,
+            totalTokens: inputTokens + outputTokens,
+            toolCalls: call.toolCalls || 0,
+            costUsd: this.config.enabled
+                ? estimateCost(model, inputTokens, outputTokens, this.config.pricing)
+                : 0,
+        };
+
+        const stageEntry = this._stageEntry(call.stage || UNATTRIBUTED_STAGE);
+        addCounters(stageEntry, counters);
+        stageEntry.model = model;
+        if (!stageEntry.models.includes(model)) stageEntry.models.push(model);
+
+        const agentName = call.agent || 'unknown';
+        if (!this.agents.has(agentName)) {
+            this.agents.set(agentName, { agent: agentName, ...emptyCounters(), durationMs: 0, models: [] });
+        }
+        const agentEntry = this.agents.get(agentName);
+        addCounters(agentEntry, counters);
+        agentEntry.durationMs += call.durationMs || 0;
+        if (!agentEntry.models.includes(model)) agentEntry.models.push(model);
+
+        addCounters(this.totals, counters);
+        this._enforce(call.stage || null);
+    }
+
+    // ─── Budgets ────────────────────────────────────────────────────
+
+    /**
+     * Token, cost and tool-call budgets currently exceeded by the run and by
+     * `stage`.
+     * @param {string|null} [stage]
+     * @returns {Object[]} { scope, stage, metric, limit, actual }
+     */
+    checkBudgets(stage = null) {
+        const exceeded = [];
+        const scopes = [{ scope: 'run', stage: null, budget: this.config.budgets.run, counters: this.totals }];
+        if (stage && this.config.budgets.stages[stage]) {
+            scopes.push({
+                scope: 'stage',
+                stage,
+                budget: this.config.budgets.stages[stage],
+                counters: this._stageEntry(stage),
+            });
+        }
+
+        for (const { scope, stage: scopeStage, budget, counters } of scopes) {
+            const actuals = {
+                maxTokens: counters.totalTokens,
+                maxCostUsd: counters.costUsd,
+                maxToolCalls: counters.toolCalls,
+            };
+            for (const [metric, actual] of Object.entries(actuals)) {
+                const limit = budget[metric];
+                if (limit && actual > limit) {
+                    exceeded.push({ scope, stage: scopeStage, metric, limit, actual });
+                }
+            }
+        }
+        return exceeded;
+    }
+
+    _enforce(stage) {
+        for (const breach of this.checkBudgets(stage)) {
+            const key = `${breach.scope}:${breach.stage || ''}:${breach.metric}`;
+            const label = `${breach.scope === 'run' ? 'Run' : `Stage ${breach.stage}`} ${breach.metric} budget`;
+
+            if (!this._handledBreaches.has(key)) {
+                this._handledBreaches.add(key);
+                this.breaches.push({ ...breach, at: new Date().toISOString() });
+
+                if (this.config.onBudgetExceeded === BUDGET_POLICY.DOWNGRADE) {
+                    const from = this.activeModel;
+                    const to = from
+                        ? getDowngradeModel(from, this.modelGroups, this.config.downgradePaths)
+                        : null;
+                    if (to) {
+                        this.modelOverride = to;
+                        this.events.push({
+                            type: 'downgrade',
+                            ...breach,
+                            from,
+                            to,
+                            at: new Date().toISOString(),
+                            message: `${label} exceeded (${formatMetric(breach.metric, breach.actual)} > ${formatMetric(breach.metric, breach.limit)}): ${from} → ${to}`,
+                        });
+                        continue;
+                    }
+                }
+
+                this._abort(`${label} exceeded (${formatMetric(breach.metric, breach.actual)} > ${formatMetric(breach.metric, breach.limit)})`, breach);
+                return;
+            }
+
+            if (breach.actual >= breach.limit * this.config.hardLimitFactor) {
+                this._abort(`${label} exceeded ${this.config.hardLimitFactor}× after downgrade (${formatMetric(breach.metric, breach.actual)})`, breach);
+                return;
+            }
+        }
+    }
+
+    _abort(reason, breach) {
+        if (this.abortReason) return;
+        this.abortReason = reason;
+        this.events.push({ type: 'abort', ...breach, at: new Date().toISOString(), message: reason });
+    }
+
+    // ─── Output ─────────────────────────────────────────────────────
+
+    /**
+     * Serializable summary, stored on the run record.
+     * @returns {Object}
+     */
+    toJSON() {
+        const stages = Array.from(this.stages.values()).map(entry => {
+            const { _startedAt, ...rest } = entry;
+            return { ...rest, costUsd: roundCost(rest.costUsd) };
+        });
+        return {
+            runId: this.runId,
+            ticketId: this.ticketId,
+            scenarioId: this.scenarioId,
+            currency: this.config.currency,
+            model: this.model,
+            activeModel: this.activeModel,
+            wallTimeMs: Date.now() - this.startedAt,
+            totals: { ...this.totals, costUsd: roundCost(this.totals.costUsd) },
+            stages,
+            agents: Array.from(this.agents.values()).map(entry => ({ ...entry, costUsd: roundCost(entry.costUsd) })),
+            budget: {
+                policy: this.config.onBudgetExceeded,
+                run: this.config.budgets.run,
+                breaches: this.breaches,
+                events: this.events,
+                aborted: !!this.abortReason,
+                abortReason: this.abortReason,
+            },
+            updatedAt: new Date().toISOString(),
+        };
+    }
+
+    _stageEntry(stage) {
+        if (!this.stages.has(stage)) {
+            this.stages.set(stage, {
+                stage,
+                model: null,
+                models: [],
+                ...emptyCounters(),
+                attempts: 0,
+                retries: 0,
+                wallTimeMs: 0,
+                startedAt: null,
+                completedAt: null,
+                _startedAt: null,
+            });
+        }
+        return this.stages.get(stage);
+    }
+
+    /** Hand the current summary to onUpdate (e.g. persist it on the run record). */
+    notify() {
+        if (!this.onUpdate) return;
+        try {
+            this.onUpdate(this.toJSON());
+        } catch { /* usage persistence must never fail a stage */ }
+    }
+}
+
+// ─── Aggregation ────────────────────────────────────────────────────────────
+
+/**
+ * Combine the usage of several scenario ledgers of one run.
+ *
+ * @param {Object[]} usages - RunUsage.toJSON() results
+ * @returns {{ totals: Object, stages: Object[], agents: Object[], models: string[], wallTimeMs: number, budgetEvents: Object[], aborted: boolean }}
+ */
+function mergeUsage(usages = []) {
+    const totals = emptyCounters();
+    const stages = new Map();
+    const agents = new Map();
+    const models = new Set();
+    const budgetEvents = [];
+    let wallTimeMs = 0;
+    let aborted = false;
+
+    for (const usage of usages.filter(Boolean)) {
+        addCounters(totals, usage.totals || {});
+        wallTimeMs += usage.wallTimeMs || 0;
+        aborted = aborted || !!usage.budget?.aborted;
+        for (const event of usage.budget?.events || []) {
+            budgetEvents.push({ ...event, scenarioId: usage.scenarioId || null });
+        }
+
+        for (const stage of usage.stages || []) {
+            if (!stages.has(stage.stage)) {
+                stages.set(stage.stage, { stage: stage.stage, models: [], ...emptyCounters(), attempts: 0, retries: 0, wallTimeMs: 0 });
+            }
+            const merged = addCounters(stages.get(stage.stage), stage);
+            merged.attempts += stage.attempts || 0;
+            merged.retries += stage.retries || 0;
+            merged.wallTimeMs += stage.wallTimeMs || 0;
+            for (const model of stage.models || []) {
+                models.add(model);
+                if (!merged.models.includes(model)) merged.models.push(model);
+            }
+            merged.model = stage.model || merged.model || null;
+        }
+
+        for (const agent of usage.agents || []) {
+            if (!agents.has(agent.agent)) {
+                agents.set(agent.agent, { agent: agent.agent, models: [], ...emptyCounters(), durationMs: 0 });
+            }
+            const merged = addCounters(agents.get(agent.agent), agent);
+            merged.durationMs += agent.durationMs || 0;
+            for (const model of agent.models || []) {
+                if (!merged.models.includes(model)) merged.models.push(model);
+            }
+        }
+    }
+
+    const round = entry => ({ ...entry, costUsd: roundCost(entry.costUsd) });
+    return {
+        totals: round(totals),
+        stages: Array.from(stages.values()).map(round),
+        agents: Array.from(agents.values()).map(round),
+        models: Array.from(models),
+        wallTimeMs,
+        budgetEvents,
+        aborted,
+    };
+}
+
+/**
+ * ISO-8601 week of a timestamp, e.g. "2026-W07".
+ * @param {string|Date} value
+ * @returns {string|null}
+ */
+function isoWeek(value) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    const weekday = day.getUTCDay() || 7;
+    day.setUTCDate(day.getUTCDate() + 4 - weekday);  // Thursday decides the year
+    const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+    return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Aggregate cost report over run records that carry `usage`
+ * (RunStore.recordUsage). Ticket and agent groups are sorted by cost, weeks
+ * chronologically.
+ *
+ * @param {Object[]} runs - RunStore run records
+ * @param {Object} [options]
+ * @param {string[]} [options.groupBy] - Subset of 'ticket' | 'agent' | 'week' (default: all)
+ * @param {string} [options.since]
+ * @param {string} [options.until]
+ * @param {string} [options.currency='USD']
+ * @returns {Object} { currency, since, until, runs, unmeteredRuns, totals, estimated, groups: { ticket?, agent?, week? } }
+ */
+function buildCostReport(runs = [], options = {}) {
+    const groupBy = (options.groupBy && options.groupBy.length > 0 ? options.groupBy : REPORT_GROUPS)
+        .filter(group => REPORT_GROUPS.includes(group));
+    const groups = Object.fromEntries(groupBy.map(group => [group, new Map()]));
+    const totals = { ...emptyCounters(), wallTimeMs: 0 };
+    let metered = 0;
+
+    const bump = (group, key, counters, runId, extra = {}) => {
+        if (!groups[group]) return;
+        if (!groups[group].has(key)) {
+            groups[group].set(key, { key, runIds: new Set(), ...emptyCounters(), wallTimeMs: 0 });
+        }
+        const entry = groups[group].get(key);
+        addCounters(entry, counters);
+        entry.wallTimeMs += extra.wallTimeMs || 0;
+        entry.runIds.add(runId);
+    };
+
+    for (const run of runs) {
+        const usage = run.usage;
+        if (!usage?.totals) continue;
+        metered++;
+
+        addCounters(totals, usage.totals);
+        totals.wallTimeMs += usage.wallTimeMs || 0;
+
+        bump('ticket', run.ticketId || 'unknown', usage.totals, run.runId, { wallTimeMs: usage.wallTimeMs });
+        bump('week', isoWeek(run.createdAt || run.startedAt) || 'unknown', usage.totals, run.runId, { wallTimeMs: usage.wallTimeMs });
+        for (const agent of usage.agents || []) {
+            bump('agent', agent.agent, agent, run.runId, { wallTimeMs: agent.durationMs });
+        }
+    }
+
+    const finish = (group, map) => {
+        const entries = Array.from(map.values()).map(({ runIds, ...entry }) => ({
+            ...entry,
+            runs: runIds.size,
+            costUsd: roundCost(entry.costUsd),
+        }));
+        return group === 'week'
+            ? entries.sort((a, b) => a.key.localeCompare(b.key))
+            : entries.sort((a, b) => b.costUsd - a.costUsd || b.totalTokens - a.totalTokens);
+    };
+
+    return {
+        currency: options.currency || 'USD',
+        since: options.since || null,
+        until: options.until || null,
+        runs: metered,
+        unmeteredRuns: runs.length - metered,
+        totals: { ...totals, costUsd: roundCost(totals.costUsd) },
+        estimated: totals.estimatedCalls > 0,
+        groups: Object.fromEntries(Object.entries(groups).map(([group, map]) => [group, finish(group, map)])),
+    };
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function formatMs(ms) {
+    return ms >= 60000 ? `${Math.round(ms / 60000)}m` : `${Math.round(ms / 1000)}s`;
+}
+
+function formatMetric(metric, value) {
+    if (metric === 'maxCostUsd') return `$${value.toFixed(2)}`;
+    if (metric === 'maxWallTimeMs') return formatMs(value);
+    return String(value);
+}
+
+module.exports = {
+    BUDGET_POLICY,
+    BUDGET_METRICS,
+    UNATTRIBUTED_STAGE,
+    REPORT_GROUPS,
+    loadCostConfig,
+    resolvePricing,
+    estimateCost,
+    estimateTokens,
+    runWithUsage,
+    getActiveUsage,
+    getActiveStage,
+    RunUsage,
+    mergeUsage,
+    isoWeek,
+    buildCostReport,
+};
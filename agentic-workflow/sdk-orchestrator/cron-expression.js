@@ -0,0 +1,245 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * CRON EXPRESSION — Parser & Next-Fire Calculator
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Standard 5-field cron syntax used by pipeline schedules:
+ *
+ *   ┌──────── minute        0-59
+ *   │ ┌────── hour          0-23
+ *   │ │ ┌──── day of month  1-31
+ *   │ │ │ ┌── month         1-12 or JAN-DEC
+ *   │ │ │ │ ┌ day of week   0-7 or SUN-SAT (0 and 7 are Sunday)
+ *   * * * * *
+ *
+ * Supports lists (1,15), ranges (1-5), steps (*\/15, 0-30/5) and the macros
+ * @yearly, @monthly, @weekly, @daily, @midnight, @hourly. When both day
+ * fields are restricted a day matches if either does (Vixie cron semantics).
+ *
+ * Times are evaluated in server-local time or UTC.
+ *
+ * @module sdk-orchestrator/cron-expression
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+// ─── Field Definitions ──────────────────────────────────────────────────────
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *',
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+    { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 },
+];
+
+const TIMEZONES = ['local', 'UTC'];
+
+/** Give up searching for the next fire time after this many years (e.g. "0 0 30 2 *") */
+const MAX_SEARCH_YEARS = 5;
+
+// ─── Cron Expression ────────────────────────────────────────────────────────
+
+class CronExpression {
+    /**
+     * @param {string} expression - 5-field cron expression or macro
+     * @param {Object} [options]
+     * @param {'local'|'UTC'} [options.timezone='local']
+     * @throws {Error} When the expression or timezone is invalid
+     */
+    constructor(expression, options = {}) {
+        const source = String(expression || '').trim();
+        const timezone = options.timezone || 'local';
+        if (!TIMEZONES.includes(timezone)) {
+            throw new Error(`Unsupported timezone "${timezone}" — use ${TIMEZONES.join(' or ')}`);
+        }
+
+        const expanded = MACROS[source.toLowerCase()] || source;
+        const parts = expanded.split(/\s+/).filter(Boolean);
+        if (parts.length !== 5) {
+            throw new Error(`Invalid cron expression "${source}": expected 5 fields, got ${parts.length}`);
+        }
+
+        this.expression = source;
+        this.timezone = timezone;
+        this.utc = timezone === 'UTC';
+
+        const sets = parts.map((part, index) => parseField(part, FIELDS[index], source));
+        [this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] = sets;
+
+        // 7 is an alias for Sunday
+        if (this.daysOfWeek.has(7)) {
+            this.daysOfWeek.delete(7);
+            this.daysOfWeek.add(0);
+        }
+
+        this._domRestricted = parts[2] !== '*' && parts[2] !== '?';
+        this._dowRestricted = parts[4] !== '*' && parts[4] !== '?';
+    }
+
+    /**
+     * Next fire time strictly after `from`.
+     * @param {Date|string|number} [from=now]
+     * @returns {Date|null} null when no time matches within MAX_SEARCH_YEARS
+     */
+    next(from = new Date()) {
+        const date = new Date(from);
+        if (Number.isNaN(date.getTime())) throw new Error(`Invalid date: ${from}`);
+
+        date.setSeconds(0, 0);
+        date.setTime(date.getTime() + 60 * 1000);
+
+        const limit = this._get(date, 'FullYear') + MAX_SEARCH_YEARS;
+
+        while (this._get(date, 'FullYear') <= limit) {
+            if (!this.months.has(this._get(date, 'Month') + 1)) {
+                this._set(date, 'Month', this._get(date, 'Month') + 1, 1, 0, 0);
+                continue;
+            }
+            if (!this._matchesDay(date)) {
+                this._set(date, 'Date', this._get(date, 'Date') + 1, 0, 0);
+                continue;
+            }
+            if (!this.hours.has(this._get(date, 'Hours'))) {
+                this._set(date, 'Hours', this._get(date, 'Hours') + 1, 0);
+                continue;
+            }
+            if (!this.minutes.has(this._get(date, 'Minutes'))) {
+                this._set(date, 'Minutes', this._get(date, 'Minutes') + 1);
+                continue;
+            }
+            return date;
+        }
+        return null;
+    }
+
+    /**
+     * The next `count` fire times after `from`.
+     * @param {number} count
+     * @param {Date|string|number} [from=now]
+     * @returns {Date[]}
+     */
+    nextRuns(count, from = new Date()) {
+        const runs = [];
+        let cursor = from;
+        while (runs.length < count) {
+            const next = this.next(cursor);
+            if (!next) break;
+            runs.push(next);
+            cursor = next;
+        }
+        return runs;
+    }
+
+    toString() {
+        return this.expression;
+    }
+
+    // ─── Internals ──────────────────────────────────────────────────
+
+    _matchesDay(date) {
+        const dom = this.daysOfMonth.has(this._get(date, 'Date'));
+        const dow = this.daysOfWeek.has(this._get(date, 'Day'));
+        if (this._domRestricted && this._dowRestricted) return dom || dow;
+        return dom && dow;
+    }
+
+    _get(date, unit) {
+        return date[`get${this.utc ? 'UTC' : ''}${unit}`]();
+    }
+
+    /**
+     * Set a unit and reset the smaller ones, e.g. _set(d, 'Hours', h + 1, 0)
+     * moves to the start of the next hour. Overflow rolls into larger units.
+     */
+    _set(date, unit, value, ...smaller) {
+        const order = ['Month', 'Date', 'Hours', 'Minutes'];
+        const prefix = this.utc ? 'setUTC' : 'set';
+        // Day 1 first so moving from the 31st doesn't skip a shorter month
+        if (unit === 'Month') date[`${prefix}Date`](1);
+        date[`${prefix}${unit}`](value);
+        order.slice(order.indexOf(unit) + 1).forEach((lower, index) => {
+            if (smaller[index] !== undefined) date[`${prefix}${lower}`](smaller[index]);
+        });
+    }
+}
+
+// ─── Parsing ────────────────────────────────────────────────────────────────
+
+function parseField(part, field, source) {
+    const values = new Set();
+    const fail = (reason) => {
+        throw new Error(`Invalid cron expression "${source}": ${field.name} ${reason}`);
+    };
+
+    for (const item of part.split(',')) {
+        if (!item) fail('has an empty list item');
+
+        const [range, stepText] = item.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) fail(`step "${stepText}" must be a positive integer`);
+
+        let start;
+        let end;
+        if (range === '*' || range === '?') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            start = parseValue(from, field, fail);
+            end = parseValue(to, field, fail);
+            if (start > end) fail(`range "${range}" is reversed`);
+        } else {
+            start = parseValue(range, field, fail);
+            end = stepText === undefined ? start : field.max;
+        }
+
+        for (let value = start; value <= end; value += step) values.add(value);
+    }
+
+    return values;
+}
+
+function parseValue(text, field, fail) {
+    const upper = String(text || '').toUpperCase();
+    const named = field.names ? field.names.indexOf(upper) : -1;
+    const value = named >= 0 ? named + field.nameOffset : Number(upper);
+
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+        fail(`value "${text}" is out of range ${field.min}-${field.max}`);
+    }
+    return value;
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Validate a cron expression without throwing.
+ * @param {string} expression
+ * @param {Object} [options] - Same as the CronExpression constructor
+ * @returns {{ valid: boolean, error: string|null }}
+ */
+function validateCron(expression, options = {}) {
+    try {
+        new CronExpression(expression, options);
+        return { valid: true, error: null };
+    } catch (error) {
+        return { valid: false, error: error.message };
+    }
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = { CronExpression, validateCron, MACROS, TIMEZONES };
@@ -16,9 +16,9 @@
 
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
 const { execFile } = require('child_process');
 const { markdownToAdf } = require('./adf-converter');
+const { TrackerError } = require('./tracker-providers/tracker-provider');
 const {
     normalizeJiraTicketInput,
     normalizeConfluencePageInput,
@@ -69,6 +69,7 @@ const SAFE_COMMIT_EXCLUDED_PREFIXES = [
     'web-app/Users/',
 ];
 const SAFE_COMMIT_EXCLUDED_EXTENSIONS = new Set(['.log', '.pptx', '.docx', '.pdf', '.xls', '.xlsx', '.webm', '.mp4']);
+const SPEC_FILE_PATTERN = /\.spec\.[cm]?[jt]s$/;
 
 function isNonEmptyString(value) {
     return typeof value === 'string' && value.trim().length > 0;
@@ -204,26 +205,37 @@ function looksLikeTestOrTempFile(relPath) {
     ));
 }
 
+/**
+ * Whether a repo-relative path may be committed by the safe commit filter.
+ * `allowSpecFiles` lets Playwright spec files (e.g. tests/specs/…) through
+ * the root, tests/ and test-file rules — every other exclusion still applies.
+ */
 function classifySafeCommitPath(relPath, options = {}) {
-    const { extraIncludePaths = [] } = options;
+    const { extraIncludePaths = [], allowSpecFiles = false } = options;
     const normalized = normalizeRepoPath(relPath);
     if (!normalized) {
         return { include: false, reason: 'empty path' };
     }
 
-    if (!hasSafeCommitRoot(normalized, extraIncludePaths)) {
+    const segments = normalized.split('/');
+    const specFile = allowSpecFiles
+        && SPEC_FILE_PATTERN.test(normalized)
+        && !normalized.includes('.healing.spec.')
+        && !segments.some(segment => segment === '..' || segment === 'node_modules');
+
+    if (!specFile && !hasSafeCommitRoot(normalized, extraIncludePaths)) {
         return { include: false, reason: 'outside allowed project/web-app roots' };
     }
 
-    if (SAFE_COMMIT_EXCLUDED_PREFIXES.some(prefix => normalized.startsWith(prefix))) {
+    if (SAFE_COMMIT_EXCLUDED_PREFIXES.some(prefix => normalized.startsWith(prefix) && !(specFile && prefix === 'tests/'))) {
         return { include: false, reason: 'artifact/test/result directory excluded' };
     }
 
-    if (normalized.split('/').some(segment => segment === '__tests__' || segment === 'logs')) {
+    if (segments.some(segment => segment === '__tests__' || segment === 'logs')) {
         return { include: false, reason: 'test/log directory excluded' };
     }
 
-    if (looksLikeTestOrTempFile(normalized)) {
+    if (!specFile && looksLikeTestOrTempFile(normalized)) {
         return { include: false, reason: 'test/smoke/tmp helper file excluded' };
     }
 
@@ -305,7 +317,40 @@ function buildDefaultCommitMessage(stagedPaths) {
     return 'chore: update project files';
 }
 
-async function runSafeCommitAndPush({ commitMessage, dryRun = false, includePaths = [] }, deps = {}) {
+function selectExplicitCommitEntries(entries, files) {
+    const requested = new Set(files);
+    const includedEntries = [];
+    const excludedEntries = [];
+
+    for (const entry of entries) {
+        const selectedPath = entry.pathspecs.find(pathspec => requested.has(pathspec));
+        if (!selectedPath) {
+            excludedEntries.push({ ...entry, reason: 'not in the requested files' });
+            continue;
+        }
+        const assessment = classifySafeCommitPath(selectedPath, { allowSpecFiles: true });
+        if (assessment.include) {
+            includedEntries.push({ ...entry, selectedPath });
+        } else {
+            excludedEntries.push({ ...entry, reason: assessment.reason });
+        }
+    }
+
+    return { includedEntries, excludedEntries };
+}
+
+/**
+ * Stage, commit and push project changes.
+ *
+ * By default only files passing the safe commit filter are staged. `files`
+ * stages only the listed paths instead, still through the safe commit filter
+ * but with spec files allowed — used for reviewed healing patches. With
+ * `branch`, the commit goes to a new branch created from HEAD, which is
+ * pushed; the original branch is checked out again afterwards, so the
+ * committed changes leave the working tree. `files` and `branch` are for
+ * HealingPatchStore and are not exposed to chat agents.
+ */
+async function runSafeCommitAndPush({ commitMessage, dryRun = false, includePaths = [], files = [], branch: targetBranch = null }, deps = {}) {
     const repoRoot = PROJECT_ROOT;
     const gitRun = async (args, options = {}) => execFileAsync('git', args, {
         cwd: repoRoot,
@@ -317,121 +362,127 @@ async function runSafeCommitAndPush({ commitMessage, dryRun = false, includePath
     const { stdout: statusStdout } = await gitRun(['status', '--porcelain=v1', '-uall', '--']);
     const parsedEntries = parseGitStatusOutput(statusStdout);
     const normalizedIncludePaths = normalizePathList(includePaths);
-    const { includedEntries, excludedEntries } = selectSafeCommitEntries(parsedEntries, { extraIncludePaths: normalizedIncludePaths });
+    const explicitFiles = normalizePathList(files);
+    const { includedEntries, excludedEntries } = explicitFiles.length > 0
+        ? selectExplicitCommitEntries(parsedEntries, explicitFiles)
+        : selectSafeCommitEntries(parsedEntries, { extraIncludePaths: normalizedIncludePaths });
     const pathspecs = [...new Set(includedEntries.flatMap(entry => entry.pathspecs))];
 
     const { stdout: branchStdout } = await gitRun(['rev-parse', '--abbrev-ref', 'HEAD']);
-    const branch = String(branchStdout || '').trim();
+    const baseBranch = String(branchStdout || '').trim();
+    const newBranch = isNonEmptyString(targetBranch) ? targetBranch.trim() : null;
+    const branch = newBranch || baseBranch;
     const finalCommitMessage = isNonEmptyString(commitMessage)
         ? commitMessage.trim()
         : buildDefaultCommitMessage(pathspecs);
+    const summary = {
+        branch,
+        ...(newBranch ? { baseBranch } : {}),
+        commitMessage: finalCommitMessage,
+        includePaths: normalizedIncludePaths,
+        excludedFiles: excludedEntries.map(entry => ({ path: entry.currentPath || entry.rawPath, reason: entry.reason })),
+    };
 
     if (pathspecs.length === 0) {
         return {
             success: false,
             dryRun,
-            branch,
-            commitMessage: finalCommitMessage,
-            includePaths: normalizedIncludePaths,
+            ...summary,
             stagedFiles: [],
-            excludedFiles: excludedEntries.map(entry => ({ path: entry.currentPath || entry.rawPath, reason: entry.reason })),
-            error: 'No eligible source/config files matched the safe commit filter.',
+            error: explicitFiles.length > 0
+                ? 'None of the requested files have changes to commit.'
+                : 'No eligible source/config files matched the safe commit filter.',
         };
     }
 
     if (dryRun) {
-        return {
-            success: true,
-            dryRun: true,
-            branch,
-            commitMessage: finalCommitMessage,
-            includePaths: normalizedIncludePaths,
-            stagedFiles: pathspecs,
-            excludedFiles: excludedEntries.map(entry => ({ path: entry.currentPath || entry.rawPath, reason: entry.reason })),
-        };
-    }
-
-    for (const group of chunkArray(pathspecs)) {
-        await gitRun(['add', '-A', '--', ...group]);
+        return { success: true, dryRun: true, ...summary, stagedFiles: pathspecs };
     }
 
-    const { stdout: stagedStdout } = await gitRun(['diff', '--cached', '--name-only', '--']);
-    const stagedFiles = String(stagedStdout || '').split(/\r?\n/).filter(Boolean).map(normalizeRepoPath);
-    if (stagedFiles.length === 0) {
-        return {
-            success: false,
-            dryRun: false,
-            branch,
-            commitMessage: finalCommitMessage,
-            includePaths: normalizedIncludePaths,
-            stagedFiles: [],
-            excludedFiles: excludedEntries.map(entry => ({ path: entry.currentPath || entry.rawPath, reason: entry.reason })),
-            error: 'No staged changes remained after applying the safe commit filter.',
-        };
+    if (newBranch) {
+        try {
+            await gitRun(['checkout', '-b', newBranch]);
+        } catch (error) {
+            const combined = `${error.stdout || ''}${error.stderr || ''}`.trim();
+            return { success: false, dryRun: false, ...summary, stagedFiles: [], error: combined || error.message };
+        }
     }
 
-    let commitStdout = '';
     try {
-        const result = await gitRun(['commit', '-m', finalCommitMessage]);
-        commitStdout = `${result.stdout || ''}${result.stderr || ''}`.trim();
-    } catch (error) {
-        const combined = `${error.stdout || ''}${error.stderr || ''}`.trim();
-        return {
-            success: false,
-            dryRun: false,
-            branch,
-            commitMessage: finalCommitMessage,
-            includePaths: normalizedIncludePaths,
-            stagedFiles,
-            excludedFiles: excludedEntries.map(entry => ({ path: entry.currentPath || entry.rawPath, reason: entry.reason })),
-            error: combined || error.message,
-        };
-    }
+        for (const group of chunkArray(pathspecs)) {
+            await gitRun(['add', '-A', '--', ...group]);
+        }
 
-    const { stdout: shaStdout } = await gitRun(['rev-parse', 'HEAD']);
-    const commitSha = String(shaStdout || '').trim();
+        const { stdout: stagedStdout } = await gitRun(['diff', '--cached', '--name-only', '--']);
+        const stagedFiles = String(stagedStdout || '').split(/\r?\n/).filter(Boolean).map(normalizeRepoPath);
+        if (stagedFiles.length === 0) {
+            return {
+                success: false,
+                dryRun: false,
+                ...summary,
+                stagedFiles: [],
+                error: 'No staged changes remained after applying the safe commit filter.',
+            };
+        }
 
-    let pushStdout = '';
-    try {
-        const result = await gitRun(['push']);
-        pushStdout = `${result.stdout || ''}${result.stderr || ''}`.trim();
-    } catch (error) {
-        const noUpstream = /no upstream branch/i.test(`${error.stderr || ''} ${error.stdout || ''}`);
-        if (noUpstream && branch) {
-            const result = await gitRun(['push', '-u', 'origin', branch]);
-            pushStdout = `${result.stdout || ''}${result.stderr || ''}`.trim();
-        } else {
+        let commitStdout = '';
+        try {
+            const result = await gitRun(['commit', '-m', finalCommitMessage]);
+            commitStdout = `${result.stdout || ''}${result.stderr || ''}`.trim();
+        } catch (error) {
             const combined = `${error.stdout || ''}${error.stderr || ''}`.trim();
             return {
                 success: false,
                 dryRun: false,
-                branch,
-                commitMessage: finalCommitMessage,
-                includePaths: normalizedIncludePaths,
+                ...summary,
                 stagedFiles,
-                excludedFiles: excludedEntries.map(entry => ({ path: entry.currentPath || entry.rawPath, reason: entry.reason })),
-                committed: true,
-                commitSha,
-                pushError: combined || error.message,
-                commitOutput: commitStdout,
+                error: combined || error.message,
             };
         }
-    }
 
-    return {
-        success: true,
-        dryRun: false,
-        branch,
-        commitMessage: finalCommitMessage,
-        includePaths: normalizedIncludePaths,
-        stagedFiles,
-        excludedFiles: excludedEntries.map(entry => ({ path: entry.currentPath || entry.rawPath, reason: entry.reason })),
-        committed: true,
-        pushed: true,
-        commitSha,
-        commitOutput: commitStdout,
-        pushOutput: pushStdout,
-    };
+        const { stdout: shaStdout } = await gitRun(['rev-parse', 'HEAD']);
+        const commitSha = String(shaStdout || '').trim();
+
+        let pushStdout = '';
+        try {
+            const result = await gitRun(newBranch ? ['push', '-u', 'origin', newBranch] : ['push']);
+            pushStdout = `${result.stdout || ''}${result.stderr || ''}`.trim();
+        } catch (error) {
+            const noUpstream = /no upstream branch/i.test(`${error.stderr || ''} ${error.stdout || ''}`);
+            if (noUpstream && branch) {
+                const result = await gitRun(['push', '-u', 'origin', branch]);
+                pushStdout = `${result.stdout || ''}${result.stderr || ''}`.trim();
+            } else {
+                const combined = `${error.stdout || ''}${error.stderr || ''}`.trim();
+                return {
+                    success: false,
+                    dryRun: false,
+                    ...summary,
+                    stagedFiles,
+                    committed: true,
+                    commitSha,
+                    pushError: combined || error.message,
+                    commitOutput: commitStdout,
+                };
+            }
+        }
+
+        return {
+            success: true,
+            dryRun: false,
+            ...summary,
+            stagedFiles,
+            committed: true,
+            pushed: true,
+            commitSha,
+            commitOutput: commitStdout,
+            pushOutput: pushStdout,
+        };
+    } finally {
+        if (newBranch) {
+            await gitRun(['checkout', baseBranch]).catch(() => { });
+        }
+    }
 }
 
 function formatConfluenceSpace(space) {
@@ -1034,6 +1085,14 @@ const JIRA_MUTATION_GUARDRAILS = {
         requiresApproval: true,
         actionLabel: 'delete a Confluence page',
     },
+    sync_test_cases: {
+        provider: 'test-management',
+        resourceType: 'test-case',
+        effect: 'write',
+        impactLevel: 'medium',
+        requiresApproval: true,
+        actionLabel: 'sync test cases to test management',
+    },
 };
 
 function normalizeMutationDisplayValue(value) {
@@ -1372,6 +1431,8 @@ function buildExpectedJiraMutationApproval(toolName, context = {}) {
             return ticketId ? `APPROVE TRANSITION ${ticketId}` : 'APPROVE TRANSITION JIRA TICKET';
         case 'update_jira_ticket':
             return ticketId ? `APPROVE UPDATE ${ticketId}` : 'APPROVE UPDATE JIRA TICKET';
+        case 'sync_test_cases':
+            return ticketId ? `APPROVE SYNC TEST CASES ${ticketId}` : 'APPROVE SYNC TEST CASES';
         default:
             return 'APPROVE JIRA MUTATION';
     }
@@ -1418,7 +1479,7 @@ function buildJiraMutationApprovalPrompt({ guardrail, previewLines, preview, con
         .slice(0, 4)
         .map(line => `- ${line}`)
         .join('\n');
-    const providerLabel = guardrail?.provider === 'confluence' ? 'Confluence' : 'Jira';
+    const providerLabel = guardrail?.providerLabel || (guardrail?.provider === 'confluence' ? 'Confluence' : 'Jira');
     const extraLineCount = Math.max(0, builtPreviewLines.length - 4);
 
     return [
@@ -1441,6 +1502,7 @@ function buildJiraMutationApprovalPrompt({ guardrail, previewLines, preview, con
 
 function buildJiraMutationApprovalFailure({ approval, ticketId, ticketUrl, previewLines, preview }) {
     const rejected = approval.mode === 'rejected';
+    const providerLabel = approval.guardrail?.providerLabel || 'Jira';
     const structuredPreview = preview && typeof preview === 'object'
         ? preview
         : buildMutationPreview({
@@ -1455,8 +1517,8 @@ function buildJiraMutationApprovalFailure({ approval, ticketId, ticketUrl, previ
         ticketId,
         ticketUrl,
         error: rejected
-            ? 'Jira mutation was cancelled because approval was not granted.'
-            : 'This Jira mutation requires explicit approval before it can continue.',
+            ? `${providerLabel} mutation was cancelled because approval was not granted.`
+            : `This ${providerLabel} mutation requires explicit approval before it can continue.`,
         hint: rejected
             ? 'Retry only after explicitly approving the change.'
             : 'Approve the change in chat, or reply with the exact approval phrase and retry.',
@@ -1472,8 +1534,8 @@ function buildJiraMutationApprovalFailure({ approval, ticketId, ticketUrl, previ
     };
 }
 
-async function requireJiraMutationApproval({ deps, toolName, previewLines, preview, consequence, ticketId, relatedIssueKey }) {
-    const guardrail = buildJiraMutationGuardrailMetadata(toolName);
+async function requireJiraMutationApproval({ deps, toolName, previewLines, preview, consequence, ticketId, relatedIssueKey, guardrailOverrides }) {
+    const guardrail = buildJiraMutationGuardrailMetadata(toolName, guardrailOverrides);
     if (!guardrail?.requiresApproval) {
         return {
             approved: true,
@@ -1637,6 +1699,23 @@ function buildJiraBrowseUrl(jiraConfig, ticketId) {
         : `https://${process.env.JIRA_SITE_NAME || 'jira'}.atlassian.net/browse/${ticketId}`;
 }
 
+/**
+ * JiraTrackerProvider the Jira tools read and write issues through.
+ * @param {Object} [deps] - deps.tracker is used when it is a Jira provider
+ * @param {string} [jiraBaseUrl] - Browse URL override from a pasted ticket link
+ */
+function getJiraTracker(deps, jiraBaseUrl) {
+    if (deps?.tracker?.type === 'jira') return deps.tracker;
+    const { loadTrackerConfig, createTrackerProvider } = require('./tracker-providers');
+    return createTrackerProvider({ ...loadTrackerConfig(), provider: 'jira' }, jiraBaseUrl ? { baseUrl: jiraBaseUrl } : {});
+}
+
+/** formatJiraErrorResponse() for an HTTP failure from the Jira provider; anything else is rethrown. */
+function formatJiraTrackerError(prefix, error, options = {}) {
+    if (!(error instanceof TrackerError) || error.status === null) throw error;
+    return formatJiraErrorResponse(prefix, error.status, error.body || '', options);
+}
+
 function splitCommaSeparated(value) {
     if (!isNonEmptyString(value)) return [];
     return value.split(',').map(item => item.trim()).filter(Boolean);
@@ -1764,7 +1843,7 @@ function buildJiraEpicSearchJql(query, projectKey) {
     return `${clauses.join(' AND ')} ORDER BY updated DESC`;
 }
 
-async function executeJiraIssueSearch(jiraConfig, { jql, maxResults, fields }) {
+async function executeJiraIssueSearch(jiraTracker, { jql, maxResults, fields }) {
     const payload = {
         jql,
         maxResults,
@@ -1772,39 +1851,23 @@ async function executeJiraIssueSearch(jiraConfig, { jql, maxResults, fields }) {
         fieldsByKeys: false,
     };
 
-    let endpoint = 'enhanced-jql';
-    let response = await fetch(`${jiraConfig.apiBase}/search/jql`, {
-        method: 'POST',
-        headers: jiraConfig.headers,
-        body: JSON.stringify(payload),
-    });
-
-    if (!response.ok && [404, 405, 501].includes(response.status)) {
-        endpoint = 'legacy-search-fallback';
-        response = await fetch(`${jiraConfig.apiBase}/search`, {
-            method: 'POST',
-            headers: jiraConfig.headers,
-            body: JSON.stringify(payload),
-        });
-    }
-
-    if (!response.ok) {
-        const rawBody = await response.text();
+    try {
+        const { endpoint, data } = await jiraTracker.searchJql({ jql, maxResults, fields });
         return {
-            success: false,
+            success: true,
             endpoint,
-            status: response.status,
             payload,
-            formattedError: formatJiraErrorResponse('Issue search failed', response.status, rawBody),
+            data: data || {},
+        };
+    } catch (error) {
+        return {
+            success: false,
+            endpoint: error.endpoint || 'enhanced-jql',
+            status: error.status,
+            payload,
+            formattedError: formatJiraTrackerError('Issue search failed', error),
         };
     }
-
-    return {
-        success: true,
-        endpoint,
-        payload,
-        data: await response.json(),
-    };
 }
 
 function formatJiraSearchIssue(issue) {
@@ -1992,41 +2055,12 @@ function formatJiraDateTime(value) {
         + `T${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}.000+0000`;
 }
 
-function buildJiraAttachmentUrl(ticketKey, jiraConfig) {
-    if (jiraConfig.cloudId) {
-        return `https://api.atlassian.com/ex/jira/${jiraConfig.cloudId}/rest/api/3/issue/${ticketKey}/attachments`;
-    }
-    return `${jiraConfig.baseUrl.replace(/\/+$/, '')}/rest/api/3/issue/${ticketKey}/attachments`;
-}
-
 function sanitizeFileName(fileName) {
     return String(fileName || 'attachment')
         .replace(/[\r\n"]/g, '_')
         .replace(/[^a-zA-Z0-9._-]/g, '_');
 }
 
-function buildMultipartPayload(fileName, mimeType, buffer, boundaryPrefix) {
-    const boundary = `----${boundaryPrefix}${crypto.randomBytes(16).toString('hex')}`;
-    const safeFileName = sanitizeFileName(fileName);
-    const header = Buffer.from(
-        `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${safeFileName}"\r\nContent-Type: ${mimeType}\r\n\r\n`
-    );
-    const footer = Buffer.from(`\r\n--${boundary}--\r\n`);
-
-    return {
-        boundary,
-        body: Buffer.concat([header, buffer, footer]),
-    };
-}
-
-function buildJiraAttachmentHeaders(jiraConfig, boundary) {
-    return {
-        'Authorization': 'Basic ' + Buffer.from(`${jiraConfig.email}:${jiraConfig.apiToken}`).toString('base64'),
-        'X-Atlassian-Token': 'no-check',
-        'Content-Type': `multipart/form-data; boundary=${boundary}`,
-    };
-}
-
 function getEvidenceItemTimestamp(value) {
     const parsed = Date.parse(String(value || ''));
     return Number.isFinite(parsed) ? parsed : 0;
@@ -2230,34 +2264,21 @@ function selectVideoFrames(videoCtx, frameTimestamps, maxFrames = 8) {
     return selectedFrames.slice(0, maxFrames);
 }
 
-async function uploadJiraAttachment(attachUrl, jiraConfig, fileName, mimeType, buffer, boundaryPrefix, extra = {}) {
+async function uploadJiraAttachment(jiraTracker, ticketKey, fileName, mimeType, buffer, extra = {}) {
     try {
-        const { boundary, body } = buildMultipartPayload(fileName, mimeType, buffer, boundaryPrefix);
-        const response = await fetch(attachUrl, {
-            method: 'POST',
-            headers: buildJiraAttachmentHeaders(jiraConfig, boundary),
-            body,
-        });
-
-        if (response.ok) {
-            return { fileName, success: true, ...extra };
-        }
-
-        const errText = await response.text();
-        return {
-            fileName,
-            success: false,
-            error: `HTTP ${response.status}: ${errText.slice(0, 200)}`,
-            ...extra,
-        };
+        await jiraTracker.attachFile(ticketKey, { fileName, mimeType, buffer });
+        return { fileName, success: true, ...extra };
     } catch (error) {
-        return { fileName, success: false, error: error.message, ...extra };
+        const message = error instanceof TrackerError && error.status !== null
+            ? `HTTP ${error.status}: ${String(error.body || '').slice(0, 200)}`
+            : error.message;
+        return { fileName, success: false, error: message, ...extra };
     }
 }
 
 async function attachEvidenceToJira({
     ticketKey,
-    jiraConfig,
+    tracker,
     entry,
     messageId,
     activeEvidenceMessageId,
@@ -2266,9 +2287,13 @@ async function attachEvidenceToJira({
     includeImages = true,
     includeFrames = false,
     includeVideos = true,
+    upload,
 }) {
     const evidence = collectSessionEvidence(entry, { messageId, activeEvidenceMessageId, latestOnly });
-    const attachUrl = buildJiraAttachmentUrl(ticketKey, jiraConfig);
+    // Non-Jira trackers pass their own uploader (see tracker-tools.js)
+    const uploadFile = upload || ((fileName, mimeType, buffer, _boundaryPrefix, extra) => uploadJiraAttachment(
+        tracker || getJiraTracker(), ticketKey, fileName, mimeType, buffer, extra
+    ));
     const result = {
         success: false,
         hasEvidence: evidence.hasEvidence,
@@ -2317,9 +2342,7 @@ async function attachEvidenceToJira({
                 continue;
             }
 
-            result.imageResults.push(await uploadJiraAttachment(
-                attachUrl,
-                jiraConfig,
+            result.imageResults.push(await uploadFile(
                 fileName,
                 mimeType,
                 buffer,
@@ -2341,9 +2364,7 @@ async function attachEvidenceToJira({
             }
 
             const buffer = fs.readFileSync(frame.path);
-            result.frameResults.push(await uploadJiraAttachment(
-                attachUrl,
-                jiraConfig,
+            result.frameResults.push(await uploadFile(
                 fileName,
                 'image/jpeg',
                 buffer,
@@ -2381,9 +2402,7 @@ async function attachEvidenceToJira({
             const mimeType = VALID_VIDEO_MIME_TYPES.has(detectedMimeType) ? detectedMimeType : 'application/octet-stream';
             const buffer = fs.readFileSync(video.videoPath);
 
-            result.videoRecordings.push(await uploadJiraAttachment(
-                attachUrl,
-                jiraConfig,
+            result.videoRecordings.push(await uploadFile(
                 fileName,
                 mimeType,
                 buffer,
@@ -2551,61 +2570,6 @@ function formatJiraComments(fields = {}, rendered = {}) {
     };
 }
 
-function buildJiraIssueCommentsUrl({ baseUrl, cloudId }, ticketId, params = {}) {
-    const searchParams = new URLSearchParams();
-    Object.entries(params).forEach(([key, value]) => {
-        if (value !== undefined && value !== null && value !== '') {
-            searchParams.set(key, String(value));
-        }
-    });
-
-    const query = searchParams.toString();
-    if (cloudId) {
-        return `https://api.atlassian.com/ex/jira/${cloudId}/rest/api/3/issue/${ticketId}/comment${query ? `?${query}` : ''}`;
-    }
-
-    return `${baseUrl.replace(/\/$/, '')}/rest/api/3/issue/${ticketId}/comment${query ? `?${query}` : ''}`;
-}
-
-async function fetchCompleteJiraComments(ticketId, { baseUrl, cloudId, headers }) {
-    if (!baseUrl && !cloudId) return null;
-
-    const allComments = [];
-    let startAt = 0;
-    let total = null;
-
-    while (true) {
-        const url = buildJiraIssueCommentsUrl({ baseUrl, cloudId }, ticketId, {
-            startAt,
-            maxResults: 100,
-        });
-        const response = await fetch(url, { headers });
-        if (!response.ok) {
-            return null;
-        }
-
-        const payload = await response.json();
-        const collection = getJiraCommentCollection(payload);
-        allComments.push(...collection.items);
-
-        total = typeof collection.total === 'number' ? collection.total : allComments.length;
-        if (collection.items.length === 0 || allComments.length >= total) {
-            break;
-        }
-
-        startAt += collection.items.length;
-    }
-
-    return formatJiraComments({
-        comment: {
-            comments: allComments,
-            total: total != null ? total : allComments.length,
-            startAt: 0,
-            maxResults: allComments.length,
-        },
-    });
-}
-
 function formatJiraTimetracking(fields = {}) {
     const timetracking = fields.timetracking;
     if (!timetracking || typeof timetracking !== 'object') return null;
@@ -3016,7 +2980,7 @@ function buildJiraDeleteFallbackSuggestions(ticketId, deleteSubtasks = false) {
  *
  * @param {Function} defineTool     - SDK defineTool function
  * @param {string}   agentName      - Agent role
- * @param {Object}   deps           - Dependencies (learningStore, config)
+ * @param {Object}   deps           - Dependencies (learningStore, config; tracker overrides sdk.tracker; testCaseScope and testCaseDocumentStore for test case documents)
  * @returns {Array}  Array of tool definitions
  */
 function createCustomTools(defineTool, agentName, deps = {}) {
@@ -3613,13 +3577,14 @@ function createCustomTools(defineTool, agentName, deps = {}) {
         description:
             'Runs a specific quality gate check. Gates: "excel" (validates test case Excel), ' +
             '"exploration" (validates MCP exploration data), "script" (validates generated script), ' +
-            '"execution" (validates test results).',
+            '"execution" (validates test results), "bdd" (checks every step of a .feature file, or of the ticket\'s ' +
+            'features, has exactly one implemented step definition).',
         parameters: {
             type: 'object',
             properties: {
                 gate: {
                     type: 'string',
-                    description: 'Quality gate to run: "excel" | "exploration" | "script" | "execution"',
+                    description: 'Quality gate to run: "excel" | "exploration" | "script" | "execution" | "bdd"',
                 },
                 artifactPath: {
                     type: 'string',
@@ -3640,6 +3605,18 @@ function createCustomTools(defineTool, agentName, deps = {}) {
                         phase: 'quality_gate', message: `Running ${gate} quality gate...`, step: 1,
                     });
                 }
+                if (gate === 'bdd') {
+                    const { loadBddConfig, findFeatureFiles, checkFeatureBindings } = require('./bdd-steps');
+                    const bddConfig = loadBddConfig(deps.config?.sdk?.bdd);
+                    const featurePaths = artifactPath?.endsWith('.feature')
+                        ? [path.resolve(artifactPath)]
+                        : findFeatureFiles(ticketId, { config: bddConfig });
+                    const result = featurePaths.length > 0
+                        ? checkFeatureBindings(featurePaths, { config: bddConfig })
+                        : { passed: false, error: `No feature files found for ${ticketId || artifactPath}` };
+                    return JSON.stringify(result, null, 2);
+                }
+
                 const { QualityGates } = require('../../.github/agents/lib/quality-gates');
                 const qg = new QualityGates();
 
@@ -3738,8 +3715,9 @@ function createCustomTools(defineTool, agentName, deps = {}) {
     if (['buggenie'].includes(agentName)) {
         tools.push(defineTool('get_test_results', {
             description:
-                'Retrieves the latest test execution results for a ticket. Returns pass/fail counts, ' +
-                'failure details, error messages, and screenshots if available.',
+                'Retrieves the latest test execution results for a ticket. Returns passed/failed/flaky/skipped/timed-out ' +
+                'counts per browser project, and every retry attempt of each failing or flaky test with its error, ' +
+                'step trace and attachments (screenshots, traces, videos).',
             parameters: {
                 type: 'object',
                 properties: {
@@ -3756,28 +3734,46 @@ function createCustomTools(defineTool, agentName, deps = {}) {
             },
             handler: async ({ ticketId, specPath }) => {
                 try {
-                    // Look for test results in standard locations
-                    const resultsDir = path.join(__dirname, '..', 'test-results');
-                    const testResultsDir = path.join(__dirname, '..', '..', 'test-results');
-
-                    // Scan for JSON result files
-                    const searchDirs = [resultsDir, testResultsDir].filter(d => fs.existsSync(d));
-                    const results = [];
-
-                    for (const dir of searchDirs) {
-                        const files = fs.readdirSync(dir).filter(f => f.endsWith('.json'));
-                        for (const file of files) {
-                            try {
-                                const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
-                                results.push({ file, data });
-                            } catch { /* skip invalid JSON */ }
+                    const { parsePlaywrightReport, summarizeResults } = require('./playwright-results');
+                    const runs = _loadTestReports(ticketId, specPath);
+
+                    const results = runs.slice(0, 5).map(({ fileName, payload }) => {
+                        if (!payload.playwrightResult || payload.playwrightResult.rawError) {
+                            return {
+                                file: fileName,
+                                runId: payload.runId,
+                                timestamp: payload.timestamp,
+                                error: payload.playwrightResult?.rawError?.substring(0, 2000) || 'No Playwright report in this run',
+                            };
                         }
-                    }
+                        const parsed = parsePlaywrightReport(payload.playwrightResult);
+                        const { passedTests, ...summary } = summarizeResults(parsed);
+                        return {
+                            file: fileName,
+                            runId: payload.runId,
+                            mode: payload.mode,
+                            specPath: payload.specPath,
+                            timestamp: payload.timestamp,
+                            ...summary,
+                            globalErrors: parsed.errors,
+                            failures: parsed.tests
+                                .filter(test => test.status !== 'passed' && test.status !== 'skipped')
+                                .map(test => ({
+                                    title: test.title,
+                                    project: test.project,
+                                    file: test.file,
+                                    line: test.line,
+                                    status: test.status,
+                                    error: test.error,
+                                    attempts: test.attempts,
+                                })),
+                        };
+                    });
 
                     return JSON.stringify({
                         ticketId,
-                        resultsFound: results.length,
-                        results: results.slice(-5), // Last 5 results
+                        resultsFound: runs.length,
+                        results, // Latest 5 runs, newest first
                     }, null, 2);
                 } catch (error) {
                     return JSON.stringify({ error: error.message });
@@ -3826,110 +3822,35 @@ function createCustomTools(defineTool, agentName, deps = {}) {
                             phase: 'jira', message: `Fetching ticket ${resolvedTicketId} from Jira API...`, step: 1,
                         });
                     }
-                    loadEnvVars();
-                    const baseUrl = process.env.JIRA_BASE_URL;
-                    if (!baseUrl && !process.env.JIRA_CLOUD_ID) {
+                    const jiraConfig = getJiraApiConfig({ jiraBaseUrl: normalizedTicket.jiraBaseUrl });
+                    if (jiraConfig.error) {
                         return JSON.stringify({
                             success: false,
-                            error: 'JIRA_BASE_URL or JIRA_CLOUD_ID must be set in agentic-workflow/.env',
+                            error: jiraConfig.error,
                             hint: 'Copy .env.example to .env and configure Jira settings',
                         });
                     }
-                    const cloudId = (process.env.JIRA_CLOUD_ID || '').replace(/"/g, '');
-                    const email = process.env.JIRA_EMAIL || process.env.ATLASSIAN_EMAIL || '';
-                    const apiToken = process.env.JIRA_API_TOKEN || process.env.ATLASSIAN_API_TOKEN || '';
-
-                    // Try Atlassian REST v3 via cloud (preferred)
-                    let url;
-                    if (cloudId) {
-                        url = `https://api.atlassian.com/ex/jira/${cloudId}/rest/api/3/issue/${resolvedTicketId}?expand=renderedFields`;
-                    } else {
-                        url = `${baseUrl.replace(/\/$/, '')}/rest/api/3/issue/${resolvedTicketId}?expand=renderedFields`;
-                    }
-
-                    const headers = { 'Accept': 'application/json' };
-                    if (email && apiToken) {
-                        headers['Authorization'] = 'Basic ' + Buffer.from(`${email}:${apiToken}`).toString('base64');
-                    }
-
-                    const response = await fetch(url, { headers });
 
-                    if (!response.ok) {
-                        // Fall back to basic fields without auth
-                        const fallbackUrl = `${baseUrl.replace(/\/$/, '')}/rest/api/2/issue/${resolvedTicketId}`;
-                        const fallbackResp = await fetch(fallbackUrl, {
-                            headers: { 'Accept': 'application/json', ...headers },
+                    let formatted;
+                    try {
+                        formatted = await getJiraTracker(deps).getIssue(resolvedTicketId);
+                    } catch (error) {
+                        if (!(error instanceof TrackerError)) throw error;
+                        return JSON.stringify({
+                            success: false,
+                            error: `Failed to fetch ${resolvedTicketId}: ${error.message}`,
+                            hint: 'Ensure JIRA_EMAIL and JIRA_API_TOKEN are set in agentic-workflow/.env',
                         });
-                        if (!fallbackResp.ok) {
-                            return JSON.stringify({
-                                success: false,
-                                error: `Failed to fetch ${resolvedTicketId}: HTTP ${response.status} (cloud) / ${fallbackResp.status} (direct)`,
-                                hint: 'Ensure JIRA_EMAIL and JIRA_API_TOKEN are set in agentic-workflow/.env',
-                            });
-                        }
-                        const data = await fallbackResp.json();
-                        const formatted = formatJiraTicket(data, resolvedTicketId);
-                        if (formatted.commentsTruncated) {
-                            const completeComments = await fetchCompleteJiraComments(resolvedTicketId, { baseUrl, cloudId: '', headers });
-                            if (completeComments) {
-                                formatted.comments = completeComments.comments;
-                                formatted.commentCount = completeComments.commentCount;
-                                formatted.commentsTruncated = completeComments.commentsTruncated;
-                            }
-                        }
-                        if (normalizedTicket.jiraBaseUrl) {
-                            const jiraConfig = getJiraApiConfig({ jiraBaseUrl: normalizedTicket.jiraBaseUrl });
-                            if (!jiraConfig.error) {
-                                formatted.ticketUrl = buildJiraBrowseUrl(jiraConfig, resolvedTicketId);
-                            }
-                        }
-                        formatted.resolvedFrom = normalizedTicket.source;
-                        formatted.sourceUrl = normalizedTicket.sourceUrl || null;
-                        formatted.sparseAssessment = computeSparseTicketScore(formatted);
-
-                        if (agentName === 'testgenie') {
-                            if (deps?.chatManager?.broadcastToolProgress) {
-                                deps.chatManager.broadcastToolProgress('fetch_jira_ticket', {
-                                    phase: 'jira', message: `Ticket ${resolvedTicketId} fetched — evaluating coverage completeness...`, step: 2,
-                                });
-                            }
-                            const kbEnrichment = await enrichSparseTicketWithKnowledgeBase(formatted, {
-                                agentName,
-                                groundingStore,
-                            });
-                            formatted.kbAutoEnrichment = kbEnrichment;
-
-                            if (kbEnrichment.forcedByLogic && deps?.chatManager?.broadcastToolProgress) {
-                                deps.chatManager.broadcastToolProgress('fetch_jira_ticket', {
-                                    phase: 'kb', message: `Sparse ticket detected for ${resolvedTicketId} — forcing KB enrichment...`, step: 3,
-                                });
-                            }
-                        }
-
-                        return JSON.stringify(formatted, null, 2);
                     }
 
-                    const data = await response.json();
                     // Broadcast progress: parsing complete
                     if (deps?.chatManager?.broadcastToolProgress) {
                         deps.chatManager.broadcastToolProgress('fetch_jira_ticket', {
                             phase: 'jira', message: `Ticket ${resolvedTicketId} fetched — parsing fields...`, step: 2,
                         });
                     }
-                    const formatted = formatJiraTicket(data, resolvedTicketId);
-                    if (formatted.commentsTruncated) {
-                        const completeComments = await fetchCompleteJiraComments(resolvedTicketId, { baseUrl, cloudId, headers });
-                        if (completeComments) {
-                            formatted.comments = completeComments.comments;
-                            formatted.commentCount = completeComments.commentCount;
-                            formatted.commentsTruncated = completeComments.commentsTruncated;
-                        }
-                    }
                     if (normalizedTicket.jiraBaseUrl) {
-                        const jiraConfig = getJiraApiConfig({ jiraBaseUrl: normalizedTicket.jiraBaseUrl });
-                        if (!jiraConfig.error) {
-                            formatted.ticketUrl = buildJiraBrowseUrl(jiraConfig, resolvedTicketId);
-                        }
+                        formatted.ticketUrl = buildJiraBrowseUrl(jiraConfig, resolvedTicketId);
                     }
                     formatted.resolvedFrom = normalizedTicket.source;
                     formatted.sourceUrl = normalizedTicket.sourceUrl || null;
@@ -4109,32 +4030,14 @@ function createCustomTools(defineTool, agentName, deps = {}) {
                         });
                     }
 
-                    const payload = {
+                    const searchResult = await executeJiraIssueSearch(getJiraTracker(deps, jiraBaseUrl), {
                         jql: resolvedJql,
                         maxResults: resolvedMaxResults,
                         fields: resolvedFields,
-                        fieldsByKeys: false,
-                    };
-
-                    let endpoint = 'enhanced-jql';
-                    let response = await fetch(`${jiraConfig.apiBase}/search/jql`, {
-                        method: 'POST',
-                        headers: jiraConfig.headers,
-                        body: JSON.stringify(payload),
                     });
 
-                    if (!response.ok && [404, 405, 501].includes(response.status)) {
-                        endpoint = 'legacy-search-fallback';
-                        response = await fetch(`${jiraConfig.apiBase}/search`, {
-                            method: 'POST',
-                            headers: jiraConfig.headers,
-                            body: JSON.stringify(payload),
-                        });
-                    }
-
-                    if (!response.ok) {
-                        const rawBody = await response.text();
-                        const formattedError = formatJiraErrorResponse('Issue search failed', response.status, rawBody);
+                    if (!searchResult.success) {
+                        const formattedError = searchResult.formattedError;
                         return JSON.stringify({
                             success: false,
                             error: formattedError.message,
@@ -4143,11 +4046,11 @@ function createCustomTools(defineTool, agentName, deps = {}) {
                             fieldErrors: formattedError.fieldErrors,
                             hint: formattedError.hint,
                             jql: resolvedJql,
-                            endpoint,
+                            endpoint: searchResult.endpoint,
                         }, null, 2);
                     }
 
-                    const data = await response.json();
+                    const { endpoint, data } = searchResult;
                     const issues = (Array.isArray(data.issues) ? data.issues : Array.isArray(data.values) ? data.values : [])
                         .map(formatJiraSearchIssue)
                         .filter(issue => issue?.key)
@@ -4240,7 +4143,7 @@ function createCustomTools(defineTool, agentName, deps = {}) {
                         });
                     }
 
-                    const searchResult = await executeJiraIssueSearch(jiraConfig, {
+                    const searchResult = await executeJiraIssueSearch(getJiraTracker(deps, jiraBaseUrl), {
                         jql: resolvedJql,
                         maxResults: resolvedMaxResults,
                         fields: ['summary', 'status', 'priority', 'issuetype', 'assignee', 'reporter', 'labels', 'created', 'updated'],
@@ -4494,7 +4397,7 @@ function createCustomTools(defineTool, agentName, deps = {}) {
                     let lastSuccessfulFallbackResult = null;
 
                     for (const fallback of fallbackJqls) {
-                        const searchResult = await executeJiraIssueSearch(jiraConfig, {
+                        const searchResult = await executeJiraIssueSearch(getJiraTracker(deps, jiraBaseUrl), {
                             jql: fallback.jql,
                             maxResults: resolvedMaxResults,
                             fields: resolvedFields,
@@ -5441,15 +5344,12 @@ function createCustomTools(defineTool, agentName, deps = {}) {
                         });
                     }
 
-                    const response = await fetch(`${jiraConfig.apiBase}/issue`, {
-                        method: 'POST',
-                        headers: jiraConfig.headers,
-                        body: JSON.stringify(issuePayload),
-                    });
-
-                    if (!response.ok) {
-                        const errorBody = await response.text();
-                        const formattedError = formatJiraErrorResponse('Failed to create ticket', response.status, errorBody, {
+                    const jiraTracker = getJiraTracker(deps, jiraBaseUrl);
+                    let created;
+                    try {
+                        created = await jiraTracker.createIssue({ summary, fields: issuePayload.fields });
+                    } catch (error) {
+                        const formattedError = formatJiraTrackerError('Failed to create ticket', error, {
                             includesDescription: true,
                             includesEnvironment: Boolean(environment),
                         });
@@ -5463,8 +5363,7 @@ function createCustomTools(defineTool, agentName, deps = {}) {
                         });
                     }
 
-                    const data = await response.json();
-                    const ticketKey = data.key;
+                    const ticketKey = created.key;
                     const ticketUrl = buildJiraBrowseUrl(jiraConfig, ticketKey);
 
                     if (deps?.chatManager?.broadcastToolProgress) {
@@ -5477,26 +5376,12 @@ function createCustomTools(defineTool, agentName, deps = {}) {
                     if (normalizedLinkedIssue.ticketId) {
                         try {
                             const resolvedLinkType = linkType || 'Relates';
-                            const linkPayload = {
-                                type: { name: resolvedLinkType },
-                                inwardIssue: { key: ticketKey },
-                                outwardIssue: { key: normalizedLinkedIssue.ticketId },
-                            };
-
-                            const linkResp = await fetch(`${jiraConfig.apiBase}/issueLink`, {
-                                method: 'POST',
-                                headers: jiraConfig.headers,
-                                body: JSON.stringify(linkPayload),
-                            });
-
-                            if (linkResp.ok || linkResp.status === 201) {
-                                linkResult = { success: true, linkedTo: normalizedLinkedIssue.ticketId, linkType: resolvedLinkType };
-                            } else {
-                                const linkErr = await linkResp.text();
-                                linkResult = { success: false, error: `Link failed: HTTP ${linkResp.status}`, details: linkErr };
-                            }
+                            await jiraTracker.linkIssues(ticketKey, normalizedLinkedIssue.ticketId, resolvedLinkType);
+                            linkResult = { success: true, linkedTo: normalizedLinkedIssue.ticketId, linkType: resolvedLinkType };
                         } catch (linkError) {
-                            linkResult = { success: false, error: `Link error: ${linkError.message}` };
+                            linkResult = linkError instanceof TrackerError && linkError.status !== null
+                                ? { success: false, error: `Link failed: HTTP ${linkError.status}`, details: linkError.body }
+                                : { success: false, error: `Link error: ${linkError.message}` };
                         }
                     }
 
@@ -5514,7 +5399,7 @@ function createCustomTools(defineTool, agentName, deps = {}) {
 
                                 evidenceAttachments = await attachEvidenceToJira({
                                     ticketKey,
-                                    jiraConfig: attachmentConfig,
+                                    tracker: jiraTracker,
                                     entry: sessionResult.entry,
                                     activeEvidenceMessageId: sessionResult.entry?.sessionContext?.activeEvidenceMessageId,
                                 });
@@ -5553,7 +5438,7 @@ function createCustomTools(defineTool, agentName, deps = {}) {
                     return JSON.stringify({
                         success: true,
                         ticketKey,
-                        ticketId: data.id,
+                        ticketId: created.id,
                         ticketUrl,
                         summary,
                         issueType: resolvedType,
@@ -6209,34 +6094,25 @@ function createCustomTools(defineTool, agentName, deps = {}) {
                         }), null, 2);
                     }
 
-                    const payload = {
-                        transition: { id: resolvedTransition.id },
-                    };
-
                     const fields = parsedFields.value ? { ...parsedFields.value } : {};
                     if (resolution && !fields.resolution) {
                         fields.resolution = { name: resolution };
                     }
-                    if (Object.keys(fields).length > 0) {
-                        payload.fields = fields;
-                    }
 
                     const update = parsedUpdate.value ? { ...parsedUpdate.value } : {};
                     if (comment) {
                         const existingComments = Array.isArray(update.comment) ? update.comment : [];
                         update.comment = [...existingComments, { add: { body: markdownToAdf(comment) } }];
                     }
-                    if (Object.keys(update).length > 0) {
-                        payload.update = update;
-                    }
-
-                    const transitionResp = await fetch(buildJiraIssueApiUrl(jiraConfig, ticketId, '/transitions'), {
-                        method: 'POST',
-                        headers: jiraConfig.headers,
-                        body: JSON.stringify(payload),
-                    });
 
-                    if (!transitionResp.ok) {
+                    try {
+                        await getJiraTracker(deps, jiraBaseUrl).transitionIssue(normalizedTicket.ticketId, transitionTargetStatus, {
+                            transitionId: resolvedTransition.id,
+                            fields,
+                            update,
+                        });
+                    } catch (error) {
+                        if (!(error instanceof TrackerError) || error.status === null) throw error;
                         return JSON.stringify({
                             success: false,
                             ticketId: normalizedTicket.ticketId,
@@ -6249,8 +6125,8 @@ function createCustomTools(defineTool, agentName, deps = {}) {
                                     .filter(([, fieldMeta]) => fieldMeta?.required)
                                     .map(([fieldId, fieldMeta]) => formatJiraFieldCapability(fieldId, fieldMeta)),
                             },
-                            error: `Transition failed: HTTP ${transitionResp.status}`,
-                            details: await transitionResp.text(),
+                            error: `Transition failed: HTTP ${error.status}`,
+                            details: error.body,
                         }, null, 2);
                     }
 
@@ -6343,7 +6219,7 @@ function createCustomTools(defineTool, agentName, deps = {}) {
 
                     const uploadResult = await attachEvidenceToJira({
                         ticketKey,
-                        jiraConfig,
+                        tracker: getJiraTracker(deps),
                         entry: sessionResult.entry,
                         activeEvidenceMessageId: sessionResult.entry?.sessionContext?.activeEvidenceMessageId,
                         frameTimestamps,
@@ -6412,7 +6288,7 @@ function createCustomTools(defineTool, agentName, deps = {}) {
 
                     const uploadResult = await attachEvidenceToJira({
                         ticketKey,
-                        jiraConfig,
+                        tracker: getJiraTracker(deps),
                         entry: sessionResult.entry,
                         activeEvidenceMessageId: sessionResult.entry?.sessionContext?.activeEvidenceMessageId,
                         includeVideos: false,
@@ -6557,7 +6433,7 @@ function createCustomTools(defineTool, agentName, deps = {}) {
 
                     const uploadResult = await attachEvidenceToJira({
                         ticketKey,
-                        jiraConfig,
+                        tracker: getJiraTracker(deps),
                         entry: sessionResult.entry,
                         activeEvidenceMessageId: sessionResult.entry?.sessionContext?.activeEvidenceMessageId,
                         frameTimestamps,
@@ -6587,6 +6463,91 @@ function createCustomTools(defineTool, agentName, deps = {}) {
         }));
     }
 
+    // ───────────────────────────────────────────────────────────────────
+    // TOOL 11b4: attach_accessibility_report_to_jira
+    // Available to: buggenie
+    // Attaches a unified_accessibility_audit report (JSON + Markdown) to a Jira ticket
+    // ───────────────────────────────────────────────────────────────────
+    if (agentName === 'buggenie') {
+        tools.push(defineTool('attach_accessibility_report_to_jira', {
+            description:
+                'Attaches an accessibility audit report to an existing Jira ticket. ' +
+                'Pass the report.json path returned by unified_accessibility_audit (run with report set); ' +
+                'the Markdown report next to it is attached too. Returns the issue summary for the ticket description.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    ticketKey: {
+                        type: 'string',
+                        description: 'Jira ticket key to attach the report to (e.g., "AOTF-17300")',
+                    },
+                    reportPath: {
+                        type: 'string',
+                        description: 'Path of the JSON report written by unified_accessibility_audit',
+                    },
+                },
+                required: ['ticketKey', 'reportPath'],
+            },
+            handler: async ({ ticketKey, reportPath }) => {
+                try {
+                    loadEnvVars();
+                    if (!isValidTicketKey(ticketKey)) {
+                        return JSON.stringify({ success: false, error: 'Invalid ticket key format. Expected values like AOTF-17300.' });
+                    }
+
+                    const jsonPath = path.resolve(PROJECT_ROOT, String(reportPath || ''));
+                    if (path.extname(jsonPath) !== '.json' || !fs.existsSync(jsonPath)) {
+                        return JSON.stringify({ success: false, error: `Accessibility report not found: ${reportPath}` });
+                    }
+
+                    let report;
+                    try {
+                        report = JSON.parse(fs.readFileSync(jsonPath, 'utf-8'));
+                    } catch {
+                        report = null;
+                    }
+                    if (!report || !Array.isArray(report.issues) || !report.summary) {
+                        return JSON.stringify({ success: false, error: 'File is not an accessibility audit report.' });
+                    }
+
+                    const jiraConfig = getJiraAttachmentConfig();
+                    if (jiraConfig.error) {
+                        return JSON.stringify({ success: false, error: jiraConfig.error });
+                    }
+
+                    const jiraTracker = getJiraTracker(deps);
+                    const files = [{ filePath: jsonPath, mimeType: 'application/json' }];
+                    const markdownPath = jsonPath.replace(/\.json$/, '.md');
+                    if (fs.existsSync(markdownPath)) files.push({ filePath: markdownPath, mimeType: 'text/markdown' });
+
+                    const results = [];
+                    for (const file of files) {
+                        results.push(await uploadJiraAttachment(
+                            jiraTracker,
+                            ticketKey,
+                            sanitizeFileName(path.basename(file.filePath)),
+                            file.mimeType,
+                            fs.readFileSync(file.filePath)
+                        ));
+                    }
+
+                    return JSON.stringify({
+                        success: results.every(item => item.success),
+                        ticketKey,
+                        url: report.url,
+                        standard: `${report.standard} ${report.level}`,
+                        issueCount: report.issueCount,
+                        bySeverity: report.summary.bySeverity,
+                        byCriterion: report.summary.byCriterion,
+                        results,
+                    });
+                } catch (error) {
+                    return JSON.stringify({ success: false, error: `Accessibility report attachment error: ${error.message}` });
+                }
+            },
+        }));
+    }
+
     // ───────────────────────────────────────────────────────────────────
     // TOOL 11c: update_jira_ticket
     // Available to: buggenie, testgenie, taskgenie
@@ -6696,8 +6657,8 @@ function createCustomTools(defineTool, agentName, deps = {}) {
                     // \u2500\u2500 Update issue fields (summary, description, priority, labels) \u2500\u2500
                     const fieldsUpdate = {};
                     if (summary) fieldsUpdate.summary = summary;
-                    if (description) fieldsUpdate.description = markdownToAdf(description);
-                    if (priority) fieldsUpdate.priority = { name: priority };
+                    if (description) fieldsUpdate.description = description;
+                    if (priority) fieldsUpdate.priority = priority;
                     if (labels) fieldsUpdate.labels = labels.split(',').map(l => l.trim());
 
                     const needsApproval = Object.keys(fieldsUpdate).length > 0;
@@ -6745,70 +6706,44 @@ function createCustomTools(defineTool, agentName, deps = {}) {
                         }
                     }
 
+                    const jiraTracker = getJiraTracker(deps, jiraBaseUrl || normalizedTicket.jiraBaseUrl);
+                    const recordError = (formattedError) => {
+                        results.errors.push(formattedError.message);
+                        results.errorMessages.push(...(formattedError.errorMessages || []));
+                        Object.assign(results.fieldErrors, formattedError.fieldErrors || {});
+                        if (!results.hint) results.hint = formattedError.hint;
+                    };
+
                     if (Object.keys(fieldsUpdate).length > 0) {
-                        const updateUrl = buildJiraIssueApiUrl(jiraConfig, normalizedTicket.ticketId);
-                        const updateResp = await fetch(updateUrl, {
-                            method: 'PUT',
-                            headers: jiraConfig.headers,
-                            body: JSON.stringify({ fields: fieldsUpdate }),
-                        });
-                        if (!updateResp.ok) {
-                            const errBody = await updateResp.text();
-                            const formattedError = formatJiraErrorResponse('Field update failed', updateResp.status, errBody, {
-                                includesDescription: Boolean(description),
-                            });
-                            results.errors.push(formattedError.message);
-                            results.errorMessages.push(...(formattedError.errorMessages || []));
-                            Object.assign(results.fieldErrors, formattedError.fieldErrors || {});
-                            if (!results.hint) results.hint = formattedError.hint;
-                        } else {
+                        try {
+                            await jiraTracker.updateIssue(normalizedTicket.ticketId, fieldsUpdate);
                             results.updated.push('fields');
+                        } catch (error) {
+                            recordError(formatJiraTrackerError('Field update failed', error, {
+                                includesDescription: Boolean(description),
+                            }));
                         }
                     }
 
                     // \u2500\u2500 Add labels without removing existing ones \u2500\u2500
                     if (addLabels) {
-                        const addUrl = buildJiraIssueApiUrl(jiraConfig, normalizedTicket.ticketId);
-                        const addResp = await fetch(addUrl, {
-                            method: 'PUT',
-                            headers: jiraConfig.headers,
-                            body: JSON.stringify({
-                                update: {
-                                    labels: addLabels.split(',').map(l => ({ add: l.trim() })),
-                                },
-                            }),
-                        });
-                        if (!addResp.ok) {
-                            const errBody = await addResp.text();
-                            const formattedError = formatJiraErrorResponse('Add labels failed', addResp.status, errBody);
-                            results.errors.push(formattedError.message);
-                            results.errorMessages.push(...(formattedError.errorMessages || []));
-                            Object.assign(results.fieldErrors, formattedError.fieldErrors || {});
-                            if (!results.hint) results.hint = formattedError.hint;
-                        } else {
+                        try {
+                            await jiraTracker.updateIssue(normalizedTicket.ticketId, { addLabels: additionalLabels });
                             results.updated.push('labels-added');
+                        } catch (error) {
+                            recordError(formatJiraTrackerError('Add labels failed', error));
                         }
                     }
 
                     // \u2500\u2500 Add comment \u2500\u2500
                     if (comment) {
-                        const commentUrl = buildJiraIssueApiUrl(jiraConfig, normalizedTicket.ticketId, '/comment');
-                        const commentResp = await fetch(commentUrl, {
-                            method: 'POST',
-                            headers: jiraConfig.headers,
-                            body: JSON.stringify({ body: markdownToAdf(comment) }),
-                        });
-                        if (!commentResp.ok) {
-                            const errBody = await commentResp.text();
-                            const formattedError = formatJiraErrorResponse('Comment failed', commentResp.status, errBody, {
-                                includesDescription: true,
-                            });
-                            results.errors.push(formattedError.message);
-                            results.errorMessages.push(...(formattedError.errorMessages || []));
-                            Object.assign(results.fieldErrors, formattedError.fieldErrors || {});
-                            if (!results.hint) results.hint = formattedError.hint;
-                        } else {
+                        try {
+                            await jiraTracker.addComment(normalizedTicket.ticketId, comment);
                             results.updated.push('comment');
+                        } catch (error) {
+                            recordError(formatJiraTrackerError('Comment failed', error, {
+                                includesDescription: true,
+                            }));
                         }
                     }
 
@@ -7137,9 +7072,10 @@ function createCustomTools(defineTool, agentName, deps = {}) {
     if (['testgenie'].includes(agentName)) {
         tools.push(defineTool('generate_test_case_excel', {
             description:
-                'Generates a test case Excel file from structured test case data. ' +
-                'Takes ticket ID, test suite name, pre-conditions, and an array of test steps, ' +
-                'then creates an .xlsx file in agentic-workflow/test-cases/.',
+                'Saves TestGenie test cases as the ticket\'s test case document (JSON, the source of truth) and renders it ' +
+                'as Excel, Markdown and Gherkin in agentic-workflow/test-cases/. Takes one test case as testSteps, or several ' +
+                'as testCases with priority, tags, covered acceptance criteria and test data references. ' +
+                'Calling it again for the same ticket replaces the document with a new revision.',
             parameters: {
                 type: 'object',
                 properties: {
@@ -7157,125 +7093,288 @@ function createCustomTools(defineTool, agentName, deps = {}) {
                     },
                     testSteps: {
                         type: 'string',
-                        description: 'JSON array string of test step objects with fields: stepId, action, expected, actual',
+                        description: 'JSON array string of test step objects with fields: stepId, action, expected, actual (one test case)',
+                    },
+                    testCases: {
+                        type: 'string',
+                        description: 'JSON array string of test cases: [{ id: "TC-01", title, priority: critical|high|medium|low, tags: [], ' +
+                            'acceptanceCriteria: ["AC-1"], dataRefs: ["testData.search.filters"], preConditions?, ' +
+                            'steps: [{ stepId, action, expected, actual, dataRefs? }], ' +
+                            'gherkin?: [{ keyword: Given|When|Then|And|But, text }] }]. Use instead of testSteps.',
+                    },
+                    acceptanceCriteria: {
+                        type: 'string',
+                        description: 'JSON array string of the ticket\'s acceptance criteria, as strings (numbered AC-1, AC-2, ...) or { id, text }',
                     },
                 },
-                required: ['ticketId', 'testSuiteName', 'testSteps'],
+                required: ['ticketId', 'testSuiteName'],
             },
-            handler: async ({ ticketId, testSuiteName, preConditions, testSteps }) => {
+            handler: async ({ ticketId, testSuiteName, preConditions, testSteps, testCases, acceptanceCriteria }) => {
                 try {
+                    const { buildTestCaseDocument, TestCaseDocumentStore, renderTestCaseDocument, DOCUMENT_SOURCE } = require('./testcase-document');
+
                     // Broadcast progress: parsing
                     if (deps?.chatManager?.broadcastToolProgress) {
                         deps.chatManager.broadcastToolProgress('generate_test_case_excel', {
                             phase: 'excel', message: `Parsing test case data for ${ticketId}...`, step: 1,
                         });
                     }
-                    let steps;
+                    if (!testSteps && !testCases) {
+                        return JSON.stringify({ success: false, error: 'Provide testSteps or testCases' });
+                    }
+                    let built;
                     try {
-                        steps = JSON.parse(testSteps);
+                        built = buildTestCaseDocument({
+                            ticketId,
+                            testSuiteName,
+                            preConditions,
+                            testSteps,
+                            testCases,
+                            acceptanceCriteria,
+                            ticketUrl: `${(process.env.JIRA_BASE_URL || 'https://jira.atlassian.net/').replace(/\/+$/, '')}/browse/${ticketId}`,
+                            scope: deps.testCaseScope || null,
+                        });
                     } catch (e) {
-                        return JSON.stringify({ success: false, error: `Invalid testSteps JSON: ${e.message}` });
+                        return JSON.stringify({ success: false, error: e.message });
                     }
+                    if (built.errors.length > 0) {
+                        return JSON.stringify({ success: false, error: 'Invalid test cases', details: built.errors, warnings: built.warnings }, null, 2);
+                    }
+
+                    const store = deps.testCaseDocumentStore || new TestCaseDocumentStore();
+                    const saved = store.save(built.document, DOCUMENT_SOURCE.TESTGENIE);
+                    const stepCount = saved.document.testCases.reduce((total, testCase) => total + testCase.steps.length, 0);
 
                     // Broadcast progress: generating
                     if (deps?.chatManager?.broadcastToolProgress) {
                         deps.chatManager.broadcastToolProgress('generate_test_case_excel', {
-                            phase: 'excel', message: `Generating Excel workbook (${steps.length} steps)...`, step: 2,
+                            phase: 'excel', message: `Generating Excel workbook (${stepCount} steps)...`, step: 2,
                         });
                     }
 
-                    // Try using the excel-template-generator script
-                    const generatorPath = path.join(__dirname, '..', 'scripts', 'excel-template-generator.js');
-                    if (fs.existsSync(generatorPath)) {
+                    const rendered = await renderTestCaseDocument(saved.document, { store });
+                    const warnings = [...built.warnings];
+                    if (rendered.errors.excel) {
+                        // Template generator unavailable — keep a plain workbook next to the document
+                        const outputPath = store.pathFor(ticketId, saved.document.scenarioSlug, '.xlsx');
+                        await createSimpleExcel(outputPath, ticketId, testSuiteName, saved.document.preConditions,
+                            saved.document.testCases.flatMap(testCase => testCase.steps));
+                        rendered.paths.excel = outputPath;
+                        warnings.push(`Generator error: ${rendered.errors.excel}`);
+                    }
+                    for (const [format, error] of Object.entries(rendered.errors)) {
+                        if (format !== 'excel') warnings.push(`${format} rendering failed: ${error}`);
+                    }
+
+                    // With sdk.bdd enabled the Gherkin rendering is also the scenario's .feature file
+                    let featurePath = null;
+                    const { loadBddConfig, writeFeatureFile } = require('./bdd-steps');
+                    const bddConfig = loadBddConfig(deps.config?.sdk?.bdd);
+                    if (bddConfig.enabled) {
                         try {
-                            const generator = require(generatorPath);
-                            const outputDir = path.join(__dirname, '..', 'test-cases');
-                            if (!fs.existsSync(outputDir)) {
-                                fs.mkdirSync(outputDir, { recursive: true });
-                            }
+                            featurePath = writeFeatureFile(saved.document, { config: bddConfig });
+                        } catch (e) {
+                            warnings.push(`Feature file not written: ${e.message}`);
+                        }
+                    }
 
-                            const outputPath = path.join(outputDir, `${ticketId}-test-cases.xlsx`);
-
-                            // The generator exports generateTestCaseExcel(jiraInfo, preConditions, testCases, outputPath)
-                            // where jiraInfo = { number, title, url } and testCases = [{ id, title, steps: [...] }]
-                            if (typeof generator.generateTestCaseExcel === 'function') {
-                                // Build the jiraInfo shape the generator expects
-                                const jiraInfo = {
-                                    number: ticketId,
-                                    title: testSuiteName,
-                                    url: `${(process.env.JIRA_BASE_URL || 'https://jira.atlassian.net/').replace(/\/+$/, '')}/browse/${ticketId}`,
-                                };
-
-                                // Convert flat steps array into the testCases shape the generator expects
-                                // Input steps: [{ stepId, action, expected, actual }]
-                                // Generator expects: [{ id, title, steps: [{ id, action, expected, actual }] }]
-                                const testCases = [{
-                                    id: 'TC-01',
-                                    title: testSuiteName,
-                                    steps: steps.map(s => ({
-                                        id: s.stepId || s.id || '',
-                                        action: s.action || s.activity || '',
-                                        expected: s.expected || s.expectedResult || '',
-                                        actual: s.actual || s.actualResults || s.actualResult || '',
-                                    })),
-                                }];
-
-                                await generator.generateTestCaseExcel(
-                                    jiraInfo,
-                                    preConditions || '',
-                                    testCases,
-                                    outputPath,
-                                );
-                            } else if (typeof generator.generateExcel === 'function') {
-                                // Legacy fallback if export name changes back
-                                await generator.generateExcel({
-                                    ticketId,
-                                    testSuiteName,
-                                    preConditions: preConditions || '',
-                                    testSteps: steps,
-                                    outputPath,
-                                });
-                            } else {
-                                // Generator module has unexpected export — create simple Excel via fallback
-                                await createSimpleExcel(outputPath, ticketId, testSuiteName, preConditions, steps);
-                            }
+                    return JSON.stringify({
+                        success: true,
+                        path: rendered.paths.excel,
+                        documentPath: saved.path,
+                        revision: saved.document.revision,
+                        renderings: rendered.paths,
+                        ...(featurePath ? { featurePath } : {}),
+                        testCaseCount: saved.document.testCases.length,
+                        stepCount,
+                        message: `Test cases saved: ${path.basename(saved.path)} (revision ${saved.document.revision}), Excel: ${path.basename(rendered.paths.excel)}`,
+                        ...(warnings.length > 0 ? { warnings } : {}),
+                    });
+                } catch (error) {
+                    return JSON.stringify({ success: false, error: `Excel generation failed: ${error.message}` });
+                }
+            },
+        }));
+    }
 
-                            return JSON.stringify({
-                                success: true,
-                                path: outputPath,
-                                stepCount: steps.length,
-                                message: `Excel file created: ${path.basename(outputPath)}`,
-                            });
-                        } catch (genError) {
-                            // Fall back to simple Excel creation
-                            const outputDir = path.join(__dirname, '..', 'test-cases');
-                            if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
-                            const outputPath = path.join(outputDir, `${ticketId}-test-cases.xlsx`);
-                            await createSimpleExcel(outputPath, ticketId, testSuiteName, preConditions, steps);
-                            return JSON.stringify({
-                                success: true,
-                                path: outputPath,
-                                stepCount: steps.length,
-                                message: `Excel created (fallback): ${path.basename(outputPath)}`,
-                                warning: `Generator error: ${genError.message}`,
-                            });
+    // ───────────────────────────────────────────────────────────────────
+    // TOOL 12a: sync_test_cases
+    // Available to: testgenie
+    // Pushes test cases to Xray / Zephyr Scale / TestRail (sdk.testManagement)
+    // ───────────────────────────────────────────────────────────────────
+    if (['testgenie'].includes(agentName)) {
+        tools.push(defineTool('sync_test_cases', {
+            description:
+                'Creates or updates test cases in the configured test management tool (Xray, Zephyr Scale or TestRail), ' +
+                'linked to the source ticket. Takes the same data as generate_test_case_excel. Re-syncing updates the cases ' +
+                'created before instead of duplicating them. Use dryRun to preview the payloads without sending anything.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    ticketId: {
+                        type: 'string',
+                        description: 'Source ticket ID (e.g., "AOTF-16339")',
+                    },
+                    testSuiteName: {
+                        type: 'string',
+                        description: 'Test case title when testSteps is used',
+                    },
+                    preConditions: {
+                        type: 'string',
+                        description: 'Pre-conditions text shared by the cases',
+                    },
+                    testSteps: {
+                        type: 'string',
+                        description: 'JSON array string of test step objects with fields: stepId, action, expected, actual (one test case)',
+                    },
+                    testCases: {
+                        type: 'string',
+                        description: 'JSON array string of test cases: [{ id, title, preConditions?, steps: [{ stepId, action, expected, actual }] }]',
+                    },
+                    dryRun: {
+                        type: 'boolean',
+                        description: 'Return the payloads that would be sent without sending them',
+                    },
+                },
+                required: ['ticketId'],
+            },
+            handler: async ({ ticketId, testSuiteName, preConditions, testSteps, testCases, dryRun }) => {
+                try {
+                    const { TestCaseSync, normalizeTestCases } = require('./testcase-sync');
+                    const sync = deps.testCaseSync || new TestCaseSync();
+                    if (!sync.enabled) {
+                        return JSON.stringify({
+                            success: false,
+                            error: 'No test management provider configured',
+                            hint: 'Set sdk.testManagement.provider to xray, zephyr or testrail in workflow-config.json.',
+                        });
+                    }
+
+                    const normalized = normalizeTestCases({ testCases, testSteps, testSuiteName, preConditions });
+                    if (normalized.errors.length > 0) {
+                        return JSON.stringify({ success: false, error: 'Invalid test cases', details: normalized.errors }, null, 2);
+                    }
+
+                    const ticketUrl = `${(process.env.JIRA_BASE_URL || 'https://jira.atlassian.net/').replace(/\/+$/, '')}/browse/${ticketId}`;
+                    const plan = await sync.syncTestCases({ ticketId, ticketUrl, testCases: normalized.testCases, dryRun: true });
+                    if (dryRun === true || sync.config.dryRun) {
+                        return JSON.stringify({ success: true, ...plan }, null, 2);
+                    }
+
+                    const pending = plan.cases.filter(entry => entry.action !== 'unchanged');
+                    if (pending.length > 0) {
+                        const guardrailOverrides = { provider: sync.adapter.type, providerLabel: sync.adapter.displayName };
+                        const guardrail = buildJiraMutationGuardrailMetadata('sync_test_cases', guardrailOverrides);
+                        const consequence = `${sync.adapter.displayName} will ${plan.created > 0 ? 'create' : 'update'} test cases linked to ${ticketId}.`;
+                        const preview = buildMutationPreview({
+                            guardrail,
+                            title: `Approve ${sync.adapter.displayName} sync for ${ticketId}`,
+                            subject: { id: ticketId, url: ticketUrl },
+                            changes: pending.map(entry => createMutationFieldChange({
+                                field: entry.caseId,
+                                label: `${entry.caseId} (${entry.action === 'create' ? 'new' : entry.remote?.key})`,
+                                before: entry.action === 'create' ? '' : 'previous version',
+                                after: entry.title,
+                            })),
+                            notes: [`${plan.created} to create, ${plan.updated} to update, ${plan.unchanged} unchanged.`],
+                            consequence,
+                        });
+                        const previewLines = buildJiraMutationPreviewLines([], preview);
+                        const approval = await requireJiraMutationApproval({
+                            deps,
+                            toolName: 'sync_test_cases',
+                            ticketId,
+                            consequence,
+                            previewLines,
+                            preview,
+                            guardrailOverrides,
+                        });
+                        if (!approval.approved) {
+                            return JSON.stringify(buildJiraMutationApprovalFailure({
+                                approval,
+                                ticketId,
+                                ticketUrl,
+                                previewLines,
+                                preview,
+                            }), null, 2);
                         }
                     }
 
-                    // No generator script — create simple CSV-style output
-                    const outputDir = path.join(__dirname, '..', 'test-cases');
-                    if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
-                    const outputPath = path.join(outputDir, `${ticketId}-test-cases.xlsx`);
-                    await createSimpleExcel(outputPath, ticketId, testSuiteName, preConditions, steps);
+                    if (deps?.chatManager?.broadcastToolProgress) {
+                        deps.chatManager.broadcastToolProgress('sync_test_cases', {
+                            phase: 'test-management', message: `Syncing ${normalized.testCases.length} test case(s) to ${sync.adapter.displayName}...`, step: 2,
+                        });
+                    }
+                    const result = await sync.syncTestCases({ ticketId, ticketUrl, testCases: normalized.testCases, dryRun: false });
+                    return JSON.stringify({ success: result.failed === 0, ...result }, null, 2);
+                } catch (error) {
+                    return JSON.stringify({ success: false, error: `Test case sync failed: ${error.message}` });
+                }
+            },
+        }));
+    }
 
+    // ───────────────────────────────────────────────────────────────────
+    // TOOL 12a2: import_test_case_excel
+    // Available to: testgenie
+    // Re-imports an edited test case workbook into the ticket's test case document
+    // ───────────────────────────────────────────────────────────────────
+    if (['testgenie'].includes(agentName)) {
+        tools.push(defineTool('import_test_case_excel', {
+            description:
+                'Imports a test case Excel file that was edited by hand back into the ticket\'s test case document. ' +
+                'The workbook is validated against the template first; the document is saved as a new revision and the ' +
+                'Markdown and Gherkin renderings are refreshed. Returns the test cases that were added, changed or removed.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    ticketId: {
+                        type: 'string',
+                        description: 'Jira ticket ID (e.g., "AOTF-16339")',
+                    },
+                    filePath: {
+                        type: 'string',
+                        description: 'Path to the .xlsx file (default: the ticket\'s rendered workbook in agentic-workflow/test-cases/)',
+                    },
+                    force: {
+                        type: 'boolean',
+                        description: 'Import even if the document has changed since the workbook was rendered',
+                    },
+                },
+                required: ['ticketId'],
+            },
+            handler: async ({ ticketId, filePath, force }) => {
+                try {
+                    const { TestCaseDocumentStore, importTestCaseExcel } = require('./testcase-document');
+                    const store = deps.testCaseDocumentStore || new TestCaseDocumentStore();
+                    const scenarioSlug = deps.testCaseScope?.scenarioSlug || null;
+                    const workbookPath = filePath
+                        ? (path.isAbsolute(filePath) ? filePath : path.join(PROJECT_ROOT, filePath))
+                        : store.pathFor(ticketId, scenarioSlug, '.xlsx');
+                    if (!fs.existsSync(workbookPath)) {
+                        return JSON.stringify({ success: false, error: `Workbook not found: ${workbookPath}` });
+                    }
+
+                    const result = await importTestCaseExcel(workbookPath, {
+                        store,
+                        ticketId,
+                        ...(filePath ? {} : { scenarioSlug }),
+                        force: force === true,
+                    });
+                    if (!result.imported) {
+                        return JSON.stringify({ success: false, error: 'Import failed', details: result.errors, warnings: result.warnings }, null, 2);
+                    }
                     return JSON.stringify({
                         success: true,
-                        path: outputPath,
-                        stepCount: steps.length,
-                        message: `Excel created: ${path.basename(outputPath)}`,
-                    });
+                        documentPath: result.path,
+                        revision: result.document.revision,
+                        testCaseCount: result.document.testCases.length,
+                        changes: result.changes,
+                        renderings: result.renderings,
+                        ...(result.warnings.length > 0 ? { warnings: result.warnings } : {}),
+                    }, null, 2);
                 } catch (error) {
-                    return JSON.stringify({ success: false, error: `Excel generation failed: ${error.message}` });
+                    return JSON.stringify({ success: false, error: `Excel import failed: ${error.message}` });
                 }
             },
         }));
@@ -7421,7 +7520,6 @@ function createCustomTools(defineTool, agentName, deps = {}) {
                 required: ['specPath'],
             },
             handler: async ({ specPath, ticketId }) => {
-                const { execSync } = require('child_process');
                 const projectRoot = path.join(__dirname, '..', '..');
 
                 // Broadcast progress: resolving spec
@@ -7533,14 +7631,6 @@ function createCustomTools(defineTool, agentName, deps = {}) {
                 const runId = `chat_${derivedTicketId}_${Date.now()}`;
 
                 try {
-                    const relativePath = path.relative(projectRoot, resolvedSpec).replace(/\\/g, '/');
-
-                    // For directories, pass directly to Playwright (no regex escaping needed)
-                    // For files, escape special chars for Playwright's grep
-                    const playwrightTarget = isDirectory
-                        ? relativePath
-                        : relativePath.replace(/[+.*?^${}()|[\]\\]/g, '\\$&');
-
                     // Broadcast progress: running
                     if (deps?.chatManager?.broadcastToolProgress) {
                         deps.chatManager.broadcastToolProgress('execute_test', {
@@ -7551,30 +7641,28 @@ function createCustomTools(defineTool, agentName, deps = {}) {
                         });
                     }
 
-                    let output;
-                    try {
-                        output = execSync(
-                            `npx playwright test "${playwrightTarget}" --reporter=json`,
-                            {
-                                encoding: 'utf-8',
-                                stdio: 'pipe',
-                                cwd: projectRoot,
-                                timeout: 300000,
-                            }
-                        );
-                    } catch (execError) {
-                        // Playwright exits non-zero on test failures — capture stdout
-                        output = execError.stdout || execError.stderr || execError.message;
-                    }
-
-                    // Strip dotenv banner and other non-JSON preamble from stdout
-                    const cleanedOutput = output.replace(/^\[dotenv[^\]]*\][^\n]*\n?/gm, '').trim();
+                    // Spawned without blocking the server; Playwright exits non-zero on
+                    // test failures but still writes its JSON report
+                    const { getExecutionService } = require('./execution-service');
+                    const execution = await getExecutionService().run(resolvedSpec, {
+                        timeoutMs: 300000,
+                        onEvent: (event, progress) => {
+                            if (event.event !== 'test-end' || !event.final) return;
+                            const icon = { expected: '✓', flaky: '✓', skipped: '-' }[event.outcome] || '✘';
+                            deps?.chatManager?.broadcastToolProgress?.('execute_test', {
+                                phase: 'test',
+                                message: `${icon} ${event.title} [${progress.completed}/${progress.total}]`,
+                                step: 2,
+                            });
+                        },
+                    });
+                    const output = execution.output || execution.log || '';
 
-                    // Parse JSON from output
-                    const { extractJSON: parseJSON } = require('./utils');
-                    let playwrightResult;
+                    // Parse the JSON report (dotenv banners and other preamble are skipped)
+                    const { parsePlaywrightOutput, summarizeResults } = require('./playwright-results');
+                    let parsed;
                     try {
-                        playwrightResult = parseJSON(cleanedOutput);
+                        parsed = parsePlaywrightOutput(output);
                     } catch {
                         // Could not parse JSON — save raw output as error envelope
                         _saveTestReport(derivedTicketId, runId, resolvedSpec, {
@@ -7589,30 +7677,18 @@ function createCustomTools(defineTool, agentName, deps = {}) {
                         });
                     }
 
-                    // Extract results
-                    const suites = playwrightResult.suites || [];
-                    let totalSpecs = 0, passed = 0, failed = 0;
-                    const failedTests = [];
-
-                    const walkSuites = (list) => {
-                        for (const suite of list) {
-                            for (const spec of (suite.specs || [])) {
-                                totalSpecs++;
-                                const test = spec.tests?.[0];
-                                if (test?.status === 'passed' || test?.status === 'expected') {
-                                    passed++;
-                                } else if (test?.status === 'failed' || test?.status === 'unexpected') {
-                                    failed++;
-                                    failedTests.push(spec.title);
-                                }
-                            }
-                            if (suite.suites) walkSuites(suite.suites);
-                        }
-                    };
-                    walkSuites(suites);
+                    const {
+                        totalCount: totalSpecs,
+                        passedCount: passed,
+                        failedCount: failed,
+                        flakyCount,
+                        skippedCount,
+                        failedTests,
+                        flakyTests,
+                    } = summarizeResults(parsed);
 
                     // Save raw report for dashboard
-                    _saveTestReport(derivedTicketId, runId, resolvedSpec, playwrightResult);
+                    _saveTestReport(derivedTicketId, runId, resolvedSpec, parsed.report);
 
                     // Broadcast progress: results
                     if (deps?.chatManager?.broadcastToolProgress) {
@@ -7630,7 +7706,10 @@ function createCustomTools(defineTool, agentName, deps = {}) {
                         totalCount: totalSpecs,
                         passedCount: passed,
                         failedCount: failed,
+                        flakyCount,
+                        skippedCount,
                         failedTests,
+                        flakyTests,
                         reportSaved: true,
                         runId,
                         isFolder: isDirectory,
@@ -8000,6 +8079,113 @@ function createCustomTools(defineTool, agentName, deps = {}) {
                 },
             }));
         }
+
+        // TOOL 20a: find_step_bindings
+        // Available to: scriptgenerator, testgenie
+        if (['scriptgenerator', 'testgenie'].includes(agentName)) {
+            tools.push(defineTool('find_step_bindings', {
+                description:
+                    'Look up Gherkin steps in the index of implemented playwright-bdd step definitions. ' +
+                    'Returns the definition each step binds to, or existing steps worded like it. ' +
+                    'Use this while writing Given/When/Then steps to reuse existing phrasing instead of adding near-duplicates.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        steps: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Step texts without their keyword — e.g., ["I open the search page", "I see 3 results"]',
+                        },
+                    },
+                    required: ['steps'],
+                },
+                handler: async ({ steps }) => {
+                    try {
+                        const location = entry => ({ pattern: entry.pattern, file: entry.file, line: entry.line, pending: entry.pending });
+                        const results = (steps || []).map(text => {
+                            const { bindings, similar } = groundingStore.findStepBindings(text);
+                            return {
+                                text,
+                                bound: bindings.length === 1 && !bindings[0].pending,
+                                bindings: bindings.map(location),
+                                similar: similar.map(entry => ({ ...location(entry), similarity: entry.similarity })),
+                            };
+                        });
+                        return JSON.stringify({
+                            success: true,
+                            bound: results.filter(result => result.bound).length,
+                            total: results.length,
+                            steps: results,
+                        }, null, 2);
+                    } catch (error) {
+                        return JSON.stringify({ error: error.message });
+                    }
+                },
+            }));
+        }
+    }
+
+    // ───────────────────────────────────────────────────────────────────
+    // TOOL 20b: generate_step_definitions
+    // Available to: scriptgenerator
+    // Scaffolds playwright-bdd step definitions for a ticket's .feature files
+    // ───────────────────────────────────────────────────────────────────
+    if (agentName === 'scriptgenerator') {
+        tools.push(defineTool('generate_step_definitions', {
+            description:
+                'Scaffolds playwright-bdd step definitions in tests/steps/<ticketId>.steps.js for the ticket\'s .feature files. ' +
+                'Steps an existing definition already matches are reused, not redefined. Each new definition gets a pending ' +
+                'body plus the business function or page object method (through POmanager) suggested for it — replace every ' +
+                'pending body with real framework calls, then run the "bdd" quality gate.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    ticketId: {
+                        type: 'string',
+                        description: 'Jira ticket ID',
+                    },
+                    featurePath: {
+                        type: 'string',
+                        description: 'One .feature file (default: every feature written for the ticket)',
+                    },
+                },
+                required: ['ticketId'],
+            },
+            handler: async ({ ticketId, featurePath }) => {
+                try {
+                    const { loadBddConfig, findFeatureFiles, writeStepDefinitions } = require('./bdd-steps');
+                    const bddConfig = loadBddConfig(deps.config?.sdk?.bdd);
+                    const featurePaths = featurePath ? [path.resolve(featurePath)] : findFeatureFiles(ticketId, { config: bddConfig });
+                    if (featurePaths.length === 0) {
+                        return JSON.stringify({
+                            success: false,
+                            error: `No feature files found for ${ticketId}`,
+                            hint: `TestGenie writes them to ${bddConfig.featuresDir} when sdk.bdd.enabled is true.`,
+                        });
+                    }
+
+                    const result = writeStepDefinitions({ ticketId, featurePaths, config: bddConfig });
+                    return JSON.stringify({
+                        success: true,
+                        path: result.path,
+                        written: result.written,
+                        features: featurePaths,
+                        reused: result.reused,
+                        pending: result.steps.map(step => ({
+                            keyword: step.type,
+                            expression: step.expression,
+                            suggestion: step.suggestion?.call || null,
+                            similar: step.similar,
+                        })),
+                        message: result.written
+                            ? `${result.steps.length} step definition(s) scaffolded, ${result.reused.length} step(s) reused — implement the pending bodies`
+                            : `Every step is already defined (${result.reused.length} reused)`,
+                    }, null, 2);
+                } catch (error) {
+                    return JSON.stringify({ success: false, error: `Step definition generation failed: ${error.message}` });
+                }
+            },
+        }));
     }
 
     // ───────────────────────────────────────────────────────────────────
@@ -9438,6 +9624,33 @@ function createCustomTools(defineTool, agentName, deps = {}) {
         }));
     }
 
+    // ─── Non-Jira trackers (sdk.tracker.provider) ───────────────────────
+    // The ticket tools above go through JiraTrackerProvider with Jira-only
+    // options; for any other tracker they are swapped for provider-backed
+    // tools with the same names.
+    const { loadTrackerConfig, getTrackerProvider } = require('./tracker-providers');
+    const tracker = deps.tracker || (loadTrackerConfig().provider.toLowerCase() !== 'jira' ? getTrackerProvider() : null);
+    if (tracker && tracker.type !== 'jira') {
+        const { applyTrackerProvider } = require('./tracker-tools');
+        return applyTrackerProvider(tools, defineTool, agentName, deps, {
+            tracker,
+            helpers: {
+                requireJiraMutationApproval,
+                buildJiraMutationApprovalFailure,
+                buildJiraMutationGuardrailMetadata,
+                buildJiraMutationPreviewLines,
+                buildMutationPreview,
+                buildMutationSubject,
+                createMutationFieldChange,
+                getLatestUserMessageText,
+                getActiveSessionEntry,
+                computeSparseTicketScore,
+                enrichSparseTicketWithKnowledgeBase,
+                attachEvidenceToJira,
+            },
+        });
+    }
+
     return tools;
 }
 
@@ -9634,6 +9847,26 @@ function _saveTestReport(ticketId, runId, specPath, playwrightResult) {
     }
 }
 
+// ─── Helper: Load saved test reports for a ticket, newest first ─────────────
+function _loadTestReports(ticketId, specPath) {
+    const reportsDir = path.join(__dirname, '..', 'test-artifacts', 'reports');
+    if (!fs.existsSync(reportsDir)) return [];
+
+    const specName = specPath ? path.basename(specPath) : null;
+    return fs.readdirSync(reportsDir)
+        .filter(fileName => fileName.startsWith(`${ticketId}-`) && fileName.endsWith('-test-results.json'))
+        .map(fileName => {
+            try {
+                return { fileName, payload: JSON.parse(fs.readFileSync(path.join(reportsDir, fileName), 'utf-8')) };
+            } catch {
+                return null; // skip invalid JSON
+            }
+        })
+        .filter(run => run && run.payload.ticketId === ticketId)
+        .filter(run => !specName || (run.payload.specPath && path.basename(run.payload.specPath) === specName))
+        .sort((a, b) => String(b.payload.timestamp).localeCompare(String(a.payload.timestamp)));
+}
+
 // ─── Helper: Count .spec.js files inside a directory ─────────────────────────
 function _countSpecFiles(dir) {
     let count = 0;
@@ -9651,9 +9884,14 @@ module.exports = {
     createCustomTools,
     getToolCache,
     formatJiraTicket,
+    formatJiraComments,
     collectSessionEvidence,
     attachEvidenceToJira,
     computeSparseTicketScore,
     buildSparseKbQueries,
     enrichSparseTicketWithKnowledgeBase,
+    getJiraApiConfig,
+    formatJiraIssueLinks,
+    runSafeCommitAndPush,
+    selectExplicitCommitEntries,
 };
@@ -33,6 +33,7 @@ const { ensureDir } = require('./utils');
 // ─── Event Types ────────────────────────────────────────────────────────────
 
 const EVENT_TYPES = {
+    RUN_QUEUED: 'run_queued',
     RUN_START: 'run_start',
     RUN_COMPLETE: 'run_complete',
     STAGE_START: 'stage_start',
@@ -0,0 +1,350 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * EXECUTION SERVICE — Non-Blocking, Streamed Playwright Runs
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Spawns `npx playwright test` without blocking the event loop, so SSE clients
+ * and chat sessions keep running while tests execute. Two reporters run:
+ *
+ *   json                        — full report written to a temp file
+ *                                 (PLAYWRIGHT_JSON_OUTPUT_FILE), returned as `output`
+ *   playwright-stream-reporter  — per-test lines on stdout, turned into
+ *                                 stage_progress events on the EventBridge
+ *
+ * Runs are tracked by pipeline runId; cancel(runId) kills each run's whole
+ * process tree (Playwright, its workers and browsers).
+ *
+ * @module sdk-orchestrator/execution-service
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn, execFile } = require('child_process');
+const { getEventBridge, EVENT_TYPES } = require('./event-bridge');
+const { EVENT_PREFIX } = require('./playwright-stream-reporter');
+
+const REPORTER_PATH = path.join(__dirname, 'playwright-stream-reporter.js');
+const KILL_GRACE_MS = 5000;
+const MAX_LOG_CHARS = 200000;
+
+// ─── Execution Service ──────────────────────────────────────────────────────
+
+class ExecutionService {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.projectRoot] - cwd for Playwright (default: repo root)
+     * @param {Object} [options.eventBridge] - Defaults to the global EventBridge
+     * @param {string} [options.command]     - Executable (default: npx)
+     * @param {string[]} [options.commandArgs] - Arguments before the target (default: ['playwright', 'test'])
+     * @param {number} [options.killGraceMs] - SIGTERM → SIGKILL delay when killing a run (default: 5000)
+     */
+    constructor(options = {}) {
+        this.projectRoot = options.projectRoot || path.join(__dirname, '..', '..');
+        this.eventBridge = options.eventBridge || getEventBridge();
+        this.command = options.command || 'npx';
+        this.commandArgs = options.commandArgs || ['playwright', 'test'];
+        this.killGraceMs = options.killGraceMs ?? KILL_GRACE_MS;
+
+        /** @type {Map<string, Object>} executionId → active execution */
+        this._active = new Map();
+    }
+
+    /**
+     * Run Playwright for a spec file or directory.
+     *
+     * @param {string} target - Spec file or directory (absolute or relative to projectRoot)
+     * @param {Object} [options]
+     * @param {string} [options.runId]     - Pipeline run to stream events to and cancel by
+     * @param {string} [options.stage]     - Stage named in the events (default: execute)
+     * @param {string} [options.scenarioId]
+     * @param {number} [options.timeoutMs] - Kill the run after this long (default: 180000)
+     * @param {Object} [options.env]       - Extra environment variables
+     * @param {Function} [options.onEvent] - Called with every reporter event
+     * @returns {Promise<{ output: string, exitCode: number|null, cancelled: boolean, timedOut: boolean,
+     *   duration: number, progress: Object, log: string }>} `output` is the JSON report, or the raw
+     *   stdout/stderr when Playwright wrote none
+     */
+    run(target, options = {}) {
+        const executionId = crypto.randomBytes(6).toString('hex');
+        const reportFile = path.join(os.tmpdir(), `sdk-playwright-${executionId}.json`);
+        const stage = options.stage || 'execute';
+        const timeoutMs = options.timeoutMs || 180000;
+        const startTime = Date.now();
+
+        const args = [...this.commandArgs, this._toTarget(target), `--reporter=json,${REPORTER_PATH}`];
+        const useShell = process.platform === 'win32';
+
+        const execution = {
+            id: executionId,
+            runId: options.runId || null,
+            stage,
+            target,
+            child: null,
+            cancelled: false,
+            timedOut: false,
+            progress: { total: 0, completed: 0, passed: 0, failed: 0, flaky: 0, skipped: 0 },
+        };
+
+        return new Promise((resolve) => {
+            let child;
+            try {
+                child = spawn(this.command, useShell ? args.map(quoteShellArg) : args, {
+                    cwd: this.projectRoot,
+                    env: { ...process.env, ...options.env, PLAYWRIGHT_JSON_OUTPUT_FILE: reportFile },
+                    stdio: ['ignore', 'pipe', 'pipe'],
+                    // Own process group on POSIX so cancel() can kill workers and browsers with it
+                    detached: !useShell,
+                    shell: useShell,
+                    windowsHide: true,
+                });
+            } catch (error) {
+                resolve(this._result(execution, { output: error.message, exitCode: null, log: error.message, startTime }));
+                return;
+            }
+            execution.child = child;
+            this._active.set(executionId, execution);
+
+            let log = '';
+            let pending = '';
+            const appendLog = (text) => {
+                if (log.length < MAX_LOG_CHARS) log += text;
+            };
+
+            child.stdout.setEncoding('utf-8');
+            child.stdout.on('data', (chunk) => {
+                pending += chunk;
+                const lines = pending.split('\n');
+                pending = lines.pop();
+                for (const line of lines) {
+                    if (line.startsWith(EVENT_PREFIX)) {
+                        this._handleEvent(execution, line.slice(EVENT_PREFIX.length), options);
+                    } else {
+                        appendLog(line + '\n');
+                    }
+                }
+            });
+            child.stderr.setEncoding('utf-8');
+            child.stderr.on('data', appendLog);
+
+            const timer = setTimeout(() => {
+                execution.timedOut = true;
+                this._killTree(execution);
+            }, timeoutMs);
+            timer.unref?.();
+
+            let settled = false;
+            const finish = (exitCode, spawnError) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                this._active.delete(executionId);
+
+                if (pending) appendLog(pending);
+                if (spawnError) appendLog(spawnError.message);
+
+                let output = log;
+                try {
+                    if (fs.existsSync(reportFile)) {
+                        output = fs.readFileSync(reportFile, 'utf-8');
+                        fs.unlinkSync(reportFile);
+                    }
+                } catch { /* fall back to the raw log */ }
+
+                if (execution.timedOut) {
+                    output = output === log ? `${log}\nTest execution timed out after ${timeoutMs}ms` : output;
+                }
+
+                resolve(this._result(execution, { output, exitCode, log, startTime }));
+            };
+
+            child.on('error', (error) => finish(null, error));
+            child.on('close', (code) => finish(code));
+        });
+    }
+
+    /**
+     * Kill every execution of a pipeline run.
+     *
+     * @param {string} runId
+     * @returns {number} Executions cancelled
+     */
+    cancel(runId) {
+        let count = 0;
+        for (const execution of this._active.values()) {
+            if (execution.runId !== runId || execution.cancelled) continue;
+            execution.cancelled = true;
+            this._killTree(execution);
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * Kill every active execution (server shutdown).
+     */
+    cancelAll() {
+        for (const execution of this._active.values()) {
+            execution.cancelled = true;
+            this._killTree(execution);
+        }
+    }
+
+    /**
+     * Active executions, optionally for one run.
+     */
+    getActive(runId = null) {
+        return [...this._active.values()]
+            .filter(execution => !runId || execution.runId === runId)
+            .map(({ id, runId: executionRunId, stage, target, progress }) => ({
+                id, runId: executionRunId, stage, target, progress: { ...progress },
+            }));
+    }
+
+    // ─── Internal ───────────────────────────────────────────────────────
+
+    _toTarget(target) {
+        const resolved = path.isAbsolute(target) ? target : path.join(this.projectRoot, target);
+        const relativePath = path.relative(this.projectRoot, resolved).replace(/\\/g, '/');
+        let isDirectory = false;
+        try { isDirectory = fs.statSync(resolved).isDirectory(); } catch { /* treated as a file */ }
+        // Playwright treats file arguments as regex filters; directories are passed as-is
+        return isDirectory ? relativePath : relativePath.replace(/[+.*?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    _handleEvent(execution, json, options) {
+        let event;
+        try {
+            event = JSON.parse(json);
+        } catch {
+            return;
+        }
+
+        const progress = execution.progress;
+        let message = null;
+
+        if (event.event === 'begin') {
+            progress.total = event.total || 0;
+            message = `Running ${progress.total} test(s)`;
+        } else if (event.event === 'test-begin') {
+            message = `▶ ${testLabel(event)}${event.retry > 0 ? ` (retry ${event.retry})` : ''}`;
+        } else if (event.event === 'test-end') {
+            if (event.final) {
+                progress.completed++;
+                if (event.outcome === 'expected') progress.passed++;
+                else if (event.outcome === 'flaky') progress.flaky++;
+                else if (event.outcome === 'skipped') progress.skipped++;
+                else progress.failed++;
+            }
+            message = `${statusIcon(event)} ${testLabel(event)} (${formatSeconds(event.duration)})` +
+                (progress.total > 0 ? ` [${progress.completed}/${progress.total}]` : '') +
+                (event.error && !event.final ? ` — retrying: ${event.error}` : '');
+        } else if (event.event === 'end') {
+            message = `Playwright finished: ${event.status}`;
+        }
+
+        if (typeof options.onEvent === 'function') {
+            try { options.onEvent(event, { ...progress }); } catch { /* listener errors never break the run */ }
+        }
+
+        if (execution.runId && message) {
+            this.eventBridge.push(EVENT_TYPES.STAGE_PROGRESS, execution.runId, {
+                stage: execution.stage,
+                message,
+                scenarioId: options.scenarioId || null,
+                test: event.event === 'begin' || event.event === 'end' ? null : {
+                    id: event.id,
+                    title: event.title,
+                    project: event.project,
+                    file: event.file,
+                    retry: event.retry,
+                    status: event.status || 'running',
+                    outcome: event.outcome || null,
+                    duration: event.duration ?? null,
+                    error: event.error || null,
+                },
+                progress: { ...progress },
+            });
+        }
+    }
+
+    _killTree(execution) {
+        const child = execution.child;
+        if (!child || child.exitCode !== null || child.signalCode !== null) return;
+
+        if (process.platform === 'win32') {
+            execFile('taskkill', ['/pid', String(child.pid), '/T', '/F'], { windowsHide: true }, () => { });
+            return;
+        }
+
+        const signalGroup = (signal) => {
+            try {
+                process.kill(-child.pid, signal);
+            } catch {
+                try { child.kill(signal); } catch { /* already gone */ }
+            }
+        };
+        // The group is still signalled after the leader exits, so workers
+        // that ignore SIGTERM are killed when the grace period ends
+        signalGroup('SIGTERM');
+        execution.killTimer = setTimeout(() => signalGroup('SIGKILL'), this.killGraceMs);
+        execution.killTimer.unref?.();
+    }
+
+    _result(execution, { output, exitCode, log, startTime }) {
+        return {
+            output,
+            exitCode,
+            cancelled: execution.cancelled,
+            timedOut: execution.timedOut,
+            duration: Date.now() - startTime,
+            progress: { ...execution.progress },
+            log,
+        };
+    }
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function testLabel(event) {
+    return event.project ? `[${event.project}] ${event.title}` : event.title;
+}
+
+function statusIcon(event) {
+    if (!event.final) return '↻';
+    switch (event.outcome) {
+        case 'expected': return '✓';
+        case 'flaky': return '⚠';
+        case 'skipped': return '-';
+        default: return event.status === 'timedOut' ? '⏱' : '✘';
+    }
+}
+
+function formatSeconds(ms) {
+    return `${((ms || 0) / 1000).toFixed(1)}s`;
+}
+
+function quoteShellArg(arg) {
+    return /[\s"]/.test(arg) ? `"${arg.replace(/"/g, '\\"')}"` : arg;
+}
+
+// ─── Singleton ──────────────────────────────────────────────────────────────
+
+let _instance = null;
+
+/**
+ * Get the global ExecutionService singleton.
+ * @returns {ExecutionService}
+ */
+function getExecutionService() {
+    if (!_instance) {
+        _instance = new ExecutionService();
+    }
+    return _instance;
+}
+
+module.exports = { ExecutionService, getExecutionService };
@@ -0,0 +1,391 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * FLAKY TESTS — Per-Test History, Flakiness Scores and Quarantine
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Every EXECUTE stage records the outcome of each test in the RunStore. A
+ * test's flakiness score comes from its last `window` outcomes (skips ignored):
+ *
+ *   score = (flaky outcomes + pass↔fail flips) / runs        (capped at 1)
+ *
+ * A test that always fails scores 0 — it is broken, not flaky. Once a test has
+ * at least `minRuns` outcomes and scores `threshold` or more it is quarantined
+ * (sdk.flakyTests.autoQuarantine): its failures no longer fail EXECUTE and it
+ * is tagged on the dashboard. Auto-quarantined tests are released after
+ * `releaseAfterPasses` consecutive passes; manual quarantines stay until
+ * released by hand.
+ *
+ * Self-healing re-runs a failing spec `rerunsBeforeHealing` times first — a
+ * pass on re-run marks the failures flaky instead of "fixing" them.
+ *
+ * @module sdk-orchestrator/flaky-tests
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+'use strict';
+
+const { loadWorkflowConfig } = require('./utils');
+const { TEST_STATUS } = require('./playwright-results');
+
+const DEFAULTS = {
+    window: 20,
+    threshold: 0.3,
+    minRuns: 4,
+    releaseAfterPasses: 10,
+    rerunsBeforeHealing: 2,
+};
+
+const HISTORY_SCAN_LIMIT = 5000;
+
+// ─── Configuration ──────────────────────────────────────────────────────────
+
+/**
+ * Normalize sdk.flakyTests.
+ *
+ * @param {Object} [config] - sdk.flakyTests (defaults to workflow-config.json)
+ * @returns {Object}
+ */
+function loadFlakyConfig(config) {
+    const flaky = config || loadWorkflowConfig()?.sdk?.flakyTests || {};
+    const integer = (value, fallback, min) => {
+        const number = Number(value);
+        return Number.isFinite(number) && number >= min ? Math.floor(number) : fallback;
+    };
+    const threshold = Number(flaky.threshold);
+
+    return {
+        enabled: flaky.enabled !== false,
+        window: integer(flaky.window, DEFAULTS.window, 2),
+        threshold: Number.isFinite(threshold) && threshold > 0 && threshold <= 1 ? threshold : DEFAULTS.threshold,
+        minRuns: integer(flaky.minRuns, DEFAULTS.minRuns, 1),
+        autoQuarantine: flaky.autoQuarantine !== false,
+        releaseAfterPasses: integer(flaky.releaseAfterPasses, DEFAULTS.releaseAfterPasses, 0),
+        rerunsBeforeHealing: integer(flaky.rerunsBeforeHealing, DEFAULTS.rerunsBeforeHealing, 0),
+    };
+}
+
+// ─── History Records ────────────────────────────────────────────────────────
+
+/**
+ * Stable identity of a test across runs: spec file, full title and project.
+ *
+ * @param {Object} test - playwright-results test record
+ * @returns {string}
+ */
+function testKey(test) {
+    const base = `${test.file || 'unknown'}::${test.title}`;
+    return test.project ? `${base} [${test.project}]` : base;
+}
+
+/**
+ * History records for every test of a parsed report.
+ *
+ * @param {Object} parsed - parsePlaywrightReport() result
+ * @param {Object} [meta] - { ticketId, scenarioId, specPath }
+ * @returns {Object[]}
+ */
+function toHistoryRecords(parsed, meta = {}) {
+    return (parsed?.tests || []).map(test => ({
+        testKey: testKey(test),
+        status: test.status,
+        ticketId: meta.ticketId || null,
+        scenarioId: meta.scenarioId || null,
+        specPath: meta.specPath || null,
+        file: test.file || null,
+        title: test.title,
+        project: test.project || null,
+        retries: test.retries || 0,
+        duration: test.duration || 0,
+        error: test.error?.message ? test.error.message.split('\n')[0].substring(0, 300) : null,
+    }));
+}
+
+// ─── Scoring ────────────────────────────────────────────────────────────────
+
+/**
+ * Flakiness of one test from its history.
+ *
+ * @param {Object[]} records - The test's outcomes, most recent first
+ * @param {Object} [settings] - loadFlakyConfig() result
+ * @returns {{ runs: number, passed: number, failed: number, flaky: number, flips: number,
+ *   score: number, lastStatus: string|null, lastRunAt: string|null, consecutivePasses: number }}
+ */
+function scoreTestHistory(records, settings = DEFAULTS) {
+    const recent = records
+        .filter(record => record.status !== TEST_STATUS.SKIPPED)
+        .slice(0, settings.window || DEFAULTS.window);
+
+    let passed = 0;
+    let failed = 0;
+    let flaky = 0;
+    let flips = 0;
+    let previous = null;
+    // Oldest first, so flips follow the order the runs happened in
+    for (const record of [...recent].reverse()) {
+        if (record.status === TEST_STATUS.FLAKY) {
+            flaky++;
+            continue;
+        }
+        const outcome = record.status === TEST_STATUS.PASSED ? 'pass' : 'fail';
+        if (outcome === 'pass') passed++;
+        else failed++;
+        if (previous && previous !== outcome) flips++;
+        previous = outcome;
+    }
+
+    let consecutivePasses = 0;
+    for (const record of recent) {
+        if (record.status !== TEST_STATUS.PASSED) break;
+        consecutivePasses++;
+    }
+
+    const runs = recent.length;
+    return {
+        runs,
+        passed,
+        failed,
+        flaky,
+        flips,
+        score: runs > 0 ? Math.round(Math.min(1, (flaky + flips) / runs) * 100) / 100 : 0,
+        lastStatus: recent[0]?.status || null,
+        lastRunAt: recent[0]?.recordedAt || null,
+        consecutivePasses,
+    };
+}
+
+// ─── Tracker ────────────────────────────────────────────────────────────────
+
+class FlakyTestTracker {
+    /**
+     * @param {Object} options
+     * @param {Object} options.runStore - RunStore holding the test history
+     * @param {Object} [options.config] - sdk.flakyTests (defaults to workflow-config.json)
+     */
+    constructor(options = {}) {
+        if (!options.runStore) throw new Error('FlakyTestTracker requires a runStore');
+        this.runStore = options.runStore;
+        this.settings = loadFlakyConfig(options.config);
+    }
+
+    /**
+     * Record the outcome of every test in a run, re-score them and update
+     * the quarantine.
+     *
+     * @param {string} runId
+     * @param {Object} parsed - parsePlaywrightReport() result
+     * @param {Object} [meta] - { ticketId, scenarioId, specPath }
+     * @returns {{ records: number, scores: Object, quarantined: string[], released: string[],
+     *   quarantinedTests: string[] }} `quarantined` / `released` list this run's changes;
+     *   `quarantinedTests` every test of the run now in quarantine
+     */
+    recordRun(runId, parsed, meta = {}) {
+        const records = toHistoryRecords(parsed, meta);
+        if (!this.settings.enabled || records.length === 0) {
+            return { records: 0, scores: {}, quarantined: [], released: [], quarantinedTests: [] };
+        }
+
+        const written = this.runStore.recordTestResults(runId, records);
+        return { records: written, ...this._evaluate(records) };
+    }
+
+    /**
+     * Re-record failures of a run as flaky — they passed when re-run.
+     *
+     * @param {string} runId
+     * @param {string[]} testKeys
+     * @returns {Object} Same shape as recordRun()
+     */
+    markFlaky(runId, testKeys = []) {
+        const keys = new Set(testKeys);
+        const records = this.runStore.getTestHistory({ runId })
+            .filter(record => keys.has(record.testKey))
+            .map(record => ({ ...record, status: TEST_STATUS.FLAKY }));
+        if (records.length === 0) {
+            return { records: 0, scores: {}, quarantined: [], released: [], quarantinedTests: [] };
+        }
+
+        const written = this.runStore.recordTestResults(runId, records);
+        return { records: written, ...this._evaluate(records) };
+    }
+
+    /**
+     * Quarantine a test by hand.
+     *
+     * @param {string} testKey
+     * @param {Object} [options] - { reason, by }
+     * @returns {Object} The quarantine entry
+     */
+    quarantine(testKey, options = {}) {
+        const history = this.runStore.getTestHistory({ testKey, limit: this.settings.window });
+        const latest = history[0] || {};
+        const entry = {
+            testKey,
+            title: latest.title || null,
+            file: latest.file || null,
+            project: latest.project || null,
+            reason: options.reason || 'Quarantined manually',
+            auto: false,
+            score: scoreTestHistory(history, this.settings).score,
+            quarantinedAt: new Date().toISOString(),
+            quarantinedBy: options.by || 'user',
+        };
+        this.runStore.setTestQuarantine(testKey, entry);
+        return entry;
+    }
+
+    /**
+     * Release a quarantined test.
+     *
+     * @param {string} testKey
+     * @returns {boolean} Whether the test was quarantined
+     */
+    release(testKey) {
+        const quarantined = this.runStore.getTestQuarantine().some(entry => entry.testKey === testKey);
+        if (quarantined) this.runStore.setTestQuarantine(testKey, null);
+        return quarantined;
+    }
+
+    /**
+     * Every quarantined test.
+     * @returns {Object[]}
+     */
+    getQuarantine() {
+        return this.runStore.getTestQuarantine();
+    }
+
+    /**
+     * Keys of the tests in quarantine. Read before recordRun() so that a test
+     * quarantined by a run's own failure still gates that run.
+     *
+     * @returns {Set<string>}
+     */
+    getQuarantinedKeys() {
+        if (!this.settings.enabled) return new Set();
+        return new Set(this.getQuarantine().map(entry => entry.testKey));
+    }
+
+    /**
+     * Tracked tests with their scores, recent outcomes and quarantine entry,
+     * flakiest first.
+     *
+     * @param {Object} [filters]
+     * @param {string} [filters.specPath]
+     * @param {string} [filters.ticketId]
+     * @param {boolean} [filters.quarantinedOnly]
+     * @param {number} [filters.minScore]
+     * @returns {{ tests: Object[], summary: Object, settings: Object }}
+     */
+    getReport(filters = {}) {
+        const history = this.runStore.getTestHistory({
+            specPath: filters.specPath,
+            ticketId: filters.ticketId,
+            limit: HISTORY_SCAN_LIMIT,
+        });
+        const quarantine = new Map(this.getQuarantine().map(entry => [entry.testKey, entry]));
+
+        const byTest = new Map();
+        for (const record of history) {
+            if (!byTest.has(record.testKey)) byTest.set(record.testKey, []);
+            byTest.get(record.testKey).push(record);
+        }
+        // Quarantined tests stay visible even when the filters match none of their history
+        if (!filters.specPath && !filters.ticketId) {
+            for (const testKey of quarantine.keys()) {
+                if (!byTest.has(testKey)) byTest.set(testKey, []);
+            }
+        }
+
+        const minScore = Number(filters.minScore) || 0;
+        const tests = [...byTest.entries()]
+            .map(([key, records]) => {
+                const latest = records[0] || quarantine.get(key) || {};
+                return {
+                    testKey: key,
+                    title: latest.title || key,
+                    file: latest.file || null,
+                    project: latest.project || null,
+                    specPath: latest.specPath || null,
+                    ticketId: latest.ticketId || null,
+                    ...scoreTestHistory(records, this.settings),
+                    recent: records.slice(0, this.settings.window).map(record => ({
+                        runId: record.runId,
+                        status: record.status,
+                        recordedAt: record.recordedAt,
+                        error: record.error || null,
+                    })),
+                    quarantine: quarantine.get(key) || null,
+                };
+            })
+            .filter(test => (!filters.quarantinedOnly || test.quarantine) && test.score >= minScore)
+            .sort((a, b) => b.score - a.score || String(b.lastRunAt).localeCompare(String(a.lastRunAt)));
+
+        return {
+            tests,
+            summary: {
+                tracked: tests.length,
+                flaky: tests.filter(test => test.runs >= this.settings.minRuns && test.score >= this.settings.threshold).length,
+                quarantined: tests.filter(test => test.quarantine).length,
+            },
+            settings: this.settings,
+        };
+    }
+
+    // ─── Internal ───────────────────────────────────────────────────────
+
+    _evaluate(records) {
+        const quarantine = new Map(this.getQuarantine().map(entry => [entry.testKey, entry]));
+        const scores = {};
+        const quarantined = [];
+        const released = [];
+
+        for (const record of records) {
+            const history = this.runStore.getTestHistory({ testKey: record.testKey, limit: this.settings.window * 2 });
+            const score = scoreTestHistory(history, this.settings);
+            scores[record.testKey] = score;
+
+            const entry = quarantine.get(record.testKey);
+            if (entry) {
+                if (entry.auto && this.settings.releaseAfterPasses > 0 &&
+                    score.consecutivePasses >= this.settings.releaseAfterPasses) {
+                    this.runStore.setTestQuarantine(record.testKey, null);
+                    quarantine.delete(record.testKey);
+                    released.push(record.testKey);
+                }
+                continue;
+            }
+
+            if (this.settings.autoQuarantine && score.runs >= this.settings.minRuns &&
+                score.score >= this.settings.threshold) {
+                const newEntry = {
+                    testKey: record.testKey,
+                    title: record.title,
+                    file: record.file,
+                    project: record.project,
+                    reason: `Flakiness score ${score.score} over the last ${score.runs} run(s)`,
+                    auto: true,
+                    score: score.score,
+                    quarantinedAt: new Date().toISOString(),
+                    quarantinedBy: 'flaky-tests',
+                };
+                this.runStore.setTestQuarantine(record.testKey, newEntry);
+                quarantine.set(record.testKey, newEntry);
+                quarantined.push(record.testKey);
+            }
+        }
+
+        return {
+            scores,
+            quarantined,
+            released,
+            quarantinedTests: records.map(record => record.testKey).filter(key => quarantine.has(key)),
+        };
+    }
+}
+
+module.exports = {
+    FlakyTestTracker,
+    loadFlakyConfig,
+    scoreTestHistory,
+    toHistoryRecords,
+    testKey,
+};
@@ -0,0 +1,391 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * GIT WEBHOOKS — GitHub / GitLab Pull Request Events
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Parses pull request (GitHub) and merge request (GitLab) webhook deliveries
+ * into one provider-neutral shape, authenticates them, lists the files a PR
+ * changes through the provider's REST API, and builds the `execute` run for
+ * the specs those changes affect (see spec-impact.js):
+ *
+ *   GitHub — `X-GitHub-Event: pull_request`, HMAC in `X-Hub-Signature-256`,
+ *            files from GET /repos/:owner/:repo/pulls/:number/files
+ *   GitLab — `X-Gitlab-Event: Merge Request Hook`, shared token in
+ *            `X-Gitlab-Token`, files from GET /projects/:id/merge_requests/:iid/diffs
+ *
+ * Settings live in workflow-config.json → sdk.webhooks.git. `apiBaseUrl` is
+ * configurable per provider (GitHub Enterprise, self-managed GitLab, or a
+ * local mock server).
+ *
+ * @module sdk-orchestrator/git-webhooks
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+const { isValidMode, loadWorkflowConfig } = require('./utils');
+const { verifySignature } = require('./webhook-security');
+
+const GITHUB_PR_ACTIONS = ['opened', 'synchronize', 'reopened', 'ready_for_review'];
+const GITLAB_MR_ACTIONS = ['open', 'reopen', 'update'];
+
+const DEFAULT_TRIGGER_PATHS = ['tests/pageobjects/', 'tests/specs/'];
+const MAX_FILE_PAGES = 30;
+
+// ─── Provider Detection ─────────────────────────────────────────────────────
+
+/**
+ * Which provider sent a delivery, from its event header.
+ * @param {Object} headers - Lower-cased request headers
+ * @returns {'github'|'gitlab'|null}
+ */
+function detectProvider(headers = {}) {
+    if (headers['x-github-event']) return 'github';
+    if (headers['x-gitlab-event']) return 'gitlab';
+    return null;
+}
+
+// ─── Payload Parsing ────────────────────────────────────────────────────────
+
+/**
+ * Normalize a GitHub `pull_request` delivery.
+ *
+ * @param {Object} headers - Lower-cased request headers
+ * @param {Object} payload
+ * @returns {{ event: string, action: string|null, relevant: boolean, reason: string|null, pullRequest: Object|null }}
+ */
+function parseGitHubEvent(headers = {}, payload = {}) {
+    const event = headers['x-github-event'] || null;
+    const action = payload?.action || null;
+    const pr = payload?.pull_request;
+
+    if (event !== 'pull_request') {
+        return { event, action, relevant: false, reason: `Event "${event}" is not a pull request event`, pullRequest: null };
+    }
+    if (!pr || !payload.repository) {
+        return { event, action, relevant: false, reason: 'Payload has no pull_request or repository', pullRequest: null };
+    }
+
+    const pullRequest = {
+        provider: 'github',
+        repository: payload.repository.full_name,
+        projectId: payload.repository.full_name,
+        number: pr.number,
+        title: pr.title || '',
+        url: pr.html_url || null,
+        author: pr.user?.login || null,
+        headSha: pr.head?.sha || null,
+        sourceBranch: pr.head?.ref || null,
+        targetBranch: pr.base?.ref || null,
+        draft: pr.draft === true,
+    };
+
+    if (!GITHUB_PR_ACTIONS.includes(action)) {
+        return { event, action, relevant: false, reason: `Action "${action}" does not change the PR's code`, pullRequest };
+    }
+    return { event, action, relevant: true, reason: null, pullRequest };
+}
+
+/**
+ * Normalize a GitLab `Merge Request Hook` delivery. `update` only counts when
+ * it carries new commits (`oldrev`) — title or label edits are ignored.
+ *
+ * @param {Object} headers - Lower-cased request headers
+ * @param {Object} payload
+ * @returns {{ event: string, action: string|null, relevant: boolean, reason: string|null, pullRequest: Object|null }}
+ */
+function parseGitLabEvent(headers = {}, payload = {}) {
+    const event = headers['x-gitlab-event'] || null;
+    const attributes = payload?.object_attributes;
+    const action = attributes?.action || null;
+
+    if (payload?.object_kind !== 'merge_request') {
+        return { event, action, relevant: false, reason: `Event "${event}" is not a merge request event`, pullRequest: null };
+    }
+    if (!attributes || !payload.project) {
+        return { event, action, relevant: false, reason: 'Payload has no object_attributes or project', pullRequest: null };
+    }
+
+    const pullRequest = {
+        provider: 'gitlab',
+        repository: payload.project.path_with_namespace,
+        projectId: payload.project.id,
+        number: attributes.iid,
+        title: attributes.title || '',
+        url: attributes.url || null,
+        author: payload.user?.username || null,
+        headSha: attributes.last_commit?.id || null,
+        sourceBranch: attributes.source_branch || null,
+        targetBranch: attributes.target_branch || null,
+        draft: attributes.draft === true || attributes.work_in_progress === true,
+    };
+
+    if (!GITLAB_MR_ACTIONS.includes(action)) {
+        return { event, action, relevant: false, reason: `Action "${action}" does not change the MR's code`, pullRequest };
+    }
+    if (action === 'update' && !attributes.oldrev) {
+        return { event, action, relevant: false, reason: 'Update without new commits', pullRequest };
+    }
+    return { event, action, relevant: true, reason: null, pullRequest };
+}
+
+/**
+ * Parse a delivery from either provider.
+ * @param {'github'|'gitlab'} provider
+ * @param {Object} headers
+ * @param {Object} payload
+ * @returns {Object} See parseGitHubEvent()
+ */
+function parseGitEvent(provider, headers, payload) {
+    return provider === 'gitlab' ? parseGitLabEvent(headers, payload) : parseGitHubEvent(headers, payload);
+}
+
+// ─── Authentication ─────────────────────────────────────────────────────────
+
+/**
+ * Authenticate a delivery: GitHub signs the body with HMAC-SHA256, GitLab
+ * sends the shared secret itself in `X-Gitlab-Token`.
+ *
+ * @param {'github'|'gitlab'} provider
+ * @param {Object} headers - Lower-cased request headers
+ * @param {Buffer|string} rawBody
+ * @param {string} secret
+ * @returns {{ valid: boolean, error: string|null }}
+ */
+function verifyGitDelivery(provider, headers, rawBody, secret) {
+    if (provider === 'github') {
+        return verifySignature(rawBody, headers['x-hub-signature-256'], secret);
+    }
+
+    if (!secret) return { valid: false, error: 'Webhook secret is not configured' };
+    const token = headers['x-gitlab-token'];
+    if (!token) return { valid: false, error: 'Missing X-Gitlab-Token header' };
+
+    // Compare digests so lengths always match for timingSafeEqual
+    const expected = crypto.createHash('sha256').update(secret).digest();
+    const received = crypto.createHash('sha256').update(String(token)).digest();
+    if (!crypto.timingSafeEqual(expected, received)) {
+        return { valid: false, error: 'Token mismatch' };
+    }
+    return { valid: true, error: null };
+}
+
+/**
+ * Delivery ID header per provider. Redeliveries keep the original ID, so
+ * the delivery log deduplicates them.
+ * @param {'github'|'gitlab'} provider
+ * @returns {string[]}
+ */
+function deliveryIdHeaders(provider) {
+    return provider === 'gitlab' ? ['x-gitlab-event-uuid'] : ['x-github-delivery'];
+}
+
+// ─── Changed Files ──────────────────────────────────────────────────────────
+
+/**
+ * List the files a PR changes.
+ *
+ * @param {Object} pullRequest        - From parseGitEvent()
+ * @param {Object} providerConfig     - sdk.webhooks.git.<provider> (from loadGitWebhookConfig)
+ * @param {Object} [options]
+ * @param {Function} [options.fetch]  - Defaults to global fetch
+ * @returns {Promise<{ path: string, previousPath: string|null, status: string, patch: string }[]>}
+ */
+async function listChangedFiles(pullRequest, providerConfig, options = {}) {
+    const fetchImpl = options.fetch || fetch;
+    const token = process.env[providerConfig.tokenEnv] || null;
+    const files = [];
+
+    for (let page = 1; page <= MAX_FILE_PAGES; page++) {
+        const url = pullRequest.provider === 'gitlab'
+            ? `${providerConfig.apiBaseUrl}/projects/${encodeURIComponent(pullRequest.projectId)}/merge_requests/${pullRequest.number}/diffs?per_page=100&page=${page}`
+            : `${providerConfig.apiBaseUrl}/repos/${pullRequest.repository}/pulls/${pullRequest.number}/files?per_page=100&page=${page}`;
+
+        const response = await fetchImpl(url, { headers: apiHeaders(pullRequest.provider, token) });
+        if (!response.ok) {
+            throw new Error(`${pullRequest.provider} API returned ${response.status} listing changed files`);
+        }
+
+        const items = await response.json();
+        if (!Array.isArray(items) || items.length === 0) break;
+        files.push(...items.map(item => pullRequest.provider === 'gitlab' ? fromGitLabDiff(item) : fromGitHubFile(item)));
+        if (items.length < 100) break;
+    }
+
+    return files;
+}
+
+/**
+ * Auth and media-type headers for provider API calls.
+ * @param {'github'|'gitlab'} provider
+ * @param {string|null} token
+ * @returns {Object}
+ */
+function apiHeaders(provider, token) {
+    if (provider === 'gitlab') {
+        return token ? { 'PRIVATE-TOKEN': token } : {};
+    }
+    return {
+        Accept: 'application/vnd.github+json',
+        'User-Agent': 'qa-agentic-workflow',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    };
+}
+
+function fromGitHubFile(file) {
+    return {
+        path: file.filename,
+        previousPath: file.previous_filename || null,
+        status: file.status,
+        patch: file.patch || '',
+    };
+}
+
+function fromGitLabDiff(diff) {
+    let status = 'modified';
+    if (diff.new_file) status = 'added';
+    else if (diff.deleted_file) status = 'removed';
+    else if (diff.renamed_file) status = 'renamed';
+
+    return {
+        path: diff.new_path,
+        previousPath: diff.renamed_file ? diff.old_path : null,
+        status,
+        patch: diff.diff || '',
+    };
+}
+
+// ─── Run Parameters ─────────────────────────────────────────────────────────
+
+/**
+ * Ticket ID a PR's runs are filed under: PR-<number> (GitHub), MR-<iid> (GitLab).
+ * @param {Object} pullRequest
+ * @returns {string}
+ */
+function pullRequestTicketId(pullRequest) {
+    return `${pullRequest.provider === 'gitlab' ? 'MR' : 'PR'}-${pullRequest.number}`;
+}
+
+/**
+ * RunStore#createRun parameters for a PR: one scenario per affected spec,
+ * pinned to that spec. Changed specs get `review` and their diff as review
+ * context.
+ *
+ * @param {Object} pullRequest - From parseGitEvent()
+ * @param {Object} impact      - From spec-impact.mapChangedFilesToSpecs()
+ * @param {Object} config      - From loadGitWebhookConfig()
+ * @param {Object} [extra]     - Merged into the stored pullRequest record (e.g. deliveryId)
+ * @returns {Object}
+ */
+function buildPullRequestRun(pullRequest, impact, config, extra = {}) {
+    const usedIds = new Set();
+    const scenarios = impact.specs.map(spec => {
+        const base = spec.specPath
+            .replace(/^tests\/specs\//, '')
+            .replace(/\.spec\.[cm]?[jt]s$/, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'spec';
+        let id = base;
+        for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+        usedIds.add(id);
+
+        const review = config.review && spec.review;
+        return {
+            id,
+            name: spec.specPath,
+            specPath: spec.specPath,
+            review,
+            reviewContext: review ? reviewContext(pullRequest, spec) : null,
+        };
+    });
+
+    return {
+        ticketId: pullRequestTicketId(pullRequest),
+        mode: config.mode,
+        environment: config.environment,
+        model: config.model || undefined,
+        triggeredBy: 'webhook',
+        pullRequest: {
+            ...pullRequest,
+            specs: impact.specs.map(({ specPath, reasons, review }) => ({ specPath, reasons, review })),
+            truncated: impact.truncated,
+            skipped: impact.skipped,
+            ...extra,
+        },
+        mission: {
+            source: pullRequest.provider,
+            objective: `${pullRequestTicketId(pullRequest)}: ${pullRequest.title}`.trim(),
+            scenarios,
+        },
+    };
+}
+
+function reviewContext(pullRequest, spec) {
+    const lines = [
+        `Pull request: ${pullRequest.title} (${pullRequest.url || pullRequest.repository})`,
+        `Branch: ${pullRequest.sourceBranch} → ${pullRequest.targetBranch}`,
+    ];
+    if (spec.patch) {
+        const patch = spec.patch.length > 6000 ? `${spec.patch.slice(0, 6000)}\n... (diff truncated)` : spec.patch;
+        lines.push('Changes to this spec in the pull request:', '```diff', patch, '```');
+    }
+    return lines.join('\n');
+}
+
+// ─── Config ─────────────────────────────────────────────────────────────────
+
+/**
+ * Read sdk.webhooks.git with defaults applied.
+ *
+ * @param {Object} [config] - sdk.webhooks.git (read from workflow-config.json when omitted)
+ * @returns {Object}
+ */
+function loadGitWebhookConfig(config) {
+    const git = config || loadWorkflowConfig()?.sdk?.webhooks?.git || {};
+
+    return {
+        enabled: git.enabled === true,
+        triggerPaths: Array.isArray(git.triggerPaths) && git.triggerPaths.length > 0 ? git.triggerPaths : DEFAULT_TRIGGER_PATHS,
+        sharedFiles: Array.isArray(git.sharedFiles) ? git.sharedFiles : ['tests/pageobjects/POmanager.js'],
+        maxSpecs: git.maxSpecs || 20,
+        mode: git.mode && isValidMode(git.mode) ? git.mode : 'execute',
+        environment: String(git.environment || 'UAT').toUpperCase(),
+        model: git.model || null,
+        review: git.review !== false,
+        includeDrafts: git.includeDrafts === true,
+        statusContext: git.statusContext || 'qa-agentic-workflow',
+        targetUrlTemplate: git.targetUrlTemplate || null,
+        reporter: git.reporter || 'auto',
+        github: {
+            secretEnv: 'GITHUB_WEBHOOK_SECRET',
+            tokenEnv: 'GITHUB_TOKEN',
+            apiBaseUrl: 'https://api.github.com',
+            ...(git.github || {}),
+        },
+        gitlab: {
+            secretEnv: 'GITLAB_WEBHOOK_SECRET',
+            tokenEnv: 'GITLAB_TOKEN',
+            apiBaseUrl: 'https://gitlab.com/api/v4',
+            ...(git.gitlab || {}),
+        },
+    };
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+    detectProvider,
+    parseGitHubEvent,
+    parseGitLabEvent,
+    parseGitEvent,
+    verifyGitDelivery,
+    deliveryIdHeaders,
+    listChangedFiles,
+    apiHeaders,
+    pullRequestTicketId,
+    buildPullRequestRun,
+    loadGitWebhookConfig,
+    GITHUB_PR_ACTIONS,
+    GITLAB_MR_ACTIONS,
+    DEFAULT_TRIGGER_PATHS,
+};
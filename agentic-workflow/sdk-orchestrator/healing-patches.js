@@ -0,0 +1,421 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * HEALING PATCHES — Reviewable Diffs for Self-Healing Fixes
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Every fix the self-healing engine makes to a spec — a regex auto-fix or an
+ * SDK healing session — is captured as a patch: a unified diff plus the
+ * hypothesis, error category and evidence that motivated it, and whether the
+ * next test run passed with it.
+ *
+ * In 'propose' mode (default) healing works on a copy next to the spec
+ * (<name>.healing.spec.js) and the spec itself is never written. Patches wait
+ * for review: accepting applies the diff to the workspace spec or commits it
+ * to a new git branch through commit_and_push_repo_changes; rejecting drops
+ * it. In 'apply' mode fixes are written in place as before and the patches
+ * are kept as a record (status 'applied').
+ *
+ * Layout (per run, next to the rest of the mission evidence):
+ *   test-results/mission-evidence/<runId>/healing-patches/<patchId>.json
+ *   test-results/mission-evidence/<runId>/healing-patches/<patchId>.diff
+ *
+ * @module sdk-orchestrator/healing-patches
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ensureDir, writeJSONSync, readJSONSync, loadWorkflowConfig } = require('./utils');
+const { diffLines } = require('./run-compare');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..', '..');
+const EVIDENCE_ROOT = path.join(PROJECT_ROOT, 'test-results', 'mission-evidence');
+const PATCH_DIR = 'healing-patches';
+
+const HEALING_PATCH_STATUS = Object.freeze({
+    PROPOSED: 'proposed',
+    ACCEPTED: 'accepted',
+    REJECTED: 'rejected',
+    APPLIED: 'applied',
+});
+
+const PATCH_MODES = ['propose', 'apply'];
+
+const DEFAULTS = {
+    mode: 'propose',
+    branchPrefix: 'healing/',
+};
+
+// ─── Configuration ──────────────────────────────────────────────────────────
+
+/**
+ * Normalize sdk.healingPatches.
+ *
+ * @param {Object} [config] - sdk.healingPatches (defaults to workflow-config.json)
+ * @returns {{ mode: 'propose'|'apply', branchPrefix: string }}
+ */
+function loadHealingPatchConfig(config) {
+    const patches = config || loadWorkflowConfig()?.sdk?.healingPatches || {};
+    return {
+        mode: PATCH_MODES.includes(patches.mode) ? patches.mode : DEFAULTS.mode,
+        branchPrefix: typeof patches.branchPrefix === 'string' && patches.branchPrefix.trim()
+            ? patches.branchPrefix.trim()
+            : DEFAULTS.branchPrefix,
+    };
+}
+
+// ─── Diffs ──────────────────────────────────────────────────────────────────
+
+/**
+ * Unified diff between two versions of a file.
+ *
+ * @param {string} filePath - Repo-relative path for the ---/+++ headers
+ * @param {string} before
+ * @param {string} after
+ * @returns {{ diff: string, added: number, removed: number, hunks: Object[] }}
+ *   hunks as produced by run-compare's diffLines (kept for applyHunks)
+ */
+function createUnifiedDiff(filePath, before, after) {
+    const { added, removed, hunks } = diffLines(before, after);
+    const lines = [`--- a/${filePath}`, `+++ b/${filePath}`];
+
+    for (const hunk of hunks) {
+        const baseCount = hunk.lines.filter(line => line.type !== '+').length;
+        const headCount = hunk.lines.filter(line => line.type !== '-').length;
+        lines.push(`@@ -${hunk.baseStart},${baseCount} +${hunk.headStart},${headCount} @@`);
+        for (const line of hunk.lines) lines.push(`${line.type}${line.text}`);
+    }
+
+    return { diff: hunks.length > 0 ? `${lines.join('\n')}\n` : '', added, removed, hunks };
+}
+
+/**
+ * Apply diff hunks to a file's content. Each hunk is located at its recorded
+ * line first, then at the nearest position where its context and removed
+ * lines match — the spec may have moved on since the patch was made.
+ *
+ * @param {string} content
+ * @param {Object[]} hunks - From createUnifiedDiff
+ * @returns {string} The patched content
+ * @throws {Error} When a hunk's lines are not found (the spec changed underneath)
+ */
+function applyHunks(content, hunks) {
+    const lines = content.split('\n');
+    let offset = 0;
+
+    for (const hunk of hunks) {
+        const base = hunk.lines.filter(line => line.type !== '+').map(line => line.text);
+        const head = hunk.lines.filter(line => line.type !== '-').map(line => line.text);
+        const expected = hunk.baseStart - 1 + offset;
+        const at = findBlock(lines, base, expected);
+        if (at === -1) {
+            throw new Error(`Patch does not apply: hunk @@ -${hunk.baseStart},${base.length} @@ no longer matches the spec`);
+        }
+        lines.splice(at, base.length, ...head);
+        offset = at - (hunk.baseStart - 1) + head.length - base.length;
+    }
+
+    return lines.join('\n');
+}
+
+function findBlock(lines, block, expected) {
+    const matchesAt = start => start >= 0
+        && start + block.length <= lines.length
+        && block.every((text, i) => lines[start + i] === text);
+
+    for (let distance = 0; distance <= lines.length; distance++) {
+        if (matchesAt(expected - distance)) return expected - distance;
+        if (distance > 0 && matchesAt(expected + distance)) return expected + distance;
+    }
+    return -1;
+}
+
+/**
+ * Where healing works in propose mode: a copy next to the spec, so relative
+ * imports resolve and Playwright still picks it up as a spec.
+ *
+ * @param {string} specPath
+ * @returns {string} e.g. tests/specs/login.healing.spec.js
+ */
+function workingCopyPath(specPath) {
+    return /\.spec\.[cm]?[jt]s$/.test(specPath)
+        ? specPath.replace(/\.spec(\.[cm]?[jt]s)$/, '.healing.spec$1')
+        : `${specPath}.healing`;
+}
+
+// ─── Patch Store ────────────────────────────────────────────────────────────
+
+class HealingPatchStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.rootDir]     - Evidence root (default test-results/mission-evidence)
+     * @param {string} [options.projectRoot] - Spec paths in patches are relative to this
+     * @param {Object} [options.config]      - sdk.healingPatches
+     * @param {Function} [options.commitAndPush] - ({ commitMessage, files, branch }) → result of
+     *   commit_and_push_repo_changes (default: custom-tools runSafeCommitAndPush)
+     */
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || EVIDENCE_ROOT;
+        this.projectRoot = options.projectRoot || PROJECT_ROOT;
+        this.config = loadHealingPatchConfig(options.config);
+        this.commitAndPush = options.commitAndPush
+            || (args => require('./custom-tools').runSafeCommitAndPush(args));
+    }
+
+    /**
+     * Build a patch from a spec's content before and after a fix and save it.
+     *
+     * @param {Object} input
+     * @param {string} input.runId
+     * @param {string} input.ticketId
+     * @param {string} [input.scenarioId]
+     * @param {number} input.iteration
+     * @param {string} input.specPath - The spec the patch targets (not the working copy)
+     * @param {string} input.before
+     * @param {string} input.after
+     * @param {string} input.strategy  - 'primary' | 'hypothesis-<rank>' | 'cognitive-enriched'
+     * @param {string} input.category  - ErrorAnalyzer category the fix addressed
+     * @param {Object} [input.hypothesis] - { rank, category, confidence, pattern }
+     * @param {Object} [input.evidence]   - { failedTests, error, causalChain, changes, agentResponse }
+     * @param {string} [input.status]     - Default 'proposed'
+     * @returns {Object|null} The saved patch, or null when the content did not change
+     */
+    create(input) {
+        if (input.before === input.after) return null;
+
+        const specPath = this._relative(input.specPath);
+        const { diff, added, removed, hunks } = createUnifiedDiff(specPath, input.before, input.after);
+        const now = new Date().toISOString();
+        const patch = {
+            id: `patch-${input.iteration}-${sha256(`${specPath}\n${diff}\n${now}`).slice(0, 8)}`,
+            runId: input.runId,
+            ticketId: input.ticketId,
+            scenarioId: input.scenarioId || null,
+            iteration: input.iteration,
+            specPath,
+            strategy: input.strategy,
+            category: input.category || null,
+            hypothesis: input.hypothesis || null,
+            evidence: input.evidence || {},
+            diff,
+            added,
+            removed,
+            hunks,
+            baseHash: sha256(input.before),
+            verified: null,
+            testsAfter: null,
+            status: input.status || HEALING_PATCH_STATUS.PROPOSED,
+            createdAt: now,
+        };
+        return this.save(patch);
+    }
+
+    /**
+     * Persist a patch (JSON record plus a plain .diff for tooling).
+     * @param {Object} patch
+     * @returns {Object} The patch
+     */
+    save(patch) {
+        const dir = this._dir(patch.runId);
+        writeJSONSync(path.join(dir, `${patch.id}.json`), patch);
+        fs.writeFileSync(path.join(dir, `${patch.id}.diff`), patch.diff, 'utf-8');
+        return patch;
+    }
+
+    /**
+     * Record the test run that followed a patch.
+     *
+     * @param {Object} patch
+     * @param {Object} testResult - { passed, totalCount, failedCount }
+     * @returns {Object} The patch
+     */
+    markVerified(patch, testResult) {
+        patch.verified = !!testResult.passed;
+        patch.testsAfter = {
+            passed: !!testResult.passed,
+            totalCount: testResult.totalCount || 0,
+            failedCount: testResult.failedCount || 0,
+        };
+        return this.save(patch);
+    }
+
+    // ─── Queries ────────────────────────────────────────────────────
+
+    /**
+     * @param {Object} [filters]
+     * @param {string} [filters.runId]
+     * @param {string} [filters.ticketId]
+     * @param {string} [filters.status]
+     * @returns {Object[]} Patches without their hunks, proposed first, then newest
+     */
+    list(filters = {}) {
+        if (filters.runId && !isSafeSegment(filters.runId)) return [];
+        const runIds = filters.runId ? [filters.runId] : this._runIds();
+        const patches = [];
+
+        for (const runId of runIds) {
+            const dir = this._dir(runId, false);
+            if (!fs.existsSync(dir)) continue;
+            for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json'))) {
+                const patch = readJSONSync(path.join(dir, file));
+                if (!patch) continue;
+                if (filters.ticketId && patch.ticketId !== filters.ticketId) continue;
+                if (filters.status && patch.status !== filters.status) continue;
+                const { hunks, ...summary } = patch;
+                patches.push(summary);
+            }
+        }
+
+        return patches.sort((a, b) =>
+            Number(b.status === HEALING_PATCH_STATUS.PROPOSED) - Number(a.status === HEALING_PATCH_STATUS.PROPOSED)
+            || new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    /**
+     * @param {string} runId
+     * @param {string} patchId
+     * @returns {Object|null}
+     */
+    get(runId, patchId) {
+        if (!isSafeSegment(runId) || !isSafeSegment(patchId)) return null;
+        return readJSONSync(path.join(this._dir(runId, false), `${patchId}.json`));
+    }
+
+    // ─── Review ─────────────────────────────────────────────────────
+
+    /**
+     * Accept a proposed patch.
+     *
+     * target 'workspace' applies the diff to the spec in the working tree.
+     * target 'branch' applies it, commits only that spec to a new branch and
+     * pushes it via commit_and_push_repo_changes, then restores the spec — the
+     * working tree is left as it was.
+     *
+     * @param {string} runId
+     * @param {string} patchId
+     * @param {Object} [review]
+     * @param {string} [review.reviewer]
+     * @param {string} [review.comment]
+     * @param {'workspace'|'branch'} [review.target] - Default 'workspace'
+     * @param {string} [review.branch] - Default <branchPrefix><ticket>-<patchId>
+     * @returns {Promise<Object>} The updated patch
+     * @throws {Error} Not found, already reviewed, conflict, or the commit failed
+     */
+    async accept(runId, patchId, review = {}) {
+        const patch = this._proposed(runId, patchId);
+        const target = review.target === 'branch' ? 'branch' : 'workspace';
+        const specFile = path.join(this.projectRoot, patch.specPath);
+        if (!fs.existsSync(specFile)) throw new Error(`Spec ${patch.specPath} not found`);
+
+        const current = fs.readFileSync(specFile, 'utf-8');
+        const patched = applyHunks(current, patch.hunks);
+        const applied = { appliedTo: target };
+
+        if (target === 'workspace') {
+            fs.writeFileSync(specFile, patched, 'utf-8');
+        } else {
+            const branch = review.branch || `${this.config.branchPrefix}${slug(patch.ticketId)}-${patch.id}`;
+            let result;
+            fs.writeFileSync(specFile, patched, 'utf-8');
+            try {
+                result = await this.commitAndPush({
+                    commitMessage: `fix(${patch.ticketId}): apply healing patch ${patch.id} (${patch.category || patch.strategy})`,
+                    files: [patch.specPath],
+                    branch,
+                });
+            } finally {
+                fs.writeFileSync(specFile, current, 'utf-8');
+            }
+            if (!result?.committed) {
+                throw new Error(`Commit failed: ${result?.error || 'no result from commit_and_push_repo_changes'}`);
+            }
+            Object.assign(applied, {
+                branch: result.branch || branch,
+                commitSha: result.commitSha || null,
+                pushed: !!result.pushed,
+                pushError: result.pushError || null,
+            });
+        }
+
+        Object.assign(patch, this._review(HEALING_PATCH_STATUS.ACCEPTED, review), applied);
+        return this.save(patch);
+    }
+
+    /**
+     * Reject a proposed patch. The spec is left untouched.
+     *
+     * @param {string} runId
+     * @param {string} patchId
+     * @param {Object} [review] - { reviewer, comment }
+     * @returns {Object} The updated patch
+     */
+    reject(runId, patchId, review = {}) {
+        const patch = this._proposed(runId, patchId);
+        Object.assign(patch, this._review(HEALING_PATCH_STATUS.REJECTED, review));
+        return this.save(patch);
+    }
+
+    // ─── Internals ──────────────────────────────────────────────────
+
+    _proposed(runId, patchId) {
+        const patch = this.get(runId, patchId);
+        if (!patch) throw new Error(`Patch ${patchId} not found in run ${runId}`);
+        if (patch.status !== HEALING_PATCH_STATUS.PROPOSED) {
+            throw new Error(`Patch ${patchId} is already ${patch.status}`);
+        }
+        return patch;
+    }
+
+    _review(status, review) {
+        return {
+            status,
+            reviewedAt: new Date().toISOString(),
+            reviewedBy: review.reviewer || null,
+            comment: review.comment || null,
+        };
+    }
+
+    _dir(runId, create = true) {
+        const dir = path.join(this.rootDir, runId, PATCH_DIR);
+        if (create) ensureDir(dir);
+        return dir;
+    }
+
+    _runIds() {
+        if (!fs.existsSync(this.rootDir)) return [];
+        return fs.readdirSync(this.rootDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name);
+    }
+
+    _relative(specPath) {
+        const absolute = path.isAbsolute(specPath) ? specPath : path.join(this.projectRoot, specPath);
+        return path.relative(this.projectRoot, absolute).replace(/\\/g, '/');
+    }
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function slug(value) {
+    return String(value || 'run').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'run';
+}
+
+function isSafeSegment(value) {
+    return typeof value === 'string' && value.length > 0 && !/[\\/]|^\.\.?$/.test(value);
+}
+
+module.exports = {
+    HealingPatchStore,
+    loadHealingPatchConfig,
+    createUnifiedDiff,
+    applyHunks,
+    workingCopyPath,
+    HEALING_PATCH_STATUS,
+};
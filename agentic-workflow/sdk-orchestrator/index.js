@@ -313,6 +313,11 @@ class SDKOrchestrator {
      * @param {string} [options.mode='full'] - 'full' | 'generate' | 'heal' | 'execute'
      * @param {string} [options.model] - LLM model override for this run (e.g., 'claude-opus-4.6')
      * @param {Function} [options.onProgress] - Progress callback (stage, message)
+     * @param {Function} [options.onCheckpoint] - Resume snapshot callback, fired after each completed stage
+     * @param {Object} [options.resume] - Resume snapshot of an earlier run (RunStore.getResumePlan)
+     * @param {Object} [options.sharedExploration] - Fresh snapshot of another ticket in the same feature { ticketId, path }
+     * @param {Object} [options.fixtures] - MCP session fixtures { recordDir, replay, replayMode }
+     * @param {Object} [options.testHistory] - FlakyTestTracker recording per-test outcomes and quarantine
      * @returns {Object} Pipeline result
      */
     async runPipeline(ticketId, options = {}) {
@@ -339,6 +344,15 @@ class SDKOrchestrator {
             scenario: options.scenario || null,
             scenarioId: options.scenarioId || options.scenario?.id || null,
             authState: options.authState || options.scenario?.authState || null,
+            environment: options.environment || null,
+            resume: options.resume || null,
+            sharedExploration: options.sharedExploration || null,
+            fixtures: options.fixtures || null,
+            testHistory: options.testHistory || null,
+            onCheckpoint: options.onCheckpoint || null,
+            onUsage: options.onUsage || null,
+            model: model || this.sessionFactory?.model || null,
+            modelGroups: this._modelCatalogCache?.catalog?.groups || undefined,
             onProgress: options.onProgress || this._defaultProgressHandler.bind(this),
         });
     }
@@ -375,6 +389,83 @@ class SDKOrchestrator {
         return results;
     }
 
+    /**
+     * Run a planned batch (see batch-planner.planBatch). A ticket starts once
+     * the tickets it depends on have finished, at most `parallelTickets` at a
+     * time; a ticket whose blocker failed is skipped unless
+     * `onBlockerFailure` is 'run'. Shared exploration snapshots are passed on
+     * while they are fresh.
+     *
+     * @param {Object} plan - Batch plan
+     * @param {Object} options - Same as runPipeline options, plus:
+     * @param {Object} options.groundingStore - For exploration freshness
+     * @param {string} [options.onBlockerFailure='skip']
+     * @returns {Object[]} Pipeline results in plan order, each with `explorationUsed`
+     */
+    async runPlannedBatch(plan, options = {}) {
+        this._ensureRunning();
+
+        const { groundingStore, onBlockerFailure = 'skip', ...runOptions } = options;
+        const maxParallel = this.options.parallelTickets;
+        const results = new Map();
+        const running = new Map();
+        const pending = [...plan.order];
+
+        const start = (ticketId) => {
+            const shared = plan.tickets[ticketId].sharedExploration;
+            const freshness = shared ? groundingStore.getExplorationFreshness(shared.sourceTicketId) : null;
+            const explorationUsed = freshness?.fresh
+                ? { reused: true, sourceTicketId: shared.sourceTicketId, path: freshness.path, ageDays: freshness.ageDays }
+                : { reused: false, sourceTicketId: shared?.sourceTicketId || null };
+
+            this._log('info', `\nBatch ${plan.tickets[ticketId].position}/${plan.order.length}: ${ticketId}` +
+                (explorationUsed.reused ? ` (exploration shared from ${shared.sourceTicketId})` : ''));
+            const promise = this.runPipeline(ticketId, {
+                ...runOptions,
+                sharedExploration: explorationUsed.reused
+                    ? { ticketId: shared.sourceTicketId, path: path.resolve(groundingStore.projectRoot, freshness.path), ageDays: freshness.ageDays, feature: shared.feature }
+                    : null,
+            })
+                .catch(err => ({ ticketId, success: false, error: err.message }))
+                .then(result => {
+                    results.set(ticketId, { ...result, ticketId, explorationUsed });
+                    running.delete(ticketId);
+                });
+            running.set(ticketId, promise);
+        };
+
+        while (pending.length > 0 || running.size > 0) {
+            for (const ticketId of [...pending]) {
+                if (running.size >= maxParallel) break;
+                const dependsOn = plan.tickets[ticketId].dependsOn;
+                if (dependsOn.some(dep => !results.has(dep.ticketId))) continue;
+
+                pending.splice(pending.indexOf(ticketId), 1);
+                const failed = dependsOn.find(dep => dep.type === 'blocks' && !results.get(dep.ticketId).success);
+                if (failed && onBlockerFailure !== 'run') {
+                    this._log('info', `Skipping ${ticketId}: blocked by ${failed.ticketId}, which did not pass`);
+                    results.set(ticketId, {
+                        ticketId,
+                        success: false,
+                        skipped: true,
+                        error: `Skipped: blocked by ${failed.ticketId}, which failed`,
+                    });
+                    continue;
+                }
+                start(ticketId);
+            }
+            if (running.size === 0) {
+                if (pending.length > 0 && pending.every(id => plan.tickets[id].dependsOn.some(dep => !results.has(dep.ticketId)))) {
+                    throw new Error(`Batch plan has unresolved dependencies: ${pending.join(', ')}`);
+                }
+                continue;
+            }
+            await Promise.race(running.values());
+        }
+
+        return plan.order.map(ticketId => results.get(ticketId));
+    }
+
     // ─── Individual Stage Execution ─────────────────────────────────────
 
     /**
@@ -0,0 +1,295 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * JIRA WEBHOOK RULES — Config-Driven Pipeline Triggers
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Decides whether a Jira webhook delivery starts a pipeline, and how. Rules
+ * live in workflow-config.json → sdk.webhooks.jira.rules and are evaluated
+ * in order; the first rule whose conditions all hold wins.
+ *
+ *   {
+ *     "name": "stories-ready-for-qa",
+ *     "match": {
+ *       "events": ["jira:issue_updated"],
+ *       "projects": ["AOTF"],
+ *       "issueTypes": ["Story", "Bug"],
+ *       "labels": { "any": ["regression"], "none": ["no-automation"] },
+ *       "components": ["Search"],
+ *       "transition": { "from": ["In Progress"], "to": ["Ready for QA"] },
+ *       "customFields": { "customfield_10050": "Yes" }
+ *     },
+ *     "action": { "mode": "full", "environment": "UAT", "authState": "both" }
+ *   }
+ *
+ * String comparisons are case-insensitive. `labels`, `components` and custom
+ * field conditions take a list (any of) or { any, all, none }. Without
+ * `rules`, the legacy `triggerOnStatus` / `defaultMode` settings are used.
+ *
+ * @module sdk-orchestrator/jira-webhook-rules
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const { isValidMode, loadWorkflowConfig } = require('./utils');
+const { DEFAULT_REPLAY_WINDOW_SECONDS } = require('./webhook-security');
+
+/** Statuses the endpoint triggered on before rules were configurable */
+const LEGACY_TRIGGER_STATUSES = ['Ready for QA', 'Ready for Testing', 'QA'];
+
+const MATCH_KEYS = ['events', 'projects', 'issueTypes', 'statuses', 'labels', 'components', 'transition', 'customFields'];
+
+// ─── Event Normalization ────────────────────────────────────────────────────
+
+/**
+ * Flatten a Jira webhook payload into the attributes rules match on.
+ * @param {Object} payload - Jira webhook body
+ * @returns {Object}
+ */
+function normalizeJiraEvent(payload = {}) {
+    const issue = payload.issue || {};
+    const fields = issue.fields || {};
+    const items = Array.isArray(payload.changelog?.items) ? payload.changelog.items : [];
+    const statusChange = items.find(item => item.field === 'status');
+
+    return {
+        webhookEvent: payload.webhookEvent || null,
+        timestamp: payload.timestamp ?? null,
+        issueKey: issue.key || null,
+        project: fields.project?.key || (issue.key ? issue.key.split('-')[0] : null),
+        issueType: fields.issuetype?.name || null,
+        status: fields.status?.name || statusChange?.toString || null,
+        labels: Array.isArray(fields.labels) ? fields.labels : [],
+        components: (fields.components || []).map(component => component?.name || component).filter(Boolean),
+        transition: statusChange
+            ? { from: statusChange.fromString || null, to: statusChange.toString || null }
+            : null,
+        changedFields: items.map(item => item.field),
+        fields,
+    };
+}
+
+// ─── Rule Matching ──────────────────────────────────────────────────────────
+
+/**
+ * Check one rule against a normalized event.
+ * @param {Object} rule
+ * @param {Object} event - From normalizeJiraEvent()
+ * @returns {string[]} Unmet conditions (empty when the rule matches)
+ */
+function matchRule(rule, event) {
+    const match = rule.match || {};
+    const unmet = [];
+
+    if (match.events && !includesIgnoreCase(match.events, event.webhookEvent)) {
+        unmet.push(`event "${event.webhookEvent}" not in [${match.events.join(', ')}]`);
+    }
+    if (match.projects && !includesIgnoreCase(match.projects, event.project)) {
+        unmet.push(`project "${event.project}" not in [${match.projects.join(', ')}]`);
+    }
+    if (match.issueTypes && !includesIgnoreCase(match.issueTypes, event.issueType)) {
+        unmet.push(`issue type "${event.issueType}" not in [${match.issueTypes.join(', ')}]`);
+    }
+    if (match.statuses && !includesIgnoreCase(match.statuses, event.status)) {
+        unmet.push(`status "${event.status}" not in [${match.statuses.join(', ')}]`);
+    }
+    if (match.labels) {
+        const reason = matchValues(match.labels, event.labels);
+        if (reason) unmet.push(`labels ${reason}`);
+    }
+    if (match.components) {
+        const reason = matchValues(match.components, event.components);
+        if (reason) unmet.push(`components ${reason}`);
+    }
+    if (match.transition) {
+        if (!event.transition) {
+            unmet.push('no status transition');
+        } else {
+            const { from, to } = match.transition;
+            if (from && !includesIgnoreCase(toList(from), event.transition.from)) {
+                unmet.push(`transition from "${event.transition.from}" not in [${toList(from).join(', ')}]`);
+            }
+            if (to && !includesIgnoreCase(toList(to), event.transition.to)) {
+                unmet.push(`transition to "${event.transition.to}" not in [${toList(to).join(', ')}]`);
+            }
+        }
+    }
+    for (const [fieldId, expected] of Object.entries(match.customFields || {})) {
+        const reason = matchCustomField(expected, event.fields[fieldId]);
+        if (reason) unmet.push(`${fieldId} ${reason}`);
+    }
+
+    return unmet;
+}
+
+/**
+ * Evaluate rules in order. Disabled rules are skipped.
+ *
+ * @param {Object[]} rules
+ * @param {Object} event - From normalizeJiraEvent()
+ * @returns {{ rule: Object|null, evaluations: { rule: string, matched: boolean, unmet: string[] }[] }}
+ */
+function evaluateRules(rules, event) {
+    const evaluations = [];
+    for (const rule of rules) {
+        if (rule.enabled === false) continue;
+        const unmet = matchRule(rule, event);
+        evaluations.push({ rule: rule.name, matched: unmet.length === 0, unmet });
+        if (unmet.length === 0) return { rule, evaluations };
+    }
+    return { rule: null, evaluations };
+}
+
+/**
+ * Run parameters for a matched rule: rule action over the configured defaults.
+ *
+ * @param {Object} rule
+ * @param {Object} [defaults] - sdk.webhooks.jira.defaults
+ * @returns {{ mode: string, environment: string, model: string|null, mission: Object|undefined }}
+ */
+function resolveRuleAction(rule, defaults = {}) {
+    const action = { ...defaults, ...(rule.action || {}) };
+
+    let mission;
+    if (Array.isArray(action.scenarios) || action.authState || action.authStrategy) {
+        mission = {
+            scenarios: Array.isArray(action.scenarios) ? action.scenarios : undefined,
+            authState: action.authState || undefined,
+            authStrategy: action.authStrategy || undefined,
+            credentialsRef: action.credentialsRef || undefined,
+        };
+    }
+
+    return {
+        mode: action.mode || 'full',
+        environment: String(action.environment || 'UAT').toUpperCase(),
+        model: action.model || null,
+        mission,
+    };
+}
+
+function matchValues(spec, values) {
+    const actual = values.map(value => String(value).toLowerCase());
+    const has = (value) => actual.includes(String(value).toLowerCase());
+    const { any, all, none } = Array.isArray(spec) ? { any: spec } : spec;
+
+    if (any && any.length > 0 && !any.some(has)) return `[${values.join(', ')}] contain none of [${any.join(', ')}]`;
+    if (all && !all.every(has)) return `[${values.join(', ')}] missing some of [${all.join(', ')}]`;
+    if (none && none.some(has)) return `[${values.join(', ')}] contain one of [${none.join(', ')}]`;
+    return null;
+}
+
+function matchCustomField(expected, rawValue) {
+    const values = customFieldValues(rawValue);
+    if (expected && typeof expected === 'object' && !Array.isArray(expected)) {
+        if (expected.exists !== undefined) {
+            if (expected.exists !== values.length > 0) {
+                return expected.exists ? 'is empty' : 'is set';
+            }
+            return null;
+        }
+        return matchValues(expected, values);
+    }
+    return matchValues(toList(expected), values);
+}
+
+/** Jira custom fields arrive as scalars, option objects ({ value }), users ({ name }) or arrays of these */
+function customFieldValues(value) {
+    if (value === null || value === undefined || value === '') return [];
+    if (Array.isArray(value)) return value.flatMap(customFieldValues);
+    if (typeof value === 'object') {
+        const scalar = value.value ?? value.name ?? value.key ?? value.displayName ?? value.id;
+        return scalar === undefined ? [] : [String(scalar)];
+    }
+    return [String(value)];
+}
+
+function includesIgnoreCase(list, value) {
+    if (value === null || value === undefined) return false;
+    const needle = String(value).toLowerCase();
+    return list.some(item => String(item).toLowerCase() === needle);
+}
+
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+// ─── Config ─────────────────────────────────────────────────────────────────
+
+/**
+ * Validate configured rules.
+ * @param {Object[]} rules
+ * @returns {string[]} Errors (empty when valid)
+ */
+function validateRules(rules) {
+    const errors = [];
+    if (!Array.isArray(rules)) return ['rules must be an array'];
+
+    const names = new Set();
+    rules.forEach((rule, index) => {
+        const label = rule?.name ? `Rule "${rule.name}"` : `Rule #${index + 1}`;
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${label}: must be an object`);
+            return;
+        }
+        if (!rule.name) errors.push(`${label}: name is required`);
+        else if (names.has(rule.name)) errors.push(`${label}: duplicate name`);
+        names.add(rule.name);
+
+        const unknown = Object.keys(rule.match || {}).filter(key => !MATCH_KEYS.includes(key) && !key.startsWith('_'));
+        if (unknown.length > 0) errors.push(`${label}: unknown match condition(s) ${unknown.join(', ')}`);
+        for (const key of ['events', 'projects', 'issueTypes', 'statuses']) {
+            if (rule.match?.[key] !== undefined && !Array.isArray(rule.match[key])) {
+                errors.push(`${label}: match.${key} must be an array`);
+            }
+        }
+        if (rule.action?.mode && !isValidMode(rule.action.mode)) {
+            errors.push(`${label}: invalid mode "${rule.action.mode}"`);
+        }
+        if (rule.action?.scenarios !== undefined && !Array.isArray(rule.action.scenarios)) {
+            errors.push(`${label}: action.scenarios must be an array`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Read sdk.webhooks.jira with defaults applied. Configs without `rules`
+ * get a single rule built from the legacy triggerOnStatus/defaultMode keys.
+ *
+ * @param {Object} [config] - sdk.webhooks.jira (read from workflow-config.json when omitted)
+ * @returns {Object}
+ */
+function loadJiraWebhookConfig(config) {
+    const jira = config || loadWorkflowConfig()?.sdk?.webhooks?.jira || {};
+
+    let rules = jira.rules;
+    if (!Array.isArray(rules) || rules.length === 0) {
+        rules = [{
+            name: 'default',
+            match: { transition: { to: toList(jira.triggerOnStatus || LEGACY_TRIGGER_STATUSES) } },
+            action: { mode: jira.defaultMode || 'full' },
+        }];
+    }
+
+    return {
+        enabled: jira.enabled !== false,
+        secretEnv: jira.secretEnv || 'JIRA_WEBHOOK_SECRET',
+        allowUnsigned: jira.allowUnsigned === true,
+        signatureHeader: (jira.signatureHeader || 'x-hub-signature').toLowerCase(),
+        deliveryIdHeader: (jira.deliveryIdHeader || 'x-atlassian-webhook-identifier').toLowerCase(),
+        replayWindowSeconds: jira.replayWindowSeconds ?? DEFAULT_REPLAY_WINDOW_SECONDS,
+        defaults: jira.defaults || {},
+        rules,
+    };
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+    normalizeJiraEvent,
+    matchRule,
+    evaluateRules,
+    resolveRuleAction,
+    validateRules,
+    loadJiraWebhookConfig,
+    LEGACY_TRIGGER_STATUSES,
+};
@@ -38,6 +38,27 @@ const FALLBACK_MODEL_GROUPS = [
 ];
 
 const GROUP_PRIORITY = ['OpenAI', 'Anthropic', 'Google'];
+
+// Next cheaper model of the same family, used when a run exceeds its budget
+// (cost-accounting, sdk.costs.onBudgetExceeded = "downgrade").
+const DOWNGRADE_PATHS = {
+    'gpt-5.4': 'gpt-5.1',
+    'gpt-5.3': 'gpt-5.1',
+    'gpt-5.2': 'gpt-5.1',
+    'gpt-5.1': 'gpt-5-mini',
+    'gpt-5': 'gpt-5-mini',
+    'gpt-4.1': 'gpt-5-mini',
+    'gpt-4o': 'gpt-5-mini',
+    'gpt-5.1-codex-max': 'gpt-5.1-codex',
+    'gpt-5.1-codex': 'gpt-5.1-codex-mini',
+    'gpt-5-codex': 'gpt-5.1-codex-mini',
+    'claude-opus-4.6': 'claude-sonnet-4.5',
+    'claude-opus-4.5': 'claude-sonnet-4.5',
+    'claude-sonnet-4.5': 'claude-haiku-4.5',
+    'claude-sonnet-4': 'claude-haiku-4.5',
+    'gemini-3-pro': 'gemini-3-flash',
+    'gemini-2.5-pro': 'gemini-3-flash',
+};
 const UNAVAILABLE_REASON = 'Not advertised by the current Copilot runtime.';
 
 function cloneModelGroups(groups = FALLBACK_MODEL_GROUPS, overrides = {}) {
@@ -73,6 +94,31 @@ function getDefaultModel(groups = FALLBACK_MODEL_GROUPS, preferredModel = 'gpt-4
         || 'gpt-4o';
 }
 
+/**
+ * Cheaper model to continue with, skipping catalog entries that are not
+ * available. Models missing from the catalog are accepted as-is (configured
+ * overrides may point at discovered models).
+ *
+ * @param {string} value - Current model
+ * @param {Array} [groups] - Model catalog groups
+ * @param {Object} [overrides] - Extra/replacement downgrade steps (sdk.costs.downgradePaths)
+ * @returns {string|null} null when there is nothing cheaper
+ */
+function getDowngradeModel(value, groups = FALLBACK_MODEL_GROUPS, overrides = {}) {
+    const paths = { ...DOWNGRADE_PATHS, ...overrides };
+    const models = flattenModelGroups(groups);
+    const seen = new Set([value]);
+    let candidate = paths[value];
+
+    while (candidate && !seen.has(candidate)) {
+        seen.add(candidate);
+        const known = models.find(model => model.value === candidate);
+        if (!known || known.available !== false) return candidate;
+        candidate = paths[candidate];
+    }
+    return null;
+}
+
 function inferGroup(modelId = '', raw = {}) {
     const explicit = raw.group || raw.vendor || raw.provider || raw.family;
     if (typeof explicit === 'string' && explicit.trim()) return explicit.trim();
@@ -266,5 +312,6 @@ module.exports = {
     getAvailableModels,
     hasModelValue,
     getDefaultModel,
+    getDowngradeModel,
     buildModelCatalog,
 };
\ No newline at end of file
@@ -0,0 +1,515 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PIPELINE MODES — Built-in and User-Defined Stage Plans
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * A mode is the plan PipelineRunner follows: which stages run, in what order,
+ * which of them run side by side and when a stage is skipped.
+ *
+ *   - Built-in modes   full | testcase | generate | heal | execute | a11y
+ *   - Config modes     workflow-config.json → sdk.pipelineModes.modes.<name>
+ *   - Template modes   CustomTemplates (.github/agents/lib/custom-templates.js),
+ *                      referenced by a config mode (`template`) or all of them
+ *                      with sdk.pipelineModes.importTemplates
+ *
+ * User-defined modes are validated against config/pipeline-modes.schema.json
+ * and then checked for meaning (duplicate stages, gate placement). Invalid
+ * modes are reported by listModes() and rejected everywhere a mode is
+ * accepted (isValidMode in utils.js, the CLI, the API).
+ *
+ * Quality gates (qg_excel, qg_script) follow the stage whose output they
+ * check unless the mode lists them itself or moves them with `qualityGates`.
+ *
+ * @module sdk-orchestrator/pipeline-modes
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadWorkflowConfig } = require('./utils');
+
+// ─── Stages & Built-in Modes ────────────────────────────────────────────────
+
+const STAGES = {
+    PREFLIGHT: 'preflight',
+    TESTGENIE: 'testgenie',
+    QG_EXCEL: 'qg_excel',
+    SCRIPTGEN: 'scriptgenerator',
+    QG_SCRIPT: 'qg_script',
+    EXECUTE: 'execute',
+    SELF_HEAL: 'healing',
+    BUGGENIE: 'buggenie',
+    REPORT: 'report',
+    // Not part of any built-in mode — inserted before EXECUTE for scenarios with `review`
+    CODE_REVIEW: 'codereview',
+    // Accessibility exploration + spec generation, only in the a11y mode
+    A11Y: 'a11y',
+};
+
+const STAGE_ORDER = [
+    STAGES.PREFLIGHT,
+    STAGES.TESTGENIE,
+    STAGES.QG_EXCEL,
+    STAGES.SCRIPTGEN,
+    STAGES.QG_SCRIPT,
+    STAGES.EXECUTE,
+    STAGES.SELF_HEAL,
+    STAGES.BUGGENIE,
+    STAGES.REPORT,
+];
+
+// Mode → which stages to run
+const MODE_STAGES = {
+    full: STAGE_ORDER,
+    testcase: [STAGES.PREFLIGHT, STAGES.TESTGENIE, STAGES.QG_EXCEL, STAGES.REPORT],
+    generate: [STAGES.PREFLIGHT, STAGES.SCRIPTGEN, STAGES.QG_SCRIPT, STAGES.EXECUTE, STAGES.SELF_HEAL, STAGES.REPORT],
+    heal: [STAGES.EXECUTE, STAGES.SELF_HEAL, STAGES.REPORT],
+    execute: [STAGES.EXECUTE, STAGES.REPORT],
+    a11y: [STAGES.PREFLIGHT, STAGES.A11Y, STAGES.EXECUTE, STAGES.BUGGENIE, STAGES.REPORT],
+};
+
+const BUILTIN_MODES = {
+    full: { label: 'Full Pipeline', description: 'Test cases, script generation, execution, healing, bug report' },
+    testcase: { label: 'Generate Test Case Only', description: 'Test cases and Excel, no automation' },
+    generate: { label: 'Generate Script + Execute', description: 'Script from existing test cases, then execute and heal' },
+    execute: { label: 'Execute Existing Script', description: 'Run the existing spec and report' },
+    heal: { label: 'Repair Script', description: 'Run the existing spec and heal failures' },
+    a11y: { label: 'Accessibility Audit', description: 'Audit the ticket\'s pages and states, generate an accessibility spec, file grouped defects' },
+};
+
+const MODE_SOURCE = {
+    BUILTIN: 'builtin',
+    CONFIG: 'config',
+    TEMPLATE: 'template',
+};
+
+const MODE_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,39}$/;
+
+// ─── Quality Gates ──────────────────────────────────────────────────────────
+
+const QUALITY_GATES = {
+    excel: { stage: STAGES.QG_EXCEL, after: STAGES.TESTGENIE },
+    script: { stage: STAGES.QG_SCRIPT, after: STAGES.SCRIPTGEN },
+};
+
+const GATE_STAGES = new Set(Object.values(QUALITY_GATES).map(gate => gate.stage));
+
+// ─── Conditions ─────────────────────────────────────────────────────────────
+
+const exists = file => !!file && fs.existsSync(file);
+
+/**
+ * Predicates for `skipIf` / `runIf`, evaluated against the pipeline context
+ * just before the stage (or its parallel group) starts.
+ */
+const CONDITIONS = {
+    testsPassed: context => context.testResults?.passed === true,
+    testsFailed: context => !!context.testResults && context.testResults.passed !== true,
+    hasSpec: context => exists(context.specPath),
+    noSpec: context => !exists(context.specPath),
+    hasTestCases: context => exists(context.testCasesPath),
+    noTestCases: context => !exists(context.testCasesPath),
+    hasExploration: context => exists(context.explorationPath),
+    noExploration: context => !exists(context.explorationPath),
+    healed: context => context.healingResult?.success === true,
+    review: context => !!context.scenario?.review,
+    a11yIssues: context => (context.a11yResults?.issueCount || 0) > 0,
+};
+
+// ─── CustomTemplates ────────────────────────────────────────────────────────
+
+// Template stage → SDK stage. Custom template stages have no equivalent.
+const TEMPLATE_STAGE_MAP = {
+    PENDING: STAGES.PREFLIGHT,
+    JIRA_FETCHED: STAGES.TESTGENIE,
+    TESTCASES_GENERATED: STAGES.TESTGENIE,
+    EXCEL_CREATED: STAGES.TESTGENIE,
+    SCRIPT_EXPLORATION: STAGES.SCRIPTGEN,
+    SCRIPT_GENERATED: STAGES.SCRIPTGEN,
+    SCRIPT_EXECUTED: STAGES.EXECUTE,
+    BUG_REPORTED: STAGES.BUGGENIE,
+    COMPLETED: STAGES.REPORT,
+};
+
+/**
+ * Prebuilt and registered CustomTemplates, keyed by template ID.
+ * @returns {Object<string, Object>}
+ */
+function loadCustomTemplates() {
+    try {
+        const { PrebuiltTemplates, CustomTemplatesManager } = require('../../.github/agents/lib/custom-templates');
+        return { ...PrebuiltTemplates, ...new CustomTemplatesManager().templates };
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Translate a CustomTemplates template into a mode definition. Consecutive
+ * template stages that map to the same SDK stage collapse into one;
+ * `conditional: "onFailure"` becomes `runIf: "testsFailed"`.
+ *
+ * @param {Object} template
+ * @returns {{ definition: Object|null, errors: string[] }}
+ */
+function templateToDefinition(template) {
+    const errors = [];
+    const stages = [];
+
+    for (const entry of template?.stages || []) {
+        const stage = TEMPLATE_STAGE_MAP[entry.stage];
+        if (!stage) {
+            errors.push(`template stage ${entry.stage} has no SDK pipeline equivalent`);
+            continue;
+        }
+        const previous = stages[stages.length - 1];
+        if ((previous?.stage || previous) === stage) continue;
+        stages.push(entry.conditional === 'onFailure' ? { stage, runIf: 'testsFailed' } : stage);
+    }
+
+    if (errors.length > 0) return { definition: null, errors };
+    if (stages.length === 0) return { definition: null, errors: ['template has no stages'] };
+    return {
+        definition: {
+            label: template.name,
+            description: template.description || '',
+            stages,
+        },
+        errors,
+    };
+}
+
+// ─── Schema Validation ──────────────────────────────────────────────────────
+
+const SCHEMA_PATH = path.join(__dirname, '..', 'config', 'pipeline-modes.schema.json');
+let _schema = null;
+
+function loadModeSchema() {
+    if (!_schema) _schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf-8'));
+    return _schema;
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function expectedType(schema, root) {
+    if (schema.$ref) {
+        return expectedType(schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root), root);
+    }
+    if (schema.type) return schema.type;
+    if (schema.enum) return typeOf(schema.enum[0]);
+    return null;
+}
+
+/**
+ * Validate against the subset of JSON Schema draft-07 the mode schema uses:
+ * type, enum, required, properties, additionalProperties, items, minItems,
+ * oneOf, anyOf and local $ref.
+ *
+ * @returns {string[]} Errors as "<path> <problem>"
+ */
+function validateSchema(value, schema, root, at) {
+    if (schema.$ref) {
+        const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root);
+        return validateSchema(value, target, root, at);
+    }
+
+    const errors = [];
+    if (schema.type && typeOf(value) !== schema.type) {
+        return [`${at} must be ${schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${at} must be one of: ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`];
+    }
+
+    if (schema.oneOf) {
+        const results = schema.oneOf.map(option => validateSchema(value, option, root, at));
+        const matches = results.filter(result => result.length === 0).length;
+        if (matches === 0) {
+            // Report the alternative meant for this kind of value
+            const candidates = results.filter((result, index) => expectedType(schema.oneOf[index], root) === typeOf(value));
+            return (candidates.length > 0 ? candidates : results).sort((a, b) => a.length - b.length)[0];
+        }
+        if (matches > 1) return [`${at} is ambiguous`];
+    }
+    if (schema.anyOf && !schema.anyOf.some(option => validateSchema(value, option, root, at).length === 0)) {
+        errors.push(`${at} must define ${schema.anyOf.map(option => (option.required || []).join(' + ')).join(' or ')}`);
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${at}.${key} is required`);
+        }
+        for (const [key, child] of Object.entries(value)) {
+            if (schema.properties?.[key]) {
+                errors.push(...validateSchema(child, schema.properties[key], root, `${at}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}.${key} is not allowed`);
+            }
+        }
+    }
+
+    if (typeOf(value) === 'array') {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push(`${at} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, root, `${at}[${index}]`)));
+        }
+    }
+
+    return errors;
+}
+
+// ─── Compilation ────────────────────────────────────────────────────────────
+
+function toList(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function normalizeStageEntry(entry) {
+    return typeof entry === 'string'
+        ? { stage: entry, skipIf: [], runIf: [] }
+        : { stage: entry.stage, skipIf: toList(entry.skipIf), runIf: toList(entry.runIf) };
+}
+
+/**
+ * Turn a schema-valid definition into a plan, placing quality gates.
+ * @returns {{ plan: Object|null, errors: string[] }}
+ */
+function compileDefinition(name, definition, source) {
+    const errors = [];
+    const steps = definition.stages.map(step => (step.parallel
+        ? { parallel: true, stages: step.parallel.map(normalizeStageEntry) }
+        : { parallel: false, stages: [normalizeStageEntry(step)] }));
+
+    const listed = steps.flatMap(step => step.stages.map(entry => entry.stage));
+    for (const stage of new Set(listed)) {
+        if (listed.filter(item => item === stage).length > 1) errors.push(`stage ${stage} is listed more than once`);
+    }
+    for (const step of steps.filter(item => item.parallel)) {
+        for (const entry of step.stages.filter(item => GATE_STAGES.has(item.stage))) {
+            errors.push(`quality gate ${entry.stage} cannot run in a parallel group`);
+        }
+    }
+
+    const placement = definition.qualityGates || 'auto';
+    const placed = new Set();
+    for (const [key, gate] of Object.entries(QUALITY_GATES)) {
+        if (listed.includes(gate.stage) || placement === 'none') continue;
+        const explicit = typeof placement === 'object' && key in placement;
+        const after = explicit ? placement[key] : gate.after;
+        if (after === false) continue;
+
+        let index = steps.findIndex(step => step.stages.some(entry => entry.stage === after));
+        if (index < 0) {
+            if (explicit) errors.push(`qualityGates.${key} follows ${after}, which is not in the mode`);
+            continue;
+        }
+        // Gates placed after the same stage keep their declaration order
+        while (steps[index + 1] && placed.has(steps[index + 1].stages[0].stage)) index++;
+        steps.splice(index + 1, 0, { parallel: false, stages: [normalizeStageEntry(gate.stage)] });
+        placed.add(gate.stage);
+    }
+
+    if (errors.length > 0) return { plan: null, errors };
+    return { plan: buildPlan(name, steps, { ...definition, source }), errors };
+}
+
+function buildPlan(name, steps, meta = {}) {
+    const conditions = {};
+    for (const entry of steps.flatMap(step => step.stages)) {
+        if (entry.skipIf.length > 0 || entry.runIf.length > 0) {
+            conditions[entry.stage] = { skipIf: entry.skipIf, runIf: entry.runIf };
+        }
+    }
+    return {
+        name,
+        label: meta.label || name,
+        description: meta.description || '',
+        source: meta.source || MODE_SOURCE.BUILTIN,
+        template: meta.template || null,
+        steps,
+        stages: steps.flatMap(step => step.stages.map(entry => entry.stage)),
+        parallelGroups: steps.filter(step => step.parallel).map(step => step.stages.map(entry => entry.stage)),
+        conditions,
+    };
+}
+
+function builtinPlan(name) {
+    const steps = MODE_STAGES[name].map(stage => ({ parallel: false, stages: [normalizeStageEntry(stage)] }));
+    return buildPlan(name, steps, { ...BUILTIN_MODES[name], source: MODE_SOURCE.BUILTIN });
+}
+
+/**
+ * Validate a user-defined mode.
+ *
+ * @param {string} name
+ * @param {Object} definition - sdk.pipelineModes.modes.<name>
+ * @param {Object} [options]
+ * @param {Object} [options.templates] - CustomTemplates by ID (default: loaded lazily when referenced)
+ * @param {string} [options.source='config']
+ * @returns {{ valid: boolean, errors: string[], plan: Object|null }}
+ */
+function validateModeDefinition(name, definition, options = {}) {
+    const errors = [];
+    if (!MODE_NAME_PATTERN.test(name || '')) {
+        errors.push(`mode name "${name}" must be lowercase letters, digits, - or _ (max 40)`);
+    }
+    if (MODE_STAGES[name]) errors.push(`mode name "${name}" is a built-in mode`);
+
+    const schemaErrors = validateSchema(definition, loadModeSchema(), loadModeSchema(), 'mode');
+    if (errors.length > 0 || schemaErrors.length > 0) {
+        return { valid: false, errors: [...errors, ...schemaErrors], plan: null };
+    }
+
+    let resolved = definition;
+    if (definition.template) {
+        const templates = options.templates || loadCustomTemplates();
+        const template = templates[definition.template];
+        if (!template) {
+            return { valid: false, errors: [`template "${definition.template}" not found`], plan: null };
+        }
+        const converted = templateToDefinition(template);
+        if (!converted.definition) {
+            return { valid: false, errors: converted.errors.map(error => `template "${definition.template}": ${error}`), plan: null };
+        }
+        resolved = { ...converted.definition, ...definition, stages: definition.stages || converted.definition.stages };
+    }
+
+    const { plan, errors: compileErrors } = compileDefinition(name, resolved, options.source || MODE_SOURCE.CONFIG);
+    return { valid: compileErrors.length === 0, errors: compileErrors, plan };
+}
+
+// ─── Catalog ────────────────────────────────────────────────────────────────
+
+/**
+ * All modes: built-ins, config modes and (with importTemplates) CustomTemplates.
+ * A config mode wins over a template of the same name.
+ *
+ * @param {Object} [config] - Full workflow-config.json (default: read from disk)
+ * @returns {{ modes: Map<string, Object>, invalid: Object[] }} invalid: { name, source, errors }
+ */
+function getModeCatalog(config) {
+    const settings = (config || loadWorkflowConfig())?.sdk?.pipelineModes || {};
+    const modes = new Map(Object.keys(MODE_STAGES).map(name => [name, builtinPlan(name)]));
+    const invalid = [];
+    let templates = null;
+    const getTemplates = () => (templates = templates || loadCustomTemplates());
+
+    for (const [name, definition] of Object.entries(settings.modes || {})) {
+        if (name.startsWith('_')) continue;
+        const result = validateModeDefinition(name, definition, {
+            templates: definition?.template ? getTemplates() : {},
+            source: MODE_SOURCE.CONFIG,
+        });
+        if (result.valid) modes.set(name, result.plan);
+        else invalid.push({ name, source: MODE_SOURCE.CONFIG, errors: result.errors });
+    }
+
+    if (settings.importTemplates) {
+        for (const id of Object.keys(getTemplates())) {
+            if (modes.has(id) || invalid.some(item => item.name === id)) continue;
+            const result = validateModeDefinition(id, { template: id }, { templates: getTemplates(), source: MODE_SOURCE.TEMPLATE });
+            if (result.valid) modes.set(id, { ...result.plan, template: id });
+            else invalid.push({ name: id, source: MODE_SOURCE.TEMPLATE, errors: result.errors });
+        }
+    }
+
+    return { modes, invalid };
+}
+
+/**
+ * @param {string} mode
+ * @param {Object} [config]
+ * @returns {Object|null} Plan: { name, label, description, source, steps, stages, parallelGroups, conditions }
+ */
+function resolveModePlan(mode, config) {
+    if (MODE_STAGES[mode]) return builtinPlan(mode);
+    return getModeCatalog(config).modes.get(mode) || null;
+}
+
+/**
+ * @param {string} mode
+ * @param {Object} [config]
+ * @returns {boolean}
+ */
+function isKnownMode(mode, config) {
+    if (typeof mode !== 'string') return false;
+    return !!MODE_STAGES[mode] || getModeCatalog(config).modes.has(mode);
+}
+
+/**
+ * Modes for pickers and help text.
+ * @param {Object} [config]
+ * @returns {{ modes: Object[], invalid: Object[] }}
+ */
+function listModes(config) {
+    const { modes, invalid } = getModeCatalog(config);
+    return {
+        modes: Array.from(modes.values()).map(plan => ({
+            name: plan.name,
+            label: plan.label,
+            description: plan.description,
+            source: plan.source,
+            template: plan.template,
+            stages: plan.stages,
+            parallelGroups: plan.parallelGroups,
+            conditions: plan.conditions,
+        })),
+        invalid,
+    };
+}
+
+/**
+ * Why `stage` should be skipped under `plan`, or null to run it.
+ *
+ * @param {Object} plan
+ * @param {string} stage
+ * @param {Object} context - Pipeline context
+ * @returns {string|null}
+ */
+function getSkipReason(plan, stage, context) {
+    const rules = plan?.conditions?.[stage];
+    if (!rules) return null;
+
+    const hit = rules.skipIf.find(condition => CONDITIONS[condition]?.(context));
+    if (hit) return `skipIf ${hit}`;
+    const miss = rules.runIf.find(condition => !CONDITIONS[condition]?.(context));
+    if (miss) return `runIf ${miss} not met`;
+    return null;
+}
+
+/**
+ * Stages of the parallel group `stage` belongs to, or null.
+ * @param {Object} plan
+ * @param {string} stage
+ * @returns {string[]|null}
+ */
+function getParallelGroup(plan, stage) {
+    return plan?.parallelGroups?.find(group => group.includes(stage)) || null;
+}
+
+module.exports = {
+    STAGES,
+    STAGE_ORDER,
+    MODE_STAGES,
+    BUILTIN_MODES,
+    MODE_SOURCE,
+    QUALITY_GATES,
+    CONDITIONS,
+    TEMPLATE_STAGE_MAP,
+    loadCustomTemplates,
+    templateToDefinition,
+    validateModeDefinition,
+    getModeCatalog,
+    resolveModePlan,
+    isKnownMode,
+    listModes,
+    getSkipReason,
+    getParallelGroup,
+};
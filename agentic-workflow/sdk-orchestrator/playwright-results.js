@@ -0,0 +1,288 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PLAYWRIGHT RESULTS — Shared JSON Reporter Parser
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * One parser for `npx playwright test --reporter=json` output, used by
+ * self-healing, the EXECUTE stage and the get_test_results / execute_test tools.
+ *
+ * The JSON report nests suites (file → describe → describe ...) and gives every
+ * spec one test entry per project. Each entry keeps every attempt (retries)
+ * with its error, attachments and step trace. parsePlaywrightReport flattens
+ * that into one record per spec × project:
+ *
+ *   {
+ *     id, title, titlePath, file, line, column, project,
+ *     status: 'passed' | 'failed' | 'flaky' | 'skipped' | 'timed-out',
+ *     duration, retries, error,
+ *     attempts: [{ retry, status, duration, startTime, error, errors, attachments, steps }],
+ *   }
+ *
+ * and aggregates the counts overall and per project.
+ *
+ * @module sdk-orchestrator/playwright-results
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+'use strict';
+
+const { extractJSON } = require('./utils');
+
+const TEST_STATUS = Object.freeze({
+    PASSED: 'passed',
+    FAILED: 'failed',
+    FLAKY: 'flaky',
+    SKIPPED: 'skipped',
+    TIMED_OUT: 'timed-out',
+});
+
+const MAX_STEP_DEPTH = 4;
+
+// ─── Parsing ────────────────────────────────────────────────────────────────
+
+/**
+ * Parse Playwright JSON reporter output from a command's stdout (dotenv
+ * banners and other preamble are skipped).
+ *
+ * @param {string} output
+ * @returns {Object} parsePlaywrightReport() result, plus `report` (the raw JSON)
+ * @throws {SyntaxError} When the output holds no JSON report
+ */
+function parsePlaywrightOutput(output) {
+    const cleaned = String(output || '').replace(/^\[dotenv[^\]]*\][^\n]*\n?/gm, '').trim();
+    const report = extractJSON(cleaned);
+    if (!report || typeof report !== 'object' || (!Array.isArray(report.suites) && !Array.isArray(report.errors))) {
+        throw new SyntaxError('Output is not a Playwright JSON report');
+    }
+    return { ...parsePlaywrightReport(report), report };
+}
+
+/**
+ * Flatten a Playwright JSON report into per-test records and counts.
+ *
+ * @param {Object} report - Parsed JSON reporter output
+ * @returns {{ tests: Object[], stats: Object, projects: Object, errors: Object[], passed: boolean }}
+ */
+function parsePlaywrightReport(report) {
+    const tests = [];
+
+    const visitSuite = (suite, titlePath) => {
+        // The root suite of a file is titled with the file path — not part of the test title
+        const isFileSuite = suite.file && suite.title === suite.file;
+        const suitePath = isFileSuite || !suite.title ? titlePath : [...titlePath, suite.title];
+
+        for (const spec of suite.specs || []) {
+            for (const test of spec.tests || []) {
+                tests.push(buildTestRecord(spec, test, [...suitePath, spec.title], suite.file));
+            }
+        }
+        for (const child of suite.suites || []) {
+            visitSuite(child, suitePath);
+        }
+    };
+    for (const suite of report?.suites || []) {
+        visitSuite(suite, []);
+    }
+
+    const stats = emptyCounts();
+    const projects = {};
+    for (const test of tests) {
+        countTest(stats, test);
+        const projectKey = test.project || 'default';
+        if (!projects[projectKey]) projects[projectKey] = emptyCounts();
+        countTest(projects[projectKey], test);
+    }
+
+    const errors = (report?.errors || []).map(normalizeError).filter(Boolean);
+
+    return {
+        tests,
+        stats,
+        projects,
+        errors,
+        passed: stats.total > 0 && stats.failed === 0 && stats.timedOut === 0 && errors.length === 0,
+    };
+}
+
+function buildTestRecord(spec, test, titlePath, suiteFile) {
+    const attempts = (test.results || []).map(result => ({
+        retry: result.retry || 0,
+        status: result.status || null,
+        duration: result.duration || 0,
+        startTime: result.startTime || null,
+        error: normalizeError(result.error),
+        errors: (result.errors || []).map(normalizeError).filter(Boolean),
+        attachments: (result.attachments || []).map(attachment => ({
+            name: attachment.name || 'attachment',
+            contentType: attachment.contentType || 'application/octet-stream',
+            path: attachment.path || null,
+        })),
+        steps: normalizeSteps(result.steps, 0),
+    }));
+
+    const status = classifyTest(test, attempts);
+    const failedAttempt = [...attempts].reverse().find(attempt => attempt.error || attempt.errors.length > 0);
+
+    return {
+        id: `${spec.id || titlePath.join(' › ')}${test.projectName ? `@${test.projectName}` : ''}`,
+        title: titlePath.join(' › '),
+        titlePath,
+        file: spec.file || suiteFile || null,
+        line: spec.line ?? null,
+        column: spec.column ?? null,
+        project: test.projectName || null,
+        status,
+        expectedStatus: test.expectedStatus || null,
+        duration: attempts.reduce((sum, attempt) => sum + attempt.duration, 0),
+        retries: Math.max(attempts.length - 1, 0),
+        error: failedAttempt ? (failedAttempt.error || failedAttempt.errors[0]) : null,
+        annotations: test.annotations || [],
+        attempts,
+    };
+}
+
+/**
+ * Outcome of one spec × project. Playwright reports test.status as
+ * expected/unexpected/flaky/skipped; older reports used passed/failed.
+ */
+function classifyTest(test, attempts) {
+    const last = attempts[attempts.length - 1];
+    const status = test.status;
+
+    if (status === 'skipped' || (attempts.length > 0 && attempts.every(a => a.status === 'skipped'))) {
+        return TEST_STATUS.SKIPPED;
+    }
+    if (status === 'flaky') return TEST_STATUS.FLAKY;
+    if (status === 'expected' || status === 'passed') {
+        // A pass after failed attempts is flaky even in reports that predate the flaky status
+        const failedBefore = attempts.slice(0, -1).some(a => a.status !== 'passed' && a.status !== 'skipped');
+        return failedBefore ? TEST_STATUS.FLAKY : TEST_STATUS.PASSED;
+    }
+    if (status === 'unexpected' || status === 'failed' || status === 'timedOut') {
+        return last?.status === 'timedOut' || status === 'timedOut' ? TEST_STATUS.TIMED_OUT : TEST_STATUS.FAILED;
+    }
+
+    // No test-level status: derive it from the attempts
+    if (!last) return TEST_STATUS.SKIPPED;
+    if (last.status === 'passed') {
+        return attempts.length > 1 ? TEST_STATUS.FLAKY : TEST_STATUS.PASSED;
+    }
+    return last.status === 'timedOut' ? TEST_STATUS.TIMED_OUT : TEST_STATUS.FAILED;
+}
+
+function normalizeError(error) {
+    if (!error) return null;
+    const message = stripAnsi(error.message || error.value || '');
+    if (!message && !error.stack) return null;
+    return {
+        message,
+        stack: stripAnsi(error.stack || ''),
+        snippet: stripAnsi(error.snippet || ''),
+        location: error.location || null,
+    };
+}
+
+function normalizeSteps(steps, depth) {
+    if (!Array.isArray(steps) || steps.length === 0) return [];
+    return steps.map(step => {
+        const node = {
+            title: step.title,
+            duration: step.duration || 0,
+            error: step.error ? stripAnsi(step.error.message || '') || 'error' : null,
+        };
+        if (depth + 1 < MAX_STEP_DEPTH && Array.isArray(step.steps) && step.steps.length > 0) {
+            node.steps = normalizeSteps(step.steps, depth + 1);
+        }
+        return node;
+    });
+}
+
+function stripAnsi(text) {
+    return String(text).replace(/\u001b\[[0-9;]*m/g, '');
+}
+
+function emptyCounts() {
+    return { total: 0, passed: 0, failed: 0, flaky: 0, skipped: 0, timedOut: 0, duration: 0 };
+}
+
+function countTest(counts, test) {
+    counts.total++;
+    counts.duration += test.duration;
+    if (test.status === TEST_STATUS.TIMED_OUT) counts.timedOut++;
+    else counts[test.status]++;
+}
+
+// ─── Summaries ──────────────────────────────────────────────────────────────
+
+/**
+ * Display name of a test — prefixed with its project when the run had several.
+ */
+function testLabel(test, parsed) {
+    const multiProject = Object.keys(parsed.projects).length > 1;
+    return multiProject && test.project ? `[${test.project}] ${test.title}` : test.title;
+}
+
+/**
+ * Legacy-shaped counts and title lists for stage results and tool output.
+ * Timed-out tests count as failed.
+ *
+ * @param {Object} parsed - parsePlaywrightReport() result
+ * @returns {Object}
+ */
+function summarizeResults(parsed) {
+    const byStatus = (...statuses) => parsed.tests.filter(test => statuses.includes(test.status));
+    const label = test => testLabel(test, parsed);
+    const failed = byStatus(TEST_STATUS.FAILED, TEST_STATUS.TIMED_OUT);
+
+    return {
+        passed: parsed.passed,
+        totalCount: parsed.stats.total,
+        passedCount: parsed.stats.passed + parsed.stats.flaky,
+        failedCount: failed.length,
+        flakyCount: parsed.stats.flaky,
+        skippedCount: parsed.stats.skipped,
+        timedOutCount: parsed.stats.timedOut,
+        failedTests: failed.map(label),
+        passedTests: byStatus(TEST_STATUS.PASSED, TEST_STATUS.FLAKY).map(label),
+        flakyTests: byStatus(TEST_STATUS.FLAKY).map(label),
+        timedOutTests: byStatus(TEST_STATUS.TIMED_OUT).map(label),
+        byProject: parsed.projects,
+    };
+}
+
+/**
+ * Failing tests with the error of every failed attempt — the text healing and
+ * error analysis work from.
+ *
+ * @param {Object} parsed - parsePlaywrightReport() result
+ * @param {Object} [options]
+ * @param {number} [options.maxTests=10]
+ * @returns {string}
+ */
+function formatFailures(parsed, options = {}) {
+    const maxTests = options.maxTests ?? 10;
+    const lines = parsed.errors.map(error => `Global error: ${error.message}`);
+
+    const failing = parsed.tests.filter(test => test.status === TEST_STATUS.FAILED || test.status === TEST_STATUS.TIMED_OUT);
+    for (const test of failing.slice(0, maxTests)) {
+        lines.push(`✘ ${testLabel(test, parsed)} (${test.status}${test.retries > 0 ? `, ${test.retries + 1} attempts` : ''})`);
+        for (const attempt of test.attempts) {
+            const error = attempt.error || attempt.errors[0];
+            if (!error) continue;
+            lines.push(`  Attempt ${attempt.retry + 1} [${attempt.status}]: ${error.message}`);
+            if (error.snippet) lines.push(error.snippet.split('\n').map(line => `    ${line}`).join('\n'));
+        }
+    }
+    if (failing.length > maxTests) lines.push(`… ${failing.length - maxTests} more failing test(s)`);
+    return lines.join('\n');
+}
+
+module.exports = {
+    TEST_STATUS,
+    parsePlaywrightOutput,
+    parsePlaywrightReport,
+    classifyTest,
+    summarizeResults,
+    formatFailures,
+    stripAnsi,
+};
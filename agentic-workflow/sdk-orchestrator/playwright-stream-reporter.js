@@ -0,0 +1,76 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PLAYWRIGHT STREAM REPORTER — Per-Test Events on stdout
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Custom Playwright reporter loaded by the execution service next to the JSON
+ * reporter. Writes one line per event as tests start and finish:
+ *
+ *   @@sdk-test-event {"event":"test-end","title":"Search › filters",...}
+ *
+ * Events: begin (total tests), test-begin, test-end (one per attempt; `final`
+ * marks the last attempt with the test's outcome) and end.
+ *
+ * @module sdk-orchestrator/playwright-stream-reporter
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+'use strict';
+
+const path = require('path');
+const { stripAnsi } = require('./playwright-results');
+
+const EVENT_PREFIX = '@@sdk-test-event ';
+
+class PlaywrightStreamReporter {
+    onBegin(config, suite) {
+        this._rootDir = config.rootDir || process.cwd();
+        this._emit({ event: 'begin', total: suite.allTests().length, workers: config.workers });
+    }
+
+    onTestBegin(test, result) {
+        this._emit({ event: 'test-begin', ...this._describe(test), retry: result.retry });
+    }
+
+    onTestEnd(test, result) {
+        const final = result.status === 'skipped'
+            || result.status === test.expectedStatus
+            || result.retry >= test.retries;
+        this._emit({
+            event: 'test-end',
+            ...this._describe(test),
+            retry: result.retry,
+            status: result.status,
+            duration: result.duration,
+            error: result.error ? stripAnsi(result.error.message || '').split('\n')[0] : null,
+            final,
+            outcome: final ? test.outcome() : null,
+        });
+    }
+
+    onEnd(result) {
+        this._emit({ event: 'end', status: result.status, duration: result.duration });
+    }
+
+    printsToStdio() {
+        return true;
+    }
+
+    _describe(test) {
+        // titlePath: ['', project, file, ...describes, title]
+        return {
+            id: test.id,
+            title: test.titlePath().slice(3).join(' › '),
+            project: test.parent.project()?.name || null,
+            file: path.relative(this._rootDir, test.location.file).replace(/\\/g, '/'),
+            line: test.location.line,
+        };
+    }
+
+    _emit(event) {
+        process.stdout.write(`${EVENT_PREFIX}${JSON.stringify(event)}\n`);
+    }
+}
+
+module.exports = PlaywrightStreamReporter;
+module.exports.EVENT_PREFIX = EVENT_PREFIX;
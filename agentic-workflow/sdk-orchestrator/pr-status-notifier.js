@@ -0,0 +1,229 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PR STATUS NOTIFIER — Pipeline Results Back to Pull Requests
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Reports runs created by the git webhook (runs with a `pullRequest` record)
+ * to the PR's provider through a StatusReporter:
+ *
+ *   - `pending` commit status when the run is queued
+ *   - final commit status and a summary comment (per-spec results and code
+ *     review findings) when EventBridge emits RUN_COMPLETE
+ *
+ * Reporting failures are logged and never affect the run.
+ *
+ * @module sdk-orchestrator/pr-status-notifier
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const { EVENT_TYPES } = require('./event-bridge');
+const { RUN_STATUS } = require('./run-store');
+const { loadGitWebhookConfig } = require('./git-webhooks');
+const { createStatusReporter } = require('./status-reporters');
+
+// ─── PR Status Notifier ─────────────────────────────────────────────────────
+
+class PullRequestStatusNotifier {
+    /**
+     * @param {Object} options
+     * @param {Object} options.runStore
+     * @param {Object} options.eventBridge
+     * @param {Function} [options.loadConfig] - Returns sdk.webhooks.git settings (default: loadGitWebhookConfig)
+     * @param {Function} [options.fetch]      - Passed to reporters (default: global fetch)
+     * @param {Function} [options.log]        - (message, level) logger
+     */
+    constructor(options) {
+        this.runStore = options.runStore;
+        this.eventBridge = options.eventBridge;
+        this.loadConfig = options.loadConfig || (() => loadGitWebhookConfig());
+        this.fetch = options.fetch || undefined;
+        this.log = options.log || ((message) => console.log(`[PRStatus] ${message}`));
+        this._listener = null;
+    }
+
+    /** Report every completed PR run. */
+    subscribe() {
+        if (this._listener) return;
+        this._listener = (event) => {
+            const run = this.runStore.getRun(event.runId);
+            if (!run?.pullRequest) return;
+            this.reportCompletion(run).catch(error => this.log(`Completion report for ${run.runId} failed: ${error.message}`, 'warn'));
+        };
+        this.eventBridge.on(EVENT_TYPES.RUN_COMPLETE, this._listener);
+    }
+
+    unsubscribe() {
+        if (this._listener) this.eventBridge.off(EVENT_TYPES.RUN_COMPLETE, this._listener);
+        this._listener = null;
+    }
+
+    // ─── Reporting ──────────────────────────────────────────────────
+
+    /**
+     * Build the reporter for a PR's provider, or null when reporting is off.
+     * @param {Object} pullRequest
+     * @returns {Object|null}
+     */
+    reporterFor(pullRequest) {
+        const config = this.loadConfig();
+        const type = config.reporter === 'auto' ? pullRequest.provider : config.reporter;
+        const providerConfig = config[pullRequest.provider] || {};
+        return createStatusReporter(type, {
+            apiBaseUrl: providerConfig.apiBaseUrl,
+            token: providerConfig.tokenEnv ? process.env[providerConfig.tokenEnv] || null : null,
+            fetch: this.fetch,
+        });
+    }
+
+    /**
+     * Set a status on the PR head without a run (e.g. nothing to test).
+     * @param {Object} pullRequest
+     * @param {'pending'|'success'|'failure'|'error'} state
+     * @param {string} description
+     * @param {string|null} [targetUrl]
+     */
+    async reportStatus(pullRequest, state, description, targetUrl = null) {
+        const reporter = this.reporterFor(pullRequest);
+        if (!reporter || !pullRequest.headSha) return;
+        await reporter.reportStatus(pullRequest, {
+            state,
+            description,
+            context: this.loadConfig().statusContext,
+            targetUrl,
+        });
+    }
+
+    /**
+     * Pending status for a newly queued run.
+     * @param {Object} run
+     */
+    async reportQueued(run) {
+        const specCount = run.mission?.scenarios?.length || 0;
+        await this.reportStatus(run.pullRequest, 'pending',
+            `Queued ${specCount} spec(s) — run ${run.runId}`, this._targetUrl(run));
+    }
+
+    /**
+     * Final status and summary comment for a finished run.
+     * @param {Object} run
+     */
+    async reportCompletion(run) {
+        const reporter = this.reporterFor(run.pullRequest);
+        if (!reporter) return;
+
+        const summary = summarizeRun(run);
+        const config = this.loadConfig();
+        if (run.pullRequest.headSha) {
+            await reporter.reportStatus(run.pullRequest, {
+                state: summary.state,
+                description: summary.description,
+                context: config.statusContext,
+                targetUrl: this._targetUrl(run),
+            });
+        }
+        await reporter.reportSummary(run.pullRequest, summary.markdown);
+        this.log(`Reported ${run.runId} to ${run.pullRequest.repository}#${run.pullRequest.number}: ${summary.state}`);
+    }
+
+    _targetUrl(run) {
+        const template = this.loadConfig().targetUrlTemplate;
+        return template ? template.replace(/\{runId\}/g, run.runId).replace(/\{ticketId\}/g, run.ticketId) : null;
+    }
+}
+
+// ─── Summary ────────────────────────────────────────────────────────────────
+
+/**
+ * Commit state, one-line description and markdown comment for a finished run.
+ *
+ * @param {Object} run - Run record with `pullRequest`
+ * @returns {{ state: string, description: string, markdown: string }}
+ */
+function summarizeRun(run) {
+    const pullRequest = run.pullRequest;
+    const results = new Map((run.result?.scenarioResults || []).map(item => [item.scenarioId, item]));
+    const scenarios = run.mission?.scenarios || [];
+    const specInfo = new Map((pullRequest.specs || []).map(spec => [spec.specPath, spec]));
+
+    const rows = scenarios.map(scenario => {
+        const result = results.get(scenario.id) || null;
+        return {
+            specPath: scenario.specPath || scenario.name,
+            result,
+            tests: result?.artifacts?.testResults || null,
+            review: result?.artifacts?.codeReview || null,
+            reasons: specInfo.get(scenario.specPath)?.reasons || [],
+        };
+    });
+    const failed = rows.filter(row => row.result && !row.result.success).length;
+    const finished = rows.filter(row => row.result).length;
+
+    let state;
+    let description;
+    if (run.status === RUN_STATUS.CANCELLED) {
+        state = 'error';
+        description = 'Run cancelled';
+    } else if (finished === 0) {
+        state = 'error';
+        description = `Run failed: ${run.error || 'no results'}`;
+    } else if (failed > 0 || finished < rows.length) {
+        state = 'failure';
+        description = `${failed} of ${rows.length} spec(s) failed`;
+    } else {
+        state = 'success';
+        description = `${rows.length} spec(s) passed`;
+    }
+
+    const icon = { success: '✅', failure: '❌', error: '⚠️' }[state];
+    const lines = [
+        `### ${icon} QA automation: ${description}`,
+        '',
+        `Run \`${run.runId}\` · mode \`${run.mode}\` · ${run.environment}${run.duration ? ` · ${run.duration}` : ''}`,
+        '',
+        '| Spec | Result | Tests | Why it ran |',
+        '| --- | --- | --- | --- |',
+        ...rows.map(row => {
+            const result = !row.result ? '⏭️ not run' : row.result.success ? '✅ passed' : '❌ failed';
+            const tests = row.tests?.totalCount !== undefined
+                ? `${row.tests.passedCount ?? row.tests.totalCount - (row.tests.failedCount || 0)}/${row.tests.totalCount}`
+                : '—';
+            return `| \`${row.specPath}\` | ${result} | ${tests} | ${escapeCell(row.reasons.join('; ')) || '—'} |`;
+        }),
+    ];
+
+    if (pullRequest.truncated > 0) {
+        lines.push('', `_${pullRequest.truncated} more affected spec(s) were not run (sdk.webhooks.git.maxSpecs)._`);
+    }
+
+    const failures = rows.filter(row => row.result && !row.result.success && row.result.error);
+    if (failures.length > 0) {
+        lines.push('', '#### Failures', '');
+        for (const row of failures) {
+            lines.push(`- \`${row.specPath}\`: ${escapeCell(String(row.result.error).slice(0, 300))}`);
+        }
+    }
+
+    const reviews = rows.filter(row => row.review);
+    if (reviews.length > 0) {
+        lines.push('', '#### Code review');
+        for (const row of reviews) {
+            const verdict = {
+                APPROVE: '✅ approved',
+                CHANGES_REQUESTED: '✏️ changes requested',
+                ERROR: '⚠️ review failed',
+            }[row.review.verdict] || '💬 comments';
+            lines.push('', `**\`${row.specPath}\`** — ${verdict}`, '');
+            if (row.review.summary) lines.push(row.review.summary.slice(0, 1500));
+        }
+    }
+
+    return { state, description, markdown: lines.join('\n') };
+}
+
+function escapeCell(value) {
+    return String(value || '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = { PullRequestStatusNotifier, summarizeRun };
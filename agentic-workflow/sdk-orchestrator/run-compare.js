@@ -0,0 +1,602 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * RUN COMPARE — What Changed Between Two Pipeline Runs
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Diffs a base run against a head run (typically a rerun of the same ticket
+ * after a fix):
+ *
+ *   stages    → status and duration per pipeline stage (RunStore stages)
+ *   tests     → per-test status from the saved raw Playwright results
+ *               (PipelineRunner._saveRawTestResults, test-artifacts/reports)
+ *   specs     → line diff of the generated spec content
+ *   selectors → Playwright locators added/removed between the two specs
+ *   healing   → healing actions taken by each run (SelfHealingEngine log)
+ *
+ * A regression is something that passed in the base run and fails in the
+ * head run; a fix is the reverse.
+ *
+ * Spec content comes from the snapshot stored with the raw results. Runs
+ * saved before snapshots existed fall back to the spec file currently on
+ * disk, flagged with source: 'workspace'.
+ *
+ * @module sdk-orchestrator/run-compare
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractSelectors } = require('./cognitive-phases/dryrun-phase');
+
+const CHANGE = Object.freeze({
+    REGRESSION: 'regression',
+    FIX: 'fix',
+    CHANGED: 'changed',
+    UNCHANGED: 'unchanged',
+    ADDED: 'added',
+    REMOVED: 'removed',
+});
+
+const PASSING = new Set(['passed', 'flaky']);
+const FAILING = new Set(['failed', 'timedOut', 'interrupted']);
+const RAW_RESULTS_SUFFIX = '-test-results.json';
+const DIFF_CONTEXT_LINES = 3;
+// Above this many cells the LCS table is skipped and the block is shown as replaced
+const MAX_DIFF_CELLS = 4_000_000;
+// Healing log entries that record test runs rather than actions
+const HEALING_TEST_ENTRIES = new Set(['tests_passed', 'tests_failed']);
+
+// ─── Compare ────────────────────────────────────────────────────────────────
+
+/**
+ * @param {Object} baseRun - RunStore run
+ * @param {Object} headRun - RunStore run
+ * @param {Object} options
+ * @param {string} options.reportsDir  - Where raw Playwright results are saved
+ * @param {string} options.projectRoot - Resolves project-relative spec paths
+ * @returns {{
+ *   base: Object, head: Object,
+ *   summary: { verdict: string, regressions: number, fixes: number },
+ *   stages: Object[], tests: { summary: Object, items: Object[] },
+ *   specs: Object[], selectors: Object, healing: Object, warnings: string[]
+ * }}
+ */
+function compareRuns(baseRun, headRun, options) {
+    const base = collectRunArtifacts(baseRun, options);
+    const head = collectRunArtifacts(headRun, options);
+    const warnings = [];
+
+    if (baseRun.ticketId !== headRun.ticketId) {
+        warnings.push(`Runs are for different tickets (${baseRun.ticketId} vs ${headRun.ticketId})`);
+    }
+    for (const [label, run] of [['Base', baseRun], ['Head', headRun]]) {
+        if (['queued', 'running'].includes(run.status)) {
+            warnings.push(`${label} run ${run.runId} is still ${run.status}`);
+        }
+    }
+    for (const [label, artifacts] of [['base', base], ['head', head]]) {
+        if (artifacts.rawResultFiles.length === 0) {
+            warnings.push(`No saved test results for the ${label} run`);
+        }
+        for (const spec of artifacts.specs.values()) {
+            if (spec.source === 'workspace') {
+                warnings.push(`${spec.specPath} (${label}) has no snapshot; using the current file, which may have changed since the run`);
+            }
+        }
+    }
+
+    const stages = compareStages(baseRun.stages || [], headRun.stages || []);
+    const tests = compareTests(base.tests, head.tests);
+    const specs = compareSpecs(base.specs, head.specs);
+    const selectors = compareSelectors(base.specs, head.specs);
+    const healing = {
+        base: summarizeHealing(base.healing),
+        head: summarizeHealing(head.healing),
+    };
+
+    const regressions = stages.filter(s => s.change === CHANGE.REGRESSION).length + tests.summary.regressions;
+    const fixes = stages.filter(s => s.change === CHANGE.FIX).length + tests.summary.fixes;
+
+    return {
+        base: describeRun(baseRun, base),
+        head: describeRun(headRun, head),
+        summary: {
+            verdict: regressions && fixes ? 'mixed' : regressions ? 'regressed' : fixes ? 'improved' : 'unchanged',
+            regressions,
+            fixes,
+            statusChanged: baseRun.status !== headRun.status,
+            durationDeltaMs: deltaOf(runDurationMs(baseRun), runDurationMs(headRun)),
+            specsChanged: specs.filter(s => s.change !== CHANGE.UNCHANGED).length,
+            selectorsAdded: selectors.added.length,
+            selectorsRemoved: selectors.removed.length,
+            healingActionsDelta: healing.head.actions.length - healing.base.actions.length,
+        },
+        stages,
+        tests,
+        specs,
+        selectors,
+        healing,
+        warnings,
+    };
+}
+
+// ─── Artifact Collection ────────────────────────────────────────────────────
+
+/**
+ * Gather what a run left behind: raw Playwright results, spec content and
+ * healing logs, per scenario.
+ *
+ * @returns {{ rawResultFiles: string[], tests: Map, specs: Map, healing: Object[] }}
+ */
+function collectRunArtifacts(run, { reportsDir, projectRoot }) {
+    const scenarioArtifacts = _scenarioArtifacts(run);
+    const rawResults = _loadRawResults(run, reportsDir, scenarioArtifacts);
+    const tests = new Map();
+    const specs = new Map();
+
+    for (const raw of rawResults) {
+        for (const test of flattenPlaywrightResults(raw.playwrightResult)) {
+            const key = tests.has(test.key) && raw.scenarioId ? `${test.key} [${raw.scenarioId}]` : test.key;
+            tests.set(key, { ...test, key, scenarioId: raw.scenarioId || null });
+        }
+        if (raw.specPath && typeof raw.specContent === 'string') {
+            specs.set(_relative(raw.specPath, projectRoot), {
+                specPath: _relative(raw.specPath, projectRoot),
+                content: raw.specContent,
+                source: 'snapshot',
+            });
+        }
+    }
+
+    // Specs without a snapshot: read the file as it is now
+    for (const artifacts of scenarioArtifacts) {
+        const specPath = artifacts.specPath;
+        if (!specPath) continue;
+        const relPath = _relative(specPath, projectRoot);
+        if (specs.has(relPath)) continue;
+        const absPath = path.isAbsolute(specPath) ? specPath : path.join(projectRoot, specPath);
+        specs.set(relPath, {
+            specPath: relPath,
+            content: fs.existsSync(absPath) ? fs.readFileSync(absPath, 'utf-8') : null,
+            source: fs.existsSync(absPath) ? 'workspace' : 'missing',
+        });
+    }
+
+    const healing = [];
+    for (const artifacts of scenarioArtifacts) {
+        if (artifacts.healingResult) healing.push({ scenarioId: artifacts.scenarioId, result: artifacts.healingResult });
+    }
+
+    return { rawResultFiles: rawResults.map(raw => raw.fileName), tests, specs, healing };
+}
+
+/**
+ * Per-scenario spec path, healing result and raw results file, merged from
+ * the run result (completed runs) and the resume snapshots (failed ones).
+ */
+function _scenarioArtifacts(run) {
+    const byScenario = new Map();
+    const merge = (scenarioId, fields) => {
+        const entry = byScenario.get(scenarioId) || { scenarioId, specPath: null, healingResult: null, rawResultsFile: null };
+        for (const [key, value] of Object.entries(fields)) {
+            if (value && !entry[key]) entry[key] = value;
+        }
+        byScenario.set(scenarioId, entry);
+    };
+
+    const artifacts = run.artifacts || {};
+    for (const [scenarioId, result] of Object.entries(artifacts.scenarioResults || {})) {
+        merge(scenarioId, {
+            specPath: result.spec,
+            healingResult: result.healingResult,
+            rawResultsFile: result.testResults?.rawResultsFile,
+        });
+    }
+    // Single-pipeline runs (CLI) store the pipeline artifacts directly
+    if (artifacts.spec || artifacts.healingResult || artifacts.testResults) {
+        merge('default', {
+            specPath: artifacts.spec,
+            healingResult: artifacts.healingResult,
+            rawResultsFile: artifacts.testResults?.rawResultsFile,
+        });
+    }
+    for (const [scenarioId, snapshot] of Object.entries(run.resumeState || {})) {
+        merge(scenarioId, {
+            specPath: snapshot.artifacts?.specPath,
+            healingResult: snapshot.healingResult,
+            rawResultsFile: snapshot.testResults?.rawResultsFile,
+        });
+    }
+
+    return Array.from(byScenario.values());
+}
+
+function _loadRawResults(run, reportsDir, scenarioArtifacts) {
+    const files = new Set();
+    if (reportsDir && fs.existsSync(reportsDir)) {
+        for (const file of fs.readdirSync(reportsDir)) {
+            if (file.endsWith(`-${run.runId}${RAW_RESULTS_SUFFIX}`)) files.add(path.join(reportsDir, file));
+        }
+    }
+    for (const artifacts of scenarioArtifacts) {
+        if (artifacts.rawResultsFile && fs.existsSync(artifacts.rawResultsFile)) files.add(path.resolve(artifacts.rawResultsFile));
+    }
+
+    const results = [];
+    for (const filePath of files) {
+        try {
+            const raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+            if (raw.runId && raw.runId !== run.runId) continue;
+            results.push({ ...raw, fileName: path.basename(filePath) });
+        } catch { /* skip corrupt files */ }
+    }
+    return results.sort((a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || '')));
+}
+
+// ─── Stages ─────────────────────────────────────────────────────────────────
+
+function compareStages(baseStages, headStages) {
+    const baseByName = new Map(baseStages.map(stage => [stage.name, stage]));
+    const headByName = new Map(headStages.map(stage => [stage.name, stage]));
+    const names = [...baseByName.keys()];
+    for (const name of headByName.keys()) {
+        if (!baseByName.has(name)) names.push(name);
+    }
+
+    return names.map(name => {
+        const base = baseByName.get(name);
+        const head = headByName.get(name);
+        const baseView = base ? { status: base.status, durationMs: stageDurationMs(base), message: base.message || null } : null;
+        const headView = head ? { status: head.status, durationMs: stageDurationMs(head), message: head.message || null } : null;
+        return {
+            name,
+            base: baseView,
+            head: headView,
+            change: classifyChange(baseView?.status, headView?.status, { passing: ['passed'], failing: ['failed'] }),
+            durationDeltaMs: deltaOf(baseView?.durationMs, headView?.durationMs),
+        };
+    });
+}
+
+function stageDurationMs(stage) {
+    if (!stage.startedAt || !stage.completedAt) return null;
+    return new Date(stage.completedAt) - new Date(stage.startedAt);
+}
+
+function runDurationMs(run) {
+    if (!run.startedAt || !run.completedAt) return null;
+    return new Date(run.completedAt) - new Date(run.startedAt);
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+/**
+ * Flatten a Playwright JSON report into one entry per test and project.
+ * Nested describe blocks become part of the title ("Suite › Case").
+ *
+ * @param {Object} playwrightResult - Playwright JSON reporter output
+ * @returns {{ key, title, file, project, status, durationMs, retries, error }[]}
+ */
+function flattenPlaywrightResults(playwrightResult) {
+    const tests = [];
+
+    const walk = (suites, titles, file) => {
+        for (const suite of suites || []) {
+            const suiteFile = suite.file || file;
+            // The top-level suite of each file is titled with the file name
+            const suiteTitles = suite.title && suite.title !== suite.file ? [...titles, suite.title] : titles;
+
+            for (const spec of suite.specs || []) {
+                for (const test of spec.tests || [{}]) {
+                    const results = test.results || [];
+                    const last = results[results.length - 1] || {};
+                    const title = [...suiteTitles, spec.title].join(' › ');
+                    const project = test.projectName || '';
+                    const specFile = spec.file || suiteFile || '';
+                    tests.push({
+                        key: [specFile, project, title].filter(Boolean).join(' › '),
+                        title,
+                        file: specFile,
+                        project,
+                        status: normalizeTestStatus(test, last, spec),
+                        durationMs: last.duration || 0,
+                        retries: Math.max(results.length - 1, 0),
+                        error: _firstLine(last.error?.message),
+                    });
+                }
+            }
+            walk(suite.suites, suiteTitles, suiteFile);
+        }
+    };
+
+    walk(playwrightResult?.suites, [], null);
+    return tests;
+}
+
+function normalizeTestStatus(test, lastResult, spec) {
+    switch (test.status) {
+    case 'expected': return 'passed';
+    case 'flaky': return 'flaky';
+    case 'skipped': return 'skipped';
+    case 'unexpected': return lastResult.status === 'timedOut' ? 'timedOut' : 'failed';
+    case 'passed':
+    case 'failed':
+    case 'timedOut':
+        return test.status;
+    default:
+        if (lastResult.status) return lastResult.status;
+        return spec.ok === false ? 'failed' : spec.ok === true ? 'passed' : 'unknown';
+    }
+}
+
+function compareTests(baseTests, headTests) {
+    const keys = [...baseTests.keys()];
+    for (const key of headTests.keys()) {
+        if (!baseTests.has(key)) keys.push(key);
+    }
+
+    const items = keys.map(key => {
+        const base = baseTests.get(key);
+        const head = headTests.get(key);
+        const ref = head || base;
+        return {
+            key,
+            title: ref.title,
+            file: ref.file,
+            project: ref.project,
+            base: base ? { status: base.status, durationMs: base.durationMs, retries: base.retries, error: base.error } : null,
+            head: head ? { status: head.status, durationMs: head.durationMs, retries: head.retries, error: head.error } : null,
+            change: classifyChange(base?.status, head?.status, { passing: PASSING, failing: FAILING }),
+            durationDeltaMs: deltaOf(base?.durationMs, head?.durationMs),
+        };
+    });
+
+    const count = (tests, statuses) => [...tests.values()].filter(test => statuses.has(test.status)).length;
+    const summary = {
+        base: { total: baseTests.size, passed: count(baseTests, PASSING), failed: count(baseTests, FAILING) },
+        head: { total: headTests.size, passed: count(headTests, PASSING), failed: count(headTests, FAILING) },
+    };
+    const counted = { regressions: CHANGE.REGRESSION, fixes: CHANGE.FIX, changed: CHANGE.CHANGED, unchanged: CHANGE.UNCHANGED, added: CHANGE.ADDED, removed: CHANGE.REMOVED };
+    for (const [field, change] of Object.entries(counted)) {
+        summary[field] = items.filter(item => item.change === change).length;
+    }
+
+    // Regressions first, then fixes, then the rest in report order
+    const rank = { [CHANGE.REGRESSION]: 0, [CHANGE.FIX]: 1 };
+    items.sort((a, b) => (rank[a.change] ?? 2) - (rank[b.change] ?? 2));
+
+    return { summary, items };
+}
+
+/**
+ * @param {string|undefined} baseStatus
+ * @param {string|undefined} headStatus
+ * @param {{ passing: Iterable<string>, failing: Iterable<string> }} groups
+ * @returns {string} One of CHANGE
+ */
+function classifyChange(baseStatus, headStatus, groups) {
+    if (!baseStatus && !headStatus) return CHANGE.UNCHANGED;
+    if (!baseStatus) return CHANGE.ADDED;
+    if (!headStatus) return CHANGE.REMOVED;
+    const passing = new Set(groups.passing);
+    const failing = new Set(groups.failing);
+    if (passing.has(baseStatus) && failing.has(headStatus)) return CHANGE.REGRESSION;
+    if (failing.has(baseStatus) && passing.has(headStatus)) return CHANGE.FIX;
+    return baseStatus === headStatus ? CHANGE.UNCHANGED : CHANGE.CHANGED;
+}
+
+// ─── Specs & Selectors ──────────────────────────────────────────────────────
+
+function compareSpecs(baseSpecs, headSpecs) {
+    const paths = [...baseSpecs.keys()];
+    for (const specPath of headSpecs.keys()) {
+        if (!baseSpecs.has(specPath)) paths.push(specPath);
+    }
+
+    return paths.map(specPath => {
+        const base = baseSpecs.get(specPath);
+        const head = headSpecs.get(specPath);
+        const diff = diffLines(base?.content ?? '', head?.content ?? '');
+        let change = CHANGE.UNCHANGED;
+        if (!base || base.content == null) change = CHANGE.ADDED;
+        else if (!head || head.content == null) change = CHANGE.REMOVED;
+        else if (diff.added || diff.removed) change = CHANGE.CHANGED;
+
+        return {
+            specPath,
+            change,
+            baseSource: base?.source || null,
+            headSource: head?.source || null,
+            added: diff.added,
+            removed: diff.removed,
+            hunks: diff.hunks,
+        };
+    });
+}
+
+function compareSelectors(baseSpecs, headSpecs) {
+    const collect = specs => {
+        const selectors = new Map();
+        for (const spec of specs.values()) {
+            for (const item of extractSelectors(spec.content || '')) {
+                if (!selectors.has(item.selector)) {
+                    selectors.set(item.selector, { selector: item.selector, type: item.type, specPath: spec.specPath, line: item.line });
+                }
+            }
+        }
+        return selectors;
+    };
+
+    const base = collect(baseSpecs);
+    const head = collect(headSpecs);
+    return {
+        added: [...head.values()].filter(item => !base.has(item.selector)),
+        removed: [...base.values()].filter(item => !head.has(item.selector)),
+        unchanged: [...head.keys()].filter(selector => base.has(selector)).length,
+    };
+}
+
+/**
+ * Line diff with DIFF_CONTEXT_LINES of context around each change.
+ *
+ * @param {string} before
+ * @param {string} after
+ * @returns {{ added: number, removed: number, hunks: { baseStart: number, headStart: number, lines: { type: ' '|'+'|'-', text: string }[] }[] }}
+ */
+function diffLines(before, after) {
+    const a = before ? before.split('\n') : [];
+    const b = after ? after.split('\n') : [];
+
+    // Common prefix and suffix never need the LCS table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+    const ops = [];
+    for (let i = 0; i < start; i++) ops.push({ type: ' ', text: a[i] });
+    ops.push(..._diffMiddle(a.slice(start, endA), b.slice(start, endB)));
+    for (let i = endA; i < a.length; i++) ops.push({ type: ' ', text: a[i] });
+
+    const added = ops.filter(op => op.type === '+').length;
+    const removed = ops.filter(op => op.type === '-').length;
+    return { added, removed, hunks: _toHunks(ops) };
+}
+
+function _diffMiddle(a, b) {
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+        return [...a.map(text => ({ type: '-', text })), ...b.map(text => ({ type: '+', text }))];
+    }
+
+    // lcs[i][j] = longest common subsequence of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) { ops.push({ type: ' ', text: a[i] }); i++; j++; }
+        else if (lcs[i + 1][j] >= lcs[i][j + 1]) ops.push({ type: '-', text: a[i++] });
+        else ops.push({ type: '+', text: b[j++] });
+    }
+    while (i < a.length) ops.push({ type: '-', text: a[i++] });
+    while (j < b.length) ops.push({ type: '+', text: b[j++] });
+    return ops;
+}
+
+function _toHunks(ops) {
+    const hunks = [];
+    let baseLine = 1;
+    let headLine = 1;
+    let current = null;
+    let trailing = 0;
+
+    for (let k = 0; k < ops.length; k++) {
+        const op = ops[k];
+        if (op.type !== ' ') {
+            if (!current) {
+                const from = Math.max(0, k - DIFF_CONTEXT_LINES);
+                const context = ops.slice(from, k);
+                current = { baseStart: baseLine - context.length, headStart: headLine - context.length, lines: [...context] };
+                hunks.push(current);
+            }
+            current.lines.push(op);
+            trailing = 0;
+        } else if (current) {
+            if (trailing < DIFF_CONTEXT_LINES) {
+                current.lines.push(op);
+                trailing++;
+            } else {
+                // Close the hunk unless another change follows within the context window
+                const nextChange = ops.slice(k, k + DIFF_CONTEXT_LINES + 1).some(next => next.type !== ' ');
+                if (nextChange) {
+                    current.lines.push(op);
+                } else {
+                    current = null;
+                }
+            }
+        }
+
+        if (op.type !== '+') baseLine++;
+        if (op.type !== '-') headLine++;
+    }
+    return hunks;
+}
+
+// ─── Healing ────────────────────────────────────────────────────────────────
+
+function summarizeHealing(entries) {
+    const actions = [];
+    let iterations = 0;
+    let attempted = false;
+    let success = null;
+
+    for (const { scenarioId, result } of entries) {
+        attempted = true;
+        iterations += result.iterations || 0;
+        success = success === null ? !!result.success : success && !!result.success;
+        for (const entry of result.healingLog || []) {
+            if (HEALING_TEST_ENTRIES.has(entry.action)) continue;
+            actions.push({
+                scenarioId,
+                iteration: entry.iteration,
+                action: entry.action,
+                strategy: entry.strategy || null,
+                category: entry.category || entry.rootCause || null,
+                changes: Array.isArray(entry.changes) ? entry.changes : [],
+                detail: entry.reason || entry.error || entry.result?.error || null,
+            });
+        }
+    }
+
+    return { attempted, success, iterations, actions };
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function describeRun(run, artifacts) {
+    return {
+        runId: run.runId,
+        ticketId: run.ticketId,
+        mode: run.mode,
+        status: run.status,
+        environment: run.environment || null,
+        model: run.model || null,
+        startedAt: run.startedAt || null,
+        completedAt: run.completedAt || null,
+        duration: run.duration || null,
+        durationMs: runDurationMs(run),
+        error: run.error || null,
+        rawResultFiles: artifacts.rawResultFiles,
+    };
+}
+
+function deltaOf(base, head) {
+    return typeof base === 'number' && typeof head === 'number' ? head - base : null;
+}
+
+function _relative(filePath, projectRoot) {
+    const absPath = path.isAbsolute(filePath) ? filePath : path.join(projectRoot, filePath);
+    return path.relative(projectRoot, absPath).split(path.sep).join('/');
+}
+
+function _firstLine(message) {
+    if (!message) return null;
+    // Strip ANSI colour codes Playwright leaves in error messages
+    return String(message).replace(/\u001b\[[0-9;]*m/g, '').split('\n')[0].trim();
+}
+
+module.exports = {
+    CHANGE,
+    compareRuns,
+    collectRunArtifacts,
+    flattenPlaywrightResults,
+    classifyChange,
+    diffLines,
+};
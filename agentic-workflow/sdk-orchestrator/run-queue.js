@@ -0,0 +1,387 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * RUN QUEUE — Durable, Concurrency-Limited Pipeline Dispatch
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Pipelines are browser-heavy, so the server no longer starts them the moment
+ * they are requested. Runs are created in RUN_STATUS.QUEUED and wait here
+ * until a worker slot frees up:
+ *
+ *   - Global cap      sdk.server.maxConcurrentRuns
+ *   - Per-environment sdk.queue.perEnvironment  (e.g. { "PROD": 1 })
+ *   - Priorities      sdk.queue.priorities      (webhook > manual > schedule > batch)
+ *                     FIFO within the same priority
+ *   - Dependencies    run.batchPlan.dependsOn (batch planner) — a run waits
+ *                     until the runs it depends on finish; when a "blocks"
+ *                     dependency did not complete it is skipped
+ *                     (sdk.batch.onBlockerFailure: skip | run)
+ *
+ * The queue itself is the set of QUEUED runs in RunStore, so it survives
+ * restarts. On start, runs left `running` by a dead process (found through
+ * RunStore.getStaleRuns) are re-queued and resume from their last
+ * checkpoint, up to `maxRequeueAttempts` times.
+ *
+ * @module sdk-orchestrator/run-queue
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const { RUN_STATUS } = require('./run-store');
+const { loadWorkflowConfig } = require('./utils');
+
+// ─── Defaults ───────────────────────────────────────────────────────────────
+
+const PRIORITY = {
+    WEBHOOK: 'webhook',
+    MANUAL: 'manual',
+    SCHEDULE: 'schedule',
+    BATCH: 'batch',
+};
+
+const DEFAULT_PRIORITIES = {
+    [PRIORITY.WEBHOOK]: 100,
+    [PRIORITY.MANUAL]: 50,
+    [PRIORITY.SCHEDULE]: 20,
+    [PRIORITY.BATCH]: 10,
+};
+
+const DEFAULT_MAX_CONCURRENT = 3;
+const DEFAULT_MAX_REQUEUE_ATTEMPTS = 2;
+
+// ─── Run Queue ──────────────────────────────────────────────────────────────
+
+class RunQueue {
+    /**
+     * @param {Object} options
+     * @param {Object}   options.runStore        - RunStore instance (queue persistence)
+     * @param {Function} options.dispatch        - (run) => Promise — runs the pipeline, resolves when finished
+     * @param {Function} [options.isReady]       - () => boolean — hold dispatch until the orchestrator is up
+     * @param {Function} [options.onEvent]       - (type, run, data) => void — queue notifications
+     * @param {number}   [options.maxConcurrent=3]
+     * @param {Object<string, number>} [options.perEnvironment] - Environment → max concurrent runs
+     * @param {Object<string, number>} [options.priorities]     - Priority class → numeric priority
+     * @param {number}   [options.maxRequeueAttempts=2]
+     * @param {string}   [options.onBlockerFailure='skip'] - 'skip' | 'run' — dependents of a failed blocker
+     */
+    constructor(options) {
+        this.runStore = options.runStore;
+        this.dispatch = options.dispatch;
+        this.isReady = options.isReady || (() => true);
+        this.onEvent = options.onEvent || (() => { });
+        this.maxConcurrent = Math.max(1, options.maxConcurrent || DEFAULT_MAX_CONCURRENT);
+        this.perEnvironment = normalizeEnvironmentCaps(options.perEnvironment);
+        this.priorities = { ...DEFAULT_PRIORITIES, ...(options.priorities || {}) };
+        this.maxRequeueAttempts = options.maxRequeueAttempts ?? DEFAULT_MAX_REQUEUE_ATTEMPTS;
+        this.onBlockerFailure = options.onBlockerFailure === 'run' ? 'run' : 'skip';
+
+        /** @type {Map<string, { environment: string, startedAt: string }>} runId → active slot */
+        this._active = new Map();
+        this._stopped = false;
+        this._draining = false;
+    }
+
+    // ─── Lifecycle ──────────────────────────────────────────────────
+
+    /**
+     * Recover interrupted work and begin dispatching.
+     * @returns {{ requeued: string[], failed: string[], queued: number }}
+     */
+    start() {
+        this._stopped = false;
+        const summary = this.recoverInterrupted();
+        summary.queued = this.runStore.getQueuedRuns().length;
+        this.drain();
+        return summary;
+    }
+
+    /**
+     * Stop dispatching new runs. Active runs continue to completion.
+     */
+    stop() {
+        this._stopped = true;
+    }
+
+    /**
+     * Re-queue runs left `running` by a previous process. Every running run
+     * without a live slot is stale from this process's point of view, hence
+     * the zero age threshold. Queued runs that predate the queue (no queue
+     * metadata) are enqueued as-is.
+     */
+    recoverInterrupted() {
+        const requeued = [];
+        const failed = [];
+
+        for (const run of this.runStore.getStaleRuns(0)) {
+            if (this._active.has(run.runId)) continue;
+            if (run.status === RUN_STATUS.QUEUED) {
+                if (!run.queue) this.runStore.enqueueRun(run.runId, this._priorityFor(run));
+                continue;
+            }
+
+            const attempts = run.queue?.attempts || 0;
+            if (attempts >= this.maxRequeueAttempts) {
+                this.runStore.forceCancelRun(run.runId,
+                    `Interrupted ${attempts + 1} times — giving up after ${this.maxRequeueAttempts} re-queue attempt(s)`);
+                failed.push(run.runId);
+                continue;
+            }
+
+            const legacy = !run.queue;
+            this.runStore.requeueRun(run.runId, 'Server restarted while the pipeline was running');
+            if (legacy) this.runStore.enqueueRun(run.runId, this._priorityFor(run));
+            this.onEvent('requeued', run, { attempts: attempts + 1 });
+            requeued.push(run.runId);
+        }
+
+        if (requeued.length > 0) console.log(`[RunQueue] Re-queued ${requeued.length} interrupted run(s)`);
+        if (failed.length > 0) console.log(`[RunQueue] Failed ${failed.length} run(s) that exceeded the re-queue limit`);
+
+        return { requeued, failed };
+    }
+
+    // ─── Enqueue ────────────────────────────────────────────────────
+
+    /**
+     * Place a QUEUED run in line and dispatch if a slot is free.
+     *
+     * @param {string} runId
+     * @param {Object} [options]
+     * @param {string} [options.priorityClass] - Override the class derived from the run
+     * @param {number} [options.priority]      - Explicit numeric priority
+     * @returns {{ runId: string, priority: number, position: number|null }}
+     */
+    enqueue(runId, options = {}) {
+        const run = this.runStore.getRun(runId);
+        if (!run) throw new Error(`Run ${runId} not found`);
+
+        const { priority, priorityClass } = this._priorityFor(run, options);
+        this.runStore.enqueueRun(runId, { priority, priorityClass });
+
+        const position = this.getPosition(runId);
+        this.onEvent('queued', run, { priority, priorityClass, position });
+        this.drain();
+
+        return { runId, priority, position: this._active.has(runId) ? null : position };
+    }
+
+    /**
+     * Derive the priority class of a run from how it was triggered.
+     * @param {Object} run
+     * @returns {string}
+     */
+    classify(run) {
+        if (run.queue?.priorityClass) return run.queue.priorityClass;
+        if (run.triggeredBy === 'webhook') return PRIORITY.WEBHOOK;
+        if (run.triggeredBy === 'schedule') return PRIORITY.SCHEDULE;
+        if (run.batchId) return PRIORITY.BATCH;
+        return PRIORITY.MANUAL;
+    }
+
+    _priorityFor(run, options = {}) {
+        const priorityClass = options.priorityClass || this.classify(run);
+        const priority = Number.isFinite(options.priority)
+            ? options.priority
+            : (this.priorities[priorityClass] ?? this.priorities[PRIORITY.MANUAL]);
+        return { priority, priorityClass };
+    }
+
+    // ─── Dispatch ───────────────────────────────────────────────────
+
+    /**
+     * Start as many waiting runs as the caps allow. Safe to call at any time.
+     */
+    drain() {
+        if (this._stopped || this._draining || !this.isReady()) return;
+        this._draining = true;
+
+        try {
+            while (this._active.size < this.maxConcurrent) {
+                const next = this._nextEligible();
+                if (!next) break;
+                this._start(next);
+            }
+        } finally {
+            this._draining = false;
+        }
+    }
+
+    _start(run) {
+        const environment = normalizeEnvironment(run.environment);
+        this._active.set(run.runId, { environment, startedAt: new Date().toISOString() });
+        this.onEvent('dispatched', run, { active: this._active.size });
+
+        let pending;
+        try {
+            pending = Promise.resolve(this.dispatch(run));
+        } catch (error) {
+            pending = Promise.reject(error);
+        }
+
+        pending
+            .catch(error => {
+                console.warn(`[RunQueue] Dispatch of ${run.runId} failed: ${error.message}`);
+                const current = this.runStore.getRun(run.runId);
+                if (current && [RUN_STATUS.QUEUED, RUN_STATUS.RUNNING].includes(current.status)) {
+                    this.runStore.forceCancelRun(run.runId, `Dispatch failed: ${error.message}`);
+                }
+            })
+            .finally(() => {
+                this._active.delete(run.runId);
+                this.drain();
+            });
+    }
+
+    _nextEligible() {
+        const running = this._countByEnvironment();
+
+        for (const run of this._ordered()) {
+            if (this._active.has(run.runId)) continue;
+
+            const dependencies = this._dependencyState(run);
+            if (dependencies.waitingOn.length > 0) continue;
+            if (dependencies.failedBlocker && this.onBlockerFailure === 'skip') {
+                this._skip(run, dependencies.failedBlocker);
+                continue;
+            }
+
+            const environment = normalizeEnvironment(run.environment);
+            const cap = this.perEnvironment[environment];
+            if (cap !== undefined && (running[environment] || 0) >= cap) continue;
+            return run;
+        }
+        return null;
+    }
+
+    /**
+     * Dependencies of a run that are still queued or running, and the first
+     * "blocks" dependency that finished without completing.
+     * @returns {{ waitingOn: Object[], failedBlocker: Object|null }}
+     */
+    _dependencyState(run) {
+        const waitingOn = [];
+        let failedBlocker = null;
+
+        for (const dependency of run.batchPlan?.dependsOn || []) {
+            const blocker = dependency.runId ? this.runStore.getRun(dependency.runId) : null;
+            if (!blocker) continue;
+            if ([RUN_STATUS.QUEUED, RUN_STATUS.RUNNING].includes(blocker.status)) {
+                waitingOn.push(dependency);
+            } else if (dependency.type === 'blocks' && blocker.status !== RUN_STATUS.COMPLETED && !failedBlocker) {
+                failedBlocker = { ...dependency, status: blocker.status };
+            }
+        }
+        return { waitingOn, failedBlocker };
+    }
+
+    _skip(run, blocker) {
+        const reason = `Skipped: blocked by ${blocker.ticketId} (run ${blocker.runId}), which ${blocker.status === RUN_STATUS.CANCELLED ? 'was cancelled' : 'failed'}`;
+        if (!this.runStore.cancelRun(run.runId, reason)) return;
+        console.log(`[RunQueue] ${run.runId} (${run.ticketId}) ${reason.charAt(0).toLowerCase()}${reason.slice(1)}`);
+        this.onEvent('skipped', run, { reason, blockedBy: blocker.ticketId });
+    }
+
+    /**
+     * Enqueued runs in dispatch order: priority desc, then oldest first.
+     * QUEUED runs without queue metadata have not been handed over yet.
+     * getQueuedRuns() is already in creation order and the sort is stable.
+     */
+    _ordered() {
+        return this.runStore.getQueuedRuns()
+            .filter(run => run.queue && !this._active.has(run.runId))
+            .sort((a, b) => (b.queue.priority ?? 0) - (a.queue.priority ?? 0));
+    }
+
+    _countByEnvironment() {
+        const counts = {};
+        for (const { environment } of this._active.values()) {
+            counts[environment] = (counts[environment] || 0) + 1;
+        }
+        return counts;
+    }
+
+    // ─── Introspection ──────────────────────────────────────────────
+
+    /**
+     * 1-based position of a waiting run, or null if not waiting.
+     * @param {string} runId
+     * @returns {number|null}
+     */
+    getPosition(runId) {
+        const index = this._ordered().findIndex(run => run.runId === runId);
+        return index >= 0 ? index + 1 : null;
+    }
+
+    /**
+     * Snapshot for GET /api/pipeline/queue.
+     */
+    getSnapshot() {
+        const waiting = this._ordered();
+        return {
+            limits: {
+                maxConcurrent: this.maxConcurrent,
+                perEnvironment: this.perEnvironment,
+                priorities: this.priorities,
+            },
+            ready: this.isReady() && !this._stopped,
+            active: Array.from(this._active.entries()).map(([runId, slot]) => {
+                const run = this.runStore.getRun(runId);
+                return {
+                    runId,
+                    ticketId: run?.ticketId || null,
+                    environment: slot.environment,
+                    startedAt: slot.startedAt,
+                };
+            }),
+            activeByEnvironment: this._countByEnvironment(),
+            queued: waiting.map((run, index) => ({
+                position: index + 1,
+                runId: run.runId,
+                ticketId: run.ticketId,
+                mode: run.mode,
+                environment: run.environment,
+                triggeredBy: run.triggeredBy,
+                priorityClass: this.classify(run),
+                priority: run.queue.priority,
+                enqueuedAt: run.queue.enqueuedAt,
+                attempts: run.queue.attempts || 0,
+                waitingOn: this._dependencyState(run).waitingOn.map(dependency => dependency.ticketId),
+            })),
+        };
+    }
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Read queue settings from workflow-config.json: sdk.queue plus the global
+ * cap in sdk.server.maxConcurrentRuns.
+ * @returns {Object} RunQueue constructor options (without runStore/dispatch)
+ */
+function loadQueueConfig() {
+    const sdk = loadWorkflowConfig()?.sdk || {};
+    const queue = sdk.queue || {};
+    return {
+        maxConcurrent: sdk.server?.maxConcurrentRuns,
+        perEnvironment: queue.perEnvironment,
+        priorities: queue.priorities,
+        maxRequeueAttempts: queue.maxRequeueAttempts,
+        requeueInterrupted: queue.requeueInterrupted !== false,
+    };
+}
+
+function normalizeEnvironment(environment) {
+    return String(environment || 'UAT').toUpperCase();
+}
+
+function normalizeEnvironmentCaps(caps = {}) {
+    const normalized = {};
+    for (const [environment, cap] of Object.entries(caps || {})) {
+        if (environment.startsWith('_')) continue;
+        const value = parseInt(cap, 10);
+        if (Number.isFinite(value) && value >= 0) normalized[normalizeEnvironment(environment)] = value;
+    }
+    return normalized;
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = { RunQueue, PRIORITY, DEFAULT_PRIORITIES, loadQueueConfig };
@@ -0,0 +1,97 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * RUN STORE ADAPTERS — Module Index
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Storage backends for RunStore, selected by workflow-config.json → sdk.runStore:
+ *
+ *   json   — single-file store (test-artifacts/run-store.json), capped at maxRuns;
+ *            the default
+ *   sqlite — indexed database (test-artifacts/run-store.db), full history;
+ *            imports run-store.json automatically on first open. Opt-in, as it
+ *            needs Node ≥ 22.5 (node:sqlite) or better-sqlite3 installed
+ *
+ * When `sqlite` is configured but no driver is available (Node < 22.5 without
+ * better-sqlite3), the factory logs a warning and falls back to `json`.
+ *
+ * @module sdk-orchestrator/run-store-adapters
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const path = require('path');
+const { loadWorkflowConfig } = require('../utils');
+const { RunStoreAdapter, TERMINAL_STATUSES, normalizePaging } = require('./run-store-adapter');
+const { JsonRunStoreAdapter } = require('./json-run-store-adapter');
+const { SqliteRunStoreAdapter, resolveSqliteDriver } = require('./sqlite-run-store-adapter');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const DEFAULT_JSON_PATH = path.join(ROOT_DIR, 'test-artifacts', 'run-store.json');
+const DEFAULT_SQLITE_PATH = path.join(ROOT_DIR, 'test-artifacts', 'run-store.db');
+
+/**
+ * Resolve a config path relative to the agentic-workflow root.
+ * @param {string|undefined} value
+ * @param {string} fallback
+ */
+function resolvePath(value, fallback) {
+    if (!value) return fallback;
+    return path.isAbsolute(value) ? value : path.join(ROOT_DIR, value);
+}
+
+/**
+ * Read sdk.runStore settings from workflow-config.json.
+ * @returns {Object}
+ */
+function loadRunStoreConfig() {
+    const config = loadWorkflowConfig();
+    return config?.sdk?.runStore || {};
+}
+
+/**
+ * Create the configured RunStore backend.
+ *
+ * @param {Object} [options] - Overrides for sdk.runStore
+ * @param {'json'|'sqlite'} [options.backend]
+ * @param {string} [options.jsonPath]
+ * @param {string} [options.sqlitePath]
+ * @param {number} [options.maxRuns]     - JSON backend retention cap
+ * @param {boolean} [options.autoImport] - SQLite: import jsonPath on first open (default true)
+ * @returns {RunStoreAdapter}
+ */
+function createRunStoreAdapter(options = {}) {
+    const config = options.config || loadRunStoreConfig();
+    const backend = String(options.backend || config.backend || 'json').toLowerCase();
+    const jsonPath = resolvePath(options.jsonPath || config.jsonPath, DEFAULT_JSON_PATH);
+    const maxRuns = options.maxRuns || config.maxRuns || 200;
+
+    switch (backend) {
+        case 'sqlite': {
+            if (!resolveSqliteDriver()) {
+                console.warn('[RunStore] SQLite backend requested but no driver is available (needs Node ≥ 22.5 or better-sqlite3) — falling back to JSON');
+                return new JsonRunStoreAdapter({ storePath: jsonPath, maxRuns });
+            }
+            const autoImport = options.autoImport ?? config.autoImport ?? true;
+            return new SqliteRunStoreAdapter({
+                dbPath: resolvePath(options.sqlitePath || config.sqlitePath, DEFAULT_SQLITE_PATH),
+                importFrom: autoImport ? jsonPath : null,
+            });
+        }
+        case 'json':
+            return new JsonRunStoreAdapter({ storePath: jsonPath, maxRuns });
+        default:
+            throw new Error(`Unknown run store backend: "${backend}". Valid: json, sqlite`);
+    }
+}
+
+module.exports = {
+    createRunStoreAdapter,
+    loadRunStoreConfig,
+    resolveSqliteDriver,
+    RunStoreAdapter,
+    JsonRunStoreAdapter,
+    SqliteRunStoreAdapter,
+    TERMINAL_STATUSES,
+    normalizePaging,
+    DEFAULT_JSON_PATH,
+    DEFAULT_SQLITE_PATH,
+};
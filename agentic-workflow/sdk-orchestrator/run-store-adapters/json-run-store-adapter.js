@@ -0,0 +1,250 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * JSON RUN STORE ADAPTER — Single-File Persistence
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * The original RunStore backend: every run lives in memory and the whole set is
+ * rewritten atomically (tmp + rename) to test-artifacts/run-store.json on each
+ * mutation. Oldest terminal runs are evicted once `maxRuns` is exceeded.
+ * Per-test history keeps the last `testHistoryLimit` outcomes of each test.
+ *
+ * Good for development and single-user setups. For sustained volume or long
+ * history, use the SQLite adapter.
+ *
+ * @module sdk-orchestrator/run-store-adapters/json-run-store-adapter
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ensureDir } = require('../utils');
+const {
+    RunStoreAdapter,
+    TERMINAL_STATUSES,
+    normalizeStatusFilter,
+    normalizePaging,
+    filterTestHistory,
+} = require('./run-store-adapter');
+
+const STORE_VERSION = '1.2.0';
+
+class JsonRunStoreAdapter extends RunStoreAdapter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.storePath] - Path to JSON persistence file
+     * @param {number} [options.maxRuns=200] - Max runs to retain
+     * @param {number} [options.testHistoryLimit=50] - Outcomes kept per test
+     */
+    constructor(options = {}) {
+        super({ ...options, type: 'json' });
+        this.storePath = options.storePath || path.join(
+            __dirname, '..', '..', 'test-artifacts', 'run-store.json'
+        );
+        this.maxRuns = options.maxRuns || 200;
+        this.testHistoryLimit = options.testHistoryLimit || 50;
+
+        /** @type {Map<string, Object>} runId → run */
+        this._runs = new Map();
+        /** @type {Map<string, Object>} batchId → batch metadata */
+        this._batchMeta = new Map();
+        /** @type {Map<string, Object[]>} testKey → outcomes, oldest first */
+        this._testHistory = new Map();
+        /** @type {Map<string, Object>} testKey → quarantine entry */
+        this._quarantine = new Map();
+
+        this._read();
+    }
+
+    // ─── RunStoreAdapter Implementation ─────────────────────────────
+
+    loadRuns() {
+        return Array.from(this._runs.values());
+    }
+
+    getRun(runId) {
+        return this._runs.get(runId) || null;
+    }
+
+    saveRun(run) {
+        this._runs.set(run.runId, run);
+        this._write();
+    }
+
+    saveRuns(runs) {
+        for (const run of runs) this._runs.set(run.runId, run);
+        this._write();
+    }
+
+    saveBatch(batch) {
+        this._batchMeta.set(batch.batchId, { ...batch });
+        this._write();
+    }
+
+    getBatchMeta(batchId) {
+        return this._batchMeta.get(batchId) || null;
+    }
+
+    getBatchRuns(batchId) {
+        return Array.from(this._runs.values())
+            .filter(run => run.batchId === batchId)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    listRuns(filters = {}) {
+        let runs = Array.from(this._runs.values());
+        const statuses = normalizeStatusFilter(filters.status);
+
+        if (filters.ticketId) runs = runs.filter(r => r.ticketId === filters.ticketId);
+        if (statuses.length > 0) runs = runs.filter(r => statuses.includes(r.status));
+        if (filters.mode) runs = runs.filter(r => r.mode === filters.mode);
+        if (filters.batchId) runs = runs.filter(r => r.batchId === filters.batchId);
+        if (filters.environment) runs = runs.filter(r => r.environment === filters.environment);
+        if (filters.triggeredBy) runs = runs.filter(r => r.triggeredBy === filters.triggeredBy);
+        if (filters.since) runs = runs.filter(r => r.createdAt >= filters.since);
+        if (filters.until) runs = runs.filter(r => r.createdAt < filters.until);
+
+        // Reverse insertion order first so the stable sort breaks timestamp ties newest-first
+        runs.reverse().sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        const total = runs.length;
+        const { limit, offset } = normalizePaging(filters);
+        return { runs: runs.slice(offset, offset + limit), total };
+    }
+
+    getStats() {
+        const byStatus = {};
+        const durations = [];
+
+        for (const run of this._runs.values()) {
+            byStatus[run.status] = (byStatus[run.status] || 0) + 1;
+            if (run.status === 'completed' && run.startedAt && run.completedAt) {
+                durations.push(new Date(run.completedAt) - new Date(run.startedAt));
+            }
+        }
+
+        return {
+            byStatus,
+            totalRuns: this._runs.size,
+            avgDurationMs: durations.length > 0
+                ? Math.round(durations.reduce((a, b) => a + b, 0) / durations.length)
+                : 0,
+        };
+    }
+
+    recordTestResults(records) {
+        for (const record of records) {
+            const history = (this._testHistory.get(record.testKey) || [])
+                .filter(entry => entry.runId !== record.runId);
+            history.push(record);
+            this._testHistory.set(record.testKey, history.slice(-this.testHistoryLimit));
+        }
+        this._write();
+    }
+
+    getTestHistory(filters = {}) {
+        const histories = filters.testKey
+            ? [this._testHistory.get(filters.testKey) || []]
+            : Array.from(this._testHistory.values());
+        // Newest first; reversing first keeps same-timestamp records in recording order
+        const records = histories.flat().reverse()
+            .sort((a, b) => String(b.recordedAt).localeCompare(String(a.recordedAt)));
+        return filterTestHistory(records, filters);
+    }
+
+    saveTestQuarantine(testKey, entry) {
+        if (entry) this._quarantine.set(testKey, { ...entry, testKey });
+        else this._quarantine.delete(testKey);
+        this._write();
+    }
+
+    listTestQuarantine() {
+        return Array.from(this._quarantine.values());
+    }
+
+    describe() {
+        return { type: this.type, location: this.storePath };
+    }
+
+    // ─── File I/O ───────────────────────────────────────────────────
+
+    _read() {
+        try {
+            if (!fs.existsSync(this.storePath)) return;
+
+            let content = fs.readFileSync(this.storePath, 'utf-8');
+            if (content.charCodeAt(0) === 0xFEFF) content = content.slice(1);
+            const data = JSON.parse(content);
+
+            if (Array.isArray(data.runs)) {
+                for (const run of data.runs) {
+                    if (run && run.runId) this._runs.set(run.runId, run);
+                }
+            }
+            if (Array.isArray(data.batches)) {
+                for (const batch of data.batches) {
+                    if (batch && batch.batchId) this._batchMeta.set(batch.batchId, batch);
+                }
+            }
+            if (data.testHistory && typeof data.testHistory === 'object') {
+                for (const [testKey, history] of Object.entries(data.testHistory)) {
+                    if (Array.isArray(history)) this._testHistory.set(testKey, history);
+                }
+            }
+            if (Array.isArray(data.testQuarantine)) {
+                for (const entry of data.testQuarantine) {
+                    if (entry && entry.testKey) this._quarantine.set(entry.testKey, entry);
+                }
+            }
+        } catch (error) {
+            console.warn(`[RunStore] Failed to load ${this.storePath}: ${error.message}`);
+        }
+    }
+
+    _write() {
+        try {
+            this._evict();
+
+            const data = {
+                version: STORE_VERSION,
+                lastUpdated: new Date().toISOString(),
+                runs: Array.from(this._runs.values()),
+                batches: Array.from(this._batchMeta.values()),
+                testHistory: Object.fromEntries(this._testHistory),
+                testQuarantine: Array.from(this._quarantine.values()),
+            };
+
+            ensureDir(path.dirname(this.storePath));
+            const tmpPath = this.storePath + '.tmp';
+            fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf-8');
+            fs.renameSync(tmpPath, this.storePath);
+        } catch (error) {
+            console.warn(`[RunStore] Failed to persist: ${error.message}`);
+        }
+    }
+
+    /**
+     * Enforce max runs — evict oldest completed/failed/cancelled runs, then
+     * drop batch metadata no longer referenced by any run.
+     */
+    _evict() {
+        if (this._runs.size <= this.maxRuns) return;
+
+        const sorted = Array.from(this._runs.values())
+            .filter(r => TERMINAL_STATUSES.includes(r.status))
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        while (this._runs.size > this.maxRuns && sorted.length > 0) {
+            this._runs.delete(sorted.shift().runId);
+        }
+
+        const liveBatches = new Set();
+        for (const run of this._runs.values()) {
+            if (run.batchId) liveBatches.add(run.batchId);
+        }
+        for (const batchId of this._batchMeta.keys()) {
+            if (!liveBatches.has(batchId)) this._batchMeta.delete(batchId);
+        }
+    }
+}
+
+module.exports = { JsonRunStoreAdapter, STORE_VERSION };
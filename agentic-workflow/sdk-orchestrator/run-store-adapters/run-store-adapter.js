@@ -0,0 +1,301 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * RUN STORE ADAPTER — Abstract Storage Backend Interface
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Defines the contract every RunStore backend must implement. RunStore keeps
+ * the hot set of runs (active + recently touched) in memory and delegates
+ * durability and historical queries to an adapter.
+ *
+ * To add a new backend:
+ *   1. Create a new file (e.g., postgres-run-store-adapter.js)
+ *   2. Extend RunStoreAdapter
+ *   3. Implement all abstract methods
+ *   4. Register in run-store-adapters/index.js → createRunStoreAdapter()
+ *
+ * @module sdk-orchestrator/run-store-adapters/run-store-adapter
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+// ─── Query Types ────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} RunQueryFilters
+ * @property {string}   [ticketId]    - Exact ticket ID match
+ * @property {string|string[]} [status] - Single status, array, or comma-separated list
+ * @property {string}   [mode]        - Pipeline mode
+ * @property {string}   [batchId]     - Batch ID
+ * @property {string}   [environment] - Target environment (UAT, INT, PROD)
+ * @property {string}   [triggeredBy] - 'cli' | 'api' | 'webhook' | 'schedule' | ...
+ * @property {string}   [since]       - ISO timestamp — runs created at or after
+ * @property {string}   [until]       - ISO timestamp — runs created before
+ * @property {number}   [limit=50]    - Page size
+ * @property {number}   [offset=0]    - Page offset
+ */
+
+/**
+ * @typedef {Object} RunQueryResult
+ * @property {Object[]} runs   - Page of run records, most recent first
+ * @property {number}   total  - Total runs matching the filters (ignores paging)
+ */
+
+/**
+ * @typedef {Object} TestResultRecord
+ * @property {string} testKey    - Stable test identity: `<file>::<title>[ [project]]`
+ * @property {string} runId
+ * @property {string} status     - passed | failed | flaky | skipped | timed-out
+ * @property {string} recordedAt - ISO timestamp
+ * @property {string} [ticketId]
+ * @property {string} [scenarioId]
+ * @property {string} [specPath]
+ * @property {string} [file]
+ * @property {string} [title]
+ * @property {string} [project]
+ * @property {number} [retries]
+ * @property {number} [duration]
+ * @property {string} [error]    - First line of the failure message
+ */
+
+/**
+ * @typedef {Object} TestHistoryFilters
+ * @property {string} [testKey]
+ * @property {string} [runId]
+ * @property {string} [specPath]
+ * @property {string} [ticketId]
+ * @property {number} [limit=1000]
+ */
+
+/**
+ * @typedef {Object} RunStoreStats
+ * @property {Object<string, number>} byStatus - Run counts keyed by RUN_STATUS value
+ * @property {number} totalRuns
+ * @property {number} avgDurationMs - Average wall time of completed runs
+ */
+
+// ─── Abstract Adapter Base Class ────────────────────────────────────────────
+
+class RunStoreAdapter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.type] - Backend type identifier
+     */
+    constructor(options = {}) {
+        if (new.target === RunStoreAdapter) {
+            throw new Error('RunStoreAdapter is abstract — extend it and implement all methods.');
+        }
+        this.options = options;
+        this.type = options.type || 'unknown';
+    }
+
+    /**
+     * Load the runs RunStore should keep in memory on startup. Every
+     * non-terminal run MUST be included so orphan detection works; backends
+     * that hold more history than fits in memory return only the most recent
+     * `cacheLimit` terminal runs on top of that.
+     *
+     * @abstract
+     * @param {Object} [options]
+     * @param {number} [options.cacheLimit]
+     * @returns {Object[]} Run records
+     */
+    loadRuns(options = {}) {
+        throw new Error(`${this.constructor.name}.loadRuns() is not implemented`);
+    }
+
+    /**
+     * Fetch a single run by ID, or null when unknown.
+     *
+     * @abstract
+     * @param {string} runId
+     * @returns {Object|null}
+     */
+    getRun(runId) {
+        throw new Error(`${this.constructor.name}.getRun() is not implemented`);
+    }
+
+    /**
+     * Insert or update a run (including stages, mission checkpoints and
+     * observations). Called after every RunStore mutation, so backends should
+     * write only what changed where they can.
+     *
+     * @abstract
+     * @param {Object} run
+     */
+    saveRun(run) {
+        throw new Error(`${this.constructor.name}.saveRun() is not implemented`);
+    }
+
+    /**
+     * Write several runs at once (startup cleanup, migrations).
+     * Default implementation saves them one at a time.
+     *
+     * @param {Object[]} runs
+     */
+    saveRuns(runs) {
+        for (const run of runs) this.saveRun(run);
+    }
+
+    /**
+     * Record batch metadata. Batch membership itself is carried on each run's
+     * `batchId`.
+     *
+     * @abstract
+     * @param {Object} batch - { batchId, createdAt, mode, environment, triggeredBy, total }
+     */
+    saveBatch(batch) {
+        throw new Error(`${this.constructor.name}.saveBatch() is not implemented`);
+    }
+
+    /**
+     * Metadata recorded by saveBatch(), or null. Adapters that don't keep
+     * batch metadata may leave the default.
+     *
+     * @param {string} batchId
+     * @returns {Object|null}
+     */
+    getBatchMeta(batchId) {
+        return null;
+    }
+
+    /**
+     * All runs belonging to a batch, oldest first.
+     *
+     * @abstract
+     * @param {string} batchId
+     * @returns {Object[]}
+     */
+    getBatchRuns(batchId) {
+        throw new Error(`${this.constructor.name}.getBatchRuns() is not implemented`);
+    }
+
+    /**
+     * Filtered, paginated run listing, most recent first.
+     *
+     * @abstract
+     * @param {RunQueryFilters} [filters]
+     * @returns {RunQueryResult}
+     */
+    listRuns(filters = {}) {
+        throw new Error(`${this.constructor.name}.listRuns() is not implemented`);
+    }
+
+    /**
+     * Aggregate statistics across every stored run.
+     *
+     * @abstract
+     * @returns {RunStoreStats}
+     */
+    getStats() {
+        throw new Error(`${this.constructor.name}.getStats() is not implemented`);
+    }
+
+    /**
+     * Store per-test outcomes of a run. A record replaces an earlier one with
+     * the same runId + testKey (re-runs that turn a failure flaky).
+     *
+     * @abstract
+     * @param {TestResultRecord[]} records
+     */
+    recordTestResults(records) {
+        throw new Error(`${this.constructor.name}.recordTestResults() is not implemented`);
+    }
+
+    /**
+     * Per-test outcomes, most recent first.
+     *
+     * @abstract
+     * @param {TestHistoryFilters} [filters]
+     * @returns {TestResultRecord[]}
+     */
+    getTestHistory(filters = {}) {
+        throw new Error(`${this.constructor.name}.getTestHistory() is not implemented`);
+    }
+
+    /**
+     * Quarantine a test, or release it when `entry` is null.
+     *
+     * @abstract
+     * @param {string} testKey
+     * @param {Object|null} entry - { testKey, quarantinedAt, reason, auto, score, by }
+     */
+    saveTestQuarantine(testKey, entry) {
+        throw new Error(`${this.constructor.name}.saveTestQuarantine() is not implemented`);
+    }
+
+    /**
+     * Every quarantined test.
+     *
+     * @abstract
+     * @returns {Object[]}
+     */
+    listTestQuarantine() {
+        throw new Error(`${this.constructor.name}.listTestQuarantine() is not implemented`);
+    }
+
+    /**
+     * Flush and release any underlying handles.
+     */
+    close() { }
+
+    /**
+     * Human-readable backend description for logs and /ready.
+     * @returns {{ type: string, location: string|null }}
+     */
+    describe() {
+        return { type: this.type, location: null };
+    }
+}
+
+// ─── Shared Helpers ─────────────────────────────────────────────────────────
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Normalize a status filter into an array of statuses.
+ * Accepts 'failed', ['failed', 'cancelled'] or 'failed,cancelled'.
+ *
+ * @param {string|string[]|undefined} status
+ * @returns {string[]}
+ */
+function normalizeStatusFilter(status) {
+    if (!status) return [];
+    const values = Array.isArray(status) ? status : String(status).split(',');
+    return values.map(value => String(value).trim()).filter(Boolean);
+}
+
+/**
+ * Apply TestHistoryFilters to records already sorted most recent first.
+ *
+ * @param {TestResultRecord[]} records
+ * @param {TestHistoryFilters} filters
+ * @returns {TestResultRecord[]}
+ */
+function filterTestHistory(records, filters = {}) {
+    const limit = Math.max(1, parseInt(filters.limit, 10) || 1000);
+    return records
+        .filter(record => (!filters.testKey || record.testKey === filters.testKey)
+            && (!filters.runId || record.runId === filters.runId)
+            && (!filters.specPath || record.specPath === filters.specPath)
+            && (!filters.ticketId || record.ticketId === filters.ticketId))
+        .slice(0, limit);
+}
+
+/**
+ * Clamp pagination values to sane bounds.
+ *
+ * @param {RunQueryFilters} filters
+ * @returns {{ limit: number, offset: number }}
+ */
+function normalizePaging(filters = {}) {
+    const limit = Math.max(1, Math.min(parseInt(filters.limit, 10) || 50, 1000));
+    const offset = Math.max(0, parseInt(filters.offset, 10) || 0);
+    return { limit, offset };
+}
+
+module.exports = {
+    RunStoreAdapter,
+    TERMINAL_STATUSES,
+    normalizeStatusFilter,
+    normalizePaging,
+    filterTestHistory,
+};
@@ -0,0 +1,646 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SQLITE RUN STORE ADAPTER — Indexed Run History
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Persists runs to a local SQLite database so history is no longer capped by
+ * what fits in a single JSON file. Each mutation writes only the affected run:
+ *
+ *   runs                  — one row per run, indexed query columns + JSON body
+ *   run_stages            — stage rows (rewritten per save, small)
+ *   mission_checkpoints   — append-only, full history (JSON kept the last 100)
+ *   mission_observations  — append-only, de-duplicated by observation ID
+ *   batches               — batch metadata
+ *   test_results          — per-test outcome of each run (flakiness history)
+ *   test_quarantine       — quarantined tests
+ *   store_meta            — schema version + migration markers
+ *
+ * Driver resolution: Node's built-in `node:sqlite` (Node ≥ 22.5) first, then
+ * the optional `better-sqlite3` package. Both expose the same synchronous
+ * prepare/run/get/all API, which keeps RunStore itself synchronous.
+ *
+ * @module sdk-orchestrator/run-store-adapters/sqlite-run-store-adapter
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ensureDir } = require('../utils');
+const {
+    RunStoreAdapter,
+    TERMINAL_STATUSES,
+    normalizeStatusFilter,
+    normalizePaging,
+} = require('./run-store-adapter');
+
+const SCHEMA_VERSION = 2;
+const DEFAULT_HYDRATE_LIMIT = 100;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS runs (
+    run_id        TEXT PRIMARY KEY,
+    ticket_id     TEXT,
+    mode          TEXT,
+    environment   TEXT,
+    status        TEXT NOT NULL,
+    batch_id      TEXT,
+    triggered_by  TEXT,
+    model         TEXT,
+    created_at    TEXT NOT NULL,
+    started_at    TEXT,
+    completed_at  TEXT,
+    updated_at    TEXT,
+    duration_ms   INTEGER,
+    error         TEXT,
+    data          TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_runs_created     ON runs (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_runs_ticket      ON runs (ticket_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_runs_status      ON runs (status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_runs_mode        ON runs (mode, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_runs_environment ON runs (environment, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_runs_batch       ON runs (batch_id, created_at);
+
+CREATE TABLE IF NOT EXISTS run_stages (
+    run_id        TEXT NOT NULL,
+    position      INTEGER NOT NULL,
+    name          TEXT NOT NULL,
+    status        TEXT,
+    started_at    TEXT,
+    completed_at  TEXT,
+    data          TEXT NOT NULL,
+    PRIMARY KEY (run_id, position)
+);
+
+CREATE TABLE IF NOT EXISTS mission_checkpoints (
+    run_id        TEXT NOT NULL,
+    seq           INTEGER NOT NULL,
+    stage         TEXT,
+    status        TEXT,
+    scenario_id   TEXT,
+    message       TEXT,
+    timestamp     TEXT,
+    PRIMARY KEY (run_id, seq)
+);
+
+CREATE TABLE IF NOT EXISTS mission_observations (
+    run_id        TEXT NOT NULL,
+    obs_id        TEXT NOT NULL,
+    timestamp     TEXT,
+    type          TEXT,
+    severity      TEXT,
+    stage         TEXT,
+    scenario_id   TEXT,
+    data          TEXT NOT NULL,
+    UNIQUE (run_id, obs_id)
+);
+CREATE INDEX IF NOT EXISTS idx_observations_run ON mission_observations (run_id);
+
+CREATE TABLE IF NOT EXISTS batches (
+    batch_id      TEXT PRIMARY KEY,
+    created_at    TEXT,
+    mode          TEXT,
+    environment   TEXT,
+    triggered_by  TEXT,
+    total         INTEGER,
+    data          TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS test_results (
+    test_key      TEXT NOT NULL,
+    run_id        TEXT NOT NULL,
+    status        TEXT NOT NULL,
+    ticket_id     TEXT,
+    spec_path     TEXT,
+    recorded_at   TEXT NOT NULL,
+    data          TEXT NOT NULL,
+    PRIMARY KEY (test_key, run_id)
+);
+CREATE INDEX IF NOT EXISTS idx_test_results_recorded ON test_results (recorded_at DESC);
+CREATE INDEX IF NOT EXISTS idx_test_results_run      ON test_results (run_id);
+CREATE INDEX IF NOT EXISTS idx_test_results_spec     ON test_results (spec_path, recorded_at DESC);
+
+CREATE TABLE IF NOT EXISTS test_quarantine (
+    test_key      TEXT PRIMARY KEY,
+    data          TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS store_meta (
+    key           TEXT PRIMARY KEY,
+    value         TEXT
+);
+`;
+
+// ─── Driver Resolution ──────────────────────────────────────────────────────
+
+/**
+ * Locate a synchronous SQLite driver.
+ * @returns {{ name: string, open: (file: string) => Object }|null}
+ */
+function resolveSqliteDriver() {
+    try {
+        const { DatabaseSync } = require('node:sqlite');
+        if (typeof DatabaseSync === 'function') {
+            return { name: 'node:sqlite', open: file => new DatabaseSync(file) };
+        }
+    } catch {
+        // Node < 22.5 — fall through to better-sqlite3
+    }
+
+    try {
+        const Database = require('better-sqlite3');
+        return { name: 'better-sqlite3', open: file => new Database(file) };
+    } catch {
+        // Not installed
+    }
+
+    return null;
+}
+
+// ─── Adapter ────────────────────────────────────────────────────────────────
+
+class SqliteRunStoreAdapter extends RunStoreAdapter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dbPath]      - SQLite database file
+     * @param {string} [options.importFrom]  - Legacy run-store.json imported on first open
+     * @param {number} [options.hydrateLimit=100] - Checkpoints/observations attached to a loaded run
+     * @param {Object} [options.driver]      - Pre-resolved driver (tests)
+     */
+    constructor(options = {}) {
+        super({ ...options, type: 'sqlite' });
+        this.dbPath = options.dbPath || path.join(
+            __dirname, '..', '..', 'test-artifacts', 'run-store.db'
+        );
+        this.hydrateLimit = options.hydrateLimit || DEFAULT_HYDRATE_LIMIT;
+
+        const driver = options.driver || resolveSqliteDriver();
+        if (!driver) {
+            throw new Error('No SQLite driver available — requires Node ≥ 22.5 (node:sqlite) or the better-sqlite3 package');
+        }
+        this.driverName = driver.name;
+
+        ensureDir(path.dirname(this.dbPath));
+        this._db = driver.open(this.dbPath);
+        this._txDepth = 0;
+        this._statements = new Map();
+
+        this._migrate();
+
+        if (options.importFrom && !this._getMeta('json_import') && this._countRuns() === 0) {
+            const summary = this.importFromJson(options.importFrom);
+            if (summary.imported > 0) {
+                console.log(`[RunStore] Imported ${summary.imported} run(s) from ${options.importFrom} into SQLite`);
+            }
+        }
+    }
+
+    // ─── RunStoreAdapter Implementation ─────────────────────────────
+
+    loadRuns(options = {}) {
+        const cacheLimit = options.cacheLimit || 200;
+        const terminal = TERMINAL_STATUSES.map(() => '?').join(', ');
+
+        const active = this._stmt(
+            `SELECT * FROM runs WHERE status NOT IN (${terminal}) ORDER BY created_at, rowid`
+        ).all(...TERMINAL_STATUSES);
+        const recent = this._stmt(
+            `SELECT * FROM runs WHERE status IN (${terminal}) ORDER BY created_at DESC, rowid DESC LIMIT ?`
+        ).all(...TERMINAL_STATUSES, cacheLimit);
+
+        return [...recent.reverse(), ...active].map(row => this._hydrate(row));
+    }
+
+    getRun(runId) {
+        const row = this._stmt('SELECT * FROM runs WHERE run_id = ?').get(runId);
+        return row ? this._hydrate(row) : null;
+    }
+
+    saveRun(run) {
+        this._transaction(() => this._writeRun(run));
+    }
+
+    saveRuns(runs) {
+        this._transaction(() => {
+            for (const run of runs) this._writeRun(run);
+        });
+    }
+
+    saveBatch(batch) {
+        this._stmt(`
+            INSERT INTO batches (batch_id, created_at, mode, environment, triggered_by, total, data)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (batch_id) DO UPDATE SET
+                total = excluded.total,
+                data = excluded.data
+        `).run(
+            batch.batchId,
+            nullable(batch.createdAt),
+            nullable(batch.mode),
+            nullable(batch.environment),
+            nullable(batch.triggeredBy),
+            nullable(batch.total),
+            JSON.stringify(batch)
+        );
+    }
+
+    getBatchMeta(batchId) {
+        const row = this._stmt('SELECT data FROM batches WHERE batch_id = ?').get(batchId);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    getBatchRuns(batchId) {
+        return this._stmt('SELECT * FROM runs WHERE batch_id = ? ORDER BY created_at, rowid')
+            .all(batchId)
+            .map(row => this._hydrate(row));
+    }
+
+    listRuns(filters = {}) {
+        const clauses = [];
+        const params = [];
+        const statuses = normalizeStatusFilter(filters.status);
+
+        if (filters.ticketId) { clauses.push('ticket_id = ?'); params.push(filters.ticketId); }
+        if (statuses.length > 0) {
+            clauses.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+            params.push(...statuses);
+        }
+        if (filters.mode) { clauses.push('mode = ?'); params.push(filters.mode); }
+        if (filters.batchId) { clauses.push('batch_id = ?'); params.push(filters.batchId); }
+        if (filters.environment) { clauses.push('environment = ?'); params.push(filters.environment); }
+        if (filters.triggeredBy) { clauses.push('triggered_by = ?'); params.push(filters.triggeredBy); }
+        if (filters.since) { clauses.push('created_at >= ?'); params.push(filters.since); }
+        if (filters.until) { clauses.push('created_at < ?'); params.push(filters.until); }
+
+        const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+        const { limit, offset } = normalizePaging(filters);
+
+        const { total } = this._stmt(`SELECT COUNT(*) AS total FROM runs ${where}`).get(...params);
+        const rows = this._stmt(
+            `SELECT * FROM runs ${where} ORDER BY created_at DESC, rowid DESC LIMIT ? OFFSET ?`
+        ).all(...params, limit, offset);
+
+        return { runs: rows.map(row => this._hydrate(row)), total: Number(total) };
+    }
+
+    getStats() {
+        const byStatus = {};
+        let totalRuns = 0;
+        for (const row of this._stmt('SELECT status, COUNT(*) AS n FROM runs GROUP BY status').all()) {
+            byStatus[row.status] = Number(row.n);
+            totalRuns += Number(row.n);
+        }
+
+        const { avg } = this._stmt(
+            "SELECT AVG(duration_ms) AS avg FROM runs WHERE status = 'completed' AND duration_ms IS NOT NULL"
+        ).get();
+
+        return {
+            byStatus,
+            totalRuns,
+            avgDurationMs: avg ? Math.round(Number(avg)) : 0,
+        };
+    }
+
+    recordTestResults(records) {
+        const upsert = this._stmt(`
+            INSERT INTO test_results (test_key, run_id, status, ticket_id, spec_path, recorded_at, data)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (test_key, run_id) DO UPDATE SET
+                status = excluded.status,
+                recorded_at = excluded.recorded_at,
+                data = excluded.data
+        `);
+        this._transaction(() => {
+            for (const record of records) {
+                upsert.run(
+                    record.testKey,
+                    record.runId,
+                    record.status,
+                    nullable(record.ticketId),
+                    nullable(record.specPath),
+                    record.recordedAt,
+                    JSON.stringify(record)
+                );
+            }
+        });
+    }
+
+    getTestHistory(filters = {}) {
+        const clauses = [];
+        const params = [];
+        if (filters.testKey) { clauses.push('test_key = ?'); params.push(filters.testKey); }
+        if (filters.runId) { clauses.push('run_id = ?'); params.push(filters.runId); }
+        if (filters.specPath) { clauses.push('spec_path = ?'); params.push(filters.specPath); }
+        if (filters.ticketId) { clauses.push('ticket_id = ?'); params.push(filters.ticketId); }
+
+        const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+        const limit = Math.max(1, parseInt(filters.limit, 10) || 1000);
+        return this._stmt(`SELECT data FROM test_results ${where} ORDER BY recorded_at DESC, rowid DESC LIMIT ?`)
+            .all(...params, limit)
+            .map(row => JSON.parse(row.data));
+    }
+
+    saveTestQuarantine(testKey, entry) {
+        if (!entry) {
+            this._stmt('DELETE FROM test_quarantine WHERE test_key = ?').run(testKey);
+            return;
+        }
+        this._stmt(`
+            INSERT INTO test_quarantine (test_key, data) VALUES (?, ?)
+            ON CONFLICT (test_key) DO UPDATE SET data = excluded.data
+        `).run(testKey, JSON.stringify({ ...entry, testKey }));
+    }
+
+    listTestQuarantine() {
+        return this._stmt('SELECT data FROM test_quarantine ORDER BY test_key').all().map(row => JSON.parse(row.data));
+    }
+
+    close() {
+        if (!this._db) return;
+        this._statements.clear();
+        this._db.close();
+        this._db = null;
+    }
+
+    describe() {
+        return { type: this.type, location: this.dbPath, driver: this.driverName };
+    }
+
+    // ─── Migration ──────────────────────────────────────────────────
+
+    /**
+     * Import runs from a legacy run-store.json file.
+     *
+     * @param {string} jsonPath
+     * @param {Object} [options]
+     * @param {boolean} [options.overwrite=false] - Replace runs that already exist
+     * @returns {{ imported: number, skipped: number, batches: number }}
+     */
+    importFromJson(jsonPath, options = {}) {
+        const summary = { imported: 0, skipped: 0, batches: 0 };
+        if (!jsonPath || !fs.existsSync(jsonPath)) return summary;
+
+        let content = fs.readFileSync(jsonPath, 'utf-8');
+        if (content.charCodeAt(0) === 0xFEFF) content = content.slice(1);
+        const data = JSON.parse(content);
+        const runs = Array.isArray(data.runs) ? data.runs : [];
+        const batches = new Map();
+
+        for (const batch of Array.isArray(data.batches) ? data.batches : []) {
+            if (batch && batch.batchId) batches.set(batch.batchId, batch);
+        }
+
+        this._transaction(() => {
+            for (const run of runs) {
+                if (!run || !run.runId || !run.createdAt) {
+                    summary.skipped++;
+                    continue;
+                }
+                if (!options.overwrite && this._stmt('SELECT 1 AS found FROM runs WHERE run_id = ?').get(run.runId)) {
+                    summary.skipped++;
+                    continue;
+                }
+                this._writeRun(run);
+                summary.imported++;
+
+                if (run.batchId && !batches.has(run.batchId)) {
+                    batches.set(run.batchId, {
+                        batchId: run.batchId,
+                        createdAt: run.createdAt,
+                        mode: run.mode,
+                        environment: run.environment,
+                        triggeredBy: run.triggeredBy,
+                        total: runs.filter(r => r && r.batchId === run.batchId).length,
+                    });
+                }
+            }
+
+            for (const batch of batches.values()) {
+                this.saveBatch(batch);
+                summary.batches++;
+            }
+
+            this._setMeta('json_import', JSON.stringify({
+                source: path.resolve(jsonPath),
+                importedAt: new Date().toISOString(),
+                ...summary,
+            }));
+        });
+
+        return summary;
+    }
+
+    // ─── Internals ──────────────────────────────────────────────────
+
+    _migrate() {
+        this._db.exec('PRAGMA journal_mode = WAL');
+        this._db.exec('PRAGMA busy_timeout = 5000');
+        this._db.exec(SCHEMA);
+
+        const current = parseInt(this._getMeta('schema_version'), 10) || 0;
+        if (current < SCHEMA_VERSION) {
+            this._setMeta('schema_version', String(SCHEMA_VERSION));
+        }
+    }
+
+    _writeRun(run) {
+        const { stages, history, observations, body } = splitRun(run);
+
+        this._stmt(`
+            INSERT INTO runs (
+                run_id, ticket_id, mode, environment, status, batch_id, triggered_by, model,
+                created_at, started_at, completed_at, updated_at, duration_ms, error, data
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (run_id) DO UPDATE SET
+                ticket_id = excluded.ticket_id,
+                mode = excluded.mode,
+                environment = excluded.environment,
+                status = excluded.status,
+                batch_id = excluded.batch_id,
+                triggered_by = excluded.triggered_by,
+                model = excluded.model,
+                started_at = excluded.started_at,
+                completed_at = excluded.completed_at,
+                updated_at = excluded.updated_at,
+                duration_ms = excluded.duration_ms,
+                error = excluded.error,
+                data = excluded.data
+        `).run(
+            run.runId,
+            nullable(run.ticketId),
+            nullable(run.mode),
+            nullable(run.environment),
+            run.status || 'queued',
+            nullable(run.batchId),
+            nullable(run.triggeredBy),
+            nullable(run.model),
+            run.createdAt || new Date().toISOString(),
+            nullable(run.startedAt),
+            nullable(run.completedAt),
+            nullable(run.updatedAt),
+            run.startedAt && run.completedAt
+                ? new Date(run.completedAt) - new Date(run.startedAt)
+                : null,
+            typeof run.error === 'string' ? run.error : (run.error ? JSON.stringify(run.error) : null),
+            JSON.stringify(body)
+        );
+
+        this._stmt('DELETE FROM run_stages WHERE run_id = ?').run(run.runId);
+        const insertStage = this._stmt(`
+            INSERT INTO run_stages (run_id, position, name, status, started_at, completed_at, data)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
+        stages.forEach((stage, position) => {
+            insertStage.run(
+                run.runId,
+                position,
+                String(stage.name || `stage_${position}`),
+                nullable(stage.status),
+                nullable(stage.startedAt),
+                nullable(stage.completedAt),
+                JSON.stringify(stage)
+            );
+        });
+
+        // Checkpoint history is a sliding window over `count` entries; derive
+        // each entry's absolute sequence so earlier rows are never rewritten.
+        const count = run.mission?.checkpoint?.count || history.length;
+        const base = Math.max(0, count - history.length);
+        const insertCheckpoint = this._stmt(`
+            INSERT OR IGNORE INTO mission_checkpoints (run_id, seq, stage, status, scenario_id, message, timestamp)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
+        history.forEach((entry, index) => {
+            insertCheckpoint.run(
+                run.runId,
+                base + index + 1,
+                nullable(entry.stage),
+                nullable(entry.status),
+                nullable(entry.scenarioId),
+                nullable(entry.message),
+                nullable(entry.timestamp)
+            );
+        });
+
+        const insertObservation = this._stmt(`
+            INSERT OR IGNORE INTO mission_observations (run_id, obs_id, timestamp, type, severity, stage, scenario_id, data)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        for (const observation of observations) {
+            insertObservation.run(
+                run.runId,
+                String(observation.id || [observation.timestamp, observation.type, observation.message].join('|')),
+                nullable(observation.timestamp),
+                nullable(observation.type),
+                nullable(observation.severity),
+                nullable(observation.stage),
+                nullable(observation.scenarioId),
+                JSON.stringify(observation)
+            );
+        }
+    }
+
+    _hydrate(row) {
+        const run = JSON.parse(row.data);
+
+        run.stages = this._stmt('SELECT data FROM run_stages WHERE run_id = ? ORDER BY position')
+            .all(row.run_id)
+            .map(stage => JSON.parse(stage.data));
+
+        if (run.mission && typeof run.mission === 'object') {
+            const history = this._stmt(`
+                SELECT stage, status, scenario_id, message, timestamp
+                FROM mission_checkpoints WHERE run_id = ? ORDER BY seq DESC LIMIT ?
+            `).all(row.run_id, this.hydrateLimit).reverse();
+
+            run.mission.checkpoint = run.mission.checkpoint || {};
+            run.mission.checkpoint.history = history.map(entry => ({
+                stage: entry.stage,
+                status: entry.status,
+                message: entry.message || '',
+                scenarioId: entry.scenario_id,
+                timestamp: entry.timestamp,
+            }));
+
+            run.mission.observations = this._stmt(`
+                SELECT data FROM mission_observations WHERE run_id = ? ORDER BY rowid DESC LIMIT ?
+            `).all(row.run_id, this.hydrateLimit).reverse().map(entry => JSON.parse(entry.data));
+        }
+
+        return run;
+    }
+
+    _transaction(fn) {
+        if (this._txDepth > 0) return fn();
+
+        this._db.exec('BEGIN IMMEDIATE');
+        this._txDepth++;
+        try {
+            const result = fn();
+            this._db.exec('COMMIT');
+            return result;
+        } catch (error) {
+            this._db.exec('ROLLBACK');
+            throw error;
+        } finally {
+            this._txDepth--;
+        }
+    }
+
+    _stmt(sql) {
+        let statement = this._statements.get(sql);
+        if (!statement) {
+            statement = this._db.prepare(sql);
+            this._statements.set(sql, statement);
+        }
+        return statement;
+    }
+
+    _countRuns() {
+        return Number(this._stmt('SELECT COUNT(*) AS n FROM runs').get().n);
+    }
+
+    _getMeta(key) {
+        const row = this._stmt('SELECT value FROM store_meta WHERE key = ?').get(key);
+        return row ? row.value : null;
+    }
+
+    _setMeta(key, value) {
+        this._stmt(`
+            INSERT INTO store_meta (key, value) VALUES (?, ?)
+            ON CONFLICT (key) DO UPDATE SET value = excluded.value
+        `).run(key, value);
+    }
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/** SQLite bindings reject `undefined`; normalize to null. */
+function nullable(value) {
+    return value === undefined ? null : value;
+}
+
+/**
+ * Separate the parts of a run stored in their own tables from the JSON body.
+ * @param {Object} run
+ */
+function splitRun(run) {
+    const stages = Array.isArray(run.stages) ? run.stages : [];
+    const mission = run.mission && typeof run.mission === 'object' ? run.mission : null;
+    const history = Array.isArray(mission?.checkpoint?.history) ? mission.checkpoint.history : [];
+    const observations = Array.isArray(mission?.observations) ? mission.observations : [];
+
+    const body = { ...run, stages: [] };
+    if (mission) {
+        body.mission = {
+            ...mission,
+            checkpoint: mission.checkpoint ? { ...mission.checkpoint, history: [] } : mission.checkpoint,
+            observations: [],
+        };
+    }
+
+    return { stages, history, observations, body };
+}
+
+module.exports = { SqliteRunStoreAdapter, resolveSqliteDriver, SCHEMA_VERSION };
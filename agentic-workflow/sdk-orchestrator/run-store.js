@@ -3,19 +3,18 @@
  * RUN STORE — Pipeline Run Persistence Layer
  * ═══════════════════════════════════════════════════════════════════════════════
  *
- * Stores pipeline run metadata, stage progress, and results. Provides both
- * in-memory fast access and JSON file persistence for development.
- *
- * Designed for upgrade path: swap the file backend for SQLite/Postgres when
- * concurrent volume demands it.
+ * Stores pipeline run metadata, stage progress, and results. Active and
+ * recently touched runs are held in memory for fast access; durability and
+ * historical queries are delegated to a pluggable storage adapter
+ * (see run-store-adapters/ — JSON file or SQLite, via sdk.runStore).
  *
  * @module sdk-orchestrator/run-store
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
-const fs = require('fs');
-const path = require('path');
-const { generateRunId, generateBatchId, ensureDir, formatDuration } = require('./utils');
+const { generateRunId, generateBatchId, formatDuration } = require('./utils');
+const { createRunStoreAdapter, JsonRunStoreAdapter } = require('./run-store-adapters');
+const { mergeUsage } = require('./cost-accounting');
 
 // ─── Run State Constants ────────────────────────────────────────────────────
 
@@ -50,19 +49,29 @@ const DUAL_AUTH_STRATEGIES = new Set([
 class RunStore {
     /**
      * @param {Object} [options]
-     * @param {string} [options.storePath] - Path to JSON persistence file
-     * @param {number} [options.maxRuns]   - Max runs to retain in store (default: 200)
+     * @param {Object} [options.adapter]   - Pre-built RunStoreAdapter
+     * @param {string} [options.backend]   - 'json' | 'sqlite' (default: sdk.runStore.backend)
+     * @param {string} [options.storePath] - Path to JSON persistence file (forces the JSON backend)
+     * @param {number} [options.maxRuns]   - Max runs kept in memory / in the JSON file (default: 200)
+     * @param {boolean} [options.requeueInterrupted=false] - Leave queued/running runs from a previous
+     *                                         session untouched on load so a RunQueue can pick them up
+     *                                         (default: fail them as orphaned)
      */
     constructor(options = {}) {
-        this.storePath = options.storePath || path.join(
-            __dirname, '..', 'test-artifacts', 'run-store.json'
-        );
         this.maxRuns = options.maxRuns || 200;
+        this.requeueInterrupted = !!options.requeueInterrupted;
+
+        if (options.adapter) {
+            this._adapter = options.adapter;
+        } else if (options.storePath) {
+            this._adapter = new JsonRunStoreAdapter({ storePath: options.storePath, maxRuns: this.maxRuns });
+        } else {
+            this._adapter = createRunStoreAdapter({ backend: options.backend, maxRuns: options.maxRuns });
+        }
+        this.storePath = this._adapter.describe().location;
 
-        // In-memory index: runId → run object
+        // Hot cache: runId → run object. Always holds every queued/running run.
         this._runs = new Map();
-        // Batch index: batchId → [runIds]
-        this._batches = new Map();
 
         this._load();
     }
@@ -78,6 +87,10 @@ class RunStore {
      * @param {string} [params.environment='UAT']
      * @param {string} [params.batchId]      - If part of a batch
      * @param {string} [params.triggeredBy]   - 'cli' | 'api' | 'webhook' | 'schedule'
+     * @param {string} [params.resumedFrom]   - Run this one continues (see getResumePlan)
+     * @param {string} [params.scheduleId]    - Schedule that created the run
+     * @param {Object} [params.pullRequest]   - Pull request that triggered the run (git webhooks)
+     * @param {Object} [params.batchPlan]     - Feature, position, dependencies and shared exploration (batch planner)
      * @returns {Object} The created run record
      */
     createRun(params) {
@@ -93,6 +106,10 @@ class RunStore {
             batchId: params.batchId || null,
             triggeredBy: params.triggeredBy || 'api',
             model: params.model || null,
+            resumedFrom: params.resumedFrom || null,
+            scheduleId: params.scheduleId || null,
+            pullRequest: params.pullRequest || null,
+            batchPlan: params.batchPlan || null,
             createdAt: now,
             startedAt: null,
             completedAt: null,
@@ -105,31 +122,59 @@ class RunStore {
         };
 
         this._runs.set(runId, run);
-
-        // Track in batch
-        if (params.batchId) {
-            if (!this._batches.has(params.batchId)) {
-                this._batches.set(params.batchId, []);
-            }
-            this._batches.get(params.batchId).push(runId);
-        }
-
-        this._persist();
+        this._persist(run);
         return run;
     }
 
     /**
      * Create a batch of runs for parallel execution.
      *
+     * With a batch plan (see batch-planner.planBatch) runs are created in plan
+     * order and each carries a `batchPlan` whose dependencies point at the
+     * run IDs of its blockers, for RunQueue to hold it until they finish.
+     *
      * @param {string[]} ticketIds
      * @param {Object} params - Shared params (mode, environment, triggeredBy)
+     * @param {Object} [params.plan] - Batch plan
      * @returns {Object} { batchId, runs: [...] }
      */
     createBatch(ticketIds, params = {}) {
+        const { plan = null, ...runParams } = params;
         const batchId = generateBatchId();
-        const runs = ticketIds.map(ticketId =>
-            this.createRun({ ...params, ticketId, batchId })
-        );
+        const order = plan ? plan.order : ticketIds;
+        this._saveBatch({
+            batchId,
+            createdAt: new Date().toISOString(),
+            mode: params.mode || 'full',
+            environment: params.environment || 'UAT',
+            triggeredBy: params.triggeredBy || 'api',
+            total: order.length,
+            plan: plan ? {
+                order: plan.order,
+                groups: plan.groups,
+                externalBlockers: plan.externalBlockers,
+                warnings: plan.warnings,
+            } : null,
+        });
+
+        const runIds = new Map();
+        const runs = order.map(ticketId => {
+            const entry = plan?.tickets[ticketId];
+            const run = this.createRun({
+                ...runParams,
+                ticketId,
+                batchId,
+                batchPlan: entry ? {
+                    feature: entry.feature,
+                    position: entry.position,
+                    dependsOn: entry.dependsOn.map(dep => ({ ...dep, runId: runIds.get(dep.ticketId) || null })),
+                    sharedExploration: entry.sharedExploration,
+                    explorationUsed: null,
+                } : null,
+            });
+            runIds.set(ticketId, run.runId);
+            return run;
+        });
         return { batchId, runs };
     }
 
@@ -138,7 +183,7 @@ class RunStore {
      * @param {string} runId
      */
     startRun(runId) {
-        const run = this._runs.get(runId);
+        const run = this.getRun(runId);
         if (!run) return;
         run.status = RUN_STATUS.RUNNING;
         run.startedAt = new Date().toISOString();
@@ -148,7 +193,7 @@ class RunStore {
             run.mission.startedAt = run.startedAt;
             run.mission.updatedAt = run.startedAt;
         }
-        this._persist();
+        this._persist(run);
     }
 
     /**
@@ -160,7 +205,7 @@ class RunStore {
      * @param {Object} [details] - Additional stage data (message, artifacts, etc.)
      */
     updateStage(runId, stageName, status, details = {}) {
-        const run = this._runs.get(runId);
+        const run = this.getRun(runId);
         if (!run) return;
 
         const existing = run.stages.find(s => s.name === stageName);
@@ -200,7 +245,7 @@ class RunStore {
             details,
         });
 
-        this._persist();
+        this._persist(run);
     }
 
     /**
@@ -210,7 +255,7 @@ class RunStore {
      * @param {Object} result - Pipeline result object
      */
     completeRun(runId, result) {
-        const run = this._runs.get(runId);
+        const run = this.getRun(runId);
         if (!run) return;
 
         const now = new Date().toISOString();
@@ -241,16 +286,17 @@ class RunStore {
             run.mission.evidence.updatedAt = now;
         }
 
-        this._persist();
+        this._persist(run);
     }
 
     /**
      * Cancel a run.
      * @param {string} runId
+     * @param {string} [reason] - Recorded as the run error (default: 'Cancelled by user')
      * @returns {boolean} Whether the run was cancellable
      */
-    cancelRun(runId) {
-        const run = this._runs.get(runId);
+    cancelRun(runId, reason) {
+        const run = this.getRun(runId);
         if (!run) return false;
         if ([RUN_STATUS.COMPLETED, RUN_STATUS.FAILED, RUN_STATUS.CANCELLED].includes(run.status)) {
             return false; // Already terminal
@@ -258,13 +304,13 @@ class RunStore {
         run.status = RUN_STATUS.CANCELLED;
         run.completedAt = new Date().toISOString();
         run.updatedAt = run.completedAt;
-        run.error = 'Cancelled by user';
+        run.error = reason || 'Cancelled by user';
         if (run.mission) {
             run.mission.status = RUN_STATUS.CANCELLED;
             run.mission.completedAt = run.completedAt;
             run.mission.updatedAt = run.completedAt;
         }
-        this._persist();
+        this._persist(run);
         return true;
     }
 
@@ -276,7 +322,7 @@ class RunStore {
      * @returns {boolean}
      */
     forceCancelRun(runId, reason) {
-        const run = this._runs.get(runId);
+        const run = this.getRun(runId);
         if (!run) return false;
 
         const now = new Date().toISOString();
@@ -306,7 +352,7 @@ class RunStore {
             }
         }
 
-        this._persist();
+        this._persist(run);
         return true;
     }
 
@@ -318,7 +364,7 @@ class RunStore {
      * @param {Object} checkpoint
      */
     appendMissionCheckpoint(runId, checkpoint = {}) {
-        const run = this._runs.get(runId);
+        const run = this.getRun(runId);
         if (!run) return;
 
         this._recordMissionCheckpoint(run, {
@@ -331,7 +377,7 @@ class RunStore {
         });
 
         run.updatedAt = new Date().toISOString();
-        this._persist();
+        this._persist(run);
     }
 
     /**
@@ -341,7 +387,7 @@ class RunStore {
      * @param {Object} observation
      */
     recordMissionObservation(runId, observation = {}) {
-        const run = this._runs.get(runId);
+        const run = this.getRun(runId);
         if (!run || !run.mission) return;
 
         const now = new Date().toISOString();
@@ -372,7 +418,7 @@ class RunStore {
 
         run.updatedAt = now;
         run.mission.updatedAt = now;
-        this._persist();
+        this._persist(run);
     }
 
     /**
@@ -382,7 +428,7 @@ class RunStore {
      * @param {Object} patch
      */
     updateMission(runId, patch = {}) {
-        const run = this._runs.get(runId);
+        const run = this.getRun(runId);
         if (!run || !run.mission) return;
 
         const now = new Date().toISOString();
@@ -399,7 +445,7 @@ class RunStore {
             updatedAt: now,
         };
         run.updatedAt = now;
-        this._persist();
+        this._persist(run);
     }
 
     /**
@@ -410,7 +456,7 @@ class RunStore {
      * @param {Object} patch
      */
     updateScenario(runId, scenarioId, patch = {}) {
-        const run = this._runs.get(runId);
+        const run = this.getRun(runId);
         if (!run || !run.mission || !Array.isArray(run.mission.scenarios)) return;
 
         const scenario = run.mission.scenarios.find(item => item.id === scenarioId);
@@ -431,7 +477,22 @@ class RunStore {
 
         run.mission.updatedAt = now;
         run.updatedAt = now;
-        this._persist();
+        this._persist(run);
+    }
+
+    /**
+     * Update the batch plan of a run (e.g. which exploration snapshot it used).
+     *
+     * @param {string} runId
+     * @param {Object} patch
+     */
+    updateBatchPlan(runId, patch = {}) {
+        const run = this.getRun(runId);
+        if (!run || !run.batchPlan) return;
+
+        run.batchPlan = { ...run.batchPlan, ...patch };
+        run.updatedAt = new Date().toISOString();
+        this._persist(run);
     }
 
     /**
@@ -441,7 +502,7 @@ class RunStore {
      * @returns {Object|null}
      */
     getMissionCheckpoint(runId) {
-        const run = this._runs.get(runId);
+        const run = this.getRun(runId);
         if (!run || !run.mission) return null;
 
         return {
@@ -482,6 +543,240 @@ class RunStore {
         return stale;
     }
 
+    // ─── Queue ──────────────────────────────────────────────────────
+
+    /**
+     * Attach queue metadata to a QUEUED run. The run stays in the queue (and
+     * survives restarts) until a RunQueue worker starts it.
+     *
+     * @param {string} runId
+     * @param {Object} meta
+     * @param {number} meta.priority
+     * @param {string} meta.priorityClass - 'webhook' | 'manual' | 'batch' | ...
+     * @returns {Object|null} The updated run
+     */
+    enqueueRun(runId, meta = {}) {
+        const run = this.getRun(runId);
+        if (!run || run.status !== RUN_STATUS.QUEUED) return null;
+
+        const now = new Date().toISOString();
+        run.queue = {
+            attempts: 0,
+            requeuedAt: null,
+            lastInterruption: null,
+            ...(run.queue || {}),
+            priority: meta.priority ?? run.queue?.priority ?? 0,
+            priorityClass: meta.priorityClass || run.queue?.priorityClass || null,
+            enqueuedAt: run.queue?.enqueuedAt || now,
+        };
+        run.updatedAt = now;
+
+        this._persist(run);
+        return run;
+    }
+
+    /**
+     * Put an interrupted run back in the queue. Running stages are reset to
+     * pending; the run keeps its resume snapshots so the next attempt can
+     * continue from the last completed stage.
+     *
+     * @param {string} runId
+     * @param {string} [reason]
+     * @returns {boolean}
+     */
+    requeueRun(runId, reason) {
+        const run = this.getRun(runId);
+        if (!run || run.status !== RUN_STATUS.RUNNING) return false;
+
+        const now = new Date().toISOString();
+        run.status = RUN_STATUS.QUEUED;
+        run.updatedAt = now;
+        run.queue = {
+            ...(run.queue || {}),
+            attempts: (run.queue?.attempts || 0) + 1,
+            requeuedAt: now,
+            lastInterruption: reason || 'Interrupted',
+        };
+
+        if (Array.isArray(run.stages)) {
+            for (const stage of run.stages) {
+                if (stage.status === STAGE_STATUS.RUNNING) {
+                    stage.status = STAGE_STATUS.PENDING;
+                    stage.message = (stage.message || '') + ' [interrupted — re-queued]';
+                }
+            }
+        }
+
+        if (run.mission) {
+            run.mission.status = RUN_STATUS.QUEUED;
+            run.mission.updatedAt = now;
+        }
+
+        this._recordMissionCheckpoint(run, {
+            stage: 'queue',
+            stageStatus: RUN_STATUS.QUEUED,
+            message: `Re-queued (attempt ${run.queue.attempts + 1}): ${run.queue.lastInterruption}`,
+            timestamp: now,
+        });
+
+        this._persist(run);
+        return true;
+    }
+
+    /**
+     * All runs waiting in the queue, in creation order.
+     * @returns {Object[]}
+     */
+    getQueuedRuns() {
+        return Array.from(this._runs.values())
+            .filter(run => run.status === RUN_STATUS.QUEUED)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    // ─── Resume ─────────────────────────────────────────────────────
+
+    /**
+     * Store the latest resume snapshot for a scenario of a run. Written by the
+     * pipeline after every completed stage so a crashed or failed run can be
+     * continued from that point.
+     *
+     * @param {string} runId
+     * @param {string|null} scenarioId
+     * @param {Object} snapshot - PipelineRunner resume snapshot
+     */
+    recordResumePoint(runId, scenarioId, snapshot = {}) {
+        const run = this.getRun(runId);
+        if (!run) return;
+
+        const key = scenarioId || 'default';
+        run.resumeState = run.resumeState || {};
+        run.resumeState[key] = { ...snapshot, updatedAt: snapshot.updatedAt || new Date().toISOString() };
+        run.updatedAt = new Date().toISOString();
+
+        // Scenario is named in the message only: a scenarioId here would
+        // overwrite the scenario's status with 'checkpoint'.
+        this._recordMissionCheckpoint(run, {
+            stage: snapshot.lastCompletedStage || 'run',
+            stageStatus: 'checkpoint',
+            message: `Resume point saved after ${snapshot.lastCompletedStage || 'start'}${scenarioId ? ` [${scenarioId}]` : ''}`,
+            timestamp: run.updatedAt,
+        });
+
+        this._persist(run);
+    }
+
+    /**
+     * Store the model usage of one scenario (cost-accounting RunUsage summary)
+     * and refresh the run-wide totals. Each stage entry gets the usage of its
+     * stage summed over all scenarios.
+     *
+     * @param {string} runId
+     * @param {string|null} scenarioId
+     * @param {Object} usage - RunUsage.toJSON()
+     */
+    recordUsage(runId, scenarioId, usage) {
+        const run = this.getRun(runId);
+        if (!run || !usage) return;
+
+        const scenarios = { ...(run.usage?.scenarios || {}), [scenarioId || 'default']: usage };
+        run.usage = { ...mergeUsage(Object.values(scenarios)), scenarios };
+
+        for (const stageUsage of run.usage.stages) {
+            const stage = run.stages.find(s => s.name === stageUsage.stage);
+            if (stage) stage.usage = stageUsage;
+        }
+
+        run.updatedAt = new Date().toISOString();
+        this._persist(run);
+    }
+
+    /**
+     * Build a resume plan for a failed or cancelled run: which scenarios still
+     * need to run and the snapshot each should continue from.
+     *
+     * Runs recorded before resume snapshots existed fall back to their passed
+     * stages and final artifacts.
+     *
+     * @param {string} runId
+     * @param {Object} [options]
+     * @param {boolean} [options.allowActive=false] - Plan for a queued/running run (re-queued after
+     *                                                an interruption, continuing in place)
+     * @returns {Object|null} { resumable, reason, runId, ticketId, mode, environment, model, scenarios[] }
+     */
+    getResumePlan(runId, options = {}) {
+        const run = this.getRun(runId);
+        if (!run) return null;
+
+        const plan = {
+            resumable: false,
+            reason: null,
+            runId: run.runId,
+            ticketId: run.ticketId,
+            mode: run.mode,
+            environment: run.environment,
+            model: run.model,
+            scenarios: [],
+        };
+
+        if (!options.allowActive && [RUN_STATUS.QUEUED, RUN_STATUS.RUNNING].includes(run.status)) {
+            plan.reason = `Run is still ${run.status}`;
+            return plan;
+        }
+        if (run.status === RUN_STATUS.COMPLETED) {
+            plan.reason = 'Run already completed successfully';
+            return plan;
+        }
+
+        const scenarios = Array.isArray(run.mission?.scenarios) && run.mission.scenarios.length > 0
+            ? run.mission.scenarios
+            : [{ id: 'default', name: 'Default Scenario', authState: 'unspecified' }];
+        const passedStages = (run.stages || [])
+            .filter(stage => stage.status === STAGE_STATUS.PASSED)
+            .map(stage => stage.name);
+
+        for (const scenario of scenarios) {
+            const snapshot = run.resumeState?.[scenario.id] || null;
+            const legacyArtifacts = run.result?.artifacts?.scenarioResults?.[scenario.id] || {};
+
+            plan.scenarios.push({
+                scenario: {
+                    id: scenario.id,
+                    name: scenario.name,
+                    authState: scenario.authState,
+                    persona: scenario.persona || null,
+                    credentialsRef: scenario.credentialsRef || null,
+                    specPath: scenario.specPath || null,
+                    review: scenario.review === true,
+                    reviewContext: scenario.reviewContext || null,
+                },
+                completed: scenario.status === RUN_STATUS.COMPLETED,
+                resume: snapshot ? { ...snapshot, fromRunId: run.runId } : {
+                    fromRunId: run.runId,
+                    contextRunId: `${run.runId}__${scenario.id}`,
+                    mode: run.mode,
+                    scenarioId: scenario.id,
+                    completedStages: passedStages,
+                    lastCompletedStage: passedStages[passedStages.length - 1] || null,
+                    artifacts: {
+                        testCasesPath: legacyArtifacts.testCases || null,
+                        explorationPath: legacyArtifacts.exploration || scenario.artifactPaths?.explorationPath || null,
+                        specPath: legacyArtifacts.spec || scenario.artifactPaths?.specPath || null,
+                        evidenceManifestPath: legacyArtifacts.evidenceManifest || null,
+                    },
+                    cognitiveTier: null,
+                },
+            });
+        }
+
+        if (plan.scenarios.every(item => item.completed)) {
+            plan.reason = 'All scenarios already completed';
+            return plan;
+        }
+
+        plan.resumable = true;
+        return plan;
+    }
+
     // ─── Queries ────────────────────────────────────────────────────
 
     /**
@@ -490,47 +785,48 @@ class RunStore {
      * @returns {Object|null}
      */
     getRun(runId) {
-        return this._runs.get(runId) || null;
+        const cached = this._runs.get(runId);
+        if (cached) return cached;
+
+        let run = null;
+        try {
+            run = this._adapter.getRun(runId);
+        } catch (error) {
+            console.warn(`[RunStore] Failed to read run ${runId}: ${error.message}`);
+        }
+        if (!run) return null;
+
+        this._normalizeLoadedRun(run);
+        this._runs.set(runId, run);
+        this._trimCache();
+        return run;
     }
 
     /**
-     * List recent runs with optional filters.
+     * List recent runs with optional filters. Served by the storage adapter,
+     * so history beyond the in-memory cache is included.
      *
      * @param {Object} [filters]
      * @param {string} [filters.ticketId]
-     * @param {string} [filters.status]
+     * @param {string|string[]} [filters.status] - Single status, array, or comma-separated
      * @param {string} [filters.mode]
      * @param {string} [filters.batchId]
+     * @param {string} [filters.environment]
+     * @param {string} [filters.triggeredBy]
+     * @param {string} [filters.since] - ISO timestamp (inclusive)
+     * @param {string} [filters.until] - ISO timestamp (exclusive)
      * @param {number} [filters.limit=50]
      * @param {number} [filters.offset=0]
      * @returns {Object} { runs: [...], total: number }
      */
     listRuns(filters = {}) {
-        let runs = Array.from(this._runs.values());
-
-        // Apply filters
-        if (filters.ticketId) {
-            runs = runs.filter(r => r.ticketId === filters.ticketId);
-        }
-        if (filters.status) {
-            runs = runs.filter(r => r.status === filters.status);
-        }
-        if (filters.mode) {
-            runs = runs.filter(r => r.mode === filters.mode);
-        }
-        if (filters.batchId) {
-            runs = runs.filter(r => r.batchId === filters.batchId);
+        try {
+            const { runs, total } = this._adapter.listRuns(filters);
+            return { runs: runs.map(run => this._fromAdapter(run)), total };
+        } catch (error) {
+            console.warn(`[RunStore] Failed to list runs: ${error.message}`);
+            return { runs: [], total: 0 };
         }
-
-        // Sort by creation time descending (most recent first)
-        runs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-        const total = runs.length;
-        const offset = filters.offset || 0;
-        const limit = filters.limit || 50;
-        runs = runs.slice(offset, offset + limit);
-
-        return { runs, total };
     }
 
     /**
@@ -539,10 +835,21 @@ class RunStore {
      * @returns {Object|null}
      */
     getBatch(batchId) {
-        const runIds = this._batches.get(batchId);
-        if (!runIds) return null;
+        let runs = [];
+        try {
+            runs = this._adapter.getBatchRuns(batchId).map(run => this._fromAdapter(run));
+        } catch (error) {
+            console.warn(`[RunStore] Failed to read batch ${batchId}: ${error.message}`);
+        }
+        if (runs.length === 0) return null;
+
+        let meta = null;
+        try {
+            meta = this._adapter.getBatchMeta(batchId);
+        } catch (error) {
+            console.warn(`[RunStore] Failed to read batch ${batchId} metadata: ${error.message}`);
+        }
 
-        const runs = runIds.map(id => this._runs.get(id)).filter(Boolean);
         const completed = runs.filter(r =>
             [RUN_STATUS.COMPLETED, RUN_STATUS.FAILED, RUN_STATUS.CANCELLED].includes(r.status)
         );
@@ -556,6 +863,7 @@ class RunStore {
             status: completed.length === runs.length
                 ? (runs.every(r => r.status === RUN_STATUS.COMPLETED) ? 'completed' : 'failed')
                 : 'running',
+            plan: meta?.plan || null,
             runs,
         };
     }
@@ -575,6 +883,78 @@ class RunStore {
         return null;
     }
 
+    // ─── Test History ───────────────────────────────────────────────
+
+    /**
+     * Record per-test outcomes of a run (flaky test tracking).
+     *
+     * @param {string} runId
+     * @param {Object[]} records - { testKey, status, ...details }; runId and recordedAt are filled in
+     * @returns {number} Records written
+     */
+    recordTestResults(runId, records = []) {
+        const now = new Date().toISOString();
+        const normalized = records
+            .filter(record => record && record.testKey && record.status)
+            .map(record => ({ ...record, runId, recordedAt: record.recordedAt || now }));
+        if (normalized.length === 0) return 0;
+
+        try {
+            this._adapter.recordTestResults(normalized);
+            return normalized.length;
+        } catch (error) {
+            console.warn(`[RunStore] Failed to record test results for ${runId}: ${error.message}`);
+            return 0;
+        }
+    }
+
+    /**
+     * Per-test outcomes, newest first.
+     *
+     * @param {Object} [filters]
+     * @param {string} [filters.testKey]
+     * @param {string} [filters.runId]
+     * @param {string} [filters.specPath]
+     * @param {string} [filters.ticketId]
+     * @param {number} [filters.limit=1000]
+     * @returns {Object[]}
+     */
+    getTestHistory(filters = {}) {
+        try {
+            return this._adapter.getTestHistory(filters);
+        } catch (error) {
+            console.warn(`[RunStore] Failed to read test history: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Quarantine a test, or release it by passing null.
+     *
+     * @param {string} testKey
+     * @param {Object|null} entry - { reason, quarantinedAt, quarantinedBy, auto, score }
+     */
+    setTestQuarantine(testKey, entry) {
+        try {
+            this._adapter.saveTestQuarantine(testKey, entry ? { ...entry, testKey } : null);
+        } catch (error) {
+            console.warn(`[RunStore] Failed to update quarantine for ${testKey}: ${error.message}`);
+        }
+    }
+
+    /**
+     * All quarantined tests.
+     * @returns {Object[]}
+     */
+    getTestQuarantine() {
+        try {
+            return this._adapter.listTestQuarantine();
+        } catch (error) {
+            console.warn(`[RunStore] Failed to read test quarantine: ${error.message}`);
+            return [];
+        }
+    }
+
     // ─── Analytics ──────────────────────────────────────────────────
 
     /**
@@ -582,129 +962,157 @@ class RunStore {
      * @returns {Object}
      */
     getStats() {
-        const runs = Array.from(this._runs.values());
-        const completed = runs.filter(r => r.status === RUN_STATUS.COMPLETED);
-        const failed = runs.filter(r => r.status === RUN_STATUS.FAILED);
-
-        // Calculate average duration for completed runs
-        const durations = completed
-            .filter(r => r.startedAt && r.completedAt)
-            .map(r => new Date(r.completedAt) - new Date(r.startedAt));
-        const avgDuration = durations.length > 0
-            ? Math.round(durations.reduce((a, b) => a + b, 0) / durations.length)
-            : 0;
+        let stats = { byStatus: {}, totalRuns: 0, avgDurationMs: 0 };
+        try {
+            stats = this._adapter.getStats();
+        } catch (error) {
+            console.warn(`[RunStore] Failed to compute stats: ${error.message}`);
+        }
+
+        const count = status => stats.byStatus[status] || 0;
+        const completed = count(RUN_STATUS.COMPLETED);
+        const failed = count(RUN_STATUS.FAILED);
 
         return {
-            totalRuns: runs.length,
-            completed: completed.length,
-            failed: failed.length,
-            cancelled: runs.filter(r => r.status === RUN_STATUS.CANCELLED).length,
-            running: runs.filter(r => r.status === RUN_STATUS.RUNNING).length,
-            queued: runs.filter(r => r.status === RUN_STATUS.QUEUED).length,
-            successRate: runs.length > 0
-                ? Math.round((completed.length / (completed.length + failed.length || 1)) * 100)
+            totalRuns: stats.totalRuns,
+            completed,
+            failed,
+            cancelled: count(RUN_STATUS.CANCELLED),
+            running: count(RUN_STATUS.RUNNING),
+            queued: count(RUN_STATUS.QUEUED),
+            successRate: stats.totalRuns > 0
+                ? Math.round((completed / (completed + failed || 1)) * 100)
                 : 0,
-            avgDuration: formatDuration(avgDuration),
-            avgDurationMs: avgDuration,
+            avgDuration: formatDuration(stats.avgDurationMs),
+            avgDurationMs: stats.avgDurationMs,
         };
     }
 
+    /**
+     * Describe the active storage backend (type, location, driver).
+     * @returns {Object}
+     */
+    getStorageInfo() {
+        return this._adapter.describe();
+    }
+
+    /**
+     * Release the storage backend. Safe to call more than once.
+     */
+    close() {
+        try {
+            this._adapter.close();
+        } catch (error) {
+            console.warn(`[RunStore] Failed to close storage: ${error.message}`);
+        }
+    }
+
     // ─── Persistence ────────────────────────────────────────────────
 
     _load() {
+        let runs = [];
         try {
-            if (fs.existsSync(this.storePath)) {
-                let content = fs.readFileSync(this.storePath, 'utf-8');
-                if (content.charCodeAt(0) === 0xFEFF) content = content.slice(1);
-                const data = JSON.parse(content);
-
-                if (Array.isArray(data.runs)) {
-                    let orphanCount = 0;
-                    const now = new Date().toISOString();
-
-                    for (const run of data.runs) {
-                        this._normalizeLoadedRun(run);
-
-                        // ── Stale run cleanup on startup ──
-                        // Any run still in running/queued from a previous server session
-                        // is orphaned — the in-memory pipeline handle is gone.
-                        if ([RUN_STATUS.RUNNING, RUN_STATUS.QUEUED].includes(run.status)) {
-                            run.status = RUN_STATUS.FAILED;
-                            run.completedAt = now;
-                            run.updatedAt = now;
-                            run.error = 'Server restarted — pipeline execution was interrupted';
-                            if (run.startedAt && !run.duration) {
-                                run.duration = formatDuration(
-                                    new Date(now) - new Date(run.startedAt)
-                                );
-                            }
-                            if (run.mission) {
-                                run.mission.status = RUN_STATUS.FAILED;
-                                run.mission.completedAt = now;
-                                run.mission.updatedAt = now;
-                            }
-                            // Mark any in-progress stages as failed too
-                            if (Array.isArray(run.stages)) {
-                                for (const stage of run.stages) {
-                                    if (stage.status === STAGE_STATUS.RUNNING) {
-                                        stage.status = STAGE_STATUS.FAILED;
-                                        stage.completedAt = now;
-                                        stage.message = (stage.message || '') + ' [interrupted by server restart]';
-                                    }
-                                }
-                            }
-                            orphanCount++;
-                        }
+            runs = this._adapter.loadRuns({ cacheLimit: this.maxRuns });
+        } catch (error) {
+            console.warn(`[RunStore] Failed to load: ${error.message}`);
+            return;
+        }
 
-                        this._runs.set(run.runId, run);
-                        if (run.batchId) {
-                            if (!this._batches.has(run.batchId)) {
-                                this._batches.set(run.batchId, []);
-                            }
-                            this._batches.get(run.batchId).push(run.runId);
-                        }
-                    }
+        const orphaned = [];
+        const now = new Date().toISOString();
 
-                    if (orphanCount > 0) {
-                        console.log(`[RunStore] Cleaned up ${orphanCount} orphaned running/queued run(s) from previous session`);
-                        this._persist();
+        for (const run of runs) {
+            this._normalizeLoadedRun(run);
+
+            // ── Stale run cleanup on startup ──
+            // Any run still in running/queued from a previous server session
+            // is orphaned — the in-memory pipeline handle is gone. With a run
+            // queue attached they are recovered instead (see RunQueue.start).
+            if (!this.requeueInterrupted && [RUN_STATUS.RUNNING, RUN_STATUS.QUEUED].includes(run.status)) {
+                run.status = RUN_STATUS.FAILED;
+                run.completedAt = now;
+                run.updatedAt = now;
+                run.error = 'Server restarted — pipeline execution was interrupted';
+                if (run.startedAt && !run.duration) {
+                    run.duration = formatDuration(
+                        new Date(now) - new Date(run.startedAt)
+                    );
+                }
+                if (run.mission) {
+                    run.mission.status = RUN_STATUS.FAILED;
+                    run.mission.completedAt = now;
+                    run.mission.updatedAt = now;
+                }
+                // Mark any in-progress stages as failed too
+                if (Array.isArray(run.stages)) {
+                    for (const stage of run.stages) {
+                        if (stage.status === STAGE_STATUS.RUNNING) {
+                            stage.status = STAGE_STATUS.FAILED;
+                            stage.completedAt = now;
+                            stage.message = (stage.message || '') + ' [interrupted by server restart]';
+                        }
                     }
                 }
+                orphaned.push(run);
+            }
+
+            this._runs.set(run.runId, run);
+        }
+
+        if (orphaned.length > 0) {
+            console.log(`[RunStore] Cleaned up ${orphaned.length} orphaned running/queued run(s) from previous session`);
+            try {
+                this._adapter.saveRuns(orphaned);
+            } catch (error) {
+                console.warn(`[RunStore] Failed to persist: ${error.message}`);
             }
+        }
+    }
+
+    _persist(run) {
+        try {
+            this._adapter.saveRun(run);
         } catch (error) {
-            console.warn(`[RunStore] Failed to load: ${error.message}`);
+            console.warn(`[RunStore] Failed to persist: ${error.message}`);
         }
+        this._trimCache();
     }
 
-    _persist() {
+    _saveBatch(batch) {
         try {
-            // Enforce max runs — evict oldest completed/failed/cancelled
-            if (this._runs.size > this.maxRuns) {
-                const sorted = Array.from(this._runs.values())
-                    .filter(r => [RUN_STATUS.COMPLETED, RUN_STATUS.FAILED, RUN_STATUS.CANCELLED].includes(r.status))
-                    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-
-                while (this._runs.size > this.maxRuns && sorted.length > 0) {
-                    const oldest = sorted.shift();
-                    this._runs.delete(oldest.runId);
-                }
-            }
+            this._adapter.saveBatch(batch);
+        } catch (error) {
+            console.warn(`[RunStore] Failed to persist batch ${batch.batchId}: ${error.message}`);
+        }
+    }
 
-            const data = {
-                version: '1.1.0',
-                lastUpdated: new Date().toISOString(),
-                runs: Array.from(this._runs.values()),
-            };
+    /**
+     * Keep the hot cache bounded — evict oldest completed/failed/cancelled
+     * runs. They remain available through the adapter.
+     */
+    _trimCache() {
+        if (this._runs.size <= this.maxRuns) return;
 
-            ensureDir(path.dirname(this.storePath));
-            const tmpPath = this.storePath + '.tmp';
-            fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf-8');
-            fs.renameSync(tmpPath, this.storePath);
-        } catch (error) {
-            console.warn(`[RunStore] Failed to persist: ${error.message}`);
+        const sorted = Array.from(this._runs.values())
+            .filter(r => [RUN_STATUS.COMPLETED, RUN_STATUS.FAILED, RUN_STATUS.CANCELLED].includes(r.status))
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        while (this._runs.size > this.maxRuns && sorted.length > 0) {
+            this._runs.delete(sorted.shift().runId);
         }
     }
 
+    /**
+     * Prefer the cached (live) instance of a run returned by the adapter so
+     * callers always see in-flight state.
+     */
+    _fromAdapter(run) {
+        const cached = this._runs.get(run.runId);
+        if (cached) return cached;
+        this._normalizeLoadedRun(run);
+        return run;
+    }
+
     _normalizeMission(runId, params = {}, now = new Date().toISOString()) {
         const mission = params.mission || {};
         const scenarioInput = this._resolveMissionScenarios(mission);
@@ -725,6 +1133,9 @@ class RunStore {
                 authState: scenario.authState || 'unspecified',
                 persona: scenario.persona || null,
                 credentialsRef: scenario.credentialsRef || null,
+                specPath: scenario.specPath || null,
+                review: scenario.review === true,
+                reviewContext: scenario.reviewContext || null,
                 status: scenario.status || STAGE_STATUS.PENDING,
                 startedAt: scenario.startedAt || null,
                 completedAt: scenario.completedAt || null,
@@ -0,0 +1,331 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SCHEDULE STORE — Recurring Pipeline Run Definitions
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Persists pipeline schedules (cron expression + mode + targets) to
+ * schedules.json next to the run store. The file is re-read when it changes
+ * on disk, so schedules edited through the CLI are picked up by a running
+ * server.
+ *
+ * A schedule targets Jira tickets and/or spec folders:
+ *
+ *   { name: 'Nightly heal', cron: '0 2 * * *', mode: 'heal',
+ *     ticketIds: ['AOTF-101'], specFolders: ['tests/specs/aotf-204'] }
+ *
+ * @module sdk-orchestrator/schedule-store
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    generateScheduleId, writeJSONSync, readJSONSync, isValidTicketId, isValidMode,
+} = require('./utils');
+const { CronExpression, validateCron } = require('./cron-expression');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..', '..');
+const WORKFLOW_ROOT = path.join(__dirname, '..');
+const DEFAULT_STORE_PATH = path.join(WORKFLOW_ROOT, 'test-artifacts', 'schedules.json');
+
+const EDITABLE_FIELDS = [
+    'name', 'description', 'cron', 'timezone', 'mode', 'environment', 'model',
+    'ticketIds', 'specFolders', 'enabled',
+];
+
+// ─── Validation ─────────────────────────────────────────────────────────────
+
+/**
+ * Validate a complete schedule definition (create input, or an existing
+ * schedule merged with an update).
+ *
+ * @param {Object} input
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateSchedule(input = {}) {
+    const errors = [];
+
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+        errors.push('name is required');
+    }
+    const { valid, error } = validateCron(input.cron, { timezone: input.timezone });
+    if (!valid) errors.push(error);
+    if (input.mode !== undefined && !isValidMode(input.mode)) {
+        errors.push(`Invalid mode: "${input.mode}"`);
+    }
+    if (input.ticketIds !== undefined) {
+        if (!Array.isArray(input.ticketIds)) {
+            errors.push('ticketIds must be an array');
+        } else {
+            const invalid = input.ticketIds.filter(id => !isValidTicketId(id));
+            if (invalid.length > 0) errors.push(`Invalid ticket IDs: ${invalid.join(', ')}`);
+        }
+    }
+    if (input.specFolders !== undefined) {
+        if (!Array.isArray(input.specFolders)) {
+            errors.push('specFolders must be an array');
+        } else {
+            const outside = input.specFolders.filter(folder => !isInsideProject(folder));
+            if (outside.length > 0) errors.push(`Spec folders must be inside the project: ${outside.join(', ')}`);
+        }
+    }
+    const targets = (Array.isArray(input.ticketIds) ? input.ticketIds.length : 0)
+        + (Array.isArray(input.specFolders) ? input.specFolders.length : 0);
+    if (targets === 0) errors.push('At least one ticketId or specFolder is required');
+
+    return errors;
+}
+
+function isInsideProject(folder) {
+    if (typeof folder !== 'string' || !folder.trim()) return false;
+    const resolved = path.resolve(PROJECT_ROOT, folder);
+    return resolved === PROJECT_ROOT || resolved.startsWith(PROJECT_ROOT + path.sep);
+}
+
+// ─── Schedule Store ─────────────────────────────────────────────────────────
+
+class ScheduleStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.storePath] - Path to schedules.json
+     */
+    constructor(options = {}) {
+        this.storePath = options.storePath || DEFAULT_STORE_PATH;
+        this._schedules = new Map();
+        this._mtimeMs = 0;
+        this._load();
+    }
+
+    // ─── CRUD ───────────────────────────────────────────────────────
+
+    /**
+     * @returns {Object[]} All schedules, oldest first
+     */
+    list() {
+        this._reloadIfChanged();
+        return Array.from(this._schedules.values())
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    /**
+     * @param {string} scheduleId
+     * @returns {Object|null}
+     */
+    get(scheduleId) {
+        this._reloadIfChanged();
+        return this._schedules.get(scheduleId) || null;
+    }
+
+    /**
+     * Create a schedule. The first nextRunAt is computed immediately.
+     *
+     * @param {Object} input
+     * @param {string} input.name
+     * @param {string} input.cron
+     * @param {string} [input.timezone='local'] - 'local' | 'UTC'
+     * @param {string} [input.mode='full']
+     * @param {string} [input.environment='UAT']
+     * @param {string} [input.model]
+     * @param {string[]} [input.ticketIds]
+     * @param {string[]} [input.specFolders]   - Relative to the project root
+     * @param {boolean} [input.enabled=true]
+     * @param {string} [input.createdBy]       - 'api' | 'cli' | 'web-app'
+     * @returns {Object} The created schedule
+     * @throws {Error} When the input is invalid
+     */
+    create(input = {}) {
+        const errors = validateSchedule(input);
+        if (errors.length > 0) throw new Error(errors.join('; '));
+
+        this._reloadIfChanged();
+        const now = new Date().toISOString();
+        const schedule = {
+            scheduleId: generateScheduleId(),
+            name: input.name.trim(),
+            description: input.description || '',
+            cron: input.cron.trim(),
+            timezone: input.timezone || 'local',
+            mode: input.mode || 'full',
+            environment: (input.environment || 'UAT').toUpperCase(),
+            model: input.model || null,
+            ticketIds: unique((input.ticketIds || []).map(id => id.toUpperCase())),
+            specFolders: unique(input.specFolders || []),
+            enabled: input.enabled !== false,
+            createdBy: input.createdBy || 'api',
+            createdAt: now,
+            updatedAt: now,
+            nextRunAt: null,
+            lastRun: null,
+            runCount: 0,
+        };
+        schedule.nextRunAt = schedule.enabled ? computeNextRun(schedule) : null;
+
+        this._schedules.set(schedule.scheduleId, schedule);
+        this._save();
+        return schedule;
+    }
+
+    /**
+     * Update editable fields. Changing cron, timezone or enabled recomputes nextRunAt.
+     *
+     * @param {string} scheduleId
+     * @param {Object} patch
+     * @returns {Object|null} The updated schedule, or null if not found
+     * @throws {Error} When the patch is invalid
+     */
+    update(scheduleId, patch = {}) {
+        const schedule = this.get(scheduleId);
+        if (!schedule) return null;
+
+        const changes = {};
+        for (const field of EDITABLE_FIELDS) {
+            if (patch[field] !== undefined) changes[field] = patch[field];
+        }
+
+        const merged = { ...schedule, ...changes };
+        const errors = validateSchedule(merged);
+        if (errors.length > 0) throw new Error(errors.join('; '));
+
+        if (changes.environment) changes.environment = changes.environment.toUpperCase();
+        if (changes.ticketIds) changes.ticketIds = unique(changes.ticketIds.map(id => id.toUpperCase()));
+        if (changes.specFolders) changes.specFolders = unique(changes.specFolders);
+        if (changes.enabled !== undefined) changes.enabled = !!changes.enabled;
+
+        Object.assign(schedule, changes, { updatedAt: new Date().toISOString() });
+        if (['cron', 'timezone', 'enabled'].some(field => field in changes)) {
+            schedule.nextRunAt = schedule.enabled ? computeNextRun(schedule) : null;
+        }
+
+        this._save();
+        return schedule;
+    }
+
+    /**
+     * @param {string} scheduleId
+     * @returns {boolean} Whether a schedule was removed
+     */
+    remove(scheduleId) {
+        this._reloadIfChanged();
+        const removed = this._schedules.delete(scheduleId);
+        if (removed) this._save();
+        return removed;
+    }
+
+    // ─── Trigger Bookkeeping ────────────────────────────────────────
+
+    /**
+     * Record that a schedule fired and advance nextRunAt.
+     *
+     * @param {string} scheduleId
+     * @param {Object} lastRun - { triggeredAt, runIds, batchId, skipped, unresolved, error, manual, catchUp }
+     * @param {Object} [options]
+     * @param {boolean} [options.advance=true] - Recompute nextRunAt (false for manual runs)
+     * @returns {Object|null}
+     */
+    recordTrigger(scheduleId, lastRun, options = {}) {
+        const schedule = this.get(scheduleId);
+        if (!schedule) return null;
+
+        schedule.lastRun = lastRun;
+        schedule.runCount = (schedule.runCount || 0) + 1;
+        if (options.advance !== false && schedule.enabled) {
+            schedule.nextRunAt = computeNextRun(schedule, new Date(lastRun.triggeredAt));
+        }
+
+        this._save();
+        return schedule;
+    }
+
+    /**
+     * Overwrite nextRunAt (used when skipping missed runs on startup).
+     * @param {string} scheduleId
+     * @param {string|null} nextRunAt
+     */
+    setNextRun(scheduleId, nextRunAt) {
+        const schedule = this.get(scheduleId);
+        if (!schedule) return;
+        schedule.nextRunAt = nextRunAt;
+        this._save();
+    }
+
+    // ─── Persistence ────────────────────────────────────────────────
+
+    _load() {
+        const data = readJSONSync(this.storePath, null);
+        this._schedules.clear();
+        for (const schedule of data?.schedules || []) {
+            this._schedules.set(schedule.scheduleId, schedule);
+        }
+        this._mtimeMs = this._statMtime();
+    }
+
+    _reloadIfChanged() {
+        if (this._statMtime() !== this._mtimeMs) this._load();
+    }
+
+    _save() {
+        try {
+            writeJSONSync(this.storePath, {
+                version: '1.0.0',
+                lastUpdated: new Date().toISOString(),
+                schedules: Array.from(this._schedules.values()),
+            });
+            this._mtimeMs = this._statMtime();
+        } catch (error) {
+            console.warn(`[ScheduleStore] Failed to persist: ${error.message}`);
+        }
+    }
+
+    _statMtime() {
+        try {
+            return fs.statSync(this.storePath).mtimeMs;
+        } catch {
+            return 0;
+        }
+    }
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Where schedules.json lives: sdk.scheduler.storePath (relative to
+ * agentic-workflow/) or, by default, next to the run store.
+ *
+ * @param {string} [runStoreLocation] - RunStore#storePath
+ * @param {Object} [config]           - sdk.scheduler
+ * @returns {string}
+ */
+function resolveScheduleStorePath(runStoreLocation, config = {}) {
+    if (config.storePath) {
+        return path.isAbsolute(config.storePath) ? config.storePath : path.join(WORKFLOW_ROOT, config.storePath);
+    }
+    return runStoreLocation
+        ? path.join(path.dirname(runStoreLocation), 'schedules.json')
+        : DEFAULT_STORE_PATH;
+}
+
+/**
+ * Next fire time of a schedule as an ISO string, or null if it never fires.
+ * @param {Object} schedule
+ * @param {Date} [from=now]
+ * @returns {string|null}
+ */
+function computeNextRun(schedule, from = new Date()) {
+    const next = new CronExpression(schedule.cron, { timezone: schedule.timezone }).next(from);
+    return next ? next.toISOString() : null;
+}
+
+function unique(values) {
+    return [...new Set(values.map(value => String(value).trim()).filter(Boolean))];
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+    ScheduleStore,
+    validateSchedule,
+    computeNextRun,
+    resolveScheduleStorePath,
+    DEFAULT_STORE_PATH,
+    PROJECT_ROOT,
+};
@@ -0,0 +1,336 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PIPELINE SCHEDULER — Cron-Triggered Recurring Runs
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Fires schedules from the ScheduleStore (e.g. nightly `execute`/`heal`
+ * regressions, weekly `full` regeneration) by creating runs with
+ * triggeredBy: 'schedule' and handing them to the RunQueue, which applies
+ * the usual concurrency caps and priorities.
+ *
+ *   - Checks due schedules every `tickIntervalMs` (default 30s)
+ *   - Spec folders are expanded to the ticket IDs of the specs they contain
+ *   - Tickets that already have an active run are skipped, not duplicated
+ *   - A schedule missed while the server was down fires once on startup
+ *     (sdk.scheduler.catchUpMissed)
+ *
+ * @module sdk-orchestrator/scheduler
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { RUN_STATUS } = require('./run-store');
+const { CronExpression } = require('./cron-expression');
+const { computeNextRun, PROJECT_ROOT } = require('./schedule-store');
+const { loadWorkflowConfig } = require('./utils');
+
+const DEFAULT_TICK_INTERVAL = 30 * 1000;
+const TICKET_PATTERN = /^([A-Z][A-Z0-9]+-\d+)/i;
+const SPEC_FILE_PATTERN = /\.spec\.[cm]?[jt]s$/;
+
+// ─── Pipeline Scheduler ─────────────────────────────────────────────────────
+
+class PipelineScheduler {
+    /**
+     * @param {Object} options
+     * @param {Object} options.scheduleStore  - ScheduleStore instance
+     * @param {Object} options.runStore       - RunStore instance
+     * @param {Object} options.runQueue       - RunQueue instance
+     * @param {Object} [options.eventBridge]  - Used to attach the event log path to new runs
+     * @param {number} [options.tickIntervalMs=30000]
+     * @param {boolean} [options.catchUpMissed=true] - Fire once on start for schedules missed while down
+     * @param {string} [options.projectRoot]  - Base for relative spec folders
+     */
+    constructor(options) {
+        this.scheduleStore = options.scheduleStore;
+        this.runStore = options.runStore;
+        this.runQueue = options.runQueue;
+        this.eventBridge = options.eventBridge || null;
+        this.tickIntervalMs = options.tickIntervalMs || DEFAULT_TICK_INTERVAL;
+        this.catchUpMissed = options.catchUpMissed !== false;
+        this.projectRoot = options.projectRoot || PROJECT_ROOT;
+        this._timer = null;
+    }
+
+    // ─── Lifecycle ──────────────────────────────────────────────────
+
+    /**
+     * Handle schedules missed while the server was down, then start ticking.
+     * @returns {{ caughtUp: string[], skipped: string[] }}
+     */
+    start() {
+        const caughtUp = [];
+        const skipped = [];
+        const now = new Date();
+
+        for (const schedule of this.scheduleStore.list()) {
+            if (!schedule.enabled) continue;
+
+            if (!schedule.nextRunAt) {
+                this.scheduleStore.setNextRun(schedule.scheduleId, computeNextRun(schedule, now));
+                continue;
+            }
+            if (new Date(schedule.nextRunAt) > now) continue;
+
+            if (this.catchUpMissed) {
+                this.trigger(schedule.scheduleId, { catchUp: true, now });
+                caughtUp.push(schedule.scheduleId);
+            } else {
+                this.scheduleStore.setNextRun(schedule.scheduleId, computeNextRun(schedule, now));
+                skipped.push(schedule.scheduleId);
+            }
+        }
+
+        this.stop();
+        this._timer = setInterval(() => this.tick(), this.tickIntervalMs);
+        if (this._timer.unref) this._timer.unref();
+
+        return { caughtUp, skipped };
+    }
+
+    stop() {
+        if (this._timer) clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    /**
+     * Fire every enabled schedule whose nextRunAt has passed.
+     * @param {Date} [now]
+     * @returns {Object[]} lastRun records of the schedules that fired
+     */
+    tick(now = new Date()) {
+        const fired = [];
+        for (const schedule of this.scheduleStore.list()) {
+            if (!schedule.enabled || !schedule.nextRunAt) continue;
+            if (new Date(schedule.nextRunAt) > now) continue;
+            fired.push(this.trigger(schedule.scheduleId, { now }));
+        }
+        return fired;
+    }
+
+    // ─── Triggering ─────────────────────────────────────────────────
+
+    /**
+     * Create and queue the runs for a schedule.
+     *
+     * @param {string} scheduleId
+     * @param {Object} [options]
+     * @param {boolean} [options.manual=false]  - Triggered on demand; nextRunAt is not advanced
+     * @param {boolean} [options.catchUp=false] - Fired on startup for a missed slot
+     * @param {Date}    [options.now]
+     * @returns {Object|null} The lastRun record, or null if the schedule doesn't exist
+     */
+    trigger(scheduleId, options = {}) {
+        const schedule = this.scheduleStore.get(scheduleId);
+        if (!schedule) return null;
+
+        const now = options.now || new Date();
+        const lastRun = {
+            triggeredAt: now.toISOString(),
+            scheduledFor: options.manual ? null : schedule.nextRunAt,
+            manual: !!options.manual,
+            catchUp: !!options.catchUp,
+            runIds: [],
+            batchId: null,
+            skipped: [],
+            unresolved: [],
+            error: null,
+        };
+
+        try {
+            const { ticketIds, unresolved } = resolveScheduleTargets(schedule, { projectRoot: this.projectRoot });
+            lastRun.unresolved = unresolved;
+
+            const runnable = [];
+            for (const ticketId of ticketIds) {
+                const active = this.runStore.getActiveRun(ticketId);
+                if (active) {
+                    lastRun.skipped.push({ ticketId, reason: `Already ${active.status} (${active.runId})` });
+                } else {
+                    runnable.push(ticketId);
+                }
+            }
+
+            if (runnable.length === 0) {
+                lastRun.error = ticketIds.length === 0
+                    ? 'No runnable targets — no tickets or ticket specs found'
+                    : 'All targets already have an active run';
+            } else {
+                const params = {
+                    mode: schedule.mode,
+                    environment: schedule.environment,
+                    model: schedule.model,
+                    triggeredBy: 'schedule',
+                    scheduleId: schedule.scheduleId,
+                };
+                const runs = runnable.length === 1
+                    ? [this.runStore.createRun({ ...params, ticketId: runnable[0] })]
+                    : this._createBatch(runnable, params, lastRun);
+
+                for (const run of runs) {
+                    if (this.eventBridge) {
+                        this.runStore.updateMission(run.runId, {
+                            evidence: { eventLogPath: this.eventBridge.getRunEventLogPath(run.runId) },
+                        });
+                    }
+                    this.runQueue.enqueue(run.runId);
+                    lastRun.runIds.push(run.runId);
+                }
+            }
+        } catch (error) {
+            lastRun.error = error.message;
+        }
+
+        console.log(`[Scheduler] ${schedule.name} (${schedule.scheduleId}) fired: ` +
+            `${lastRun.runIds.length} run(s) queued` +
+            `${lastRun.skipped.length ? `, ${lastRun.skipped.length} skipped` : ''}` +
+            `${lastRun.error ? ` — ${lastRun.error}` : ''}`);
+
+        this.scheduleStore.recordTrigger(scheduleId, lastRun, { advance: !options.manual });
+        return lastRun;
+    }
+
+    _createBatch(ticketIds, params, lastRun) {
+        const { batchId, runs } = this.runStore.createBatch(ticketIds, params);
+        lastRun.batchId = batchId;
+        return runs;
+    }
+
+    // ─── Status ─────────────────────────────────────────────────────
+
+    /**
+     * Schedule with derived status for the dashboard: the aggregate status
+     * of its last runs and its upcoming fire times.
+     *
+     * @param {Object} schedule
+     * @param {Object} [options]
+     * @param {number} [options.upcoming=3] - Number of upcoming fire times
+     * @returns {Object}
+     */
+    describe(schedule, options = {}) {
+        return describeSchedule(schedule, this.runStore, options);
+    }
+}
+
+// ─── Status ─────────────────────────────────────────────────────────────────
+
+/**
+ * See PipelineScheduler#describe. Standalone so the CLI can report status
+ * without a running scheduler.
+ *
+ * @param {Object} schedule
+ * @param {Object} runStore
+ * @param {Object} [options]
+ * @param {number} [options.upcoming=3]
+ * @returns {Object}
+ */
+function describeSchedule(schedule, runStore, options = {}) {
+    let upcoming = [];
+    if (schedule.enabled) {
+        try {
+            upcoming = new CronExpression(schedule.cron, { timezone: schedule.timezone })
+                .nextRuns(options.upcoming ?? 3)
+                .map(date => date.toISOString());
+        } catch { /* invalid schedules are rejected on write */ }
+    }
+
+    return {
+        ...schedule,
+        upcoming,
+        lastRun: schedule.lastRun ? { ...schedule.lastRun, ...lastRunStatus(schedule.lastRun, runStore) } : null,
+    };
+}
+
+function lastRunStatus(lastRun, runStore) {
+    const counts = {};
+    for (const runId of lastRun.runIds || []) {
+        const status = runStore.getRun(runId)?.status || 'unknown';
+        counts[status] = (counts[status] || 0) + 1;
+    }
+
+    let status;
+    if (!lastRun.runIds?.length) status = lastRun.error ? RUN_STATUS.FAILED : 'skipped';
+    else if (counts[RUN_STATUS.RUNNING]) status = RUN_STATUS.RUNNING;
+    else if (counts[RUN_STATUS.QUEUED]) status = RUN_STATUS.QUEUED;
+    else if (counts[RUN_STATUS.COMPLETED] === lastRun.runIds.length) status = RUN_STATUS.COMPLETED;
+    else if (counts[RUN_STATUS.FAILED] || counts.unknown) status = RUN_STATUS.FAILED;
+    else status = RUN_STATUS.CANCELLED;
+
+    return { status, counts };
+}
+
+// ─── Target Resolution ──────────────────────────────────────────────────────
+
+/**
+ * Expand a schedule's targets into ticket IDs. Spec folders are scanned
+ * recursively; a spec belongs to the ticket named by its file
+ * (AOTF-123.spec.js, AOTF-123-unauthenticated.spec.js) or by a containing
+ * folder (tests/specs/aotf-123/). Specs without a ticket are reported as
+ * unresolved since the pipeline runs per ticket.
+ *
+ * @param {Object} schedule
+ * @param {Object} [options]
+ * @param {string} [options.projectRoot]
+ * @returns {{ ticketIds: string[], unresolved: string[] }}
+ */
+function resolveScheduleTargets(schedule, options = {}) {
+    const projectRoot = options.projectRoot || PROJECT_ROOT;
+    const ticketIds = new Set((schedule.ticketIds || []).map(id => id.toUpperCase()));
+    const unresolved = [];
+
+    for (const folder of schedule.specFolders || []) {
+        const root = path.resolve(projectRoot, folder);
+        if (!fs.existsSync(root)) {
+            unresolved.push(`${folder} (not found)`);
+            continue;
+        }
+
+        for (const specFile of findSpecFiles(root)) {
+            const relative = path.relative(projectRoot, specFile).split(path.sep).join('/');
+            const ticketId = ticketFromSpecPath(path.relative(path.dirname(root), specFile));
+            if (ticketId) ticketIds.add(ticketId);
+            else unresolved.push(relative);
+        }
+    }
+
+    return { ticketIds: [...ticketIds], unresolved };
+}
+
+function ticketFromSpecPath(relativePath) {
+    const segments = relativePath.split(path.sep).reverse();
+    for (const segment of segments) {
+        const match = segment.match(TICKET_PATTERN);
+        if (match) return match[1].toUpperCase();
+    }
+    return null;
+}
+
+function findSpecFiles(target) {
+    const stat = fs.statSync(target);
+    if (stat.isFile()) return SPEC_FILE_PATTERN.test(target) ? [target] : [];
+
+    const files = [];
+    for (const entry of fs.readdirSync(target, { withFileTypes: true })) {
+        if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+        const fullPath = path.join(target, entry.name);
+        if (entry.isDirectory()) files.push(...findSpecFiles(fullPath));
+        else if (SPEC_FILE_PATTERN.test(entry.name)) files.push(fullPath);
+    }
+    return files.sort();
+}
+
+// ─── Config ─────────────────────────────────────────────────────────────────
+
+/**
+ * Read sdk.scheduler settings from workflow-config.json.
+ * @returns {Object}
+ */
+function loadSchedulerConfig() {
+    const config = loadWorkflowConfig();
+    return config?.sdk?.scheduler || {};
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = { PipelineScheduler, describeSchedule, resolveScheduleTargets, loadSchedulerConfig };
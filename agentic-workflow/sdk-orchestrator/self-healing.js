@@ -13,14 +13,22 @@
  *   5. Re-run tests → iterate (max N iterations)
  *   6. Record all attempts in learning store
  *
+ * Each fix is recorded as a healing patch (diff + hypothesis + evidence). In
+ * the default 'propose' mode the loop heals a working copy of the spec and
+ * the patches wait for review; 'apply' mode edits the spec in place.
+ *
  * @module self-healing
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
 const { extractJSON, getStageTimeout } = require('./utils');
+const { parsePlaywrightOutput, summarizeResults, formatFailures } = require('./playwright-results');
+const { getExecutionService } = require('./execution-service');
+const { STAGES } = require('./pipeline-modes');
+const { loadFlakyConfig } = require('./flaky-tests');
+const { HealingPatchStore, loadHealingPatchConfig, workingCopyPath, HEALING_PATCH_STATUS } = require('./healing-patches');
 
 class SelfHealingEngine {
     /**
@@ -28,6 +36,8 @@ class SelfHealingEngine {
      * @param {Object} options.sessionFactory  - AgentSessionFactory instance
      * @param {Object} [options.learningStore] - LearningStore instance
      * @param {number} [options.maxIterations] - Max healing iterations (default: 3)
+     * @param {Object} [options.executionService] - ExecutionService (default: global singleton)
+     * @param {Object} [options.patchStore] - HealingPatchStore (default: one under mission evidence)
      * @param {boolean} [options.verbose]
      */
     constructor(options) {
@@ -37,6 +47,8 @@ class SelfHealingEngine {
         this.verbose = options.verbose || false;
         this.config = options.config || {};
         this.projectRoot = path.join(__dirname, '..', '..');
+        this.executionService = options.executionService || getExecutionService();
+        this.patchStore = options.patchStore || null;
     }
 
     /**
@@ -48,12 +60,21 @@ class SelfHealingEngine {
      * @param {number} [runtimeOptions.maxIterations] - Override max iterations from cognitive tier
      * @param {number} [runtimeOptions.timeoutMs] - Override timeout from cognitive tier
      * @param {string} [runtimeOptions.cognitiveTier] - Complexity tier (simple/moderate/complex)
+     * @param {Object} [runtimeOptions.fixtures] - MCP session fixtures { recordDir, replay }. With `replay`,
+     *   the healing session explores a recorded fixture's page state (network served from its HAR)
+     * @param {string} [runtimeOptions.runId] - Pipeline run — test progress streams to it and it can cancel the runs
+     * @param {string} [runtimeOptions.scenarioId]
+     * @param {number} [runtimeOptions.rerunsBeforeHealing] - Re-runs before any fix is attempted; a pass
+     *   ends healing with `flaky: true` (default: sdk.flakyTests.rerunsBeforeHealing)
+     * @param {string} [runtimeOptions.patchMode] - 'propose' | 'apply' (default: sdk.healingPatches.mode)
      * @returns {Object} Healing result
      */
     async heal(ticketId, specPath, runtimeOptions = {}) {
         // Apply cognitive scaling overrides if provided
         const effectiveMaxIterations = runtimeOptions.maxIterations || this.maxIterations;
         const cognitiveTier = runtimeOptions.cognitiveTier || null;
+        this._fixtures = runtimeOptions.fixtures || null;
+        this._execution = { runId: runtimeOptions.runId || null, scenarioId: runtimeOptions.scenarioId || null };
 
         this._log('═══════════════════════════════════════════════');
         this._log('  SELF-HEALING ENGINE');
@@ -78,170 +99,278 @@ class SelfHealingEngine {
         let iteration = 0;
         let lastTestResult = null;
         let totalFixesApplied = 0;
+        let cancelled = false;
+        let flaky = false;
         const healingLog = [];
+        const patchConfig = loadHealingPatchConfig(this.config.sdk?.healingPatches);
+        const patchMode = runtimeOptions.patchMode || patchConfig.mode;
+        const patchStore = this.patchStore || new HealingPatchStore({ config: patchConfig });
+        const patchContext = {
+            runId: this._execution.runId || `heal_${ticketId}_${Date.now()}`,
+            ticketId,
+            scenarioId: this._execution.scenarioId,
+            specPath: resolvedSpec,
+            status: patchMode === 'propose' ? HEALING_PATCH_STATUS.PROPOSED : HEALING_PATCH_STATUS.APPLIED,
+        };
+        const patches = [];
+        let unverifiedPatch = null;
+
+        // Step 0: Re-run as is — failures that pass now are flaky, not broken
+        const reruns = runtimeOptions.rerunsBeforeHealing ?? loadFlakyConfig(this.config.sdk?.flakyTests).rerunsBeforeHealing;
+        let pendingResult = null;
+        for (let attempt = 1; attempt <= reruns; attempt++) {
+            this._log(`\n── Re-run ${attempt}/${reruns} before healing ──`);
+            const rerunResult = await this._runTests(resolvedSpec);
+            if (rerunResult.cancelled) {
+                this._log('⏹ Test run cancelled — stopping self-healing');
+                healingLog.push({ iteration: 0, action: 'cancelled' });
+                cancelled = true;
+                break;
+            }
+            if (rerunResult.passed) {
+                this._log(`⚠️ Tests passed on re-run ${attempt}/${reruns} — flaky, skipping healing`);
+                healingLog.push({ iteration: 0, action: 'rerun_passed', rerun: attempt, tests: rerunResult });
+                lastTestResult = rerunResult;
+                flaky = attempt;
+                break;
+            }
+            healingLog.push({ iteration: 0, action: 'rerun_failed', rerun: attempt, failedTests: rerunResult.failedTests });
+            // The last failing re-run doubles as iteration 1's test run
+            pendingResult = rerunResult;
+        }
+
+        // Propose mode heals a copy — the spec only changes when a patch is accepted
+        const workSpec = patchMode === 'propose' ? workingCopyPath(resolvedSpec) : resolvedSpec;
+        if (!cancelled && !flaky && workSpec !== resolvedSpec) {
+            fs.copyFileSync(resolvedSpec, workSpec);
+        }
 
-        while (iteration < effectiveMaxIterations) {
-            iteration++;
-            this._log(`\n── Iteration ${iteration}/${effectiveMaxIterations} ──`);
+        try {
+            while (!cancelled && !flaky && iteration < effectiveMaxIterations) {
+                iteration++;
+                this._log(`\n── Iteration ${iteration}/${effectiveMaxIterations} ──`);
+
+                // Step 1: Run tests
+                const testResult = pendingResult || await this._runTests(workSpec);
+                pendingResult = null;
+                if (testResult.cancelled) {
+                    this._log('⏹ Test run cancelled — stopping self-healing');
+                    healingLog.push({ iteration, action: 'cancelled' });
+                    cancelled = true;
+                    break;
+                }
+                lastTestResult = testResult;
 
-            // Step 1: Run tests
-            const testResult = await this._runTests(resolvedSpec);
-            lastTestResult = testResult;
+                // This run is the verdict on the previous iteration's patch
+                if (unverifiedPatch) {
+                    this._updatePatch(patchStore, unverifiedPatch, testResult);
+                    unverifiedPatch = null;
+                }
 
-            if (testResult.passed) {
-                this._log(`✅ All tests passed on iteration ${iteration}!`);
-                healingLog.push({ iteration, action: 'tests_passed', tests: testResult });
-                break;
-            }
+                if (testResult.passed) {
+                    this._log(`✅ All tests passed on iteration ${iteration}!`);
+                    healingLog.push({ iteration, action: 'tests_passed', tests: testResult });
+                    break;
+                }
 
-            this._log(`❌ ${testResult.failedCount}/${testResult.totalCount} tests failed`);
-            healingLog.push({ iteration, action: 'tests_failed', tests: testResult });
+                this._log(`❌ ${testResult.failedCount}/${testResult.totalCount} tests failed`);
+                healingLog.push({ iteration, action: 'tests_failed', tests: testResult });
 
-            // Step 2: Analyze failures — now with cognitive multi-hypothesis (ToT) reasoning
-            const analysis = this._analyzeFailures(testResult);
-            const hypotheses = analysis.hypotheses || [];
-            const causalChain = analysis.causalChain || null;
+                // Step 2: Analyze failures — now with cognitive multi-hypothesis (ToT) reasoning
+                const analysis = this._analyzeFailures(testResult);
+                const hypotheses = analysis.hypotheses || [];
+                const causalChain = analysis.causalChain || null;
 
-            this._log(`Analysis: category=${analysis.category}, autoFixable=${analysis.autoFixable}`);
-            if (hypotheses.length > 1) {
-                this._log(`  🧠 ToT Hypotheses (${hypotheses.length}):`);
-                for (const h of hypotheses) {
-                    this._log(`    [${h.rank}] ${h.category} — confidence=${h.confidence}% | ${h.pattern}`);
+                this._log(`Analysis: category=${analysis.category}, autoFixable=${analysis.autoFixable}`);
+                if (hypotheses.length > 1) {
+                    this._log(`  🧠 ToT Hypotheses (${hypotheses.length}):`);
+                    for (const h of hypotheses) {
+                        this._log(`    [${h.rank}] ${h.category} — confidence=${h.confidence}% | ${h.pattern}`);
+                    }
+                }
+                if (causalChain) {
+                    this._log(`  🔗 Causal chain detected: ${causalChain.chain?.map(c => c.category).join(' → ') || 'unknown'}`);
+                    this._log(`  🎯 Root cause: ${causalChain.rootCause?.category || analysis.category}`);
                 }
-            }
-            if (causalChain) {
-                this._log(`  🔗 Causal chain detected: ${causalChain.chain?.map(c => c.category).join(' → ') || 'unknown'}`);
-                this._log(`  🎯 Root cause: ${causalChain.rootCause?.category || analysis.category}`);
-            }
 
-            healingLog.push({
-                iteration,
-                action: 'cognitive_analysis',
-                hypotheses: hypotheses.map(h => ({ rank: h.rank, category: h.category, confidence: h.confidence, pattern: h.pattern })),
-                causalChain: causalChain ? { rootCause: causalChain.rootCause?.category, chainLength: causalChain.chain?.length } : null,
-            });
+                healingLog.push({
+                    iteration,
+                    action: 'cognitive_analysis',
+                    hypotheses: hypotheses.map(h => ({ rank: h.rank, category: h.category, confidence: h.confidence, pattern: h.pattern })),
+                    causalChain: causalChain ? { rootCause: causalChain.rootCause?.category, chainLength: causalChain.chain?.length } : null,
+                });
 
-            // ──────────────────────────────────────────────────────────────
-            // Step 3: COGNITIVE HEALING — Tree-of-Thoughts Strategy Selection
-            // Instead of single-path (auto-fix or SDK), evaluate hypotheses
-            // ranked by confidence and try cheapest fix first.
-            // ──────────────────────────────────────────────────────────────
-
-            let healed = false;
-
-            // Strategy A: Try auto-fix from primary hypothesis first
-            if (analysis.autoFixable && analysis.autoFix) {
-                this._log('Strategy A: Attempting auto-fix from primary hypothesis...');
-                const autoFixResult = this._applyAutoFix(resolvedSpec, analysis.autoFix);
-
-                if (autoFixResult.success) {
-                    totalFixesApplied += autoFixResult.changes.length;
-                    this._log(`✅ Auto-fix applied: ${autoFixResult.changes.join(', ')}`);
-                    healingLog.push({ iteration, action: 'auto_fix', strategy: 'primary', changes: autoFixResult.changes });
-                    this._recordLearning(ticketId, analysis, autoFixResult, 'auto-fix');
-                    healed = true;
-                } else {
-                    this._log('Primary auto-fix did not produce changes');
+                // ──────────────────────────────────────────────────────────────
+                // Step 3: COGNITIVE HEALING — Tree-of-Thoughts Strategy Selection
+                // Instead of single-path (auto-fix or SDK), evaluate hypotheses
+                // ranked by confidence and try cheapest fix first.
+                // ──────────────────────────────────────────────────────────────
+
+                let healed = false;
+                let fix = null;
+                const specBeforeFix = fs.readFileSync(workSpec, 'utf-8');
+
+                // Strategy A: Try auto-fix from primary hypothesis first
+                if (analysis.autoFixable && analysis.autoFix) {
+                    this._log('Strategy A: Attempting auto-fix from primary hypothesis...');
+                    const autoFixResult = this._applyAutoFix(workSpec, analysis.autoFix);
+
+                    if (autoFixResult.success) {
+                        totalFixesApplied += autoFixResult.changes.length;
+                        this._log(`✅ Auto-fix applied: ${autoFixResult.changes.join(', ')}`);
+                        healingLog.push({ iteration, action: 'auto_fix', strategy: 'primary', changes: autoFixResult.changes });
+                        this._recordLearning(ticketId, analysis, autoFixResult, 'auto-fix');
+                        healed = true;
+                        fix = { strategy: 'primary', category: analysis.category, hypothesis: hypotheses[0], changes: autoFixResult.changes };
+                    } else {
+                        this._log('Primary auto-fix did not produce changes');
+                    }
                 }
-            }
 
-            // Strategy B: If primary fix failed, try secondary/tertiary hypotheses
-            // (ToT branching — evaluate alternative fix paths before expensive SDK)
-            if (!healed && hypotheses.length > 1) {
-                for (let i = 1; i < hypotheses.length && !healed; i++) {
-                    const altHypothesis = hypotheses[i];
-                    this._log(`Strategy B: Trying alternative hypothesis [${altHypothesis.rank}] ${altHypothesis.category} (confidence=${altHypothesis.confidence}%)...`);
-
-                    // Check if this alternative hypothesis has an auto-fix
-                    const altAutoFix = this._generateAutoFixForHypothesis(altHypothesis, testResult);
-                    if (altAutoFix) {
-                        const altFixResult = this._applyAutoFix(resolvedSpec, altAutoFix);
-                        if (altFixResult.success) {
-                            totalFixesApplied += altFixResult.changes.length;
-                            this._log(`✅ Alternative fix [${altHypothesis.rank}] applied: ${altFixResult.changes.join(', ')}`);
-                            healingLog.push({
-                                iteration,
-                                action: 'auto_fix',
-                                strategy: `hypothesis-${altHypothesis.rank}`,
-                                category: altHypothesis.category,
-                                changes: altFixResult.changes,
-                            });
-                            this._recordLearning(ticketId, { ...analysis, category: altHypothesis.category }, altFixResult, 'auto-fix-alt');
-                            healed = true;
+                // Strategy B: If primary fix failed, try secondary/tertiary hypotheses
+                // (ToT branching — evaluate alternative fix paths before expensive SDK)
+                if (!healed && hypotheses.length > 1) {
+                    for (let i = 1; i < hypotheses.length && !healed; i++) {
+                        const altHypothesis = hypotheses[i];
+                        this._log(`Strategy B: Trying alternative hypothesis [${altHypothesis.rank}] ${altHypothesis.category} (confidence=${altHypothesis.confidence}%)...`);
+
+                        // Check if this alternative hypothesis has an auto-fix
+                        const altAutoFix = this._generateAutoFixForHypothesis(altHypothesis, testResult);
+                        if (altAutoFix) {
+                            const altFixResult = this._applyAutoFix(workSpec, altAutoFix);
+                            if (altFixResult.success) {
+                                totalFixesApplied += altFixResult.changes.length;
+                                this._log(`✅ Alternative fix [${altHypothesis.rank}] applied: ${altFixResult.changes.join(', ')}`);
+                                healingLog.push({
+                                    iteration,
+                                    action: 'auto_fix',
+                                    strategy: `hypothesis-${altHypothesis.rank}`,
+                                    category: altHypothesis.category,
+                                    changes: altFixResult.changes,
+                                });
+                                this._recordLearning(ticketId, { ...analysis, category: altHypothesis.category }, altFixResult, 'auto-fix-alt');
+                                healed = true;
+                                fix = {
+                                    strategy: `hypothesis-${altHypothesis.rank}`,
+                                    category: altHypothesis.category,
+                                    hypothesis: altHypothesis,
+                                    changes: altFixResult.changes,
+                                };
+                            }
                         }
                     }
+                    if (!healed) {
+                        this._log('No alternative hypotheses produced viable auto-fixes');
+                    }
                 }
-                if (!healed) {
-                    this._log('No alternative hypotheses produced viable auto-fixes');
+
+                // Strategy C: If causal chain detected, target root cause with SDK
+                // (more efficient than fixing the symptom — e.g., fix AUTH root cause
+                // instead of repeatedly repairing SELECTOR symptoms)
+                if (!healed && causalChain && causalChain.rootCause) {
+                    const rootCategory = causalChain.rootCause.category;
+                    if (rootCategory !== analysis.category) {
+                        this._log(`Strategy C: Causal chain — targeting root cause (${rootCategory}) instead of symptom (${analysis.category})...`);
+                        healingLog.push({
+                            iteration,
+                            action: 'causal_chain_redirect',
+                            symptom: analysis.category,
+                            rootCause: rootCategory,
+                        });
+                        // Adjust the analysis category to root cause for SDK healing
+                        analysis.category = rootCategory;
+                        analysis._causalChainApplied = true;
+                    }
+                }
+
+                // Strategy D: SDK session with MCP re-exploration (expensive — last resort)
+                if (!healed && (analysis.category === 'SELECTOR' || analysis.category === 'TIMING' || analysis._causalChainApplied) && iteration < effectiveMaxIterations) {
+                    this._log(`Strategy D: Launching SDK healing session for ${analysis.category} repair...`);
+
+                    // Enrich SDK prompt with cognitive insights from all hypotheses
+                    const enrichedAnalysis = {
+                        ...analysis,
+                        cognitiveInsights: {
+                            hypotheses: hypotheses.map(h => `[${h.rank}] ${h.category}: ${h.matchedText || h.pattern} (${h.confidence}%)`),
+                            causalChain: causalChain ? `Root: ${causalChain.rootCause?.category} → ${causalChain.chain?.map(c => c.category).join(' → ')}` : null,
+                            suggestedFocus: hypotheses[0]?.suggestions?.slice(0, 3) || [],
+                        },
+                    };
+
+                    const healResult = await this._healWithSDK(
+                        ticketId, workSpec, testResult, enrichedAnalysis
+                    );
+
+                    if (healResult.success) {
+                        totalFixesApplied += healResult.changesCount;
+                        this._log(`✅ SDK healing applied ${healResult.changesCount} fix(es)`);
+                        healingLog.push({ iteration, action: 'sdk_heal', strategy: 'cognitive-enriched', result: healResult });
+                        this._recordLearning(ticketId, analysis, healResult, 'sdk-heal');
+                        healed = true;
+                        fix = {
+                            strategy: 'cognitive-enriched',
+                            category: analysis.category,
+                            hypothesis: hypotheses[0],
+                            changes: [],
+                            agentResponse: healResult.response || null,
+                        };
+                    } else {
+                        this._log(`SDK healing failed: ${healResult.error}`);
+                        healingLog.push({ iteration, action: 'sdk_heal_failed', error: healResult.error });
+                    }
                 }
-            }
 
-            // Strategy C: If causal chain detected, target root cause with SDK
-            // (more efficient than fixing the symptom — e.g., fix AUTH root cause
-            // instead of repeatedly repairing SELECTOR symptoms)
-            if (!healed && causalChain && causalChain.rootCause) {
-                const rootCategory = causalChain.rootCause.category;
-                if (rootCategory !== analysis.category) {
-                    this._log(`Strategy C: Causal chain — targeting root cause (${rootCategory}) instead of symptom (${analysis.category})...`);
-                    healingLog.push({
+                if (healed) {
+                    const patch = this._recordPatch(patchStore, {
+                        ...patchContext,
                         iteration,
-                        action: 'causal_chain_redirect',
-                        symptom: analysis.category,
-                        rootCause: rootCategory,
+                        before: specBeforeFix,
+                        after: fs.readFileSync(workSpec, 'utf-8'),
+                        strategy: fix.strategy,
+                        category: fix.category,
+                        hypothesis: fix.hypothesis
+                            ? { rank: fix.hypothesis.rank, category: fix.hypothesis.category, confidence: fix.hypothesis.confidence, pattern: fix.hypothesis.pattern }
+                            : null,
+                        evidence: {
+                            failedTests: testResult.failedTests || [],
+                            error: (testResult.error || '').substring(0, 2000) || null,
+                            causalChain: causalChain
+                                ? causalChain.chain?.map(c => c.category).join(' → ') || causalChain.rootCause?.category || null
+                                : null,
+                            changes: fix.changes,
+                            agentResponse: fix.agentResponse || null,
+                        },
                     });
-                    // Adjust the analysis category to root cause for SDK healing
-                    analysis.category = rootCategory;
-                    analysis._causalChainApplied = true;
+                    if (patch) {
+                        patches.push(patch);
+                        unverifiedPatch = patch;
+                        healingLog.push({ iteration, action: 'patch_recorded', patchId: patch.id, status: patch.status });
+                    }
+                    continue; // Re-run tests with the fix
                 }
-            }
 
-            // Strategy D: SDK session with MCP re-exploration (expensive — last resort)
-            if (!healed && (analysis.category === 'SELECTOR' || analysis.category === 'TIMING' || analysis._causalChainApplied) && iteration < effectiveMaxIterations) {
-                this._log(`Strategy D: Launching SDK healing session for ${analysis.category} repair...`);
-
-                // Enrich SDK prompt with cognitive insights from all hypotheses
-                const enrichedAnalysis = {
-                    ...analysis,
-                    cognitiveInsights: {
-                        hypotheses: hypotheses.map(h => `[${h.rank}] ${h.category}: ${h.matchedText || h.pattern} (${h.confidence}%)`),
-                        causalChain: causalChain ? `Root: ${causalChain.rootCause?.category} → ${causalChain.chain?.map(c => c.category).join(' → ')}` : null,
-                        suggestedFocus: hypotheses[0]?.suggestions?.slice(0, 3) || [],
-                    },
-                };
-
-                const healResult = await this._healWithSDK(
-                    ticketId, resolvedSpec, testResult, enrichedAnalysis
-                );
-
-                if (healResult.success) {
-                    totalFixesApplied += healResult.changesCount;
-                    this._log(`✅ SDK healing applied ${healResult.changesCount} fix(es)`);
-                    healingLog.push({ iteration, action: 'sdk_heal', strategy: 'cognitive-enriched', result: healResult });
-                    this._recordLearning(ticketId, analysis, healResult, 'sdk-heal');
-                    healed = true;
-                } else {
-                    this._log(`SDK healing failed: ${healResult.error}`);
-                    healingLog.push({ iteration, action: 'sdk_heal_failed', error: healResult.error });
+                // Step 4: Cannot heal — log reasoning from all hypotheses
+                const cannotHealReason = hypotheses.length > 0
+                    ? `Primary: ${hypotheses[0].category} (${hypotheses[0].confidence}%). ` +
+                    `Tried ${hypotheses.length} hypothes${hypotheses.length > 1 ? 'es' : 'is'}. ` +
+                    `All strategies exhausted for this iteration.`
+                    : `${analysis.category} errors require manual intervention`;
+
+                this._log(`Cannot heal: ${cannotHealReason}`);
+                healingLog.push({
+                    iteration,
+                    action: 'cannot_heal',
+                    reason: cannotHealReason,
+                    hypothesesExhausted: hypotheses.length,
+                });
+                break;
+            }
+        } finally {
+            if (workSpec !== resolvedSpec) {
+                for (const file of [workSpec, `${workSpec}.backup`]) {
+                    fs.rmSync(file, { force: true });
                 }
             }
-
-            if (healed) continue; // Re-run tests with the fix
-
-            // Step 4: Cannot heal — log reasoning from all hypotheses
-            const cannotHealReason = hypotheses.length > 0
-                ? `Primary: ${hypotheses[0].category} (${hypotheses[0].confidence}%). ` +
-                `Tried ${hypotheses.length} hypothes${hypotheses.length > 1 ? 'es' : 'is'}. ` +
-                `All strategies exhausted for this iteration.`
-                : `${analysis.category} errors require manual intervention`;
-
-            this._log(`Cannot heal: ${cannotHealReason}`);
-            healingLog.push({
-                iteration,
-                action: 'cannot_heal',
-                reason: cannotHealReason,
-                hypothesesExhausted: hypotheses.length,
-            });
-            break;
         }
 
         const success = lastTestResult?.passed || false;
@@ -265,17 +394,44 @@ class SelfHealingEngine {
 
         const result = {
             success,
+            cancelled,
+            flaky: flaky !== false,
             iterations: iteration,
             totalFixesApplied,
             passRate: lastTestResult
                 ? Math.round(((lastTestResult.totalCount - lastTestResult.failedCount) / lastTestResult.totalCount) * 100)
                 : 0,
             healingLog,
+            patchMode,
+            patches: patches.map(patch => ({
+                id: patch.id,
+                runId: patch.runId,
+                iteration: patch.iteration,
+                strategy: patch.strategy,
+                category: patch.category,
+                added: patch.added,
+                removed: patch.removed,
+                verified: patch.verified,
+                status: patch.status,
+            })),
             message: success
                 ? `Tests healed after ${iteration} iteration(s) with ${totalFixesApplied} fix(es)`
                 : `Self-healing exhausted ${iteration} iterations — ${lastTestResult?.failedCount || 0} tests still failing`,
         };
 
+        const proposed = patches.filter(patch => patch.status === HEALING_PATCH_STATUS.PROPOSED).length;
+        if (proposed > 0) {
+            result.message += ` — ${proposed} patch(es) awaiting review`;
+        }
+        if (flaky) {
+            result.message = `Tests passed on re-run ${flaky}/${reruns} — flaky, healing skipped`;
+        }
+        if (cancelled) {
+            result.message = iteration > 0
+                ? `Self-healing cancelled during iteration ${iteration}`
+                : 'Self-healing cancelled during re-runs';
+        }
+
         this._log('\n═══════════════════════════════════════════════');
         this._log(`  RESULT: ${result.message}`);
         this._log('═══════════════════════════════════════════════');
@@ -289,69 +445,57 @@ class SelfHealingEngine {
      * Run Playwright tests and collect structured results.
      */
     async _runTests(specPath) {
-        try {
-            const relativePath = path.relative(this.projectRoot, specPath).replace(/\\/g, '/');
-            const escapedPath = relativePath.replace(/[+.*?^${}()|[\]\\]/g, '\\$&');
-            this._log(`Running: npx playwright test "${escapedPath}"`);
-
-            const output = execSync(
-                `npx playwright test "${escapedPath}" --reporter=json`,
-                {
-                    encoding: 'utf-8',
-                    stdio: 'pipe',
-                    cwd: this.projectRoot,
-                    timeout: getStageTimeout(this.config, 'execution', 120000),
-                }
-            );
-
-            const result = extractJSON(output);
-            const specs = result.suites?.[0]?.specs || [];
-            const failed = specs.filter(s => s.tests?.[0]?.status === 'failed');
+        const relativePath = path.relative(this.projectRoot, specPath).replace(/\\/g, '/');
+        this._log(`Running: npx playwright test "${relativePath}"`);
+
+        const execution = await this.executionService.run(specPath, {
+            runId: this._execution?.runId || null,
+            scenarioId: this._execution?.scenarioId || null,
+            stage: STAGES.SELF_HEAL,
+            timeoutMs: getStageTimeout(this.config, 'execution', 120000),
+        });
 
-            return {
-                passed: failed.length === 0,
-                totalCount: specs.length,
-                failedCount: failed.length,
-                failedTests: failed.map(s => s.title),
-                passedTests: specs.filter(s => s.tests?.[0]?.status === 'passed').map(s => s.title),
-                error: null,
-                rawOutput: output,
-            };
-        } catch (error) {
-            const errorOutput = error.stdout || error.stderr || error.message;
+        if (execution.cancelled) {
+            return { passed: false, cancelled: true, totalCount: 0, failedCount: 0, failedTests: [], passedTests: [] };
+        }
 
-            // Try to parse JSON from error output (Playwright exits non-zero on failures)
-            try {
-                const result = extractJSON(errorOutput);
-                const specs = result.suites?.[0]?.specs || [];
-                const failed = specs.filter(s => s.tests?.[0]?.status === 'failed');
-                return {
-                    passed: false,
-                    totalCount: specs.length,
-                    failedCount: failed.length,
-                    failedTests: failed.map(s => s.title),
-                    passedTests: specs.filter(s => s.tests?.[0]?.status === 'passed').map(s => s.title),
-                    error: null,
-                    rawOutput: errorOutput,
-                };
-            } catch { /* JSON parse failed */ }
-
-            const failedTests = this._parseFailedTests(errorOutput);
+        // Playwright exits non-zero on failures — the JSON report is still written
+        try {
+            return this._toTestResult(parsePlaywrightOutput(execution.output), execution.output);
+        } catch { /* no JSON report — the run crashed before reporting */ }
+
+        const errorOutput = execution.output || execution.log || '';
+        const failedTests = this._parseFailedTests(errorOutput);
+
+        return {
+            passed: false,
+            totalCount: failedTests.length || 1,
+            failedCount: failedTests.length || 1,
+            failedTests,
+            passedTests: [],
+            error: errorOutput,
+            rawOutput: errorOutput,
+        };
+    }
 
-            return {
-                passed: false,
-                totalCount: failedTests.length || 1,
-                failedCount: failedTests.length || 1,
-                failedTests,
-                passedTests: [],
-                error: errorOutput,
-                rawOutput: errorOutput,
-            };
-        }
+    /**
+     * Test result for the healing loop from a parsed JSON report. `error` holds
+     * every failed attempt's message, which the ErrorAnalyzer and the healing
+     * prompt work from.
+     */
+    _toTestResult(parsed, rawOutput) {
+        const summary = summarizeResults(parsed);
+        return {
+            ...summary,
+            passed: parsed.passed,
+            tests: parsed.tests,
+            error: summary.failedCount > 0 || parsed.errors.length > 0 ? formatFailures(parsed) : null,
+            rawOutput,
+        };
     }
 
     /**
-     * Parse failed test names from raw output.
+     * Parse failed test names from raw output (no JSON report).
      */
     _parseFailedTests(output) {
         const failedTests = [];
@@ -480,6 +624,15 @@ class SelfHealingEngine {
                 explorationData = fs.readFileSync(explorationFile, 'utf-8');
             }
 
+            // Healing explores freely, so a fixture is replayed live (browser on its HAR),
+            // never answered call-by-call from the recording
+            const fixtures = this._fixtures || {};
+            const sessionOptions = {
+                mcpRecordDir: fixtures.recordDir || null,
+                mcpReplayFixture: fixtures.replay || null,
+                mcpReplayMode: fixtures.replay ? 'live' : null,
+            };
+
             // Create healing session
             const sessionInfo = await this.sessionFactory.createHealingSession(
                 {
@@ -491,7 +644,8 @@ class SelfHealingEngine {
                     errorSnippet: (testResult.error || '').substring(0, 2000),
                 },
                 specPath,
-                explorationData
+                explorationData,
+                sessionOptions
             );
 
             session = sessionInfo.session;
@@ -533,6 +687,12 @@ class SelfHealingEngine {
                 '4. Update ONLY the broken selectors — minimize changes',
                 '5. If causal chain indicates a root cause different from selector issues, address that first',
                 '6. Use the validate_generated_script tool to verify your fix',
+                ...(fixtures.replay ? [
+                    '',
+                    `The browser replays recorded fixture ${path.basename(fixtures.replay)}: the application is served`,
+                    'from its recorded network traffic, so pages look exactly as they did when it was recorded.',
+                    'Requests the fixture did not record fail — stay on the recorded pages.',
+                ] : []),
             ].join('\n');
 
             // Send prompt and wait for completion
@@ -565,6 +725,28 @@ class SelfHealingEngine {
         }
     }
 
+    /**
+     * Save a healing patch. Failing to record one never stops the loop.
+     */
+    _recordPatch(patchStore, input) {
+        try {
+            const patch = patchStore.create(input);
+            if (patch) this._log(`📝 Healing patch ${patch.id} (${patch.status}): +${patch.added} -${patch.removed}`);
+            return patch;
+        } catch (error) {
+            this._log(`⚠️ Failed to record healing patch: ${error.message}`);
+            return null;
+        }
+    }
+
+    _updatePatch(patchStore, patch, testResult) {
+        try {
+            patchStore.markVerified(patch, testResult);
+        } catch (error) {
+            this._log(`⚠️ Failed to update healing patch ${patch.id}: ${error.message}`);
+        }
+    }
+
     /**
      * Record healing attempt in the learning store.
      */
@@ -33,7 +33,47 @@ const os = require('os');
 // NOTE: SDKOrchestrator is lazy-required inside startServer() to avoid
 // circular dependency with index.js which re-exports startServer.
 const { RunStore, RUN_STATUS } = require('./run-store');
+const { normalizePaging } = require('./run-store-adapters');
+const { RunQueue, loadQueueConfig } = require('./run-queue');
+const { ScheduleStore, resolveScheduleStorePath } = require('./schedule-store');
+const { PipelineScheduler, loadSchedulerConfig } = require('./scheduler');
+const { CronExpression } = require('./cron-expression');
+const {
+    WebhookDeliveryLog, DELIVERY_ACTION, resolveDeliveryLogPath, loadDeliveryLogConfig,
+} = require('./webhook-delivery-log');
+const { resolveDeliveryId, checkReplay } = require('./webhook-security');
+const {
+    evaluateRules, resolveRuleAction, validateRules, loadJiraWebhookConfig,
+} = require('./jira-webhook-rules');
+const {
+    detectProvider, parseGitEvent, verifyGitDelivery, deliveryIdHeaders, listChangedFiles,
+    pullRequestTicketId, buildPullRequestRun, loadGitWebhookConfig,
+} = require('./git-webhooks');
+const { mapChangedFilesToSpecs } = require('./spec-impact');
+const { compareRuns } = require('./run-compare');
+const { buildCostReport, loadCostConfig, REPORT_GROUPS } = require('./cost-accounting');
+const { listModes } = require('./pipeline-modes');
+const { VisualBaselineStore } = require('./visual-baseline-store');
+const { FlakyTestTracker } = require('./flaky-tests');
+const { HealingPatchStore } = require('./healing-patches');
+const { JiraTrackerProvider, getTrackerProvider, loadTrackerConfig } = require('./tracker-providers');
+const { mergeAccessibilitySummaries } = require('./a11y-results');
+const { PullRequestStatusNotifier } = require('./pr-status-notifier');
+const { TestCaseSync, normalizeTestCases } = require('./testcase-sync');
+const {
+    TestCaseDocumentStore,
+    normalizeTestCaseDocument,
+    renderTestCaseDocument,
+    importTestCaseExcel,
+    DOCUMENT_SOURCE,
+} = require('./testcase-document');
+const { collectTraceability, exportTraceability } = require('./traceability');
+const {
+    createBatchPlan, loadBatchConfig, buildBatchReport, formatBatchReport, writeBatchReport,
+} = require('./batch-planner');
+const { getGroundingStore } = require('../grounding/grounding-store');
 const { EventBridge, EVENT_TYPES, getEventBridge } = require('./event-bridge');
+const { getExecutionService } = require('./execution-service');
 const { LearningStore } = require('./learning-store');
 const { ChatSessionManager, CHAT_EVENTS } = require('./chat-session-manager');
 const { getFollowupProvider } = require('./followup-provider');
@@ -66,6 +106,8 @@ class Router {
     post(pattern, handler) { this._routes.push({ method: 'POST', pattern, handler }); }
     /** Register a POST route that receives the raw request stream (no JSON parsing). */
     postRaw(pattern, handler) { this._routes.push({ method: 'POST', pattern, handler, rawBody: true }); }
+    put(pattern, handler) { this._routes.push({ method: 'PUT', pattern, handler }); }
+    patch(pattern, handler) { this._routes.push({ method: 'PATCH', pattern, handler }); }
     delete(pattern, handler) { this._routes.push({ method: 'DELETE', pattern, handler }); }
 
     /**
@@ -115,6 +157,7 @@ class Router {
     /**
      * Read JSON body from request.
      * Default 1 MB limit; callers can override (e.g. 10 MB for image attachments).
+     * The unparsed bytes are kept on req.rawBody for webhook signature checks.
      */
     _readBody(req, maxBytes = 1024 * 1024) {
         return new Promise((resolve, reject) => {
@@ -129,7 +172,8 @@ class Router {
                 chunks.push(chunk);
             });
             req.on('end', () => {
-                const raw = Buffer.concat(chunks).toString();
+                req.rawBody = Buffer.concat(chunks);
+                const raw = req.rawBody.toString();
                 if (!raw) return resolve({});
                 try {
                     resolve(JSON.parse(raw));
@@ -150,7 +194,7 @@ class Router {
         const allowedOrigin = this._corsOrigins.includes('*') || this._corsOrigins.includes(origin)
             ? origin : this._corsOrigins[0];
         res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
-        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
         res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Filename');
 
         // Preflight
@@ -347,6 +391,19 @@ function _getMimeType(filePath) {
     return map[ext] || 'application/octet-stream';
 }
 
+/** Stream a visual baseline image (VisualBaselineStore#getImagePath) or 404. */
+function sendVisualImage(res, filePath) {
+    if (!filePath) return notFound(res, 'Image not found');
+
+    const stat = fs.statSync(filePath);
+    res.writeHead(200, {
+        'Content-Type': 'image/png',
+        'Content-Length': stat.size,
+        'Cache-Control': 'no-store',
+    });
+    fs.createReadStream(filePath).pipe(res);
+}
+
 function buildEvidenceSummary(run, manifest, scenarioManifests, options = {}) {
     const limit = options.limit || 20;
     const scenarioStatusMap = new Map(
@@ -600,6 +657,10 @@ function transformSuites(suiteList, opts = {}) {
  * @param {Object} [options]
  * @param {number} [options.port=3100]
  * @param {boolean} [options.verbose=false]
+ * @param {Object} [options.orchestrator] - Pre-built SDKOrchestrator (default: started here)
+ * @param {Object} [options.chatManager] - Pre-built ChatSessionManager
+ * @param {RunStore} [options.runStore] - Pre-built run store (default: sdk.runStore)
+ * @param {boolean} [options.disableSignalHandlers=false]
  * @returns {Promise<http.Server>}
  */
 async function startServer(options = {}) {
@@ -611,7 +672,9 @@ async function startServer(options = {}) {
     const disableSignalHandlers = options.disableSignalHandlers === true;
 
     // ─── Initialize Core Services ───────────────────────────────────
-    const runStore = new RunStore();
+    const queueConfig = loadQueueConfig();
+    const batchConfig = loadBatchConfig();
+    const runStore = options.runStore || new RunStore({ requeueInterrupted: queueConfig.requeueInterrupted });
     const eventBridge = getEventBridge();
     const learningStore = new LearningStore();
 
@@ -628,6 +691,47 @@ async function startServer(options = {}) {
     // Chat session manager — initialized after orchestrator starts
     let chatManager = options.chatManager || null;
 
+    // ─── Active Pipeline Tracking ───────────────────────────────────
+    // Map of runId → { cancel: Function } — cancel also kills the run's Playwright processes
+    const activePipelines = new Map();
+
+    // ─── Run Queue ──────────────────────────────────────────────────
+    // Every run is created 'queued' and dispatched from here once a global
+    // and per-environment slot is free. Dispatch waits for orchestratorReady.
+    const runQueue = new RunQueue({
+        ...queueConfig,
+        onBlockerFailure: batchConfig.onBlockerFailure,
+        runStore,
+        isReady: () => orchestratorReady,
+        dispatch: (run) => _executePipeline(
+            run.runId, run.ticketId, run.mode,
+            orchestrator, runStore, eventBridge, activePipelines,
+            run.model || undefined,
+            {
+                resumePlan: _resolveQueuedResumePlan(run, runStore),
+                sharedExploration: _resolveSharedExploration(run, runStore),
+            },
+        ),
+        onEvent: (type, run, data) => {
+            if (type === 'dispatched') return;
+            if (type === 'skipped') {
+                // Never dispatched — announce the outcome so batch listeners see it
+                eventBridge.push(EVENT_TYPES.RUN_COMPLETE, run.runId, {
+                    ticketId: run.ticketId,
+                    success: false,
+                    skipped: true,
+                    error: data.reason,
+                });
+                return;
+            }
+            eventBridge.push(EVENT_TYPES.RUN_QUEUED, run.runId, {
+                ticketId: run.ticketId,
+                requeued: type === 'requeued',
+                ...data,
+            });
+        },
+    });
+
     if (options.orchestrator && options.chatManager) {
         orchestratorReady = true;
         log('SDK Orchestrator ready (injected)');
@@ -638,6 +742,7 @@ async function startServer(options = {}) {
             .then(async () => {
                 orchestratorReady = true;
                 log('SDK Orchestrator ready');
+                runQueue.drain();
 
                 if (chatManager) {
                     log('Chat Session Manager ready (injected)');
@@ -664,6 +769,88 @@ async function startServer(options = {}) {
             });
     }
 
+    const queueRecovery = runQueue.start();
+    if (queueRecovery.requeued.length > 0 || queueRecovery.queued > 0) {
+        log(`Run queue: ${queueRecovery.queued} waiting (${queueRecovery.requeued.length} re-queued after restart)`);
+    }
+
+    // ─── Visual Baselines ───────────────────────────────────────────
+    // Shared with the pipeline runner through the same baselines.json (re-read on change).
+    const visualBaselineStore = new VisualBaselineStore();
+
+    // ─── Flaky Tests ────────────────────────────────────────────────
+    // Per-test history and quarantine live in the run store.
+    const flakyTestTracker = new FlakyTestTracker({ runStore });
+
+    // ─── Healing Patches ────────────────────────────────────────────
+    // Proposed self-healing fixes, stored with each run's mission evidence.
+    const healingPatchStore = new HealingPatchStore();
+
+    // ─── Scheduler ──────────────────────────────────────────────────
+    // Cron schedules persist next to the run store and feed the run queue.
+    const schedulerConfig = loadSchedulerConfig();
+    const scheduleStore = new ScheduleStore({
+        storePath: resolveScheduleStorePath(runStore.storePath, schedulerConfig),
+    });
+    const scheduler = new PipelineScheduler({
+        scheduleStore,
+        runStore,
+        runQueue,
+        eventBridge,
+        tickIntervalMs: schedulerConfig.tickIntervalMs,
+        catchUpMissed: schedulerConfig.catchUpMissed,
+    });
+    const schedulerEnabled = schedulerConfig.enabled !== false;
+    if (schedulerEnabled) {
+        const { caughtUp } = scheduler.start();
+        if (caughtUp.length > 0) log(`Scheduler: fired ${caughtUp.length} schedule(s) missed while offline`);
+    }
+
+    // ─── Webhooks ───────────────────────────────────────────────────
+    const deliveryLogConfig = loadDeliveryLogConfig();
+    const deliveryLog = new WebhookDeliveryLog({
+        storePath: resolveDeliveryLogPath(runStore.storePath, deliveryLogConfig),
+        maxEntries: deliveryLogConfig.maxEntries,
+    });
+    const jiraRuleErrors = validateRules(loadJiraWebhookConfig().rules);
+    if (jiraRuleErrors.length > 0) {
+        log(`Jira webhook rules: ${jiraRuleErrors.join('; ')}`, 'warn');
+    }
+    // Results of pull request runs go back to the PR (sdk.webhooks.git.reporter)
+    const prStatusNotifier = new PullRequestStatusNotifier({
+        runStore,
+        eventBridge,
+        log: (message, level) => log(`PR status: ${message}`, level),
+    });
+    prStatusNotifier.subscribe();
+
+    // Test cases and run results go to the test management tool (sdk.testManagement)
+    const testCaseSync = new TestCaseSync({
+        runStore,
+        eventBridge,
+        log: (message, level) => log(`Test management: ${message}`, level),
+    });
+    testCaseSync.subscribe();
+
+    // Canonical test case documents (TestGenie output, Excel round trip)
+    const testCaseDocuments = new TestCaseDocumentStore();
+
+    // Consolidated report once every run of a batch has finished
+    const batchReportDir = path.resolve(PROJECT_ROOT, batchConfig.reportDir);
+    const batchReportListener = (event) => {
+        const batchId = runStore.getRun(event.runId)?.batchId;
+        if (!batchId) return;
+        const batch = runStore.getBatch(batchId);
+        if (!batch || batch.status === 'running') return;
+        try {
+            const { markdownPath } = writeBatchReport(buildBatchReport(batch), batchReportDir);
+            log(`Batch ${batchId} ${batch.status} (${batch.passed}/${batch.total} passed) — report: ${path.relative(PROJECT_ROOT, markdownPath)}`);
+        } catch (error) {
+            log(`Batch report for ${batchId} failed: ${error.message}`, 'warn');
+        }
+    };
+    eventBridge.on(EVENT_TYPES.RUN_COMPLETE, batchReportListener);
+
     const router = new Router();
 
     async function resolveModelSelection(requestedModel) {
@@ -690,19 +877,17 @@ async function startServer(options = {}) {
     const corsOrigins = (process.env.CORS_ORIGINS || '*').split(',').map(s => s.trim());
     router.setCorsOrigins(corsOrigins);
 
-    // ─── Active Pipeline Tracking ───────────────────────────────────
-    // Map of runId → { cancel: Function }
-    const activePipelines = new Map();
-
     // ─── Stale Run Watchdog ─────────────────────────────────────────
-    // Every 5 minutes, check for runs stuck in running/queued that have no
-    // active in-memory pipeline handle (i.e., orphaned after crash/restart).
+    // Every 5 minutes, check for runs stuck in running that have no active
+    // in-memory pipeline handle (i.e., orphaned after crash/restart).
+    // Queued runs are left alone — waiting for a slot is not a stall.
     const STALE_RUN_CHECK_INTERVAL = 5 * 60 * 1000;   // 5 minutes
     const STALE_RUN_TIMEOUT = 60 * 60 * 1000;          // 60 minutes
 
     const staleRunWatchdog = setInterval(() => {
         const staleRuns = runStore.getStaleRuns(STALE_RUN_TIMEOUT);
         for (const run of staleRuns) {
+            if (run.status !== RUN_STATUS.RUNNING) continue;
             // Only auto-fail if there is no active in-memory pipeline for this run
             if (!activePipelines.has(run.runId)) {
                 log(`Watchdog: Auto-failing stale run ${run.runId} (${run.ticketId}) — no progress for >60 min`, 'warn');
@@ -733,6 +918,7 @@ async function startServer(options = {}) {
             ready: orchestratorReady,
             orchestrator: orchestratorReady ? 'started' : 'starting',
             runStore: 'ok',
+            runStoreBackend: runStore.getStorageInfo().type,
             eventBridge: 'ok',
             timestamp: new Date().toISOString(),
         });
@@ -757,7 +943,7 @@ async function startServer(options = {}) {
     /**
      * POST /api/pipeline/run
      * Body: { ticketId, mode?, environment?, model?, triggeredBy? }
-     * Returns: { runId, status }
+     * Returns: { runId, status, queuePosition }
      */
     router.post('/api/pipeline/run', (req, res) => {
         const { ticketId, mode, environment, model, triggeredBy, mission } = req.body;
@@ -766,7 +952,7 @@ async function startServer(options = {}) {
             return badRequest(res, `Invalid or missing ticketId: "${ticketId}"`);
         }
         if (mode && !isValidMode(mode)) {
-            return badRequest(res, `Invalid mode: "${mode}". Use: full, testcase, generate, heal, execute`);
+            return badRequest(res, `Invalid mode: "${mode}". Use: ${listModes().modes.map(item => item.name).join(', ')}`);
         }
         if (!orchestratorReady) {
             return json(res, 503, { error: 'SDK Orchestrator not ready yet. Try again shortly.' });
@@ -798,13 +984,14 @@ async function startServer(options = {}) {
                     },
                 });
 
-                _executePipeline(run.runId, ticketId, mode || 'full', orchestrator, runStore, eventBridge, activePipelines, effectiveModel);
+                const { position } = runQueue.enqueue(run.runId);
 
                 accepted(res, {
                     runId: run.runId,
                     status: run.status,
                     ticketId,
                     model: effectiveModel,
+                    queuePosition: position,
                     mission: run.mission,
                 });
             })
@@ -814,22 +1001,63 @@ async function startServer(options = {}) {
     });
 
     /**
-     * POST /api/pipeline/batch
-     * Body: { ticketIds: [...], mode?, environment?, triggeredBy? }
-     * Returns: { batchId, runs: [...] }
+     * Validate batch ticket IDs and build the batch plan (sdk.batch.planning).
+     * @returns {Promise<{ error?: string, ids?: string[], plan?: Object|null }>}
      */
-    router.post('/api/pipeline/batch', (req, res) => {
-        const { ticketIds, sprintId, mode, environment, triggeredBy, mission } = req.body;
+    async function planBatchRequest(body) {
+        const { ticketIds, dependencies, features, plan: planning, shareExploration } = body || {};
 
-        const ids = Array.isArray(ticketIds) ? ticketIds : [];
+        const ids = Array.isArray(ticketIds) ? [...new Set(ticketIds)] : [];
         if (ids.length === 0) {
-            return badRequest(res, 'ticketIds array is required and must be non-empty');
+            return { error: 'ticketIds array is required and must be non-empty' };
         }
-
         const invalid = ids.filter(id => !isValidTicketId(id));
         if (invalid.length > 0) {
-            return badRequest(res, `Invalid ticket IDs: ${invalid.join(', ')}`);
+            return { error: `Invalid ticket IDs: ${invalid.join(', ')}` };
+        }
+        if (planning === false || !batchConfig.planning) return { ids, plan: null };
+
+        try {
+            const plan = await createBatchPlan(ids, {
+                groundingStore: getGroundingStore({ projectRoot: PROJECT_ROOT, verbose: false }),
+                dependencies,
+                features,
+                shareExploration,
+                config: batchConfig,
+            });
+            return { ids, plan };
+        } catch (error) {
+            return { error: error.message };
         }
+    }
+
+    /**
+     * POST /api/pipeline/batch/plan
+     * Body: same as POST /api/pipeline/batch
+     * Returns the batch plan (feature groups, shared exploration, run order)
+     * without creating runs.
+     */
+    router.post('/api/pipeline/batch/plan', async (req, res) => {
+        const { error, plan } = await planBatchRequest(req.body);
+        if (error) return badRequest(res, error);
+        if (!plan) return badRequest(res, 'Batch planning is disabled (sdk.batch.planning)');
+        ok(res, plan);
+    });
+
+    /**
+     * POST /api/pipeline/batch
+     * Body: { ticketIds: [...], mode?, environment?, triggeredBy?, mission?,
+     *         dependencies?: { ticketId: [blockerIds] }, features?: { ticketId: featureName },
+     *         plan?: false, shareExploration?: boolean }
+     * Tickets are grouped by feature, share exploration snapshots and run in
+     * dependency order (Jira "blocks" links plus `dependencies`).
+     * Returns: { batchId, runs: [...], plan }
+     */
+    router.post('/api/pipeline/batch', async (req, res) => {
+        const { mode, environment, triggeredBy, mission } = req.body || {};
+
+        const { error, ids, plan } = await planBatchRequest(req.body);
+        if (error) return badRequest(res, error);
         if (!orchestratorReady) {
             return json(res, 503, { error: 'SDK Orchestrator not ready yet' });
         }
@@ -839,6 +1067,7 @@ async function startServer(options = {}) {
             environment: environment || 'UAT',
             triggeredBy: triggeredBy || 'api',
             mission,
+            plan,
         });
 
         for (const run of runs) {
@@ -849,21 +1078,103 @@ async function startServer(options = {}) {
             });
         }
 
-        // Start all pipelines (respects concurrency limit from config)
-        for (const run of runs) {
-            _executePipeline(
-                run.runId, run.ticketId, run.mode,
-                orchestrator, runStore, eventBridge, activePipelines
-            );
-        }
+        // Queue all pipelines — the run queue enforces the concurrency limits
+        const positions = new Map(runs.map(run => [run.runId, runQueue.enqueue(run.runId).position]));
 
         accepted(res, {
             batchId,
             total: runs.length,
-            runs: runs.map(r => ({ runId: r.runId, ticketId: r.ticketId, status: r.status })),
+            runs: runs.map(r => ({
+                runId: r.runId,
+                ticketId: r.ticketId,
+                status: r.status,
+                queuePosition: positions.get(r.runId),
+                dependsOn: (r.batchPlan?.dependsOn || []).map(dep => dep.ticketId),
+            })),
+            plan,
         });
     });
 
+    /**
+     * POST /api/pipeline/resume/:runId
+     * Body: { model?, triggeredBy? }
+     * Starts a new run that continues a failed/cancelled run after its last
+     * completed stage, reusing its artifacts, cognitive tier and shared context.
+     * Returns: { runId, resumedFrom, status, scenarios }
+     */
+    router.post('/api/pipeline/resume/:runId', (req, res) => {
+        const { runId } = req.params;
+        const { model, triggeredBy } = req.body || {};
+
+        const plan = runStore.getResumePlan(runId);
+        if (!plan) return notFound(res, `Run ${runId} not found`);
+        if (!plan.resumable) return conflict(res, `Run ${runId} cannot be resumed: ${plan.reason}`);
+        if (!orchestratorReady) {
+            return json(res, 503, { error: 'SDK Orchestrator not ready yet. Try again shortly.' });
+        }
+
+        const activeRun = runStore.getActiveRun(plan.ticketId);
+        if (activeRun) {
+            return conflict(res, `Pipeline already running for ${plan.ticketId} (runId: ${activeRun.runId})`);
+        }
+
+        resolveModelSelection(model || plan.model || undefined)
+            .then(({ ok: valid, effectiveModel, error }) => {
+                if (!valid) {
+                    return badRequest(res, error);
+                }
+
+                const original = runStore.getRun(runId);
+                const run = runStore.createRun({
+                    ticketId: plan.ticketId,
+                    mode: plan.mode,
+                    environment: plan.environment,
+                    triggeredBy: triggeredBy || 'api',
+                    model: effectiveModel,
+                    resumedFrom: runId,
+                    mission: {
+                        kind: original.mission?.kind,
+                        objective: original.mission?.objective,
+                        authStrategy: original.mission?.authStrategy,
+                        owner: original.mission?.owner,
+                        scenarios: plan.scenarios.map(item => item.scenario),
+                    },
+                });
+                runStore.updateMission(run.runId, {
+                    evidence: {
+                        eventLogPath: eventBridge.getRunEventLogPath(run.runId),
+                    },
+                });
+                runStore.appendMissionCheckpoint(run.runId, {
+                    stage: 'run',
+                    status: 'pending',
+                    message: `Resuming ${runId}`,
+                    details: { resumedFrom: runId },
+                });
+
+                const { position } = runQueue.enqueue(run.runId);
+
+                accepted(res, {
+                    runId: run.runId,
+                    resumedFrom: runId,
+                    status: run.status,
+                    queuePosition: position,
+                    ticketId: plan.ticketId,
+                    mode: plan.mode,
+                    model: effectiveModel,
+                    scenarios: plan.scenarios.map(item => ({
+                        scenarioId: item.scenario.id,
+                        completed: item.completed,
+                        resumeAfter: item.resume?.lastCompletedStage || null,
+                        completedStages: item.resume?.completedStages || [],
+                    })),
+                });
+            })
+            .catch(error => {
+                json(res, 500, { error: `Failed to validate model: ${error.message}` });
+            });
+    });
+
     /**
      * POST /api/pipeline/cancel/:runId
      */
@@ -921,17 +1232,107 @@ async function startServer(options = {}) {
 
     /**
      * GET /api/pipeline/runs
-     * Query: ?ticketId=&status=&mode=&limit=&offset=
+     * Query: ?ticketId=&status=&mode=&environment=&triggeredBy=&batchId=&since=&until=&limit=&offset=
+     * `status` accepts a comma-separated list; `since`/`until` are ISO timestamps.
      */
     router.get('/api/pipeline/runs', (req, res) => {
         const filters = {
             ticketId: req.query.ticketId || undefined,
             status: req.query.status || undefined,
             mode: req.query.mode || undefined,
-            limit: parseInt(req.query.limit, 10) || 50,
-            offset: parseInt(req.query.offset, 10) || 0,
+            environment: req.query.environment || undefined,
+            triggeredBy: req.query.triggeredBy || undefined,
+            batchId: req.query.batchId || undefined,
+            since: req.query.since || undefined,
+            until: req.query.until || undefined,
+        };
+        // Same clamping as the adapters, so the echoed paging is what was served
+        const paging = normalizePaging(req.query);
+        filters.limit = Math.min(paging.limit, 500);
+        filters.offset = paging.offset;
+
+        for (const key of ['since', 'until']) {
+            if (filters[key] && Number.isNaN(Date.parse(filters[key]))) {
+                return badRequest(res, `${key} must be an ISO timestamp`);
+            }
+            if (filters[key]) filters[key] = new Date(filters[key]).toISOString();
+        }
+
+        const { runs, total } = runStore.listRuns(filters);
+        ok(res, {
+            runs,
+            total,
+            limit: filters.limit,
+            offset: filters.offset,
+            hasMore: filters.offset + runs.length < total,
+        });
+    });
+
+    /**
+     * GET /api/pipeline/compare?base=<runId>&head=<runId>
+     * Diff two runs: stage outcomes and durations, per-test status from the
+     * saved raw Playwright results, spec content, selectors and healing actions.
+     */
+    router.get('/api/pipeline/compare', (req, res) => {
+        const { base, head } = req.query;
+        if (!base || !head) return badRequest(res, 'base and head run IDs are required');
+        if (base === head) return badRequest(res, 'base and head must be different runs');
+
+        const baseRun = runStore.getRun(base);
+        if (!baseRun) return notFound(res, `Run ${base} not found`);
+        const headRun = runStore.getRun(head);
+        if (!headRun) return notFound(res, `Run ${head} not found`);
+
+        try {
+            ok(res, compareRuns(baseRun, headRun, {
+                reportsDir: path.join(__dirname, '..', 'test-artifacts', 'reports'),
+                projectRoot: PROJECT_ROOT,
+            }));
+        } catch (err) {
+            log(`Run comparison ${base}..${head} failed: ${err.message}`, 'error');
+            json(res, 500, { error: err.message });
+        }
+    });
+
+    /**
+     * GET /api/analytics/cost?groupBy=ticket,agent,week&since=&until=&ticketId=
+     * Model usage and cost of stored runs, grouped by ticket, agent and ISO
+     * week. Runs recorded before usage accounting count as unmetered.
+     */
+    router.get('/api/analytics/cost', (req, res) => {
+        const groupBy = req.query.groupBy
+            ? String(req.query.groupBy).split(',').map(group => group.trim()).filter(Boolean)
+            : REPORT_GROUPS;
+        const unknown = groupBy.filter(group => !REPORT_GROUPS.includes(group));
+        if (unknown.length > 0) {
+            return badRequest(res, `groupBy must be one of: ${REPORT_GROUPS.join(', ')}`);
+        }
+
+        const filters = {
+            ticketId: req.query.ticketId || undefined,
+            since: req.query.since || undefined,
+            until: req.query.until || undefined,
         };
-        ok(res, runStore.listRuns(filters));
+        for (const key of ['since', 'until']) {
+            if (filters[key] && Number.isNaN(Date.parse(filters[key]))) {
+                return badRequest(res, `${key} must be an ISO timestamp`);
+            }
+            if (filters[key]) filters[key] = new Date(filters[key]).toISOString();
+        }
+
+        const runs = [];
+        for (let offset = 0; ; offset += 1000) {
+            const page = runStore.listRuns({ ...filters, limit: 1000, offset });
+            runs.push(...page.runs);
+            if (page.runs.length === 0 || runs.length >= page.total) break;
+        }
+
+        ok(res, buildCostReport(runs, {
+            groupBy,
+            since: filters.since,
+            until: filters.until,
+            currency: loadCostConfig().currency,
+        }));
     });
 
     /**
@@ -953,10 +1354,30 @@ async function startServer(options = {}) {
             completedAt: run.completedAt,
             duration: run.duration,
             error: run.error,
+            queue: run.status === RUN_STATUS.QUEUED
+                ? { ...(run.queue || {}), position: runQueue.getPosition(run.runId) }
+                : null,
             mission: run.mission,
         });
     });
 
+    /**
+     * GET /api/pipeline/modes
+     * Built-in and config-defined pipeline modes (sdk.pipelineModes) with their
+     * stages; `invalid` lists custom modes rejected by validation.
+     */
+    router.get('/api/pipeline/modes', (req, res) => {
+        ok(res, listModes());
+    });
+
+    /**
+     * GET /api/pipeline/queue
+     * Active runs, waiting runs in dispatch order, and the configured limits.
+     */
+    router.get('/api/pipeline/queue', (req, res) => {
+        ok(res, runQueue.getSnapshot());
+    });
+
     /**
      * GET /api/pipeline/checkpoint/:runId
      * Returns mission-aware checkpoint state for unattended run polling.
@@ -1147,6 +1568,23 @@ async function startServer(options = {}) {
         ok(res, batch);
     });
 
+    /**
+     * GET /api/pipeline/batch/:batchId/report?format=json|markdown
+     * Consolidated batch report: per-ticket outcome in plan order, feature
+     * groups and exploration reuse.
+     */
+    router.get('/api/pipeline/batch/:batchId/report', (req, res) => {
+        const batch = runStore.getBatch(req.params.batchId);
+        if (!batch) return notFound(res);
+
+        const report = buildBatchReport(batch);
+        if (req.query.format === 'markdown') {
+            res.writeHead(200, { 'Content-Type': 'text/markdown; charset=utf-8' });
+            return res.end(formatBatchReport(report));
+        }
+        ok(res, report);
+    });
+
     // ═════════════════════════════════════════════════════════════════
     // TEST REPORTS (per-execution Playwright results)
     // ═════════════════════════════════════════════════════════════════
@@ -1207,7 +1645,8 @@ async function startServer(options = {}) {
     /**
      * GET /api/reports/consolidated
      * Aggregates ALL test results into a single Allure-style response.
-     * Uses the latest run per ticket for deduplication.
+     * Uses the latest run per ticket for deduplication. Accessibility
+     * audits of those runs are merged into one defect list.
      */
     router.get('/api/reports/consolidated', async (req, res) => {
         try {
@@ -1260,6 +1699,9 @@ async function startServer(options = {}) {
                 ...aggregateStats,
                 suites: allSuites,
                 reportCount: latestByTicket.size,
+                accessibility: mergeAccessibilitySummaries(
+                    [...latestByTicket].map(([ticketId, raw]) => ({ ticketId, accessibility: raw.accessibility }))
+                ),
                 timestamp: new Date().toISOString(),
                 filter: sinceParam || runIdParam ? { since: sinceParam || null, runId: runIdParam || null } : null,
             });
@@ -1406,67 +1848,787 @@ async function startServer(options = {}) {
     });
 
     // ═════════════════════════════════════════════════════════════════
-    // JIRA WEBHOOK (Phase 4 — pre-wired)
+    // VISUAL BASELINES (review of visual checkpoint changes)
     // ═════════════════════════════════════════════════════════════════
 
     /**
-     * POST /api/webhooks/jira
-     * Receives Jira webhook events for auto-triggering pipelines.
+     * GET /api/visual/baselines
+     * Query: ?ticketId=&environment=&browser=&viewport=&status=pending|approved|unapproved&runId=
+     * Baselines with their approved version and the candidate awaiting review.
      */
-    router.post('/api/webhooks/jira', async (req, res) => {
-        const payload = req.body;
+    router.get('/api/visual/baselines', (req, res) => {
+        const baselines = visualBaselineStore.list({
+            ticketId: req.query.ticketId || undefined,
+            environment: req.query.environment || undefined,
+            browser: req.query.browser || undefined,
+            viewport: req.query.viewport || undefined,
+            status: req.query.status || undefined,
+            runId: req.query.runId || undefined,
+        });
+        ok(res, {
+            baselines,
+            total: baselines.length,
+            pending: baselines.filter(baseline => baseline.pendingCandidate).length,
+        });
+    });
 
-        // Validate basic structure
-        if (!payload || !payload.issue) {
-            return badRequest(res, 'Invalid Jira webhook payload');
+    router.get('/api/visual/baselines/:baselineId', (req, res) => {
+        const baseline = visualBaselineStore.get(req.params.baselineId);
+        if (!baseline) return notFound(res, `Baseline ${req.params.baselineId} not found`);
+        ok(res, { baseline });
+    });
+
+    /**
+     * GET /api/visual/baselines/:baselineId/versions/:version/image
+     * PNG of a baseline version; `approved` serves the current one.
+     */
+    router.get('/api/visual/baselines/:baselineId/versions/:version/image', (req, res) => {
+        sendVisualImage(res, visualBaselineStore.getImagePath(req.params.baselineId, { version: req.params.version }));
+    });
+
+    /**
+     * GET /api/visual/baselines/:baselineId/candidates/:candidateId/:kind
+     * kind: current | diff
+     */
+    router.get('/api/visual/baselines/:baselineId/candidates/:candidateId/:kind', (req, res) => {
+        if (!['current', 'diff'].includes(req.params.kind)) {
+            return badRequest(res, 'kind must be current or diff');
+        }
+        sendVisualImage(res, visualBaselineStore.getImagePath(req.params.baselineId, {
+            candidateId: req.params.candidateId,
+            kind: req.params.kind,
+        }));
+    });
+
+    /**
+     * POST /api/visual/baselines/:baselineId/candidates/:candidateId/approve
+     * POST /api/visual/baselines/:baselineId/candidates/:candidateId/reject
+     * Body: { reviewer?, comment? }. Approving makes the candidate the next baseline version.
+     */
+    for (const action of ['approve', 'reject']) {
+        router.post(`/api/visual/baselines/:baselineId/candidates/:candidateId/${action}`, (req, res) => {
+            const { baselineId, candidateId } = req.params;
+            if (!visualBaselineStore.get(baselineId)) return notFound(res, `Baseline ${baselineId} not found`);
+
+            try {
+                const review = { reviewer: req.body.reviewer || 'web-app', comment: req.body.comment || null };
+                const baseline = action === 'approve'
+                    ? visualBaselineStore.approve(baselineId, candidateId, review)
+                    : visualBaselineStore.reject(baselineId, candidateId, review);
+                log(`Visual baseline ${baselineId}: candidate ${candidateId} ${action === 'approve' ? 'approved' : 'rejected'} by ${review.reviewer}`);
+                ok(res, { baseline });
+            } catch (error) {
+                json(res, /not found/.test(error.message) ? 404 : 409, { error: error.message });
+            }
+        });
+    }
+
+    /**
+     * POST /api/visual/baselines/:baselineId/versions/:version/restore
+     * Body: { reviewer? }. Makes an earlier version the approved baseline again.
+     */
+    router.post('/api/visual/baselines/:baselineId/versions/:version/restore', (req, res) => {
+        try {
+            const baseline = visualBaselineStore.restoreVersion(req.params.baselineId, req.params.version, {
+                reviewer: req.body.reviewer || 'web-app',
+            });
+            ok(res, { baseline });
+        } catch (error) {
+            notFound(res, error.message);
+        }
+    });
+
+    // ═════════════════════════════════════════════════════════════════
+    // FLAKY TESTS (per-test history and quarantine)
+    // ═════════════════════════════════════════════════════════════════
+
+    /**
+     * GET /api/flaky-tests
+     * Query: ?specPath=&ticketId=&quarantined=true&minScore=
+     * Tracked tests with flakiness score, recent outcomes and quarantine entry.
+     */
+    router.get('/api/flaky-tests', (req, res) => {
+        const report = flakyTestTracker.getReport({
+            specPath: req.query.specPath || undefined,
+            ticketId: req.query.ticketId || undefined,
+            quarantinedOnly: req.query.quarantined === 'true',
+            minScore: req.query.minScore || undefined,
+        });
+        ok(res, report);
+    });
+
+    /**
+     * POST /api/flaky-tests/quarantine
+     * Body: { testKey, reason?, by? }. Failures of quarantined tests no longer fail EXECUTE.
+     */
+    router.post('/api/flaky-tests/quarantine', (req, res) => {
+        if (!req.body.testKey) return badRequest(res, 'testKey is required');
+        const entry = flakyTestTracker.quarantine(req.body.testKey, {
+            reason: req.body.reason || undefined,
+            by: req.body.by || 'web-app',
+        });
+        log(`Flaky tests: quarantined ${entry.testKey} (${entry.reason})`);
+        ok(res, { entry });
+    });
+
+    /**
+     * POST /api/flaky-tests/release
+     * Body: { testKey }
+     */
+    router.post('/api/flaky-tests/release', (req, res) => {
+        if (!req.body.testKey) return badRequest(res, 'testKey is required');
+        if (!flakyTestTracker.release(req.body.testKey)) {
+            return notFound(res, `Test ${req.body.testKey} is not quarantined`);
+        }
+        log(`Flaky tests: released ${req.body.testKey}`);
+        ok(res, { released: req.body.testKey });
+    });
+
+    // ═════════════════════════════════════════════════════════════════
+    // HEALING PATCHES (review self-healing fixes)
+    // ═════════════════════════════════════════════════════════════════
+
+    /**
+     * GET /api/healing-patches
+     * Query: ?runId=&ticketId=&status=proposed|accepted|rejected|applied
+     * Patches with diff, hypothesis and evidence — proposed first.
+     */
+    router.get('/api/healing-patches', (req, res) => {
+        const patches = healingPatchStore.list({
+            runId: req.query.runId || undefined,
+            ticketId: req.query.ticketId || undefined,
+            status: req.query.status || undefined,
+        });
+        ok(res, {
+            patches,
+            total: patches.length,
+            proposed: patches.filter(patch => patch.status === 'proposed').length,
+        });
+    });
+
+    router.get('/api/healing-patches/:runId/:patchId', (req, res) => {
+        const patch = healingPatchStore.get(req.params.runId, req.params.patchId);
+        if (!patch) return notFound(res, `Patch ${req.params.patchId} not found`);
+        ok(res, { patch });
+    });
+
+    /**
+     * POST /api/healing-patches/:runId/:patchId/accept
+     * Body: { reviewer?, comment?, target?: 'workspace'|'branch', branch? }
+     * 'workspace' applies the diff to the spec; 'branch' commits it to a new
+     * branch via commit_and_push_repo_changes and leaves the working tree as is.
+     */
+    router.post('/api/healing-patches/:runId/:patchId/accept', async (req, res) => {
+        const { runId, patchId } = req.params;
+        try {
+            const patch = await healingPatchStore.accept(runId, patchId, {
+                reviewer: req.body.reviewer || 'web-app',
+                comment: req.body.comment || null,
+                target: req.body.target,
+                branch: req.body.branch || undefined,
+            });
+            log(`Healing patch ${patchId} accepted → ${patch.appliedTo === 'branch' ? `branch ${patch.branch}` : patch.specPath}`);
+            ok(res, { patch });
+        } catch (error) {
+            json(res, /not found/.test(error.message) ? 404 : 409, { error: error.message });
+        }
+    });
+
+    /**
+     * POST /api/healing-patches/:runId/:patchId/reject
+     * Body: { reviewer?, comment? }
+     */
+    router.post('/api/healing-patches/:runId/:patchId/reject', (req, res) => {
+        const { runId, patchId } = req.params;
+        try {
+            const patch = healingPatchStore.reject(runId, patchId, {
+                reviewer: req.body.reviewer || 'web-app',
+                comment: req.body.comment || null,
+            });
+            log(`Healing patch ${patchId} rejected by ${patch.reviewedBy}`);
+            ok(res, { patch });
+        } catch (error) {
+            json(res, /not found/.test(error.message) ? 404 : 409, { error: error.message });
+        }
+    });
+
+    // ═════════════════════════════════════════════════════════════════
+    // TEST CASES (JSON documents and their renderings)
+    // ═════════════════════════════════════════════════════════════════
+
+    /**
+     * GET /api/test-cases/:ticketId
+     * The ticket's test case documents, one per scenario.
+     */
+    router.get('/api/test-cases/:ticketId', (req, res) => {
+        const { ticketId } = req.params;
+        if (!isValidTicketId(ticketId)) return badRequest(res, `Invalid ticketId: "${ticketId}"`);
+        const documents = testCaseDocuments.list(ticketId);
+        ok(res, { ticketId, documents, total: documents.length });
+    });
+
+    /**
+     * PUT /api/test-cases/:ticketId
+     * Body: the document ({ scenarioSlug?, acceptanceCriteria?, testCases, revision? })
+     * Saves the next revision and re-renders Excel, Markdown and Gherkin.
+     * A revision other than the stored one is rejected (409).
+     */
+    router.put('/api/test-cases/:ticketId', async (req, res) => {
+        const { ticketId } = req.params;
+        if (!isValidTicketId(ticketId)) return badRequest(res, `Invalid ticketId: "${ticketId}"`);
+
+        const { document, errors, warnings } = normalizeTestCaseDocument({ ...req.body, ticketId });
+        if (errors.length > 0) return json(res, 422, { error: 'Invalid test case document', details: errors, warnings });
+
+        const stored = testCaseDocuments.load(ticketId, document.scenarioSlug);
+        if (req.body.revision !== undefined && stored && Number(req.body.revision) !== stored.revision) {
+            return conflict(res, `Test cases for ${ticketId} changed since revision ${req.body.revision} (now ${stored.revision})`);
+        }
+
+        try {
+            const saved = testCaseDocuments.save(document, DOCUMENT_SOURCE.API);
+            const renderings = await renderTestCaseDocument(saved.document, { store: testCaseDocuments });
+            log(`Test cases for ${ticketId} saved (revision ${saved.document.revision})`);
+            ok(res, { document: saved.document, path: saved.path, renderings, warnings });
+        } catch (error) {
+            json(res, 500, { error: `Failed to save test cases: ${error.message}` });
+        }
+    });
+
+    /**
+     * POST /api/test-cases/:ticketId/import
+     * Body: { filePath?, scenarioSlug?, force? }
+     * Import an edited Excel rendering back into the document. filePath must be
+     * inside the test cases directory.
+     */
+    router.post('/api/test-cases/:ticketId/import', async (req, res) => {
+        const { ticketId } = req.params;
+        if (!isValidTicketId(ticketId)) return badRequest(res, `Invalid ticketId: "${ticketId}"`);
+        const { filePath, scenarioSlug, force } = req.body || {};
+
+        const workbook = filePath
+            ? path.resolve(PROJECT_ROOT, filePath)
+            : testCaseDocuments.pathFor(ticketId, scenarioSlug, '.xlsx');
+        if (!_isPathInside(testCaseDocuments.rootDir, workbook)) {
+            return json(res, 403, { error: 'Workbook path is outside the test cases directory' });
+        }
+        if (!fs.existsSync(workbook)) return notFound(res, `Workbook not found: ${workbook}`);
+
+        try {
+            const result = await importTestCaseExcel(workbook, {
+                store: testCaseDocuments,
+                ticketId,
+                scenarioSlug,
+                force: force === true,
+            });
+            if (!result.imported) return json(res, 422, { error: 'Workbook not imported', details: result.errors, warnings: result.warnings });
+            log(`Test cases for ${ticketId} imported from ${path.basename(workbook)} (revision ${result.document.revision})`);
+            ok(res, result);
+        } catch (error) {
+            json(res, 500, { error: `Failed to import test cases: ${error.message}` });
+        }
+    });
+
+    // ═════════════════════════════════════════════════════════════════
+    // TRACEABILITY (criteria → test cases → tests → latest results)
+    // ═════════════════════════════════════════════════════════════════
+
+    const TRACEABILITY_FORMATS = { html: 'text/html; charset=utf-8', xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' };
+
+    const traceabilityMatrix = (ticketId) => collectTraceability(ticketId, {
+        store: testCaseDocuments,
+        runStore,
+        projectRoot: PROJECT_ROOT,
+        bddConfig: orchestrator.config?.sdk?.bdd,
+    });
+
+    /**
+     * GET /api/traceability/:ticketId
+     * The ticket's traceability matrix: acceptance criteria, test cases, the
+     * spec tests and feature scenarios linked to them, their latest results,
+     * and the coverage gaps.
+     */
+    router.get('/api/traceability/:ticketId', (req, res) => {
+        const { ticketId } = req.params;
+        if (!isValidTicketId(ticketId)) return badRequest(res, `Invalid ticketId: "${ticketId}"`);
+        try {
+            const matrix = traceabilityMatrix(ticketId);
+            ok(res, matrix);
+        } catch (error) {
+            json(res, 500, { error: `Failed to build traceability matrix: ${error.message}` });
+        }
+    });
+
+    /**
+     * GET /api/traceability/:ticketId/export
+     * Query: ?format=html|xlsx
+     * Renders the matrix with the report generators and downloads it.
+     */
+    router.get('/api/traceability/:ticketId/export', async (req, res) => {
+        const { ticketId } = req.params;
+        if (!isValidTicketId(ticketId)) return badRequest(res, `Invalid ticketId: "${ticketId}"`);
+        const format = req.query.format || 'html';
+        if (!TRACEABILITY_FORMATS[format]) return badRequest(res, `Invalid format: "${format}" (use html or xlsx)`);
+
+        try {
+            const matrix = traceabilityMatrix(ticketId);
+            const result = await exportTraceability(matrix, {
+                format,
+                outputPath: path.join(reportsDir, 'traceability', `${ticketId}-traceability.${format}`),
+            });
+            if (!result.success) return json(res, 500, { error: `Failed to export traceability matrix: ${result.error}` });
+
+            const stat = await fsP.stat(result.filePath);
+            res.writeHead(200, {
+                'Content-Type': TRACEABILITY_FORMATS[format],
+                'Content-Length': stat.size,
+                'Content-Disposition': `attachment; filename="${path.basename(result.filePath)}"`,
+                'Cache-Control': 'no-store',
+            });
+            fs.createReadStream(result.filePath).pipe(res);
+        } catch (error) {
+            json(res, 500, { error: `Failed to export traceability matrix: ${error.message}` });
+        }
+    });
+
+    // ═════════════════════════════════════════════════════════════════
+    // TEST MANAGEMENT (Xray / Zephyr Scale / TestRail sync)
+    // ═════════════════════════════════════════════════════════════════
+
+    /**
+     * GET /api/test-management/cases/:ticketId
+     * The ticket's test cases synced to the configured tool, with their keys.
+     */
+    router.get('/api/test-management/cases/:ticketId', (req, res) => {
+        if (!testCaseSync.enabled) return badRequest(res, 'No test management provider configured (sdk.testManagement.provider)');
+        const cases = testCaseSync.listSyncedCases(req.params.ticketId);
+        ok(res, { provider: testCaseSync.adapter.type, ticketId: req.params.ticketId, cases, total: cases.length });
+    });
+
+    /**
+     * POST /api/test-management/sync
+     * Body: { ticketId, ticketUrl?, testCases? | testSteps? + testSuiteName?, preConditions?, labels?, dryRun? }
+     * Creates or updates the cases, linked to the ticket. dryRun returns the payloads only.
+     */
+    router.post('/api/test-management/sync', async (req, res) => {
+        const { ticketId } = req.body;
+        if (!ticketId) return badRequest(res, 'ticketId is required');
+        if (!testCaseSync.enabled) return badRequest(res, 'No test management provider configured (sdk.testManagement.provider)');
+
+        let normalized;
+        try {
+            normalized = normalizeTestCases(req.body);
+        } catch (error) {
+            return badRequest(res, error.message);
+        }
+        if (normalized.errors.length > 0) return json(res, 422, { error: 'Invalid test cases', details: normalized.errors });
+
+        try {
+            const result = await testCaseSync.syncTestCases({
+                ticketId,
+                ticketUrl: req.body.ticketUrl || null,
+                testCases: normalized.testCases,
+                dryRun: typeof req.body.dryRun === 'boolean' ? req.body.dryRun : undefined,
+            });
+            json(res, result.failed > 0 ? 207 : 200, result);
+        } catch (error) {
+            json(res, error.name === 'TestManagementError' ? 502 : 500, { error: error.message });
+        }
+    });
+
+    /**
+     * POST /api/test-management/runs/:runId/push
+     * Body: { dryRun?, force? }
+     * Push a finished run's results as a test run (Xray execution, Zephyr cycle, TestRail run).
+     */
+    router.post('/api/test-management/runs/:runId/push', async (req, res) => {
+        if (!testCaseSync.enabled) return badRequest(res, 'No test management provider configured (sdk.testManagement.provider)');
+        try {
+            const result = await testCaseSync.pushRunResultsById(req.params.runId, {
+                dryRun: typeof req.body.dryRun === 'boolean' ? req.body.dryRun : undefined,
+                force: req.body.force === true,
+            });
+            ok(res, result);
+        } catch (error) {
+            if (/not found/.test(error.message)) return notFound(res, error.message);
+            json(res, /has finished/.test(error.message) ? 409 : 502, { error: error.message });
+        }
+    });
+
+    // ═════════════════════════════════════════════════════════════════
+    // SCHEDULES (cron-triggered runs)
+    // ═════════════════════════════════════════════════════════════════
+
+    /**
+     * GET /api/schedules
+     * Returns every schedule with nextRunAt, upcoming fire times and the
+     * aggregate status of its last runs.
+     */
+    router.get('/api/schedules', (req, res) => {
+        const schedules = scheduleStore.list().map(schedule => scheduler.describe(schedule));
+        ok(res, { schedules, total: schedules.length, schedulerEnabled });
+    });
+
+    /**
+     * GET /api/schedules/preview?cron=&timezone=&count=
+     * Validates a cron expression and lists its next fire times.
+     */
+    router.get('/api/schedules/preview', (req, res) => {
+        const count = Math.min(Math.max(parseInt(req.query.count, 10) || 5, 1), 20);
+        try {
+            const cron = new CronExpression(req.query.cron, { timezone: req.query.timezone || 'local' });
+            ok(res, {
+                cron: cron.expression,
+                timezone: cron.timezone,
+                upcoming: cron.nextRuns(count).map(date => date.toISOString()),
+            });
+        } catch (error) {
+            badRequest(res, error.message);
+        }
+    });
+
+    /**
+     * POST /api/schedules
+     * Body: { name, cron, timezone?, mode?, environment?, model?, ticketIds?, specFolders?, enabled? }
+     */
+    router.post('/api/schedules', (req, res) => {
+        try {
+            const schedule = scheduleStore.create({ ...req.body, createdBy: req.body.createdBy || 'api' });
+            json(res, 201, { schedule: scheduler.describe(schedule) });
+        } catch (error) {
+            badRequest(res, error.message);
+        }
+    });
+
+    router.get('/api/schedules/:scheduleId', (req, res) => {
+        const schedule = scheduleStore.get(req.params.scheduleId);
+        if (!schedule) return notFound(res, `Schedule ${req.params.scheduleId} not found`);
+        ok(res, { schedule: scheduler.describe(schedule, { upcoming: 5 }) });
+    });
+
+    /**
+     * PATCH /api/schedules/:scheduleId
+     * Body: any editable field — e.g. { enabled: false } to pause a schedule.
+     */
+    router.patch('/api/schedules/:scheduleId', (req, res) => {
+        try {
+            const schedule = scheduleStore.update(req.params.scheduleId, req.body);
+            if (!schedule) return notFound(res, `Schedule ${req.params.scheduleId} not found`);
+            ok(res, { schedule: scheduler.describe(schedule) });
+        } catch (error) {
+            badRequest(res, error.message);
+        }
+    });
+
+    router.delete('/api/schedules/:scheduleId', (req, res) => {
+        if (!scheduleStore.remove(req.params.scheduleId)) {
+            return notFound(res, `Schedule ${req.params.scheduleId} not found`);
         }
+        ok(res, { scheduleId: req.params.scheduleId, deleted: true });
+    });
+
+    /**
+     * POST /api/schedules/:scheduleId/run
+     * Fire a schedule now. Does not move its next scheduled run.
+     */
+    router.post('/api/schedules/:scheduleId/run', (req, res) => {
+        const lastRun = scheduler.trigger(req.params.scheduleId, { manual: true });
+        if (!lastRun) return notFound(res, `Schedule ${req.params.scheduleId} not found`);
+        if (lastRun.runIds.length === 0) return conflict(res, lastRun.error);
+        accepted(res, { scheduleId: req.params.scheduleId, lastRun });
+    });
+
+    // ═════════════════════════════════════════════════════════════════
+    // TRACKER WEBHOOKS (rules: sdk.webhooks.jira, tracker: sdk.tracker)
+    // ═════════════════════════════════════════════════════════════════
+
+    const jiraTracker = new JiraTrackerProvider(loadTrackerConfig().jira);
+
+    /**
+     * Shared by the tracker webhook routes. The tracker parses and
+     * authenticates the delivery; the rules, replay window and defaults in
+     * sdk.webhooks.jira apply whichever tracker sent it.
+     */
+    async function handleTrackerWebhook(req, res, tracker) {
+        const config = loadJiraWebhookConfig();
+        const settings = tracker.webhookSettings;
+        const secretEnv = settings.secretEnv || config.secretEnv;
+        const signatureHeader = settings.signatureHeader || config.signatureHeader;
+        const payload = req.body;
+        const deliveryId = resolveDeliveryId(req.headers, req.rawBody, [settings.deliveryIdHeader || config.deliveryIdHeader]);
+        const event = payload ? tracker.parseWebhook(payload, req.headers) : null;
+        const delivery = {
+            source: tracker.type,
+            deliveryId,
+            event: event?.webhookEvent || null,
+            ticketId: event?.issueKey || null,
+        };
 
-        const issueKey = payload.issue?.key;
-        if (!issueKey) {
-            return badRequest(res, 'Missing issue key in webhook payload');
+        const respond = (action, httpStatus, body, extra = {}) => {
+            deliveryLog.record({ ...delivery, action, httpStatus, reason: body.reason || body.error, ...extra });
+            json(res, httpStatus, { ...body, deliveryId });
+        };
+
+        if (!config.enabled) {
+            return respond(DELIVERY_ACTION.REJECTED, 403, { error: `${tracker.displayName} webhook is disabled (sdk.webhooks.jira.enabled)` });
         }
 
-        // Check for status transition to configured trigger status
-        const changelog = payload.changelog;
-        const statusChange = changelog?.items?.find(item => item.field === 'status');
+        // Authenticate
+        const secret = process.env[secretEnv];
+        if (secret || !config.allowUnsigned) {
+            const { valid, error } = tracker.verifyWebhook(req.rawBody, req.headers, secret, signatureHeader);
+            if (!valid) {
+                if (!secret) log(`${tracker.displayName} webhook rejected: ${secretEnv} is not set`, 'warn');
+                return respond(DELIVERY_ACTION.REJECTED, 401, { error: `Invalid webhook signature: ${error}` });
+            }
+        }
 
-        if (!statusChange) {
-            // Not a status change — acknowledge but don't trigger
-            return ok(res, { acknowledged: true, action: 'ignored', reason: 'No status change' });
+        const replay = checkReplay({
+            source: tracker.type,
+            deliveryId,
+            timestamp: event?.timestamp ?? null,
+            deliveryLog,
+            windowSeconds: config.replayWindowSeconds,
+        });
+        if (replay.duplicate) {
+            return respond(DELIVERY_ACTION.DUPLICATE, 200, { acknowledged: true, action: 'duplicate', reason: replay.reason });
+        }
+        if (!replay.ok) {
+            return respond(DELIVERY_ACTION.REJECTED, 401, { error: replay.reason });
         }
 
-        const newStatus = statusChange.toString || '';
-        const triggerStatuses = ['Ready for QA', 'Ready for Testing', 'QA'];
+        // Validate basic structure
+        if (!event) {
+            return respond(DELIVERY_ACTION.REJECTED, 400, { error: `Invalid ${tracker.displayName} webhook payload` });
+        }
+        if (!event.issueKey) {
+            return respond(DELIVERY_ACTION.REJECTED, 400, { error: 'Missing issue key in webhook payload' });
+        }
 
-        if (!triggerStatuses.some(s => newStatus.toLowerCase().includes(s.toLowerCase()))) {
-            return ok(res, {
+        // Rules
+        const { rule, evaluations } = evaluateRules(config.rules, event);
+        if (!rule) {
+            return respond(DELIVERY_ACTION.IGNORED, 200, {
                 acknowledged: true,
                 action: 'ignored',
-                reason: `Status "${newStatus}" is not a trigger status`,
-            });
+                reason: 'No trigger rule matched',
+                evaluations,
+            }, { evaluations });
         }
 
+        const { mode, environment, model, mission } = resolveRuleAction(rule, config.defaults);
+        const matched = { rule: rule.name, mode, environment, evaluations };
+
         if (!orchestratorReady) {
-            return json(res, 503, { error: 'SDK Orchestrator not ready' });
+            return respond(DELIVERY_ACTION.ERROR, 503, { error: 'SDK Orchestrator not ready' }, matched);
         }
 
         // Dedup
-        const activeRun = runStore.getActiveRun(issueKey);
+        const activeRun = runStore.getActiveRun(event.issueKey);
         if (activeRun) {
-            return conflict(res, `Pipeline already running for ${issueKey}`);
+            return respond(DELIVERY_ACTION.IGNORED, 409, {
+                error: `Pipeline already running for ${event.issueKey}`,
+            }, { ...matched, runId: activeRun.runId });
         }
 
-        // Create and start
+        // Create and queue
         const run = runStore.createRun({
-            ticketId: issueKey,
-            mode: 'full',
-            environment: 'UAT',
+            ticketId: event.issueKey,
+            mode,
+            environment,
+            model: model || undefined,
             triggeredBy: 'webhook',
+            mission,
+        });
+        runStore.updateMission(run.runId, {
+            evidence: { eventLogPath: eventBridge.getRunEventLogPath(run.runId) },
+        });
+
+        const { position } = runQueue.enqueue(run.runId);
+
+        respond(DELIVERY_ACTION.ACCEPTED, 202, {
+            runId: run.runId,
+            ticketId: event.issueKey,
+            triggeredBy: `${tracker.type}-webhook`,
+            rule: rule.name,
+            mode,
+            environment,
+            queuePosition: position,
+        }, { ...matched, runId: run.runId, reason: `Matched rule "${rule.name}"` });
+    }
+
+    /**
+     * POST /api/webhooks/jira
+     * Receives Jira webhook events for auto-triggering pipelines. The request
+     * must carry a valid HMAC signature and fall inside the replay window;
+     * the first matching rule decides mode, environment and scenarios.
+     * Every delivery is recorded in the webhook delivery log.
+     */
+    router.post('/api/webhooks/jira', (req, res) => handleTrackerWebhook(req, res, jiraTracker));
+
+    /**
+     * POST /api/webhooks/tracker
+     * Same as /api/webhooks/jira for the tracker in sdk.tracker.provider —
+     * Azure DevOps service hooks, GitHub `issues` events, or the local
+     * tracker's payloads.
+     */
+    router.post('/api/webhooks/tracker', (req, res) => handleTrackerWebhook(req, res, getTrackerProvider()));
+
+    // ═════════════════════════════════════════════════════════════════
+    // GIT WEBHOOK (sdk.webhooks.git)
+    // ═════════════════════════════════════════════════════════════════
+
+    /**
+     * POST /api/webhooks/git
+     * GitHub pull_request / GitLab Merge Request Hook deliveries. When the PR
+     * changes files under the trigger paths, the affected specs run in
+     * `execute` mode (changed specs get a codereviewer pass first) and the
+     * result is reported back to the PR. A queued run for an earlier commit
+     * of the same PR is superseded.
+     */
+    router.post('/api/webhooks/git', async (req, res) => {
+        const config = loadGitWebhookConfig();
+        const provider = detectProvider(req.headers);
+        const payload = req.body;
+        const deliveryId = resolveDeliveryId(req.headers, req.rawBody, provider ? deliveryIdHeaders(provider) : []);
+        const delivery = {
+            source: provider || 'git',
+            deliveryId,
+            event: req.headers['x-github-event'] || req.headers['x-gitlab-event'] || null,
+        };
+
+        const respond = (action, httpStatus, body, extra = {}) => {
+            deliveryLog.record({ ...delivery, action, httpStatus, reason: body.reason || body.error, ...extra });
+            json(res, httpStatus, { ...body, deliveryId });
+        };
+
+        if (!config.enabled) {
+            return respond(DELIVERY_ACTION.REJECTED, 403, { error: 'Git webhook is disabled (sdk.webhooks.git.enabled)' });
+        }
+        if (!provider) {
+            return respond(DELIVERY_ACTION.REJECTED, 400, { error: 'Unrecognized webhook: expected an X-GitHub-Event or X-Gitlab-Event header' });
+        }
+
+        // Authenticate
+        const secretEnv = config[provider].secretEnv;
+        const { valid, error } = verifyGitDelivery(provider, req.headers, req.rawBody, process.env[secretEnv]);
+        if (!valid) {
+            if (!process.env[secretEnv]) log(`Git webhook rejected: ${secretEnv} is not set`, 'warn');
+            return respond(DELIVERY_ACTION.REJECTED, 401, { error: `Invalid webhook credentials: ${error}` });
+        }
+
+        // Providers send no event timestamp — replay protection is by delivery ID
+        const replay = checkReplay({ source: provider, deliveryId, deliveryLog, windowSeconds: 0 });
+        if (replay.duplicate) {
+            return respond(DELIVERY_ACTION.DUPLICATE, 200, { acknowledged: true, action: 'duplicate', reason: replay.reason });
+        }
+
+        const parsed = parseGitEvent(provider, req.headers, payload || {});
+        const pullRequest = parsed.pullRequest;
+        if (pullRequest) delivery.ticketId = pullRequestTicketId(pullRequest);
+        if (!parsed.relevant) {
+            return respond(DELIVERY_ACTION.IGNORED, 200, { acknowledged: true, action: 'ignored', reason: parsed.reason });
+        }
+        if (pullRequest.draft && !config.includeDrafts) {
+            return respond(DELIVERY_ACTION.IGNORED, 200, { acknowledged: true, action: 'ignored', reason: 'Draft pull request (sdk.webhooks.git.includeDrafts)' });
+        }
+        if (!pullRequest.headSha) {
+            return respond(DELIVERY_ACTION.REJECTED, 400, { error: 'Payload has no head commit SHA' });
+        }
+
+        if (!orchestratorReady) {
+            return respond(DELIVERY_ACTION.ERROR, 503, { error: 'SDK Orchestrator not ready' });
+        }
+
+        // Changed files → affected specs
+        let impact;
+        try {
+            const changedFiles = await listChangedFiles(pullRequest, config[provider]);
+            impact = mapChangedFilesToSpecs(changedFiles, {
+                groundingStore: getGroundingStore({ projectRoot: PROJECT_ROOT, verbose: false }),
+                projectRoot: PROJECT_ROOT,
+                triggerPaths: config.triggerPaths,
+                sharedFiles: config.sharedFiles,
+                maxSpecs: config.maxSpecs,
+            });
+        } catch (err) {
+            log(`Git webhook: changed files for ${delivery.ticketId} unavailable: ${err.message}`, 'warn');
+            return respond(DELIVERY_ACTION.ERROR, 502, { error: `Could not list changed files: ${err.message}` });
+        }
+
+        if (!impact.triggered) {
+            return respond(DELIVERY_ACTION.IGNORED, 200, {
+                acknowledged: true,
+                action: 'ignored',
+                reason: `No changes under ${config.triggerPaths.join(', ')}`,
+            });
+        }
+        if (impact.specs.length === 0) {
+            prStatusNotifier.reportStatus(pullRequest, 'success', 'No specs affected by this change')
+                .catch(err => log(`PR status: ${err.message}`, 'warn'));
+            return respond(DELIVERY_ACTION.IGNORED, 200, {
+                acknowledged: true,
+                action: 'ignored',
+                reason: 'Changed files affect no specs',
+                skipped: impact.skipped,
+            });
+        }
+
+        // One active run per PR: a queued run for an older commit is superseded
+        const ticketId = pullRequestTicketId(pullRequest);
+        const activeRun = runStore.getActiveRun(ticketId);
+        if (activeRun && activeRun.status !== RUN_STATUS.QUEUED) {
+            return respond(DELIVERY_ACTION.IGNORED, 409, {
+                error: `Pipeline already running for ${ticketId}`,
+            }, { runId: activeRun.runId });
+        }
+        if (activeRun) {
+            runStore.cancelRun(activeRun.runId);
+            log(`Git webhook: superseded queued run ${activeRun.runId} for ${ticketId}`);
+        }
+
+        // Create and queue
+        const run = runStore.createRun(buildPullRequestRun(pullRequest, impact, config, { deliveryId }));
+        runStore.updateMission(run.runId, {
+            evidence: { eventLogPath: eventBridge.getRunEventLogPath(run.runId) },
         });
+        const { position } = runQueue.enqueue(run.runId);
 
-        _executePipeline(run.runId, issueKey, 'full', orchestrator, runStore, eventBridge, activePipelines);
+        prStatusNotifier.reportQueued(run).catch(err => log(`PR status: ${err.message}`, 'warn'));
+        if (activeRun?.pullRequest) {
+            prStatusNotifier.reportStatus(activeRun.pullRequest, 'error', `Superseded by run ${run.runId}`)
+                .catch(err => log(`PR status: ${err.message}`, 'warn'));
+        }
 
-        accepted(res, { runId: run.runId, ticketId: issueKey, triggeredBy: 'jira-webhook' });
+        respond(DELIVERY_ACTION.ACCEPTED, 202, {
+            runId: run.runId,
+            ticketId,
+            triggeredBy: `${provider}-webhook`,
+            mode: run.mode,
+            environment: run.environment,
+            specs: impact.specs.map(({ specPath, reasons, review }) => ({ specPath, reasons, review })),
+            truncated: impact.truncated,
+            supersededRunId: activeRun?.runId || null,
+            queuePosition: position,
+        }, { runId: run.runId, reason: `${impact.specs.length} affected spec(s)` });
+    });
+
+    /**
+     * GET /api/webhooks/deliveries
+     * Query: source, action (comma-separated), ticketId, rule, since, until, limit, offset
+     * Returns: { deliveries, total, limit, offset, hasMore } — newest first
+     */
+    router.get('/api/webhooks/deliveries', (req, res) => {
+        ok(res, deliveryLog.query(req.query));
+    });
+
+    /**
+     * GET /api/webhooks/deliveries/:deliveryId
+     */
+    router.get('/api/webhooks/deliveries/:deliveryId', (req, res) => {
+        const delivery = deliveryLog.get(req.params.deliveryId);
+        if (!delivery) return notFound(res, `Delivery ${req.params.deliveryId} not found`);
+        ok(res, delivery);
     });
 
     // ═════════════════════════════════════════════════════════════════
@@ -2260,14 +3422,22 @@ if ($result -eq [System.Windows.Forms.DialogResult]::OK) {
         log('  SDK PIPELINE SERVER');
         log(`  Port:    ${port}`);
         log(`  CORS:    ${corsOrigins.join(', ')}`);
-        log(`  Runs:    ${runStore.getStats().totalRuns} historical`);
+        log(`  Runs:    ${runStore.getStats().totalRuns} historical (${runStore.getStorageInfo().type})`);
+        log(`  Queue:   ${runQueue.maxConcurrent} concurrent run(s)`);
+        log(`  Cron:    ${scheduleStore.list().filter(item => item.enabled).length} active schedule(s)${schedulerEnabled ? '' : ' (scheduler disabled)'}`);
         log('═══════════════════════════════════════════════════');
         log('');
         log('  Endpoints:');
         log(`    POST /api/pipeline/run          — Start pipeline`);
         log(`    POST /api/pipeline/batch         — Batch execution`);
+        log(`    POST /api/pipeline/batch/plan    — Preview batch plan`);
+        log(`    GET  /api/pipeline/batch/:id/report — Consolidated batch report`);
+        log(`    POST /api/pipeline/resume/:runId — Resume failed run`);
         log(`    POST /api/pipeline/cancel/:runId — Cancel pipeline`);
+        log(`    GET  /api/pipeline/modes         — Pipeline modes (built-in + sdk.pipelineModes)`);
+        log(`    GET  /api/pipeline/queue         — Run queue & limits`);
         log(`    GET  /api/pipeline/runs          — List runs`);
+        log(`    GET  /api/pipeline/compare       — Diff two runs (?base=&head=)`);
         log(`    GET  /api/pipeline/status/:runId — Run status`);
         log(`    GET  /api/pipeline/evidence-summary/:runId — Flattened mission evidence`);
         log(`    GET  /api/pipeline/artifact       — Secure evidence file streaming`);
@@ -2279,7 +3449,23 @@ if ($result -eq [System.Windows.Forms.DialogResult]::OK) {
         log(`    GET  /api/analytics/failures     — Failure trends`);
         log(`    GET  /api/analytics/selectors    — Selector stability`);
         log(`    GET  /api/analytics/runs         — Run trends`);
+        log(`    GET  /api/analytics/cost         — Usage & cost by ticket/agent/week`);
+        log(`    GET  /api/visual/baselines       — Visual baselines (?status=pending)`);
+        log(`    POST /api/visual/baselines/:id/candidates/:cid/approve|reject — Review visual change`);
+        log(`    GET  /api/flaky-tests            — Flaky test scores & quarantine`);
+        log(`    POST /api/flaky-tests/quarantine|release — Quarantine / release a test`);
+        log(`    GET  /api/healing-patches        — Healing patches (?runId=&status=proposed)`);
+        log(`    POST /api/healing-patches/:runId/:id/accept|reject — Review a healing patch`);
+        log(`    GET  /api/traceability/:ticketId — Requirements traceability matrix`);
+        log(`    GET  /api/traceability/:ticketId/export — Matrix as HTML / Excel (?format=html|xlsx)`);
+        log(`    GET  /api/schedules              — List schedules (next/last run)`);
+        log(`    POST /api/schedules              — Create schedule`);
+        log(`    PATCH /api/schedules/:id         — Update / pause schedule`);
+        log(`    POST /api/schedules/:id/run      — Run schedule now`);
         log(`    POST /api/webhooks/jira          — Jira webhook`);
+        log(`    POST /api/webhooks/tracker       — Configured tracker webhook (sdk.tracker)`);
+        log(`    POST /api/webhooks/git           — GitHub/GitLab PR webhook`);
+        log(`    GET  /api/webhooks/deliveries     — Webhook delivery log`);
         log(`    GET  /api/models                  — Runtime model catalog`);
         log(`    POST /api/chat/sessions           — Create chat session`);
         log(`    GET  /api/chat/sessions           — List chat sessions`);
@@ -2298,9 +3484,16 @@ if ($result -eq [System.Windows.Forms.DialogResult]::OK) {
     const shutdown = async (signal) => {
         log(`\n${signal} received. Shutting down...`);
         clearInterval(staleRunWatchdog);
+        scheduler.stop();
+        prStatusNotifier.unsubscribe();
+        testCaseSync.unsubscribe();
+        eventBridge.off(EVENT_TYPES.RUN_COMPLETE, batchReportListener);
+        runQueue.stop();
+        getExecutionService().cancelAll();
         server.close();
         if (chatManager) await chatManager.prepareForShutdown().catch(() => { });
         await orchestrator.stop().catch(() => { });
+        runStore.close();
         process.exit(0);
     };
 
@@ -2314,19 +3507,73 @@ if ($result -eq [System.Windows.Forms.DialogResult]::OK) {
 
 // ─── Pipeline Execution (Background) ───────────────────────────────────────
 
+/**
+ * Resume plan for a run leaving the queue: a run re-queued after an
+ * interruption continues from its own checkpoints, a run created by
+ * POST /api/pipeline/resume continues from the run it resumes.
+ *
+ * @returns {Object|null}
+ */
+function _resolveQueuedResumePlan(run, runStore) {
+    const plan = (run.queue?.attempts > 0 && run.resumeState)
+        ? runStore.getResumePlan(run.runId, { allowActive: true })
+        : (run.resumedFrom ? runStore.getResumePlan(run.resumedFrom) : null);
+    return plan?.resumable ? plan : null;
+}
+
+/**
+ * Exploration snapshot a batch run reuses from another ticket of its feature
+ * group, if that snapshot is fresh now. Records the decision on the run for
+ * the batch report.
+ *
+ * @returns {{ ticketId: string, path: string, ageDays: number, feature: string }|null}
+ */
+function _resolveSharedExploration(run, runStore) {
+    if (!run.batchPlan) return null;
+    const shared = run.batchPlan.sharedExploration;
+    if (!shared) {
+        runStore.updateBatchPlan(run.runId, { explorationUsed: { reused: false, sourceTicketId: null } });
+        return null;
+    }
+
+    const freshness = getGroundingStore({ projectRoot: PROJECT_ROOT, verbose: false })
+        .getExplorationFreshness(shared.sourceTicketId);
+    runStore.updateBatchPlan(run.runId, {
+        explorationUsed: freshness.fresh
+            ? { reused: true, sourceTicketId: shared.sourceTicketId, path: freshness.path, ageDays: freshness.ageDays }
+            : { reused: false, sourceTicketId: shared.sourceTicketId, reason: freshness.warning },
+    });
+    if (!freshness.fresh) return null;
+
+    return {
+        ticketId: shared.sourceTicketId,
+        path: path.resolve(PROJECT_ROOT, freshness.path),
+        ageDays: freshness.ageDays,
+        feature: shared.feature,
+    };
+}
+
 /**
  * Execute a pipeline run in the background.
  * Updates RunStore and EventBridge as stages progress.
+ *
+ * @returns {Promise<void>} Settles when the run finishes (used by RunQueue to free the slot)
  */
 function _executePipeline(runId, ticketId, mode, orchestrator, runStore, eventBridge, activePipelines, model, extraOptions = {}) {
+    const { resumePlan = null, ...pipelineOptions } = extraOptions;
+    const testHistory = new FlakyTestTracker({ runStore });
     let cancelled = false;
 
     activePipelines.set(runId, {
-        cancel: () => { cancelled = true; },
+        cancel: () => {
+            cancelled = true;
+            const killed = getExecutionService().cancel(runId);
+            if (killed > 0) log(`Pipeline ${runId}: killed ${killed} Playwright run(s)`);
+        },
     });
 
     // Fire and forget — async execution
-    (async () => {
+    return (async () => {
         try {
             const emitProgress = (stage, rawMessage, scenario = null) => {
                 if (cancelled) return;
@@ -2352,6 +3599,15 @@ function _executePipeline(runId, ticketId, mode, orchestrator, runStore, eventBr
                         success: true,
                         ...stageDetails,
                     });
+                } else if (rawMessage.startsWith('Skipped')) {
+                    runStore.updateStage(runId, stage, 'skipped', stageDetails);
+                    eventBridge.push(EVENT_TYPES.STAGE_COMPLETE, runId, {
+                        stage,
+                        message,
+                        success: true,
+                        skipped: true,
+                        ...stageDetails,
+                    });
                 } else if (rawMessage.startsWith('BLOCKED') || rawMessage.startsWith('ERROR')) {
                     runStore.updateStage(runId, stage, 'failed', stageDetails);
                     runStore.recordMissionObservation(runId, {
@@ -2417,6 +3673,28 @@ function _executePipeline(runId, ticketId, mode, orchestrator, runStore, eventBr
             for (const scenario of scenarios) {
                 if (cancelled) break;
 
+                const resumeEntry = resumePlan?.scenarios.find(item => item.scenario.id === scenario.id) || null;
+                if (resumeEntry?.completed) {
+                    // Scenario finished in the run being resumed — carry it over
+                    runStore.updateScenario(runId, scenario.id, {
+                        status: RUN_STATUS.COMPLETED,
+                        completedAt: new Date().toISOString(),
+                        result: { success: true, carriedOverFrom: resumePlan.runId },
+                    });
+                    scenarioResults.push({
+                        scenarioId: scenario.id,
+                        name: scenario.name || scenario.id,
+                        authState: scenario.authState || 'unspecified',
+                        success: true,
+                        duration: null,
+                        lastCompletedStage: resumeEntry.resume?.lastCompletedStage || null,
+                        error: null,
+                        artifacts: {},
+                        carriedOverFrom: resumePlan.runId,
+                    });
+                    continue;
+                }
+
                 runStore.updateScenario(runId, scenario.id, {
                     status: RUN_STATUS.RUNNING,
                     startedAt: new Date().toISOString(),
@@ -2449,8 +3727,13 @@ function _executePipeline(runId, ticketId, mode, orchestrator, runStore, eventBr
                     scenario,
                     scenarioId: scenario.id,
                     authState: scenario.authState || 'unspecified',
+                    environment: run?.environment || 'UAT',
                     onProgress: (stage, message) => emitProgress(stage, message, scenario),
-                    ...extraOptions,
+                    onCheckpoint: snapshot => runStore.recordResumePoint(runId, scenario.id, snapshot),
+                    onUsage: usage => runStore.recordUsage(runId, scenario.id, usage),
+                    resume: resumeEntry?.resume || null,
+                    testHistory,
+                    ...pipelineOptions,
                 });
 
                 scenarioResults.push({
@@ -649,6 +649,41 @@ class SharedContextStore {
         }
     }
 
+    /**
+     * Import the persisted entries, artifacts, and questions of another run
+     * (used when resuming a run). Imported entries are placed before this
+     * store's own entries; existing artifact keys and questions win.
+     *
+     * @param {string} sourceRunId - Context run ID of the earlier run
+     * @returns {number} Number of entries imported
+     */
+    importFrom(sourceRunId) {
+        if (!sourceRunId || sourceRunId === this.runId) return 0;
+
+        try {
+            const filePath = path.join(this.persistDir, `${sourceRunId}-context.json`);
+            if (!fs.existsSync(filePath)) return 0;
+
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+            const imported = (data.entries || []).map(e => ({ ...e, importedFrom: sourceRunId }));
+
+            this._entries = [...imported, ...this._entries].map((e, i) => ({ ...e, id: i + 1 }));
+
+            for (const [key, value] of Object.entries(data.artifacts || {})) {
+                if (!this._artifacts.has(key)) this._artifacts.set(key, value);
+            }
+            for (const [key, value] of Object.entries(data.questions || {})) {
+                if (!this._questions.has(key)) this._questions.set(key, value);
+            }
+
+            if (this.persist) this.save();
+            return imported.length;
+        } catch (error) {
+            console.error(`[SharedContextStore] Import from ${sourceRunId} failed: ${error.message}`);
+            return 0;
+        }
+    }
+
     /**
      * Load from disk if a previous store exists for this runId.
      */
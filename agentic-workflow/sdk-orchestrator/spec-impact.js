@@ -0,0 +1,156 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SPEC IMPACT — Changed Files → Affected Specs
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Maps the files a pull request changes onto the specs worth re-running:
+ *
+ *   tests/specs/<dir>/<name>.spec.js → the spec itself (flagged for code review)
+ *   tests/pageobjects/<name>.js      → specs of every grounding featureMap
+ *                                      feature listing <name> (GroundingStore
+ *                                      .checkExistingCoverage), plus specs
+ *                                      that reference the page object directly
+ *   shared files (POmanager.js)      → every spec
+ *
+ * Only files under the trigger paths count. Business functions map the same
+ * way as page objects when their folder is added to the trigger paths.
+ *
+ * @module sdk-orchestrator/spec-impact
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SPEC_FILE_PATTERN = /\.spec\.[cm]?[jt]s$/;
+const SPECS_DIR = 'tests/specs';
+
+// ─── Mapping ────────────────────────────────────────────────────────────────
+
+/**
+ * @param {Object[]} changedFiles - { path, status, patch } (see git-webhooks.listChangedFiles)
+ * @param {Object} options
+ * @param {Object} options.groundingStore       - GroundingStore (featureMap + spec inventory)
+ * @param {string} options.projectRoot
+ * @param {string[]} options.triggerPaths       - Project-relative path prefixes
+ * @param {string[]} [options.sharedFiles=[]]   - Files every spec depends on
+ * @param {number} [options.maxSpecs=20]        - Specs beyond this are dropped (changed specs first)
+ * @returns {{
+ *   triggered: boolean,
+ *   relevantFiles: string[],
+ *   specs: { specPath: string, reasons: string[], review: boolean, patch: string }[],
+ *   truncated: number,
+ *   skipped: { path: string, reason: string }[]
+ * }}
+ */
+function mapChangedFilesToSpecs(changedFiles, options) {
+    const { groundingStore, projectRoot } = options;
+    const triggerPaths = options.triggerPaths.map(toPosix);
+    const sharedFiles = (options.sharedFiles || []).map(toPosix);
+    const maxSpecs = options.maxSpecs || 20;
+
+    const relevant = changedFiles.filter(file => triggerPaths.some(prefix => toPosix(file.path).startsWith(prefix)));
+    const specs = new Map();
+    const skipped = [];
+    const addSpec = (specPath, reason, review = false, patch = '') => {
+        const entry = specs.get(specPath) || { specPath, reasons: [], review: false, patch: '' };
+        entry.reasons.push(reason);
+        if (review) {
+            entry.review = true;
+            entry.patch = patch;
+        }
+        specs.set(specPath, entry);
+    };
+
+    let inventory = null;
+    const allSpecs = () => {
+        if (!inventory) inventory = listSpecs(groundingStore.checkExistingCoverage());
+        return inventory;
+    };
+
+    // Changed specs first so they survive truncation
+    for (const file of relevant) {
+        const filePath = toPosix(file.path);
+        if (!SPEC_FILE_PATTERN.test(filePath)) continue;
+        if (file.status === 'removed') {
+            skipped.push({ path: filePath, reason: 'Spec was removed' });
+            continue;
+        }
+        addSpec(filePath, file.status === 'added' ? 'spec added' : 'spec changed', true, file.patch || '');
+    }
+
+    for (const file of relevant) {
+        const filePath = toPosix(file.path);
+        if (SPEC_FILE_PATTERN.test(filePath)) continue;
+
+        if (sharedFiles.includes(filePath)) {
+            for (const specPath of allSpecs()) addSpec(specPath, `shared file ${path.posix.basename(filePath)} changed`);
+            continue;
+        }
+
+        const affected = specsForSupportFile(filePath, groundingStore, projectRoot, allSpecs());
+        if (affected.length === 0) {
+            skipped.push({ path: filePath, reason: 'No spec uses this file' });
+        }
+        for (const { specPath, reason } of affected) addSpec(specPath, reason);
+    }
+
+    const ordered = [...specs.values()];
+    return {
+        triggered: relevant.length > 0,
+        relevantFiles: relevant.map(file => toPosix(file.path)),
+        specs: ordered.slice(0, maxSpecs),
+        truncated: Math.max(ordered.length - maxSpecs, 0),
+        skipped,
+    };
+}
+
+/**
+ * Specs affected by a page object or business function: those of the
+ * featureMap features that list it, and those that reference it by name.
+ */
+function specsForSupportFile(filePath, groundingStore, projectRoot, allSpecs) {
+    const fileName = path.posix.basename(filePath);
+    const stem = fileName.replace(/\.[cm]?[jt]s$/, '');
+    const results = [];
+
+    const features = (groundingStore.config?.featureMap || []).filter(feature =>
+        [...(feature.pageObjects || []), ...(feature.businessFunctions || [])]
+            .some(entry => entry === fileName || filePath.endsWith(`/${entry}`)));
+    for (const feature of features) {
+        const coverage = groundingStore.checkExistingCoverage({ featureName: feature.name });
+        for (const specPath of listSpecs(coverage)) {
+            results.push({ specPath, reason: `${fileName} is used by feature "${feature.name}"` });
+        }
+    }
+
+    const reference = new RegExp(`\\b${escapeRegExp(stem)}\\b`);
+    for (const specPath of allSpecs) {
+        let content;
+        try {
+            content = fs.readFileSync(path.join(projectRoot, specPath), 'utf-8');
+        } catch {
+            continue;
+        }
+        if (reference.test(content)) results.push({ specPath, reason: `references ${stem}` });
+    }
+
+    return results;
+}
+
+/** Project-relative spec paths from a checkExistingCoverage() result */
+function listSpecs(coverage) {
+    return (coverage?.existingSpecs || []).map(spec => `${SPECS_DIR}/${toPosix(spec.path)}`);
+}
+
+function toPosix(value) {
+    return String(value).replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = { mapChangedFilesToSpecs };
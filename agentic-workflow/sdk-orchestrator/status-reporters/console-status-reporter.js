@@ -0,0 +1,26 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * CONSOLE STATUS REPORTER — Log-Only Reporting
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Writes statuses and summaries to the server log instead of the provider.
+ * Useful for trying the webhook out before a token is configured.
+ *
+ * @module sdk-orchestrator/status-reporters/console-status-reporter
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const { StatusReporter } = require('./status-reporter');
+
+class ConsoleStatusReporter extends StatusReporter {
+    async reportStatus(target, status) {
+        console.log(`[StatusReporter] ${target.repository}#${target.number} @ ${String(target.headSha).slice(0, 8)}: ` +
+            `${status.state} — ${status.description}`);
+    }
+
+    async reportSummary(target, markdown) {
+        console.log(`[StatusReporter] ${target.repository}#${target.number} summary:\n${markdown}`);
+    }
+}
+
+module.exports = { ConsoleStatusReporter };
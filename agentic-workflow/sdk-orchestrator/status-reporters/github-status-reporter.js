@@ -0,0 +1,39 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * GITHUB STATUS REPORTER — Commit Statuses & PR Comments
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ *   POST /repos/:owner/:repo/statuses/:sha          — commit status
+ *   POST /repos/:owner/:repo/issues/:number/comments — summary comment
+ *
+ * Needs a token with `repo:status` and pull request write access.
+ *
+ * @module sdk-orchestrator/status-reporters/github-status-reporter
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const { StatusReporter } = require('./status-reporter');
+const { apiHeaders } = require('../git-webhooks');
+
+class GitHubStatusReporter extends StatusReporter {
+    constructor(options = {}) {
+        super({ apiBaseUrl: 'https://api.github.com', ...options });
+    }
+
+    async reportStatus(target, status) {
+        await this._postJSON(`${this.apiBaseUrl}/repos/${target.repository}/statuses/${target.headSha}`, {
+            state: status.state,
+            description: String(status.description || '').slice(0, 140),
+            context: status.context,
+            ...(status.targetUrl ? { target_url: status.targetUrl } : {}),
+        }, apiHeaders('github', this.token));
+    }
+
+    async reportSummary(target, markdown) {
+        await this._postJSON(`${this.apiBaseUrl}/repos/${target.repository}/issues/${target.number}/comments`, {
+            body: markdown,
+        }, apiHeaders('github', this.token));
+    }
+}
+
+module.exports = { GitHubStatusReporter };
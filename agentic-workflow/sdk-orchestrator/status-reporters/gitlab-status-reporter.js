@@ -0,0 +1,48 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * GITLAB STATUS REPORTER — Commit Statuses & MR Notes
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ *   POST /projects/:id/statuses/:sha                 — commit status
+ *   POST /projects/:id/merge_requests/:iid/notes     — summary note
+ *
+ * GitLab has no `failure`/`error` states; both map to `failed`.
+ *
+ * @module sdk-orchestrator/status-reporters/gitlab-status-reporter
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const { StatusReporter } = require('./status-reporter');
+const { apiHeaders } = require('../git-webhooks');
+
+const GITLAB_STATES = {
+    pending: 'running',
+    success: 'success',
+    failure: 'failed',
+    error: 'failed',
+};
+
+class GitLabStatusReporter extends StatusReporter {
+    constructor(options = {}) {
+        super({ apiBaseUrl: 'https://gitlab.com/api/v4', ...options });
+    }
+
+    async reportStatus(target, status) {
+        const project = encodeURIComponent(target.projectId);
+        await this._postJSON(`${this.apiBaseUrl}/projects/${project}/statuses/${target.headSha}`, {
+            state: GITLAB_STATES[status.state] || 'failed',
+            name: status.context,
+            description: String(status.description || '').slice(0, 140),
+            ...(status.targetUrl ? { target_url: status.targetUrl } : {}),
+        }, apiHeaders('gitlab', this.token));
+    }
+
+    async reportSummary(target, markdown) {
+        const project = encodeURIComponent(target.projectId);
+        await this._postJSON(`${this.apiBaseUrl}/projects/${project}/merge_requests/${target.number}/notes`, {
+            body: markdown,
+        }, apiHeaders('gitlab', this.token));
+    }
+}
+
+module.exports = { GitLabStatusReporter, GITLAB_STATES };
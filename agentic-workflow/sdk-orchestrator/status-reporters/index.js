@@ -0,0 +1,78 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * STATUS REPORTERS — Module Index
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Where pull request pipeline results are reported, selected by
+ * workflow-config.json → sdk.webhooks.git.reporter:
+ *
+ *   auto    — the provider that sent the webhook (default)
+ *   github  — commit status + PR comment via the GitHub REST API
+ *   gitlab  — commit status + MR note via the GitLab REST API
+ *   console — server log only
+ *   none    — don't report
+ *   <path>  — a module exporting a StatusReporter subclass, resolved
+ *             relative to agentic-workflow/
+ *
+ * @module sdk-orchestrator/status-reporters
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const path = require('path');
+const { StatusReporter } = require('./status-reporter');
+const { GitHubStatusReporter } = require('./github-status-reporter');
+const { GitLabStatusReporter } = require('./gitlab-status-reporter');
+const { ConsoleStatusReporter } = require('./console-status-reporter');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+/**
+ * Create a status reporter.
+ *
+ * @param {string} type - github | gitlab | console | none | module path
+ * @param {Object} [options]
+ * @param {string} [options.apiBaseUrl]
+ * @param {string} [options.token]
+ * @param {Function} [options.fetch]
+ * @returns {StatusReporter|null} null for `none`
+ */
+function createStatusReporter(type, options = {}) {
+    switch (String(type || 'console').toLowerCase()) {
+        case 'github':
+            return new GitHubStatusReporter(options);
+        case 'gitlab':
+            return new GitLabStatusReporter(options);
+        case 'console':
+            return new ConsoleStatusReporter(options);
+        case 'none':
+            return null;
+        default:
+            return loadCustomReporter(type, options);
+    }
+}
+
+function loadCustomReporter(modulePath, options) {
+    const resolved = path.isAbsolute(modulePath) ? modulePath : path.join(ROOT_DIR, modulePath);
+    let exported;
+    try {
+        exported = require(resolved);
+    } catch (error) {
+        throw new Error(`Unknown status reporter "${modulePath}". Valid: auto, github, gitlab, console, none, or a module path (${error.message})`);
+    }
+
+    const Reporter = typeof exported === 'function'
+        ? exported
+        : Object.values(exported).find(value => typeof value === 'function' && value.prototype instanceof StatusReporter);
+    if (!Reporter || !(Reporter.prototype instanceof StatusReporter)) {
+        throw new Error(`Status reporter module "${modulePath}" must export a StatusReporter subclass`);
+    }
+    return new Reporter(options);
+}
+
+module.exports = {
+    createStatusReporter,
+    StatusReporter,
+    GitHubStatusReporter,
+    GitLabStatusReporter,
+    ConsoleStatusReporter,
+};
@@ -0,0 +1,104 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * STATUS REPORTER — Abstract Pull Request Status Interface
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Posts pipeline outcomes for a pull request back to where the PR lives: a
+ * commit status on the head SHA, and a summary comment on the PR.
+ *
+ * To add a new reporter:
+ *   1. Create a new file (e.g., bitbucket-status-reporter.js)
+ *   2. Extend StatusReporter
+ *   3. Implement reportStatus() and reportSummary()
+ *   4. Register in status-reporters/index.js → createStatusReporter(), or
+ *      point sdk.webhooks.git.reporter at the module path
+ *
+ * @module sdk-orchestrator/status-reporters/status-reporter
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+// ─── Types ──────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} PullRequestTarget
+ * @property {'github'|'gitlab'|string} provider
+ * @property {string}        repository - owner/repo or group/project path
+ * @property {string|number} projectId  - GitLab project ID (repository for GitHub)
+ * @property {number}        number     - PR number / MR iid
+ * @property {string}        headSha    - Commit the status is attached to
+ * @property {string}        [url]
+ */
+
+/**
+ * @typedef {Object} CommitStatus
+ * @property {'pending'|'success'|'failure'|'error'} state
+ * @property {string}  description - One line, trimmed to 140 characters by reporters
+ * @property {string}  context     - Status name (sdk.webhooks.git.statusContext)
+ * @property {string}  [targetUrl] - Link to the run
+ */
+
+// ─── Abstract Reporter ──────────────────────────────────────────────────────
+
+class StatusReporter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.apiBaseUrl]
+     * @param {string} [options.token]
+     * @param {Function} [options.fetch] - Defaults to global fetch
+     */
+    constructor(options = {}) {
+        if (new.target === StatusReporter) {
+            throw new Error('StatusReporter is abstract — extend it and implement all methods.');
+        }
+        this.options = options;
+        this.apiBaseUrl = options.apiBaseUrl || null;
+        this.token = options.token || null;
+        this._fetch = options.fetch || fetch;
+    }
+
+    /** @returns {string} Reporter name for logs */
+    get name() {
+        return this.constructor.name;
+    }
+
+    /**
+     * Set the commit status on the PR's head SHA.
+     * @param {PullRequestTarget} target
+     * @param {CommitStatus} status
+     * @returns {Promise<void>}
+     */
+    async reportStatus(target, status) {
+        throw new Error(`${this.name}.reportStatus() not implemented`);
+    }
+
+    /**
+     * Post a markdown summary comment on the PR.
+     * @param {PullRequestTarget} target
+     * @param {string} markdown
+     * @returns {Promise<void>}
+     */
+    async reportSummary(target, markdown) {
+        throw new Error(`${this.name}.reportSummary() not implemented`);
+    }
+
+    // ─── Helpers ────────────────────────────────────────────────────
+
+    /**
+     * POST JSON to the provider API; throws on a non-2xx response.
+     * @param {string} url
+     * @param {Object} body
+     * @param {Object} [headers]
+     */
+    async _postJSON(url, body, headers = {}) {
+        const response = await this._fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+        });
+        if (!response.ok) {
+            throw new Error(`${this.name}: POST ${url} returned ${response.status}`);
+        }
+    }
+}
+
+module.exports = { StatusReporter };
@@ -0,0 +1,261 @@
+/**
+ * Test suite for a11y-results.js
+ * Tests sdk.accessibility defaults, spec-side audits, reading a run's audit
+ * reports, defect grouping across states, run summaries, the consolidated
+ * merge, BugGenie formatting, the EXECUTE / BugGenie hooks in PipelineRunner
+ * and the coordinator's routing after EXECUTE.
+ *
+ * Run: node agentic-workflow/sdk-orchestrator/test-a11y-results.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+    loadA11yConfig, getAuditDir, getExploreDir, auditAccessibility, readAuditReports, readRunAudits,
+    groupAccessibilityDefects, summarizeAccessibility, mergeAccessibilitySummaries,
+    formatAccessibilityDefects, describeIssue, loadA11yAudit, AUDIT_SOURCE,
+} = require('./a11y-results');
+const { PipelineRunner } = require('./pipeline-runner');
+const { AgentCoordinator, ROUTE } = require('./agent-coordinator');
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`  ✓ ${label}`);
+    } else {
+        failed++;
+        errors.push(label);
+        console.log(`  ✗ ${label}`);
+    }
+}
+
+// ─── Test Helpers ────────────────────────────────────────────────────────────
+
+const TEST_DIR = path.join(os.tmpdir(), `a11y-results-test-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+let buildAuditResult;
+let selectAuditRules;
+
+const element = (name, tag = 'div') => ({ ref: name, tag, nthIndex: 0, cssPath: `html > body > ${tag}.${name}` });
+
+const FINDINGS = {
+    label: { rule: 'label', message: 'input[type=text] has no accessible name', element: element('search', 'input') },
+    contrast: { rule: 'color-contrast', message: 'Contrast 2.10:1 is below 4.5:1', element: element('hint', 'span') },
+    button: { rule: 'button-name', message: 'button has no accessible name', element: element('close', 'button') },
+    lang: { rule: 'html-lang', message: '<html> element has no lang attribute', element: null },
+};
+
+/** An a11y-audit.js result as the MCP tool or auditAccessibility writes it */
+function audit({ state, url = 'https://app.test/search', findings = [], extra = {} }) {
+    const raw = { url, title: 'Search', violations: findings, incomplete: [] };
+    return { ...buildAuditResult(raw, { rules: selectAuditRules(), state }), ...extra };
+}
+
+function writeReport(dir, name, report) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${name}.json`);
+    fs.writeFileSync(file, JSON.stringify(report, null, 2));
+    return file;
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+async function main() {
+    ({ buildAuditResult, selectAuditRules } = await loadA11yAudit());
+
+    console.log('\n═══ Configuration ═══');
+    {
+        const defaults = loadA11yConfig({});
+        assert(defaults.enabled === true && defaults.level === 'AA', 'enabled at AA by default');
+        assert(defaults.failOn.join(',') === 'critical,serious', 'fails on critical and serious');
+        assert(defaults.keyboard === false && defaults.rules === null && defaults.maxDefects === 50, 'keyboard probe off, all rules');
+
+        const custom = loadA11yConfig({ enabled: false, level: 'A', rules: ['label'], failOn: ['minor', 'bogus'], maxDefects: '5' });
+        assert(custom.enabled === false && custom.level === 'A', 'disabled, level A');
+        assert(custom.rules.join(',') === 'label' && custom.failOn.join(',') === 'minor', 'unknown severities dropped');
+        assert(custom.maxDefects === 5, 'maxDefects parsed');
+        assert(loadA11yConfig({ level: 'AAA', rules: [], maxDefects: -1 }).level === 'AA', 'unsupported level falls back to AA');
+    }
+
+    console.log('\n═══ Locations ═══');
+    {
+        assert(getAuditDir('run_1', TEST_DIR) === path.join(TEST_DIR, 'run_1', 'accessibility'), 'audit dir under the run');
+        assert(getExploreDir('run_1', 'guest', TEST_DIR) === path.join(TEST_DIR, 'run_1', 'accessibility', 'explore', 'guest'),
+            'explore dir per scenario');
+        assert(getExploreDir('run_1', '', TEST_DIR) === path.join(TEST_DIR, 'run_1', 'accessibility', 'explore'), 'explore dir without scenario');
+    }
+
+    console.log('\n═══ Spec Audits ═══');
+    {
+        const raw = { url: 'https://app.test/login', title: 'Login', violations: [FINDINGS.label, FINDINGS.lang], incomplete: [] };
+        const page = {
+            evaluate: async source => (typeof source === 'string' && source.includes('function runAudit')
+                ? JSON.parse(JSON.stringify(raw))
+                : {}),
+        };
+
+        const result = await auditAccessibility(page, {
+            state: 'Login Modal Open', runId: 'run_spec', scenarioId: 'guest', ticketId: 'AOTF-1',
+            keyboard: false, baseDir: TEST_DIR, config: { failOn: ['serious'] },
+        });
+        assert(result.state === 'Login Modal Open' && result.source === AUDIT_SOURCE.SPEC, 'state and source recorded');
+        assert(result.runId === 'run_spec' && result.scenarioId === 'guest' && result.ticketId === 'AOTF-1', 'run context recorded');
+        assert(result.issueCount === 2 && result.failures.length === 1, 'failures filtered by failOn');
+        assert(/^serious html-lang \(WCAG 3\.1\.1\) at document: /.test(result.failures[0]), 'failure line names rule, criterion and element');
+        assert(path.dirname(result.report.json) === getAuditDir('run_spec', TEST_DIR), 'report written to the run audit dir');
+        assert(/^login-modal-open-[a-z0-9]+\.json$/.test(path.basename(result.report.json)), 'report named after the state');
+
+        const all = await auditAccessibility(page, { runId: 'run_spec', keyboard: false, baseDir: TEST_DIR, failOn: ['critical', 'serious'] });
+        assert(all.state === 'page' && all.failures.length === 2, 'default state, failOn option');
+    }
+
+    console.log('\n═══ Reading Audits ═══');
+    {
+        const runId = 'run_read';
+        const exploreDir = getExploreDir(runId, 'guest', TEST_DIR);
+        writeReport(exploreDir, 'a11y-loaded', audit({ state: 'loaded', findings: [FINDINGS.contrast] }));
+        writeReport(exploreDir, 'exploration-notes', { notes: 'not an audit' });
+        writeReport(getExploreDir(runId, 'agent', TEST_DIR), 'a11y-loaded', audit({ state: 'agent-loaded' }));
+        const specDir = getAuditDir(runId, TEST_DIR);
+        writeReport(specDir, 'filters-open-1', audit({ state: 'filters-open', extra: { scenarioId: 'guest', source: 'spec' } }));
+        writeReport(specDir, 'filters-open-2', audit({ state: 'filters-open', extra: { scenarioId: 'agent', source: 'spec' } }));
+        writeReport(specDir, 'adhoc-3', audit({ state: 'adhoc' }));
+
+        const explored = readAuditReports(exploreDir, { source: AUDIT_SOURCE.EXPLORE });
+        assert(explored.length === 1 && explored[0].source === 'explore', 'other JSON ignored, source defaulted');
+        assert(explored[0].file === path.join(exploreDir, 'a11y-loaded.json'), 'report file recorded');
+        assert(readAuditReports(path.join(TEST_DIR, 'missing')).length === 0, 'missing dir reads as none');
+
+        const run = readRunAudits(runId, { scenarioId: 'guest', scenarioSlug: 'guest', baseDir: TEST_DIR });
+        assert(run.map(entry => entry.state).join(',') === 'loaded,adhoc,filters-open', 'exploration first, other scenarios dropped');
+        assert(run.slice(1).every(entry => entry.source === 'spec'), 'spec audits tagged');
+    }
+
+    console.log('\n═══ Defect Grouping ═══');
+    let summary;
+    {
+        const audits = [
+            audit({ state: 'loaded', findings: [FINDINGS.contrast, FINDINGS.label] }),
+            audit({ state: 'filters-open', findings: [FINDINGS.contrast, FINDINGS.button, FINDINGS.label] }),
+            audit({ state: 'search-invalid', url: 'https://app.test/search?q=', findings: [FINDINGS.label, FINDINGS.lang] }),
+            audit({ state: 'search-invalid', url: 'https://app.test/search?q=', findings: [FINDINGS.label] }),
+        ].map((entry, index) => ({ ...entry, file: `/tmp/report-${index}.json` }));
+
+        const defects = groupAccessibilityDefects(audits);
+        assert(defects.length === 4, 'one defect per rule and element');
+        const label = defects.find(defect => defect.rule === 'label');
+        assert(label.states.map(entry => entry.state).join(',') === 'loaded,filters-open,search-invalid', 'states listed once each');
+        assert(label.reports.length === 4, 'every report of the defect kept');
+        assert(label.selector === 'html > body > input.search' && label.wcag[0].criterion, 'selector and WCAG criteria carried');
+        assert(defects.find(defect => defect.rule === 'html-lang').selector === null, 'page-level defect has no selector');
+        assert(defects.map(defect => defect.id).join(',') === 'A11Y-1,A11Y-2,A11Y-3,A11Y-4', 'defects numbered');
+        const ranks = defects.map(defect => ['critical', 'serious', 'moderate', 'minor'].indexOf(defect.severity));
+        assert(ranks.every((rank, index) => index === 0 || ranks[index - 1] <= rank), 'most severe first');
+
+        summary = summarizeAccessibility(audits, { maxDefects: 3 });
+        assert(summary.audits === 4 && summary.issueCount === 4 && summary.passed === false, 'summary counts defects');
+        assert(summary.occurrenceCount === 8, 'occurrences counted per state');
+        assert(summary.defects.length === 3 && summary.truncated === 1, 'defect list capped by maxDefects');
+        assert(Object.values(summary.bySeverity).reduce((a, b) => a + b, 0) === 4, 'severity counts cover every defect');
+        assert(summary.byCriterion['1.4.3'] === 1 && summary.standard === 'WCAG 2.2' && summary.level === 'AA', 'criteria counted');
+        assert(summary.states[3].state === 'search-invalid' && summary.states[3].report === '/tmp/report-3.json', 'states keep their report');
+
+        const clean = summarizeAccessibility([audit({ state: 'loaded' })]);
+        assert(clean.passed === true && clean.defects.length === 0 && clean.truncated === 0, 'clean run passes');
+    }
+
+    console.log('\n═══ Consolidated Merge ═══');
+    {
+        const other = summarizeAccessibility([audit({ state: 'loaded', findings: [FINDINGS.lang] })]);
+        const merged = mergeAccessibilitySummaries([
+            { ticketId: 'AOTF-1', accessibility: summary },
+            { ticketId: 'AOTF-2', accessibility: other },
+            { ticketId: 'AOTF-3', accessibility: undefined },
+        ]);
+        assert(merged.tickets === 2 && merged.audits === 5 && merged.issueCount === 5, 'runs with audits merged');
+        assert(merged.defects.length === 4 && merged.defects.every((defect, index) => defect.id === `A11Y-${index + 1}`), 'defects renumbered');
+        assert(merged.defects.filter(defect => defect.ticketId === 'AOTF-2').length === 1, 'defects keep their ticket');
+        assert(merged.byCriterion['3.1.1'] === 2, 'criterion counts added up');
+        assert(mergeAccessibilitySummaries([{ ticketId: 'AOTF-3' }]) === null, 'no accessibility section without audits');
+    }
+
+    console.log('\n═══ Formatting ═══');
+    {
+        const text = formatAccessibilityDefects(summary);
+        assert(text.startsWith('WCAG 2.2 Level AA: 4 defect(s) across 4 audited state(s)'), 'headline');
+        assert(/\[A11Y-1\] \w+ · \S+ — \d\.\d\.\d+ /.test(text), 'defect line with WCAG criterion');
+        assert(text.includes('Seen in: loaded (https://app.test/search), filters-open'), 'states listed');
+        assert(text.includes('…and 1 more defect(s)'), 'truncation noted');
+
+        const issue = summary.defects.find(defect => defect.rule === 'label');
+        assert(describeIssue(issue).includes('label (WCAG ') && describeIssue(issue).includes('html > body > input.search'), 'issue line');
+    }
+
+    console.log('\n═══ Pipeline Hooks ═══');
+    {
+        const runner = (accessibility = {}) => new PipelineRunner({
+            sessionFactory: { model: 'test-model' },
+            selfHealing: null,
+            config: { sdk: { accessibility } },
+            evidenceStore: {},
+            eventBridge: { push() { } },
+        });
+        const execution = { success: true, blocking: false, message: '3/3 tests passed' };
+
+        const runId = `run_a11y_test_${Date.now()}`;
+        const evidenceDir = getAuditDir(runId);
+        const rawResultsFile = path.join(TEST_DIR, 'raw-test-results.json');
+        fs.writeFileSync(rawResultsFile, JSON.stringify({ ticketId: 'AOTF-1', runId }));
+
+        try {
+            const none = runner()._checkAccessibility({ runId, scenarioSlug: '' }, execution);
+            assert(none === execution, 'no audits leaves the result');
+
+            writeReport(evidenceDir, 'loaded-1', audit({ state: 'loaded', findings: [FINDINGS.label], extra: { source: 'spec' } }));
+            const context = { runId, scenarioSlug: '', testResults: { passed: true, rawResultsFile } };
+            const checked = runner()._checkAccessibility(context, execution);
+            assert(checked.success === true && checked.accessibility.issueCount === 1, 'defects attached, stage outcome kept');
+            assert(/— 1 accessibility defect\(s\)$/.test(checked.message) && context.a11yResults === checked.accessibility,
+                'summary on the context');
+            assert(JSON.parse(fs.readFileSync(rawResultsFile, 'utf-8')).accessibility.issueCount === 1, 'raw results carry the section');
+
+            assert(runner({ enabled: false })._checkAccessibility({ runId }, execution) === execution, 'disabled by sdk.accessibility.enabled');
+
+            const prompt = runner()._buildAccessibilityBugPrompt({ ticketId: 'AOTF-1' }, context.a11yResults);
+            assert(prompt.includes('[A11Y-1]') && prompt.includes('attach_accessibility_report_to_jira'), 'BugGenie gets defects and reports');
+            assert(prompt.includes(`- loaded: ${path.join(evidenceDir, 'loaded-1.json')}`), 'state reports listed');
+        } finally {
+            fs.rmSync(path.join(evidenceDir, '..'), { recursive: true, force: true });
+        }
+
+        const coordinator = new AgentCoordinator({ sessionFactory: {}, contextStore: null, config: {} });
+        const passing = coordinator._evaluateRoute('execute', { success: true, accessibility: { issueCount: 2 } }, { mode: 'full' });
+        assert(passing.action === ROUTE.SKIP && passing.targets.join() === 'healing', 'defects keep BugGenie after passing tests');
+        const clean = coordinator._evaluateRoute('execute', { success: true }, { mode: 'full' });
+        assert(clean.targets.join() === 'healing,buggenie', 'no defects skips BugGenie');
+        const audits = coordinator._evaluateRoute('execute', { success: false, testResults: { failedCount: 2, totalCount: 2 } }, { mode: 'a11y' });
+        assert(audits.action === ROUTE.SKIP && audits.targets.join() === 'healing', 'failing accessibility spec is not healed');
+    }
+
+    console.log('\n═══ Summary ═══');
+    console.log(`\n  Total: ${passed + failed}  |  Passed: ${passed}  |  Failed: ${failed}`);
+    if (errors.length > 0) {
+        console.log('\n  Failed tests:');
+        errors.forEach(e => console.log(`    - ${e}`));
+    }
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,350 @@
+/**
+ * Test suite for batch-planner.js and batch dependencies in run-store.js /
+ * run-queue.js
+ * Tests feature grouping through the grounding featureMap, shared
+ * exploration selection by freshness, Jira "blocks" link ordering and cycle
+ * detection, dependency-gated dispatch, blocker-failure skipping, and the
+ * consolidated batch report.
+ *
+ * Run: node agentic-workflow/sdk-orchestrator/test-batch-planner.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+    planBatch, createBatchPlan, loadBatchConfig, buildBatchReport, batchFromResults, formatBatchReport,
+    writeBatchReport, DEPENDENCY_TYPE, EXPLORATION_MODE,
+} = require('./batch-planner');
+const { RunStore, RUN_STATUS } = require('./run-store');
+const { RunQueue } = require('./run-queue');
+const { GroundingStore } = require('../grounding/grounding-store');
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`  ✓ ${label}`);
+    } else {
+        failed++;
+        errors.push(label);
+        console.log(`  ✗ ${label}`);
+    }
+}
+
+// ─── Test Helpers ────────────────────────────────────────────────────────────
+
+const TEST_DIR = path.join(os.tmpdir(), `batch-planner-test-${Date.now()}`);
+const EXPLORATION_DIR = path.join(TEST_DIR, 'agentic-workflow', 'exploration-data');
+fs.mkdirSync(EXPLORATION_DIR, { recursive: true });
+fs.writeFileSync(path.join(TEST_DIR, 'grounding-config.json'), JSON.stringify({
+    featureMap: [
+        { name: 'Property Search', pages: ['/search'], pageObjects: ['searchPanel.js'], keywords: ['search panel', 'filter'] },
+        { name: 'Property Details', pages: ['/property/:id'], pageObjects: ['propertyDetails.js'], keywords: ['property details', 'gallery'] },
+        { name: 'Planner', pages: ['/planner'], pageObjects: ['planner.js'], keywords: ['planner'] },
+    ],
+    explorationFreshness: { maxAgeDays: 14, warnAgeDays: 7 },
+}));
+
+const groundingStore = new GroundingStore({
+    projectRoot: TEST_DIR,
+    configPath: path.join(TEST_DIR, 'grounding-config.json'),
+    indexDir: path.join(TEST_DIR, 'index'),
+});
+
+/** Exploration snapshot for a ticket, `ageDays` old */
+function writeExploration(ticketId, ageDays) {
+    const filePath = path.join(EXPLORATION_DIR, `${ticketId}-exploration.json`);
+    fs.writeFileSync(filePath, JSON.stringify({ ticketId, selectorCount: 3, pagesVisited: ['/search'] }));
+    const mtime = new Date(Date.now() - ageDays * 24 * 60 * 60 * 1000);
+    fs.utimesSync(filePath, mtime, mtime);
+}
+
+function blocksLink(direction, relatedIssueKey) {
+    return {
+        type: { name: 'Blocks', inward: 'is blocked by', outward: 'blocks' },
+        direction,
+        relatedIssueKey,
+    };
+}
+
+const TICKETS = {
+    'AOTF-1': { summary: 'Search panel: add city autocomplete', labels: [], components: [] },
+    'AOTF-2': { summary: 'Filter chips on the search panel', labels: [], components: [], issueLinks: [blocksLink('inward', 'AOTF-1')] },
+    'AOTF-3': { summary: 'Photo gallery on property details', labels: [], components: [] },
+    'AOTF-4': { summary: 'Property details: agent card', labels: [], components: [], issueLinks: [blocksLink('outward', 'AOTF-3')] },
+    'AOTF-5': { summary: 'Update copyright year', labels: [], components: [], issueLinks: [blocksLink('inward', 'AOTF-99')] },
+};
+
+(async () => {
+    // ═════════════════════════════════════════════════════════════════════
+    console.log('\n═══ Feature Grouping & Ordering ═══');
+    // ═════════════════════════════════════════════════════════════════════
+
+    {
+        const plan = planBatch(['AOTF-4', 'AOTF-2', 'AOTF-3', 'AOTF-1', 'AOTF-5'], { groundingStore, tickets: TICKETS });
+
+        assert(plan.tickets['AOTF-1'].feature === 'Property Search' && plan.tickets['AOTF-2'].feature === 'Property Search',
+            'grouping: search tickets matched through keywords');
+        assert(plan.tickets['AOTF-3'].feature === 'Property Details' && plan.tickets['AOTF-4'].feature === 'Property Details',
+            'grouping: details tickets matched through name and keywords');
+        assert(plan.tickets['AOTF-5'].feature === null, 'grouping: unmatched ticket has no feature');
+        assert(plan.groups.length === 3 && plan.groups.find(g => g.feature === 'Property Search').pages[0] === '/search',
+            'grouping: one group per feature with pages from getFeatureContext');
+
+        const order = plan.order;
+        assert(order.indexOf('AOTF-1') < order.indexOf('AOTF-2'), 'ordering: "is blocked by" runs the blocker first');
+        assert(order.indexOf('AOTF-4') < order.indexOf('AOTF-3'), 'ordering: "blocks" runs the blocker first');
+        assert(order[0] === 'AOTF-4', 'ordering: requested order kept among independent tickets');
+        assert(plan.tickets['AOTF-2'].dependsOn.some(dep => dep.ticketId === 'AOTF-1' && dep.type === DEPENDENCY_TYPE.BLOCKS),
+            'ordering: blocker recorded as a dependency');
+        assert(plan.externalBlockers.length === 1 && plan.externalBlockers[0].blockedBy === 'AOTF-99',
+            'ordering: blockers outside the batch reported, not enforced');
+        assert(plan.tickets['AOTF-5'].dependsOn.length === 0, 'ordering: external blocker adds no dependency');
+    }
+
+    {
+        const plan = planBatch(['AOTF-1', 'AOTF-5'], {
+            groundingStore,
+            tickets: TICKETS,
+            features: { 'AOTF-5': 'Planner' },
+            dependencies: { 'AOTF-1': ['AOTF-5', 'AOTF-77'] },
+        });
+        assert(plan.tickets['AOTF-5'].feature === 'Planner', 'explicit feature overrides matching');
+        assert(plan.order[0] === 'AOTF-5', 'explicit dependency orders the batch');
+        assert(plan.warnings.some(warning => warning.includes('AOTF-77')), 'dependency outside the batch warned');
+    }
+
+    {
+        let error = null;
+        try {
+            planBatch(['AOTF-1', 'AOTF-2'], {
+                groundingStore,
+                tickets: TICKETS,
+                dependencies: { 'AOTF-1': ['AOTF-2'] },
+            });
+        } catch (err) {
+            error = err;
+        }
+        assert(error && /cycle/.test(error.message) && error.message.includes('AOTF-1') && error.message.includes('AOTF-2'),
+            'dependency cycle rejected with the tickets involved');
+    }
+
+    // ═════════════════════════════════════════════════════════════════════
+    console.log('\n═══ Shared Exploration ═══');
+    // ═════════════════════════════════════════════════════════════════════
+
+    {
+        const plan = planBatch(['AOTF-1', 'AOTF-2'], { groundingStore, tickets: TICKETS });
+        const group = plan.groups[0];
+        assert(group.exploration.mode === EXPLORATION_MODE.EXPLORE_ONCE && group.exploration.sourceTicketId === 'AOTF-1',
+            'no snapshot: first ticket of the group explores');
+        assert(plan.tickets['AOTF-2'].sharedExploration?.sourceTicketId === 'AOTF-1',
+            'no snapshot: others reuse the leader snapshot');
+        assert(plan.tickets['AOTF-2'].dependsOn.filter(dep => dep.ticketId === 'AOTF-1').length === 1,
+            'no snapshot: blocker dependency not duplicated by the exploration wait');
+    }
+
+    {
+        writeExploration('AOTF-3', 20);
+        writeExploration('AOTF-4', 2);
+        const plan = planBatch(['AOTF-3', 'AOTF-4'], { groundingStore, tickets: { ...TICKETS, 'AOTF-4': { ...TICKETS['AOTF-4'], issueLinks: [] } } });
+        const group = plan.groups[0];
+        assert(group.exploration.mode === EXPLORATION_MODE.REUSE && group.exploration.sourceTicketId === 'AOTF-4',
+            'fresh snapshot: group reuses it');
+        assert(group.exploration.path === 'agentic-workflow/exploration-data/AOTF-4-exploration.json'.split('/').join(path.sep),
+            'fresh snapshot: project-relative path recorded');
+        assert(plan.tickets['AOTF-3'].sharedExploration?.sourceTicketId === 'AOTF-4'
+            && plan.tickets['AOTF-3'].dependsOn.length === 0, 'fresh snapshot: stale member reuses it without waiting');
+        assert(plan.tickets['AOTF-4'].sharedExploration === null, 'fresh snapshot: source keeps its own');
+    }
+
+    {
+        const plan = planBatch(['AOTF-1', 'AOTF-2'], { groundingStore, tickets: TICKETS, shareExploration: false });
+        assert(plan.tickets['AOTF-2'].sharedExploration === null && plan.groups[0].exploration.mode === EXPLORATION_MODE.OWN,
+            'sharing disabled: every ticket explores');
+    }
+
+    {
+        const config = loadBatchConfig({ onBlockerFailure: 'run', linkTypes: ['Blocks', 'Depends'] });
+        assert(config.planning && config.onBlockerFailure === 'run' && config.linkTypes.includes('depends'),
+            'config: defaults and overrides');
+
+        const dependsLink = { type: { name: 'Depends', outward: 'depends on' }, direction: 'inward', relatedIssueKey: 'AOTF-1' };
+        const plan = await createBatchPlan(['AOTF-2', 'AOTF-1'], {
+            groundingStore,
+            tickets: { 'AOTF-1': TICKETS['AOTF-1'], 'AOTF-2': { summary: 'x', issueLinks: [dependsLink] } },
+            config,
+        });
+        assert(plan.order[0] === 'AOTF-1', 'config: custom link types order the batch');
+    }
+
+    // ═════════════════════════════════════════════════════════════════════
+    console.log('\n═══ Dependency-Gated Queue ═══');
+    // ═════════════════════════════════════════════════════════════════════
+
+    const createHarness = (storeFile, queueOptions = {}) => {
+        const runStore = new RunStore({ storePath: path.join(TEST_DIR, storeFile) });
+        const started = [];
+        const pending = new Map();
+        const events = [];
+        const queue = new RunQueue({
+            runStore,
+            maxConcurrent: 3,
+            dispatch: (run) => {
+                runStore.startRun(run.runId);
+                started.push(run.ticketId);
+                return new Promise(resolve => pending.set(run.runId, resolve));
+            },
+            onEvent: (type, run, data) => events.push({ type, ticketId: run.ticketId, data }),
+            ...queueOptions,
+        });
+        const finish = async (runId, success = true) => {
+            runStore.completeRun(runId, { success, error: success ? null : 'assertion failed' });
+            pending.get(runId)();
+            pending.delete(runId);
+            await new Promise(resolve => setImmediate(resolve));
+        };
+        return { runStore, queue, started, events, finish };
+    };
+
+    {
+        const { runStore, queue, started, finish } = createHarness('gated.json');
+        const plan = planBatch(['AOTF-2', 'AOTF-1', 'AOTF-4'], { groundingStore, tickets: TICKETS });
+        const { batchId, runs } = runStore.createBatch(['AOTF-2', 'AOTF-1', 'AOTF-4'], { mode: 'generate', plan });
+        const byTicket = Object.fromEntries(runs.map(run => [run.ticketId, run]));
+
+        assert(runs.map(run => run.ticketId).join() === plan.order.join(), 'createBatch: runs created in plan order');
+        assert(byTicket['AOTF-2'].batchPlan.dependsOn[0].runId === byTicket['AOTF-1'].runId,
+            'createBatch: dependencies resolved to run IDs');
+
+        for (const run of runs) queue.enqueue(run.runId);
+        assert(started.includes('AOTF-1') && started.includes('AOTF-4') && !started.includes('AOTF-2'),
+            'queue: dependent held while its blocker runs');
+        assert(queue.getSnapshot().queued[0].waitingOn.includes('AOTF-1'), 'queue: snapshot shows what a run waits on');
+
+        await finish(byTicket['AOTF-1'].runId);
+        assert(started.includes('AOTF-2'), 'queue: dependent dispatched once the blocker completes');
+
+        const batch = runStore.getBatch(batchId);
+        assert(batch.plan?.order.join() === plan.order.join() && batch.plan.groups.length === 2,
+            'getBatch: plan kept with the batch metadata');
+        runStore.close();
+
+        const reopened = new RunStore({ storePath: path.join(TEST_DIR, 'gated.json') });
+        assert(reopened.getBatch(batchId).plan?.order.length === 3 && reopened.getRun(byTicket['AOTF-2'].runId).batchPlan?.position === 2,
+            'batch plan survives a restart');
+        reopened.close();
+    }
+
+    {
+        const { runStore, queue, started, events, finish } = createHarness('skip.json');
+        const tickets = {
+            A: { summary: '' },
+            B: { summary: '', issueLinks: [blocksLink('inward', 'A')] },
+            C: { summary: '', issueLinks: [blocksLink('inward', 'B')] },
+            D: { summary: '' },
+        };
+        const plan = planBatch(['A', 'B', 'C', 'D'], { groundingStore, tickets });
+        const { batchId, runs } = runStore.createBatch(['A', 'B', 'C', 'D'], { plan });
+        for (const run of runs) queue.enqueue(run.runId);
+
+        await finish(runs[0].runId, false);
+        const b = runStore.getRun(runs[1].runId);
+        const c = runStore.getRun(runs[2].runId);
+        assert(b.status === RUN_STATUS.CANCELLED && /blocked by A/.test(b.error), 'failed blocker: dependent skipped with reason');
+        assert(c.status === RUN_STATUS.CANCELLED && /blocked by B/.test(c.error), 'failed blocker: skip cascades');
+        assert(!started.includes('B') && !started.includes('C'), 'failed blocker: skipped runs never dispatched');
+        assert(events.filter(event => event.type === 'skipped').length === 2, 'failed blocker: skipped events emitted');
+
+        await finish(runs[3].runId);
+        const batch = runStore.getBatch(batchId);
+        assert(batch.status === 'failed' && batch.completed === 4, 'failed blocker: batch finishes');
+
+        const report = buildBatchReport(batch);
+        assert(report.summary.cancelled === 2 && report.tickets.map(t => t.ticketId).join() === 'A,B,C,D',
+            'report: tickets in plan order with skip count');
+        const markdown = formatBatchReport(report);
+        assert(markdown.includes('| 2 | B |') && markdown.includes('blocked by A'), 'report: markdown table and failures');
+        runStore.close();
+    }
+
+    {
+        const { runStore, queue, started, finish } = createHarness('run-anyway.json', { onBlockerFailure: 'run' });
+        const plan = planBatch(['A', 'B'], { groundingStore, dependencies: { B: ['A'] } });
+        const { runs } = runStore.createBatch(['A', 'B'], { plan });
+        for (const run of runs) queue.enqueue(run.runId);
+        await finish(runs[0].runId, false);
+        assert(started.includes('B'), 'onBlockerFailure=run: dependent runs after a failed blocker');
+        runStore.close();
+    }
+
+    {
+        const { runStore, queue, started, finish } = createHarness('exploration-wait.json');
+        const plan = planBatch(['AOTF-1', 'X'], {
+            groundingStore,
+            tickets: { 'AOTF-1': TICKETS['AOTF-1'], X: { summary: 'Search panel sort order' } },
+        });
+        const { runs } = runStore.createBatch(['AOTF-1', 'X'], { plan });
+        for (const run of runs) queue.enqueue(run.runId);
+        assert(!started.includes('X'), 'exploration wait: follower waits for the group leader');
+        await finish(runs[0].runId, false);
+        assert(started.includes('X'), 'exploration wait: failed leader does not skip the follower');
+        runStore.close();
+    }
+
+    {
+        const runStore = new RunStore({ storePath: path.join(TEST_DIR, 'unplanned.json') });
+        const { batchId, runs } = runStore.createBatch(['A', 'B'], { mode: 'execute' });
+        assert(runs.every(run => run.batchPlan === null), 'unplanned batch: runs have no batch plan');
+        assert(runStore.getBatch(batchId).plan === null, 'unplanned batch: no plan on the batch');
+        assert(runStore.cancelRun(runs[0].runId) && runStore.getRun(runs[0].runId).error === 'Cancelled by user',
+            'cancelRun: default reason unchanged');
+        runStore.close();
+    }
+
+    // ═════════════════════════════════════════════════════════════════════
+    console.log('\n═══ CLI Batch Report ═══');
+    // ═════════════════════════════════════════════════════════════════════
+
+    {
+        const plan = planBatch(['AOTF-1', 'AOTF-2'], { groundingStore, tickets: TICKETS });
+        const batch = batchFromResults('batch_cli', plan, [
+            {
+                ticketId: 'AOTF-1',
+                success: true,
+                duration: '2m 3s',
+                artifacts: { testResults: { totalCount: 4, passedCount: 4 } },
+                explorationUsed: { reused: false, sourceTicketId: null },
+            },
+            {
+                ticketId: 'AOTF-2',
+                success: true,
+                artifacts: { testResults: { totalCount: 2, failedCount: 0 } },
+                explorationUsed: { reused: true, sourceTicketId: 'AOTF-1' },
+            },
+        ]);
+        const report = buildBatchReport(batch);
+        assert(report.status === 'completed' && report.summary.passed === 2, 'cli report: totals');
+        assert(report.tickets[0].tests.total === 4 && report.tickets[1].tests.passed === 2, 'cli report: test counts');
+        assert(report.summary.explorationsReused === 1, 'cli report: exploration reuse counted');
+
+        const { jsonPath, markdownPath } = writeBatchReport(report, path.join(TEST_DIR, 'reports'));
+        assert(JSON.parse(fs.readFileSync(jsonPath, 'utf-8')).batchId === 'batch_cli'
+            && fs.readFileSync(markdownPath, 'utf-8').includes('shared from AOTF-1'), 'cli report: json and markdown written');
+    }
+
+    console.log('\n═══ Summary ═══');
+    console.log(`\n  Total: ${passed + failed}  |  Passed: ${passed}  |  Failed: ${failed}`);
+    if (errors.length > 0) {
+        console.log('\n  Failed tests:');
+        errors.forEach(e => console.log(`    - ${e}`));
+    }
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+    process.exit(failed > 0 ? 1 : 0);
+})();
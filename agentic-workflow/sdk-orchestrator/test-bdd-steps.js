@@ -0,0 +1,468 @@
+/**
+ * Test suite for bdd-steps.js and grounding/step-index.js
+ * Tests the step index (Cucumber expressions, regexes, pending and similar
+ * steps), feature parsing, binding checks, the POmanager step catalog,
+ * step definition scaffolding, Gherkin in test case documents, the
+ * grounding store's step bindings, the BDD tools and the script gate.
+ *
+ * Run: node agentic-workflow/sdk-orchestrator/test-bdd-steps.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { StepIndex, expressionToRegExp, stepExpression, PENDING_STEP_MARKER } = require('../grounding/step-index');
+const {
+    loadBddConfig, writeFeatureFile, findFeatureFiles, parseFeature, featureSteps, checkStepBindings, checkFeatureBindings,
+    buildStepCatalog, suggestImplementation, generateStepDefinitions, stepDefinitionsPath, writeStepDefinitions,
+} = require('./bdd-steps');
+const { normalizeTestCaseDocument, scenarioSteps, renderGherkin } = require('./testcase-document');
+const { GroundingStore } = require('../grounding/grounding-store');
+const { createCustomTools } = require('./custom-tools');
+const { PipelineRunner } = require('./pipeline-runner');
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`  ✓ ${label}`);
+    } else {
+        failed++;
+        errors.push(label);
+        console.log(`  ✗ ${label}`);
+    }
+}
+
+// ─── Test Helpers ────────────────────────────────────────────────────────────
+
+const TEST_DIR = path.join(os.tmpdir(), `bdd-steps-test-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+const TICKET_ID = 'AOTF-16339';
+
+const EXISTING_STEPS = `
+const { createBdd } = require('playwright-bdd');
+const { Given, When, Then } = createBdd();
+
+Given('I am on the search page', async ({ page }) => {
+    await page.goto('/search');
+});
+
+When('I search for {string}', async ({ page }, text) => {
+    await page.fill('#q', text);
+});
+
+Then(/^I see (\\d+) results?$/, async ({ page }, count) => {
+    await page.waitForSelector('.result');
+});
+
+When('I open the saved searches', async () => {
+    throw new Error('${PENDING_STEP_MARKER} I open the saved searches');
+});
+`;
+
+const FEATURE = `@AOTF-16339
+Feature: Saved search filters
+
+  Background:
+    Given I am on the search page
+
+  # Comment lines are skipped
+  @TC-01 @AC-1
+  Scenario: Filter persists after reload
+    When I search for "Miami"
+    And I apply the "Pool" filter
+    Then I see 3 results
+    But the filter chip "Pool" is shown
+    """
+    When this is docstring content
+    """
+
+  @TC-02
+  Scenario Outline: Clear a filter
+    When I apply the "<filter>" filter
+    Then I see <count> results
+
+    Examples:
+      | filter | count |
+      | Pool   | 5     |
+      | Garage | 7     |
+`;
+
+const PO_MANAGER = `
+const SearchFunctions = require('../business-functions/searchFunctions');
+const SearchPanel = require('./searchPanel');
+
+class POmanager {
+    constructor(page) {
+        this.searchFunctionsInstance = new SearchFunctions(page);
+        this.searchPanelInstance = new SearchPanel(page);
+    }
+
+    searchFunctions() { return this.searchFunctionsInstance; }
+
+    searchPanel() { return this.searchPanelInstance; }
+}
+
+module.exports = { POmanager };
+`;
+
+const INVENTORY = {
+    businessFunctions: [
+        { fileName: 'searchFunctions', file: 'tests/business-functions/searchFunctions.js', methods: ['constructor', 'applyFilter', 'openSavedSearches'] },
+    ],
+    pageObjects: [
+        { fileName: 'searchPanel', file: 'tests/pageobjects/searchPanel.js', methods: ['applyFilter', 'filterChip', '_root'] },
+        { fileName: 'unmanaged', file: 'tests/pageobjects/unmanaged.js', methods: ['applyFilter'] },
+    ],
+};
+
+function bddDirs(name) {
+    const root = path.join(TEST_DIR, name);
+    return {
+        root,
+        config: loadBddConfig({
+            enabled: true,
+            featuresDir: path.join(root, 'features'),
+            stepsDir: path.join(root, 'steps'),
+            pageObjectsDir: path.join(root, 'pageobjects'),
+        }),
+    };
+}
+
+function sampleDocument(overrides = {}) {
+    return normalizeTestCaseDocument({
+        ticketId: TICKET_ID,
+        ticket: { title: 'Saved search filters' },
+        acceptanceCriteria: [
+            'Given I am on the search page\nWhen I search for "Miami"\nThen I see 3 results',
+            'Filters can be cleared',
+        ],
+        testCases: [
+            {
+                id: 'TC-01',
+                title: 'Search by city',
+                acceptanceCriteria: ['AC-1'],
+                steps: [{ action: 'Search for Miami', expected: 'Results are shown' }],
+            },
+            {
+                id: 'TC-02',
+                title: 'Clear a filter',
+                acceptanceCriteria: ['AC-2'],
+                gherkin: 'Given I am on the search page\nWhen I apply the "Pool" filter\nAnd I clear the "Pool" filter\nThen I see 5 results',
+                steps: [{ action: 'Clear the Pool filter', expected: 'All results are shown' }],
+            },
+        ],
+        ...overrides,
+    });
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+async function main() {
+    console.log('\n═══ Cucumber Expressions ═══');
+    {
+        assert(expressionToRegExp('I search for {string}').test('I search for "Miami"'), '{string} matches double quotes');
+        assert(expressionToRegExp('I search for {string}').test('I search for \'Miami\''), '{string} matches single quotes');
+        assert(!expressionToRegExp('I search for {string}').test('I search for Miami'), '{string} needs quotes');
+        assert(expressionToRegExp('I see {int} result(s)').test('I see 1 result') && expressionToRegExp('I see {int} result(s)').test('I see 3 results'), 'optional text');
+        assert(expressionToRegExp('I click/tap the button').test('I tap the button'), 'alternatives');
+        assert(expressionToRegExp('the price is {float}').test('the price is 9.99'), '{float}');
+        assert(expressionToRegExp('I open \\(advanced\\) search').test('I open (advanced) search'), 'escaped parentheses are literal');
+        assert(!expressionToRegExp('I open the page').test('I open the page now'), 'anchored at both ends');
+
+        assert(stepExpression('I apply the "Pool" filter').expression === 'I apply the {string} filter', 'quoted value becomes {string}');
+        const numbers = stepExpression('I see 3 results under 2.5 miles');
+        assert(numbers.expression === 'I see {int} results under {float} miles' && numbers.parameters.join() === 'int,float', 'numbers become {int} and {float}');
+        assert(stepExpression('I open TC-01 in tab 2').expression === 'I open TC-01 in tab {int}', 'numbers inside words are kept');
+        assert(stepExpression('I open (advanced) search').expression === 'I open \\(advanced\\) search', 'parentheses escaped');
+    }
+
+    console.log('\n═══ Step Index ═══');
+    const index = new StepIndex();
+    {
+        const added = index.addSource(EXISTING_STEPS, 'tests/steps/search.steps.js');
+        assert(added.length === 4, 'four definitions indexed');
+        assert(added[2].kind === 'regex' && added[2].pattern === '^I see (\\d+) results?$', 'regex definition');
+        assert(added[0].line === 5 && added[0].file === 'tests/steps/search.steps.js', 'file and line recorded');
+        assert(added[3].pending === true && added.slice(0, 3).every(entry => !entry.pending), 'pending body flagged');
+
+        assert(index.match('I search for "Boca Raton"').pattern === 'I search for {string}', 'expression binding');
+        assert(index.match('I see 1 result').kind === 'regex', 'regex binding');
+        assert(index.match('I search Miami') === null, 'no binding');
+
+        const similar = index.findSimilar('I search again for "Tampa" homes', { threshold: 0.2 });
+        assert(similar[0]?.pattern === 'I search for {string}' && similar[0].similarity > 0, 'similar wording found');
+        assert(index.findSimilar('completely unrelated words').length === 0, 'nothing similar');
+        assert(index.getStats().steps === 4 && index.getStats().files === 1 && index.getStats().pending === 1, 'stats');
+
+        const restored = StepIndex.fromJSON(JSON.parse(JSON.stringify(index.toJSON())));
+        assert(restored.match('I see 12 results')?.pattern === index.match('I see 12 results').pattern, 'round trip through JSON');
+
+        const stepsDir = path.join(TEST_DIR, 'index', 'tests', 'steps');
+        fs.mkdirSync(path.join(stepsDir, 'nested'), { recursive: true });
+        fs.writeFileSync(path.join(stepsDir, 'nested', 'search.steps.js'), EXISTING_STEPS);
+        fs.writeFileSync(path.join(stepsDir, 'notes.md'), 'Given(\'not a step file\')');
+        const fromFiles = new StepIndex();
+        assert(fromFiles.buildFromStepFiles(stepsDir, { projectRoot: path.join(TEST_DIR, 'index') }) === 4, 'only .js files indexed');
+        assert(fromFiles.entries[0].file === 'tests/steps/nested/search.steps.js', 'paths relative to the project root');
+        assert(new StepIndex().buildFromStepFiles(path.join(TEST_DIR, 'missing')) === 0, 'missing directory');
+    }
+
+    console.log('\n═══ Feature Parsing ═══');
+    const feature = parseFeature(FEATURE, 'tests/features/search.feature');
+    {
+        assert(feature.name === 'Saved search filters' && feature.tags.join() === 'AOTF-16339', 'feature name and tags');
+        assert(feature.background.length === 1 && feature.background[0].text === 'I am on the search page', 'background steps');
+        assert(feature.scenarios.length === 3, 'outline expanded per examples row');
+        const [first, example1, example2] = feature.scenarios;
+        assert(first.tags.join() === 'AOTF-16339,TC-01,AC-1', 'scenario tags include the feature\'s');
+        assert(first.steps.map(step => step.type).join() === 'When,When,Then,Then', 'And / But take the previous keyword');
+        assert(!first.steps.some(step => /docstring/.test(step.text)), 'docstrings skipped');
+        assert(example1.name === 'Clear a filter (example 1)' && example1.steps[0].text === 'I apply the "Pool" filter', 'placeholders filled in');
+        assert(example2.steps[1].text === 'I see 7 results', 'second examples row');
+
+        const steps = featureSteps([feature]);
+        const background = steps.find(step => step.text === 'I am on the search page');
+        assert(background.scenarios.length === 3, 'background step used by every scenario');
+        assert(steps.filter(step => step.text === 'I apply the "Pool" filter').length === 1, 'steps are unique');
+    }
+
+    console.log('\n═══ Binding Check ═══');
+    {
+        const result = checkStepBindings([feature], index);
+        assert(result.total === 8 && result.passed === false, 'unbound steps fail the check');
+        assert(result.bound.length === 5, 'bound steps');
+        assert(result.unbound.map(step => step.text).join('|') === 'I apply the "Pool" filter|the filter chip "Pool" is shown|I apply the "Garage" filter', 'unbound steps listed');
+
+        const extra = new StepIndex();
+        extra.addSource(EXISTING_STEPS, 'a.steps.js');
+        extra.addSource('Then(\'I see {int} results\', async () => {});', 'b.steps.js');
+        const pending = parseFeature('Feature: F\n  Scenario: S\n    When I open the saved searches\n    Then I see 2 results\n');
+        const check = checkStepBindings([pending], extra);
+        assert(check.pending.length === 1 && check.pending[0].binding.file === 'a.steps.js', 'pending definition');
+        assert(check.ambiguous.length === 1 && check.ambiguous[0].bindings.length === 2, 'two definitions are ambiguous');
+        assert(checkStepBindings([parseFeature('Feature: F\n  Scenario: S\n    Given I am on the search page\n')], index).passed === true, 'fully bound feature passes');
+    }
+
+    console.log('\n═══ Step Catalog ═══');
+    const catalog = buildStepCatalog(INVENTORY, PO_MANAGER);
+    {
+        assert(catalog.length === 4, 'methods reachable through POmanager');
+        assert(!catalog.some(entry => entry.method === 'constructor' || entry.method.startsWith('_')), 'constructor and private methods skipped');
+        assert(!catalog.some(entry => entry.file.includes('unmanaged')), 'files without an accessor skipped');
+
+        const suggestion = suggestImplementation('I apply the "Pool" filter', catalog);
+        assert(suggestion.accessor === 'searchFunctions' && suggestion.kind === 'businessFunction', 'business function wins a tie');
+        assert(suggestion.call === 'await poManager.searchFunctions().applyFilter()', 'suggested call');
+        assert(suggestImplementation('I open saved searches', catalog).method === 'openSavedSearches', 'best name match');
+        assert(suggestImplementation('the checkout total is shown', catalog) === null, 'no suggestion below the threshold');
+    }
+
+    console.log('\n═══ Step Definitions ═══');
+    {
+        const generated = generateStepDefinitions([feature], { stepIndex: index, catalog, ticketId: TICKET_ID });
+        assert(generated.reused.length === 5, 'bound steps reused');
+        assert(generated.steps.map(step => step.expression).join('|') === 'I apply the {string} filter|the filter chip {string} is shown', 'one definition per expression');
+        assert(generated.content.includes('const { When, Then } = createBdd();'), 'imports only the keywords used');
+        assert(generated.content.includes('When(\'I apply the {string} filter\', async ({ page }, text) => {'), 'parameters named');
+        assert(generated.content.includes('// Suggested: await poManager.searchFunctions().applyFilter();'), 'suggested call in the body');
+        assert(generated.content.includes(`throw new Error('${PENDING_STEP_MARKER} I apply the {string} filter');`), 'pending body');
+
+        const scaffolded = new StepIndex();
+        scaffolded.addSource(generated.content, 'generated.steps.js');
+        assert(scaffolded.entries.length === 2 && scaffolded.entries.every(entry => entry.pending), 'scaffolds index as pending');
+        assert(scaffolded.match('I apply the "Garage" filter') !== null, 'scaffold binds every value');
+
+        const { root, config } = bddDirs('write');
+        const featurePath = path.join(config.featuresDir, `${TICKET_ID}-test-cases.feature`);
+        fs.mkdirSync(config.featuresDir, { recursive: true });
+        fs.writeFileSync(featurePath, FEATURE);
+        fs.mkdirSync(config.stepsDir, { recursive: true });
+        fs.writeFileSync(path.join(config.stepsDir, 'search.steps.js'), EXISTING_STEPS);
+
+        const first = writeStepDefinitions({ ticketId: TICKET_ID, featurePaths: [featurePath], catalog, config, projectRoot: root });
+        assert(first.path === stepDefinitionsPath(TICKET_ID, { config, projectRoot: root }) && first.path.endsWith('aotf-16339.steps.js'), 'written to the ticket\'s steps file');
+        assert(first.written === true && first.steps.length === 2 && first.reused.length === 5, 'scaffolded and reused steps');
+        const written = fs.readFileSync(first.path, 'utf-8');
+        assert(written.includes('require(\'../pageobjects/POmanager\')'), 'POmanager required relative to the steps file');
+
+        const again = writeStepDefinitions({ ticketId: TICKET_ID, featurePaths: [featurePath], catalog, config, projectRoot: root });
+        assert(again.written === false && again.reused.length === 8, 'second run reuses its own scaffolds');
+
+        fs.appendFileSync(featurePath, '\n  Scenario: Share\n    When I share the search\n');
+        const appended = writeStepDefinitions({ ticketId: TICKET_ID, featurePaths: [featurePath], catalog, config, projectRoot: root });
+        const content = fs.readFileSync(first.path, 'utf-8');
+        assert(appended.steps.length === 1 && content.startsWith(written), 'new steps appended');
+        assert(content.match(/createBdd\(\)/g).length === 1, 'header written once');
+
+        const bindings = checkFeatureBindings([featurePath], { config, projectRoot: root });
+        assert(bindings.passed === false && bindings.pending.length === 4 && bindings.unbound.length === 0, 'scaffolds are pending until implemented');
+        assert(bindings.features[0] === 'features/AOTF-16339-test-cases.feature' && /4 pending of 9/.test(bindings.message), 'features and message');
+
+        fs.writeFileSync(first.path, content.replace(/throw new Error\('Pending step: [^']*'\);/g, 'await poManager.searchFunctions().applyFilter();'));
+        assert(checkFeatureBindings([featurePath], { config, projectRoot: root }).passed === true, 'implemented steps pass');
+    }
+
+    console.log('\n═══ Gherkin in Test Case Documents ═══');
+    {
+        const { document, errors: problems } = sampleDocument();
+        assert(problems.length === 0, 'document with gherkin is valid');
+        assert(document.testCases[1].gherkin[2].keyword === 'And' && document.testCases[1].gherkin[2].text === 'I clear the "Pool" filter', 'gherkin text parsed');
+        assert(scenarioSteps(document.testCases[0], document.acceptanceCriteria).map(step => step.keyword).join() === 'Given,When,Then', 'steps from a Given/When/Then criterion');
+        assert(scenarioSteps({ acceptanceCriteria: ['AC-2'] }, document.acceptanceCriteria) === null, 'plain criterion has no steps');
+
+        const gherkin = renderGherkin(document);
+        assert(gherkin.includes('  Scenario: Search by city\n    Given I am on the search page\n    When I search for "Miami"\n    Then I see 3 results'), 'criterion wording rendered');
+        assert(gherkin.includes('    And I clear the "Pool" filter'), 'case gherkin rendered');
+
+        const invalid = normalizeTestCaseDocument({
+            ticketId: TICKET_ID,
+            testCases: [{ id: 'TC-01', title: 'T', gherkin: [{ keyword: 'And', text: 'x' }, { keyword: 'Whenever', text: 'y' }], steps: [{ action: 'a', expected: 'b' }] }],
+        });
+        assert(invalid.errors.some(error => /And/.test(error)) && invalid.errors.some(error => /Whenever/.test(error)), 'invalid gherkin reported');
+
+        const { root, config } = bddDirs('features');
+        const featurePath = writeFeatureFile({ ...document, scenarioSlug: 'saved-search' }, { config, projectRoot: root });
+        assert(path.basename(featurePath) === `${TICKET_ID}-saved-search-test-cases.feature` && fs.existsSync(featurePath), 'feature file written');
+        fs.writeFileSync(path.join(config.featuresDir, 'AOTF-1-test-cases.feature'), 'Feature: other');
+        assert(findFeatureFiles(TICKET_ID, { config, projectRoot: root }).join() === featurePath, 'features found per ticket');
+        assert(parseFeature(fs.readFileSync(featurePath, 'utf-8')).scenarios.length === 2, 'written feature parses');
+    }
+
+    console.log('\n═══ Grounding Store ═══');
+    {
+        const root = path.join(TEST_DIR, 'grounding');
+        fs.mkdirSync(path.join(root, 'tests', 'steps'), { recursive: true });
+        fs.writeFileSync(path.join(root, 'tests', 'steps', 'search.steps.js'), EXISTING_STEPS);
+        fs.writeFileSync(path.join(root, 'grounding-config.json'), JSON.stringify({
+            project: { name: 'test' },
+            indexSources: [{ path: 'tests/steps', type: 'stepDefinition' }],
+        }));
+        const options = { projectRoot: root, configPath: path.join(root, 'grounding-config.json'), indexDir: path.join(root, 'index') };
+        const store = new GroundingStore(options);
+        store.buildIndex();
+        assert(store.getStats().steps?.steps === 4, 'step index built with the grounding index');
+        assert(fs.existsSync(path.join(root, 'index', 'step-index.json')), 'step index persisted');
+
+        const reloaded = new GroundingStore(options);
+        const found = reloaded.findStepBindings('I search for "Miami"');
+        assert(found.bindings.length === 1 && found.bindings[0].file === 'tests/steps/search.steps.js', 'bindings from the persisted index');
+        const missing = reloaded.findStepBindings('I search again for "Tampa"', { threshold: 0.3 });
+        assert(missing.bindings.length === 0 && missing.similar[0]?.pattern === 'I search for {string}', 'similar steps when unbound');
+
+        const defineTool = (name, config) => ({ name, config });
+        const tool = createCustomTools(defineTool, 'testgenie', { groundingStore: reloaded }).find(entry => entry.name === 'find_step_bindings');
+        const result = JSON.parse(await tool.config.handler({ steps: ['I see 2 results', 'I open the saved searches'] }));
+        assert(result.success === true && result.bound === 1 && result.total === 2, 'find_step_bindings counts usable bindings');
+        assert(result.steps[1].bindings[0].pending === true, 'pending binding reported');
+    }
+
+    console.log('\n═══ Tools ═══');
+    {
+        const defineTool = (name, config) => ({ name, config });
+        const scriptTools = createCustomTools(defineTool, 'scriptgenerator', {});
+        assert(scriptTools.some(tool => tool.name === 'generate_step_definitions'), 'generate_step_definitions registered for scriptgenerator');
+        assert(!createCustomTools(defineTool, 'testgenie', {}).some(tool => tool.name === 'generate_step_definitions'), 'not registered for testgenie');
+
+        const { root, config } = bddDirs('tools');
+        const bdd = { enabled: true, featuresDir: config.featuresDir, stepsDir: config.stepsDir, pageObjectsDir: config.pageObjectsDir };
+        const tools = createCustomTools(defineTool, 'scriptgenerator', { config: { sdk: { bdd } } });
+        const generate = tools.find(tool => tool.name === 'generate_step_definitions');
+        const gate = tools.find(tool => tool.name === 'run_quality_gate');
+
+        const none = JSON.parse(await generate.config.handler({ ticketId: TICKET_ID }));
+        assert(none.success === false && /No feature files/.test(none.error), 'no features for the ticket');
+
+        const featurePath = writeFeatureFile(sampleDocument().document, { config, projectRoot: root });
+        const result = JSON.parse(await generate.config.handler({ ticketId: TICKET_ID }));
+        assert(result.success === true && result.written === true && result.features[0] === featurePath, 'scaffolded from the ticket\'s features');
+        assert(result.pending.length === 5 && result.pending.every(step => step.expression), 'pending steps listed');
+
+        const failing = JSON.parse(await gate.config.handler({ gate: 'bdd', artifactPath: featurePath, ticketId: TICKET_ID }));
+        assert(failing.passed === false && failing.pending.length === 6, 'bdd gate fails on pending steps');
+        const byTicket = JSON.parse(await gate.config.handler({ gate: 'bdd', artifactPath: '', ticketId: TICKET_ID }));
+        assert(byTicket.total === failing.total, 'bdd gate finds the ticket\'s features');
+    }
+
+    console.log('\n═══ Script Gate ═══');
+    {
+        const { root, config } = bddDirs('pipeline');
+        const runner = (bdd) => {
+            const instance = new PipelineRunner({
+                sessionFactory: { model: 'test-model' },
+                selfHealing: null,
+                config: { sdk: { bdd } },
+                evidenceStore: {},
+                eventBridge: { push() { } },
+            });
+            instance._log = () => { };
+            instance.projectRoot = root;
+            return instance;
+        };
+        const bdd = { enabled: true, featuresDir: config.featuresDir, stepsDir: config.stepsDir, pageObjectsDir: config.pageObjectsDir };
+
+        const featurePath = writeFeatureFile(sampleDocument().document, { config, projectRoot: root });
+        const specPath = path.join(root, 'search.spec.js');
+        fs.writeFileSync(specPath, '');
+        const context = { ticketId: TICKET_ID, specPath, featurePath };
+        const validSpec = () => ({ valid: true, errors: [], warnings: [] });
+        const validateScript = require('../scripts/validate-script');
+        const original = validateScript.validateGeneratedScript;
+        validateScript.validateGeneratedScript = validSpec;
+        try {
+            const blocked = await runner(bdd)._runQualityGate('script', context);
+            assert(blocked.success === false && blocked.blocking === true, 'unbound steps block the script gate');
+            assert(blocked.stepBindings.unbound.includes('Given I am on the search page') && /Step binding check failed/.test(blocked.message), 'unbound steps reported');
+
+            const warned = await runner({ ...bdd, failOnUnboundSteps: false })._runQualityGate('script', context);
+            assert(warned.success === true && warned.warnings.some(warning => /unbound/.test(warning)), 'warning only with failOnUnboundSteps off');
+
+            const disabled = await runner({ ...bdd, enabled: false })._runQualityGate('script', context);
+            assert(disabled.success === true && disabled.stepBindings === undefined, 'no check with bdd disabled');
+
+            const stepsPath = stepDefinitionsPath(TICKET_ID, { config, projectRoot: root });
+            fs.mkdirSync(path.dirname(stepsPath), { recursive: true });
+            fs.writeFileSync(stepsPath, [
+                'Given(\'I am on the search page\', async () => {});',
+                'When(\'I search for {string}\', async () => {});',
+                'When(\'I apply the {string} filter\', async () => {});',
+                'When(\'I clear the {string} filter\', async () => {});',
+                'Then(\'I see {int} results\', async () => {});',
+            ].join('\n'));
+            const bound = await runner(bdd)._runQualityGate('script', context);
+            assert(bound.success === true && /All 6 feature step\(s\) are bound/.test(bound.message), 'bound feature passes');
+
+            const collected = runner(bdd)._collectStepDefinitions(context, { success: true });
+            assert(collected.stepDefinitions === stepsPath && context.stepsPath === stepsPath, 'step definitions recorded after ScriptGenerator');
+            assert(runner(bdd)._describeBddTask(context).includes('generate_step_definitions'), 'ScriptGenerator told to write step definitions');
+            assert(runner(bdd)._describeBddTask({ ticketId: TICKET_ID }) === '', 'no BDD task without a feature');
+
+            const snapshot = runner(bdd)._buildResumeSnapshot(context, []);
+            const resumed = { ticketId: TICKET_ID, contextStore: { importFrom: () => 0, addNote() { } } };
+            runner(bdd)._applyResumeState(resumed, { ...snapshot, artifacts: { ...snapshot.artifacts, testCasesPath: featurePath } });
+            assert(resumed.featurePath === featurePath && resumed.stepsPath === stepsPath, 'feature and steps restored on resume');
+        } finally {
+            validateScript.validateGeneratedScript = original;
+        }
+    }
+
+    console.log('\n═══ Summary ═══');
+    console.log(`\n  Total: ${passed + failed}  |  Passed: ${passed}  |  Failed: ${failed}`);
+    if (errors.length > 0) {
+        console.log('\n  Failed tests:');
+        errors.forEach(e => console.log(`    - ${e}`));
+    }
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,315 @@
+/**
+ * Test suite for cost-accounting.js
+ * Tests config parsing, pricing lookup, per-stage/agent booking with retries,
+ * abort and downgrade budgets (including the hard limit), wall-time budgets
+ * enforced by PipelineRunner._executeStage, usage metering in
+ * AgentSessionFactory.sendAndWait (reported and estimated tokens), RunStore
+ * usage merging and the cost report groups.
+ *
+ * Run: node agentic-workflow/sdk-orchestrator/test-cost-accounting.js
+ */
+
+const {
+    loadCostConfig, resolvePricing, estimateCost, estimateTokens,
+    RunUsage, runWithUsage, getActiveUsage, getActiveStage,
+    mergeUsage, isoWeek, buildCostReport, UNATTRIBUTED_STAGE,
+} = require('./cost-accounting');
+const { getDowngradeModel, FALLBACK_MODEL_GROUPS } = require('./model-catalog');
+const { PipelineRunner } = require('./pipeline-runner');
+const { AgentSessionFactory } = require('./agent-sessions');
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`  ✓ ${label}`);
+    } else {
+        failed++;
+        errors.push(label);
+        console.log(`  ✗ ${label}`);
+    }
+}
+
+// ─── Test Helpers ────────────────────────────────────────────────────────────
+
+const PRICING = {
+    default: { input: 3, output: 15 },
+    'gpt-5-mini': { input: 0.25, output: 2 },
+    'claude-sonnet': { input: 3, output: 15 },
+    'claude-haiku': { input: 1, output: 5 },
+};
+
+function costConfig(overrides = {}) {
+    return loadCostConfig({ pricing: PRICING, ...overrides });
+}
+
+function ledger(overrides = {}, options = {}) {
+    return new RunUsage({ runId: 'run_1', ticketId: 'AOTF-1', model: 'claude-sonnet-4.5', config: costConfig(overrides), ...options });
+}
+
+function runner(dispatch) {
+    const instance = Object.create(PipelineRunner.prototype);
+    instance.verbose = false;
+    instance._dispatchStage = dispatch;
+    return instance;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+async function main() {
+    console.log('\n═══ Config & Pricing ═══');
+    {
+        const config = loadCostConfig({
+            pricing: { _comment: 'x', ...PRICING },
+            budgets: { run: { maxTokens: 1000, maxCostUsd: 0 }, stages: { _comment: 'x', healing: { maxWallTimeMs: 5000 } } },
+            onBudgetExceeded: 'downgrade',
+            hardLimitFactor: 0.5,
+        });
+        assert(!config.pricing._comment && !config.budgets.stages._comment, 'config: _comment keys ignored');
+        assert(config.budgets.run.maxTokens === 1000 && config.budgets.run.maxCostUsd === null, 'config: zero budgets are unlimited');
+        assert(config.budgets.stages.healing.maxWallTimeMs === 5000, 'config: stage budgets parsed');
+        assert(config.onBudgetExceeded === 'downgrade' && config.hardLimitFactor === 2, 'config: policy kept, invalid hard limit defaulted');
+        assert(loadCostConfig({ onBudgetExceeded: 'shrug' }).onBudgetExceeded === 'abort', 'config: unknown policy falls back to abort');
+
+        assert(resolvePricing('claude-sonnet-4.5', PRICING) === PRICING['claude-sonnet'], 'pricing: longest prefix match');
+        assert(resolvePricing('gpt-5-mini', PRICING) === PRICING['gpt-5-mini'], 'pricing: exact match');
+        assert(resolvePricing('gemini-3-pro', PRICING) === PRICING.default, 'pricing: default for unknown models');
+        assert(resolvePricing('x', {}) === null && estimateCost('x', 10, 10, {}) === 0, 'pricing: no rates costs nothing');
+        assert(Math.abs(estimateCost('claude-sonnet-4', 1e6, 1e5, PRICING) - 4.5) < 1e-9, 'pricing: cost per 1M tokens');
+        assert(estimateTokens('abcdefgh') === 2 && estimateTokens(9) === 3, 'pricing: ~4 chars per token');
+    }
+
+    console.log('\n═══ Downgrade Paths ═══');
+    {
+        assert(getDowngradeModel('claude-opus-4.6') === 'claude-sonnet-4.5', 'downgrade: opus → sonnet');
+        assert(getDowngradeModel('claude-haiku-4.5') === null, 'downgrade: nothing below the cheapest model');
+        const groups = FALLBACK_MODEL_GROUPS.map(group => ({
+            ...group,
+            models: group.models.map(model => ({ ...model, available: model.value !== 'gpt-5.1' })),
+        }));
+        assert(getDowngradeModel('gpt-5.4', groups) === 'gpt-5-mini', 'downgrade: unavailable step skipped');
+        assert(getDowngradeModel('custom-big', undefined, { 'custom-big': 'custom-small' }) === 'custom-small', 'downgrade: configured override');
+        assert(getDowngradeModel('a', undefined, { a: 'b', b: 'a' }) === 'b', 'downgrade: cycle does not loop');
+    }
+
+    console.log('\n═══ Booking ═══');
+    {
+        const usage = ledger();
+        usage.beginStage('scriptgenerator');
+        usage.recordCall({ stage: 'scriptgenerator', agent: 'scriptgenerator', inputTokens: 1000, outputTokens: 200, toolCalls: 3, durationMs: 50 });
+        usage.endStage('scriptgenerator');
+        usage.beginStage('scriptgenerator');
+        usage.recordCall({ stage: 'scriptgenerator', agent: 'cognitive-analyst', model: 'claude-haiku-4.5', inputTokens: 500, outputTokens: 100, estimated: true });
+        usage.endStage('scriptgenerator');
+        usage.recordCall({ agent: 'supervisor', inputTokens: 10, outputTokens: 10 });
+
+        const summary = usage.toJSON();
+        const stage = summary.stages.find(s => s.stage === 'scriptgenerator');
+        assert(stage.inputTokens === 1500 && stage.outputTokens === 300 && stage.toolCalls === 3, 'booking: tokens and tool calls per stage');
+        assert(stage.attempts === 2 && stage.retries === 1, 'booking: second execution counted as retry');
+        assert(stage.models.join() === 'claude-sonnet-4.5,claude-haiku-4.5' && stage.model === 'claude-haiku-4.5', 'booking: models per stage');
+        assert(stage.estimatedCalls === 1 && summary.totals.calls === 3, 'booking: estimated calls flagged');
+        assert(summary.stages.some(s => s.stage === UNATTRIBUTED_STAGE), 'booking: calls outside stages go to orchestration');
+        assert(summary.agents.length === 3 && summary.agents.find(a => a.agent === 'scriptgenerator').durationMs === 50, 'booking: per-agent usage');
+        assert(Math.abs(summary.totals.costUsd - (0.006 + 0.001 + 0.00018)) < 1e-9, 'booking: cost uses the model of each call');
+        assert(!('_startedAt' in stage) && stage.wallTimeMs >= 0, 'booking: internal timing not serialized');
+    }
+
+    console.log('\n═══ Budgets ═══');
+    {
+        const usage = ledger({ budgets: { run: { maxTokens: 1000 } } });
+        usage.recordCall({ inputTokens: 900, outputTokens: 50 });
+        assert(!usage.abortReason, 'abort: within budget');
+        usage.recordCall({ inputTokens: 100, outputTokens: 10 });
+        assert(/Run maxTokens budget exceeded/.test(usage.abortReason), 'abort: run token budget');
+        let threw = null;
+        try { usage.assertWithinBudget(); } catch (err) { threw = err; }
+        assert(threw && /Budget exceeded/.test(threw.message), 'abort: further calls refused');
+        assert(usage.toJSON().budget.aborted && usage.breaches.length === 1, 'abort: breach recorded');
+    }
+    {
+        const usage = ledger({ budgets: { stages: { healing: { maxCostUsd: 0.01 } } }, onBudgetExceeded: 'downgrade' });
+        usage.recordCall({ stage: 'execute', inputTokens: 10000 });
+        assert(!usage.abortReason && !usage.modelOverride, 'downgrade: other stages not limited by a stage budget');
+        usage.recordCall({ stage: 'healing', inputTokens: 5000 });
+        assert(usage.activeModel === 'claude-haiku-4.5' && !usage.abortReason, 'downgrade: stage breach switches to the cheaper model');
+        assert(usage.events[0].type === 'downgrade' && usage.events[0].from === 'claude-sonnet-4.5', 'downgrade: event recorded');
+        usage.recordCall({ stage: 'healing', model: 'claude-haiku-4.5', inputTokens: 4000 });
+        assert(!usage.abortReason, 'downgrade: keeps running below the hard limit');
+        usage.recordCall({ stage: 'healing', model: 'claude-haiku-4.5', inputTokens: 7000 });
+        assert(/2× after downgrade/.test(usage.abortReason || ''), 'downgrade: aborts at hardLimitFactor × budget');
+    }
+    {
+        const usage = ledger({ budgets: { run: { maxToolCalls: 2 } }, onBudgetExceeded: 'downgrade' }, { model: 'claude-haiku-4.5' });
+        usage.recordCall({ toolCalls: 3 });
+        assert(/maxToolCalls/.test(usage.abortReason || ''), 'downgrade: aborts when nothing cheaper is left');
+    }
+
+    console.log('\n═══ Wall Time ═══');
+    {
+        const usage = ledger({ budgets: { stages: { execute: { maxWallTimeMs: 30 } } } });
+        let lateCall = null;
+        const slow = runner(async () => {
+            await sleep(80);
+            try {
+                getActiveUsage().assertWithinBudget(getActiveStage());
+            } catch (err) {
+                lateCall = err;
+            }
+            return { success: true };
+        });
+        const result = await runWithUsage(usage, () => slow._executeStage('execute', {}, () => { }));
+        assert(!result.success && result.blocking && result.budgetExceeded, 'wall time: stage timed out as blocking failure');
+        assert(/wall-time budget/.test(result.error) && !usage.abortReason, 'wall time: stage timeout does not abort the run');
+        await sleep(100);
+        assert(lateCall && /ran out of wall time/.test(lateCall.message), 'wall time: abandoned stage calls refused');
+
+        const retry = await runWithUsage(usage, () => slow._executeStage('execute', {}, () => { }));
+        assert(retry.budgetExceeded && usage.toJSON().stages[0].retries === 1, 'wall time: retry with no time left fails immediately');
+    }
+    {
+        const usage = ledger({ budgets: { run: { maxWallTimeMs: 20 } } });
+        const slow = runner(async () => { await sleep(60); return { success: true }; });
+        const result = await runWithUsage(usage, () => slow._executeStage('testgenie', {}, () => { }));
+        assert(result.budgetExceeded && /Run wall-time budget/.test(usage.abortReason || ''), 'wall time: run budget aborts the run');
+        const next = await runWithUsage(usage, () => runner(async () => ({ success: true }))._executeStage('report', {}, () => { }));
+        assert(!next.success && next.blocking, 'wall time: later stages blocked after abort');
+    }
+    {
+        const usage = ledger({ budgets: { run: { maxTokens: 10 } } });
+        const stageRunner = runner(async () => {
+            getActiveUsage().recordCall({ stage: getActiveStage(), inputTokens: 50 });
+            return { success: false, blocking: false, error: 'agent failed' };
+        });
+        const result = await runWithUsage(usage, () => stageRunner._executeStage('testgenie', {}, () => { }));
+        assert(result.blocking && /Budget exceeded/.test(result.error), 'abort: non-blocking stage failure made blocking');
+        const plain = await runner(async () => ({ success: true }))._executeStage('report', {}, () => { });
+        assert(plain.success, 'stage: runs unmetered without an active ledger');
+    }
+
+    console.log('\n═══ Session Metering ═══');
+    {
+        const created = [];
+        function fakeSession(events) {
+            const handlers = {};
+            return {
+                sessionId: `s${created.length}`,
+                on(type, handler) {
+                    (handlers[type] = handlers[type] || []).push(handler);
+                    return () => { };
+                },
+                async sendAndWait() {
+                    for (const [type, data] of events) {
+                        for (const handler of handlers[type] || []) handler({ type, data });
+                    }
+                    return { data: { content: 'x'.repeat(40) } };
+                },
+            };
+        }
+        let nextEvents = [];
+        const factory = new AgentSessionFactory({
+            client: {
+                async createSession(config) {
+                    created.push(config);
+                    return fakeSession(nextEvents);
+                },
+            },
+            model: 'gpt-4o',
+            config: { sdk: { grounding: { enabled: false } } },
+        });
+
+        const usage = ledger({}, { model: 'claude-sonnet-4.5' });
+        await runWithUsage(usage, async () => {
+            nextEvents = [
+                ['tool.execution_start', { toolName: 'read_file' }],
+                ['assistant.usage', { model: 'claude-sonnet-4.5', inputTokens: 1200, outputTokens: 80 }],
+                ['assistant.usage', { model: 'claude-sonnet-4.5', inputTokens: 1500, outputTokens: 40 }],
+            ];
+            const reported = await factory.createLightweightSession('testgenie-mini', 'system');
+            await reported.sendAndWait('hello');
+
+            nextEvents = [];
+            const estimated = await factory.createLightweightSession('bug-triage', 's'.repeat(400));
+            await estimated.sendAndWait('p'.repeat(40));
+            await estimated.sendAndWait('p'.repeat(40));
+        }, 'buggenie');
+
+        assert(created[0].model === 'claude-sonnet-4.5', 'session: uses the run model over the factory default');
+        const summary = usage.toJSON();
+        const mini = summary.agents.find(a => a.agent === 'testgenie-mini');
+        assert(mini.inputTokens === 2700 && mini.outputTokens === 120 && mini.toolCalls === 1, 'session: SDK usage events summed');
+        const triage = summary.agents.find(a => a.agent === 'bug-triage');
+        assert(triage.estimatedCalls === 2 && triage.outputTokens === 20, 'session: tokens estimated without usage events');
+        assert(triage.inputTokens === 110 + 130, 'session: estimate re-sends the conversation each turn');
+        assert(summary.stages.length === 1 && summary.stages[0].stage === 'buggenie', 'session: calls booked to the active stage');
+
+        usage.modelOverride = 'claude-haiku-4.5';
+        await runWithUsage(usage, () => factory.createLightweightSession('late', 'x', { model: 'gpt-5' }));
+        assert(created[created.length - 1].model === 'claude-haiku-4.5', 'session: downgrade overrides an explicit model');
+        await factory.createLightweightSession('outside', 'x');
+        assert(created[created.length - 1].model === 'gpt-4o', 'session: factory model outside a run');
+
+        usage.abortReason = 'test';
+        let threw = null;
+        const session = fakeSession([]);
+        try {
+            await runWithUsage(usage, () => factory.sendAndWait(session, 'hi'));
+        } catch (err) { threw = err; }
+        assert(threw && /Budget exceeded: test/.test(threw.message), 'session: aborted run refuses calls');
+    }
+
+    console.log('\n═══ Merge & Report ═══');
+    {
+        const a = ledger();
+        a.beginStage('execute');
+        a.recordCall({ stage: 'execute', agent: 'scriptgenerator', inputTokens: 1e6 });
+        a.endStage('execute');
+        const b = ledger({}, { scenarioId: 'guest' });
+        b.beginStage('execute');
+        b.recordCall({ stage: 'execute', agent: 'scriptgenerator', model: 'gpt-5-mini', inputTokens: 1e6, estimated: true });
+        b.endStage('execute');
+
+        const merged = mergeUsage([a.toJSON(), b.toJSON(), null]);
+        assert(merged.totals.inputTokens === 2e6 && merged.totals.costUsd === 3.25, 'merge: totals over scenarios');
+        assert(merged.stages.length === 1 && merged.stages[0].attempts === 2, 'merge: stages combined by name');
+        assert(merged.models.length === 2 && merged.agents[0].models.length === 2, 'merge: models collected');
+
+        assert(isoWeek('2026-01-01T12:00:00Z') === '2026-W01', 'week: Thursday Jan 1 is week 1');
+        assert(isoWeek('2027-01-01T12:00:00Z') === '2026-W53', 'week: Friday Jan 1 belongs to the previous year');
+        assert(isoWeek('nope') === null, 'week: invalid date');
+
+        const runs = [
+            { runId: 'r1', ticketId: 'AOTF-1', createdAt: '2026-03-02T10:00:00Z', usage: merged },
+            { runId: 'r2', ticketId: 'AOTF-2', createdAt: '2026-03-10T10:00:00Z', usage: mergeUsage([a.toJSON()]) },
+            { runId: 'r3', ticketId: 'AOTF-1', createdAt: '2026-03-11T10:00:00Z' },
+        ];
+        const report = buildCostReport(runs);
+        assert(report.runs === 2 && report.unmeteredRuns === 1, 'report: runs without usage counted as unmetered');
+        assert(report.totals.costUsd === 6.25 && report.estimated, 'report: totals and estimated flag');
+        assert(report.groups.ticket[0].key === 'AOTF-1' && report.groups.ticket[0].costUsd === 3.25, 'report: tickets sorted by cost');
+        assert(report.groups.agent.length === 1 && report.groups.agent[0].runs === 2, 'report: agents counted across runs');
+        assert(report.groups.week.map(w => w.key).join() === '2026-W10,2026-W11', 'report: weeks in order');
+
+        const ticketsOnly = buildCostReport(runs, { groupBy: ['ticket', 'bogus'] });
+        assert(Object.keys(ticketsOnly.groups).join() === 'ticket', 'report: groupBy subset');
+    }
+
+    console.log('\n═══ Summary ═══');
+    console.log(`\n  Total: ${passed + failed}  |  Passed: ${passed}  |  Failed: ${failed}`);
+    if (errors.length > 0) {
+        console.log('\n  Failed tests:');
+        errors.forEach(e => console.log(`    - ${e}`));
+    }
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,323 @@
+/**
+ * Test suite for execution-service.js
+ * Tests the streaming reporter's event lines, non-blocking runs against a
+ * stand-in Playwright command (JSON report file, stage_progress events,
+ * progress counts), timeouts, cancelling a run's whole process tree, and the
+ * EXECUTE stage / self-healing handling of cancelled runs.
+ *
+ * Run: node agentic-workflow/sdk-orchestrator/test-execution-service.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { ExecutionService } = require('./execution-service');
+const PlaywrightStreamReporter = require('./playwright-stream-reporter');
+const { EVENT_PREFIX } = require('./playwright-stream-reporter');
+const { PipelineRunner } = require('./pipeline-runner');
+const { SelfHealingEngine } = require('./self-healing');
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`  ✓ ${label}`);
+    } else {
+        failed++;
+        errors.push(label);
+        console.log(`  ✗ ${label}`);
+    }
+}
+
+// ─── Test Helpers ────────────────────────────────────────────────────────────
+
+const TEST_DIR = path.join(os.tmpdir(), `execution-service-test-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+/**
+ * Stand-in for `npx playwright test`: streams reporter lines, writes the JSON
+ * report to PLAYWRIGHT_JSON_OUTPUT_FILE and exits 1 like a failing run.
+ * FAKE_MODE=hang starts a grandchild and never exits; FAKE_MODE=stubborn does the
+ * same with a grandchild that ignores SIGTERM; FAKE_MODE=crash writes no report.
+ */
+const FAKE_PLAYWRIGHT = path.join(TEST_DIR, 'fake-playwright.js');
+fs.writeFileSync(FAKE_PLAYWRIGHT, `
+const fs = require('fs');
+const { spawn } = require('child_process');
+const emit = (event) => process.stdout.write(${JSON.stringify(EVENT_PREFIX)} + JSON.stringify(event) + '\\n');
+fs.writeFileSync(process.env.FAKE_ARGS_FILE, JSON.stringify(process.argv.slice(2)));
+
+if (process.env.FAKE_MODE === 'hang' || process.env.FAKE_MODE === 'stubborn') {
+    const worker = process.env.FAKE_MODE === 'stubborn'
+        ? 'process.on("SIGTERM", () => {}); setInterval(() => {}, 1000)'
+        : 'setInterval(() => {}, 1000)';
+    const grandchild = spawn(process.execPath, ['-e', worker], { stdio: 'ignore' });
+    fs.writeFileSync(process.env.FAKE_PID_FILE, String(grandchild.pid));
+    emit({ event: 'begin', total: 1 });
+    setInterval(() => {}, 1000);
+} else if (process.env.FAKE_MODE === 'crash') {
+    console.log('Error: Cannot find module "@playwright/test"');
+    process.exit(1);
+} else {
+    console.log('[dotenv@17.3.1] injecting env (3) from .env');
+    emit({ event: 'begin', total: 2, workers: 1 });
+    emit({ event: 'test-begin', id: 't1', title: 'Search › loads', project: 'chromium', file: 'a.spec.js', line: 3, retry: 0 });
+    emit({ event: 'test-end', id: 't1', title: 'Search › loads', project: 'chromium', file: 'a.spec.js', line: 3, retry: 0,
+        status: 'passed', duration: 1200, error: null, final: true, outcome: 'expected' });
+    emit({ event: 'test-begin', id: 't2', title: 'Search › filters', project: 'chromium', file: 'a.spec.js', line: 9, retry: 0 });
+    emit({ event: 'test-end', id: 't2', title: 'Search › filters', project: 'chromium', file: 'a.spec.js', line: 9, retry: 0,
+        status: 'failed', duration: 800, error: 'locator not found', final: false, outcome: null });
+    emit({ event: 'test-end', id: 't2', title: 'Search › filters', project: 'chromium', file: 'a.spec.js', line: 9, retry: 1,
+        status: 'timedOut', duration: 3000, error: 'Test timeout', final: true, outcome: 'unexpected' });
+    emit({ event: 'end', status: 'failed', duration: 5000 });
+    fs.writeFileSync(process.env.PLAYWRIGHT_JSON_OUTPUT_FILE, JSON.stringify({
+        suites: [{ title: 'a.spec.js', file: 'a.spec.js', specs: [
+            { title: 'loads', tests: [{ projectName: 'chromium', status: 'expected', results: [{ retry: 0, status: 'passed', duration: 1200 }] }] },
+            { title: 'filters', tests: [{ projectName: 'chromium', status: 'unexpected', results: [
+                { retry: 0, status: 'failed', duration: 800, error: { message: 'locator not found' } },
+                { retry: 1, status: 'timedOut', duration: 3000, error: { message: 'Test timeout' } },
+            ] }] },
+        ] }],
+        errors: [],
+    }));
+    process.exit(1);
+}
+`);
+
+function createService(options = {}) {
+    const events = [];
+    const service = new ExecutionService({
+        projectRoot: TEST_DIR,
+        command: process.execPath,
+        commandArgs: [FAKE_PLAYWRIGHT],
+        eventBridge: { push: (type, runId, data) => events.push({ type, runId, data }) },
+        ...options,
+    });
+    return { service, events };
+}
+
+function fakeEnv(mode, name) {
+    return {
+        FAKE_MODE: mode,
+        FAKE_ARGS_FILE: path.join(TEST_DIR, `${name}-args.json`),
+        FAKE_PID_FILE: path.join(TEST_DIR, `${name}-pid`),
+    };
+}
+
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+async function waitFor(predicate, timeoutMs = 5000) {
+    const start = Date.now();
+    while (!predicate()) {
+        if (Date.now() - start > timeoutMs) return false;
+        await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    return true;
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+async function main() {
+    console.log('\n═══ Stream Reporter ═══');
+    {
+        const lines = [];
+        const originalWrite = process.stdout.write;
+        process.stdout.write = (chunk) => { lines.push(String(chunk)); return true; };
+        try {
+            const reporter = new PlaywrightStreamReporter();
+            const test = {
+                id: 'abc',
+                retries: 1,
+                expectedStatus: 'passed',
+                titlePath: () => ['', 'firefox', 'specs/a.spec.js', 'Search', 'filters'],
+                parent: { project: () => ({ name: 'firefox' }) },
+                location: { file: '/repo/specs/a.spec.js', line: 9 },
+                outcome: () => 'flaky',
+            };
+            reporter.onBegin({ rootDir: '/repo', workers: 2 }, { allTests: () => [test] });
+            reporter.onTestBegin(test, { retry: 0 });
+            reporter.onTestEnd(test, { retry: 0, status: 'failed', duration: 10, error: { message: '\u001b[31mboom\u001b[39m\nstack' } });
+            reporter.onTestEnd(test, { retry: 1, status: 'passed', duration: 12 });
+            reporter.onEnd({ status: 'passed', duration: 30 });
+        } finally {
+            process.stdout.write = originalWrite;
+        }
+
+        assert(lines.length === 5 && lines.every(line => line.startsWith(EVENT_PREFIX) && line.endsWith('\n')), 'one prefixed line per event');
+        const events = lines.map(line => JSON.parse(line.slice(EVENT_PREFIX.length)));
+        assert(events[0].event === 'begin' && events[0].total === 1 && events[0].workers === 2, 'begin carries the test count');
+        assert(events[1].title === 'Search › filters' && events[1].project === 'firefox', 'title drops project and file');
+        assert(events[1].file === 'specs/a.spec.js' && events[1].line === 9, 'file relative to rootDir');
+        assert(events[2].final === false && events[2].outcome === null && events[2].error === 'boom', 'failed attempt with retries left is not final');
+        assert(events[3].final === true && events[3].outcome === 'flaky', 'last attempt carries the outcome');
+        assert(events[4].event === 'end' && events[4].status === 'passed', 'end event');
+        assert(new PlaywrightStreamReporter().printsToStdio() === true, 'reporter owns stdout');
+    }
+
+    console.log('\n═══ Streamed Run ═══');
+    {
+        const { service, events } = createService();
+        const seen = [];
+        const env = fakeEnv('pass', 'run');
+        fs.writeFileSync(path.join(TEST_DIR, 'search+results.spec.js'), '');
+
+        const pending = service.run(path.join(TEST_DIR, 'search+results.spec.js'), {
+            runId: 'run_1',
+            stage: 'execute',
+            scenarioId: 'guest',
+            env,
+            onEvent: (event, progress) => seen.push({ event, progress }),
+        });
+        assert(typeof pending.then === 'function', 'run returns a promise without blocking');
+        assert(service.getActive('run_1').length === 1, 'execution tracked by runId while running');
+
+        const result = await pending;
+        const report = JSON.parse(result.output);
+        assert(Array.isArray(report.suites) && report.suites[0].specs.length === 2, 'output is the JSON report file');
+        assert(result.exitCode === 1 && result.cancelled === false && result.timedOut === false, 'non-zero exit still returns the report');
+        assert(result.log.includes('[dotenv@17.3.1]') && !result.log.includes(EVENT_PREFIX), 'event lines kept out of the log');
+        assert(service.getActive().length === 0, 'execution released');
+        assert(!fs.readdirSync(os.tmpdir()).some(name => name.startsWith('sdk-playwright-')), 'report file removed');
+
+        const args = JSON.parse(fs.readFileSync(env.FAKE_ARGS_FILE, 'utf-8'));
+        assert(args[0] === 'search\\+results\\.spec\\.js', 'spec path relative and regex-escaped');
+        assert(/^--reporter=json,.*playwright-stream-reporter\.js$/.test(args[1]), 'json and stream reporters');
+
+        assert(result.progress.total === 2 && result.progress.completed === 2, 'progress counts final attempts');
+        assert(result.progress.passed === 1 && result.progress.failed === 1, 'outcomes counted');
+        assert(seen.length === 7 && seen[6].progress.completed === 2, 'onEvent gets every event with progress');
+
+        assert(events.every(e => e.type === 'stage_progress' && e.runId === 'run_1' && e.data.stage === 'execute'),
+            'stage_progress events for the run');
+        const messages = events.map(e => e.data.message);
+        assert(messages[0] === 'Running 2 test(s)', 'begin message');
+        assert(messages[1] === '▶ [chromium] Search › loads', 'test start message');
+        assert(messages[2] === '✓ [chromium] Search › loads (1.2s) [1/2]', 'test pass message');
+        assert(messages[4] === '↻ [chromium] Search › filters (0.8s) [1/2] — retrying: locator not found', 'retry message');
+        assert(messages[5] === '⏱ [chromium] Search › filters (3.0s) [2/2]', 'timeout message');
+        const end = events[5].data;
+        assert(end.test.outcome === 'unexpected' && end.test.retry === 1 && end.scenarioId === 'guest', 'test details on the event');
+        assert(end.progress.failed === 1, 'progress on the event');
+    }
+
+    console.log('\n═══ Directories and Crashes ═══');
+    {
+        const { service, events } = createService();
+        const env = fakeEnv('crash', 'dir');
+        fs.mkdirSync(path.join(TEST_DIR, 'specs.v2'), { recursive: true });
+
+        const result = await service.run('specs.v2', { env });
+        const args = JSON.parse(fs.readFileSync(env.FAKE_ARGS_FILE, 'utf-8'));
+        assert(args[0] === 'specs.v2', 'directories passed unescaped');
+        assert(result.output.includes('Cannot find module') && result.exitCode === 1, 'no report: output is the raw log');
+        assert(events.length === 0, 'no runId: no events');
+
+        const missing = await new ExecutionService({ projectRoot: TEST_DIR, command: path.join(TEST_DIR, 'missing-binary') }).run('a.spec.js');
+        assert(missing.exitCode === null && /ENOENT/.test(missing.output), 'spawn errors resolve with the error');
+    }
+
+    console.log('\n═══ Cancellation ═══');
+    {
+        const { service } = createService();
+        const env = fakeEnv('hang', 'cancel');
+        const pending = service.run('a.spec.js', { runId: 'run_2', env, timeoutMs: 60000 });
+
+        const started = await waitFor(() => fs.existsSync(env.FAKE_PID_FILE));
+        const grandchildPid = started ? Number(fs.readFileSync(env.FAKE_PID_FILE, 'utf-8')) : null;
+        assert(started && isAlive(grandchildPid), 'run and its worker started');
+
+        assert(service.cancel('run_other') === 0, 'other runs untouched');
+        assert(service.cancel('run_2') === 1, 'cancel kills the run');
+        const result = await pending;
+        assert(result.cancelled === true && result.timedOut === false, 'result marked cancelled');
+        assert(await waitFor(() => !isAlive(grandchildPid)), 'whole process tree killed');
+        assert(service.cancel('run_2') === 0, 'nothing left to cancel');
+    }
+
+    {
+        const { service } = createService({ killGraceMs: 500 });
+        const env = fakeEnv('stubborn', 'stubborn');
+        const pending = service.run('a.spec.js', { runId: 'run_3', env, timeoutMs: 60000 });
+
+        const started = await waitFor(() => fs.existsSync(env.FAKE_PID_FILE));
+        const grandchildPid = started ? Number(fs.readFileSync(env.FAKE_PID_FILE, 'utf-8')) : null;
+        // Give the worker time to install its SIGTERM handler
+        await new Promise(resolve => setTimeout(resolve, 300));
+        service.cancel('run_3');
+        const result = await pending;
+        assert(result.cancelled === true && isAlive(grandchildPid), 'leader exits, worker ignoring SIGTERM survives it');
+        assert(await waitFor(() => !isAlive(grandchildPid), 3000), 'group SIGKILLed after the grace period');
+    }
+
+    console.log('\n═══ Timeouts ═══');
+    {
+        const { service } = createService();
+        const env = fakeEnv('hang', 'timeout');
+        const result = await service.run('a.spec.js', { env, timeoutMs: 300 });
+        const grandchildPid = Number(fs.readFileSync(env.FAKE_PID_FILE, 'utf-8'));
+        assert(result.timedOut === true && result.cancelled === false, 'result marked timed out');
+        assert(result.output.includes('timed out after 300ms'), 'timeout noted in the output');
+        assert(await waitFor(() => !isAlive(grandchildPid)), 'timed-out tree killed');
+    }
+
+    console.log('\n═══ Pipeline Integration ═══');
+    {
+        const specPath = path.join(TEST_DIR, 'cancel.spec.js');
+        fs.writeFileSync(specPath, 'test("x", () => {});');
+        const calls = [];
+        const cancelledService = {
+            run: async (target, options) => {
+                calls.push({ target, options });
+                return { output: '', log: '', exitCode: null, cancelled: true, timedOut: false, progress: {} };
+            },
+        };
+
+        const runner = new PipelineRunner({
+            sessionFactory: { model: 'test-model' },
+            selfHealing: null,
+            config: {},
+            evidenceStore: {},
+            eventBridge: { push() { } },
+            executionService: cancelledService,
+        });
+        const stage = await runner._runExecution({
+            ticketId: 'AOTF-1', runId: 'run_3', scenarioId: 'guest', specPath, authState: 'guest',
+        });
+        assert(stage.success === false && stage.blocking === true && stage.error === 'Cancelled by user',
+            'cancelled EXECUTE blocks the pipeline');
+        assert(calls[0].options.runId === 'run_3' && calls[0].options.stage === 'execute', 'EXECUTE streams to its run');
+        assert(calls[0].options.env.SDK_SCENARIO_ID === 'guest' && calls[0].options.timeoutMs === 180000, 'run env and timeout');
+
+        const engine = new SelfHealingEngine({ sessionFactory: {}, executionService: cancelledService });
+        const healed = await engine.heal('AOTF-1', specPath, { runId: 'run_3', scenarioId: 'guest', rerunsBeforeHealing: 0 });
+        assert(healed.success === false && healed.cancelled === true && healed.iterations === 1, 'healing stops when cancelled');
+        assert(healed.healingLog[0].action === 'cancelled' && /cancelled/.test(healed.message), 'cancellation logged');
+        assert(calls[1].options.stage === 'healing' && calls[1].options.runId === 'run_3', 'healing runs stream to the run');
+    }
+
+    console.log('\n═══ Summary ═══');
+    console.log(`\n  Total: ${passed + failed}  |  Passed: ${passed}  |  Failed: ${failed}`);
+    if (errors.length > 0) {
+        console.log('\n  Failed tests:');
+        errors.forEach(e => console.log(`    - ${e}`));
+    }
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,353 @@
+/**
+ * Test suite for flaky-tests.js
+ * Tests flakiness scoring, history recording, auto-quarantine and release,
+ * manual quarantine, the dashboard report, the EXECUTE gate for quarantined
+ * failures, and re-runs before self-healing.
+ *
+ * Run: node agentic-workflow/sdk-orchestrator/test-flaky-tests.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+    FlakyTestTracker, loadFlakyConfig, scoreTestHistory, toHistoryRecords, testKey,
+} = require('./flaky-tests');
+const { parsePlaywrightReport } = require('./playwright-results');
+const { RunStore } = require('./run-store');
+const { PipelineRunner } = require('./pipeline-runner');
+const { SelfHealingEngine } = require('./self-healing');
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`  ✓ ${label}`);
+    } else {
+        failed++;
+        errors.push(label);
+        console.log(`  ✗ ${label}`);
+    }
+}
+
+// ─── Test Helpers ────────────────────────────────────────────────────────────
+
+const TEST_DIR = path.join(os.tmpdir(), `flaky-tests-test-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+const SETTINGS = loadFlakyConfig({ window: 10, threshold: 0.3, minRuns: 4, releaseAfterPasses: 3 });
+const SEARCH_KEY = 'specs/search.spec.js::Search › filters [chromium]';
+const LOGIN_KEY = 'specs/search.spec.js::Login [chromium]';
+
+/** Playwright JSON report with one chromium test per entry of `outcomes` (title → passed|failed|flaky). */
+function report(outcomes) {
+    const results = {
+        passed: [{ status: 'passed', retry: 0 }],
+        failed: [
+            { status: 'failed', retry: 0, error: { message: 'locator not found' } },
+            { status: 'failed', retry: 1, error: { message: 'locator not found' } },
+        ],
+        flaky: [{ status: 'failed', retry: 0, error: { message: 'timeout' } }, { status: 'passed', retry: 1 }],
+    };
+    const testStatus = { passed: 'expected', failed: 'unexpected', flaky: 'flaky' };
+
+    return {
+        suites: [{
+            title: 'specs/search.spec.js',
+            file: 'specs/search.spec.js',
+            specs: Object.entries(outcomes).map(([title, outcome]) => ({
+                title,
+                file: 'specs/search.spec.js',
+                tests: [{ projectName: 'chromium', status: testStatus[outcome], results: results[outcome] }],
+            })),
+        }],
+        errors: [],
+    };
+}
+
+function history(...statuses) {
+    // Most recent first, like RunStore.getTestHistory
+    return statuses.map((status, index) => ({
+        status,
+        recordedAt: new Date(Date.UTC(2026, 0, 30 - index)).toISOString(),
+    }));
+}
+
+function newTracker(name, config = {}) {
+    const runStore = new RunStore({ storePath: path.join(TEST_DIR, `${name}.json`) });
+    return { runStore, tracker: new FlakyTestTracker({ runStore, config: { ...SETTINGS, ...config } }) };
+}
+
+function newRunner(config = {}) {
+    const runner = new PipelineRunner({
+        sessionFactory: { model: 'test-model' },
+        selfHealing: null,
+        config,
+        evidenceStore: {},
+        eventBridge: { push() { } },
+    });
+    runner._saveRawTestResults = () => '/tmp/raw.json';
+    runner._refreshEvidenceManifest = () => { };
+    return runner;
+}
+
+/** ExecutionService stand-in that returns the given reports in order. */
+function scriptedService(reports) {
+    const calls = [];
+    return {
+        calls,
+        run: async (target, options) => {
+            calls.push({ target, options });
+            const next = reports[Math.min(calls.length - 1, reports.length - 1)];
+            if (next === 'cancelled') {
+                return { output: '', log: '', exitCode: null, cancelled: true, timedOut: false, progress: {} };
+            }
+            return { output: JSON.stringify(next), log: '', exitCode: 1, cancelled: false, timedOut: false, progress: {} };
+        },
+    };
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+async function main() {
+    console.log('\n═══ Configuration ═══');
+    {
+        const defaults = loadFlakyConfig({});
+        assert(defaults.enabled === true && defaults.autoQuarantine === true, 'enabled with auto-quarantine by default');
+        assert(defaults.threshold === 0.3 && defaults.window === 20 && defaults.rerunsBeforeHealing === 2, 'default threshold, window and re-runs');
+
+        const custom = loadFlakyConfig({ threshold: 2, window: 'x', rerunsBeforeHealing: 0, autoQuarantine: false });
+        assert(custom.threshold === 0.3 && custom.window === 20, 'invalid values fall back to defaults');
+        assert(custom.rerunsBeforeHealing === 0 && custom.autoQuarantine === false, 're-runs and auto-quarantine can be disabled');
+    }
+
+    console.log('\n═══ Test Keys & Records ═══');
+    {
+        const parsed = parsePlaywrightReport(report({ 'Search › filters': 'failed', Login: 'passed' }));
+        assert(testKey(parsed.tests[0]) === SEARCH_KEY, 'key joins file, title and project');
+        assert(testKey({ file: 'a.spec.js', title: 'x', project: null }) === 'a.spec.js::x', 'no project suffix without a project');
+
+        const records = toHistoryRecords(parsed, { ticketId: 'AOTF-1', specPath: 'specs/search.spec.js' });
+        assert(records.length === 2 && records[0].status === 'failed' && records[0].retries === 1, 'one record per test');
+        assert(records[0].error === 'locator not found' && records[0].ticketId === 'AOTF-1', 'records carry the error and run meta');
+    }
+
+    console.log('\n═══ Scoring ═══');
+    {
+        const stable = scoreTestHistory(history('passed', 'passed', 'passed', 'passed'), SETTINGS);
+        assert(stable.score === 0 && stable.consecutivePasses === 4, 'always passing scores 0');
+
+        const broken = scoreTestHistory(history('failed', 'failed', 'timed-out', 'failed'), SETTINGS);
+        assert(broken.score === 0 && broken.failed === 4, 'always failing scores 0 — broken, not flaky');
+
+        const alternating = scoreTestHistory(history('passed', 'failed', 'passed', 'failed'), SETTINGS);
+        assert(alternating.flips === 3 && alternating.score === 0.75, 'pass/fail flips raise the score');
+
+        const retried = scoreTestHistory(history('flaky', 'passed', 'passed', 'passed'), SETTINGS);
+        assert(retried.flaky === 1 && retried.score === 0.25 && retried.lastStatus === 'flaky', 'passes on retry count as flaky');
+
+        const skipped = scoreTestHistory(history('skipped', 'passed', 'skipped'), SETTINGS);
+        assert(skipped.runs === 1 && skipped.lastStatus === 'passed', 'skips are ignored');
+
+        const windowed = scoreTestHistory(history('passed', 'passed', 'failed', 'passed'), { window: 2 });
+        assert(windowed.runs === 2 && windowed.score === 0, 'only the last `window` runs count');
+
+        assert(scoreTestHistory([], SETTINGS).score === 0, 'no history scores 0');
+    }
+
+    console.log('\n═══ Auto-Quarantine ═══');
+    {
+        const { runStore, tracker } = newTracker('auto');
+        const outcomes = ['passed', 'failed', 'passed', 'failed'];
+        let result = null;
+        for (const [index, outcome] of outcomes.entries()) {
+            result = tracker.recordRun(`run_${index}`, parsePlaywrightReport(report({ 'Search › filters': outcome, Login: 'passed' })), {
+                ticketId: 'AOTF-1', specPath: 'specs/search.spec.js',
+            });
+            if (index === 2) assert(result.quarantined.length === 0, 'not quarantined before minRuns');
+        }
+        assert(result.records === 2, 'every test of the run recorded');
+        assert(result.quarantined[0] === SEARCH_KEY && result.quarantinedTests[0] === SEARCH_KEY, 'quarantined once over the threshold');
+        assert(result.scores[LOGIN_KEY].score === 0, 'stable test scored 0');
+
+        const entry = runStore.getTestQuarantine()[0];
+        assert(entry.auto === true && entry.score === 0.75 && entry.title === 'Search › filters', 'quarantine entry records the score');
+
+        for (let index = 4; index < 6; index++) {
+            result = tracker.recordRun(`run_${index}`, parsePlaywrightReport(report({ 'Search › filters': 'passed' })));
+        }
+        assert(result.released.length === 0 && result.quarantinedTests.length === 1, 'stays quarantined before enough passes');
+        result = tracker.recordRun('run_6', parsePlaywrightReport(report({ 'Search › filters': 'passed' })));
+        assert(result.released[0] === SEARCH_KEY && tracker.getQuarantine().length === 0, 'released after consecutive passes');
+
+        const { tracker: manual } = newTracker('manual-off', { autoQuarantine: false });
+        for (const [index, outcome] of outcomes.entries()) {
+            result = manual.recordRun(`run_${index}`, parsePlaywrightReport(report({ 'Search › filters': outcome })));
+        }
+        assert(result.quarantined.length === 0, 'autoQuarantine: false only scores');
+
+        const { tracker: disabled, runStore: disabledStore } = newTracker('disabled', { enabled: false });
+        disabled.recordRun('run_0', parsePlaywrightReport(report({ 'Search › filters': 'failed' })));
+        assert(disabledStore.getTestHistory().length === 0, 'enabled: false records nothing');
+    }
+
+    console.log('\n═══ Manual Quarantine & Report ═══');
+    {
+        const { tracker } = newTracker('report');
+        tracker.recordRun('run_0', parsePlaywrightReport(report({ 'Search › filters': 'flaky', Login: 'passed' })), {
+            ticketId: 'AOTF-2', specPath: 'specs/search.spec.js',
+        });
+        tracker.recordRun('run_1', parsePlaywrightReport(report({ 'Search › filters': 'passed', Login: 'passed' })), {
+            ticketId: 'AOTF-2', specPath: 'specs/search.spec.js',
+        });
+
+        const entry = tracker.quarantine(LOGIN_KEY, { reason: 'Shared account locked', by: 'qa-lead' });
+        assert(entry.auto === false && entry.quarantinedBy === 'qa-lead' && entry.title === 'Login', 'manual quarantine entry');
+
+        const full = tracker.getReport();
+        assert(full.tests.length === 2 && full.tests[0].testKey === SEARCH_KEY, 'flakiest test first');
+        assert(full.tests[0].recent.length === 2 && full.tests[0].recent[0].status === 'passed', 'recent outcomes newest first');
+        assert(full.tests[1].quarantine?.reason === 'Shared account locked', 'quarantine entry joined');
+        assert(full.summary.tracked === 2 && full.summary.quarantined === 1 && full.summary.flaky === 0, 'report summary');
+
+        assert(tracker.getReport({ quarantinedOnly: true }).tests.length === 1, 'filters quarantined tests');
+        assert(tracker.getReport({ minScore: 0.4 }).tests[0]?.testKey === SEARCH_KEY, 'filters by minimum score');
+        assert(tracker.getReport({ ticketId: 'AOTF-9' }).tests.length === 0, 'filters by ticket');
+
+        for (let index = 2; index < 20; index++) {
+            tracker.recordRun(`run_${index}`, parsePlaywrightReport(report({ Login: 'passed' })));
+        }
+        assert(tracker.getQuarantine().length === 1, 'manual quarantine is never auto-released');
+        assert(tracker.release(LOGIN_KEY) === true && tracker.release(LOGIN_KEY) === false, 'release by hand');
+    }
+
+    console.log('\n═══ EXECUTE Gate ═══');
+    {
+        const { runStore, tracker } = newTracker('gate');
+        const runner = newRunner();
+        const parsed = () => parsePlaywrightReport(report({ 'Search › filters': 'failed', Login: 'passed' }));
+
+        const plain = runner._recordExecutionResults({ ticketId: 'AOTF-3', runId: 'run_a' }, parsed());
+        assert(plain.success === false && plain.testResults.quarantinedFailures === 0, 'no history — failures gate as before');
+
+        const context = { ticketId: 'AOTF-3', runId: 'run_b', specPath: 'specs/search.spec.js', testHistory: tracker };
+        const tracked = runner._recordExecutionResults(context, parsed());
+        assert(tracked.success === false, 'failure of a test not in quarantine still fails EXECUTE');
+        assert(runStore.getTestHistory({ runId: 'run_b' }).length === 2, 'EXECUTE records the test history');
+        assert(runStore.getTestHistory({ runId: 'run_b' })[0].specPath === 'specs/search.spec.js', 'spec path stored relative');
+        assert(context.testResults.failures[0].testKey === SEARCH_KEY, 'failures carry their test key');
+
+        tracker.quarantine(SEARCH_KEY);
+        const quarantinedContext = { ticketId: 'AOTF-3', runId: 'run_c', testHistory: tracker };
+        const gated = runner._recordExecutionResults(quarantinedContext, parsed());
+        assert(gated.success === true && quarantinedContext.testResults.passed === true, 'quarantined failures do not fail EXECUTE');
+        assert(quarantinedContext.testResults.failedCount === 1 && quarantinedContext.testResults.failures[0].quarantined === true,
+            'quarantined failures still reported');
+        assert(gated.message === '1/2 tests passed — 1 quarantined failure(s) ignored', 'EXECUTE message notes ignored failures');
+        assert(quarantinedContext.testResults.quarantinedTests.length === 1 &&
+            quarantinedContext.testResults.quarantinedTests[0].testKey === SEARCH_KEY &&
+            quarantinedContext.testResults.quarantinedTests[0].status === 'failed', 'run results list its quarantined tests');
+
+        const mixed = runner._recordExecutionResults({ runId: 'run_d', testHistory: tracker },
+            parsePlaywrightReport(report({ 'Search › filters': 'failed', Login: 'failed' })));
+        assert(mixed.success === false && mixed.testResults.quarantinedFailures === 1, 'other failures still gate');
+
+        const onlyQuarantined = runner._recordExecutionResults({ runId: 'run_f', testHistory: tracker },
+            parsePlaywrightReport(report({ 'Search › filters': 'failed' })));
+        assert(onlyQuarantined.success === false && onlyQuarantined.testResults.quarantinedFailures === 1,
+            'all tests quarantined and failing — EXECUTE fails');
+
+        tracker.quarantine(LOGIN_KEY);
+        const quarantinedPass = runner._recordExecutionResults({ runId: 'run_g', testHistory: tracker }, parsed());
+        assert(quarantinedPass.success === false, 'a pass of a quarantined test does not clear quarantined failures');
+        tracker.release(LOGIN_KEY);
+
+        const broken = runner._recordExecutionResults({ runId: 'run_e', testHistory: { recordRun() { throw new Error('disk full'); } } }, parsed());
+        assert(broken.success === false && broken.testResults.flaky === null, 'history errors do not break EXECUTE');
+    }
+    {
+        const { tracker } = newTracker('gate-threshold');
+        const runner = newRunner();
+        for (const [index, outcome] of ['passed', 'failed', 'passed'].entries()) {
+            tracker.recordRun(`run_${index}`, parsePlaywrightReport(report({ 'Search › filters': outcome, Login: 'passed' })));
+        }
+        const context = { runId: 'run_3', testHistory: tracker };
+        const crossing = runner._recordExecutionResults(context, parsePlaywrightReport(report({ 'Search › filters': 'failed', Login: 'passed' })));
+        assert(context.testResults.flaky.quarantined[0] === SEARCH_KEY, 'the run\'s own failure quarantines the test');
+        assert(crossing.success === false && context.testResults.quarantinedFailures === 0 &&
+            context.testResults.quarantinedTests.length === 0,
+            'first failure of a test that crosses the flake threshold still fails the gate');
+
+        const next = runner._recordExecutionResults({ runId: 'run_4', testHistory: tracker },
+            parsePlaywrightReport(report({ 'Search › filters': 'failed', Login: 'passed' })));
+        assert(next.success === true, 'later runs ignore the quarantined failure');
+    }
+
+    console.log('\n═══ Re-runs Before Healing ═══');
+    {
+        const specPath = path.join(TEST_DIR, 'search.spec.js');
+        fs.writeFileSync(specPath, 'test("x", () => {});');
+        const failing = report({ 'Search › filters': 'failed', Login: 'passed' });
+        const passing = report({ 'Search › filters': 'passed', Login: 'passed' });
+
+        const service = scriptedService([failing, passing]);
+        const engine = new SelfHealingEngine({ sessionFactory: {}, executionService: service });
+        const healed = await engine.heal('AOTF-4', specPath, { runId: 'run_f', rerunsBeforeHealing: 2 });
+        assert(healed.success === true && healed.flaky === true && healed.iterations === 0, 'pass on re-run ends healing as flaky');
+        assert(service.calls.length === 2 && service.calls[1].options.stage === 'healing', 'stops re-running once a run passes');
+        assert(healed.message === 'Tests passed on re-run 2/2 — flaky, healing skipped', 'flaky healing message');
+        assert(healed.healingLog.map(entry => entry.action).join(',') === 'rerun_failed,rerun_passed', 're-runs in the healing log');
+
+        const cancelService = scriptedService(['cancelled']);
+        const cancelled = await new SelfHealingEngine({ sessionFactory: {}, executionService: cancelService })
+            .heal('AOTF-4', specPath, { rerunsBeforeHealing: 2 });
+        assert(cancelled.cancelled === true && cancelled.iterations === 0 && cancelService.calls.length === 1,
+            'cancel during re-runs stops healing');
+        assert(cancelled.message === 'Self-healing cancelled during re-runs', 'cancelled re-run message');
+
+        const { runStore, tracker } = newTracker('heal');
+        const runner = newRunner({ sdk: { flakyTests: { rerunsBeforeHealing: 1 } } });
+        const context = { ticketId: 'AOTF-4', runId: 'run_g', specPath, testHistory: tracker };
+        runner._recordExecutionResults(context, parsePlaywrightReport(failing));
+
+        const healCalls = [];
+        runner.selfHealing = {
+            heal: async (ticketId, spec, options) => {
+                healCalls.push(options);
+                return {
+                    success: true,
+                    flaky: true,
+                    iterations: 0,
+                    totalFixesApplied: 0,
+                    healingLog: [{ iteration: 0, action: 'rerun_passed', tests: { rawOutput: JSON.stringify(passing) } }],
+                    message: 'Tests passed on re-run 1/1 — flaky, healing skipped',
+                };
+            },
+        };
+        const stage = await runner._runSelfHealing(context);
+        assert(healCalls[0].rerunsBeforeHealing === 1, 'SELF_HEAL passes sdk.flakyTests.rerunsBeforeHealing');
+        assert(stage.success === true && context.testResults.passed === true, 'flaky pass clears the stage');
+        const recorded = runStore.getTestHistory({ runId: 'run_g' });
+        assert(recorded.find(record => record.testKey === SEARCH_KEY)?.status === 'flaky', 'failure re-recorded as flaky');
+        assert(recorded.find(record => record.testKey === LOGIN_KEY)?.status === 'passed', 'passing tests left as recorded');
+    }
+
+    console.log('\n═══ Summary ═══');
+    console.log(`\n  Total: ${passed + failed}  |  Passed: ${passed}  |  Failed: ${failed}`);
+    if (errors.length > 0) {
+        console.log('\n  Failed tests:');
+        errors.forEach(e => console.log(`    - ${e}`));
+    }
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
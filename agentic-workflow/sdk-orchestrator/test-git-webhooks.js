@@ -0,0 +1,341 @@
+/**
+ * Test suite for git-webhooks.js, spec-impact.js, status-reporters/ and
+ * pr-status-notifier.js
+ * Tests GitHub/GitLab payload parsing and authentication, changed-file →
+ * spec mapping through the grounding featureMap, PR run parameters, and
+ * status reporting against a local mock provider API.
+ *
+ * Run: node agentic-workflow/sdk-orchestrator/test-git-webhooks.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const {
+    detectProvider, parseGitHubEvent, parseGitLabEvent, verifyGitDelivery, deliveryIdHeaders,
+    listChangedFiles, buildPullRequestRun, loadGitWebhookConfig,
+} = require('./git-webhooks');
+const { computeSignature } = require('./webhook-security');
+const { mapChangedFilesToSpecs } = require('./spec-impact');
+const { createStatusReporter, StatusReporter, GitLabStatusReporter } = require('./status-reporters');
+const { PullRequestStatusNotifier, summarizeRun } = require('./pr-status-notifier');
+const { EventBridge, EVENT_TYPES } = require('./event-bridge');
+const { GroundingStore } = require('../grounding/grounding-store');
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`  ✓ ${label}`);
+    } else {
+        failed++;
+        errors.push(label);
+        console.log(`  ✗ ${label}`);
+    }
+}
+
+// ─── Test Helpers ────────────────────────────────────────────────────────────
+
+const TEST_DIR = path.join(os.tmpdir(), `git-webhooks-test-${Date.now()}`);
+
+function writeFile(relativePath, content) {
+    const fullPath = path.join(TEST_DIR, relativePath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content);
+}
+
+writeFile('tests/specs/search/citySearch.spec.js', "test.describe('City search', () => { searchPanel.enterCity(); });");
+writeFile('tests/specs/search/priceFilter.spec.js', "test.describe('Price filter', () => {});");
+writeFile('tests/specs/planner/plannerCards.spec.js', "const PlannerPage = require('../../pageobjects/planner');");
+writeFile('tests/specs/profile/editProfile.spec.js', "test.describe('Edit profile', () => {});");
+writeFile('grounding-config.json', JSON.stringify({
+    featureMap: [
+        { name: 'Property Search', pageObjects: ['searchPanel.js', 'map.js'], keywords: ['search', 'filter'] },
+        { name: 'Planner', pageObjects: ['planner.js'], keywords: ['planner'] },
+    ],
+}));
+
+const groundingStore = new GroundingStore({
+    projectRoot: TEST_DIR,
+    configPath: path.join(TEST_DIR, 'grounding-config.json'),
+    indexDir: path.join(TEST_DIR, 'index'),
+});
+
+function githubPayload(overrides = {}) {
+    return {
+        action: 'synchronize',
+        repository: { full_name: 'acme/qa' },
+        pull_request: {
+            number: 42,
+            title: 'Fix search panel selectors',
+            html_url: 'https://github.com/acme/qa/pull/42',
+            user: { login: 'dev' },
+            head: { sha: 'abc123', ref: 'fix/search' },
+            base: { ref: 'main' },
+            draft: false,
+        },
+        ...overrides,
+    };
+}
+
+function gitlabPayload(attributes = {}) {
+    return {
+        object_kind: 'merge_request',
+        project: { id: 7, path_with_namespace: 'acme/qa' },
+        user: { username: 'dev' },
+        object_attributes: {
+            iid: 9,
+            action: 'update',
+            oldrev: 'old000',
+            title: 'Planner cards',
+            url: 'https://gitlab.com/acme/qa/-/merge_requests/9',
+            source_branch: 'feat/planner',
+            target_branch: 'main',
+            last_commit: { id: 'def456' },
+            ...attributes,
+        },
+    };
+}
+
+/** Local provider API that records requests and serves canned responses */
+function startMockApi(routes) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+            const route = routes.find(item => item.method === req.method && req.url.startsWith(item.path));
+            res.writeHead(route ? route.status || 200 : 404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(route ? route.body : { message: 'Not Found' }));
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    }));
+}
+
+(async () => {
+    console.log('\n═══ payload parsing ═══');
+    {
+        assert(detectProvider({ 'x-github-event': 'pull_request' }) === 'github'
+            && detectProvider({ 'x-gitlab-event': 'Merge Request Hook' }) === 'gitlab'
+            && detectProvider({}) === null, 'provider detected from event header');
+
+        const github = parseGitHubEvent({ 'x-github-event': 'pull_request' }, githubPayload());
+        assert(github.relevant && github.pullRequest.number === 42 && github.pullRequest.headSha === 'abc123'
+            && github.pullRequest.repository === 'acme/qa', 'github: synchronize parsed');
+        assert(!parseGitHubEvent({ 'x-github-event': 'pull_request' }, githubPayload({ action: 'labeled' })).relevant,
+            'github: label changes ignored');
+        assert(!parseGitHubEvent({ 'x-github-event': 'push' }, {}).relevant, 'github: non-PR events ignored');
+
+        const gitlab = parseGitLabEvent({ 'x-gitlab-event': 'Merge Request Hook' }, gitlabPayload());
+        assert(gitlab.relevant && gitlab.pullRequest.number === 9 && gitlab.pullRequest.projectId === 7
+            && gitlab.pullRequest.headSha === 'def456', 'gitlab: update with new commits parsed');
+        assert(!parseGitLabEvent({}, gitlabPayload({ oldrev: undefined })).relevant, 'gitlab: update without commits ignored');
+        assert(!parseGitLabEvent({}, gitlabPayload({ action: 'merge' })).relevant, 'gitlab: merge ignored');
+    }
+
+    console.log('\n═══ authentication ═══');
+    {
+        const raw = Buffer.from(JSON.stringify(githubPayload()));
+        const signature = `sha256=${computeSignature(raw, 's3cret')}`;
+        assert(verifyGitDelivery('github', { 'x-hub-signature-256': signature }, raw, 's3cret').valid, 'github: valid HMAC accepted');
+        assert(!verifyGitDelivery('github', { 'x-hub-signature-256': signature }, raw, 'other').valid, 'github: wrong secret rejected');
+        assert(verifyGitDelivery('gitlab', { 'x-gitlab-token': 's3cret' }, raw, 's3cret').valid, 'gitlab: matching token accepted');
+        assert(verifyGitDelivery('gitlab', { 'x-gitlab-token': 'nope' }, raw, 's3cret').error === 'Token mismatch', 'gitlab: wrong token rejected');
+        assert(!verifyGitDelivery('gitlab', { 'x-gitlab-token': 's3cret' }, raw, '').valid, 'gitlab: rejected without configured secret');
+        assert(deliveryIdHeaders('github')[0] === 'x-github-delivery' && deliveryIdHeaders('gitlab')[0] === 'x-gitlab-event-uuid',
+            'delivery ID headers per provider');
+    }
+
+    console.log('\n═══ spec mapping ═══');
+    {
+        const options = { groundingStore, projectRoot: TEST_DIR, triggerPaths: ['tests/pageobjects/', 'tests/specs/'] };
+
+        const byPageObject = mapChangedFilesToSpecs([{ path: 'tests/pageobjects/searchPanel.js', status: 'modified' }], options);
+        const specPaths = byPageObject.specs.map(spec => spec.specPath);
+        assert(specPaths.includes('tests/specs/search/citySearch.spec.js') && specPaths.includes('tests/specs/search/priceFilter.spec.js')
+            && !specPaths.includes('tests/specs/profile/editProfile.spec.js'), 'page object → specs of its featureMap feature');
+        assert(byPageObject.specs.every(spec => !spec.review), 'page-object specs are not reviewed');
+        assert(byPageObject.specs.find(spec => spec.specPath.endsWith('citySearch.spec.js')).reasons.includes('references searchPanel'),
+            'direct references recorded as a reason');
+
+        const bySpec = mapChangedFilesToSpecs([
+            { path: 'tests/pageobjects/planner.js', status: 'modified' },
+            { path: 'tests/specs/profile/editProfile.spec.js', status: 'modified', patch: '@@ -1 +1 @@' },
+            { path: 'tests/specs/old/removed.spec.js', status: 'removed' },
+            { path: 'README.md', status: 'modified' },
+        ], options);
+        assert(bySpec.specs[0].specPath === 'tests/specs/profile/editProfile.spec.js' && bySpec.specs[0].review
+            && bySpec.specs[0].patch === '@@ -1 +1 @@', 'changed spec listed first and flagged for review');
+        assert(bySpec.specs.some(spec => spec.specPath === 'tests/specs/planner/plannerCards.spec.js'), 'planner page object → planner spec');
+        assert(bySpec.skipped.some(item => item.path === 'tests/specs/old/removed.spec.js'), 'removed spec skipped');
+        assert(!bySpec.relevantFiles.includes('README.md'), 'files outside trigger paths ignored');
+
+        const shared = mapChangedFilesToSpecs([{ path: 'tests/pageobjects/POmanager.js', status: 'modified' }],
+            { ...options, sharedFiles: ['tests/pageobjects/POmanager.js'], maxSpecs: 3 });
+        assert(shared.specs.length === 3 && shared.truncated === 1, 'shared file → every spec, capped by maxSpecs');
+
+        const untouched = mapChangedFilesToSpecs([{ path: 'src/app.js', status: 'modified' }], options);
+        assert(!untouched.triggered && untouched.specs.length === 0, 'no trigger-path changes → not triggered');
+    }
+
+    console.log('\n═══ run parameters ═══');
+    {
+        const { pullRequest } = parseGitHubEvent({ 'x-github-event': 'pull_request' }, githubPayload());
+        const impact = {
+            specs: [
+                { specPath: 'tests/specs/search/citySearch.spec.js', reasons: ['spec changed'], review: true, patch: '+ await page.click()' },
+                { specPath: 'tests/specs/search/citySearch.spec.ts', reasons: ['references searchPanel'], review: false, patch: '' },
+            ],
+            truncated: 0,
+            skipped: [],
+        };
+        const params = buildPullRequestRun(pullRequest, impact, loadGitWebhookConfig({}), { deliveryId: 'd-1' });
+        assert(params.ticketId === 'PR-42' && params.mode === 'execute' && params.triggeredBy === 'webhook', 'PR-<n> execute run');
+        assert(params.mission.scenarios[0].id === 'search-citysearch' && params.mission.scenarios[1].id === 'search-citysearch-2',
+            'one scenario per spec with unique IDs');
+        assert(params.mission.scenarios[0].review && params.mission.scenarios[0].reviewContext.includes('+ await page.click()'),
+            'changed spec carries its diff as review context');
+        assert(!params.mission.scenarios[1].review, 'unchanged spec not reviewed');
+        assert(params.pullRequest.deliveryId === 'd-1' && params.pullRequest.specs.every(spec => spec.patch === undefined),
+            'pullRequest record keeps reasons, not diffs');
+
+        const noReview = buildPullRequestRun(pullRequest, impact, loadGitWebhookConfig({ review: false }));
+        assert(noReview.mission.scenarios.every(scenario => !scenario.review), 'review: false disables code review');
+        assert(buildPullRequestRun({ ...pullRequest, provider: 'gitlab', number: 9 }, impact, loadGitWebhookConfig({})).ticketId === 'MR-9',
+            'GitLab runs filed as MR-<iid>');
+    }
+
+    console.log('\n═══ provider API (mock server) ═══');
+    {
+        const files = Array.from({ length: 100 }, (_, i) => ({ filename: `tests/specs/a/s${i}.spec.js`, status: 'modified', patch: '' }));
+        const api = await startMockApi([
+            { method: 'GET', path: '/repos/acme/qa/pulls/42/files?per_page=100&page=1', body: files },
+            { method: 'GET', path: '/repos/acme/qa/pulls/42/files?per_page=100&page=2', body: [{ filename: 'tests/pageobjects/map.js', status: 'renamed', previous_filename: 'tests/pageobjects/oldMap.js' }] },
+            { method: 'GET', path: '/projects/7/merge_requests/9/diffs', body: [{ new_path: 'tests/specs/p.spec.js', old_path: 'tests/specs/p.spec.js', new_file: true, diff: '+x' }] },
+            { method: 'GET', path: '/repos/acme/qa/pulls/500/files', status: 404, body: { message: 'Not Found' } },
+            { method: 'POST', path: '/repos/acme/qa/statuses/', status: 201, body: {} },
+            { method: 'POST', path: '/repos/acme/qa/issues/42/comments', status: 201, body: {} },
+            { method: 'POST', path: '/projects/7/', status: 201, body: {} },
+        ]);
+        process.env.TEST_GIT_TOKEN = 'tok';
+
+        try {
+            const githubConfig = { apiBaseUrl: api.baseUrl, tokenEnv: 'TEST_GIT_TOKEN' };
+            const github = { provider: 'github', repository: 'acme/qa', projectId: 'acme/qa', number: 42, headSha: 'abc123' };
+            const listed = await listChangedFiles(github, githubConfig);
+            assert(listed.length === 101 && listed[100].previousPath === 'tests/pageobjects/oldMap.js', 'github: files paginated');
+            assert(api.requests[0].headers.authorization === 'Bearer tok', 'github: token sent as bearer');
+
+            const gitlab = { provider: 'gitlab', repository: 'acme/qa', projectId: 7, number: 9, headSha: 'def456' };
+            const diffs = await listChangedFiles(gitlab, githubConfig);
+            assert(diffs[0].status === 'added' && diffs[0].patch === '+x', 'gitlab: diffs normalized');
+            assert(api.requests[api.requests.length - 1].headers['private-token'] === 'tok', 'gitlab: PRIVATE-TOKEN header');
+
+            let apiError = null;
+            await listChangedFiles({ ...github, number: 500 }, githubConfig).catch(err => { apiError = err; });
+            assert(apiError && apiError.message.includes('404'), 'API errors surface');
+
+            const reporter = createStatusReporter('github', { apiBaseUrl: api.baseUrl, token: 'tok' });
+            await reporter.reportStatus(github, { state: 'success', description: 'x'.repeat(200), context: 'qa', targetUrl: 'http://dash/run' });
+            const statusRequest = api.requests.find(req => req.url === '/repos/acme/qa/statuses/abc123');
+            assert(statusRequest?.body.state === 'success' && statusRequest.body.description.length === 140
+                && statusRequest.body.target_url === 'http://dash/run', 'github reporter: commit status');
+
+            const gitlabReporter = createStatusReporter('gitlab', { apiBaseUrl: api.baseUrl, token: 'tok' });
+            assert(gitlabReporter instanceof GitLabStatusReporter, 'factory: gitlab reporter');
+            await gitlabReporter.reportStatus(gitlab, { state: 'failure', description: 'failed', context: 'qa' });
+            await gitlabReporter.reportSummary(gitlab, '### summary');
+            assert(api.requests.some(req => req.url === '/projects/7/statuses/def456' && req.body.state === 'failed' && req.body.name === 'qa'),
+                'gitlab reporter: failure → failed');
+            assert(api.requests.some(req => req.url === '/projects/7/merge_requests/9/notes' && req.body.body === '### summary'),
+                'gitlab reporter: MR note');
+
+            assert(createStatusReporter('none') === null, 'factory: none disables reporting');
+            let thrown = null;
+            try { createStatusReporter('reporters/missing.js'); } catch (err) { thrown = err; }
+            assert(thrown && thrown.message.includes('Unknown status reporter'), 'factory: unknown reporter rejected');
+            let abstract = null;
+            try { new StatusReporter(); } catch (err) { abstract = err; }
+            assert(abstract !== null, 'StatusReporter is abstract');
+
+            // Notifier: RUN_COMPLETE → status + comment
+            const run = {
+                runId: 'run_1',
+                ticketId: 'PR-42',
+                mode: 'execute',
+                environment: 'UAT',
+                status: 'failed',
+                duration: '1m 2s',
+                pullRequest: { ...github, specs: [{ specPath: 'tests/specs/a.spec.js', reasons: ['spec changed'] }], truncated: 2 },
+                mission: {
+                    scenarios: [
+                        { id: 'a', specPath: 'tests/specs/a.spec.js' },
+                        { id: 'b', specPath: 'tests/specs/b.spec.js' },
+                    ],
+                },
+                result: {
+                    scenarioResults: [
+                        {
+                            scenarioId: 'a', success: true, artifacts: {
+                                testResults: { totalCount: 3, passedCount: 3 },
+                                codeReview: { verdict: 'CHANGES_REQUESTED', summary: '- line 12: use .first()' },
+                            },
+                        },
+                        { scenarioId: 'b', success: false, error: 'Timeout | 30s', artifacts: { testResults: { totalCount: 2, passedCount: 1 } } },
+                    ],
+                },
+            };
+
+            const summary = summarizeRun(run);
+            assert(summary.state === 'failure' && summary.description === '1 of 2 spec(s) failed', 'summary: failure state');
+            assert(summary.markdown.includes('| `tests/specs/a.spec.js` | ✅ passed | 3/3 | spec changed |')
+                && summary.markdown.includes('1/2'), 'summary: per-spec table');
+            assert(summary.markdown.includes('changes requested') && summary.markdown.includes('use .first()'), 'summary: code review findings');
+            assert(summary.markdown.includes('2 more affected spec(s)') && summary.markdown.includes('Timeout \\| 30s'),
+                'summary: truncation note and escaped failure');
+            assert(summarizeRun({ ...run, status: 'cancelled' }).state === 'error', 'summary: cancelled → error');
+
+            const bridge = new EventBridge({ persist: false });
+            const config = loadGitWebhookConfig({ github: { apiBaseUrl: api.baseUrl, tokenEnv: 'TEST_GIT_TOKEN' }, targetUrlTemplate: 'http://dash/runs/{runId}' });
+            const notifier = new PullRequestStatusNotifier({
+                runStore: { getRun: runId => (runId === 'run_1' ? run : null) },
+                eventBridge: bridge,
+                loadConfig: () => config,
+                log: () => { },
+            });
+            notifier.subscribe();
+            const before = api.requests.length;
+            bridge.push(EVENT_TYPES.RUN_COMPLETE, 'run_1', { success: false });
+            bridge.push(EVENT_TYPES.RUN_COMPLETE, 'run_other', { success: true });
+            await new Promise(resolve => setTimeout(resolve, 300));
+            const posted = api.requests.slice(before);
+            assert(posted.length === 2, 'notifier: only PR runs reported');
+            assert(posted[0].body.state === 'failure' && posted[0].body.target_url === 'http://dash/runs/run_1'
+                && posted[0].body.context === 'qa-agentic-workflow', 'notifier: final commit status');
+            assert(posted[1].url === '/repos/acme/qa/issues/42/comments' && posted[1].body.body.includes('QA automation'),
+                'notifier: summary comment');
+            notifier.unsubscribe();
+        } finally {
+            delete process.env.TEST_GIT_TOKEN;
+            api.server.close();
+        }
+    }
+
+    console.log('\n═══ Summary ═══');
+    console.log(`\n  Total: ${passed + failed}  |  Passed: ${passed}  |  Failed: ${failed}`);
+    if (errors.length > 0) {
+        console.log('\n  Failed tests:');
+        errors.forEach(e => console.log(`    - ${e}`));
+    }
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+    process.exit(failed > 0 ? 1 : 0);
+})();
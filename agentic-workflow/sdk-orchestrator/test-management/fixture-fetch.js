@@ -0,0 +1,158 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * FIXTURE FETCH — Record and Replay Test Management API Exchanges
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Adapters take a `fetch` option, so they can be exercised against recorded
+ * API traffic instead of a live Xray / Zephyr / TestRail instance:
+ *
+ *   const recorder = createRecordingFetch();
+ *   const adapter = createTestManagementAdapter(config, { fetch: recorder });
+ *   await sync.syncTestCases(...);                     // against the real API
+ *   fs.writeFileSync('xray.json', JSON.stringify(recorder.toFixture('xray'), null, 2));
+ *
+ *   const replay = createFixtureFetch(require('./fixtures/xray.json'));
+ *   const adapter = createTestManagementAdapter(config, { fetch: replay });
+ *
+ * Fixture format:
+ *   { provider, exchanges: [{ request: { method, path, body? }, response: { status, body } }] }
+ *
+ * Requests are replayed in order. `path` is the URL without its origin; a
+ * recorded request body only has to be contained in the actual body, and a
+ * redacted value in it matches any value.
+ * Credentials in request bodies and bearer tokens in responses are redacted
+ * when recording.
+ *
+ * @module sdk-orchestrator/test-management/fixture-fetch
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const SECRET_KEYS = /secret|password|token|api_?key|client_id/i;
+const REDACTED = '<redacted>';
+const JWT = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+
+// ─── Replay ─────────────────────────────────────────────────────────────────
+
+/**
+ * A fetch that answers from a fixture and fails on any request the fixture
+ * did not record.
+ *
+ * @param {Object} fixture
+ * @returns {Function} fetch, with `calls` (requests seen) and `pending()` (exchanges not yet replayed)
+ */
+function createFixtureFetch(fixture) {
+    const exchanges = fixture?.exchanges || [];
+    const name = fixture?.provider || 'fixture';
+    const calls = [];
+
+    const replay = async (url, init = {}) => {
+        const method = (init.method || 'GET').toUpperCase();
+        const requestPath = pathOf(url);
+        const body = parseBody(init.body);
+        calls.push({ method, path: requestPath, headers: init.headers || {}, body });
+
+        const exchange = exchanges[calls.length - 1];
+        if (!exchange) {
+            throw new Error(`Fixture ${name}: unexpected request #${calls.length} ${method} ${requestPath} (${exchanges.length} recorded)`);
+        }
+        const expected = exchange.request;
+        if (expected.method.toUpperCase() !== method || expected.path !== requestPath) {
+            throw new Error(`Fixture ${name}: request #${calls.length} was ${method} ${requestPath}, recorded ${expected.method} ${expected.path}`);
+        }
+        if (expected.body !== undefined && !containsSubset(body, expected.body)) {
+            throw new Error(`Fixture ${name}: request #${calls.length} body does not match the recording for ${method} ${requestPath}`);
+        }
+
+        const status = exchange.response?.status ?? 200;
+        const responseBody = exchange.response?.body;
+        const text = responseBody === undefined || responseBody === null ? '' : JSON.stringify(responseBody);
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            text: async () => text,
+            json: async () => JSON.parse(text),
+        };
+    };
+
+    replay.calls = calls;
+    replay.pending = () => exchanges.slice(calls.length);
+    return replay;
+}
+
+// ─── Record ─────────────────────────────────────────────────────────────────
+
+/**
+ * Wrap fetch and keep every exchange for toFixture().
+ *
+ * @param {Function} [fetchImpl] - Default: global fetch
+ * @returns {Function} fetch, with `exchanges` and `toFixture(provider)`
+ */
+function createRecordingFetch(fetchImpl) {
+    const exchanges = [];
+    const target = fetchImpl || ((...args) => fetch(...args));
+
+    const record = async (url, init = {}) => {
+        const response = await target(url, init);
+        const text = await response.text();
+        exchanges.push({
+            request: {
+                method: (init.method || 'GET').toUpperCase(),
+                path: pathOf(url),
+                ...(init.body !== undefined ? { body: redact(parseBody(init.body)) } : {}),
+            },
+            response: { status: response.status, body: redact(parseBody(text)) },
+        });
+        return {
+            ok: response.ok,
+            status: response.status,
+            text: async () => text,
+            json: async () => JSON.parse(text),
+        };
+    };
+
+    record.exchanges = exchanges;
+    record.toFixture = provider => ({ provider, recordedAt: new Date().toISOString(), exchanges });
+    return record;
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function pathOf(url) {
+    const parsed = new URL(url);
+    return `${parsed.pathname}${parsed.search}`;
+}
+
+function parseBody(body) {
+    if (body === undefined || body === null || body === '') return null;
+    if (typeof body !== 'string') return body;
+    try {
+        return JSON.parse(body);
+    } catch {
+        return body;
+    }
+}
+
+/** Every key in `expected` is in `actual` with a matching value (arrays match by position). */
+function containsSubset(actual, expected) {
+    if (expected === REDACTED) return actual !== undefined && actual !== null;
+    if (expected === null || typeof expected !== 'object') return actual === expected;
+    if (actual === null || typeof actual !== 'object') return false;
+    if (Array.isArray(expected)) {
+        return Array.isArray(actual) && expected.every((item, i) => containsSubset(actual[i], item));
+    }
+    return Object.entries(expected).every(([key, value]) => containsSubset(actual[key], value));
+}
+
+function redact(value) {
+    if (typeof value === 'string') return JWT.test(value) ? REDACTED : value;
+    if (Array.isArray(value)) return value.map(redact);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+            key,
+            SECRET_KEYS.test(key) && typeof item === 'string' ? REDACTED : redact(item),
+        ]));
+    }
+    return value;
+}
+
+module.exports = { createFixtureFetch, createRecordingFetch };
@@ -0,0 +1,154 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TEST MANAGEMENT — Module Index
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * The test management tool TestGenie's cases and the pipeline's results are
+ * synced to, selected by workflow-config.json → sdk.testManagement.provider:
+ *
+ *   xray     — Xray Cloud (Test issues, Test Executions)
+ *   zephyr   — Zephyr Scale Cloud (test cases, test cycles)
+ *   testrail — TestRail (cases, runs)
+ *   <path>   — a module exporting a TestManagementAdapter subclass, resolved
+ *              relative to agentic-workflow/
+ *
+ * Usage:
+ *   const { createTestManagementAdapter } = require('./test-management');
+ *   const adapter = createTestManagementAdapter();   // null when no provider is set
+ *
+ * @module sdk-orchestrator/test-management
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const path = require('path');
+const { TestManagementAdapter, TestManagementError, RESULT_STATUS, fingerprint } = require('./test-management-adapter');
+const { XrayAdapter } = require('./xray-adapter');
+const { ZephyrScaleAdapter } = require('./zephyr-scale-adapter');
+const { TestRailAdapter } = require('./testrail-adapter');
+const { createFixtureFetch, createRecordingFetch } = require('./fixture-fetch');
+const { loadWorkflowConfig } = require('../utils');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+// ─── Config ─────────────────────────────────────────────────────────────────
+
+/**
+ * Normalize sdk.testManagement with per-provider defaults.
+ *
+ * @param {Object} [config] - sdk.testManagement (read from workflow-config.json when omitted)
+ * @returns {Object}
+ */
+function loadTestManagementConfig(config) {
+    const settings = config || loadWorkflowConfig()?.sdk?.testManagement || {};
+
+    return {
+        provider: settings.provider ? String(settings.provider) : null,
+        dryRun: settings.dryRun === true,
+        pushResults: settings.pushResults === true,
+        storePath: settings.storePath || null,
+        runName: settings.runName || '{ticketId} — pipeline run {runId}',
+        xray: {
+            apiBaseUrl: 'https://xray.cloud.getxray.app',
+            clientIdEnv: 'XRAY_CLIENT_ID',
+            clientSecretEnv: 'XRAY_CLIENT_SECRET',
+            projectKey: null,
+            linkType: 'Test',
+            testPlanKey: null,
+            ...(settings.xray || {}),
+        },
+        zephyr: {
+            apiBaseUrl: 'https://api.zephyrscale.smartbear.com/v2',
+            tokenEnv: 'ZEPHYR_API_TOKEN',
+            projectKey: null,
+            folderId: null,
+            ...(settings.zephyr || {}),
+        },
+        testrail: {
+            baseUrl: null,
+            userEnv: 'TESTRAIL_USER',
+            apiKeyEnv: 'TESTRAIL_API_KEY',
+            projectId: null,
+            suiteId: null,
+            sectionId: null,
+            templateId: 2,
+            closeRuns: false,
+            ...(settings.testrail || {}),
+        },
+        options: settings.options || {},
+    };
+}
+
+// ─── Factory ────────────────────────────────────────────────────────────────
+
+/**
+ * Create the adapter for a normalized config.
+ *
+ * @param {Object} [config] - From loadTestManagementConfig() (loaded when omitted)
+ * @param {Object} [overrides] - Merged into the adapter options (e.g., { fetch })
+ * @returns {TestManagementAdapter|null} null when no provider is configured
+ */
+function createTestManagementAdapter(config, overrides = {}) {
+    const resolved = config || loadTestManagementConfig();
+    if (!resolved.provider) return null;
+    const env = name => (name ? process.env[name] || null : null);
+    const jiraBaseUrl = process.env.JIRA_BASE_URL || null;
+
+    switch (resolved.provider.toLowerCase()) {
+        case 'xray':
+            return new XrayAdapter({
+                ...resolved.xray,
+                clientId: resolved.xray.clientId || env(resolved.xray.clientIdEnv),
+                clientSecret: resolved.xray.clientSecret || env(resolved.xray.clientSecretEnv),
+                jiraBaseUrl,
+                ...overrides,
+            });
+        case 'zephyr':
+        case 'zephyr-scale':
+            return new ZephyrScaleAdapter({
+                ...resolved.zephyr,
+                token: resolved.zephyr.token || env(resolved.zephyr.tokenEnv),
+                ...overrides,
+            });
+        case 'testrail':
+            return new TestRailAdapter({
+                ...resolved.testrail,
+                user: resolved.testrail.user || env(resolved.testrail.userEnv),
+                apiKey: resolved.testrail.apiKey || env(resolved.testrail.apiKeyEnv),
+                ...overrides,
+            });
+        default:
+            return loadCustomAdapter(resolved.provider, { ...resolved.options, ...overrides });
+    }
+}
+
+function loadCustomAdapter(modulePath, options) {
+    const resolved = path.isAbsolute(modulePath) ? modulePath : path.join(ROOT_DIR, modulePath);
+    let exported;
+    try {
+        exported = require(resolved);
+    } catch (error) {
+        throw new Error(`Unknown test management provider "${modulePath}". Valid: xray, zephyr, testrail, or a module path (${error.message})`);
+    }
+
+    const Adapter = typeof exported === 'function'
+        ? exported
+        : Object.values(exported).find(value => typeof value === 'function' && value.prototype instanceof TestManagementAdapter);
+    if (!Adapter || !(Adapter.prototype instanceof TestManagementAdapter)) {
+        throw new Error(`Test management module "${modulePath}" must export a TestManagementAdapter subclass`);
+    }
+    return new Adapter(options);
+}
+
+module.exports = {
+    loadTestManagementConfig,
+    createTestManagementAdapter,
+    createFixtureFetch,
+    createRecordingFetch,
+    fingerprint,
+    TestManagementAdapter,
+    TestManagementError,
+    RESULT_STATUS,
+    XrayAdapter,
+    ZephyrScaleAdapter,
+    TestRailAdapter,
+};
@@ -0,0 +1,236 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TEST MANAGEMENT ADAPTER — Interface for Test Case and Test Run Backends
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * One adapter per test management tool (Xray, Zephyr Scale, TestRail, or a
+ * custom module). The sync service (testcase-sync.js) hands adapters test
+ * cases in the TestGenie step model and execution results already mapped to
+ * a small set of statuses; adapters only build payloads and call the API.
+ *
+ * Payload builders (buildCasePayload, buildRunPayload) make no requests, so
+ * dry runs show exactly what would be sent.
+ *
+ * @module sdk-orchestrator/test-management/test-management-adapter
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+
+/** Result statuses adapters map to their own. */
+const RESULT_STATUS = Object.freeze({
+    PASSED: 'passed',
+    FAILED: 'failed',
+    SKIPPED: 'skipped',
+    BLOCKED: 'blocked',
+});
+
+/**
+ * @typedef {Object} SyncTestStep
+ * @property {string} stepId
+ * @property {string} action
+ * @property {string} expected
+ * @property {string} actual
+ */
+
+/**
+ * @typedef {Object} SyncTestCase
+ * @property {string} id             - TestGenie case ID (e.g., "TC-01")
+ * @property {string} title
+ * @property {string} preConditions
+ * @property {SyncTestStep[]} steps
+ * @property {string[]} labels
+ */
+
+/**
+ * @typedef {Object} SyncContext
+ * @property {string} ticketId       - Source ticket the cases cover
+ * @property {string|null} ticketUrl
+ */
+
+/**
+ * @typedef {Object} RemoteTestCase
+ * @property {string} id             - The tool's ID
+ * @property {string} key            - Human-readable key (AOTF-T12, C345, AOTF-210)
+ * @property {string|null} url
+ */
+
+/**
+ * @typedef {Object} CaseResult
+ * @property {RemoteTestCase} remote
+ * @property {string} caseId
+ * @property {string} status         - RESULT_STATUS value
+ * @property {number|null} durationMs
+ * @property {string} comment
+ */
+
+/**
+ * @typedef {Object} RunInfo
+ * @property {string} name
+ * @property {string} ticketId
+ * @property {string} runId          - Pipeline run ID
+ * @property {string|null} environment
+ * @property {string|null} startedAt
+ * @property {string|null} completedAt
+ */
+
+class TestManagementError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [details]
+     * @param {number} [details.status] - HTTP status
+     * @param {string} [details.body]   - Response body (truncated)
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'TestManagementError';
+        this.status = details.status ?? null;
+        this.body = details.body ?? null;
+    }
+}
+
+class TestManagementAdapter {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.fetch] - fetch implementation (default: global fetch)
+     */
+    constructor(options = {}) {
+        if (new.target === TestManagementAdapter) {
+            throw new Error('TestManagementAdapter is abstract — use XrayAdapter, ZephyrScaleAdapter or TestRailAdapter');
+        }
+        this.options = options;
+        this._fetch = options.fetch || ((...args) => fetch(...args));
+    }
+
+    /** @returns {string} Adapter identifier ('xray', 'zephyr', 'testrail', ...) */
+    get type() {
+        throw new Error(`${this.constructor.name}.type is not implemented`);
+    }
+
+    /** @returns {string} Name used in messages */
+    get displayName() {
+        return this.type;
+    }
+
+    /**
+     * The request body that creates or updates a test case. No requests.
+     * @param {SyncTestCase} testCase
+     * @param {SyncContext} context
+     * @returns {Object}
+     */
+    buildCasePayload(testCase, context) {
+        throw new Error(`${this.constructor.name}.buildCasePayload() is not implemented`);
+    }
+
+    /**
+     * Create a test case linked to the source ticket.
+     * @param {SyncTestCase} testCase
+     * @param {SyncContext} context
+     * @returns {Promise<RemoteTestCase>}
+     */
+    async createTestCase(testCase, context) {
+        throw new Error(`${this.constructor.name}.createTestCase() is not implemented`);
+    }
+
+    /**
+     * Update a test case created earlier (title, preconditions, steps).
+     * @param {RemoteTestCase} remote
+     * @param {SyncTestCase} testCase
+     * @param {SyncContext} context
+     * @returns {Promise<RemoteTestCase>}
+     */
+    async updateTestCase(remote, testCase, context) {
+        throw new Error(`${this.constructor.name}.updateTestCase() is not implemented`);
+    }
+
+    /**
+     * The request body(ies) that record a test run. No requests.
+     * @param {RunInfo} run
+     * @param {CaseResult[]} results
+     * @returns {Object}
+     */
+    buildRunPayload(run, results) {
+        throw new Error(`${this.constructor.name}.buildRunPayload() is not implemented`);
+    }
+
+    /**
+     * Record execution results as a test run (Xray test execution, Zephyr
+     * test cycle, TestRail run).
+     * @param {RunInfo} run
+     * @param {CaseResult[]} results
+     * @returns {Promise<{ id: string, key: string|null, url: string|null }>}
+     */
+    async createTestRun(run, results) {
+        throw new Error(`${this.constructor.name}.createTestRun() is not implemented`);
+    }
+
+    /** @returns {Promise<{ connected: boolean, provider: string, message: string }>} */
+    async testConnection() {
+        throw new Error(`${this.constructor.name}.testConnection() is not implemented`);
+    }
+
+    // ─── HTTP ───────────────────────────────────────────────────────
+
+    /**
+     * JSON request with the adapter's auth headers.
+     *
+     * @param {string} method
+     * @param {string} url
+     * @param {Object} [options]
+     * @param {*} [options.body]    - Serialized as JSON
+     * @param {Object} [options.headers]
+     * @returns {Promise<*>} Parsed JSON, or null for an empty body
+     * @throws {TestManagementError} On a non-2xx response
+     */
+    async _request(method, url, options = {}) {
+        const response = await this._fetch(url, {
+            method,
+            headers: {
+                Accept: 'application/json',
+                ...(options.body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(await this._authHeaders()),
+                ...(options.headers || {}),
+            },
+            ...(options.body !== undefined ? { body: JSON.stringify(options.body) } : {}),
+        });
+
+        const text = await response.text();
+        if (!response.ok) {
+            throw new TestManagementError(`${this.displayName}: ${method} ${url} returned ${response.status}`, {
+                status: response.status,
+                body: text.slice(0, 1000),
+            });
+        }
+        if (!text) return null;
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text;
+        }
+    }
+
+    /** @returns {Promise<Object>|Object} Authorization headers for _request() */
+    _authHeaders() {
+        return {};
+    }
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Stable hash of what a case looks like in the tool — unchanged cases are
+ * not re-sent.
+ *
+ * @param {Object} payload - From buildCasePayload()
+ * @returns {string}
+ */
+function fingerprint(payload) {
+    return crypto.createHash('sha1').update(JSON.stringify(payload)).digest('hex').slice(0, 16);
+}
+
+module.exports = {
+    TestManagementAdapter,
+    TestManagementError,
+    RESULT_STATUS,
+    fingerprint,
+};
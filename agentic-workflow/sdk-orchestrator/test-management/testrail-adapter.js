@@ -0,0 +1,160 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TESTRAIL ADAPTER — TestRail Cases, Runs and Results
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Test cases are added to one section with the "Test Case (Steps)" template
+ * (separated steps, preconditions) and reference the source ticket in
+ * `refs`, which TestRail shows as a link when the Jira integration is on.
+ * Pipeline results become a run over the synced cases with one result per
+ * case.
+ *
+ * TestRail's API cannot set a case back to Untested, so skipped tests post no
+ * result by default (statusIds.skipped: null) and stay Untested in the run.
+ *
+ * Config (workflow-config.json → sdk.testManagement.testrail):
+ *   baseUrl    — https://<org>.testrail.io
+ *   userEnv    — default TESTRAIL_USER (login email)
+ *   apiKeyEnv  — default TESTRAIL_API_KEY
+ *   projectId, suiteId (multi-suite projects), sectionId
+ *   templateId — default 2 (Test Case (Steps))
+ *   statusIds  — { passed: 1, failed: 5, blocked: 2, skipped: null }
+ *   closeRuns  — close the run after posting results (default false)
+ *
+ * @module sdk-orchestrator/test-management/testrail-adapter
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const { TestManagementAdapter, TestManagementError } = require('./test-management-adapter');
+
+const DEFAULT_STATUS_IDS = {
+    passed: 1,
+    blocked: 2,
+    failed: 5,
+    skipped: null,
+};
+
+class TestRailAdapter extends TestManagementAdapter {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl
+     * @param {string} options.user
+     * @param {string} options.apiKey
+     * @param {number} options.projectId
+     * @param {number} [options.suiteId]
+     * @param {number} options.sectionId
+     * @param {number} [options.templateId]
+     * @param {Object} [options.statusIds]
+     * @param {boolean} [options.closeRuns]
+     * @param {Function} [options.fetch]
+     */
+    constructor(options = {}) {
+        super(options);
+        this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+        this.statusIds = { ...DEFAULT_STATUS_IDS, ...(options.statusIds || {}) };
+    }
+
+    get type() {
+        return 'testrail';
+    }
+
+    get displayName() {
+        return 'TestRail';
+    }
+
+    // ─── Test Cases ─────────────────────────────────────────────────
+
+    buildCasePayload(testCase, context) {
+        return {
+            title: testCase.title,
+            template_id: Number(this.options.templateId || 2),
+            refs: context.ticketId,
+            custom_preconds: testCase.preConditions || '',
+            custom_steps_separated: testCase.steps.map(step => ({ content: step.action, expected: step.expected })),
+        };
+    }
+
+    async createTestCase(testCase, context) {
+        if (!this.options.sectionId) throw new TestManagementError('TestRail: sdk.testManagement.testrail.sectionId is required');
+        const created = await this._request('POST', this._url(`add_case/${this.options.sectionId}`), {
+            body: this.buildCasePayload(testCase, context),
+        });
+        return this._remote(created.id);
+    }
+
+    async updateTestCase(remote, testCase, context) {
+        await this._request('POST', this._url(`update_case/${remote.id}`), { body: this.buildCasePayload(testCase, context) });
+        return this._remote(remote.id);
+    }
+
+    // ─── Test Runs ──────────────────────────────────────────────────
+
+    buildRunPayload(run, results) {
+        return {
+            run: {
+                ...(this.options.suiteId ? { suite_id: Number(this.options.suiteId) } : {}),
+                name: run.name,
+                description: `Pipeline run ${run.runId} for ${run.ticketId}${run.environment ? ` on ${run.environment}` : ''}`,
+                include_all: false,
+                case_ids: results.map(result => Number(result.remote.id)),
+                refs: run.ticketId,
+            },
+            results: {
+                results: results
+                    .filter(result => this.statusIds[result.status] !== null && this.statusIds[result.status] !== undefined)
+                    .map(result => ({
+                        case_id: Number(result.remote.id),
+                        status_id: this.statusIds[result.status],
+                        comment: result.comment,
+                        ...(result.durationMs > 0 ? { elapsed: `${Math.max(1, Math.round(result.durationMs / 1000))}s` } : {}),
+                    })),
+            },
+        };
+    }
+
+    async createTestRun(run, results) {
+        if (!this.options.projectId) throw new TestManagementError('TestRail: sdk.testManagement.testrail.projectId is required');
+        const payload = this.buildRunPayload(run, results);
+        const created = await this._request('POST', this._url(`add_run/${this.options.projectId}`), { body: payload.run });
+        if (payload.results.results.length > 0) {
+            await this._request('POST', this._url(`add_results_for_cases/${created.id}`), { body: payload.results });
+        }
+        if (this.options.closeRuns) {
+            await this._request('POST', this._url(`close_run/${created.id}`), { body: {} });
+        }
+        return {
+            id: String(created.id),
+            key: `R${created.id}`,
+            url: created.url || `${this.baseUrl}/index.php?/runs/view/${created.id}`,
+        };
+    }
+
+    async testConnection() {
+        try {
+            const project = await this._request('GET', this._url(`get_project/${this.options.projectId}`));
+            return { connected: true, provider: this.type, message: `Connected to ${project?.name || `project ${this.options.projectId}`}` };
+        } catch (error) {
+            return { connected: false, provider: this.type, message: error.message };
+        }
+    }
+
+    // ─── Internal ───────────────────────────────────────────────────
+
+    _authHeaders() {
+        if (!this.options.user || !this.options.apiKey) {
+            throw new TestManagementError('TestRail: user and API key are required (sdk.testManagement.testrail.userEnv / apiKeyEnv)');
+        }
+        return { Authorization: `Basic ${Buffer.from(`${this.options.user}:${this.options.apiKey}`).toString('base64')}` };
+    }
+
+    _url(endpoint) {
+        if (!this.baseUrl) throw new TestManagementError('TestRail: sdk.testManagement.testrail.baseUrl is required');
+        return `${this.baseUrl}/index.php?/api/v2/${endpoint}`;
+    }
+
+    _remote(id) {
+        return { id: String(id), key: `C${id}`, url: `${this.baseUrl}/index.php?/cases/view/${id}` };
+    }
+}
+
+module.exports = { TestRailAdapter };
@@ -0,0 +1,209 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * XRAY ADAPTER — Xray Cloud Tests and Test Executions
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Test cases become Manual Xray Test issues, created through the GraphQL API
+ * with a Jira issue link (default type "Test": tests / is tested by) to the
+ * source ticket. Pipeline results are imported as a Test Execution in the
+ * Xray JSON format.
+ *
+ * Auth: client ID and secret (Xray → Global Settings → API Keys) exchanged
+ * for a bearer token, cached for the adapter's lifetime.
+ *
+ * Config (workflow-config.json → sdk.testManagement.xray):
+ *   apiBaseUrl      — default https://xray.cloud.getxray.app
+ *   clientIdEnv     — default XRAY_CLIENT_ID
+ *   clientSecretEnv — default XRAY_CLIENT_SECRET
+ *   projectKey      — Jira project for new Test issues (default: JIRA_PROJECT_KEY)
+ *   linkType        — Jira link type to the ticket (default "Test")
+ *   testPlanKey     — optional Test Plan the executions are added to
+ *   statusNames     — { passed, failed, skipped, blocked } → Xray statuses
+ *
+ * @module sdk-orchestrator/test-management/xray-adapter
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const { TestManagementAdapter, TestManagementError } = require('./test-management-adapter');
+
+const DEFAULT_STATUS_NAMES = {
+    passed: 'PASSED',
+    failed: 'FAILED',
+    skipped: 'TODO',
+    blocked: 'ABORTED',
+};
+
+const CREATE_TEST_MUTATION = `mutation CreateTest($testType: UpdateTestTypeInput, $steps: [CreateStepInput], $jira: JSON!) {
+    createTest(testType: $testType, steps: $steps, jira: $jira) {
+        test { issueId jira(fields: ["key"]) }
+        warnings
+    }
+}`;
+
+class XrayAdapter extends TestManagementAdapter {
+    /**
+     * @param {Object} options
+     * @param {string} [options.apiBaseUrl]
+     * @param {string} options.clientId
+     * @param {string} options.clientSecret
+     * @param {string} options.projectKey
+     * @param {string} [options.linkType]
+     * @param {string} [options.testPlanKey]
+     * @param {Object} [options.statusNames]
+     * @param {string} [options.jiraBaseUrl] - For test and execution URLs
+     * @param {Function} [options.fetch]
+     */
+    constructor(options = {}) {
+        super(options);
+        this.apiBaseUrl = (options.apiBaseUrl || 'https://xray.cloud.getxray.app').replace(/\/+$/, '');
+        this.projectKey = options.projectKey || null;
+        this.linkType = options.linkType || 'Test';
+        this.statusNames = { ...DEFAULT_STATUS_NAMES, ...(options.statusNames || {}) };
+        this.jiraBaseUrl = (options.jiraBaseUrl || '').replace(/\/+$/, '') || null;
+        this._token = null;
+    }
+
+    get type() {
+        return 'xray';
+    }
+
+    get displayName() {
+        return 'Xray';
+    }
+
+    // ─── Test Cases ─────────────────────────────────────────────────
+
+    buildCasePayload(testCase, context) {
+        const description = [
+            `Covers ${context.ticketId} (TestGenie ${testCase.id}).`,
+            testCase.preConditions ? `*Pre-conditions:*\n${testCase.preConditions}` : '',
+        ].filter(Boolean).join('\n\n');
+
+        return {
+            testType: { name: 'Manual' },
+            steps: testCase.steps.map(step => ({ action: step.action, data: '', result: step.expected })),
+            jira: {
+                fields: {
+                    project: { key: this._projectKey(context) },
+                    summary: testCase.title,
+                    description,
+                    labels: testCase.labels,
+                },
+                update: {
+                    issuelinks: [{ add: { type: { name: this.linkType }, outwardIssue: { key: context.ticketId } } }],
+                },
+            },
+        };
+    }
+
+    async createTestCase(testCase, context) {
+        const data = await this._graphql(CREATE_TEST_MUTATION, this.buildCasePayload(testCase, context));
+        const test = data?.createTest?.test;
+        if (!test?.issueId) throw new TestManagementError('Xray: createTest returned no test');
+        return this._remote(test.issueId, test.jira?.key);
+    }
+
+    /**
+     * Replace the steps of an existing Test. Summary and description are
+     * Jira fields and are left to Jira.
+     */
+    async updateTestCase(remote, testCase) {
+        const variables = { issueId: String(remote.id) };
+        const declarations = ['$issueId: String!'];
+        const calls = ['removeAllTestSteps(issueId: $issueId)'];
+        testCase.steps.forEach((step, i) => {
+            declarations.push(`$step${i}: CreateStepInput!`);
+            calls.push(`step${i}: addTestStep(issueId: $issueId, step: $step${i}) { id }`);
+            variables[`step${i}`] = { action: step.action, data: '', result: step.expected };
+        });
+
+        await this._graphql(`mutation UpdateSteps(${declarations.join(', ')}) {\n    ${calls.join('\n    ')}\n}`, variables);
+        return this._remote(remote.id, remote.key);
+    }
+
+    // ─── Test Runs ──────────────────────────────────────────────────
+
+    buildRunPayload(run, results) {
+        const info = {
+            summary: run.name,
+            description: `Pipeline run ${run.runId} for ${run.ticketId}`,
+            ...(run.startedAt ? { startDate: run.startedAt } : {}),
+            ...(run.completedAt ? { finishDate: run.completedAt } : {}),
+            ...(run.environment ? { testEnvironments: [run.environment] } : {}),
+            ...(this.options.testPlanKey ? { testPlanKey: this.options.testPlanKey } : {}),
+        };
+        return {
+            info,
+            tests: results.map(result => ({
+                testKey: result.remote.key,
+                status: this.statusNames[result.status] || this.statusNames.failed,
+                comment: result.comment,
+            })),
+        };
+    }
+
+    async createTestRun(run, results) {
+        const created = await this._request('POST', `${this.apiBaseUrl}/api/v2/import/execution`, {
+            body: this.buildRunPayload(run, results),
+        });
+        return {
+            id: String(created?.id || ''),
+            key: created?.key || null,
+            url: created?.key && this.jiraBaseUrl ? `${this.jiraBaseUrl}/browse/${created.key}` : null,
+        };
+    }
+
+    async testConnection() {
+        try {
+            this._token = null;
+            await this._authHeaders();
+            return { connected: true, provider: this.type, message: `Authenticated with ${this.apiBaseUrl}` };
+        } catch (error) {
+            return { connected: false, provider: this.type, message: error.message };
+        }
+    }
+
+    // ─── Internal ───────────────────────────────────────────────────
+
+    async _authHeaders() {
+        if (!this._token) {
+            if (!this.options.clientId || !this.options.clientSecret) {
+                throw new TestManagementError('Xray: client ID and secret are required (sdk.testManagement.xray.clientIdEnv / clientSecretEnv)');
+            }
+            const response = await this._fetch(`${this.apiBaseUrl}/api/v2/authenticate`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ client_id: this.options.clientId, client_secret: this.options.clientSecret }),
+            });
+            const text = await response.text();
+            if (!response.ok) {
+                throw new TestManagementError(`Xray: authentication failed (${response.status})`, { status: response.status, body: text.slice(0, 1000) });
+            }
+            // The token comes back as a JSON string
+            this._token = text.replace(/^"|"$/g, '');
+        }
+        return { Authorization: `Bearer ${this._token}` };
+    }
+
+    async _graphql(query, variables) {
+        const result = await this._request('POST', `${this.apiBaseUrl}/api/v2/graphql`, { body: { query, variables } });
+        if (result?.errors?.length) {
+            throw new TestManagementError(`Xray: ${result.errors.map(error => error.message).join('; ')}`);
+        }
+        return result?.data || null;
+    }
+
+    _projectKey(context) {
+        return this.projectKey || process.env.JIRA_PROJECT_KEY || String(context.ticketId || '').split('-')[0];
+    }
+
+    _remote(issueId, key) {
+        return {
+            id: String(issueId),
+            key: key || String(issueId),
+            url: key && this.jiraBaseUrl ? `${this.jiraBaseUrl}/browse/${key}` : null,
+        };
+    }
+}
+
+module.exports = { XrayAdapter };
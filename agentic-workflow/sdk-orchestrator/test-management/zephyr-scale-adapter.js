@@ -0,0 +1,178 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * ZEPHYR SCALE ADAPTER — Zephyr Scale Cloud Test Cases and Test Cycles
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Test cases are created through the Zephyr Scale REST API v2 with their
+ * steps written in one OVERWRITE call, and linked to the source ticket as a
+ * Jira issue link (the issue ID is looked up through the Jira API; without
+ * Jira credentials the ticket URL is added as a web link instead). Pipeline
+ * results become a test cycle with one test execution per case.
+ *
+ * Config (workflow-config.json → sdk.testManagement.zephyr):
+ *   apiBaseUrl  — default https://api.zephyrscale.smartbear.com/v2
+ *                 (EU: https://eu.api.zephyrscale.smartbear.com/v2)
+ *   tokenEnv    — default ZEPHYR_API_TOKEN
+ *   projectKey  — Jira project (default: JIRA_PROJECT_KEY)
+ *   folderId    — optional folder for new test cases
+ *   statusNames — { passed, failed, skipped, blocked } → execution statuses
+ *
+ * @module sdk-orchestrator/test-management/zephyr-scale-adapter
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const { TestManagementAdapter, TestManagementError } = require('./test-management-adapter');
+
+const DEFAULT_STATUS_NAMES = {
+    passed: 'Pass',
+    failed: 'Fail',
+    skipped: 'Not Executed',
+    blocked: 'Blocked',
+};
+
+class ZephyrScaleAdapter extends TestManagementAdapter {
+    /**
+     * @param {Object} options
+     * @param {string} [options.apiBaseUrl]
+     * @param {string} options.token
+     * @param {string} options.projectKey
+     * @param {number} [options.folderId]
+     * @param {Object} [options.statusNames]
+     * @param {Function} [options.resolveIssueId] - (ticketKey) => Promise<string|null>;
+     *   defaults to a Jira REST lookup
+     * @param {Function} [options.fetch]
+     */
+    constructor(options = {}) {
+        super(options);
+        this.apiBaseUrl = (options.apiBaseUrl || 'https://api.zephyrscale.smartbear.com/v2').replace(/\/+$/, '');
+        this.projectKey = options.projectKey || null;
+        this.statusNames = { ...DEFAULT_STATUS_NAMES, ...(options.statusNames || {}) };
+        this.resolveIssueId = options.resolveIssueId || (ticketKey => this._lookupJiraIssueId(ticketKey));
+    }
+
+    get type() {
+        return 'zephyr';
+    }
+
+    get displayName() {
+        return 'Zephyr Scale';
+    }
+
+    // ─── Test Cases ─────────────────────────────────────────────────
+
+    buildCasePayload(testCase, context) {
+        return {
+            testCase: {
+                projectKey: this._projectKey(context),
+                name: testCase.title,
+                objective: `Covers ${context.ticketId} (TestGenie ${testCase.id}).`,
+                precondition: testCase.preConditions || '',
+                labels: testCase.labels,
+                ...(this.options.folderId ? { folderId: Number(this.options.folderId) } : {}),
+            },
+            steps: {
+                mode: 'OVERWRITE',
+                items: testCase.steps.map(step => ({
+                    inline: { description: step.action, testData: '', expectedResult: step.expected },
+                })),
+            },
+        };
+    }
+
+    async createTestCase(testCase, context) {
+        const payload = this.buildCasePayload(testCase, context);
+        const created = await this._request('POST', `${this.apiBaseUrl}/testcases`, { body: payload.testCase });
+        await this._request('POST', `${this.apiBaseUrl}/testcases/${created.key}/teststeps`, { body: payload.steps });
+        await this._linkTicket(created.key, context);
+        return { id: String(created.id), key: created.key, url: null };
+    }
+
+    async updateTestCase(remote, testCase, context) {
+        const payload = this.buildCasePayload(testCase, context);
+        // PUT replaces the whole test case — start from the current one
+        const current = await this._request('GET', `${this.apiBaseUrl}/testcases/${remote.key}`);
+        const { projectKey, folderId, ...fields } = payload.testCase;
+        await this._request('PUT', `${this.apiBaseUrl}/testcases/${remote.key}`, { body: { ...current, ...fields } });
+        await this._request('POST', `${this.apiBaseUrl}/testcases/${remote.key}/teststeps`, { body: payload.steps });
+        return { id: String(remote.id), key: remote.key, url: null };
+    }
+
+    // ─── Test Runs ──────────────────────────────────────────────────
+
+    buildRunPayload(run, results) {
+        const projectKey = this._projectKey(run);
+        return {
+            testCycle: {
+                projectKey,
+                name: run.name,
+                description: `Pipeline run ${run.runId} for ${run.ticketId}`,
+                ...(run.startedAt ? { plannedStartDate: run.startedAt } : {}),
+                ...(run.completedAt ? { plannedEndDate: run.completedAt } : {}),
+            },
+            executions: results.map(result => ({
+                projectKey,
+                testCaseKey: result.remote.key,
+                statusName: this.statusNames[result.status] || this.statusNames.failed,
+                comment: result.comment,
+                ...(result.durationMs !== null && result.durationMs !== undefined ? { executionTime: result.durationMs } : {}),
+                ...(run.environment ? { environmentName: run.environment } : {}),
+            })),
+        };
+    }
+
+    async createTestRun(run, results) {
+        const payload = this.buildRunPayload(run, results);
+        const cycle = await this._request('POST', `${this.apiBaseUrl}/testcycles`, { body: payload.testCycle });
+        for (const execution of payload.executions) {
+            await this._request('POST', `${this.apiBaseUrl}/testexecutions`, { body: { ...execution, testCycleKey: cycle.key } });
+        }
+        return { id: String(cycle.id), key: cycle.key, url: null };
+    }
+
+    async testConnection() {
+        try {
+            const project = await this._request('GET', `${this.apiBaseUrl}/projects/${this._projectKey({})}`);
+            return { connected: true, provider: this.type, message: `Connected to project ${project?.key || this.projectKey}` };
+        } catch (error) {
+            return { connected: false, provider: this.type, message: error.message };
+        }
+    }
+
+    // ─── Internal ───────────────────────────────────────────────────
+
+    _authHeaders() {
+        if (!this.options.token) throw new TestManagementError('Zephyr Scale: API token is required (sdk.testManagement.zephyr.tokenEnv)');
+        return { Authorization: `Bearer ${this.options.token}` };
+    }
+
+    _projectKey(context) {
+        return this.projectKey || process.env.JIRA_PROJECT_KEY || String(context.ticketId || '').split('-')[0];
+    }
+
+    async _linkTicket(testCaseKey, context) {
+        const issueId = await this.resolveIssueId(context.ticketId);
+        if (issueId) {
+            await this._request('POST', `${this.apiBaseUrl}/testcases/${testCaseKey}/links/issues`, { body: { issueId: Number(issueId) } });
+        } else if (context.ticketUrl) {
+            await this._request('POST', `${this.apiBaseUrl}/testcases/${testCaseKey}/links/weblinks`, {
+                body: { url: context.ticketUrl, description: context.ticketId },
+            });
+        }
+    }
+
+    async _lookupJiraIssueId(ticketKey) {
+        const { getJiraApiConfig } = require('../custom-tools');
+        const jiraConfig = getJiraApiConfig();
+        if (jiraConfig.error) return null;
+        try {
+            const response = await this._fetch(`${jiraConfig.apiBase}/issue/${encodeURIComponent(ticketKey)}?fields=summary`, {
+                headers: jiraConfig.headers,
+            });
+            return response.ok ? (await response.json()).id || null : null;
+        } catch {
+            return null;
+        }
+    }
+}
+
+module.exports = { ZephyrScaleAdapter };
@@ -0,0 +1,310 @@
+/**
+ * Test suite for pipeline-modes.js
+ * Tests the built-in modes, schema and semantic validation of config modes,
+ * quality-gate placement, CustomTemplates import, skip conditions, the
+ * isValidMode hook in utils.js and PipelineRunner honouring conditional
+ * stages and parallel groups.
+ *
+ * Run: node agentic-workflow/sdk-orchestrator/test-pipeline-modes.js
+ */
+
+const path = require('path');
+const {
+    STAGES, MODE_STAGES, CONDITIONS, validateModeDefinition, templateToDefinition,
+    getModeCatalog, resolveModePlan, isKnownMode, listModes, getSkipReason, getParallelGroup,
+} = require('./pipeline-modes');
+const { isValidMode } = require('./utils');
+const { PipelineRunner } = require('./pipeline-runner');
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`  ✓ ${label}`);
+    } else {
+        failed++;
+        errors.push(label);
+        console.log(`  ✗ ${label}`);
+    }
+}
+
+// ─── Test Helpers ────────────────────────────────────────────────────────────
+
+function configWith(modes, extra = {}) {
+    return {
+        ooda: { environmentHealth: { enabled: false } },
+        sdk: {
+            coordinator: { enableSupervisor: 'never' },
+            pipelineModes: { modes, ...extra },
+        },
+    };
+}
+
+const TEMPLATES = {
+    'quick-testcases': {
+        name: 'Quick Test Cases',
+        stages: [{ stage: 'PENDING' }, { stage: 'JIRA_FETCHED' }, { stage: 'TESTCASES_GENERATED' }, { stage: 'EXCEL_CREATED' }, { stage: 'COMPLETED' }],
+    },
+    'with-bugs': {
+        name: 'With Bugs',
+        stages: [{ stage: 'SCRIPT_GENERATED' }, { stage: 'SCRIPT_EXECUTED' }, { stage: 'BUG_REPORTED', conditional: 'onFailure' }, { stage: 'COMPLETED' }],
+    },
+    'custom-stage': {
+        name: 'Custom',
+        stages: [{ stage: 'PENDING' }, { stage: 'EXCEL_LOADED' }],
+    },
+};
+
+/**
+ * A PipelineRunner whose stages are scripted: dispatch(stage, context) returns
+ * the stage result. Records start/end order.
+ */
+function scriptedRunner(config, dispatch) {
+    const runner = new PipelineRunner({
+        sessionFactory: { model: 'test-model' },
+        selfHealing: null,
+        config,
+        evidenceStore: {},
+        eventBridge: { push() { } },
+    });
+    runner.events = [];
+    runner._resolveExistingArtifacts = () => { };
+    runner._dispatchStage = async (stage, context) => {
+        runner.events.push(`start:${stage}`);
+        const result = await dispatch(stage, context);
+        runner.events.push(`end:${stage}`);
+        return result;
+    };
+    return runner;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+async function main() {
+    console.log('\n═══ Built-in Modes ═══');
+    {
+        assert(MODE_STAGES.full.length === 9, 'full has 9 stages');
+        assert(resolveModePlan('heal', {}).stages.join() === 'execute,healing,report', 'heal plan stages');
+        assert(resolveModePlan('full', {}).source === 'builtin', 'built-in source');
+        assert(resolveModePlan('nope', {}) === null, 'unknown mode resolves to null');
+        assert(['full', 'testcase', 'generate', 'heal', 'execute', 'a11y'].every(mode => isKnownMode(mode, {})), 'built-ins known');
+        assert(resolveModePlan('a11y', {}).stages.join() === 'preflight,a11y,execute,buggenie,report', 'a11y plan stages');
+        assert(!isKnownMode(undefined, {}) && !isKnownMode('', {}), 'empty mode unknown');
+
+        const schema = require(path.join(__dirname, '..', 'config', 'pipeline-modes.schema.json'));
+        assert(schema.definitions.stageName.enum.slice().sort().join() === Object.values(STAGES).sort().join(), 'schema stage enum matches STAGES');
+        assert(schema.definitions.condition.enum.slice().sort().join() === Object.keys(CONDITIONS).sort().join(), 'schema condition enum matches CONDITIONS');
+    }
+
+    console.log('\n═══ Schema Validation ═══');
+    {
+        let result = validateModeDefinition('smoke', { stages: ['execute', 'report'] });
+        assert(result.valid && result.plan.stages.join() === 'execute,report', 'minimal mode valid');
+
+        result = validateModeDefinition('smoke', {});
+        assert(!result.valid && result.errors[0].includes('stages or template'), 'stages or template required');
+
+        result = validateModeDefinition('smoke', { stages: [] });
+        assert(!result.valid && result.errors.some(e => e.includes('at least 1 item')), 'empty stages rejected');
+
+        result = validateModeDefinition('smoke', { stages: ['exec'] });
+        assert(!result.valid && result.errors[0].startsWith('mode.stages[0] must be one of'), 'unknown stage rejected');
+
+        result = validateModeDefinition('smoke', { stages: [{ stage: 'execute', runIf: 'whenever' }] });
+        assert(!result.valid && result.errors[0].startsWith('mode.stages[0].runIf'), 'unknown condition rejected with path');
+
+        result = validateModeDefinition('smoke', { stages: ['execute'], colour: 'red' });
+        assert(!result.valid && result.errors.includes('mode.colour is not allowed'), 'unknown property rejected');
+
+        result = validateModeDefinition('smoke', { stages: [{ parallel: ['execute'] }] });
+        assert(!result.valid && result.errors.some(e => e.includes('at least 2 items')), 'parallel group needs 2 stages');
+
+        result = validateModeDefinition('smoke', { stages: ['execute'], qualityGates: 'sometimes' });
+        assert(!result.valid, 'bad qualityGates rejected');
+
+        result = validateModeDefinition('Smoke Test', { stages: ['execute'] });
+        assert(!result.valid && result.errors[0].includes('mode name'), 'bad mode name rejected');
+
+        result = validateModeDefinition('full', { stages: ['execute'] });
+        assert(!result.valid && result.errors[0].includes('built-in'), 'built-in name rejected');
+
+        result = validateModeDefinition('smoke', 'execute');
+        assert(!result.valid && result.errors[0] === 'mode must be an object', 'non-object rejected');
+    }
+
+    console.log('\n═══ Semantic Validation ═══');
+    {
+        let result = validateModeDefinition('twice', { stages: ['execute', 'report', 'execute'] });
+        assert(!result.valid && result.errors[0] === 'stage execute is listed more than once', 'duplicate stage rejected');
+
+        result = validateModeDefinition('gate', { stages: ['scriptgenerator', { parallel: ['qg_script', 'codereview'] }] });
+        assert(!result.valid && result.errors.some(e => e.includes('qg_script cannot run in a parallel group')), 'gate in parallel group rejected');
+
+        result = validateModeDefinition('gate', { stages: ['testgenie', 'report'], qualityGates: { script: 'scriptgenerator' } });
+        assert(!result.valid && result.errors[0].includes('qualityGates.script follows scriptgenerator'), 'gate after missing stage rejected');
+    }
+
+    console.log('\n═══ Quality Gate Placement ═══');
+    {
+        let plan = validateModeDefinition('auto', { stages: ['testgenie', 'scriptgenerator', 'execute'] }).plan;
+        assert(plan.stages.join() === 'testgenie,qg_excel,scriptgenerator,qg_script,execute', 'auto: gates follow producers');
+
+        plan = validateModeDefinition('none', { stages: ['testgenie', 'scriptgenerator', 'execute'], qualityGates: 'none' }).plan;
+        assert(plan.stages.join() === 'testgenie,scriptgenerator,execute', 'none: no gates');
+
+        plan = validateModeDefinition('late', {
+            stages: ['testgenie', 'scriptgenerator', 'execute'],
+            qualityGates: { excel: 'scriptgenerator', script: false },
+        }).plan;
+        assert(plan.stages.join() === 'testgenie,scriptgenerator,qg_excel,execute', 'object: moved and dropped gates');
+
+        plan = validateModeDefinition('both', {
+            stages: ['testgenie', 'scriptgenerator', 'execute'],
+            qualityGates: { excel: 'scriptgenerator' },
+        }).plan;
+        assert(plan.stages.join() === 'testgenie,scriptgenerator,qg_excel,qg_script,execute', 'two gates after one stage keep order');
+
+        plan = validateModeDefinition('listed', { stages: ['testgenie', 'scriptgenerator', 'qg_excel', 'execute'] }).plan;
+        assert(plan.stages.join() === 'testgenie,scriptgenerator,qg_script,qg_excel,execute', 'listed gate keeps its place');
+
+        plan = validateModeDefinition('grouped', {
+            stages: [{ parallel: ['testgenie', 'codereview'] }, 'report'],
+        }).plan;
+        assert(plan.stages.join() === 'testgenie,codereview,qg_excel,report', 'gate after a group member follows the group');
+        assert(plan.parallelGroups.length === 1 && plan.parallelGroups[0].join() === 'testgenie,codereview', 'parallel group recorded');
+    }
+
+    console.log('\n═══ CustomTemplates ═══');
+    {
+        let converted = templateToDefinition(TEMPLATES['quick-testcases']);
+        assert(JSON.stringify(converted.definition.stages) === '["preflight","testgenie","report"]', 'template stages collapse to SDK stages');
+        assert(converted.definition.label === 'Quick Test Cases', 'template name becomes label');
+
+        converted = templateToDefinition(TEMPLATES['with-bugs']);
+        assert(converted.definition.stages[2].runIf === 'testsFailed', 'onFailure → runIf testsFailed');
+
+        converted = templateToDefinition(TEMPLATES['custom-stage']);
+        assert(!converted.definition && converted.errors[0].includes('EXCEL_LOADED'), 'custom template stage rejected');
+
+        let result = validateModeDefinition('quick', { template: 'quick-testcases' }, { templates: TEMPLATES });
+        assert(result.valid && result.plan.stages.join() === 'preflight,testgenie,qg_excel,report', 'template mode gets gates');
+
+        result = validateModeDefinition('quick', { template: 'missing' }, { templates: TEMPLATES });
+        assert(!result.valid && result.errors[0] === 'template "missing" not found', 'missing template rejected');
+
+        const catalog = getModeCatalog(configWith({}, { importTemplates: true }));
+        assert(catalog.modes.has('quick-testcases'), 'importTemplates: prebuilt template offered');
+        assert(catalog.modes.get('full-automation-with-bugs').conditions.buggenie.runIf[0] === 'testsFailed', 'importTemplates: prebuilt conditional kept');
+        assert(catalog.invalid.some(item => item.name === 'regression-suite' && item.source === 'template'), 'importTemplates: unmappable template reported');
+        assert(!getModeCatalog(configWith({})).modes.has('quick-testcases'), 'templates not imported by default');
+    }
+
+    console.log('\n═══ Catalog & isValidMode ═══');
+    {
+        const config = configWith({
+            smoke: { label: 'Smoke', stages: ['execute', { stage: 'healing', runIf: 'testsFailed' }, 'report'] },
+            broken: { stages: ['nope'] },
+            _notes: 'ignored',
+        });
+        const { modes, invalid } = listModes(config);
+        const smoke = modes.find(mode => mode.name === 'smoke');
+        assert(smoke && smoke.source === 'config' && smoke.label === 'Smoke', 'config mode listed');
+        assert(smoke.conditions.healing.runIf[0] === 'testsFailed', 'conditions listed');
+        assert(invalid.length === 1 && invalid[0].name === 'broken', 'invalid mode reported, _ keys ignored');
+        assert(isValidMode('smoke', config) && !isValidMode('broken', config), 'isValidMode accepts valid custom modes only');
+        assert(isValidMode('full', config), 'isValidMode accepts built-ins');
+        assert(isValidMode('smoke'), 'isValidMode reads workflow-config.json by default');
+    }
+
+    console.log('\n═══ Conditions ═══');
+    {
+        const plan = validateModeDefinition('c', {
+            stages: ['execute', { stage: 'healing', runIf: 'testsFailed' }, { stage: 'buggenie', runIf: ['testsFailed'], skipIf: 'healed' }],
+        }).plan;
+        assert(getSkipReason(plan, 'execute', {}) === null, 'unconditional stage runs');
+        assert(getSkipReason(plan, 'healing', { testResults: { passed: true } }) === 'runIf testsFailed not met', 'runIf unmet skips');
+        assert(getSkipReason(plan, 'healing', { testResults: { passed: false } }) === null, 'runIf met runs');
+        assert(getSkipReason(plan, 'healing', {}) !== null, 'testsFailed needs results');
+        assert(getSkipReason(plan, 'buggenie', { testResults: { passed: false }, healingResult: { success: true } }) === 'skipIf healed', 'skipIf wins');
+        assert(CONDITIONS.hasSpec({ specPath: __filename }) && CONDITIONS.noSpec({ specPath: `${__filename}.missing` }), 'spec conditions check disk');
+        assert(CONDITIONS.review({ scenario: { review: true } }) && !CONDITIONS.review({}), 'review condition');
+        assert(CONDITIONS.a11yIssues({ a11yResults: { issueCount: 2 } }) && !CONDITIONS.a11yIssues({}), 'a11yIssues condition');
+        assert(getParallelGroup(plan, 'execute') === null, 'no group');
+    }
+
+    console.log('\n═══ PipelineRunner ═══');
+    {
+        const config = configWith({
+            smoke: { stages: ['execute', { stage: 'healing', runIf: 'testsFailed' }, 'report'] },
+            guarded: { stages: ['preflight', { stage: 'testgenie', skipIf: 'hasTestCases' }, 'report'], qualityGates: 'none' },
+            fanout: { stages: [{ parallel: ['codereview', 'execute', { stage: 'buggenie', runIf: 'hasSpec' }] }, 'report'] },
+        });
+
+        let runner = scriptedRunner(config, async (stage, context) => {
+            if (stage === STAGES.PREFLIGHT) context.testCasesPath = __filename;
+            return { success: true, message: 'ok' };
+        });
+        const progress = [];
+        let result = await runner.run('AOTF-1', { mode: 'guarded', onProgress: (stage, message) => progress.push(`${stage}:${message}`) });
+        assert(result.success, 'conditional run succeeds');
+        assert(runner.events.join() === 'start:preflight,end:preflight,start:report,end:report', 'skipIf skips the stage');
+        assert(result.stageResults.testgenie.skipped && result.stageResults.testgenie.message === 'Skipped: skipIf hasTestCases', 'skip recorded in stage results');
+        assert(progress.includes('testgenie:Skipped (skipIf hasTestCases)'), 'skip reported as progress');
+
+        runner = scriptedRunner(config, async () => ({ success: true }));
+        await runner.run('AOTF-1', { mode: 'guarded' });
+        assert(runner.events.includes('start:testgenie'), 'stage runs when its condition does not hold');
+
+        // A failed execution is non-blocking; the coordinator would not skip healing
+        runner = scriptedRunner(config, async (stage, context) => {
+            if (stage === STAGES.EXECUTE) context.testResults = { passed: false };
+            return { success: stage !== STAGES.EXECUTE };
+        });
+        await runner.run('AOTF-1', { mode: 'smoke' });
+        assert(runner.events.includes('start:healing'), 'runIf testsFailed runs healing after failures');
+
+        runner = scriptedRunner(config, async stage => {
+            await sleep(stage === STAGES.CODE_REVIEW ? 30 : 5);
+            return { success: true };
+        });
+        result = await runner.run('AOTF-1', { mode: 'fanout' });
+        assert(result.success, 'parallel run succeeds');
+        assert(runner.events.slice(0, 2).sort().join() === 'start:codereview,start:execute', 'group members start together');
+        assert(runner.events.indexOf('end:execute') < runner.events.indexOf('end:codereview'), 'members overlap');
+        assert(runner.events.indexOf('start:report') > runner.events.indexOf('end:codereview'), 'next step waits for the group');
+        assert(!runner.events.includes('start:buggenie') && result.stageResults.buggenie.skipped, 'member condition decided at group start');
+
+        runner = scriptedRunner(config, async stage => {
+            if (stage === STAGES.CODE_REVIEW) return { success: false, blocking: true, error: 'review failed' };
+            await sleep(10);
+            return { success: true };
+        });
+        result = await runner.run('AOTF-1', { mode: 'fanout' });
+        assert(!result.success && result.error.includes('review failed'), 'blocking member fails the run');
+        assert(runner.events.includes('end:execute') && !runner.events.includes('start:report'), 'sibling settles, later steps skipped');
+
+        runner = scriptedRunner(config, async () => ({ success: true }));
+        assert(runner._resolveStages('bogus').join() === MODE_STAGES.full.join(), 'unknown mode falls back to full');
+        assert(runner._resolveStages('smoke', { review: true }).join() === 'codereview,execute,healing,report', 'review scenario gets code review');
+        assert(runner._resolveStages('fanout', { review: true }).join() === 'codereview,execute,buggenie,report', 'code review not duplicated');
+    }
+
+    console.log('\n═══ Summary ═══');
+    console.log(`\n  Total: ${passed + failed}  |  Passed: ${passed}  |  Failed: ${failed}`);
+    if (errors.length > 0) {
+        console.log('\n  Failed tests:');
+        errors.forEach(e => console.log(`    - ${e}`));
+    }
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
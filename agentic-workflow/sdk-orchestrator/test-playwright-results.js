@@ -0,0 +1,269 @@
+/**
+ * Test suite for playwright-results.js
+ * Tests nested-suite walking, per-project records, retry attempts (errors,
+ * attachments, step traces), status classification including flaky and
+ * timed-out, summaries, failure formatting, stdout parsing and the
+ * self-healing / EXECUTE consumers.
+ *
+ * Run: node agentic-workflow/sdk-orchestrator/test-playwright-results.js
+ */
+
+const {
+    TEST_STATUS, parsePlaywrightOutput, parsePlaywrightReport, classifyTest, summarizeResults, formatFailures,
+} = require('./playwright-results');
+const { SelfHealingEngine } = require('./self-healing');
+const { PipelineRunner } = require('./pipeline-runner');
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`  ✓ ${label}`);
+    } else {
+        failed++;
+        errors.push(label);
+        console.log(`  ✗ ${label}`);
+    }
+}
+
+// ─── Test Helpers ────────────────────────────────────────────────────────────
+
+function attempt(status, extra = {}) {
+    return { workerIndex: 0, status, duration: 100, errors: [], attachments: [], steps: [], ...extra };
+}
+
+function failure(message) {
+    return { message: `\u001b[31m${message}\u001b[39m`, stack: `Error: ${message}\n    at spec.js:10:5` };
+}
+
+function spec(title, tests, extra = {}) {
+    return { title, ok: true, id: `id-${title.replace(/\W/g, '')}`, file: 'search.spec.js', line: 12, column: 5, tests, ...extra };
+}
+
+function test(projectName, status, results) {
+    return {
+        projectName,
+        expectedStatus: 'passed',
+        status,
+        annotations: [],
+        results: results.map((result, retry) => ({ retry, ...result })),
+    };
+}
+
+/** Two projects, nested describes, a flaky test, a timeout and a skip */
+function sampleReport() {
+    return {
+        config: { projects: [{ name: 'chromium' }, { name: 'firefox' }] },
+        suites: [{
+            title: 'search.spec.js',
+            file: 'search.spec.js',
+            specs: [
+                spec('loads the page', [
+                    test('chromium', 'expected', [attempt('passed')]),
+                    test('firefox', 'expected', [attempt('passed')]),
+                ]),
+            ],
+            suites: [{
+                title: 'Search',
+                file: 'search.spec.js',
+                specs: [],
+                suites: [{
+                    title: 'filters',
+                    file: 'search.spec.js',
+                    specs: [
+                        spec('applies price filter', [
+                            test('chromium', 'flaky', [
+                                attempt('failed', {
+                                    error: failure('Timeout waiting for locator'),
+                                    errors: [failure('Timeout waiting for locator')],
+                                    attachments: [{ name: 'screenshot', contentType: 'image/png', path: '/tmp/shot-0.png' }],
+                                }),
+                                attempt('passed'),
+                            ]),
+                            test('firefox', 'unexpected', [
+                                attempt('failed', { error: failure('expect(received).toBe(expected)') }),
+                                attempt('failed', {
+                                    error: { ...failure('expect(received).toBe(expected)'), snippet: '> 10 | expect(count).toBe(3);' },
+                                    attachments: [
+                                        { name: 'screenshot', contentType: 'image/png', path: '/tmp/shot-1.png' },
+                                        { name: 'trace', contentType: 'application/zip', path: '/tmp/trace.zip' },
+                                    ],
+                                    steps: [{
+                                        title: 'Click filter', duration: 40,
+                                        steps: [{ title: 'locator.click', duration: 30, error: { message: 'not visible' } }],
+                                    }],
+                                }),
+                            ]),
+                        ]),
+                        spec('sorts by date', [
+                            test('chromium', 'unexpected', [attempt('timedOut', { error: failure('Test timeout of 30000ms exceeded.') })]),
+                            test('firefox', 'skipped', [attempt('skipped')]),
+                        ]),
+                    ],
+                }],
+            }],
+        }],
+        errors: [],
+        stats: { expected: 2, unexpected: 2, flaky: 1, skipped: 1 },
+    };
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+async function main() {
+    console.log('\n═══ Nested Suites ═══');
+    {
+        const parsed = parsePlaywrightReport(sampleReport());
+        assert(parsed.tests.length === 6, 'one record per spec × project across all nesting levels');
+        const filter = parsed.tests.find(t => t.title === 'Search › filters › applies price filter');
+        assert(filter !== undefined, 'title joins describe path, file suite left out');
+        assert(filter.titlePath.join('|') === 'Search|filters|applies price filter', 'titlePath kept');
+        assert(filter.file === 'search.spec.js' && filter.line === 12, 'location kept');
+        assert(parsed.tests[0].title === 'loads the page', 'top-level spec has no prefix');
+        assert(new Set(parsed.tests.map(t => t.id)).size === 6, 'ids are unique per project');
+    }
+
+    console.log('\n═══ Classification ═══');
+    {
+        const parsed = parsePlaywrightReport(sampleReport());
+        const status = (title, project) => parsed.tests.find(t => t.title.endsWith(title) && t.project === project).status;
+        assert(status('loads the page', 'chromium') === TEST_STATUS.PASSED, 'expected → passed');
+        assert(status('applies price filter', 'chromium') === TEST_STATUS.FLAKY, 'flaky → flaky');
+        assert(status('applies price filter', 'firefox') === TEST_STATUS.FAILED, 'unexpected → failed');
+        assert(status('sorts by date', 'chromium') === TEST_STATUS.TIMED_OUT, 'timedOut attempt → timed-out');
+        assert(status('sorts by date', 'firefox') === TEST_STATUS.SKIPPED, 'skipped → skipped');
+
+        const legacy = a => classifyTest({ status: 'passed' }, a);
+        assert(legacy([{ status: 'failed' }, { status: 'passed' }]) === TEST_STATUS.FLAKY, 'legacy pass after a failed retry is flaky');
+        assert(legacy([{ status: 'passed' }]) === TEST_STATUS.PASSED, 'legacy passed');
+        assert(classifyTest({ status: 'failed' }, [{ status: 'failed' }]) === TEST_STATUS.FAILED, 'legacy failed');
+        assert(classifyTest({}, [{ status: 'failed' }, { status: 'passed' }]) === TEST_STATUS.FLAKY, 'no test status: derived from attempts');
+        assert(classifyTest({}, [{ status: 'timedOut' }]) === TEST_STATUS.TIMED_OUT, 'no test status: timeout derived');
+        assert(classifyTest({}, []) === TEST_STATUS.SKIPPED, 'no attempts counts as skipped');
+    }
+
+    console.log('\n═══ Retry Attempts ═══');
+    {
+        const parsed = parsePlaywrightReport(sampleReport());
+        const failing = parsed.tests.find(t => t.status === TEST_STATUS.FAILED);
+        assert(failing.attempts.length === 2 && failing.retries === 1, 'every attempt kept');
+        assert(failing.attempts.map(a => a.retry).join() === '0,1', 'retry index per attempt');
+        assert(failing.attempts[1].attachments.length === 2 && failing.attempts[1].attachments[1].name === 'trace',
+            'attachments per attempt');
+        assert(failing.attempts[0].error.message === 'expect(received).toBe(expected)', 'ANSI codes stripped from errors');
+        assert(failing.error.snippet === '> 10 | expect(count).toBe(3);', 'test error is the last failed attempt');
+        const step = failing.attempts[1].steps[0];
+        assert(step.title === 'Click filter' && step.steps[0].error === 'not visible', 'nested step trace with step errors');
+        assert(failing.duration === 200, 'duration sums attempts');
+
+        const flaky = parsed.tests.find(t => t.status === TEST_STATUS.FLAKY);
+        assert(flaky.attempts[0].attachments[0].path === '/tmp/shot-0.png', 'flaky test keeps the failed attempt evidence');
+        assert(flaky.error.message === 'Timeout waiting for locator', 'flaky test error from its failed attempt');
+    }
+
+    console.log('\n═══ Counts ═══');
+    {
+        const parsed = parsePlaywrightReport(sampleReport());
+        const { stats, projects } = parsed;
+        assert(stats.total === 6 && stats.passed === 2 && stats.failed === 1, 'overall counts');
+        assert(stats.flaky === 1 && stats.skipped === 1 && stats.timedOut === 1, 'flaky / skipped / timed-out counted');
+        assert(Object.keys(projects).join() === 'chromium,firefox', 'grouped by project');
+        assert(projects.chromium.flaky === 1 && projects.chromium.timedOut === 1 && projects.chromium.failed === 0,
+            'chromium counts');
+        assert(projects.firefox.failed === 1 && projects.firefox.skipped === 1, 'firefox counts');
+        assert(parsed.passed === false, 'failures make the run fail');
+
+        const green = parsePlaywrightReport({
+            suites: [{ title: 'a.spec.js', file: 'a.spec.js', specs: [spec('ok', [test('chromium', 'flaky', [attempt('failed'), attempt('passed')])])] }],
+            errors: [],
+        });
+        assert(green.passed === true, 'flaky-only run passes');
+        assert(parsePlaywrightReport({ suites: [], errors: [] }).passed === false, 'empty run does not pass');
+        const broken = parsePlaywrightReport({ suites: [], errors: [{ message: 'SyntaxError: Unexpected token' }] });
+        assert(broken.errors[0].message === 'SyntaxError: Unexpected token' && broken.passed === false, 'global errors kept');
+    }
+
+    console.log('\n═══ Summaries ═══');
+    {
+        const parsed = parsePlaywrightReport(sampleReport());
+        const summary = summarizeResults(parsed);
+        assert(summary.totalCount === 6 && summary.passedCount === 3, 'flaky counts as passed');
+        assert(summary.failedCount === 2 && summary.timedOutCount === 1, 'timed-out counts as failed');
+        assert(summary.failedTests.includes('[firefox] Search › filters › applies price filter'), 'labels carry the project');
+        assert(summary.flakyTests.join() === '[chromium] Search › filters › applies price filter', 'flaky tests listed');
+        assert(summary.byProject.firefox.total === 3, 'per-project counts');
+
+        const single = summarizeResults(parsePlaywrightReport({
+            suites: [{ title: 'a.spec.js', file: 'a.spec.js', specs: [spec('fails', [test('chromium', 'unexpected', [attempt('failed')])])] }],
+        }));
+        assert(single.failedTests.join() === 'fails', 'no project prefix with a single project');
+
+        const text = formatFailures(parsed);
+        assert(text.includes('✘ [firefox] Search › filters › applies price filter (failed, 2 attempts)'), 'failure header');
+        assert(text.includes('  Attempt 2 [failed]: expect(received).toBe(expected)'), 'error per attempt');
+        assert(text.includes('    > 10 | expect(count).toBe(3);'), 'snippet indented');
+        assert(text.includes('(timed-out)') && !text.includes('applies price filter (flaky'), 'timeouts listed, flaky left out');
+        assert(formatFailures(parsed, { maxTests: 1 }).endsWith('… 1 more failing test(s)'), 'maxTests truncates');
+    }
+
+    console.log('\n═══ Output Parsing ═══');
+    {
+        const output = '[dotenv@16.4.5] injecting env (12) from .env\n' + JSON.stringify(sampleReport());
+        const parsed = parsePlaywrightOutput(output);
+        assert(parsed.tests.length === 6 && Array.isArray(parsed.report.suites), 'dotenv banner skipped, raw report kept');
+
+        let threw = null;
+        try { parsePlaywrightOutput('Error: no tests found'); } catch (e) { threw = e; }
+        assert(threw instanceof SyntaxError, 'non-JSON output throws');
+        threw = null;
+        try { parsePlaywrightOutput('{"hello": "world"}'); } catch (e) { threw = e; }
+        assert(threw instanceof SyntaxError, 'JSON that is not a report throws');
+    }
+
+    console.log('\n═══ Consumers ═══');
+    {
+        const engine = new SelfHealingEngine({ sessionFactory: {} });
+        const output = JSON.stringify(sampleReport());
+        const result = engine._toTestResult(parsePlaywrightOutput(output), output);
+        assert(result.passed === false && result.failedCount === 2 && result.tests.length === 6, 'healing result from the parser');
+        assert(result.error.includes('Attempt 1 [timedOut]: Test timeout of 30000ms exceeded.'), 'healing error lists attempts');
+
+        const runner = new PipelineRunner({
+            sessionFactory: { model: 'test-model' },
+            selfHealing: null,
+            config: {},
+            evidenceStore: {},
+            eventBridge: { push() { } },
+        });
+        const saved = [];
+        runner._saveRawTestResults = (context, report) => { saved.push(report); return '/tmp/raw.json'; };
+        runner._refreshEvidenceManifest = () => { };
+
+        const context = { ticketId: 'AOTF-1', runId: 'run_1' };
+        const stage = runner._recordExecutionResults(context, parsePlaywrightOutput(output));
+        assert(stage.success === false && stage.blocking === false, 'EXECUTE fails on failures');
+        assert(stage.message === '3/6 tests passed (1 flaky, 1 timed out, 1 skipped)', 'EXECUTE message');
+        assert(saved[0].suites.length === 1 && context.testResults.rawResultsFile === '/tmp/raw.json', 'raw report saved');
+        assert(context.testResults.failures.length === 2 && context.testResults.failures[0].attempts === 2, 'failures with attempt counts');
+
+        const empty = runner._recordExecutionResults({}, parsePlaywrightReport({ suites: [], errors: [{ message: 'Cannot find module' }] }));
+        assert(empty.message === 'Test execution error: Cannot find module', 'global error surfaced when no tests ran');
+    }
+
+    console.log('\n═══ Summary ═══');
+    console.log(`\n  Total: ${passed + failed}  |  Passed: ${passed}  |  Failed: ${failed}`);
+    if (errors.length > 0) {
+        console.log('\n  Failed tests:');
+        errors.forEach(e => console.log(`    - ${e}`));
+    }
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
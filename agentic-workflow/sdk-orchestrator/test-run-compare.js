@@ -0,0 +1,291 @@
+/**
+ * Test suite for run-compare.js
+ * Tests stage regressions/fixes and duration deltas, per-test status from
+ * saved raw Playwright results (nested suites, projects, timeouts), spec
+ * line diffs, selector changes, healing action summaries, and the fallback
+ * to the workspace spec when a run has no snapshot.
+ *
+ * Run: node agentic-workflow/sdk-orchestrator/test-run-compare.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { compareRuns, flattenPlaywrightResults, classifyChange, diffLines, CHANGE } = require('./run-compare');
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`  ✓ ${label}`);
+    } else {
+        failed++;
+        errors.push(label);
+        console.log(`  ✗ ${label}`);
+    }
+}
+
+// ─── Test Helpers ────────────────────────────────────────────────────────────
+
+const TEST_DIR = path.join(os.tmpdir(), `run-compare-test-${Date.now()}`);
+const REPORTS_DIR = path.join(TEST_DIR, 'reports');
+const SPEC_REL = 'tests/specs/aotf-100/AOTF-100.spec.js';
+fs.mkdirSync(REPORTS_DIR, { recursive: true });
+fs.mkdirSync(path.join(TEST_DIR, 'tests', 'specs', 'aotf-100'), { recursive: true });
+
+const OPTIONS = { reportsDir: REPORTS_DIR, projectRoot: TEST_DIR };
+
+const BASE_SPEC = [
+    "const { test, expect } = require('@playwright/test');",
+    '',
+    "test.describe('Search', () => {",
+    "    test('filters by city', async ({ page }) => {",
+    "        await page.locator('#city-input').fill('Austin');",
+    "        await page.getByRole('button', { name: 'Search' }).click();",
+    "        await expect(page.getByTestId('results')).toBeVisible();",
+    '    });',
+    '});',
+].join('\n');
+
+const HEAD_SPEC = BASE_SPEC
+    .replace("page.locator('#city-input')", "page.getByLabel('City')")
+    .replace("getByTestId('results')", "getByTestId('result-list')");
+
+function specEntry(title, status, { duration = 1000, project = 'chromium', resultStatus, error } = {}) {
+    const resultList = [{ status: resultStatus || (status === 'expected' ? 'passed' : 'failed'), duration, error: error ? { message: error } : undefined }];
+    return { title, ok: status !== 'unexpected', tests: [{ projectName: project, status, results: resultList }] };
+}
+
+function playwrightReport(statuses) {
+    return {
+        suites: [{
+            title: 'aotf-100/AOTF-100.spec.js',
+            file: 'aotf-100/AOTF-100.spec.js',
+            specs: [],
+            suites: [{
+                title: 'Search',
+                file: 'aotf-100/AOTF-100.spec.js',
+                specs: Object.entries(statuses).map(([title, status]) => specEntry(title, ...[].concat(status))),
+                suites: [],
+            }],
+        }],
+    };
+}
+
+function writeRawResults(runId, playwrightResult, specContent, scenarioId = 'default') {
+    const filePath = path.join(REPORTS_DIR, `AOTF-100-${runId}-test-results.json`);
+    fs.writeFileSync(filePath, JSON.stringify({
+        ticketId: 'AOTF-100',
+        runId,
+        mode: 'full',
+        scenarioId,
+        specPath: path.join(TEST_DIR, SPEC_REL),
+        specContent,
+        timestamp: new Date().toISOString(),
+        playwrightResult,
+    }));
+    return filePath;
+}
+
+function stage(name, status, seconds) {
+    const startedAt = new Date(Date.UTC(2026, 0, 1, 10, 0, 0)).toISOString();
+    const completedAt = new Date(Date.UTC(2026, 0, 1, 10, 0, seconds)).toISOString();
+    return { name, status, startedAt, completedAt, duration: `${seconds}s` };
+}
+
+function run(runId, fields) {
+    return {
+        runId,
+        ticketId: 'AOTF-100',
+        mode: 'full',
+        status: 'completed',
+        startedAt: '2026-01-01T10:00:00.000Z',
+        completedAt: '2026-01-01T10:05:00.000Z',
+        stages: [],
+        artifacts: {},
+        ...fields,
+    };
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+console.log('\n═══ Playwright Results ═══');
+// ═════════════════════════════════════════════════════════════════════════════
+
+{
+    const tests = flattenPlaywrightResults(playwrightReport({
+        'filters by city': 'expected',
+        'sorts by price': ['unexpected', { resultStatus: 'timedOut', error: '\u001b[31mTimeout 30000ms exceeded\u001b[39m\nCall log:' }],
+        'shows map': 'flaky',
+        'saves search': 'skipped',
+    }));
+    assert(tests.length === 4, 'flatten: one entry per test');
+    assert(tests[0].title === 'Search › filters by city', 'flatten: nested describe in title, file suite omitted');
+    assert(tests[0].key === 'aotf-100/AOTF-100.spec.js › chromium › Search › filters by city', 'flatten: key has file, project and title');
+    assert(tests[1].status === 'timedOut' && tests[1].error === 'Timeout 30000ms exceeded', 'flatten: timeout status and first error line without ANSI codes');
+    assert(tests[2].status === 'flaky' && tests[3].status === 'skipped', 'flatten: flaky and skipped kept');
+
+    const projects = flattenPlaywrightResults({
+        suites: [{ title: 'a.spec.js', file: 'a.spec.js', specs: [{ title: 't', tests: [
+            { projectName: 'chromium', status: 'expected', results: [{ status: 'passed', duration: 5 }] },
+            { projectName: 'firefox', status: 'unexpected', results: [{ status: 'failed', duration: 7 }] },
+        ] }] }],
+    });
+    assert(projects.length === 2 && projects[1].key.includes('firefox') && projects[1].status === 'failed', 'flatten: one entry per project');
+    assert(flattenPlaywrightResults(null).length === 0, 'flatten: missing report is empty');
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+console.log('\n═══ Change Classification ═══');
+// ═════════════════════════════════════════════════════════════════════════════
+
+{
+    const groups = { passing: ['passed', 'flaky'], failing: ['failed', 'timedOut'] };
+    assert(classifyChange('passed', 'failed', groups) === CHANGE.REGRESSION, 'classify: passed → failed is a regression');
+    assert(classifyChange('timedOut', 'flaky', groups) === CHANGE.FIX, 'classify: timedOut → flaky is a fix');
+    assert(classifyChange('passed', 'skipped', groups) === CHANGE.CHANGED, 'classify: passed → skipped is a change');
+    assert(classifyChange('failed', 'failed', groups) === CHANGE.UNCHANGED, 'classify: same status unchanged');
+    assert(classifyChange(undefined, 'passed', groups) === CHANGE.ADDED, 'classify: head only is added');
+    assert(classifyChange('passed', undefined, groups) === CHANGE.REMOVED, 'classify: base only is removed');
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+console.log('\n═══ Line Diff ═══');
+// ═════════════════════════════════════════════════════════════════════════════
+
+{
+    const same = diffLines('a\nb\nc', 'a\nb\nc');
+    assert(same.added === 0 && same.removed === 0 && same.hunks.length === 0, 'diff: identical content has no hunks');
+
+    const diff = diffLines(BASE_SPEC, HEAD_SPEC);
+    assert(diff.added === 2 && diff.removed === 2, 'diff: two lines replaced');
+    assert(diff.hunks.length === 1, 'diff: nearby changes merge into one hunk');
+    const hunk = diff.hunks[0];
+    assert(hunk.baseStart === 2 && hunk.headStart === 2, 'diff: hunk starts three lines before the first change');
+    assert(hunk.lines.some(l => l.type === '-' && l.text.includes('#city-input'))
+        && hunk.lines.some(l => l.type === '+' && l.text.includes("getByLabel('City')")), 'diff: removed and added lines');
+
+    const long = Array.from({ length: 30 }, (_, i) => `line ${i}`);
+    const edited = [...long];
+    edited[2] = 'changed 2';
+    edited[25] = 'changed 25';
+    const split = diffLines(long.join('\n'), edited.join('\n'));
+    assert(split.hunks.length === 2, 'diff: distant changes get separate hunks');
+    assert(split.hunks[1].baseStart === 23 && split.hunks[1].lines.length === 8, 'diff: second hunk has context on both sides');
+
+    const created = diffLines('', 'x\ny');
+    assert(created.added === 2 && created.removed === 0, 'diff: new file is all additions');
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+console.log('\n═══ Compare Runs ═══');
+// ═════════════════════════════════════════════════════════════════════════════
+
+{
+    writeRawResults('run_base', playwrightReport({
+        'filters by city': 'expected',
+        'sorts by price': ['unexpected', { error: 'locator.click: element not found' }],
+        'shows map': 'expected',
+    }), BASE_SPEC);
+    writeRawResults('run_head', playwrightReport({
+        'filters by city': ['unexpected', { duration: 4000, error: 'expect(received).toBeVisible()' }],
+        'sorts by price': 'expected',
+        'saves search': 'expected',
+    }), HEAD_SPEC);
+
+    const baseRun = run('run_base', {
+        status: 'failed',
+        stages: [stage('preflight', 'passed', 2), stage('scriptgen', 'passed', 60), stage('execute', 'failed', 30), stage('healing', 'failed', 90)],
+        resumeState: {
+            default: {
+                artifacts: { specPath: path.join(TEST_DIR, SPEC_REL) },
+                healingResult: {
+                    success: false,
+                    iterations: 2,
+                    healingLog: [
+                        { iteration: 1, action: 'tests_failed', tests: { rawOutput: '...' } },
+                        { iteration: 1, action: 'auto_fix', strategy: 'primary', changes: ['waitForTimeout → waitFor'] },
+                        { iteration: 2, action: 'cannot_heal', reason: 'SELECTOR errors require manual intervention' },
+                    ],
+                },
+            },
+        },
+    });
+    const headRun = run('run_head', {
+        completedAt: '2026-01-01T10:04:00.000Z',
+        stages: [stage('preflight', 'passed', 3), stage('scriptgen', 'passed', 45), stage('execute', 'passed', 40), stage('report', 'passed', 1)],
+        artifacts: {
+            scenarioResults: {
+                default: { spec: path.join(TEST_DIR, SPEC_REL), healingResult: null },
+            },
+        },
+    });
+
+    const result = compareRuns(baseRun, headRun, OPTIONS);
+
+    const execute = result.stages.find(s => s.name === 'execute');
+    assert(execute.change === CHANGE.FIX && execute.durationDeltaMs === 10000, 'stages: failed → passed is a fix with duration delta');
+    assert(result.stages.find(s => s.name === 'scriptgen').durationDeltaMs === -15000, 'stages: faster stage has negative delta');
+    assert(result.stages.find(s => s.name === 'healing').change === CHANGE.REMOVED, 'stages: base-only stage removed');
+    assert(result.stages[result.stages.length - 1].name === 'report' && result.stages[result.stages.length - 1].change === CHANGE.ADDED,
+        'stages: head-only stage appended as added');
+
+    const byTitle = title => result.tests.items.find(t => t.title === `Search › ${title}`);
+    assert(byTitle('filters by city').change === CHANGE.REGRESSION, 'tests: passed → failed is a regression');
+    assert(byTitle('filters by city').head.error === 'expect(received).toBeVisible()'
+        && byTitle('filters by city').durationDeltaMs === 3000, 'tests: head error and duration delta');
+    assert(byTitle('sorts by price').change === CHANGE.FIX, 'tests: failed → passed is a fix');
+    assert(byTitle('shows map').change === CHANGE.REMOVED && byTitle('saves search').change === CHANGE.ADDED, 'tests: added and removed');
+    assert(result.tests.items[0].change === CHANGE.REGRESSION && result.tests.items[1].change === CHANGE.FIX, 'tests: regressions listed first, then fixes');
+    assert(result.tests.summary.base.failed === 1 && result.tests.summary.head.failed === 1 && result.tests.summary.regressions === 1,
+        'tests: summary counts');
+
+    assert(result.specs.length === 1 && result.specs[0].specPath === SPEC_REL, 'specs: keyed by project-relative path');
+    assert(result.specs[0].change === CHANGE.CHANGED && result.specs[0].baseSource === 'snapshot' && result.specs[0].added === 2,
+        'specs: snapshot content diffed');
+
+    assert(result.selectors.added.some(s => s.selector === "getByLabel('City')")
+        && result.selectors.added.some(s => s.selector === "getByTestId('result-list')"), 'selectors: new locators added');
+    assert(result.selectors.removed.some(s => s.selector === "locator('#city-input')")
+        && result.selectors.removed.some(s => s.selector === "getByTestId('results')"), 'selectors: old locators removed');
+    assert(result.selectors.unchanged === 1, 'selectors: shared locator counted as unchanged');
+
+    assert(result.healing.base.attempted && result.healing.base.iterations === 2 && result.healing.base.actions.length === 2,
+        'healing: base actions from resume snapshot, test entries dropped');
+    assert(result.healing.base.actions[0].changes[0] === 'waitForTimeout → waitFor'
+        && result.healing.base.actions[1].detail.includes('manual intervention'), 'healing: changes and reasons kept');
+    assert(!result.healing.head.attempted && result.summary.healingActionsDelta === -2, 'healing: head did not heal');
+
+    assert(result.summary.verdict === 'mixed' && result.summary.regressions === 1 && result.summary.fixes === 2,
+        'summary: stage and test regressions/fixes counted');
+    assert(result.summary.statusChanged && result.summary.durationDeltaMs === -60000, 'summary: status and duration changes');
+    assert(result.base.rawResultFiles.length === 1 && result.warnings.length === 0, 'summary: raw results found, no warnings');
+}
+
+{
+    // No snapshot and no raw results: current spec file used, with warnings
+    fs.writeFileSync(path.join(TEST_DIR, SPEC_REL), HEAD_SPEC);
+    const older = run('run_old', { ticketId: 'AOTF-99', artifacts: { spec: SPEC_REL } });
+    const newer = run('run_new', { status: 'running', artifacts: { spec: SPEC_REL } });
+    const result = compareRuns(older, newer, OPTIONS);
+
+    assert(result.specs[0].baseSource === 'workspace' && result.specs[0].change === CHANGE.UNCHANGED, 'fallback: workspace spec read for both runs');
+    assert(result.warnings.some(w => w.includes('different tickets')), 'fallback: different tickets warned');
+    assert(result.warnings.some(w => w.includes('still running')), 'fallback: unfinished run warned');
+    assert(result.warnings.some(w => w.includes('No saved test results')), 'fallback: missing results warned');
+    assert(result.warnings.some(w => w.includes('no snapshot')), 'fallback: workspace spec warned');
+    assert(result.summary.verdict === 'unchanged' && result.tests.items.length === 0, 'fallback: nothing to compare is unchanged');
+}
+
+console.log('\n═══ Summary ═══');
+console.log(`\n  Total: ${passed + failed}  |  Passed: ${passed}  |  Failed: ${failed}`);
+if (errors.length > 0) {
+    console.log('\n  Failed tests:');
+    errors.forEach(e => console.log(`    - ${e}`));
+}
+
+fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,193 @@
+/**
+ * Test suite for run-queue.js
+ * Tests global and per-environment caps, priority ordering, readiness gating,
+ * re-queueing of interrupted runs after a restart, and the re-queue limit.
+ * Pipelines are replaced by a controllable fake dispatcher.
+ *
+ * Run: node agentic-workflow/sdk-orchestrator/test-run-queue.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { RunStore, RUN_STATUS } = require('./run-store');
+const { RunQueue, PRIORITY } = require('./run-queue');
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`  ✓ ${label}`);
+    } else {
+        failed++;
+        errors.push(label);
+        console.log(`  ✗ ${label}`);
+    }
+}
+
+// ─── Test Helpers ────────────────────────────────────────────────────────────
+
+const TEST_DIR = path.join(os.tmpdir(), `run-queue-test-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+/**
+ * Fake dispatcher: marks the run started and holds it until finish(runId).
+ */
+function createHarness(storeFile, queueOptions = {}) {
+    const runStore = new RunStore({ storePath: path.join(TEST_DIR, storeFile), requeueInterrupted: true });
+    const started = [];
+    const pending = new Map();
+
+    const queue = new RunQueue({
+        runStore,
+        dispatch: (run) => {
+            runStore.startRun(run.runId);
+            started.push(run.runId);
+            return new Promise(resolve => pending.set(run.runId, resolve));
+        },
+        ...queueOptions,
+    });
+
+    const finish = async (runId) => {
+        runStore.completeRun(runId, { success: true });
+        pending.get(runId)();
+        pending.delete(runId);
+        await new Promise(resolve => setImmediate(resolve));
+    };
+
+    return { runStore, queue, started, finish };
+}
+
+async function main() {
+    console.log('\n═══ concurrency caps ═══');
+    {
+        const { runStore, queue, started, finish } = createHarness('caps.json', {
+            maxConcurrent: 2,
+            perEnvironment: { prod: 1 },
+        });
+        const a = runStore.createRun({ ticketId: 'Q-1', environment: 'PROD' });
+        const b = runStore.createRun({ ticketId: 'Q-2', environment: 'PROD' });
+        const c = runStore.createRun({ ticketId: 'Q-3', environment: 'UAT' });
+        const d = runStore.createRun({ ticketId: 'Q-4', environment: 'UAT' });
+        [a, b, c, d].forEach(run => queue.enqueue(run.runId));
+
+        assert(started.length === 2, 'caps: global limit holds two runs');
+        assert(started.includes(a.runId) && started.includes(c.runId), 'caps: per-environment cap skips second PROD run');
+        assert(runStore.getRun(b.runId).status === RUN_STATUS.QUEUED, 'caps: blocked run stays queued');
+        assert(queue.getPosition(b.runId) === 1 && queue.getPosition(d.runId) === 2, 'caps: waiting positions reported');
+
+        await finish(c.runId);
+        assert(started[2] === d.runId, 'caps: freed UAT slot goes to next eligible run');
+
+        await finish(a.runId);
+        assert(started[3] === b.runId, 'caps: freed PROD slot releases blocked run');
+
+        const snapshot = queue.getSnapshot();
+        assert(snapshot.active.length === 2 && snapshot.queued.length === 0, 'caps: snapshot reflects active runs');
+        assert(snapshot.limits.perEnvironment.PROD === 1, 'caps: environment caps normalised to upper case');
+    }
+
+    console.log('\n═══ priorities ═══');
+    {
+        const { runStore, queue, started, finish } = createHarness('priority.json', { maxConcurrent: 1 });
+        const first = runStore.createRun({ ticketId: 'P-0', triggeredBy: 'api' });
+        queue.enqueue(first.runId);
+
+        const { runs: batchRuns } = runStore.createBatch(['P-1', 'P-2'], {});
+        batchRuns.forEach(run => queue.enqueue(run.runId));
+        const manual = runStore.createRun({ ticketId: 'P-3', triggeredBy: 'web-app' });
+        queue.enqueue(manual.runId);
+        const hook = runStore.createRun({ ticketId: 'P-4', triggeredBy: 'webhook' });
+        const { position } = queue.enqueue(hook.runId);
+
+        assert(position === 1, 'priority: webhook run jumps to the front');
+        assert(queue.classify(runStore.getRun(batchRuns[0].runId)) === PRIORITY.BATCH, 'priority: batch runs classified');
+
+        await finish(first.runId);
+        await finish(hook.runId);
+        await finish(manual.runId);
+        assert(started.slice(1).join(',') === [hook.runId, manual.runId, batchRuns[0].runId].join(','),
+            'priority: webhook > manual > batch');
+        assert(queue.getPosition(batchRuns[1].runId) === 1, 'priority: FIFO within the same priority');
+    }
+
+    console.log('\n═══ readiness & failures ═══');
+    {
+        let ready = false;
+        const { runStore, queue, started } = createHarness('ready.json', { isReady: () => ready });
+        const run = runStore.createRun({ ticketId: 'R-1' });
+        queue.enqueue(run.runId);
+        assert(started.length === 0, 'ready: nothing dispatched before orchestrator is ready');
+        ready = true;
+        queue.drain();
+        assert(started[0] === run.runId, 'ready: drain dispatches once ready');
+
+        const broken = new RunQueue({
+            runStore,
+            dispatch: () => { throw new Error('boom'); },
+        });
+        const doomed = runStore.createRun({ ticketId: 'R-2' });
+        broken.enqueue(doomed.runId);
+        await new Promise(resolve => setImmediate(resolve));
+        assert(runStore.getRun(doomed.runId).status === RUN_STATUS.FAILED, 'failure: dispatch error fails the run');
+        assert(broken.getSnapshot().active.length === 0, 'failure: slot released after dispatch error');
+    }
+
+    console.log('\n═══ restart recovery ═══');
+    {
+        const storeFile = 'restart.json';
+        const first = createHarness(storeFile, { maxConcurrent: 1 });
+        const interrupted = first.runStore.createRun({ ticketId: 'S-1' });
+        const waiting = first.runStore.createRun({ ticketId: 'S-2' });
+        first.queue.enqueue(interrupted.runId);
+        first.queue.enqueue(waiting.runId);
+        first.runStore.updateStage(interrupted.runId, 'testgenie', 'running');
+        first.runStore.recordResumePoint(interrupted.runId, 'default', {
+            completedStages: ['preflight'],
+            lastCompletedStage: 'preflight',
+        });
+        first.runStore.close();
+
+        // Simulated crash: a new process opens the same store
+        const second = createHarness(storeFile, { maxConcurrent: 1 });
+        const summary = second.queue.start();
+        const recovered = second.runStore.getRun(interrupted.runId);
+
+        assert(summary.requeued.includes(interrupted.runId), 'restart: running run re-queued');
+        assert(recovered.queue.attempts === 1, 'restart: re-queue attempt counted');
+        assert(recovered.stages[0].status === 'pending', 'restart: interrupted stage reset to pending');
+        assert(second.runStore.getRun(waiting.runId).status !== RUN_STATUS.FAILED, 'restart: queued run survives');
+        assert(second.started[0] === interrupted.runId, 'restart: re-queued run keeps its place');
+
+        const plan = second.runStore.getResumePlan(interrupted.runId, { allowActive: true });
+        assert(plan.resumable && plan.scenarios[0].resume.lastCompletedStage === 'preflight',
+            'restart: re-queued run resumes from its own checkpoint');
+
+        // Crash again, with the limit already reached
+        second.runStore.close();
+        const third = createHarness(storeFile, { maxConcurrent: 1, maxRequeueAttempts: 1 });
+        const again = third.queue.start();
+        assert(again.failed.includes(interrupted.runId), 'restart: gives up after maxRequeueAttempts');
+        assert(third.started[0] === waiting.runId, 'restart: next run dispatched after giving up');
+        third.runStore.close();
+    }
+
+    console.log('\n═══ Summary ═══');
+    console.log(`\n  Total: ${passed + failed}  |  Passed: ${passed}  |  Failed: ${failed}`);
+    if (errors.length > 0) {
+        console.log('\n  Failed tests:');
+        errors.forEach(e => console.log(`    - ${e}`));
+    }
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error(error);
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    process.exit(1);
+});
@@ -0,0 +1,224 @@
+/**
+ * Test suite for run-store.js and run-store-adapters/
+ * Tests JSON and SQLite backends, JSON → SQLite import, filtered/paginated
+ * listing, orphan cleanup on restart, checkpoint/observation durability, and
+ * per-test history and quarantine.
+ *
+ * SQLite cases are skipped when no driver is available (Node < 22.5 without
+ * better-sqlite3).
+ *
+ * Run: node agentic-workflow/sdk-orchestrator/test-run-store.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { RunStore, RUN_STATUS } = require('./run-store');
+const {
+    JsonRunStoreAdapter,
+    SqliteRunStoreAdapter,
+    resolveSqliteDriver,
+} = require('./run-store-adapters');
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`  ✓ ${label}`);
+    } else {
+        failed++;
+        errors.push(label);
+        console.log(`  ✗ ${label}`);
+    }
+}
+
+// ─── Test Helpers ────────────────────────────────────────────────────────────
+
+const TEST_DIR = path.join(os.tmpdir(), `run-store-test-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+function seed(store) {
+    const a = store.createRun({ ticketId: 'AOTF-1', mode: 'full', environment: 'UAT', triggeredBy: 'cli' });
+    const b = store.createRun({ ticketId: 'AOTF-2', mode: 'execute', environment: 'INT', triggeredBy: 'webhook' });
+    const c = store.createRun({ ticketId: 'AOTF-1', mode: 'heal', environment: 'UAT', triggeredBy: 'api' });
+
+    store.startRun(a.runId);
+    store.updateStage(a.runId, 'testgenie', 'running', { message: 'Generating' });
+    store.updateStage(a.runId, 'testgenie', 'passed', { message: 'Done' });
+    store.recordMissionObservation(a.runId, { message: 'Login form found', stage: 'testgenie' });
+    store.completeRun(a.runId, { success: true, artifacts: { specPath: 'tests/specs/aotf-1.spec.js' } });
+
+    store.startRun(b.runId);
+    store.completeRun(b.runId, { success: false, error: 'Tests failed' });
+
+    return { a, b, c };
+}
+
+function exerciseBackend(label, makeStore) {
+    console.log(`\n═══ ${label}: lifecycle & queries ═══`);
+
+    const store = makeStore();
+    const { a, b, c } = seed(store);
+
+    const all = store.listRuns();
+    assert(all.total === 3, `${label}: lists all runs`);
+    assert(all.runs[0].runId === c.runId, `${label}: most recent first`);
+
+    assert(store.listRuns({ ticketId: 'AOTF-1' }).total === 2, `${label}: filters by ticketId`);
+    assert(store.listRuns({ status: 'completed,failed' }).total === 2, `${label}: filters by status list`);
+    assert(store.listRuns({ environment: 'INT' }).runs[0]?.runId === b.runId, `${label}: filters by environment`);
+    assert(store.listRuns({ triggeredBy: 'webhook' }).total === 1, `${label}: filters by triggeredBy`);
+
+    const page = store.listRuns({ limit: 1, offset: 1 });
+    assert(page.runs.length === 1 && page.total === 3, `${label}: paginates with total`);
+    assert(page.runs[0].runId === b.runId, `${label}: offset respected`);
+
+    const stats = store.getStats();
+    assert(stats.totalRuns === 3 && stats.completed === 1 && stats.failed === 1 && stats.queued === 1,
+        `${label}: stats count by status`);
+
+    const batch = store.createBatch(['AOTF-3', 'AOTF-4'], { mode: 'full' });
+    assert(store.getBatch(batch.batchId)?.total === 2, `${label}: batch lookup`);
+
+    const testKey = 'specs/a.spec.js::Search › filters';
+    store.recordTestResults(a.runId, [{ testKey, status: 'passed', specPath: 'specs/a.spec.js', recordedAt: '2026-01-01T00:00:00.000Z' }]);
+    store.recordTestResults(b.runId, [{ testKey, status: 'failed', specPath: 'specs/a.spec.js', recordedAt: '2026-01-02T00:00:00.000Z' }]);
+    store.recordTestResults(b.runId, [{ testKey, status: 'flaky', specPath: 'specs/a.spec.js', recordedAt: '2026-01-02T00:00:00.000Z' }]);
+    const history = store.getTestHistory({ testKey });
+    assert(history.length === 2 && history[0].runId === b.runId, `${label}: test history most recent first`);
+    assert(history[0].status === 'flaky', `${label}: re-recorded outcome replaces the run's earlier one`);
+    assert(store.getTestHistory({ specPath: 'specs/other.spec.js' }).length === 0, `${label}: test history filters by spec`);
+    store.setTestQuarantine(testKey, { reason: 'flaky', auto: true });
+    store.close();
+
+    console.log(`\n═══ ${label}: restart ═══`);
+
+    const reopened = makeStore();
+    const reloaded = reopened.getRun(a.runId);
+    assert(reloaded?.status === RUN_STATUS.COMPLETED, `${label}: completed run survives restart`);
+    assert(reloaded?.stages.length === 1 && reloaded.stages[0].status === 'passed', `${label}: stages survive restart`);
+    assert(reloaded?.mission.checkpoint.history.length === 2, `${label}: checkpoint history survives restart`);
+    assert(reloaded?.mission.observations[0]?.message === 'Login form found', `${label}: observations survive restart`);
+    assert(reloaded?.artifacts.specPath === 'tests/specs/aotf-1.spec.js', `${label}: artifacts survive restart`);
+
+    const orphan = reopened.getRun(c.runId);
+    assert(orphan?.status === RUN_STATUS.FAILED, `${label}: queued run marked failed after restart`);
+    assert(reopened.getActiveRun('AOTF-1') === null, `${label}: no active run after orphan cleanup`);
+
+    assert(reopened.getTestHistory({ runId: a.runId })[0]?.status === 'passed', `${label}: test history survives restart`);
+    assert(reopened.getTestQuarantine()[0]?.testKey === 'specs/a.spec.js::Search › filters', `${label}: quarantine survives restart`);
+    reopened.setTestQuarantine('specs/a.spec.js::Search › filters', null);
+    assert(reopened.getTestQuarantine().length === 0, `${label}: quarantine release`);
+    reopened.close();
+}
+
+// ─── JSON Backend ────────────────────────────────────────────────────────────
+
+const jsonPath = path.join(TEST_DIR, 'run-store.json');
+exerciseBackend('json', () => new RunStore({ storePath: jsonPath }));
+
+console.log('\n═══ json: retention ═══');
+{
+    const capped = new RunStore({ storePath: path.join(TEST_DIR, 'capped.json'), maxRuns: 2 });
+    for (let i = 0; i < 4; i++) {
+        const run = capped.createRun({ ticketId: `CAP-${i}` });
+        capped.completeRun(run.runId, { success: true });
+    }
+    const onDisk = JSON.parse(fs.readFileSync(path.join(TEST_DIR, 'capped.json'), 'utf-8'));
+    assert(onDisk.runs.length === 2, 'json: evicts oldest terminal runs beyond maxRuns');
+}
+
+// ─── Resume Plans ────────────────────────────────────────────────────────────
+
+console.log('\n═══ resume plans ═══');
+{
+    const store = new RunStore({ storePath: path.join(TEST_DIR, 'resume.json') });
+    const run = store.createRun({ ticketId: 'RES-1', mode: 'full' });
+
+    assert(store.getResumePlan(run.runId).resumable === false, 'resume: queued run is not resumable');
+
+    store.startRun(run.runId);
+    store.recordResumePoint(run.runId, 'default', {
+        contextRunId: `${run.runId}__default`,
+        completedStages: ['preflight', 'testgenie', 'qg_excel', 'scriptgenerator'],
+        lastCompletedStage: 'scriptgenerator',
+        artifacts: { specPath: 'tests/specs/res-1/RES-1.spec.js' },
+        cognitiveTier: 'complex',
+    });
+    store.completeRun(run.runId, { success: false, error: 'Execution crashed' });
+
+    const reopened = new RunStore({ storePath: path.join(TEST_DIR, 'resume.json') });
+    const plan = reopened.getResumePlan(run.runId);
+    assert(plan.resumable === true, 'resume: failed run is resumable');
+    assert(plan.scenarios[0].resume.lastCompletedStage === 'scriptgenerator', 'resume: snapshot survives restart');
+    assert(plan.scenarios[0].resume.cognitiveTier === 'complex', 'resume: cognitive tier carried in plan');
+    assert(plan.scenarios[0].resume.fromRunId === run.runId, 'resume: plan points at original run');
+
+    const resumed = reopened.createRun({ ticketId: 'RES-1', resumedFrom: run.runId });
+    assert(resumed.resumedFrom === run.runId, 'resume: new run links to original');
+
+    const legacy = reopened.createRun({ ticketId: 'RES-2' });
+    reopened.startRun(legacy.runId);
+    reopened.updateStage(legacy.runId, 'preflight', 'passed');
+    reopened.updateStage(legacy.runId, 'testgenie', 'failed');
+    reopened.completeRun(legacy.runId, { success: false });
+    const legacyPlan = reopened.getResumePlan(legacy.runId);
+    assert(legacyPlan.scenarios[0].resume.completedStages.join(',') === 'preflight',
+        'resume: falls back to passed stages without a snapshot');
+
+    const done = reopened.createRun({ ticketId: 'RES-3' });
+    reopened.completeRun(done.runId, { success: true });
+    assert(reopened.getResumePlan(done.runId).resumable === false, 'resume: completed run is not resumable');
+    assert(reopened.getResumePlan('run_missing') === null, 'resume: unknown run returns null');
+}
+
+// ─── SQLite Backend ──────────────────────────────────────────────────────────
+
+if (resolveSqliteDriver()) {
+    const dbPath = path.join(TEST_DIR, 'run-store.db');
+    exerciseBackend('sqlite', () => new RunStore({
+        adapter: new SqliteRunStoreAdapter({ dbPath }),
+    }));
+
+    console.log('\n═══ sqlite: JSON import ═══');
+    const importedDb = path.join(TEST_DIR, 'imported.db');
+    const legacy = new JsonRunStoreAdapter({ storePath: jsonPath });
+    const legacyCount = legacy.listRuns({ limit: 1000 }).total;
+
+    const adapter = new SqliteRunStoreAdapter({ dbPath: importedDb, importFrom: jsonPath });
+    assert(adapter.listRuns({ limit: 1000 }).total === legacyCount, 'sqlite: imports every run from run-store.json');
+    const again = adapter.importFromJson(jsonPath);
+    assert(again.imported === 0 && again.skipped === legacyCount, 'sqlite: re-import skips existing runs');
+    adapter.close();
+
+    console.log('\n═══ sqlite: full history ═══');
+    const historyStore = new RunStore({
+        adapter: new SqliteRunStoreAdapter({ dbPath: path.join(TEST_DIR, 'history.db') }),
+        maxRuns: 2,
+    });
+    const ids = [];
+    for (let i = 0; i < 5; i++) {
+        const run = historyStore.createRun({ ticketId: `HIST-${i}` });
+        historyStore.completeRun(run.runId, { success: true });
+        ids.push(run.runId);
+    }
+    assert(historyStore.listRuns().total === 5, 'sqlite: keeps history beyond the memory cache');
+    assert(historyStore.getRun(ids[0])?.ticketId === 'HIST-0', 'sqlite: evicted runs load on demand');
+    historyStore.close();
+} else {
+    console.log('\n  (skipping SQLite tests — no driver available)');
+}
+
+console.log('\n═══ Summary ═══');
+console.log(`\n  Total: ${passed + failed}  |  Passed: ${passed}  |  Failed: ${failed}`);
+if (errors.length > 0) {
+    console.log('\n  Failed tests:');
+    errors.forEach(e => console.log(`    - ${e}`));
+}
+
+fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,202 @@
+/**
+ * Test suite for cron-expression.js, schedule-store.js and scheduler.js
+ * Tests cron parsing and next-fire calculation, schedule persistence and
+ * validation, spec-folder target resolution, and the scheduler's trigger,
+ * dedup and missed-run catch-up behaviour against a fake run queue.
+ *
+ * Run: node agentic-workflow/sdk-orchestrator/test-scheduler.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { CronExpression, validateCron } = require('./cron-expression');
+const { ScheduleStore } = require('./schedule-store');
+const { PipelineScheduler, resolveScheduleTargets } = require('./scheduler');
+const { RunStore, RUN_STATUS } = require('./run-store');
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`  ✓ ${label}`);
+    } else {
+        failed++;
+        errors.push(label);
+        console.log(`  ✗ ${label}`);
+    }
+}
+
+// ─── Test Helpers ────────────────────────────────────────────────────────────
+
+const TEST_DIR = path.join(os.tmpdir(), `scheduler-test-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+const iso = (cron, from, count = 1) =>
+    new CronExpression(cron, { timezone: 'UTC' }).nextRuns(count, from).map(d => d.toISOString());
+
+function createScheduler(name, options = {}) {
+    const runStore = new RunStore({ storePath: path.join(TEST_DIR, `${name}-runs.json`), requeueInterrupted: true });
+    const scheduleStore = new ScheduleStore({ storePath: path.join(TEST_DIR, `${name}-schedules.json`) });
+    const queued = [];
+    const runQueue = { enqueue: (runId) => queued.push(runId) };
+    const scheduler = new PipelineScheduler({
+        scheduleStore, runStore, runQueue, projectRoot: TEST_DIR, ...options,
+    });
+    return { runStore, scheduleStore, scheduler, queued };
+}
+
+// ─── Cron Expressions ────────────────────────────────────────────────────────
+
+console.log('\n═══ cron expressions ═══');
+{
+    assert(iso('0 2 * * *', '2026-03-10T02:00:00Z')[0] === '2026-03-11T02:00:00.000Z', 'cron: next is strictly after from');
+    assert(iso('*/20 * * * *', '2026-03-10T10:05:00Z', 3).join() ===
+        ['2026-03-10T10:20:00.000Z', '2026-03-10T10:40:00.000Z', '2026-03-10T11:00:00.000Z'].join(), 'cron: steps');
+    assert(iso('30 9 * * MON-FRI', '2026-10-16T10:00:00Z')[0] === '2026-10-19T09:30:00.000Z', 'cron: weekday names skip the weekend');
+    assert(iso('0 0 31 * *', '2026-01-31T00:00:00Z')[0] === '2026-03-31T00:00:00.000Z', 'cron: skips months without the day');
+    assert(iso('0 0 1 * 1', '2026-06-01T00:00:00Z')[0] === '2026-06-08T00:00:00.000Z', 'cron: day-of-month OR day-of-week');
+    assert(iso('0 0 * * 7', '2026-10-19T00:00:00Z')[0] === '2026-10-25T00:00:00.000Z', 'cron: 7 is Sunday');
+    assert(iso('@weekly', '2026-10-19T00:00:00Z')[0] === '2026-10-25T00:00:00.000Z', 'cron: macros');
+    assert(new CronExpression('0 0 30 2 *').next('2026-01-01') === null, 'cron: impossible date returns null');
+    assert(!validateCron('60 * * * *').valid, 'cron: rejects out-of-range values');
+    assert(!validateCron('* * * *').valid, 'cron: rejects wrong field count');
+    assert(!validateCron('0 2 * * *', { timezone: 'Europe/Paris' }).valid, 'cron: rejects unsupported timezone');
+}
+
+// ─── Schedule Store ──────────────────────────────────────────────────────────
+
+console.log('\n═══ schedule store ═══');
+{
+    const storePath = path.join(TEST_DIR, 'store.json');
+    const store = new ScheduleStore({ storePath });
+
+    const schedule = store.create({
+        name: 'Nightly heal', cron: '0 2 * * *', timezone: 'UTC', mode: 'heal', ticketIds: ['aotf-1', 'AOTF-1'],
+    });
+    assert(schedule.ticketIds.join() === 'AOTF-1', 'store: normalises and dedupes ticket IDs');
+    assert(new Date(schedule.nextRunAt) > new Date(), 'store: nextRunAt computed on create');
+
+    let rejected = null;
+    try { store.create({ name: 'x', cron: '0 2 * * *' }); } catch (error) { rejected = error.message; }
+    assert(/ticketId or specFolder/.test(rejected || ''), 'store: requires at least one target');
+    try { store.create({ name: 'x', cron: '0 2 * * *', specFolders: ['../../etc'] }); } catch (error) { rejected = error.message; }
+    assert(/inside the project/.test(rejected || ''), 'store: rejects spec folders outside the project');
+
+    store.update(schedule.scheduleId, { enabled: false });
+    assert(store.get(schedule.scheduleId).nextRunAt === null, 'store: disabling clears nextRunAt');
+    store.update(schedule.scheduleId, { enabled: true, cron: '0 3 * * *' });
+    assert(store.get(schedule.scheduleId).nextRunAt.endsWith('T03:00:00.000Z'), 'store: cron change recomputes nextRunAt');
+
+    const other = new ScheduleStore({ storePath });
+    assert(other.get(schedule.scheduleId)?.cron === '0 3 * * *', 'store: persists to disk');
+
+    // Simulate an edit from another process (e.g. the CLI)
+    const onDisk = JSON.parse(fs.readFileSync(storePath, 'utf-8'));
+    onDisk.schedules[0].name = 'Edited elsewhere';
+    fs.writeFileSync(storePath, JSON.stringify(onDisk));
+    const future = new Date(Date.now() + 5000);
+    fs.utimesSync(storePath, future, future);
+    assert(store.get(schedule.scheduleId).name === 'Edited elsewhere', 'store: reloads when the file changes');
+
+    assert(store.remove(schedule.scheduleId) && store.list().length === 0, 'store: removes schedules');
+}
+
+// ─── Target Resolution ───────────────────────────────────────────────────────
+
+console.log('\n═══ target resolution ═══');
+{
+    const specs = path.join(TEST_DIR, 'tests', 'specs');
+    fs.mkdirSync(path.join(specs, 'aotf-7'), { recursive: true });
+    fs.mkdirSync(path.join(specs, 'planner'), { recursive: true });
+    fs.writeFileSync(path.join(specs, 'aotf-7', 'AOTF-7.spec.js'), '');
+    fs.writeFileSync(path.join(specs, 'aotf-7', 'helpers.js'), '');
+    fs.writeFileSync(path.join(specs, 'planner', 'AOTF-8-unauthenticated.spec.js'), '');
+    fs.writeFileSync(path.join(specs, 'planner', 'stickyHeader.spec.js'), '');
+
+    const { ticketIds, unresolved } = resolveScheduleTargets({
+        ticketIds: ['AOTF-1'],
+        specFolders: ['tests/specs', 'tests/missing'],
+    }, { projectRoot: TEST_DIR });
+
+    assert(ticketIds.sort().join() === 'AOTF-1,AOTF-7,AOTF-8', 'targets: tickets from folder and file names');
+    assert(unresolved.includes('tests/specs/planner/stickyHeader.spec.js'), 'targets: specs without a ticket are unresolved');
+    assert(unresolved.includes('tests/missing (not found)'), 'targets: missing folders reported');
+}
+
+// ─── Scheduler ───────────────────────────────────────────────────────────────
+
+console.log('\n═══ scheduler ═══');
+{
+    const { runStore, scheduleStore, scheduler, queued } = createScheduler('tick');
+    const nightly = scheduleStore.create({
+        name: 'Nightly execute', cron: '0 2 * * *', timezone: 'UTC', mode: 'execute',
+        ticketIds: ['AOTF-1', 'AOTF-2'],
+    });
+    const single = scheduleStore.create({
+        name: 'Weekly full', cron: '0 4 * * SAT', timezone: 'UTC', ticketIds: ['AOTF-3'],
+    });
+
+    assert(scheduler.tick(new Date(Date.now() - 60 * 1000)).length === 0, 'scheduler: nothing due before nextRunAt');
+
+    const due = new Date(nightly.nextRunAt);
+    const fired = scheduler.tick(due);
+    assert(fired.length === 1 && fired[0].runIds.length === 2, 'scheduler: due schedule fires');
+    assert(fired[0].batchId && runStore.getBatch(fired[0].batchId)?.total === 2, 'scheduler: multiple targets run as a batch');
+
+    const run = runStore.getRun(fired[0].runIds[0]);
+    assert(run.triggeredBy === 'schedule' && run.scheduleId === nightly.scheduleId && run.mode === 'execute',
+        'scheduler: runs tagged with schedule and mode');
+    assert(queued.join() === fired[0].runIds.join(), 'scheduler: runs handed to the run queue');
+    assert(scheduleStore.get(nightly.scheduleId).nextRunAt === iso('0 2 * * *', due)[0], 'scheduler: nextRunAt advances');
+
+    const described = scheduler.describe(scheduleStore.get(nightly.scheduleId));
+    assert(described.lastRun.status === RUN_STATUS.QUEUED && described.upcoming.length === 3,
+        'scheduler: describe reports last-run status and upcoming runs');
+
+    const manual = scheduler.trigger(nightly.scheduleId, { manual: true });
+    assert(manual.runIds.length === 0 && manual.skipped.length === 2, 'scheduler: skips tickets with an active run');
+    assert(scheduleStore.get(nightly.scheduleId).nextRunAt === iso('0 2 * * *', due)[0], 'scheduler: manual run keeps nextRunAt');
+
+    fired[0].runIds.forEach(runId => runStore.completeRun(runId, { success: true }));
+    assert(scheduler.describe(scheduleStore.get(nightly.scheduleId)).lastRun.status === RUN_STATUS.FAILED,
+        'scheduler: last trigger with no runs reports failed');
+
+    const weekly = scheduler.trigger(single.scheduleId, { manual: true });
+    assert(weekly.runIds.length === 1 && weekly.batchId === null, 'scheduler: single target runs without a batch');
+}
+
+console.log('\n═══ missed runs ═══');
+{
+    const { scheduleStore, scheduler, queued } = createScheduler('missed');
+    const schedule = scheduleStore.create({ name: 'Missed', cron: '0 2 * * *', ticketIds: ['AOTF-9'] });
+    scheduleStore.setNextRun(schedule.scheduleId, new Date(Date.now() - 3600 * 1000).toISOString());
+
+    const { caughtUp } = scheduler.start();
+    scheduler.stop();
+    assert(caughtUp.includes(schedule.scheduleId) && queued.length === 1, 'missed: fires once on start');
+    assert(scheduleStore.get(schedule.scheduleId).lastRun.catchUp === true, 'missed: marked as catch-up');
+    assert(new Date(scheduleStore.get(schedule.scheduleId).nextRunAt) > new Date(), 'missed: next run in the future');
+
+    const skip = createScheduler('skip', { catchUpMissed: false });
+    const skipped = skip.scheduleStore.create({ name: 'Skipped', cron: '0 2 * * *', ticketIds: ['AOTF-9'] });
+    skip.scheduleStore.setNextRun(skipped.scheduleId, new Date(Date.now() - 3600 * 1000).toISOString());
+    skip.scheduler.start();
+    skip.scheduler.stop();
+    assert(skip.queued.length === 0 && new Date(skip.scheduleStore.get(skipped.scheduleId).nextRunAt) > new Date(),
+        'missed: catchUpMissed=false only moves nextRunAt');
+}
+
+console.log('\n═══ Summary ═══');
+console.log(`\n  Total: ${passed + failed}  |  Passed: ${passed}  |  Failed: ${failed}`);
+if (errors.length > 0) {
+    console.log('\n  Failed tests:');
+    errors.forEach(e => console.log(`    - ${e}`));
+}
+
+fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,169 @@
+/**
+ * Test suite for server.js
+ * Smoke test: boots the pipeline server with an injected orchestrator, chat
+ * manager and run store, so an error while building the routes fails here,
+ * then checks CORS, route methods, run history paging and path containment
+ * of file routes.
+ *
+ * Run: node agentic-workflow/sdk-orchestrator/test-server.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const { once } = require('events');
+const { startServer } = require('./server');
+const { RunStore } = require('./run-store');
+const { loadWorkflowConfig } = require('./utils');
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`  ✓ ${label}`);
+    } else {
+        failed++;
+        errors.push(label);
+        console.log(`  ✗ ${label}`);
+    }
+}
+
+// ─── Test Helpers ────────────────────────────────────────────────────────────
+
+const TEST_DIR = path.join(os.tmpdir(), `server-test-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+const fakeOrchestrator = {
+    config: loadWorkflowConfig(),
+    options: {},
+    start: async () => { },
+    stop: async () => { },
+    getModelCatalog: async () => ({ defaultModel: 'test-model', models: [] }),
+};
+
+const fakeChatManager = {
+    prepareForShutdown: async () => { },
+};
+
+/** One HTTP request against the test server; resolves { status, headers, body }. */
+function request(port, method, urlPath, body) {
+    return new Promise((resolve, reject) => {
+        const payload = body === undefined ? null : JSON.stringify(body);
+        const req = http.request({
+            host: '127.0.0.1',
+            port,
+            method,
+            path: urlPath,
+            headers: payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {},
+        }, (res) => {
+            let data = '';
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => {
+                let parsed = data;
+                try { parsed = data ? JSON.parse(data) : null; } catch { /* non-JSON body */ }
+                resolve({ status: res.statusCode, headers: res.headers, body: parsed });
+            });
+        });
+        req.on('error', reject);
+        req.setTimeout(10000, () => req.destroy(new Error(`${method} ${urlPath} timed out`)));
+        if (payload) req.write(payload);
+        req.end();
+    });
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+async function main() {
+    const runStore = new RunStore({ storePath: path.join(TEST_DIR, 'run-store.json') });
+    let server = null;
+
+    console.log('\n═══ Startup ═══');
+    try {
+        server = await startServer({
+            port: 0,
+            orchestrator: fakeOrchestrator,
+            chatManager: fakeChatManager,
+            runStore,
+            disableSignalHandlers: true,
+        });
+        if (!server.listening) await once(server, 'listening');
+        assert(true, 'server builds its routes and starts');
+    } catch (error) {
+        assert(false, `server builds its routes and starts (${error.message})`);
+    }
+
+    if (server) {
+        const { port } = server.address();
+
+        const health = await request(port, 'GET', '/health');
+        assert(health.status === 200, 'GET /health answers');
+
+        console.log('\n═══ Routing ═══');
+        {
+            const preflight = await request(port, 'OPTIONS', '/api/test-cases/AOTF-1');
+            const methods = preflight.headers['access-control-allow-methods'] || '';
+            assert(preflight.status === 204 && methods.includes('PUT') && methods.includes('PATCH'), 'CORS preflight allows PUT and PATCH');
+
+            const put = await request(port, 'PUT', '/api/test-cases/AOTF-1', { testCases: [{ id: 'TC-01', title: 'No steps' }] });
+            assert(put.status === 422, 'PUT route registered (invalid document rejected, not 404)');
+
+            const unknown = await request(port, 'PUT', '/api/not-a-route');
+            assert(unknown.status === 404, 'unknown route is 404');
+
+            const traceability = await request(port, 'GET', '/api/traceability/AOTF-404');
+            assert(traceability.status === 200 && traceability.body.ticketId === 'AOTF-404', 'traceability route answers');
+        }
+
+        console.log('\n═══ Run History Paging ═══');
+        {
+            const first = runStore.createRun({ ticketId: 'AOTF-1', mode: 'full' });
+            runStore.createRun({ ticketId: 'AOTF-2', mode: 'full' });
+            assert(first && first.runId, 'runs recorded');
+
+            const negative = await request(port, 'GET', '/api/pipeline/runs?offset=-5&limit=-1');
+            assert(negative.status === 200 && negative.body.offset === 0 && negative.body.limit === 1, 'negative paging clamped like the store');
+            assert(negative.body.runs.length === 1 && negative.body.hasMore === true, 'hasMore from the clamped paging');
+
+            const past = await request(port, 'GET', '/api/pipeline/runs?offset=5');
+            assert(past.body.runs.length === 0 && past.body.hasMore === false && past.body.total === 2, 'offset past the end has no more');
+
+            const capped = await request(port, 'GET', '/api/pipeline/runs?limit=5000');
+            assert(capped.body.limit === 500, 'limit capped at 500');
+        }
+
+        console.log('\n═══ Path Containment ═══');
+        {
+            const absolute = await request(port, 'POST', '/api/test-cases/AOTF-1/import', { filePath: path.join(TEST_DIR, 'outside.xlsx') });
+            assert(absolute.status === 403, 'import of a workbook outside the test cases directory refused');
+
+            const traversal = await request(port, 'POST', '/api/test-cases/AOTF-1/import', { filePath: 'agentic-workflow/test-cases/../../package.json' });
+            assert(traversal.status === 403, 'path traversal out of the test cases directory refused');
+
+            const missing = await request(port, 'POST', '/api/test-cases/AOTF-1/import', { scenarioSlug: 'none' });
+            assert(missing.status === 404, 'default workbook path is inside and reported missing');
+        }
+
+        server.close();
+    }
+
+    console.log('\n═══ Summary ═══');
+    console.log(`\n  Total: ${passed + failed}  |  Passed: ${passed}  |  Failed: ${failed}`);
+    if (errors.length > 0) {
+        console.log('\n  Failed tests:');
+        errors.forEach(e => console.log(`    - ${e}`));
+    }
+
+    runStore.close();
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,532 @@
+/**
+ * Test suite for test-management/ and testcase-sync.js
+ * Tests test case normalization, the Xray, Zephyr Scale and TestRail adapters
+ * replayed against recorded API fixtures, create / update / unchanged sync
+ * with the mapping store, dry runs, matching pipeline results to synced cases,
+ * run pushes, the RUN_COMPLETE subscriber and the adapter factory.
+ *
+ * Run: node agentic-workflow/sdk-orchestrator/test-test-management.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+    loadTestManagementConfig, createTestManagementAdapter, createFixtureFetch, createRecordingFetch,
+    TestManagementAdapter, TestManagementError, RESULT_STATUS, XrayAdapter, ZephyrScaleAdapter, TestRailAdapter,
+} = require('./test-management');
+const {
+    TestCaseSync, TestCaseSyncStore, normalizeTestCases, collectRunResults, matchCaseResults, resolveTestManagementStorePath,
+} = require('./testcase-sync');
+const { EVENT_TYPES } = require('./event-bridge');
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`  ✓ ${label}`);
+    } else {
+        failed++;
+        errors.push(label);
+        console.log(`  ✗ ${label}`);
+    }
+}
+
+// ─── Test Helpers ────────────────────────────────────────────────────────────
+
+const TEST_DIR = path.join(os.tmpdir(), `test-management-test-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+const FIXTURES_DIR = path.join(__dirname, 'test-management', 'fixtures');
+const TICKET_ID = 'AOTF-16339';
+const TICKET_URL = `https://example.atlassian.net/browse/${TICKET_ID}`;
+
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf-8'));
+}
+
+function sampleCases(extraStep = false) {
+    const steps = [
+        { stepId: '1', action: 'Open the search page', expected: 'Results are shown' },
+        { stepId: '2', action: 'Apply the "3+ beds" filter', expected: 'Only 3+ bed listings are shown' },
+        { stepId: '3', action: 'Reload the page', expected: 'The filter is still applied' },
+    ];
+    if (extraStep) steps.push({ stepId: '4', action: 'Clear the filter', expected: 'All listings are shown' });
+    return normalizeTestCases({
+        testCases: [{ id: 'TC-01', title: 'Saved search filter persists after reload', steps }],
+        preConditions: 'User is signed in',
+    }).testCases;
+}
+
+/** A Playwright JSON report: TC-01 fails in chromium, an unrelated test passes. */
+function sampleReport() {
+    const spec = (title, status, error) => ({
+        title,
+        file: 'search.spec.js',
+        tests: [{
+            projectName: 'chromium',
+            expectedStatus: 'passed',
+            status,
+            annotations: [],
+            results: [{
+                retry: 0,
+                status: status === 'expected' ? 'passed' : 'failed',
+                duration: 1500,
+                errors: error ? [{ message: error }] : [],
+                ...(error ? { error: { message: error } } : {}),
+                attachments: [],
+            }],
+        }],
+    });
+    return {
+        config: { projects: [{ name: 'chromium' }] },
+        suites: [{
+            title: 'search.spec.js',
+            file: 'search.spec.js',
+            specs: [spec('loads the search page', 'expected')],
+            suites: [{
+                title: 'Saved search',
+                file: 'search.spec.js',
+                specs: [spec('TC-01 filter persists after reload', 'unexpected', '\u001b[31mexpect(received).toBe(expected)\u001b[39m\n\nExpected: 3')],
+                suites: [],
+            }],
+        }],
+        errors: [],
+    };
+}
+
+function sampleRun(overrides = {}) {
+    const rawResultsFile = path.join(TEST_DIR, `raw-${Date.now()}-${Math.random().toString(36).slice(2)}.json`);
+    fs.writeFileSync(rawResultsFile, JSON.stringify({ playwrightResult: overrides.report || sampleReport() }));
+    return {
+        runId: 'run_fixture',
+        ticketId: TICKET_ID,
+        status: 'completed',
+        environment: 'staging',
+        startedAt: '2026-10-12T09:00:00.000Z',
+        completedAt: '2026-10-12T09:05:00.000Z',
+        result: {
+            scenarioResults: [{
+                artifacts: { testResults: { totalCount: 2, failedCount: 1, passedCount: 1, rawResultsFile } },
+            }],
+        },
+        ...overrides,
+    };
+}
+
+function createSync(adapter, name, extra = {}) {
+    return new TestCaseSync({
+        config: loadTestManagementConfig({ provider: adapter ? adapter.type : null, ...(extra.config || {}) }),
+        adapter,
+        store: new TestCaseSyncStore({ storePath: path.join(TEST_DIR, `${name}.json`) }),
+        log: () => {},
+        ...extra.options,
+    });
+}
+
+/** Create → unchanged → update → push against a recorded fixture. */
+async function replayFixture(label, adapter, replay) {
+    const sync = createSync(adapter, `fixture-${adapter.type}`);
+
+    const created = await sync.syncTestCases({ ticketId: TICKET_ID, ticketUrl: TICKET_URL, testCases: sampleCases() });
+    assert(created.created === 1 && created.failed === 0, `${label}: case created (${created.cases[0].error || 'ok'})`);
+    const remote = created.cases[0].remote;
+
+    const callsBefore = replay.calls.length;
+    const unchanged = await sync.syncTestCases({ ticketId: TICKET_ID, ticketUrl: TICKET_URL, testCases: sampleCases() });
+    assert(unchanged.unchanged === 1 && replay.calls.length === callsBefore, `${label}: unchanged case sends no requests`);
+
+    const updated = await sync.syncTestCases({ ticketId: TICKET_ID, ticketUrl: TICKET_URL, testCases: sampleCases(true) });
+    assert(updated.updated === 1 && updated.failed === 0, `${label}: changed case updated (${updated.cases[0].error || 'ok'})`);
+    assert(updated.cases[0].remote.key === remote.key, `${label}: update keeps the remote key`);
+    assert(sync.listSyncedCases(TICKET_ID).length === 1, `${label}: one mapping for the ticket`);
+
+    const pushed = await sync.pushRunResults(sampleRun());
+    assert(pushed.pushed === true && pushed.counts.failed === 1, `${label}: run pushed with the case failed`);
+    assert(replay.pending().length === 0, `${label}: every recorded exchange replayed`);
+
+    const again = await sync.pushRunResults(sampleRun());
+    assert(again.pushed === false && again.reason === 'Already pushed', `${label}: a run is pushed once`);
+    return { sync, remote, pushed };
+}
+
+async function main() {
+    // ═══════════════════════════════════════════════════════════════════════
+    // normalizeTestCases
+    // ═══════════════════════════════════════════════════════════════════════
+    console.log('\n═══ normalizeTestCases ═══');
+    {
+        const flat = normalizeTestCases({
+            testSuiteName: 'Search filters',
+            preConditions: 'Signed in',
+            testSteps: JSON.stringify([{ id: '1.1', activity: 'Open search', expectedResult: 'Page loads', actualResults: 'Page loads' }]),
+        });
+        assert(flat.errors.length === 0 && flat.testCases.length === 1, 'flat testSteps become one case');
+        assert(flat.testCases[0].id === 'TC-01' && flat.testCases[0].title === 'Search filters', 'flat case gets TC-01 and the suite name');
+        const step = flat.testCases[0].steps[0];
+        assert(step.stepId === '1.1' && step.action === 'Open search' && step.expected === 'Page loads', 'step field aliases read');
+        assert(flat.testCases[0].preConditions === 'Signed in', 'shared pre-conditions applied');
+
+        const invalid = normalizeTestCases({
+            testCases: [
+                { id: 'TC-01', title: '', steps: [{ action: 'x' }] },
+                { id: 'TC-01', title: 'Other', steps: [] },
+            ],
+        });
+        assert(invalid.errors.some(e => e.includes('missing title')), 'missing title reported');
+        assert(invalid.errors.some(e => e.includes('missing expected result')), 'missing expected result reported');
+        assert(invalid.errors.some(e => e.includes('no steps')), 'case without steps reported');
+        assert(invalid.errors.some(e => e.includes('Duplicate test case ID TC-01')), 'duplicate IDs reported');
+        assert(normalizeTestCases({}).errors[0].startsWith('No test cases'), 'empty input reported');
+
+        let threw = false;
+        try {
+            normalizeTestCases({ testCases: '[{' });
+        } catch (error) {
+            threw = error.message.startsWith('Invalid testCases JSON');
+        }
+        assert(threw, 'invalid JSON throws');
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // Config and factory
+    // ═══════════════════════════════════════════════════════════════════════
+    console.log('\n═══ Config and factory ═══');
+    {
+        const defaults = loadTestManagementConfig({});
+        assert(defaults.provider === null && defaults.pushResults === false && defaults.dryRun === false, 'disabled by default');
+        assert(defaults.xray.clientIdEnv === 'XRAY_CLIENT_ID' && defaults.testrail.templateId === 2, 'per-provider defaults');
+        assert(createTestManagementAdapter(defaults) === null, 'no adapter without a provider');
+
+        process.env.TM_TEST_ZEPHYR_TOKEN = 'zephyr-token';
+        const zephyr = createTestManagementAdapter(loadTestManagementConfig({
+            provider: 'zephyr-scale',
+            zephyr: { tokenEnv: 'TM_TEST_ZEPHYR_TOKEN', projectKey: 'AOTF' },
+        }));
+        assert(zephyr instanceof ZephyrScaleAdapter && zephyr.options.token === 'zephyr-token', 'zephyr-scale alias, token read from env');
+        delete process.env.TM_TEST_ZEPHYR_TOKEN;
+
+        assert(createTestManagementAdapter(loadTestManagementConfig({ provider: 'xray' })) instanceof XrayAdapter, 'xray provider');
+        assert(createTestManagementAdapter(loadTestManagementConfig({ provider: 'testrail' })) instanceof TestRailAdapter, 'testrail provider');
+
+        const customPath = path.join(TEST_DIR, 'custom-adapter.js');
+        fs.writeFileSync(customPath, `
+const { TestManagementAdapter } = require(${JSON.stringify(path.join(__dirname, 'test-management'))});
+class CustomAdapter extends TestManagementAdapter { get type() { return 'custom'; } }
+module.exports = { CustomAdapter };
+`);
+        const custom = createTestManagementAdapter(loadTestManagementConfig({ provider: customPath, options: { folder: 'QA' } }));
+        assert(custom.type === 'custom' && custom.options.folder === 'QA', 'custom module adapter with options');
+
+        const notAdapter = path.join(TEST_DIR, 'not-adapter.js');
+        fs.writeFileSync(notAdapter, 'module.exports = { value: 1 };');
+        let message = '';
+        try {
+            createTestManagementAdapter(loadTestManagementConfig({ provider: notAdapter }));
+        } catch (error) {
+            message = error.message;
+        }
+        assert(message.includes('must export a TestManagementAdapter subclass'), 'non-adapter module rejected');
+
+        let abstract = false;
+        try {
+            new TestManagementAdapter();
+        } catch {
+            abstract = true;
+        }
+        assert(abstract, 'TestManagementAdapter is abstract');
+
+        assert(resolveTestManagementStorePath({}, '/data/runs/runs.json') === path.join('/data/runs', 'test-management.json'), 'store next to the run store');
+        assert(resolveTestManagementStorePath({ storePath: '/tmp/tm.json' }) === '/tmp/tm.json', 'absolute storePath kept');
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // Xray (recorded fixture)
+    // ═══════════════════════════════════════════════════════════════════════
+    console.log('\n═══ Xray (recorded fixture) ═══');
+    {
+        const replay = createFixtureFetch(loadFixture('xray'));
+        const adapter = new XrayAdapter({
+            clientId: 'client', clientSecret: 'secret', projectKey: 'AOTF',
+            jiraBaseUrl: 'https://example.atlassian.net', fetch: replay,
+        });
+        const { remote, pushed } = await replayFixture('Xray', adapter, replay);
+
+        assert(remote.key === 'AOTF-16412' && remote.url === 'https://example.atlassian.net/browse/AOTF-16412', 'Test issue key and URL');
+        assert(replay.calls.filter(call => call.path === '/api/v2/authenticate').length === 1, 'token fetched once');
+        assert(replay.calls[1].headers.Authorization === 'Bearer <redacted>', 'bearer token sent');
+
+        const createVariables = replay.calls[1].body.variables;
+        assert(createVariables.steps.length === 3 && createVariables.steps[2].result === 'The filter is still applied', 'steps sent as Xray steps');
+        assert(createVariables.jira.fields.description.includes('*Pre-conditions:*\nUser is signed in'), 'pre-conditions in the description');
+
+        const update = replay.calls[2].body;
+        assert(update.query.includes('removeAllTestSteps') && Object.keys(update.variables).length === 5, 'update replaces all four steps');
+
+        const execution = replay.calls[3].body;
+        assert(execution.info.testEnvironments[0] === 'staging' && execution.info.finishDate, 'execution info has environment and dates');
+        assert(execution.tests[0].comment.startsWith('✗ Saved search › TC-01 filter persists after reload [chromium]: expect(received)'), 'comment lists the matched test');
+        assert(pushed.testRun.key === 'AOTF-16413', 'Test Execution key returned');
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // Zephyr Scale (recorded fixture)
+    // ═══════════════════════════════════════════════════════════════════════
+    console.log('\n═══ Zephyr Scale (recorded fixture) ═══');
+    {
+        const replay = createFixtureFetch(loadFixture('zephyr-scale'));
+        const adapter = new ZephyrScaleAdapter({
+            token: 'token', projectKey: 'AOTF', resolveIssueId: async () => '10331', fetch: replay,
+        });
+        const { remote, pushed } = await replayFixture('Zephyr Scale', adapter, replay);
+
+        assert(remote.key === 'AOTF-T214' && remote.id === '1873021', 'test case key and ID');
+        assert(replay.calls[1].body.items[0].inline.description === 'Open the search page', 'steps written inline');
+        assert(replay.calls[0].body.objective === `Covers ${TICKET_ID} (TestGenie TC-01).`, 'objective references the ticket');
+
+        const put = replay.calls[4].body;
+        assert(put.priority?.id === 2081 && put.project?.id === 10004 && !('projectKey' in put), 'update keeps the current fields');
+        assert(replay.calls[5].body.items.length === 4, 'update overwrites the steps');
+
+        const execution = replay.calls[7].body;
+        assert(execution.executionTime === 1500 && execution.environmentName === 'staging', 'execution time and environment');
+        assert(pushed.testRun.key === 'AOTF-R88', 'test cycle key returned');
+
+        const webLinked = createFixtureFetch({
+            provider: 'zephyr',
+            exchanges: [
+                { request: { method: 'POST', path: '/v2/testcases' }, response: { status: 201, body: { id: 1, key: 'AOTF-T1' } } },
+                { request: { method: 'POST', path: '/v2/testcases/AOTF-T1/teststeps' }, response: { status: 201, body: {} } },
+                {
+                    request: { method: 'POST', path: '/v2/testcases/AOTF-T1/links/weblinks', body: { url: TICKET_URL, description: TICKET_ID } },
+                    response: { status: 201, body: { id: 9 } },
+                },
+            ],
+        });
+        const fallback = new ZephyrScaleAdapter({ token: 'token', projectKey: 'AOTF', resolveIssueId: async () => null, fetch: webLinked });
+        await fallback.createTestCase(sampleCases()[0], { ticketId: TICKET_ID, ticketUrl: TICKET_URL });
+        assert(webLinked.pending().length === 0, 'web link to the ticket without a Jira issue ID');
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // TestRail (recorded fixture)
+    // ═══════════════════════════════════════════════════════════════════════
+    console.log('\n═══ TestRail (recorded fixture) ═══');
+    {
+        const replay = createFixtureFetch(loadFixture('testrail'));
+        const adapter = new TestRailAdapter({
+            baseUrl: 'https://example.testrail.io', user: 'qa@example.com', apiKey: 'key',
+            projectId: 7, suiteId: 61, sectionId: 1204, fetch: replay,
+        });
+        const { remote, pushed } = await replayFixture('TestRail', adapter, replay);
+
+        assert(remote.key === 'C88231' && remote.url === 'https://example.testrail.io/index.php?/cases/view/88231', 'case key and URL');
+        assert(replay.calls[0].headers.Authorization === `Basic ${Buffer.from('qa@example.com:key').toString('base64')}`, 'basic auth');
+        assert(replay.calls[0].body.custom_steps_separated[1].expected === 'Only 3+ bed listings are shown', 'separated steps');
+        assert(replay.calls[3].body.results[0].elapsed === '2s', 'elapsed from the test duration');
+        assert(pushed.testRun.key === 'R4102' && pushed.testRun.url.endsWith('/runs/view/4102'), 'run key and URL');
+
+        const payload = adapter.buildRunPayload(
+            { name: 'n', runId: 'r', ticketId: TICKET_ID },
+            [{ remote: { id: '1' }, status: RESULT_STATUS.SKIPPED, comment: '', durationMs: null }],
+        );
+        assert(payload.run.case_ids[0] === 1 && payload.results.results.length === 0, 'skipped cases post no result');
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // Fixture fetch
+    // ═══════════════════════════════════════════════════════════════════════
+    console.log('\n═══ Fixture fetch ═══');
+    {
+        const replay = createFixtureFetch({
+            provider: 'demo',
+            exchanges: [{ request: { method: 'GET', path: '/a' }, response: { status: 200, body: { ok: true } } }],
+        });
+        let mismatch = '';
+        try {
+            await replay('https://host/b', { method: 'GET' });
+        } catch (error) {
+            mismatch = error.message;
+        }
+        assert(mismatch.includes('recorded GET /a'), 'mismatched request rejected');
+
+        const recorder = createRecordingFetch(async () => ({ ok: true, status: 200, text: async () => '"eyJhbGciOi.eyJzdWIiOi.c2lnbmF0dXJl"' }));
+        const response = await recorder('https://xray.cloud.getxray.app/api/v2/authenticate', {
+            method: 'POST',
+            body: JSON.stringify({ client_id: 'id', client_secret: 'secret', other: 'kept' }),
+        });
+        const fixture = recorder.toFixture('xray');
+        assert(await response.text() === '"eyJhbGciOi.eyJzdWIiOi.c2lnbmF0dXJl"', 'recorded response passed through');
+        assert(fixture.exchanges[0].request.body.client_secret === '<redacted>' && fixture.exchanges[0].request.body.other === 'kept', 'credentials redacted');
+        assert(fixture.exchanges[0].response.body === '<redacted>', 'bearer token redacted');
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // Sync service
+    // ═══════════════════════════════════════════════════════════════════════
+    console.log('\n═══ Sync service ═══');
+    {
+        const noRequests = async (url) => { throw new Error(`unexpected request ${url}`); };
+        const adapter = new TestRailAdapter({ baseUrl: 'https://example.testrail.io', sectionId: 1, fetch: noRequests });
+        const sync = createSync(adapter, 'dry-run');
+        const plan = await sync.syncTestCases({ ticketId: TICKET_ID, testCases: sampleCases(), dryRun: true });
+        assert(plan.dryRun === true && plan.cases[0].action === 'create', 'dry run plans a create');
+        assert(plan.cases[0].payload.refs === TICKET_ID, 'dry run returns the payload');
+        assert(sync.listSyncedCases(TICKET_ID).length === 0, 'dry run stores nothing');
+
+        const configDry = createSync(adapter, 'config-dry', { config: { dryRun: true } });
+        assert((await configDry.syncTestCases({ ticketId: TICKET_ID, testCases: sampleCases() })).dryRun === true, 'sdk.testManagement.dryRun applies');
+
+        const failing = new TestRailAdapter({
+            baseUrl: 'https://example.testrail.io', user: 'u', apiKey: 'k', sectionId: 1,
+            fetch: async () => ({ ok: false, status: 403, text: async () => 'forbidden' }),
+        });
+        const failed = await createSync(failing, 'failing').syncTestCases({ ticketId: TICKET_ID, testCases: sampleCases() });
+        assert(failed.failed === 1 && failed.cases[0].error.includes('returned 403'), 'API errors reported per case');
+
+        const disabled = createSync(null, 'disabled');
+        assert(disabled.enabled === false, 'disabled without a provider');
+        let message = '';
+        try {
+            await disabled.syncTestCases({ ticketId: TICKET_ID, testCases: sampleCases() });
+        } catch (error) {
+            message = error.message;
+        }
+        assert(message.startsWith('No test management provider configured'), 'sync without a provider throws');
+
+        const unsynced = await sync.pushRunResults(sampleRun());
+        assert(unsynced.pushed === false && unsynced.reason.startsWith(`No test cases of ${TICKET_ID}`), 'no push without synced cases');
+
+        assert(new TestManagementError('x', { status: 502 }).status === 502, 'TestManagementError carries the status');
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // Result matching
+    // ═══════════════════════════════════════════════════════════════════════
+    console.log('\n═══ Result matching ═══');
+    {
+        const collected = collectRunResults(sampleRun());
+        assert(collected.tests.length === 2 && collected.rollup === RESULT_STATUS.FAILED, 'tests read from the raw report');
+        assert(collected.passedCount === 1 && collected.totalCount === 2, 'counts from the tests');
+
+        const mappings = [
+            { caseId: 'TC-01', title: 'Saved search filter persists after reload', remote: { id: '1', key: 'AOTF-T1' } },
+            { caseId: 'TC-02', title: 'Loads the search page', remote: { id: '2', key: 'AOTF-T2' } },
+            { caseId: 'TC-03', title: 'Sorts by price', remote: { id: '3', key: 'AOTF-T3' } },
+        ];
+        const [byId, byTitle, unmatched] = matchCaseResults(mappings, collected);
+        assert(byId.status === RESULT_STATUS.FAILED && byId.durationMs === 1500, 'matched by case ID in the title');
+        assert(byId.comment.includes(': expect(received).toBe(expected)'), 'first error line without colour codes');
+        assert(byTitle.status === RESULT_STATUS.PASSED && byTitle.comment.startsWith('✓'), 'matched by equal title');
+        assert(unmatched.status === RESULT_STATUS.FAILED && unmatched.comment.includes('1/2 tests passed'), 'unmatched case gets the run outcome');
+
+        const byKey = matchCaseResults([{ caseId: 'TC-09', remote: { id: '4', key: 'AOTF-T4' } }], {
+            tests: [{ title: 'AOTF-T4 works', titlePath: ['a.spec.js', 'AOTF-T4 works'], status: 'skipped', duration: 0 }],
+            rollup: RESULT_STATUS.PASSED, passedCount: 1, totalCount: 1,
+        });
+        assert(byKey[0].status === RESULT_STATUS.SKIPPED && byKey[0].comment.startsWith('–'), 'matched by remote key, skipped');
+
+        const noPrefix = matchCaseResults([{ caseId: 'TC-1', remote: { id: '5', key: 'K-5' } }], {
+            tests: [{ title: 'TC-12 other', titlePath: ['TC-12 other'], status: 'failed', duration: 0 }],
+            rollup: RESULT_STATUS.PASSED, passedCount: 0, totalCount: 0,
+        });
+        assert(noPrefix[0].status === RESULT_STATUS.PASSED, 'TC-1 does not match TC-12');
+
+        const cancelled = collectRunResults({ status: 'cancelled', result: { scenarioResults: [] } });
+        assert(cancelled.rollup === RESULT_STATUS.BLOCKED, 'cancelled run rolls up as blocked');
+        const summaryOnly = collectRunResults({
+            status: 'completed',
+            result: { scenarioResults: [{ artifacts: { testResults: { totalCount: 4, failedCount: 0 } } }] },
+        });
+        assert(summaryOnly.rollup === RESULT_STATUS.PASSED && summaryOnly.totalCount === 4, 'summary counts without a raw report');
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // Run pushes and RUN_COMPLETE
+    // ═══════════════════════════════════════════════════════════════════════
+    console.log('\n═══ Run pushes and RUN_COMPLETE ═══');
+    {
+        const pushes = [];
+        class MemoryAdapter extends TestManagementAdapter {
+            get type() { return 'memory'; }
+            buildCasePayload(testCase) { return { title: testCase.title, steps: testCase.steps.length }; }
+            async createTestCase(testCase) { return { id: testCase.id, key: `M-${testCase.id}`, url: null }; }
+            buildRunPayload(run, results) { return { name: run.name, results: results.map(result => result.status) }; }
+            async createTestRun(run, results) {
+                pushes.push({ run, results });
+                return { id: String(pushes.length), key: `RUN-${pushes.length}`, url: null };
+            }
+        }
+
+        const runs = {
+            run_done: sampleRun({ runId: 'run_done' }),
+            run_live: sampleRun({ runId: 'run_live', status: 'running' }),
+            run_cancelled: sampleRun({ runId: 'run_cancelled', status: 'cancelled' }),
+        };
+        const listeners = {};
+        const eventBridge = {
+            on: (type, listener) => { listeners[type] = listener; },
+            off: (type) => { delete listeners[type]; },
+        };
+        const runStore = { storePath: path.join(TEST_DIR, 'runs', 'runs.json'), getRun: runId => runs[runId] || null };
+        const sync = new TestCaseSync({
+            config: loadTestManagementConfig({ provider: 'memory', pushResults: true }),
+            adapter: new MemoryAdapter(),
+            runStore,
+            eventBridge,
+            log: () => {},
+        });
+        assert(sync.store.storePath === path.join(TEST_DIR, 'runs', 'test-management.json'), 'store next to the run store');
+
+        await sync.syncTestCases({ ticketId: TICKET_ID, testCases: sampleCases() });
+        const dry = await sync.pushRunResultsById('run_done', { dryRun: true });
+        assert(dry.dryRun === true && dry.payload.results[0] === RESULT_STATUS.FAILED && pushes.length === 0, 'dry-run push returns the payload');
+
+        let message = '';
+        try {
+            await sync.pushRunResultsById('run_live');
+        } catch (error) {
+            message = error.message;
+        }
+        assert(message.includes('pushed once it has finished'), 'running run not pushed');
+        try {
+            await sync.pushRunResultsById('run_missing');
+        } catch (error) {
+            message = error.message;
+        }
+        assert(message === 'Run run_missing not found', 'unknown run reported');
+
+        sync.subscribe();
+        assert(typeof listeners[EVENT_TYPES.RUN_COMPLETE] === 'function', 'subscribed to RUN_COMPLETE');
+        listeners[EVENT_TYPES.RUN_COMPLETE]({ runId: 'run_cancelled' });
+        listeners[EVENT_TYPES.RUN_COMPLETE]({ runId: 'run_done' });
+        await new Promise(resolve => setImmediate(resolve));
+        assert(pushes.length === 1 && pushes[0].run.runId === 'run_done', 'completed run pushed, cancelled run skipped');
+        assert(pushes[0].run.name === `${TICKET_ID} — pipeline run run_done`, 'run name from the template');
+
+        const forced = await sync.pushRunResults(runs.run_done, { force: true });
+        assert(forced.pushed === true && pushes.length === 2, 'force pushes again');
+
+        sync.unsubscribe();
+        assert(!listeners[EVENT_TYPES.RUN_COMPLETE], 'unsubscribed');
+    }
+
+    console.log('\n═══ Summary ═══');
+    console.log(`\n  Total: ${passed + failed}  |  Passed: ${passed}  |  Failed: ${failed}`);
+    if (errors.length > 0) {
+        console.log('\n  Failed tests:');
+        errors.forEach(e => console.log(`    - ${e}`));
+    }
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,349 @@
+/**
+ * Test suite for testcase-document.js
+ * Tests document normalization and validation, building from the TestGenie
+ * tool input, the revisioned store, Markdown / Gherkin renderings, the
+ * ScriptGenerator view, parsing the Excel rendering back into a document,
+ * diffs, the generate / import tools and the pipeline's test case context.
+ *
+ * Run: node agentic-workflow/sdk-orchestrator/test-testcase-document.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+    PRIORITIES, DOCUMENT_SOURCE, normalizeTestCaseDocument, buildTestCaseDocument, testCaseFileStem,
+    TestCaseDocumentStore, renderMarkdown, renderGherkin, renderTestCaseDocument, formatForScriptGenerator,
+    parseTestCaseRows, diffTestCases,
+} = require('./testcase-document');
+const { createCustomTools } = require('./custom-tools');
+const { PipelineRunner } = require('./pipeline-runner');
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`  ✓ ${label}`);
+    } else {
+        failed++;
+        errors.push(label);
+        console.log(`  ✗ ${label}`);
+    }
+}
+
+// ─── Test Helpers ────────────────────────────────────────────────────────────
+
+const TEST_DIR = path.join(os.tmpdir(), `testcase-document-test-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+const TICKET_ID = 'AOTF-16339';
+
+function sampleInput() {
+    return {
+        ticketId: TICKET_ID,
+        scenarioSlug: 'saved-search',
+        scenarioName: 'Saved search',
+        ticket: { title: 'Saved search filters', url: `https://example.atlassian.net/browse/${TICKET_ID}` },
+        preConditions: '1: User is signed in\n2: Search page is open',
+        acceptanceCriteria: ['Filters persist after reload', 'Filters can be cleared'],
+        testCases: [
+            {
+                id: 'TC-01',
+                title: 'Filter persists after reload',
+                priority: 'P1',
+                tags: ['@smoke', 'search'],
+                acceptanceCriteria: ['AC-1'],
+                dataRefs: ['testData.search.filters'],
+                steps: [
+                    { stepId: '1', activity: 'Apply the "3+ beds" filter', expectedResult: 'Only 3+ bed listings are shown', actualResults: 'As expected' },
+                    { stepId: '2', action: 'Reload the page', expected: 'The filter is still applied', actual: 'As expected', dataRefs: ['testData.search.url'] },
+                ],
+            },
+            {
+                id: 'TC-02',
+                title: 'Clear the filter',
+                acceptanceCriteria: ['AC-2'],
+                preConditions: 'A filter is applied',
+                steps: [{ id: '1', action: 'Click "Clear"', expected: 'All listings are shown', actual: 'As expected' }],
+            },
+        ],
+    };
+}
+
+/** Cell text of columns A–D as excel-template-generator.js lays them out (merged cells repeat the master text). */
+function renderedRows(document) {
+    const title = text => [text, text, text, text];
+    const rows = [
+        title('🚀💙 Powered by Doremon Team 💙🚀'),
+        [],
+        ['Jira Ticket Number:', document.ticketId, document.ticketId, document.ticketId],
+        ['Jira Ticket Title:', document.ticket.title, document.ticket.title, document.ticket.title],
+        ['Jira Ticket URL:', document.ticket.url, document.ticket.url, document.ticket.url],
+        [],
+        ['Pre-Conditions (If any):', document.preConditions, document.preConditions, document.preConditions],
+        [],
+        ['', '', '', ''],
+    ];
+    for (const testCase of document.testCases) {
+        rows.push([]);
+        rows.push(title(`${testCase.id}: ${testCase.title}`));
+        rows.push([
+            `Priority: ${testCase.priority}`,
+            `Tags: ${testCase.tags.join(', ')}`.trim(),
+            `Covers: ${testCase.acceptanceCriteria.join(', ')}`.trim(),
+            `Data: ${testCase.dataRefs.join(', ')}`.trim(),
+        ]);
+        if (testCase.preConditions) rows.push(title(`Pre-Conditions: ${testCase.preConditions}`));
+        rows.push(['Test Step ID', 'Specific Activity or Action', 'Expected Results', 'Actual Results']);
+        testCase.steps.forEach(step => rows.push([step.id, step.action, step.expected, step.actual]));
+    }
+    return rows;
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+async function main() {
+    console.log('\n═══ Normalization ═══');
+    {
+        const { document, errors: problems, warnings } = normalizeTestCaseDocument(sampleInput());
+        assert(problems.length === 0, 'sample document is valid');
+        assert(warnings.length === 0, 'no warnings when every criterion is covered and steps have actual results');
+        assert(document.acceptanceCriteria[1].id === 'AC-2' && document.acceptanceCriteria[1].text === 'Filters can be cleared', 'string criteria numbered AC-n');
+        const [first, second] = document.testCases;
+        assert(first.priority === 'critical', 'P1 priority alias → critical');
+        assert(second.priority === 'medium', 'default priority is medium');
+        assert(PRIORITIES.includes(first.priority), 'priority is a known value');
+        assert(first.tags.join() === 'smoke,search', 'leading @ stripped from tags');
+        assert(first.steps[0].action === 'Apply the "3+ beds" filter' && first.steps[0].expected === 'Only 3+ bed listings are shown', 'activity / expectedResult aliases');
+        assert(first.steps[0].actual === 'As expected', 'actualResults alias');
+        assert(first.steps[1].dataRefs[0] === 'testData.search.url', 'step data references kept');
+        assert(document.scenarioSlug === 'saved-search' && document.schemaVersion === 1, 'scenario and schema version');
+    }
+    {
+        const input = sampleInput();
+        input.testCases[0].priority = 'urgent';
+        input.testCases[0].steps[1].expected = '';
+        input.testCases[1].id = 'TC-01';
+        input.testCases[1].acceptanceCriteria = ['AC-9'];
+        input.testCases[1].steps.push({ id: '1', action: 'Again', expected: 'Same' });
+        const { errors: problems, warnings } = normalizeTestCaseDocument(input);
+        assert(problems.some(e => /unknown priority "urgent"/.test(e)), 'unknown priority is an error');
+        assert(problems.some(e => /step 2: missing expected result/.test(e)), 'missing expected result is an error');
+        assert(problems.includes('Duplicate test case ID TC-01'), 'duplicate test case ID');
+        assert(problems.some(e => /duplicate step ID 1/.test(e)), 'duplicate step ID');
+        assert(problems.some(e => /unknown acceptance criterion AC-9/.test(e)), 'unknown criterion reference');
+        assert(warnings.includes('AC-2 is not covered by any test case'), 'uncovered criterion is a warning');
+        assert(warnings.some(e => /missing actual result/.test(e)), 'missing actual result is a warning');
+    }
+    {
+        const { errors: problems } = normalizeTestCaseDocument({});
+        assert(problems.includes('No test cases') && problems.includes('Missing ticketId'), 'empty document errors');
+    }
+
+    console.log('\n═══ Building from Tool Input ═══');
+    {
+        const single = buildTestCaseDocument({
+            ticketId: TICKET_ID,
+            testSuiteName: 'Saved search filters',
+            testSteps: JSON.stringify([{ stepId: '1.1', action: 'Open search', expected: 'Search is shown', actual: 'Search is shown' }]),
+            scope: { scenarioSlug: 'saved-search' },
+        });
+        assert(single.errors.length === 0, 'testSteps build a valid document');
+        assert(single.document.testCases.length === 1 && single.document.testCases[0].id === 'TC-01', 'testSteps become TC-01');
+        assert(single.document.testCases[0].title === 'Saved search filters', 'case titled with the suite name');
+        assert(single.document.scenarioSlug === 'saved-search', 'scope applied');
+
+        const several = buildTestCaseDocument({ ticketId: TICKET_ID, testCases: sampleInput().testCases, acceptanceCriteria: JSON.stringify(['A', 'B']) });
+        assert(several.document.testCases.length === 2 && several.document.acceptanceCriteria.length === 2, 'testCases and acceptanceCriteria');
+
+        let thrown = null;
+        try {
+            buildTestCaseDocument({ ticketId: TICKET_ID, testCases: '[{' });
+        } catch (error) {
+            thrown = error;
+        }
+        assert(thrown && /Invalid testCases JSON/.test(thrown.message), 'invalid JSON throws');
+    }
+
+    console.log('\n═══ Store ═══');
+    const store = new TestCaseDocumentStore({ rootDir: path.join(TEST_DIR, 'store') });
+    {
+        assert(testCaseFileStem(TICKET_ID) === `${TICKET_ID}-test-cases`, 'stem without scenario keeps the historical name');
+        assert(testCaseFileStem(TICKET_ID, 'saved-search') === `${TICKET_ID}-saved-search-test-cases`, 'stem with scenario');
+        assert(store.load(TICKET_ID, 'saved-search') === null, 'missing document loads as null');
+        assert(store.list(TICKET_ID).length === 0, 'missing directory lists nothing');
+
+        const { document } = normalizeTestCaseDocument(sampleInput());
+        const first = store.save(document, DOCUMENT_SOURCE.TESTGENIE);
+        assert(first.document.revision === 1 && first.document.source === 'testgenie', 'first save is revision 1');
+        assert(first.path === store.pathFor(TICKET_ID, 'saved-search'), 'saved at pathFor()');
+        const second = store.save(first.document, DOCUMENT_SOURCE.API);
+        assert(second.document.revision === 2 && second.document.source === 'api', 'next save bumps the revision');
+        assert(store.load(TICKET_ID, 'saved-search').revision === 2, 'load returns the latest revision');
+
+        store.save(normalizeTestCaseDocument({ ...sampleInput(), scenarioSlug: null }).document, DOCUMENT_SOURCE.TESTGENIE);
+        store.save(normalizeTestCaseDocument({ ...sampleInput(), ticketId: 'AOTF-1' }).document, DOCUMENT_SOURCE.TESTGENIE);
+        const listed = store.list(TICKET_ID);
+        assert(listed.length === 2, 'list returns the ticket\'s documents only');
+        assert(listed[0].scenarioSlug === null && listed[1].scenarioSlug === 'saved-search', 'list sorted by scenario');
+    }
+
+    console.log('\n═══ Renderings ═══');
+    const stored = store.load(TICKET_ID, 'saved-search');
+    {
+        const markdown = renderMarkdown(stored);
+        assert(markdown.startsWith(`# ${TICKET_ID} — Saved search filters`), 'Markdown heading');
+        assert(markdown.includes('**Revision:** 2'), 'Markdown revision');
+        assert(markdown.includes('- **AC-1** Filters persist after reload'), 'Markdown acceptance criteria');
+        assert(markdown.includes('## TC-01: Filter persists after reload'), 'Markdown case heading');
+        assert(markdown.includes('Priority: critical · Tags: `smoke`, `search` · Covers: AC-1 · Data: `testData.search.filters`'), 'Markdown details line');
+        assert(markdown.includes('| 2 | Reload the page | The filter is still applied | As expected |'), 'Markdown step row');
+
+        const gherkin = renderGherkin(stored);
+        assert(gherkin.includes(`@${TICKET_ID} @saved-search\nFeature: Saved search filters`), 'Gherkin feature with tags');
+        assert(gherkin.includes('  Background:\n    Given User is signed in\n    And Search page is open'), 'pre-conditions as Background');
+        assert(gherkin.includes('  @TC-01 @priority-critical @smoke @search @AC-1\n  Scenario: Filter persists after reload'), 'scenario tags');
+        assert(gherkin.includes('    When Reload the page\n    Then The filter is still applied'), 'When / Then per step');
+        assert(gherkin.includes('  Scenario: Clear the filter\n    Given A filter is applied'), 'case pre-conditions as Given');
+
+        const rendered = await renderTestCaseDocument(stored, { store, formats: ['markdown', 'gherkin'] });
+        assert(fs.readFileSync(rendered.paths.markdown, 'utf-8') === renderMarkdown(stored), 'Markdown written next to the document');
+        assert(rendered.paths.gherkin.endsWith(`${TICKET_ID}-saved-search-test-cases.feature`), 'Gherkin written as .feature');
+        assert(Object.keys(rendered.errors).length === 0, 'no rendering errors');
+    }
+
+    console.log('\n═══ ScriptGenerator View ═══');
+    {
+        const text = formatForScriptGenerator(stored);
+        assert(text.startsWith('TEST CASES (2, revision 2):'), 'header with count and revision');
+        const payload = JSON.parse(text.split('```json\n')[1].split('\n```')[0]);
+        assert(payload.testCases[0].covers[0] === 'AC-1' && payload.testCases[0].priority === 'critical', 'coverage and priority included');
+        assert(payload.testCases[1].tags === undefined, 'empty fields omitted');
+        assert(text.includes('test(\'TC-01 <title>\', { annotation: [{ type: \'testCase\', description: \'TC-01\' }'), 'test() titling and annotation instruction');
+    }
+
+    console.log('\n═══ Excel Round Trip (rows) ═══');
+    {
+        const parsed = parseTestCaseRows(renderedRows(stored));
+        assert(parsed.ticketId === TICKET_ID && parsed.ticket.title === 'Saved search filters', 'ticket fields');
+        assert(parsed.preConditions === stored.preConditions, 'pre-conditions');
+        assert(parsed.testCases.length === 2, 'both test cases');
+        const [first, second] = parsed.testCases;
+        assert(first.id === 'TC-01' && first.title === 'Filter persists after reload', 'title row split into ID and title');
+        assert(first.priority === 'critical' && first.tags.join() === 'smoke,search', 'priority and tags from the details row');
+        assert(first.acceptanceCriteria[0] === 'AC-1' && first.dataRefs[0] === 'testData.search.filters', 'coverage and data from the details row');
+        assert(first.steps.length === 2 && first.steps[1].expected === 'The filter is still applied', 'step rows');
+        assert(second.preConditions === 'A filter is applied' && second.tags.length === 0, 'case pre-conditions row');
+
+        const { document, errors: problems } = normalizeTestCaseDocument({ ...parsed, acceptanceCriteria: stored.acceptanceCriteria });
+        assert(problems.length === 0, 're-parsed rows are a valid document');
+        // Step data references aren't shown in Excel; the import keeps them from the stored document
+        document.testCases.forEach((testCase, i) => testCase.steps.forEach((step, j) => {
+            step.dataRefs = stored.testCases[i].steps[j].dataRefs;
+        }));
+        assert(diffTestCases(stored, document).length === 0, 'round trip without edits has no changes');
+
+        const edited = renderedRows(stored);
+        const stepRow = edited.findIndex(row => row[1] === 'Reload the page');
+        edited[stepRow][2] = 'The filter chip is still shown';
+        edited.push([], ['TC-03: Share the search', 'TC-03: Share the search', 'TC-03: Share the search', 'TC-03: Share the search']);
+        edited.push(['Test Step ID', 'Specific Activity or Action', 'Expected Results', 'Actual Results']);
+        edited.push(['1', 'Click "Share"', 'A link is copied', '']);
+        const reparsed = parseTestCaseRows(edited);
+        assert(reparsed.testCases.length === 3 && reparsed.testCases[2].priority === undefined, 'added case without details row');
+        assert(reparsed.testCases[0].steps[1].expected === 'The filter chip is still shown', 'edited expected result');
+    }
+
+    console.log('\n═══ Diff ═══');
+    {
+        const after = JSON.parse(JSON.stringify(stored));
+        after.testCases[0].steps[0].expected = 'Changed';
+        after.testCases.splice(1, 1);
+        after.testCases.push({ ...stored.testCases[1], id: 'TC-03' });
+        const changes = diffTestCases(stored, after);
+        assert(changes.join('|') === 'TC-01 changed|TC-03 added|TC-02 removed', 'changed, added and removed');
+        assert(diffTestCases(null, stored).join('|') === 'TC-01 added|TC-02 added', 'everything added without a previous document');
+    }
+
+    console.log('\n═══ Tools ═══');
+    {
+        const toolStore = new TestCaseDocumentStore({ rootDir: path.join(TEST_DIR, 'tools') });
+        const defineTool = (name, config) => ({ name, config });
+        const tools = createCustomTools(defineTool, 'testgenie', {
+            testCaseDocumentStore: toolStore,
+            testCaseScope: { scenarioId: 'S1', scenarioName: 'Saved search', scenarioSlug: 'saved-search' },
+        });
+        const generate = tools.find(tool => tool.name === 'generate_test_case_excel');
+        const importTool = tools.find(tool => tool.name === 'import_test_case_excel');
+        assert(generate && importTool, 'generate and import tools registered for testgenie');
+        assert(!createCustomTools(defineTool, 'scriptgenerator', {}).some(tool => tool.name === 'import_test_case_excel'), 'import tool not registered for scriptgenerator');
+
+        const invalid = JSON.parse(await generate.config.handler({
+            ticketId: TICKET_ID,
+            testSuiteName: 'Saved search filters',
+            testCases: JSON.stringify([{ id: 'TC-01', title: 'No steps', steps: [] }]),
+        }));
+        assert(invalid.success === false && invalid.details.some(e => /no steps/.test(e)), 'invalid test cases rejected');
+        assert(toolStore.load(TICKET_ID, 'saved-search') === null, 'nothing saved for invalid input');
+
+        const result = JSON.parse(await generate.config.handler({
+            ticketId: TICKET_ID,
+            testSuiteName: 'Saved search filters',
+            preConditions: '1: User is signed in',
+            testCases: JSON.stringify(sampleInput().testCases),
+            acceptanceCriteria: JSON.stringify(sampleInput().acceptanceCriteria),
+        }));
+        assert(result.success === true && result.revision === 1, 'document saved as revision 1');
+        assert(result.documentPath === toolStore.pathFor(TICKET_ID, 'saved-search'), 'saved in the scenario\'s document');
+        assert(result.testCaseCount === 2 && result.stepCount === 3, 'case and step counts');
+        assert(fs.existsSync(result.renderings.markdown) && fs.existsSync(result.renderings.gherkin), 'Markdown and Gherkin rendered');
+        assert(toolStore.load(TICKET_ID, 'saved-search').scenarioName === 'Saved search', 'scope recorded in the document');
+
+        const missing = JSON.parse(await importTool.config.handler({ ticketId: 'AOTF-1' }));
+        assert(missing.success === false && /Workbook not found/.test(missing.error), 'import without a workbook fails');
+    }
+
+    console.log('\n═══ Pipeline Context ═══');
+    {
+        const runner = new PipelineRunner({
+            sessionFactory: { model: 'test-model' },
+            selfHealing: null,
+            config: {},
+            evidenceStore: {},
+            eventBridge: { push() { } },
+            testCaseDocumentStore: store,
+        });
+        runner._log = () => { };
+        const documentPath = store.pathFor(TICKET_ID, 'saved-search');
+        const described = runner._describeTestCases({ testCaseDocumentPath: documentPath });
+        assert(described.startsWith('TEST CASES (2, revision 2):') && described.includes(`Test case document: ${documentPath}`), 'document given to ScriptGenerator');
+        assert(runner._describeTestCases({ testCasesPath: documentPath }) === `Test cases file is at: ${documentPath}`, 'file path without a document');
+        assert(runner._describeTestCases({}) === '', 'nothing without test cases');
+
+        const gate = await runner._runQualityGate('excel', { testCasesPath: documentPath, testCaseDocumentPath: documentPath });
+        assert(gate.success === true && gate.blocking === false, 'excel gate validates the document');
+        const brokenPath = path.join(TEST_DIR, 'broken.json');
+        fs.writeFileSync(brokenPath, JSON.stringify({ ticketId: TICKET_ID, testCases: [] }));
+        const broken = await runner._runQualityGate('excel', { testCasesPath: brokenPath, testCaseDocumentPath: brokenPath });
+        assert(broken.success === false && broken.errors.includes('No test cases'), 'excel gate reports document errors');
+    }
+
+    console.log('\n═══ Summary ═══');
+    console.log(`\n  Total: ${passed + failed}  |  Passed: ${passed}  |  Failed: ${failed}`);
+    if (errors.length > 0) {
+        console.log('\n  Failed tests:');
+        errors.forEach(e => console.log(`    - ${e}`));
+    }
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
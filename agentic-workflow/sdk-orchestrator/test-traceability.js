@@ -0,0 +1,335 @@
+/**
+ * Test suite for traceability.js
+ * Tests reading test() annotations from specs and tags from features, linking
+ * criteria → test cases → tests → latest results, the status of each link,
+ * coverage gaps, collecting a ticket's matrix from disk and the run store,
+ * and the HTML / Excel report builders.
+ *
+ * Run: node agentic-workflow/sdk-orchestrator/test-traceability.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+    TRACE_STATUS, GAP_TYPES, parseSpecTests, parseFeatureTests, buildTraceabilityMatrix,
+    collectTraceability, toReportSections, toReportSheets, exportTraceability,
+} = require('./traceability');
+const { TestCaseDocumentStore, normalizeTestCaseDocument, renderGherkin, DOCUMENT_SOURCE } = require('./testcase-document');
+const { RunStore } = require('./run-store');
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`  ✓ ${label}`);
+    } else {
+        failed++;
+        errors.push(label);
+        console.log(`  ✗ ${label}`);
+    }
+}
+
+// ─── Test Helpers ────────────────────────────────────────────────────────────
+
+const TEST_DIR = path.join(os.tmpdir(), `traceability-test-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+const TICKET_ID = 'AOTF-9';
+const SPEC_FILE = 'tests/specs/aotf-9/AOTF-9.spec.js';
+const RESULT_FILE = 'specs/aotf-9/AOTF-9.spec.js';
+
+const SPEC_SOURCE = `const { test, expect } = require('@playwright/test');
+
+test.describe('Search filters', () => {
+    test.beforeEach(async () => { });
+
+    test('TC-01 Filters persist', {
+        annotation: [
+            { type: 'testCase', description: 'TC-01' },
+            { type: 'acceptanceCriteria', description: 'AC-1' },
+        ],
+    }, async () => {
+        await test.step('apply the filter', async () => { });
+    });
+
+    test('TC-02 Clear the filter', async () => { });
+
+    test('Smoke loads the page', async () => { });
+
+    test.skip('Bogus link', { annotation: { type: 'testCase', description: 'TC-99' }, tag: ['@AC-9'] }, async () => { });
+});
+`;
+
+function sampleDocument(overrides = {}) {
+    return normalizeTestCaseDocument({
+        ticketId: TICKET_ID,
+        ticket: { title: 'Search filters persist' },
+        acceptanceCriteria: [
+            { id: 'AC-1', text: 'Filters persist across reloads' },
+            { id: 'AC-2', text: 'Filters can be cleared' },
+            { id: 'AC-3', text: 'Filters are shareable by URL' },
+        ],
+        testCases: [
+            { id: 'TC-01', title: 'Filters persist', priority: 'high', acceptanceCriteria: ['AC-1'], steps: [{ action: 'Apply a filter', expected: 'Filter applied' }] },
+            { id: 'TC-02', title: 'Clear the filter', acceptanceCriteria: ['AC-2'], steps: [{ action: 'Click "Clear"', expected: 'All listings shown' }] },
+            { id: 'TC-03', title: 'Clear from the chip', acceptanceCriteria: ['AC-2'], steps: [{ action: 'Click the chip', expected: 'Filter removed' }] },
+        ],
+        ...overrides,
+    }).document;
+}
+
+/** History records as RunStore.getTestHistory returns them (newest first). */
+function record(title, status, runId, recordedAt, extra = {}) {
+    return {
+        testKey: `${RESULT_FILE}::Search filters › ${title} [${extra.project || 'chromium'}]`,
+        status,
+        ticketId: TICKET_ID,
+        file: RESULT_FILE,
+        title: `Search filters › ${title}`,
+        project: 'chromium',
+        runId,
+        recordedAt,
+        error: null,
+        ...extra,
+    };
+}
+
+const HISTORY = [
+    record('TC-02 Clear the filter', 'failed', 'run_2', '2026-02-02T10:00:00.000Z', { error: 'locator not found' }),
+    record('TC-02 Clear the filter', 'passed', 'run_2', '2026-02-02T10:00:00.000Z', { project: 'firefox' }),
+    record('TC-01 Filters persist', 'passed', 'run_2', '2026-02-02T10:00:00.000Z'),
+    record('TC-02 Clear the filter', 'passed', 'run_1', '2026-02-01T10:00:00.000Z'),
+    record('TC-01 Filters persist', 'failed', 'run_1', '2026-02-01T10:00:00.000Z'),
+];
+
+function byTitle(matrix, title) {
+    return matrix.tests.find(test => test.title === title);
+}
+
+function byId(items, id) {
+    return items.find(item => (item.key || item.id) === id);
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+async function main() {
+    console.log('\n═══ Spec Annotations ═══');
+    {
+        const tests = parseSpecTests(SPEC_SOURCE, SPEC_FILE);
+        assert(tests.length === 4, 'test() calls found; describe, hooks and steps skipped');
+        assert(tests[0].title === 'TC-01 Filters persist' && tests[0].line === 6 && tests[0].file === SPEC_FILE, 'title, line and file recorded');
+        assert(tests[0].testCases.join() === 'TC-01' && tests[0].acceptanceCriteria.join() === 'AC-1', 'testCase and acceptanceCriteria annotations read');
+        assert(tests[1].testCases.length === 0 && tests[2].testCases.length === 0, 'tests without annotations have no explicit links');
+        assert(tests[3].title === 'Bogus link' && tests[3].testCases.join() === 'TC-99', 'a single annotation object and test.skip are read');
+        assert(tests[3].acceptanceCriteria.join() === 'AC-9', '@AC- tags in the details object link criteria');
+
+        const listed = parseSpecTests(`test("it's fine", { annotation: [{ type: 'acceptanceCriteria', description: 'AC-1, AC-2;AC-3' }] }, async () => { });`, 'a.spec.js');
+        assert(listed[0].title === 'it\'s fine' && listed[0].acceptanceCriteria.join() === 'AC-1,AC-2,AC-3', 'criteria lists are split');
+
+        const nested = parseSpecTests(`test('TC-01 a', async () => {\n    const note = { type: 'testCase', description: 'TC-02' };\n});`, 'b.spec.js');
+        assert(nested[0].testCases.length === 0, 'objects inside the test body are not annotations');
+    }
+
+    console.log('\n═══ Feature Tags ═══');
+    {
+        const document = { ...sampleDocument(), revision: 1 };
+        const tests = parseFeatureTests(renderGherkin(document), 'tests/features/AOTF-9-test-cases.feature');
+        assert(tests.length === 3 && tests.every(test => test.source === 'feature'), 'one test per scenario');
+        assert(tests[0].title === 'Filters persist' && tests[0].testCases.join() === 'TC-01', 'scenario linked through its @TC- tag');
+        assert(tests[0].acceptanceCriteria.join() === 'AC-1' && tests[0].line > 0, '@AC- tags and scenario line read');
+    }
+
+    console.log('\n═══ Matrix ═══');
+    {
+        const matrix = buildTraceabilityMatrix({
+            ticketId: TICKET_ID,
+            documents: [sampleDocument()],
+            tests: parseSpecTests(SPEC_SOURCE, SPEC_FILE),
+            history: HISTORY,
+        });
+
+        assert(matrix.ticketId === TICKET_ID && matrix.ticket.title === 'Search filters persist', 'ticket carried over from the document');
+        assert(matrix.latestRun.runId === 'run_2', 'latest run is the newest history record');
+
+        const first = byTitle(matrix, 'TC-01 Filters persist');
+        assert(first.testCases.join() === 'TC-01' && first.acceptanceCriteria.join() === 'AC-1', 'annotated test linked to its case and criterion');
+        assert(first.result.status === 'passed' && first.result.runId === 'run_2' && first.status === TRACE_STATUS.PASSING, 'latest run wins over older results');
+
+        const second = byTitle(matrix, 'TC-02 Clear the filter');
+        assert(second.testCases.join() === 'TC-02', 'case ID in the title links tests without annotations');
+        assert(second.result.status === 'failed' && second.result.projects.join() === 'chromium,firefox', 'one failing project fails the run\'s result');
+        assert(second.result.error === 'locator not found' && second.status === TRACE_STATUS.FAILING, 'failure error kept');
+
+        const smoke = byTitle(matrix, 'Smoke loads the page');
+        assert(smoke.result === null && smoke.status === TRACE_STATUS.NOT_RUN, 'test without history is not run');
+
+        assert(byId(matrix.testCases, 'TC-01').status === TRACE_STATUS.PASSING, 'test case passing');
+        assert(byId(matrix.testCases, 'TC-02').status === TRACE_STATUS.FAILING, 'test case failing');
+        assert(byId(matrix.testCases, 'TC-03').status === TRACE_STATUS.NOT_AUTOMATED && byId(matrix.testCases, 'TC-03').tests.length === 0, 'test case without a test is not automated');
+
+        const [ac1, ac2, ac3] = matrix.criteria;
+        assert(ac1.status === TRACE_STATUS.PASSING && ac1.testCases.join() === 'TC-01' && ac1.tests.length === 1, 'AC-1 passing through TC-01');
+        assert(ac2.status === TRACE_STATUS.FAILING && ac2.testCases.join() === 'TC-02,TC-03', 'AC-2 takes the worst status of its tests');
+        assert(ac3.status === TRACE_STATUS.NOT_COVERED && ac3.testCases.length === 0, 'AC-3 not covered');
+
+        const gapTypes = matrix.gaps.map(gap => gap.type);
+        assert(matrix.gaps[0].severity === 'high' && matrix.gaps[matrix.gaps.length - 1].severity === 'low', 'gaps sorted by severity');
+        assert(gapTypes.includes(GAP_TYPES.UNCOVERED_CRITERION) && matrix.gaps.some(gap => gap.id === 'AC-3'), 'uncovered criterion reported');
+        assert(matrix.gaps.some(gap => gap.type === GAP_TYPES.FAILING_TEST && gap.message.includes('run_2') && gap.message.includes('locator not found')), 'failing test reported with run and error');
+        assert(matrix.gaps.some(gap => gap.type === GAP_TYPES.UNAUTOMATED_TEST_CASE && gap.id === 'TC-03'), 'unautomated test case reported');
+        assert(matrix.gaps.filter(gap => gap.type === GAP_TYPES.UNKNOWN_REFERENCE).map(gap => gap.id).join() === 'TC-99,AC-9', 'unknown case and criterion references reported');
+        assert(matrix.gaps.filter(gap => gap.type === GAP_TYPES.UNLINKED_TEST).length === 2, 'unlinked tests reported');
+        assert(matrix.gaps.filter(gap => gap.type === GAP_TYPES.NOT_RUN_TEST).length === 2, 'tests without results reported');
+
+        const { summary } = matrix;
+        assert(summary.criteria.total === 3 && summary.criteria.covered === 2 && summary.criteria.automated === 2, 'criteria coverage counted');
+        assert(summary.criteria.passing === 1 && summary.criteria.failing === 1 && summary.criteria.notCovered === 1, 'criteria statuses counted');
+        assert(summary.testCases.total === 3 && summary.testCases.automated === 2, 'test case automation counted');
+        assert(summary.tests.total === 4 && summary.tests.linked === 2 && summary.tests.withResults === 2, 'tests counted');
+        assert(summary.coverage === 67 && summary.gaps.high === 2, 'coverage percentage and gap counts');
+    }
+
+    console.log('\n═══ Links & Results ═══');
+    {
+        const direct = buildTraceabilityMatrix({
+            ticketId: TICKET_ID,
+            documents: [sampleDocument({ testCases: [] })],
+            tests: [{ title: 'Share the URL', file: SPEC_FILE, line: 3, source: 'spec', testCases: [], acceptanceCriteria: ['ac-3'] }],
+            history: [record('Share the URL', 'flaky', 'run_3', '2026-02-03T10:00:00.000Z')],
+        });
+        const ac3 = byId(direct.criteria, 'AC-3');
+        assert(ac3.tests.length === 1 && ac3.status === TRACE_STATUS.PASSING, 'criterion annotation links without a test case; flaky counts as passing');
+        assert(byId(direct.criteria, 'AC-1').status === TRACE_STATUS.NOT_COVERED, 'criteria without cases or tests stay uncovered');
+
+        const skipped = buildTraceabilityMatrix({
+            ticketId: TICKET_ID,
+            documents: [sampleDocument()],
+            tests: [{ title: 'TC-01 Filters persist', file: SPEC_FILE, line: 3, source: 'spec', testCases: ['TC-01'], acceptanceCriteria: [] }],
+            history: [record('TC-01 Filters persist', 'skipped', 'run_4', '2026-02-04T10:00:00.000Z')],
+        });
+        assert(skipped.tests[0].result.status === 'skipped' && skipped.tests[0].status === TRACE_STATUS.NOT_RUN, 'skipped result is not run');
+        assert(byId(skipped.criteria, 'AC-1').status === TRACE_STATUS.NOT_RUN, 'criterion not run while its test is skipped');
+
+        const otherFile = buildTraceabilityMatrix({
+            ticketId: TICKET_ID,
+            documents: [sampleDocument()],
+            tests: [{ title: 'TC-01 Filters persist', file: SPEC_FILE, line: 3, source: 'spec', testCases: [], acceptanceCriteria: [] }],
+            history: [record('TC-01 Filters persist', 'passed', 'run_5', '2026-02-05T10:00:00.000Z', { file: 'specs/other/OTHER.spec.js' })],
+        });
+        assert(otherFile.tests[0].result === null, 'results of the same title in another spec are not matched');
+
+        const feature = buildTraceabilityMatrix({
+            ticketId: TICKET_ID,
+            documents: [sampleDocument()],
+            tests: [{ title: 'Filters persist', file: 'tests/features/AOTF-9-test-cases.feature', line: 5, source: 'feature', testCases: ['TC-01'], acceptanceCriteria: ['AC-1'] }],
+            history: [{ ...record('x', 'passed', 'run_6', '2026-02-06T10:00:00.000Z'), title: 'AOTF-9 › Filters persist', file: '.features-gen/tests/features/AOTF-9-test-cases.feature.spec.js' }],
+        });
+        assert(feature.tests[0].result?.status === 'passed', 'feature scenarios match results of the generated specs');
+
+        const scenarios = buildTraceabilityMatrix({
+            ticketId: TICKET_ID,
+            documents: [
+                sampleDocument({ scenarioId: 'buyer', scenarioSlug: 'buyer' }),
+                sampleDocument({ scenarioId: 'seller', scenarioSlug: 'seller' }),
+            ],
+            tests: [{ title: 'TC-01 Filters persist', file: 'tests/specs/aotf-9/AOTF-9-buyer.spec.js', line: 3, source: 'spec', testCases: [], acceptanceCriteria: [] }],
+            history: [],
+        });
+        assert(scenarios.criteria.length === 3, 'criteria shared by scenario documents are listed once');
+        assert(scenarios.testCases.length === 6 && scenarios.testCases[0].key === 'buyer/TC-01', 'scenario test cases keyed by scenario');
+        assert(scenarios.tests[0].testCases.join() === 'buyer/TC-01', 'scenario spec links only to its own scenario\'s case');
+        assert(byId(scenarios.criteria, 'AC-1').testCases.join() === 'buyer/TC-01,seller/TC-01', 'criterion lists the cases of every scenario');
+    }
+
+    console.log('\n═══ Collect ═══');
+    {
+        const projectRoot = path.join(TEST_DIR, 'project');
+        const store = new TestCaseDocumentStore({ rootDir: path.join(projectRoot, 'agentic-workflow', 'test-cases') });
+        store.save(sampleDocument(), DOCUMENT_SOURCE.TESTGENIE);
+        fs.mkdirSync(path.join(projectRoot, 'tests', 'specs', 'aotf-9'), { recursive: true });
+        fs.writeFileSync(path.join(projectRoot, SPEC_FILE), SPEC_SOURCE);
+        fs.mkdirSync(path.join(projectRoot, 'tests', 'specs', 'shared'), { recursive: true });
+        fs.writeFileSync(path.join(projectRoot, 'tests', 'specs', 'shared', 'regression.spec.js'), 'test(\'TC-03 Clear from the chip\', async () => { });\n');
+
+        const runStore = new RunStore({ storePath: path.join(TEST_DIR, 'runs.json') });
+        runStore.recordTestResults('run_1', HISTORY.filter(entry => entry.runId === 'run_1').map(entry => ({ ...entry, specPath: SPEC_FILE })));
+        runStore.recordTestResults('run_2', HISTORY.filter(entry => entry.runId === 'run_2').map(entry => ({ ...entry, specPath: SPEC_FILE })));
+        runStore.recordTestResults('run_s', [{
+            ...record('TC-03 Clear from the chip', 'passed', 'run_s', '2026-02-03T10:00:00.000Z'),
+            file: 'specs/shared/regression.spec.js',
+            title: 'TC-03 Clear from the chip',
+            specPath: 'tests/specs/shared/regression.spec.js',
+        }]);
+
+        const options = { store, runStore, projectRoot, specsDir: 'tests/specs', bddConfig: { featuresDir: 'tests/features' } };
+        const matrix = collectTraceability(TICKET_ID, options);
+        assert(matrix.tests.length === 5, 'specs from the ticket folder and from the run history');
+        assert(byTitle(matrix, 'TC-02 Clear the filter').result?.runId === 'run_2', 'results read from the run store');
+        assert(byId(matrix.testCases, 'TC-03').status === TRACE_STATUS.PASSING, 'spec outside the ticket folder automates TC-03');
+        assert(byId(matrix.criteria, 'AC-2').status === TRACE_STATUS.FAILING, 'criterion status from stored results');
+
+        fs.mkdirSync(path.join(projectRoot, 'tests', 'features'), { recursive: true });
+        fs.writeFileSync(path.join(projectRoot, 'tests', 'features', 'AOTF-9-test-cases.feature'), renderGherkin(store.list(TICKET_ID)[0]));
+        const withFeature = collectTraceability(TICKET_ID, options);
+        assert(withFeature.tests.length === 8 && withFeature.tests.filter(test => test.source === 'feature').length === 3, 'feature scenarios included');
+
+        const empty = collectTraceability('AOTF-404', { ...options, runStore: null });
+        assert(empty.criteria.length === 0 && empty.tests.length === 0 && empty.latestRun === null, 'ticket without documents or specs has an empty matrix');
+    }
+
+    console.log('\n═══ Report Export ═══');
+    {
+        const matrix = buildTraceabilityMatrix({
+            ticketId: TICKET_ID,
+            documents: [sampleDocument()],
+            tests: parseSpecTests(SPEC_SOURCE, SPEC_FILE),
+            history: HISTORY,
+        });
+
+        const sections = toReportSections(matrix);
+        assert(sections[0].type === 'heading' && sections[0].text.includes(TICKET_ID), 'report opens with the ticket heading');
+        const metrics = sections.find(section => section.type === 'metric-strip').metrics;
+        assert(metrics[0].value === '2/3' && metrics[0].status === 'warning' && metrics[3].status === 'critical', 'metric strip with coverage and gap status');
+        const callouts = sections.filter(section => section.type === 'callout');
+        assert(callouts.length === matrix.gaps.length && callouts[0].calloutType === 'danger', 'one callout per gap, high severity as danger');
+        const tables = sections.filter(section => section.type === 'table');
+        assert(tables.length === 3 && tables[0].rows.length === 3 && tables[2].rows.length === 4, 'criteria, test case and test tables');
+        assert(tables[2].rows[1][4] === 'failed' && tables[2].rows[2][4] === 'no result', 'test rows show the latest result');
+
+        const sheets = toReportSheets(matrix);
+        assert(sheets.map(sheet => sheet.name).join() === 'Summary,Matrix,Criteria,Test Cases,Tests,Gaps', 'workbook sheets');
+        const grid = sheets[1].content;
+        assert(grid.rowHeaders.join() === 'AC-1,AC-2,AC-3' && grid.colHeaders.join() === 'TC-01,TC-02,TC-03', 'matrix of criteria by test cases');
+        assert(grid.matrix[1][1] === TRACE_STATUS.FAILING && grid.matrix[0][1] === '' && grid.matrix[2].every(cell => cell === ''), 'matrix cells carry the case status where linked');
+        assert(sheets[5].content.rows.length === matrix.gaps.length, 'gaps sheet lists every gap');
+
+        const outputPath = path.join(TEST_DIR, 'reports', 'AOTF-9-traceability.html');
+        const html = await exportTraceability(matrix, { format: 'html', outputPath });
+        assert(html.success === true && html.filePath === outputPath, 'HTML report written');
+        const content = fs.readFileSync(outputPath, 'utf-8');
+        assert(content.includes('AC-3 is not covered') && content.includes('TC-02 Clear the filter'), 'HTML report lists gaps and tests');
+
+        const unsupported = await exportTraceability(matrix, { format: 'pdf' });
+        assert(unsupported.success === false && unsupported.error.includes('pdf'), 'unsupported format rejected');
+    }
+
+    console.log('\n═══ Summary ═══');
+    console.log(`\n  Total: ${passed + failed}  |  Passed: ${passed}  |  Failed: ${failed}`);
+    if (errors.length > 0) {
+        console.log('\n  Failed tests:');
+        errors.forEach(e => console.log(`    - ${e}`));
+    }
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,579 @@
+/**
+ * Test suite for tracker-providers/ and tracker-tools.js
+ * Tests the local tracker (in memory and file-backed), the Azure DevOps,
+ * GitHub Issues and Jira providers against a stub fetch, the Jira tools on
+ * top of the Jira provider, webhook parsing and authentication, the provider
+ * factory, the provider-backed ticket tools, and batch planning through a
+ * tracker.
+ *
+ * Run: node agentic-workflow/sdk-orchestrator/test-tracker-providers.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const {
+    loadTrackerConfig, createTrackerProvider, TrackerProvider, TrackerError,
+    JiraTrackerProvider, AzureDevOpsTrackerProvider, GitHubIssuesTrackerProvider, LocalTrackerProvider,
+} = require('./tracker-providers');
+const { splitAcceptanceCriteria } = require('./tracker-providers/tracker-provider');
+const { markdownToHtml } = require('./tracker-providers/azure-devops-tracker-provider');
+const { createTrackerTools, applyTrackerProvider, TRACKER_TOOL_NAMES } = require('./tracker-tools');
+const { fetchBatchTickets } = require('./batch-planner');
+const { createCustomTools } = require('./custom-tools');
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`  ✓ ${label}`);
+    } else {
+        failed++;
+        errors.push(label);
+        console.log(`  ✗ ${label}`);
+    }
+}
+
+// ─── Test Helpers ────────────────────────────────────────────────────────────
+
+const TEST_DIR = path.join(os.tmpdir(), `tracker-providers-test-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+/**
+ * A fetch that answers from a route table and records every request.
+ * Routes are [method, url substring, response body or (request) => body].
+ */
+function stubFetch(routes) {
+    const calls = [];
+    const fetchImpl = async (url, init = {}) => {
+        const request = { url, method: init.method, headers: init.headers || {}, body: init.body };
+        calls.push(request);
+        const route = routes.find(([method, fragment]) => method === init.method && url.includes(fragment));
+        if (!route) return { ok: false, status: 404, text: async () => `no route for ${init.method} ${url}` };
+        const body = typeof route[2] === 'function' ? route[2](request) : route[2];
+        return { ok: true, status: 200, text: async () => (body === null ? '' : JSON.stringify(body)) };
+    };
+    fetchImpl.calls = calls;
+    return fetchImpl;
+}
+
+function parseBody(request) {
+    return JSON.parse(request.body);
+}
+
+const mockDefineTool = (name, config) => ({ name, config });
+
+function mockHelpers({ approved = true } = {}) {
+    const approvals = [];
+    return {
+        approvals,
+        buildJiraMutationGuardrailMetadata: (toolName, overrides) => ({ toolName, ...overrides }),
+        buildMutationPreview: preview => preview,
+        buildMutationSubject: subject => subject,
+        buildJiraMutationPreviewLines: (lines, preview) => [preview.title],
+        createMutationFieldChange: change => change,
+        requireJiraMutationApproval: async (request) => {
+            approvals.push(request);
+            return { approved, reason: approved ? null : 'declined' };
+        },
+        buildJiraMutationApprovalFailure: ({ ticketId }) => ({ success: false, approvalRequired: true, ticketId }),
+        getLatestUserMessageText: () => '',
+        getActiveSessionEntry: () => ({ sessionId: 's1', entry: { sessionContext: {} } }),
+        computeSparseTicketScore: ticket => ({ sparse: !ticket.acceptanceCriteria }),
+        enrichSparseTicketWithKnowledgeBase: async () => ({ forcedByLogic: false }),
+        attachEvidenceToJira: async ({ upload }) => {
+            const result = await upload('screenshot-1.png', 'image/png', Buffer.from('png'), 'x', { kind: 'screenshot' });
+            return { hasEvidence: true, success: result.success, uploaded: [result] };
+        },
+    };
+}
+
+function toolByName(tools, name) {
+    return tools.find(tool => tool.name === name);
+}
+
+async function main() {
+    // ═══════════════════════════════════════════════════════════════════
+    // Local tracker
+    // ═══════════════════════════════════════════════════════════════════
+    console.log('\n═══ Local tracker ═══');
+    {
+        const tracker = new LocalTrackerProvider({
+            issues: [{ summary: 'Login page', description: 'Users sign in', acceptanceCriteria: '- valid creds work', labels: ['auth'] }],
+        });
+        assert(tracker.type === 'local' && tracker.displayName === 'Local tracker', 'type and displayName');
+        assert(tracker.parseIssueKey('local-1') === 'LOCAL-1' && tracker.parseIssueKey('#7') === 'LOCAL-7', 'parseIssueKey normalizes keys');
+        assert(tracker.parseIssueKey('AOTF-1') === null, 'parseIssueKey rejects other prefixes');
+
+        const seeded = await tracker.getIssue('LOCAL-1');
+        assert(seeded.summary === 'Login page' && seeded.status === 'Open' && seeded.provider === 'local', 'seeded issue is readable');
+        assert(seeded.ticketUrl === 'local://LOCAL-1', 'ticketUrl is local://KEY');
+
+        const created = await tracker.createIssue({
+            summary: 'Login button misaligned',
+            description: 'Button overlaps',
+            environment: 'UAT',
+            priority: 'High',
+            labels: ['ui'],
+            parentKey: 'LOCAL-1',
+            linkedKey: 'LOCAL-1',
+            linkType: 'Blocks',
+        });
+        assert(created.key === 'LOCAL-2', 'createIssue assigns the next key');
+        const bug = await tracker.getIssue(created.key);
+        assert(bug.issueType === 'Bug' && bug.description.includes('Environment: UAT'), 'created issue defaults to Bug and records environment');
+        assert(bug.parent?.key === 'LOCAL-1', 'created issue has its parent');
+        assert(bug.issueLinks[0]?.type?.name === 'Blocks' && bug.issueLinks[0].direction === 'outward'
+            && bug.issueLinks[0].relatedIssueKey === 'LOCAL-1', 'outward link in the Jira link shape');
+        const parent = await tracker.getIssue('LOCAL-1');
+        assert(parent.subtasks.some(sub => sub.key === 'LOCAL-2'), 'parent lists the subtask');
+        assert(parent.issueLinks[0]?.direction === 'inward', 'linked issue has the inward side');
+
+        const update = await tracker.updateIssue('LOCAL-2', { summary: 'Login button overlaps', addLabels: ['regression'] });
+        assert(update.updatedFields.includes('summary') && update.updatedFields.includes('labels'), 'updateIssue reports updated fields');
+        assert((await tracker.getIssue('LOCAL-2')).labels.join(',') === 'ui,regression', 'addLabels appends');
+
+        const moved = await tracker.transitionIssue('LOCAL-2', 'In Progress', { comment: 'Picked up' });
+        assert(moved.from === 'Open' && moved.to === 'In Progress', 'transitionIssue returns from/to');
+        await tracker.addComment('LOCAL-2', 'Fixed on branch');
+        assert((await tracker.getIssue('LOCAL-2')).commentCount === 2, 'comments are stored');
+
+        const results = await tracker.searchIssues('overlaps');
+        assert(results.length === 1 && results[0].key === 'LOCAL-2', 'searchIssues matches summary text');
+        assert((await tracker.searchIssues('auth')).length === 1, 'searchIssues matches labels');
+
+        let notFound = null;
+        try { await tracker.getIssue('LOCAL-99'); } catch (error) { notFound = error; }
+        assert(notFound instanceof TrackerError && notFound.status === 404, 'missing issue throws TrackerError 404');
+
+        const strict = new LocalTrackerProvider({ statuses: ['Open', 'Done'], issues: [{ summary: 'x' }] });
+        let invalid = null;
+        try { await strict.transitionIssue('LOCAL-1', 'Someday'); } catch (error) { invalid = error; }
+        assert(invalid && /unknown status/.test(invalid.message), 'statuses restrict transitions');
+        assert((await strict.transitionIssue('LOCAL-1', 'done')).to === 'Done', 'status match is case-insensitive');
+    }
+
+    console.log('\n═══ Local tracker — file store ═══');
+    {
+        const storePath = path.join(TEST_DIR, 'tracker', 'issues.json');
+        const tracker = new LocalTrackerProvider({ storePath, issues: [{ summary: 'Persisted' }] });
+        await tracker.createIssue({ summary: 'Second' });
+        const attached = await tracker.attachFile('LOCAL-2', { fileName: '../trace.txt', mimeType: 'text/plain', buffer: Buffer.from('log') });
+        assert(fs.existsSync(storePath), 'store file is written');
+        assert(attached.url === path.join(TEST_DIR, 'tracker', 'attachments', 'LOCAL-2', 'trace.txt') && fs.existsSync(attached.url),
+            'attachment saved under attachments/<key>/ with a safe file name');
+
+        const reopened = new LocalTrackerProvider({ storePath, issues: [{ summary: 'ignored seed' }] });
+        const issue = await reopened.getIssue('LOCAL-2');
+        assert(issue.summary === 'Second' && issue.attachments[0]?.size === 3, 'a new instance reads the stored issues');
+        assert((await reopened.createIssue({ summary: 'Third' })).key === 'LOCAL-3', 'key sequence continues from the store');
+        assert((await reopened.testConnection()).connected === true, 'testConnection reports connected');
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // Azure DevOps
+    // ═══════════════════════════════════════════════════════════════════
+    console.log('\n═══ Azure DevOps ═══');
+    {
+        const workItem = {
+            id: 4512,
+            fields: {
+                'System.Title': 'Checkout fails',
+                'System.WorkItemType': 'Bug',
+                'System.State': 'Active',
+                'System.Tags': 'checkout; regression',
+                'System.AreaPath': 'Web\\Payments',
+                'Microsoft.VSTS.TCM.ReproSteps': '<p>Click <b>Pay</b></p>',
+                'Microsoft.VSTS.Common.AcceptanceCriteria': '<ul><li>Order placed</li></ul>',
+                'Microsoft.VSTS.Common.Priority': 2,
+                'System.AssignedTo': { displayName: 'Sam Lee' },
+            },
+            relations: [
+                { rel: 'System.LinkTypes.Hierarchy-Reverse', url: 'https://dev.azure.com/contoso/_apis/wit/workItems/4000' },
+                { rel: 'System.LinkTypes.Hierarchy-Forward', url: 'https://dev.azure.com/contoso/_apis/wit/workItems/4513' },
+                { rel: 'System.LinkTypes.Dependency-Reverse', url: 'https://dev.azure.com/contoso/_apis/wit/workItems/4400' },
+                { rel: 'AttachedFile', url: 'https://dev.azure.com/contoso/_apis/wit/attachments/abc' },
+            ],
+        };
+        const fetchImpl = stubFetch([
+            ['GET', '/wit/workitems/4512?$expand=relations', workItem],
+            ['GET', '/wit/workItems/4512/comments', { totalCount: 1, comments: [{ id: 9, text: '<p>Seen on UAT</p>', createdBy: { displayName: 'QA' } }] }],
+            ['POST', '/wit/wiql', { workItems: [{ id: 4512 }] }],
+            ['GET', '/_apis/wit/workitems?ids=4512', { value: [workItem] }],
+            ['POST', '/_apis/wit/workitems/$Bug', { id: 4600 }],
+            ['GET', '/wit/workitems/4512?fields=System.State', { id: 4512, fields: { 'System.State': 'Active' } }],
+            ['PATCH', '/wit/workitems/4512', { id: 4512, fields: { 'System.State': 'Resolved' } }],
+            ['POST', '/wit/attachments', { id: 'att-1', url: 'https://dev.azure.com/contoso/_apis/wit/attachments/att-1' }],
+        ]);
+        const tracker = new AzureDevOpsTrackerProvider({ organization: 'contoso', project: 'Web', token: 'pat', fetch: fetchImpl });
+
+        assert(tracker.parseIssueKey('4512') === 'ADO-4512', 'bare id becomes ADO-<id>');
+        assert(tracker.parseIssueKey('https://dev.azure.com/contoso/Web/_workitems/edit/4512') === 'ADO-4512', 'work item URL is parsed');
+
+        const issue = await tracker.getIssue('ADO-4512');
+        assert(issue.summary === 'Checkout fails' && issue.issueType === 'Bug' && issue.status === 'Active', 'work item fields mapped');
+        assert(issue.description === 'Click Pay', 'bug description comes from Repro Steps as plain text');
+        assert(issue.acceptanceCriteria.includes('Order placed'), 'acceptance criteria mapped');
+        assert(issue.labels.join(',') === 'checkout,regression', 'tags split into labels');
+        assert(issue.components[0] === 'Payments', 'area path leaf becomes the component');
+        assert(issue.priority === '2' && issue.assignee === 'Sam Lee', 'priority and assignee mapped');
+        assert(issue.parent?.key === 'ADO-4000' && issue.subtasks[0]?.key === 'ADO-4513', 'hierarchy relations become parent and subtasks');
+        assert(issue.issueLinks.length === 1 && issue.issueLinks[0].type.name === 'Blocks'
+            && issue.issueLinks[0].direction === 'inward' && issue.issueLinks[0].relatedIssueKey === 'ADO-4400',
+        'dependency relation becomes an inward Blocks link');
+        assert(issue.comments[0]?.body === 'Seen on UAT' && issue.commentCount === 1, 'comments mapped');
+        assert(issue.ticketUrl === 'https://dev.azure.com/contoso/Web/_workitems/edit/4512', 'ticketUrl points at the work item');
+        assert(fetchImpl.calls[0].headers.Authorization === `Basic ${Buffer.from(':pat').toString('base64')}`, 'PAT sent as basic auth');
+
+        const found = await tracker.searchIssues("it's broken");
+        const wiql = parseBody(fetchImpl.calls.find(call => call.url.includes('/wit/wiql'))).query;
+        assert(wiql.includes("[System.TeamProject] = 'Web'") && wiql.includes("it''s broken"), 'WIQL scoped to project with quotes escaped');
+        assert(found[0]?.key === 'ADO-4512' && found[0].provider === 'azure-devops', 'search returns issue summaries');
+
+        const created = await tracker.createIssue({ summary: 'New bug', description: '**Steps**', priority: 'High', labels: ['ui'], parentKey: '4512', linkedKey: '4400', linkType: 'Blocks' });
+        const createCall = fetchImpl.calls.find(call => call.url.includes('/workitems/$Bug'));
+        const ops = parseBody(createCall);
+        assert(created.key === 'ADO-4600', 'createIssue returns the new key');
+        assert(createCall.headers['Content-Type'] === 'application/json-patch+json', 'create uses JSON Patch');
+        assert(ops.some(op => op.path === '/fields/Microsoft.VSTS.TCM.ReproSteps' && op.value.includes('<strong>Steps</strong>')), 'bug text goes to Repro Steps as HTML');
+        assert(ops.some(op => op.path === '/fields/Microsoft.VSTS.Common.Priority' && op.value === 2), 'High maps to priority 2');
+        assert(ops.some(op => op.value?.rel === 'System.LinkTypes.Hierarchy-Reverse' && op.value.url.endsWith('/4512')), 'parent relation added');
+        assert(ops.some(op => op.value?.rel === 'System.LinkTypes.Dependency-Forward'), 'Blocks link maps to a dependency relation');
+
+        const moved = await tracker.transitionIssue('ADO-4512', 'Resolved');
+        const patch = parseBody(fetchImpl.calls.filter(call => call.method === 'PATCH').pop());
+        assert(moved.from === 'Active' && moved.to === 'Resolved', 'transition returns from/to');
+        assert(patch.some(op => op.path === '/fields/System.State' && op.value === 'Resolved'), 'transition patches System.State');
+
+        const attached = await tracker.attachFile('ADO-4512', { fileName: 'shot.png', mimeType: 'image/png', buffer: Buffer.from('png') });
+        const relationPatch = parseBody(fetchImpl.calls.filter(call => call.method === 'PATCH').pop());
+        assert(attached.url.endsWith('/att-1') && relationPatch[0].value.rel === 'AttachedFile', 'attachment uploaded then related');
+
+        const noToken = new AzureDevOpsTrackerProvider({ organization: 'contoso', project: 'Web', fetch: fetchImpl });
+        let authError = null;
+        try { await noToken.getIssue('ADO-1'); } catch (error) { authError = error; }
+        assert(authError instanceof TrackerError && /personal access token/.test(authError.message), 'missing PAT is a TrackerError');
+
+        const event = tracker.parseWebhook({
+            eventType: 'workitem.updated',
+            createdDate: '2026-10-01T10:00:00Z',
+            resource: {
+                workItemId: 4512,
+                fields: { 'System.State': { oldValue: 'Active', newValue: 'Resolved' } },
+                revision: { id: 4512, fields: { 'System.WorkItemType': 'Bug', 'System.State': 'Resolved', 'System.TeamProject': 'Web', 'System.Tags': 'checkout' } },
+            },
+        });
+        assert(event.issueKey === 'ADO-4512' && event.webhookEvent === 'workitem.updated', 'service hook parsed');
+        assert(event.transition.from === 'Active' && event.transition.to === 'Resolved' && event.changedFields[0] === 'System.State', 'state change becomes a transition');
+        assert(tracker.parseWebhook({ eventType: 'git.push', resource: {} }) === null, 'non-work-item events are ignored');
+
+        const basic = value => ({ authorization: `Basic ${Buffer.from(value).toString('base64')}` });
+        assert(tracker.webhookSettings.signatureHeader === 'authorization', 'webhook auth header is authorization');
+        assert(tracker.verifyWebhook('{}', basic('hook:s3cret'), 's3cret').valid === true, 'matching basic-auth password is accepted');
+        assert(tracker.verifyWebhook('{}', basic('hook:wrong!'), 's3cret').valid === false, 'wrong password is rejected');
+        assert(tracker.verifyWebhook('{}', {}, 's3cret').valid === false, 'missing auth header is rejected');
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // GitHub Issues
+    // ═══════════════════════════════════════════════════════════════════
+    console.log('\n═══ GitHub Issues ═══');
+    {
+        const item = {
+            id: 1001,
+            number: 87,
+            title: 'Search ignores filters',
+            body: 'Filters reset.\n\n## Acceptance Criteria\n- Filters persist\n\n## Notes\nSee logs',
+            state: 'open',
+            labels: [{ name: 'bug' }, { name: 'status:in review' }, { name: 'priority:high' }, { name: 'search' }],
+            user: { login: 'octo' },
+            comments: 1,
+            html_url: 'https://github.com/acme/web/issues/87',
+        };
+        const fetchImpl = stubFetch([
+            ['GET', '/repos/acme/web/issues/87/comments', [{ id: 5, body: 'Repro on Chrome', user: { login: 'qa' } }]],
+            ['GET', '/repos/acme/web/issues/87/sub_issues', [{ number: 88, title: 'Fix filter state', state: 'open', labels: [] }]],
+            ['GET', '/repos/acme/web/issues/87', item],
+            ['GET', '/search/issues', { items: [item] }],
+            ['POST', '/repos/acme/web/issues/87/comments', { id: 6 }],
+            ['POST', '/repos/acme/web/issues', { id: 2002, number: 90, html_url: 'https://github.com/acme/web/issues/90' }],
+            ['PATCH', '/repos/acme/web/issues/87', request => ({ ...item, ...parseBody(request), labels: parseBody(request).labels.map(name => ({ name })) })],
+        ]);
+        const tracker = new GitHubIssuesTrackerProvider({ repository: 'acme/web', token: 'ghp_x', fetch: fetchImpl, apiBaseUrl: 'https://api.github.com', webUrl: 'https://github.com' });
+
+        assert(tracker.parseIssueKey('https://github.com/acme/web/issues/87') === 'GH-87', 'issue URL is parsed');
+        const issue = await tracker.getIssue('#87');
+        assert(issue.key === 'GH-87' && issue.issueType === 'Bug', 'bug label makes the issue a Bug');
+        assert(issue.status === 'In review' && issue.priority === 'High', 'status and priority come from labels');
+        assert(issue.labels.join(',') === 'bug,search', 'status/priority labels are not plain labels');
+        assert(issue.acceptanceCriteria === '- Filters persist' && issue.description.includes('## Notes') && !issue.description.includes('Filters persist'),
+            'acceptance criteria section split out of the body');
+        assert(issue.subtasks[0]?.key === 'GH-88' && issue.comments[0]?.author === 'qa', 'sub-issues and comments mapped');
+
+        await tracker.searchIssues('filters');
+        const searchUrl = decodeURIComponent(fetchImpl.calls.find(call => call.url.includes('/search/issues')).url);
+        assert(searchUrl.includes('filters repo:acme/web is:issue'), 'search is scoped to the repository');
+
+        const created = await tracker.createIssue({ summary: 'Broken', description: 'desc', issueType: 'Bug', priority: 'Low', environment: 'UAT', linkedKey: 'GH-87' });
+        const createBody = parseBody(fetchImpl.calls.find(call => call.method === 'POST' && call.url.endsWith('/repos/acme/web/issues')));
+        assert(created.key === 'GH-90' && created.ticketUrl.endsWith('/issues/90'), 'createIssue returns the new key');
+        assert(createBody.labels.includes('bug') && createBody.labels.includes('priority:low'), 'type and priority become labels');
+        assert(createBody.body.includes('## Environment') && createBody.body.includes('#87'), 'environment and link written to the body');
+
+        const closed = await tracker.transitionIssue('GH-87', 'Done');
+        const closeBody = parseBody(fetchImpl.calls.filter(call => call.method === 'PATCH').pop());
+        assert(closeBody.state === 'closed' && !closeBody.labels.some(label => label.startsWith('status:')), 'Done closes the issue and drops status labels');
+        assert(closed.from === 'In review' && closed.to === 'Closed', 'transition returns from/to');
+        await tracker.transitionIssue('GH-87', 'QA');
+        assert(parseBody(fetchImpl.calls.filter(call => call.method === 'PATCH').pop()).labels.includes('status:qa'), 'other statuses become a status label');
+
+        await tracker.attachFile('GH-87', { fileName: 'console.log', mimeType: 'text/plain', buffer: Buffer.from('Error: x') });
+        const commentBody = parseBody(fetchImpl.calls.filter(call => call.url.endsWith('/issues/87/comments') && call.method === 'POST').pop()).body;
+        assert(commentBody.includes('console.log') && commentBody.includes('Error: x'), 'small text files are posted as a comment');
+        let binary = null;
+        try { await tracker.attachFile('GH-87', { fileName: 'shot.png', mimeType: 'image/png', buffer: Buffer.from('png') }); } catch (error) { binary = error; }
+        assert(binary instanceof TrackerError, 'binary attachments are refused');
+
+        const event = tracker.parseWebhook({ action: 'labeled', label: { name: 'status:ready for qa' }, issue: item, repository: { full_name: 'acme/web' } },
+            { 'x-github-event': 'issues' });
+        assert(event.webhookEvent === 'issues.labeled' && event.issueKey === 'GH-87' && event.project === 'acme/web', 'issues webhook parsed');
+        assert(event.transition?.to === 'In review', 'status label change is a transition');
+        assert(tracker.parseWebhook({ action: 'created', issue: item }, { 'x-github-event': 'issue_comment' }) === null, 'other events are ignored');
+        assert(tracker.webhookSettings.signatureHeader === 'x-hub-signature-256'
+            && tracker.webhookSettings.deliveryIdHeader === 'x-github-delivery', 'GitHub webhook header defaults');
+
+        const raw = JSON.stringify({ action: 'closed' });
+        const signature = `sha256=${crypto.createHmac('sha256', 'whsec').update(raw).digest('hex')}`;
+        assert(tracker.verifyWebhook(raw, { 'x-hub-signature-256': signature }, 'whsec', 'x-hub-signature-256').valid === true, 'HMAC signature verified');
+        assert(tracker.verifyWebhook(raw, { 'x-hub-signature-256': 'sha256=00' }, 'whsec', 'x-hub-signature-256').valid === false, 'bad signature rejected');
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // Jira and the factory
+    // ═══════════════════════════════════════════════════════════════════
+    console.log('\n═══ Factory ═══');
+    {
+        const defaults = loadTrackerConfig({});
+        assert(defaults.provider === 'jira', 'provider defaults to jira');
+        assert(defaults.azureDevOps.tokenEnv === 'AZURE_DEVOPS_PAT' && defaults.github.keyPrefix === 'GH', 'per-provider defaults');
+        assert(loadTrackerConfig({ github: { repository: 'a/b' } }).github.tokenEnv === 'GITHUB_TOKEN', 'overrides keep the other defaults');
+
+        assert(createTrackerProvider(loadTrackerConfig({})) instanceof JiraTrackerProvider, 'jira provider');
+        assert(createTrackerProvider(loadTrackerConfig({ provider: 'ado' })) instanceof AzureDevOpsTrackerProvider, 'ado alias');
+        assert(createTrackerProvider(loadTrackerConfig({ provider: 'local' })) instanceof LocalTrackerProvider, 'local provider');
+
+        process.env.TRACKER_TEST_TOKEN = 'tok-123';
+        const github = createTrackerProvider(loadTrackerConfig({ provider: 'github', github: { repository: 'a/b', tokenEnv: 'TRACKER_TEST_TOKEN' } }));
+        assert(github.token === 'tok-123', 'token read from tokenEnv');
+        delete process.env.TRACKER_TEST_TOKEN;
+
+        const modulePath = path.join(TEST_DIR, 'custom-tracker.js');
+        fs.writeFileSync(modulePath, [
+            `const { TrackerProvider } = require(${JSON.stringify(path.join(__dirname, 'tracker-providers', 'tracker-provider'))});`,
+            'class CustomTracker extends TrackerProvider { get type() { return "custom"; } }',
+            'module.exports = { CustomTracker };',
+        ].join('\n'));
+        const custom = createTrackerProvider(loadTrackerConfig({ provider: modulePath, options: { team: 'qa' } }));
+        assert(custom.type === 'custom' && custom.options.team === 'qa', 'custom module constructed with sdk.tracker.options');
+        let notImplemented = null;
+        try { await custom.getIssue('X-1'); } catch (error) { notImplemented = error; }
+        assert(notImplemented && /CustomTracker.getIssue\(\) is not implemented/.test(notImplemented.message), 'unimplemented methods name the class');
+
+        let unknown = null;
+        try { createTrackerProvider(loadTrackerConfig({ provider: 'bugzilla' })); } catch (error) { unknown = error; }
+        assert(unknown && /Unknown tracker provider "bugzilla"/.test(unknown.message), 'unknown provider rejected');
+
+        let abstract = null;
+        try { new TrackerProvider(); } catch (error) { abstract = error; }
+        assert(abstract !== null, 'TrackerProvider is abstract');
+
+        const jira = new JiraTrackerProvider({});
+        assert(jira.parseWebhook({ webhookEvent: 'jira:issue_updated' }) === null, 'Jira payload without an issue is rejected');
+        const jiraEvent = jira.parseWebhook({
+            webhookEvent: 'jira:issue_updated',
+            issue: { key: 'AOTF-5', fields: { status: { name: 'Ready for QA' }, issuetype: { name: 'Story' }, project: { key: 'AOTF' }, labels: [] } },
+        });
+        assert(jiraEvent.issueKey === 'AOTF-5' && jiraEvent.status === 'Ready for QA', 'Jira payload normalized');
+    }
+
+    console.log('\n═══ Jira provider ═══');
+    {
+        const savedEnv = { ...process.env };
+        delete process.env.JIRA_CLOUD_ID;
+        Object.assign(process.env, { JIRA_BASE_URL: 'https://acme.atlassian.net', JIRA_EMAIL: 'qa@acme.test', JIRA_API_TOKEN: 'tok' });
+
+        const jiraIssue = {
+            key: 'AOTF-7',
+            fields: {
+                summary: 'Saved searches', status: { name: 'To Do' }, issuetype: { name: 'Story' }, labels: ['search'],
+                comment: { comments: [{ id: '1', body: 'first' }], total: 3, startAt: 0, maxResults: 1 },
+            },
+        };
+        const fetchImpl = stubFetch([
+            ['GET', '/issue/AOTF-7?expand=renderedFields', jiraIssue],
+            ['GET', '/issue/AOTF-7/comment', { comments: [{ id: '1', body: 'first' }, { id: '2', body: 'second' }, { id: '3', body: 'third' }], total: 3 }],
+            ['POST', '/issue/AOTF-7/transitions', null],
+            ['POST', '/issue/AOTF-7/attachments', [{ id: 55, content: 'https://acme.atlassian.net/att/55' }]],
+            ['POST', '/rest/api/3/issueLink', null],
+            ['POST', '/rest/api/3/issue', { id: 10101, key: 'AOTF-8' }],
+            ['PUT', '/issue/AOTF-7', null],
+        ]);
+        const jira = new JiraTrackerProvider({ fetch: fetchImpl });
+
+        const issue = await jira.getIssue('AOTF-7');
+        assert(issue.provider === 'jira' && issue.summary === 'Saved searches' && issue.ticketUrl === 'https://acme.atlassian.net/browse/AOTF-7', 'getIssue shapes the issue');
+        assert(issue.comments.length === 3 && issue.commentsTruncated === false, 'getIssue pages in truncated comments');
+        assert(fetchImpl.calls[0].headers.Authorization === `Basic ${Buffer.from('qa@acme.test:tok').toString('base64')}`, 'basic auth from the Jira env');
+
+        const created = await jira.createIssue({
+            summary: 'Filter lost',
+            fields: { project: { key: 'AOTF' }, summary: 'Filter lost', issuetype: { name: 'Bug' }, customfield_10037: 'ac' },
+            linkedKey: 'AOTF-7',
+        });
+        const createBody = parseBody(fetchImpl.calls.find(call => call.method === 'POST' && call.url.endsWith('/rest/api/3/issue')));
+        assert(created.key === 'AOTF-8' && created.id === '10101', 'createIssue returns the new key');
+        assert(createBody.fields.project.key === 'AOTF' && createBody.fields.customfield_10037 === 'ac', 'raw Jira fields passed through');
+        assert(parseBody(fetchImpl.calls.find(call => call.url.endsWith('/issueLink'))).outwardIssue.key === 'AOTF-7', 'new issue linked');
+
+        await jira.updateIssue('AOTF-7', { addLabels: ['regression'] });
+        const updateBody = parseBody(fetchImpl.calls.find(call => call.method === 'PUT'));
+        assert(updateBody.update.labels[0].add === 'regression', 'addLabels keeps the current labels');
+
+        const moved = await jira.transitionIssue('AOTF-7', 'Done', { transitionId: 31, fields: { resolution: { name: 'Fixed' } } });
+        const transitionCalls = fetchImpl.calls.filter(call => call.url.includes('/transitions'));
+        assert(transitionCalls.length === 1 && parseBody(transitionCalls[0]).transition.id === '31'
+            && parseBody(transitionCalls[0]).fields.resolution.name === 'Fixed', 'resolved transition posted with its fields');
+        assert(moved.to === 'Done', 'transition reports the target status');
+
+        const attached = await jira.attachFile('AOTF-7', { fileName: 'shot 1.png', mimeType: 'image/png', buffer: Buffer.from('png') });
+        const attachCall = fetchImpl.calls.find(call => call.url.endsWith('/attachments'));
+        assert(attached.id === '55' && attached.fileName === 'shot_1.png' && attachCall.headers['X-Atlassian-Token'] === 'no-check', 'attachment uploaded');
+
+        const searchCalls = [];
+        const legacyOnly = new JiraTrackerProvider({
+            fetch: async (url, init) => {
+                searchCalls.push(url);
+                return url.endsWith('/search/jql')
+                    ? { ok: false, status: 404, text: async () => '' }
+                    : { ok: true, status: 200, text: async () => JSON.stringify({ issues: [{ key: 'AOTF-7', fields: { summary: 'Saved searches' } }], total: 1 }) };
+            },
+        });
+        const found = await legacyOnly.searchJql({ jql: 'project = AOTF', maxResults: 5, fields: ['summary'] });
+        assert(found.endpoint === 'legacy-search-fallback' && searchCalls.length === 2, 'search falls back to the legacy endpoint');
+
+        const tools = createCustomTools(mockDefineTool, 'buggenie', { tracker: jira });
+        const fetched = JSON.parse(await toolByName(tools, 'fetch_jira_ticket').config.handler({ ticketId: 'AOTF-7' }));
+        assert(fetched.key === 'AOTF-7' && fetched.commentCount === 3 && fetched.sparseAssessment, 'fetch_jira_ticket reads through the provider');
+        const missing = JSON.parse(await toolByName(tools, 'fetch_jira_ticket').config.handler({ ticketId: 'AOTF-404' }));
+        assert(missing.success === false && /Failed to fetch AOTF-404/.test(missing.error), 'fetch_jira_ticket reports a tracker error');
+
+        const searchTools = createCustomTools(mockDefineTool, 'buggenie', { tracker: legacyOnly });
+        const searched = JSON.parse(await toolByName(searchTools, 'search_jira_issues').config.handler({ jql: 'project = AOTF' }));
+        assert(searched.success === true && searched.endpoint === 'legacy-search-fallback' && searched.issues[0].key === 'AOTF-7',
+            'search_jira_issues searches through the provider');
+
+        process.env = savedEnv;
+    }
+
+    console.log('\n═══ Text helpers ═══');
+    {
+        const split = splitAcceptanceCriteria('Intro\n\n**Acceptance Criteria**\n- a\n- b');
+        assert(split.description === 'Intro' && split.acceptanceCriteria === '- a\n- b', 'bold heading splits to the end');
+        assert(splitAcceptanceCriteria('No criteria').acceptanceCriteria === '', 'no section → empty criteria');
+        const html = markdownToHtml('# Title\n\n- one\n- `two`\n\n<b>x</b>');
+        assert(html.includes('<h1>Title</h1>') && html.includes('<li><code>two</code></li>'), 'markdown headings and lists');
+        assert(html.includes('&lt;b&gt;x&lt;/b&gt;'), 'raw HTML escaped');
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // Tracker tools
+    // ═══════════════════════════════════════════════════════════════════
+    console.log('\n═══ Tracker tools ═══');
+    {
+        const tracker = new LocalTrackerProvider({ issues: [{ summary: 'Checkout', description: 'Pay', acceptanceCriteria: '- ok' }] });
+        const helpers = mockHelpers();
+        const tools = createTrackerTools(mockDefineTool, 'buggenie', {}, { tracker, helpers });
+        assert(TRACKER_TOOL_NAMES.every(name => toolByName(tools, name)), 'buggenie gets all tracker tools');
+        assert(createTrackerTools(mockDefineTool, 'testgenie', {}, { tracker, helpers }).every(tool => tool.name !== 'attach_session_evidence_to_jira'),
+            'evidence attachment is buggenie-only');
+        assert(createTrackerTools(mockDefineTool, 'scriptgenerator', {}, { tracker, helpers }).length === 0, 'other agents get no tracker tools');
+
+        const fetched = JSON.parse(await toolByName(tools, 'fetch_jira_ticket').config.handler({ ticketId: '1' }));
+        assert(fetched.key === 'LOCAL-1' && fetched.sparseAssessment?.sparse === false, 'fetch resolves the key and scores sparseness');
+        const invalid = JSON.parse(await toolByName(tools, 'fetch_jira_ticket').config.handler({ ticketId: 'not a key' }));
+        assert(invalid.success === false && /not a Local tracker issue reference/.test(invalid.error), 'invalid key explained');
+
+        const created = JSON.parse(await toolByName(tools, 'create_jira_ticket').config.handler({
+            summary: 'Pay button dead', description: 'Nothing happens', labels: 'checkout, ui', linkedIssueKey: 'LOCAL-1',
+        }));
+        assert(created.success === true && created.ticketKey === 'LOCAL-2' && created.provider === 'local', 'create files the issue');
+        assert(helpers.approvals[0]?.guardrailOverrides?.providerLabel === 'Local tracker'
+            && helpers.approvals[0].relatedIssueKey === 'LOCAL-1', 'create asks for approval with the tracker label');
+        assert((await tracker.getIssue('LOCAL-2')).labels.join(',') === 'checkout,ui', 'labels split from the comma list');
+
+        const updated = JSON.parse(await toolByName(tools, 'update_jira_ticket').config.handler({ ticketId: 'LOCAL-2', priority: 'High', comment: 'Triaged' }));
+        assert(updated.success === true && updated.updatedFields[0] === 'priority' && updated.commentAdded === true, 'update applies fields and comment');
+        const nothing = JSON.parse(await toolByName(tools, 'update_jira_ticket').config.handler({ ticketId: 'LOCAL-2' }));
+        assert(nothing.success === false, 'empty update refused');
+
+        const moved = JSON.parse(await toolByName(tools, 'transition_jira_ticket').config.handler({ ticketId: 'LOCAL-2', targetStatus: 'In Progress' }));
+        assert(moved.fromStatus === 'Open' && moved.toStatus === 'In Progress', 'transition reports from/to');
+
+        const searched = JSON.parse(await toolByName(tools, 'search_jira_issues').config.handler({ query: 'pay button' }));
+        assert(searched.total === 1 && searched.issues[0].key === 'LOCAL-2', 'search returns matches');
+
+        const evidence = JSON.parse(await toolByName(tools, 'attach_session_evidence_to_jira').config.handler({ ticketKey: 'LOCAL-2' }));
+        assert(evidence.success === true && (await tracker.getIssue('LOCAL-2')).attachments[0]?.fileName === 'screenshot-1.png',
+            'evidence uploaded through tracker.attachFile');
+
+        const declined = mockHelpers({ approved: false });
+        const declinedTools = createTrackerTools(mockDefineTool, 'buggenie', {}, { tracker, helpers: declined });
+        const refusal = JSON.parse(await toolByName(declinedTools, 'transition_jira_ticket').config.handler({ ticketId: 'LOCAL-2', targetStatus: 'Done' }));
+        assert(refusal.approvalRequired === true && (await tracker.getIssue('LOCAL-2')).status === 'In Progress', 'declined approval leaves the issue unchanged');
+
+        const existing = [
+            { name: 'fetch_jira_ticket' }, { name: 'log_jira_work' }, { name: 'get_jira_epics' }, { name: 'search_knowledge_base' },
+        ];
+        const merged = applyTrackerProvider(existing, mockDefineTool, 'testgenie', {}, { tracker, helpers });
+        assert(merged.some(tool => tool.name === 'search_knowledge_base'), 'non-Jira tools kept');
+        assert(!merged.some(tool => tool.name === 'log_jira_work' || tool.name === 'get_jira_epics'), 'Jira-only tools dropped');
+        assert(merged.filter(tool => tool.name === 'fetch_jira_ticket').length === 1 && toolByName(merged, 'fetch_jira_ticket').config,
+            'fetch_jira_ticket replaced by the provider-backed tool');
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // Batch planning
+    // ═══════════════════════════════════════════════════════════════════
+    console.log('\n═══ Batch planning through a tracker ═══');
+    {
+        const tracker = new LocalTrackerProvider({
+            issues: [{ summary: 'Epic', issueType: 'Epic' }, { summary: 'Search', labels: ['search'] }, { summary: 'Filters' }],
+        });
+        await tracker.createIssue({ summary: 'Child', parentKey: 'LOCAL-1', linkedKey: 'LOCAL-2', linkType: 'Blocks' });
+        const { tickets, warnings } = await fetchBatchTickets(['LOCAL-4', 'LOCAL-2', 'LOCAL-9'], { tracker });
+        assert(tickets['LOCAL-4']?.epic === 'Epic', 'parent summary used as the epic');
+        assert(tickets['LOCAL-2']?.labels[0] === 'search', 'labels fetched');
+        assert(tickets['LOCAL-4'].issueLinks[0]?.relatedIssueKey === 'LOCAL-2', 'issue links fetched');
+        assert(warnings.length === 1 && warnings[0].includes('LOCAL-9'), 'missing ticket becomes a warning');
+    }
+
+    console.log('\n═══ Summary ═══');
+    console.log(`\n  Total: ${passed + failed}  |  Passed: ${passed}  |  Failed: ${failed}`);
+    if (errors.length > 0) {
+        console.log('\n  Failed tests:');
+        errors.forEach(e => console.log(`    - ${e}`));
+    }
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
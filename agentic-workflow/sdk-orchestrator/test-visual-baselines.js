@@ -0,0 +1,289 @@
+/**
+ * Test suite for visual-baseline-store.js
+ * Tests URL pattern keys, baseline checks (new / changed / passed), candidate
+ * approve / reject / supersede, versioning with restore and pruning, run
+ * capture checks, and the EXECUTE stage gate in PipelineRunner.
+ *
+ * Run: node agentic-workflow/sdk-orchestrator/test-visual-baselines.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+    VisualBaselineStore, loadVisualConfig, toUrlPattern, normalizeKey, baselineIdFor,
+    readRunCaptures, loadVisualDiff, CHECK_RESULT,
+} = require('./visual-baseline-store');
+const { PipelineRunner } = require('./pipeline-runner');
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`  ✓ ${label}`);
+    } else {
+        failed++;
+        errors.push(label);
+        console.log(`  ✗ ${label}`);
+    }
+}
+
+function throws(fn, pattern) {
+    try {
+        fn();
+        return false;
+    } catch (error) {
+        return pattern.test(error.message);
+    }
+}
+
+// ─── Test Helpers ────────────────────────────────────────────────────────────
+
+const TEST_DIR = path.join(os.tmpdir(), `visual-baselines-test-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+let encodePNG;
+
+/** Solid 40x30 image with an optional filled rectangle. */
+function png({ width = 40, height = 30, color = [255, 255, 255], box = null } = {}) {
+    const data = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const inBox = box && x >= box.x && x < box.x + box.width && y >= box.y && y < box.y + box.height;
+            const [r, g, b] = inBox ? box.color : color;
+            data.set([r, g, b, 255], (y * width + x) * 4);
+        }
+    }
+    return encodePNG({ width, height, data });
+}
+
+function createStore(name, config = {}) {
+    return new VisualBaselineStore({ config, storeDir: path.join(TEST_DIR, name) });
+}
+
+const KEY = {
+    ticketId: 'aotf-101',
+    name: 'search-results',
+    pageUrl: 'https://uat.example.com/listing/48213/details?tab=photos',
+    viewport: { width: 1280, height: 720 },
+    browser: 'chromium',
+    environment: 'uat',
+};
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+async function main() {
+    ({ encodePNG } = await loadVisualDiff());
+    const white = png();
+    const smallChange = png({ box: { x: 0, y: 0, width: 2, height: 2, color: [0, 0, 0] } });
+    const bigChange = png({ box: { x: 5, y: 5, width: 20, height: 10, color: [200, 0, 0] } });
+
+    console.log('\n═══ Keys ═══');
+    {
+        assert(toUrlPattern('https://uat.example.com/listing/48213/details?tab=1#top') === '/listing/*/details', 'numeric segment and query dropped');
+        assert(toUrlPattern('/user/3f2b8c1e-9d4a-4b7e-8f6a-1c2d3e4f5a6b/profile') === '/user/*/profile', 'UUID segment');
+        assert(toUrlPattern('/p/AB12CD345/gallery') === '/p/*/gallery', 'mixed token segment');
+        assert(toUrlPattern('/search/homes-for-sale') === '/search/homes-for-sale', 'words kept');
+        assert(toUrlPattern('https://uat.example.com/app/#/saved/77') === '/app/#/saved/*', 'hash route counts as path');
+        assert(toUrlPattern('https://uat.example.com/') === '/' && toUrlPattern(null) === '/', 'root');
+
+        const key = normalizeKey(KEY);
+        assert(key.ticketId === 'AOTF-101' && key.environment === 'UAT' && key.viewport === '1280x720', 'key normalized');
+        assert(key.urlPattern === '/listing/*/details', 'key pattern from pageUrl');
+        assert(normalizeKey({ ...KEY, urlPattern: '/custom' }).urlPattern === '/custom', 'explicit pattern wins');
+        assert(throws(() => normalizeKey({ pageUrl: '/' }), /name is required/), 'name required');
+
+        const id = baselineIdFor(key);
+        assert(/^vb_[0-9a-f]{16}$/.test(id), 'baseline id format');
+        assert(baselineIdFor(normalizeKey({ ...KEY, pageUrl: '/listing/999/details' })) === id, 'same pattern, same baseline');
+        assert(baselineIdFor(normalizeKey({ ...KEY, viewport: '390x844' })) !== id, 'viewport is part of the key');
+        assert(baselineIdFor(normalizeKey({ ...KEY, browser: 'webkit' })) !== id, 'browser is part of the key');
+        assert(baselineIdFor(normalizeKey({ ...KEY, environment: 'PROD' })) !== id, 'environment is part of the key');
+    }
+
+    console.log('\n═══ Config ═══');
+    {
+        const config = loadVisualConfig({});
+        assert(config.enabled && config.failOnChanged && !config.failOnNew, 'defaults');
+        assert(config.threshold === 0.01 && config.maxVersions === 10, 'default threshold and versions');
+        assert(config.storeDir === path.join(__dirname, '..', 'visual-baselines'), 'default store dir');
+        assert(loadVisualConfig({ storeDir: 'tmp/vb' }).storeDir === path.join(__dirname, '..', 'tmp', 'vb'), 'relative store dir');
+        assert(loadVisualConfig({ threshold: 'x', maxVersions: 0 }).threshold === 0.01, 'invalid threshold falls back');
+        assert(loadVisualConfig({ maxVersions: 0 }).maxVersions === 1, 'maxVersions at least 1');
+    }
+
+    console.log('\n═══ Checks & Review ═══');
+    {
+        const store = createStore('review');
+        const first = await store.check({ ...KEY, runId: 'run_a' }, white);
+        assert(first.result === CHECK_RESULT.NEW && first.candidateId, 'first capture is a new candidate');
+        assert(first.mismatchRatio === null && first.approvedVersion === null, 'nothing to compare against');
+        assert(store.list({ status: 'pending' }).length === 1, 'listed as pending');
+        assert(store.list({ status: 'unapproved' }).length === 1 && store.list({ status: 'approved' }).length === 0, 'status filters');
+        assert(store.list({ ticketId: 'aotf-101' }).length === 1 && store.list({ ticketId: 'AOTF-2' }).length === 0, 'ticket filter');
+        assert(store.getPendingForRun('run_a').length === 1 && store.getPendingForRun('run_b').length === 0, 'pending by run');
+        assert(store.getImagePath(first.baselineId, { candidateId: first.candidateId }) !== null, 'candidate image stored');
+        assert(store.getImagePath(first.baselineId, { candidateId: first.candidateId, kind: 'diff' }) === null, 'no diff for a new baseline');
+
+        const approved = store.approve(first.baselineId, first.candidateId, { reviewer: 'qa', comment: 'looks right' });
+        assert(approved.approvedVersion === 1 && approved.versions[0].approvedBy === 'qa', 'approved as v1');
+        assert(fs.existsSync(store.getImagePath(first.baselineId, { version: 1 })), 'v1 image written');
+        assert(store.getImagePath(first.baselineId, { version: 'approved' }) === store.getImagePath(first.baselineId, { version: 1 }), 'approved alias');
+        assert(throws(() => store.approve(first.baselineId, first.candidateId), /not pending/), 'cannot approve twice');
+        assert(throws(() => store.approve('vb_missing', 'x'), /not found/), 'unknown baseline');
+
+        const same = await store.check({ ...KEY, runId: 'run_b' }, white);
+        assert(same.result === CHECK_RESULT.PASSED && same.mismatchRatio === 0 && !same.candidateId, 'identical capture passes');
+        const tiny = await store.check({ ...KEY, runId: 'run_b' }, smallChange);
+        assert(tiny.result === CHECK_RESULT.PASSED && tiny.diffPixels === 4, 'change under threshold passes');
+
+        const changed = await store.check({ ...KEY, runId: 'run_c' }, bigChange);
+        assert(changed.result === CHECK_RESULT.CHANGED && changed.mismatchRatio > 0.1, 'large change detected');
+        assert(changed.approvedVersion === 1, 'compared against v1');
+        assert(fs.existsSync(store.getImagePath(changed.baselineId, { candidateId: changed.candidateId, kind: 'diff' })), 'diff image stored');
+        assert(store.get(changed.baselineId).lastCheck.result === 'changed', 'last check recorded');
+
+        const ignored = await store.check({ ...KEY, runId: 'run_d', ignoreRegions: [{ x: 5, y: 5, width: 20, height: 10 }] }, bigChange);
+        assert(ignored.result === CHECK_RESULT.PASSED, 'ignore regions exclude the change');
+        const strict = await store.check({ ...KEY, runId: 'run_d' }, smallChange, { threshold: 0 });
+        assert(strict.result === CHECK_RESULT.CHANGED, 'per-check threshold');
+        const superseded = store.get(changed.baselineId).candidates.find(c => c.id === changed.candidateId);
+        assert(superseded.status === 'superseded', 'newer candidate supersedes the pending one');
+
+        store.reject(strict.baselineId, strict.candidateId, { reviewer: 'qa', comment: 'bug' });
+        const rejected = store.get(strict.baselineId).candidates.find(c => c.id === strict.candidateId);
+        assert(rejected.status === 'rejected' && rejected.comment === 'bug', 'rejected with comment');
+        assert(store.get(strict.baselineId).approvedVersion === 1, 'reject keeps the baseline');
+        assert(store.list({ status: 'pending' }).length === 0, 'nothing pending after review');
+
+        const resized = await store.check({ ...KEY, runId: 'run_e' }, png({ width: 50 }));
+        assert(resized.result === CHECK_RESULT.CHANGED && resized.mismatchRatio === 1, 'dimension change is a full mismatch');
+        store.approve(resized.baselineId, resized.candidateId);
+        assert(store.get(resized.baselineId).approvedVersion === 2, 'approved as v2');
+        const restored = store.restoreVersion(resized.baselineId, 1, { reviewer: 'qa' });
+        assert(restored.approvedVersion === 1 && restored.versions.length === 2, 'restore v1 keeps v2');
+        assert((await store.check({ ...KEY }, white)).result === CHECK_RESULT.PASSED, 'checks use the restored version');
+        assert(throws(() => store.restoreVersion(resized.baselineId, 9), /not found/), 'restore unknown version');
+
+        const reopened = createStore('review');
+        assert(reopened.get(resized.baselineId).approvedVersion === 1, 'persisted across instances');
+        assert(reopened.list().length === 1, 'single baseline for the key');
+    }
+
+    console.log('\n═══ Version Pruning ═══');
+    {
+        const store = createStore('prune', { maxVersions: 2 });
+        const images = [white, bigChange, png({ color: [0, 0, 255] })];
+        let baselineId = null;
+        for (const image of images) {
+            const check = await store.check(KEY, image);
+            baselineId = check.baselineId;
+            store.approve(check.baselineId, check.candidateId);
+        }
+        const baseline = store.get(baselineId);
+        assert(baseline.versions.map(v => v.version).join() === '2,3', 'oldest version pruned');
+        assert(!fs.existsSync(path.join(store.storeDir, 'images', baselineId, 'v1.png')), 'pruned image deleted');
+
+        store.restoreVersion(baselineId, 2);
+        const next = await store.check(KEY, white);
+        store.approve(baselineId, next.candidateId);
+        assert(store.get(baselineId).versions.map(v => v.version).join() === '3,4', 'restored version pruned once superseded');
+    }
+
+    console.log('\n═══ Run Captures ═══');
+    {
+        const evidenceDir = path.join(TEST_DIR, 'evidence');
+        const captureDir = path.join(evidenceDir, 'run_x', 'visual');
+        fs.mkdirSync(captureDir, { recursive: true });
+        const capture = (name, image, scenarioId = 'default') => {
+            const file = path.join(captureDir, `${name}.png`);
+            fs.writeFileSync(file, image);
+            fs.appendFileSync(path.join(captureDir, 'captures.jsonl'),
+                `${JSON.stringify({ ...KEY, name, scenarioId, runId: 'run_x', file })}\n`);
+        };
+
+        const store = createStore('runs');
+        const seeded = await store.check({ ...KEY, name: 'home' }, white);
+        store.approve(seeded.baselineId, seeded.candidateId);
+
+        capture('home', bigChange);
+        capture('cart', white);
+        capture('other-scenario', white, 'guest');
+        fs.appendFileSync(path.join(captureDir, 'captures.jsonl'), 'not json\n');
+
+        assert(readRunCaptures('run_x', { baseDir: evidenceDir }).length === 3, 'captures read, bad lines skipped');
+        assert(readRunCaptures('run_x', { baseDir: evidenceDir, scenarioId: 'guest' }).length === 1, 'scenario filter');
+        assert(readRunCaptures('run_none', { baseDir: evidenceDir }).length === 0, 'no captures');
+
+        const summary = await store.checkRun('run_x', { baseDir: evidenceDir, scenarioId: 'default' });
+        assert(summary.checked === 2 && summary.changed === 1 && summary.new === 1, 'run summary counts');
+        assert(summary.failed === true, 'changed checkpoint fails the run');
+        assert(summary.checks.every(check => !('candidate' in check)), 'summary stays compact');
+        assert(store.getPendingForRun('run_x').length === 2, 'run candidates pending');
+
+        const lenient = createStore('runs', { failOnChanged: false });
+        const newOnly = await lenient.checkRun('run_x', { baseDir: evidenceDir, scenarioId: 'guest' });
+        assert(newOnly.new === 1 && newOnly.failed === false, 'new checkpoints pass by default');
+        const strict = createStore('runs', { failOnNew: true });
+        assert((await strict.checkRun('run_x', { baseDir: evidenceDir, scenarioId: 'guest' })).failed === true, 'failOnNew');
+
+        fs.appendFileSync(path.join(captureDir, 'captures.jsonl'),
+            `${JSON.stringify({ ...KEY, name: 'gone', scenarioId: 'lost', file: path.join(captureDir, 'missing.png') })}\n`);
+        const broken = await store.checkRun('run_x', { baseDir: evidenceDir, scenarioId: 'lost' });
+        assert(broken.checked === 0 && broken.errors.length === 1, 'unreadable capture reported');
+    }
+
+    console.log('\n═══ EXECUTE Gate ═══');
+    {
+        const runner = (store, visual = {}) => new PipelineRunner({
+            sessionFactory: { model: 'test-model' },
+            selfHealing: null,
+            config: { sdk: { visual } },
+            evidenceStore: {},
+            eventBridge: { push() { } },
+            visualBaselineStore: store,
+        });
+        const execution = { success: true, blocking: false, message: '3/3 tests passed' };
+        const fakeStore = summary => ({ checkRun: async () => summary });
+
+        const none = await runner(fakeStore({ checked: 0, errors: [] }))._checkVisualBaselines({ runId: 'r' }, execution);
+        assert(none === execution, 'no checkpoints leaves the result');
+
+        const clean = { checked: 2, passed: 2, changed: 0, new: 0, failed: false, checks: [], errors: [] };
+        const context = { runId: 'r', testResults: { passed: true } };
+        const ok = await runner(fakeStore(clean))._checkVisualBaselines(context, execution);
+        assert(ok.success === true && ok.visual === clean, 'passing checkpoints attached');
+        assert(context.testResults.visual === clean && context.visualResults === clean, 'summary on the context');
+
+        const dirty = { checked: 2, passed: 1, changed: 1, new: 0, failed: true, checks: [], errors: [] };
+        const gated = await runner(fakeStore(dirty))._checkVisualBaselines({ runId: 'r', testResults: { passed: true } }, execution);
+        assert(gated.success === false && /1 visual change\(s\) awaiting approval/.test(gated.message), 'unapproved change fails EXECUTE');
+        assert(gated.error === 'Unapproved visual changes', 'gate error');
+
+        const disabled = await runner(fakeStore(dirty), { enabled: false })._checkVisualBaselines({ runId: 'r' }, execution);
+        assert(disabled === execution, 'disabled by sdk.visual.enabled');
+
+        const failing = await runner({ checkRun: async () => { throw new Error('boom'); } })
+            ._checkVisualBaselines({ runId: 'r' }, execution);
+        assert(failing === execution, 'store errors do not fail the stage');
+    }
+
+    console.log('\n═══ Summary ═══');
+    console.log(`\n  Total: ${passed + failed}  |  Passed: ${passed}  |  Failed: ${failed}`);
+    if (errors.length > 0) {
+        console.log('\n  Failed tests:');
+        errors.forEach(e => console.log(`    - ${e}`));
+    }
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,232 @@
+/**
+ * Test suite for jira-webhook-rules.js, webhook-security.js and
+ * webhook-delivery-log.js
+ * Tests rule matching on project, issue type, labels, components, status
+ * transitions and custom fields, rule → run parameter mapping, HMAC
+ * signature checks, replay protection and delivery log queries.
+ *
+ * Run: node agentic-workflow/sdk-orchestrator/test-webhook-rules.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+    normalizeJiraEvent, evaluateRules, resolveRuleAction, validateRules, loadJiraWebhookConfig,
+} = require('./jira-webhook-rules');
+const { computeSignature, verifySignature, resolveDeliveryId, checkReplay } = require('./webhook-security');
+const { WebhookDeliveryLog, DELIVERY_ACTION } = require('./webhook-delivery-log');
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`  ✓ ${label}`);
+    } else {
+        failed++;
+        errors.push(label);
+        console.log(`  ✗ ${label}`);
+    }
+}
+
+// ─── Test Helpers ────────────────────────────────────────────────────────────
+
+const TEST_DIR = path.join(os.tmpdir(), `webhook-rules-test-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+function jiraPayload(overrides = {}) {
+    const { fields = {}, changelog, ...rest } = overrides;
+    return {
+        webhookEvent: 'jira:issue_updated',
+        timestamp: Date.now(),
+        issue: {
+            key: 'AOTF-101',
+            fields: {
+                project: { key: 'AOTF' },
+                issuetype: { name: 'Story' },
+                status: { name: 'Ready for QA' },
+                labels: ['regression', 'search'],
+                components: [{ name: 'Search' }, { name: 'Map' }],
+                customfield_10050: { value: 'Yes' },
+                customfield_10060: [{ value: 'Chrome' }, { value: 'Safari' }],
+                ...fields,
+            },
+        },
+        changelog: changelog || { items: [{ field: 'status', fromString: 'In Progress', toString: 'Ready for QA' }] },
+        ...rest,
+    };
+}
+
+const RULES = [
+    {
+        name: 'no-automation',
+        match: { labels: { any: ['no-automation'] } },
+        action: { mode: 'execute' },
+        enabled: false,
+    },
+    {
+        name: 'search-regression',
+        match: {
+            events: ['jira:issue_updated'],
+            projects: ['aotf'],
+            issueTypes: ['Story', 'Bug'],
+            labels: { all: ['regression'], none: ['wip'] },
+            components: ['search'],
+            transition: { from: ['In Progress'], to: 'Ready for QA' },
+            customFields: { customfield_10050: 'yes', customfield_10060: { any: ['safari'] } },
+        },
+        action: { mode: 'generate', environment: 'int', authState: 'both' },
+    },
+    {
+        name: 'bugs-to-heal',
+        match: { issueTypes: ['Bug'], statuses: ['Ready for QA'] },
+        action: { mode: 'heal', scenarios: [{ id: 'guest', authState: 'unauthenticated' }] },
+    },
+];
+
+// ─── Rule Matching ───────────────────────────────────────────────────────────
+
+console.log('\n═══ rule matching ═══');
+{
+    const event = normalizeJiraEvent(jiraPayload());
+    assert(event.project === 'AOTF' && event.components.join() === 'Search,Map', 'normalize: project and components');
+    assert(event.transition.from === 'In Progress' && event.transition.to === 'Ready for QA', 'normalize: status transition');
+
+    const { rule, evaluations } = evaluateRules(RULES, event);
+    assert(rule?.name === 'search-regression', 'rules: all conditions match (case-insensitive)');
+    assert(!evaluations.some(e => e.rule === 'no-automation'), 'rules: disabled rules skipped');
+
+    const wip = evaluateRules(RULES, normalizeJiraEvent(jiraPayload({ fields: { labels: ['regression', 'WIP'] } })));
+    assert(wip.rule === null && wip.evaluations[0].unmet[0].startsWith('labels'), 'rules: labels.none excludes');
+
+    const bug = normalizeJiraEvent(jiraPayload({
+        fields: { issuetype: { name: 'Bug' }, components: [] },
+        changelog: { items: [{ field: 'assignee' }] },
+    }));
+    const bugResult = evaluateRules(RULES, bug);
+    assert(bugResult.rule?.name === 'bugs-to-heal', 'rules: first matching rule wins, later rules evaluated');
+    assert(bugResult.evaluations[0].unmet.includes('no status transition'), 'rules: transition requires a status change');
+
+    const otherField = evaluateRules(RULES, normalizeJiraEvent(jiraPayload({ fields: { customfield_10050: { value: 'No' } } })));
+    assert(otherField.rule === null && otherField.evaluations[0].unmet.some(r => r.startsWith('customfield_10050')),
+        'rules: custom field option values compared');
+
+    const exists = evaluateRules([{ name: 'x', match: { customFields: { customfield_10070: { exists: true } } } }], event);
+    assert(exists.rule === null && exists.evaluations[0].unmet[0] === 'customfield_10070 is empty', 'rules: custom field exists');
+
+    const otherProject = evaluateRules(RULES, normalizeJiraEvent(jiraPayload({ fields: { project: { key: 'WEB' }, issuetype: { name: 'Task' } } })));
+    assert(otherProject.rule === null && otherProject.evaluations.length === 2, 'rules: nothing matches → ignored');
+}
+
+// ─── Actions & Config ────────────────────────────────────────────────────────
+
+console.log('\n═══ actions & config ═══');
+{
+    const action = resolveRuleAction(RULES[1], { mode: 'full', environment: 'UAT', model: 'gpt-4o' });
+    assert(action.mode === 'generate' && action.environment === 'INT', 'action: rule overrides defaults');
+    assert(action.model === 'gpt-4o', 'action: defaults fill the gaps');
+    assert(action.mission.authState === 'both', 'action: authState mapped to the mission');
+
+    const scenarios = resolveRuleAction(RULES[2]);
+    assert(scenarios.mission.scenarios[0].id === 'guest' && scenarios.environment === 'UAT', 'action: scenario set mapped');
+    assert(resolveRuleAction({ name: 'plain' }).mission === undefined, 'action: no mission without scenarios');
+
+    const errorsFound = validateRules([
+        { name: 'a', match: { project: ['AOTF'] } },
+        { name: 'a', action: { mode: 'bogus' } },
+        { match: { issueTypes: 'Bug' } },
+    ]);
+    assert(errorsFound.some(e => e.includes('unknown match condition(s) project')), 'config: unknown conditions reported');
+    assert(errorsFound.some(e => e.includes('duplicate name')) && errorsFound.some(e => e.includes('invalid mode')),
+        'config: duplicate names and bad modes reported');
+    assert(errorsFound.some(e => e.includes('match.issueTypes must be an array')), 'config: list conditions must be arrays');
+    assert(validateRules(RULES).length === 0, 'config: valid rules pass');
+
+    const legacy = loadJiraWebhookConfig({ triggerOnStatus: 'Ready for QA', defaultMode: 'heal' });
+    const legacyMatch = evaluateRules(legacy.rules, normalizeJiraEvent(jiraPayload()));
+    assert(legacyMatch.rule?.name === 'default' && resolveRuleAction(legacyMatch.rule).mode === 'heal',
+        'config: legacy triggerOnStatus/defaultMode still honoured');
+    assert(legacy.enabled && !legacy.allowUnsigned && legacy.replayWindowSeconds === 300, 'config: secure defaults');
+}
+
+// ─── Signatures & Replay ─────────────────────────────────────────────────────
+
+console.log('\n═══ signatures & replay ═══');
+{
+    const body = Buffer.from(JSON.stringify(jiraPayload()));
+    const signature = `sha256=${computeSignature(body, 's3cret')}`;
+
+    assert(verifySignature(body, signature, 's3cret').valid, 'signature: valid sha256= header');
+    assert(verifySignature(body, computeSignature(body, 's3cret'), 's3cret').valid, 'signature: bare hex accepted');
+    assert(verifySignature(body, signature, 'other').error === 'Signature mismatch', 'signature: wrong secret rejected');
+    assert(verifySignature(Buffer.from(`${body} `), signature, 's3cret').error === 'Signature mismatch', 'signature: tampered body rejected');
+    assert(/not configured/.test(verifySignature(body, signature, '').error), 'signature: missing secret rejected');
+    assert(/Missing/.test(verifySignature(body, undefined, 's3cret').error), 'signature: missing header rejected');
+    assert(/algorithm "sha1"/.test(verifySignature(body, 'sha1=abcd', 's3cret').error), 'signature: other algorithms rejected');
+
+    assert(resolveDeliveryId({ 'x-atlassian-webhook-identifier': 'abc-1' }, body, ['X-Atlassian-Webhook-Identifier']) === 'abc-1',
+        'delivery id: provider header used');
+    assert(resolveDeliveryId({}, body, ['x-id']) === resolveDeliveryId({}, Buffer.from(body), ['x-id']),
+        'delivery id: body hash is stable');
+
+    const deliveryLog = new WebhookDeliveryLog({ storePath: path.join(TEST_DIR, 'replay.json') });
+    const now = new Date('2026-06-01T12:00:00Z');
+    const fresh = checkReplay({ source: 'jira', deliveryId: 'd-1', timestamp: now.getTime() - 60 * 1000, deliveryLog, now });
+    assert(fresh.ok, 'replay: recent delivery accepted');
+
+    const stale = checkReplay({ source: 'jira', deliveryId: 'd-2', timestamp: now.getTime() - 600 * 1000, deliveryLog, now });
+    assert(!stale.ok && !stale.duplicate && /replay window/.test(stale.reason), 'replay: stale delivery rejected');
+    const seconds = checkReplay({ source: 'jira', deliveryId: 'd-3', timestamp: Math.floor(now.getTime() / 1000), deliveryLog, now });
+    assert(seconds.ok, 'replay: epoch seconds understood');
+
+    deliveryLog.record({ source: 'jira', deliveryId: 'd-1', action: DELIVERY_ACTION.ACCEPTED });
+    deliveryLog.record({ source: 'jira', deliveryId: 'd-4', action: DELIVERY_ACTION.REJECTED });
+    assert(checkReplay({ source: 'jira', deliveryId: 'd-1', deliveryLog, now }).duplicate, 'replay: processed delivery is a duplicate');
+    assert(checkReplay({ source: 'github', deliveryId: 'd-1', deliveryLog, now }).ok, 'replay: IDs scoped per source');
+    assert(checkReplay({ source: 'jira', deliveryId: 'd-4', deliveryLog, now }).ok, 'replay: rejected deliveries not counted');
+}
+
+// ─── Delivery Log ────────────────────────────────────────────────────────────
+
+console.log('\n═══ delivery log ═══');
+{
+    const storePath = path.join(TEST_DIR, 'deliveries.json');
+    const deliveryLog = new WebhookDeliveryLog({ storePath, maxEntries: 4 });
+    const base = Date.parse('2026-06-01T00:00:00Z');
+    const entries = [
+        { deliveryId: 'a', action: 'ignored', ticketId: 'AOTF-1' },
+        { deliveryId: 'b', action: 'accepted', ticketId: 'AOTF-1', rule: 'ready-for-qa', runId: 'run_1' },
+        { deliveryId: 'c', action: 'rejected', ticketId: null },
+        { deliveryId: 'd', action: 'accepted', ticketId: 'AOTF-2', rule: 'ready-for-qa' },
+        { deliveryId: 'e', action: 'ignored', ticketId: 'AOTF-2' },
+    ];
+    entries.forEach((entry, index) => deliveryLog.record({
+        source: 'jira', receivedAt: new Date(base + index * 1000).toISOString(), ...entry,
+    }));
+
+    const all = deliveryLog.query();
+    assert(all.total === 4 && all.deliveries[0].deliveryId === 'e', 'log: capped at maxEntries, newest first');
+    assert(deliveryLog.query({ action: 'accepted' }).total === 2, 'log: filter by action');
+    assert(deliveryLog.query({ action: 'accepted,ignored', ticketId: 'aotf-2' }).total === 2, 'log: filter by ticket and action list');
+    assert(deliveryLog.query({ rule: 'ready-for-qa', since: new Date(base + 2000).toISOString() }).deliveries[0].deliveryId === 'd',
+        'log: filter by rule and time');
+    const page = deliveryLog.query({ limit: 1, offset: 1 });
+    assert(page.deliveries[0].deliveryId === 'd' && page.hasMore, 'log: pagination');
+
+    const reloaded = new WebhookDeliveryLog({ storePath });
+    assert(reloaded.get('b')?.runId === 'run_1' && reloaded.get('a') === null, 'log: persisted across restarts');
+}
+
+console.log('\n═══ Summary ═══');
+console.log(`\n  Total: ${passed + failed}  |  Passed: ${passed}  |  Failed: ${failed}`);
+if (errors.length > 0) {
+    console.log('\n  Failed tests:');
+    errors.forEach(e => console.log(`    - ${e}`));
+}
+
+fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+process.exit(failed > 0 ? 1 : 0);
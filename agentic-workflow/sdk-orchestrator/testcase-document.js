@@ -0,0 +1,762 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TEST CASE DOCUMENT — Canonical JSON Test Cases per Ticket and Scenario
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * TestGenie's test cases are kept as one JSON document per ticket (and mission
+ * scenario). The Excel workbook, the Markdown table and the Gherkin feature
+ * are renderings of it; ScriptGenerator reads the document itself.
+ *
+ *   {
+ *     schemaVersion, ticketId, scenarioId, scenarioName, scenarioSlug,
+ *     ticket: { title, url },
+ *     preConditions,
+ *     acceptanceCriteria: [{ id: 'AC-1', text }],
+ *     testCases: [{
+ *       id: 'TC-01', title, priority, tags, preConditions,
+ *       acceptanceCriteria: ['AC-1'],          // traceability
+ *       dataRefs: ['testData.search.filters'], // test data references
+ *       steps: [{ id, action, expected, actual, dataRefs }],
+ *       gherkin: [{ keyword: 'Given', text }], // optional BDD wording
+
+ *     }],
+ *     revision, source, updatedAt,
+ *   }
+ *
+ * Edits made in the Excel file are imported back with importTestCaseExcel():
+ * the workbook is checked by scripts/validate-test-case-excel.js, parsed, merged
+ * with the stored document (fields Excel doesn't show are kept) and saved as
+ * the next revision.
+ *
+ * Layout (agentic-workflow/test-cases/):
+ *   <ticketId>[-<scenario>]-test-cases.json     — the document
+ *   <ticketId>[-<scenario>]-test-cases.xlsx     — renderings
+ *   <ticketId>[-<scenario>]-test-cases.md
+ *   <ticketId>[-<scenario>]-test-cases.feature
+ *
+ * @module sdk-orchestrator/testcase-document
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { writeJSONSync, readJSONSync } = require('./utils');
+
+const SCHEMA_VERSION = 1;
+const DEFAULT_DIR = path.join(__dirname, '..', 'test-cases');
+const GENERATOR_PATH = path.join(__dirname, '..', 'scripts', 'excel-template-generator.js');
+const VALIDATOR_PATH = path.join(__dirname, '..', 'scripts', 'validate-test-case-excel.js');
+
+/** Test case priorities, most important first. */
+const PRIORITIES = Object.freeze(['critical', 'high', 'medium', 'low']);
+const DEFAULT_PRIORITY = 'medium';
+const PRIORITY_ALIASES = { p1: 'critical', highest: 'critical', blocker: 'critical', p2: 'high', p3: 'medium', p4: 'low', lowest: 'low', minor: 'low' };
+
+/** Where a revision came from. */
+const GHERKIN_KEYWORDS = ['Given', 'When', 'Then', 'And', 'But'];
+const GHERKIN_LINE = /^\s*(Given|When|Then|And|But)\s+(.+?)\s*$/i;
+
+const DOCUMENT_SOURCE = Object.freeze({
+    TESTGENIE: 'testgenie',
+    EXCEL_IMPORT: 'excel-import',
+    API: 'api',
+});
+
+// ─── Model ──────────────────────────────────────────────────────────────────
+
+/**
+ * Normalize and validate a test case document. Accepts the document shape
+ * and the field aliases the TestGenie tools take (stepId / activity /
+ * expectedResult / actualResults, acceptance criteria as plain strings).
+ *
+ * @param {Object} input
+ * @returns {{ document: Object, errors: string[], warnings: string[] }}
+ */
+function normalizeTestCaseDocument(input = {}) {
+    const errors = [];
+    const warnings = [];
+
+    const acceptanceCriteria = toArray(input.acceptanceCriteria).map((criterion, index) => {
+        const entry = typeof criterion === 'string' ? { text: criterion } : (criterion || {});
+        return { id: String(entry.id || `AC-${index + 1}`).trim(), text: String(entry.text || entry.description || '').trim() };
+    });
+    const criterionIds = new Set(acceptanceCriteria.map(criterion => criterion.id));
+    duplicates(acceptanceCriteria.map(criterion => criterion.id))
+        .forEach(id => errors.push(`Duplicate acceptance criterion ID ${id}`));
+
+    const testCases = toArray(input.testCases).map((testCase, index) => {
+        const label = `Test case ${index + 1}`;
+        const normalized = {
+            id: String(testCase.id || `TC-${String(index + 1).padStart(2, '0')}`).trim(),
+            title: String(testCase.title || testCase.name || '').trim(),
+            priority: normalizePriority(testCase.priority),
+            tags: uniqueStrings(toArray(testCase.tags || testCase.labels).map(tag => String(tag).replace(/^@/, ''))),
+            preConditions: String(testCase.preConditions || '').trim(),
+            acceptanceCriteria: uniqueStrings(toArray(testCase.acceptanceCriteria || testCase.covers)),
+            dataRefs: uniqueStrings(toArray(testCase.dataRefs)),
+            steps: toArray(testCase.steps).map((step, stepIndex) => ({
+                id: String(step.id || step.stepId || stepIndex + 1).trim(),
+                action: String(step.action || step.activity || '').trim(),
+                expected: String(step.expected || step.expectedResult || '').trim(),
+                actual: String(step.actual || step.actualResults || step.actualResult || '').trim(),
+                dataRefs: uniqueStrings(toArray(step.dataRefs)),
+            })),
+            gherkin: gherkinSteps(testCase.gherkin),
+        };
+
+        if (!normalized.title) errors.push(`${label} (${normalized.id}): missing title`);
+        if (testCase.priority && !normalized.priority) {
+            errors.push(`${label} (${normalized.id}): unknown priority "${testCase.priority}" (${PRIORITIES.join(', ')})`);
+        }
+        normalized.priority = normalized.priority || DEFAULT_PRIORITY;
+        if (normalized.steps.length === 0) errors.push(`${label} (${normalized.id}): no steps`);
+        normalized.steps.forEach((step, stepIndex) => {
+            const stepLabel = `${label} (${normalized.id}), step ${stepIndex + 1}`;
+            if (!step.action) errors.push(`${stepLabel}: missing action`);
+            if (!step.expected) errors.push(`${stepLabel}: missing expected result`);
+            if (!step.actual) warnings.push(`${stepLabel}: missing actual result`);
+        });
+        normalized.gherkin
+            .filter(step => !GHERKIN_KEYWORDS.includes(step.keyword) || !step.text)
+            .forEach(step => errors.push(`${label} (${normalized.id}): invalid Gherkin step "${step.keyword} ${step.text}"`.trim()));
+        if (['And', 'But'].includes(normalized.gherkin[0]?.keyword)) {
+            errors.push(`${label} (${normalized.id}): Gherkin steps start with ${normalized.gherkin[0].keyword}`);
+        }
+        duplicates(normalized.steps.map(step => step.id))
+            .forEach(id => errors.push(`${label} (${normalized.id}): duplicate step ID ${id}`));
+        normalized.acceptanceCriteria
+            .filter(id => acceptanceCriteria.length > 0 && !criterionIds.has(id))
+            .forEach(id => errors.push(`${label} (${normalized.id}): covers unknown acceptance criterion ${id}`));
+        return normalized;
+    });
+
+    if (testCases.length === 0) errors.push('No test cases');
+    duplicates(testCases.map(testCase => testCase.id)).forEach(id => errors.push(`Duplicate test case ID ${id}`));
+
+    const covered = new Set(testCases.flatMap(testCase => testCase.acceptanceCriteria));
+    acceptanceCriteria
+        .filter(criterion => !covered.has(criterion.id))
+        .forEach(criterion => warnings.push(`${criterion.id} is not covered by any test case`));
+
+    if (!input.ticketId) errors.push('Missing ticketId');
+
+    const document = {
+        schemaVersion: SCHEMA_VERSION,
+        ticketId: String(input.ticketId || '').trim(),
+        scenarioId: input.scenarioId || null,
+        scenarioName: input.scenarioName || null,
+        scenarioSlug: input.scenarioSlug || null,
+        ticket: {
+            title: String(input.ticket?.title || input.title || '').trim(),
+            url: input.ticket?.url || input.url || null,
+        },
+        preConditions: String(input.preConditions || '').trim(),
+        acceptanceCriteria,
+        testCases,
+        revision: Number(input.revision) || 0,
+        source: input.source || null,
+        updatedAt: input.updatedAt || null,
+    };
+    return { document, errors, warnings };
+}
+
+/**
+ * The input generate_test_case_excel takes (one case as flat testSteps, or
+ * testCases) as a document.
+ *
+ * @param {Object} input
+ * @param {string} input.ticketId
+ * @param {string} [input.testSuiteName]
+ * @param {string} [input.preConditions]
+ * @param {Array|string} [input.testSteps]
+ * @param {Array|string} [input.testCases]
+ * @param {Array|string} [input.acceptanceCriteria]
+ * @param {string} [input.ticketUrl]
+ * @param {Object} [input.scope] - { scenarioId, scenarioName, scenarioSlug }
+ * @returns {{ document: Object, errors: string[], warnings: string[] }}
+ * @throws {Error} On invalid JSON
+ */
+function buildTestCaseDocument(input) {
+    const testCases = parseJSONField(input.testCases, 'testCases')
+        || [{ id: 'TC-01', title: input.testSuiteName, steps: parseJSONField(input.testSteps, 'testSteps') || [] }];
+    return normalizeTestCaseDocument({
+        ticketId: input.ticketId,
+        ...(input.scope || {}),
+        ticket: { title: input.testSuiteName || '', url: input.ticketUrl || null },
+        preConditions: input.preConditions,
+        acceptanceCriteria: parseJSONField(input.acceptanceCriteria, 'acceptanceCriteria') || [],
+        testCases,
+    });
+}
+
+// ─── Store ──────────────────────────────────────────────────────────────────
+
+/**
+ * File name (without extension) shared by a document and its renderings.
+ * Matches the historical `<ticketId>-test-cases.xlsx` name.
+ *
+ * @param {string} ticketId
+ * @param {string|null} [scenarioSlug]
+ * @returns {string}
+ */
+function testCaseFileStem(ticketId, scenarioSlug) {
+    return [ticketId, scenarioSlug, 'test-cases'].filter(Boolean).join('-');
+}
+
+class TestCaseDocumentStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.rootDir] - Default: agentic-workflow/test-cases
+     */
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || DEFAULT_DIR;
+    }
+
+    /**
+     * @param {string} ticketId
+     * @param {string|null} [scenarioSlug]
+     * @param {string} [extension]
+     * @returns {string}
+     */
+    pathFor(ticketId, scenarioSlug, extension = '.json') {
+        return path.join(this.rootDir, `${testCaseFileStem(ticketId, scenarioSlug)}${extension}`);
+    }
+
+    /**
+     * @param {string} ticketId
+     * @param {string|null} [scenarioSlug]
+     * @returns {Object|null}
+     */
+    load(ticketId, scenarioSlug) {
+        return readJSONSync(this.pathFor(ticketId, scenarioSlug), null);
+    }
+
+    /**
+     * @param {string} ticketId
+     * @returns {Object[]} The ticket's documents (all scenarios)
+     */
+    list(ticketId) {
+        if (!fs.existsSync(this.rootDir)) return [];
+        return fs.readdirSync(this.rootDir)
+            .filter(name => name.startsWith(`${ticketId}-`) && name.endsWith('-test-cases.json'))
+            .map(name => readJSONSync(path.join(this.rootDir, name), null))
+            .filter(document => document?.ticketId === ticketId)
+            .sort((a, b) => String(a.scenarioSlug || '').localeCompare(String(b.scenarioSlug || '')));
+    }
+
+    /**
+     * Save a normalized document as the next revision.
+     *
+     * @param {Object} document - From normalizeTestCaseDocument()
+     * @param {string} source   - DOCUMENT_SOURCE value
+     * @returns {{ document: Object, path: string }}
+     */
+    save(document, source) {
+        const filePath = this.pathFor(document.ticketId, document.scenarioSlug);
+        const previous = readJSONSync(filePath, null);
+        const saved = {
+            ...document,
+            revision: (previous?.revision || 0) + 1,
+            source,
+            updatedAt: new Date().toISOString(),
+        };
+        writeJSONSync(filePath, saved);
+        return { document: saved, path: filePath };
+    }
+}
+
+// ─── Renderings ─────────────────────────────────────────────────────────────
+
+/**
+ * Markdown: ticket header, pre-conditions, acceptance criteria and one step
+ * table per test case.
+ *
+ * @param {Object} document
+ * @returns {string}
+ */
+function renderMarkdown(document) {
+    const lines = [`# ${document.ticketId}${document.ticket.title ? ` — ${document.ticket.title}` : ''}`, ''];
+    if (document.scenarioName || document.scenarioId) lines.push(`**Scenario:** ${document.scenarioName || document.scenarioId}  `);
+    if (document.ticket.url) lines.push(`**Ticket:** ${document.ticket.url}  `);
+    lines.push(`**Revision:** ${document.revision}`, '');
+
+    if (document.preConditions) lines.push('## Pre-Conditions', '', document.preConditions, '');
+    if (document.acceptanceCriteria.length > 0) {
+        lines.push('## Acceptance Criteria', '');
+        document.acceptanceCriteria.forEach(criterion => lines.push(`- **${criterion.id}** ${criterion.text}`));
+        lines.push('');
+    }
+
+    for (const testCase of document.testCases) {
+        lines.push(`## ${testCase.id}: ${testCase.title}`, '');
+        const details = [`Priority: ${testCase.priority}`];
+        if (testCase.tags.length) details.push(`Tags: ${testCase.tags.map(tag => `\`${tag}\``).join(', ')}`);
+        if (testCase.acceptanceCriteria.length) details.push(`Covers: ${testCase.acceptanceCriteria.join(', ')}`);
+        if (testCase.dataRefs.length) details.push(`Data: ${testCase.dataRefs.map(ref => `\`${ref}\``).join(', ')}`);
+        lines.push(details.join(' · '), '');
+        if (testCase.preConditions) lines.push(`Pre-Conditions: ${testCase.preConditions}`, '');
+        lines.push('| Test Step ID | Specific Activity or Action | Expected Results | Actual Results |');
+        lines.push('|---|---|---|---|');
+        testCase.steps.forEach(step => {
+            lines.push(`| ${[step.id, step.action, step.expected, step.actual].map(markdownCell).join(' | ')} |`);
+        });
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Gherkin: one Scenario per test case, tagged with the case ID, priority,
+ * tags and covered acceptance criteria. Actions become When steps and
+ * expected results Then steps.
+ *
+ * @param {Object} document
+ * @returns {string}
+ */
+function renderGherkin(document) {
+    const lines = [
+        `# Rendered from ${testCaseFileStem(document.ticketId, document.scenarioSlug)}.json (revision ${document.revision}) — edit the document or the Excel file, not this file`,
+        `@${document.ticketId}${document.scenarioSlug ? ` @${document.scenarioSlug}` : ''}`,
+        `Feature: ${gherkinText(document.ticket.title || document.ticketId)}`,
+    ];
+    if (document.ticket.url) lines.push(`  ${document.ticket.url}`);
+    document.acceptanceCriteria.forEach(criterion => lines.push(`  ${criterion.id}: ${gherkinText(criterion.text)}`));
+
+    const background = preConditionLines(document.preConditions);
+    if (background.length > 0) {
+        lines.push('', '  Background:');
+        background.forEach((line, i) => lines.push(`    ${i === 0 ? 'Given' : 'And'} ${line}`));
+    }
+
+    for (const testCase of document.testCases) {
+        const tags = [testCase.id, `priority-${testCase.priority}`, ...testCase.tags, ...testCase.acceptanceCriteria]
+            .map(tag => `@${String(tag).replace(/\s+/g, '-')}`);
+        lines.push('', `  ${tags.join(' ')}`, `  Scenario: ${gherkinText(testCase.title)}`);
+        const wording = scenarioSteps(testCase, document.acceptanceCriteria);
+        if (wording) {
+            wording.forEach(step => lines.push(`    ${step.keyword} ${gherkinText(step.text)}`));
+            continue;
+        }
+        preConditionLines(testCase.preConditions)
+            .forEach((line, i) => lines.push(`    ${i === 0 ? 'Given' : 'And'} ${line}`));
+        testCase.steps.forEach(step => {
+            lines.push(`    When ${gherkinText(step.action)}`);
+            lines.push(`    Then ${gherkinText(step.expected)}`);
+        });
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * A test case's own Given/When/Then wording: its `gherkin` steps, or the
+ * text of the one acceptance criterion it covers when that is written as
+ * Given/When/Then. Null when neither applies.
+ *
+ * @param {Object} testCase
+ * @param {Object[]} acceptanceCriteria
+ * @returns {Array<{ keyword: string, text: string }>|null}
+ */
+function scenarioSteps(testCase, acceptanceCriteria = []) {
+    if (testCase.gherkin?.length > 0) return testCase.gherkin;
+    if (testCase.acceptanceCriteria?.length !== 1) return null;
+    const criterion = acceptanceCriteria.find(entry => entry.id === testCase.acceptanceCriteria[0]);
+    const steps = gherkinSteps(criterion?.text || '');
+    return steps.length > 0 && steps.every(step => GHERKIN_KEYWORDS.includes(step.keyword)) ? steps : null;
+}
+
+/**
+ * Excel through scripts/excel-template-generator.js, with a details row per
+ * test case and the document identity in a hidden sheet.
+ *
+ * @param {Object} document
+ * @param {string} outputPath
+ * @returns {Promise<string>}
+ */
+async function renderExcel(document, outputPath) {
+    const { generateTestCaseExcel } = require(GENERATOR_PATH);
+    return generateTestCaseExcel(
+        {
+            number: document.ticketId,
+            title: document.ticket.title || document.testCases[0]?.title || document.ticketId,
+            url: document.ticket.url || jiraBrowseUrl(document.ticketId),
+        },
+        document.preConditions,
+        document.testCases,
+        outputPath,
+        { metadata: documentIdentity(document) },
+    );
+}
+
+/**
+ * Write the renderings next to the stored document.
+ *
+ * @param {Object} document
+ * @param {Object} [options]
+ * @param {TestCaseDocumentStore} [options.store]
+ * @param {string[]} [options.formats] - Any of 'excel', 'markdown', 'gherkin' (default: all)
+ * @returns {Promise<{ paths: Object, errors: Object }>} Paths and errors by format
+ */
+async function renderTestCaseDocument(document, options = {}) {
+    const store = options.store || new TestCaseDocumentStore();
+    const formats = options.formats || ['excel', 'markdown', 'gherkin'];
+    const paths = {};
+    const errors = {};
+    const target = extension => store.pathFor(document.ticketId, document.scenarioSlug, extension);
+
+    for (const format of formats) {
+        try {
+            if (format === 'excel') {
+                paths.excel = await renderExcel(document, target('.xlsx'));
+            } else if (format === 'markdown') {
+                paths.markdown = writeText(target('.md'), renderMarkdown(document));
+            } else if (format === 'gherkin') {
+                paths.gherkin = writeText(target('.feature'), renderGherkin(document));
+            }
+        } catch (error) {
+            errors[format] = error.message;
+        }
+    }
+    return { paths, errors };
+}
+
+/**
+ * The document as ScriptGenerator reads it: compact JSON of the test cases
+ * and the instruction to title each test() with its case ID and annotate it
+ * with the case and the criteria it covers, so results and traceability
+ * (traceability.js) can be matched back.
+ *
+ * @param {Object} document
+ * @returns {string}
+ */
+function formatForScriptGenerator(document) {
+    const payload = {
+        ticketId: document.ticketId,
+        scenario: document.scenarioName || document.scenarioId || null,
+        revision: document.revision,
+        preConditions: document.preConditions || undefined,
+        acceptanceCriteria: document.acceptanceCriteria.length ? document.acceptanceCriteria : undefined,
+        testCases: document.testCases.map(testCase => ({
+            id: testCase.id,
+            title: testCase.title,
+            priority: testCase.priority,
+            tags: testCase.tags.length ? testCase.tags : undefined,
+            covers: testCase.acceptanceCriteria.length ? testCase.acceptanceCriteria : undefined,
+            preConditions: testCase.preConditions || undefined,
+            dataRefs: testCase.dataRefs.length ? testCase.dataRefs : undefined,
+            steps: testCase.steps.map(step => ({
+                id: step.id,
+                action: step.action,
+                expected: step.expected,
+                ...(step.dataRefs.length ? { dataRefs: step.dataRefs } : {}),
+            })),
+            gherkin: testCase.gherkin?.length ? testCase.gherkin.map(step => `${step.keyword} ${step.text}`) : undefined,
+        })),
+    };
+    return [
+        `TEST CASES (${document.testCases.length}, revision ${document.revision}):`,
+        '```json',
+        JSON.stringify(payload, null, 2),
+        '```',
+        'Title each test() with its test case ID first and annotate it with the case and the criteria it covers, e.g. ' +
+        'test(\'TC-01 <title>\', { annotation: [{ type: \'testCase\', description: \'TC-01\' }, ' +
+        '{ type: \'acceptanceCriteria\', description: \'AC-1, AC-2\' }] }, async ({ page }) => { ... }). ' +
+        'Read data references from tests/test-data instead of hardcoding values.',
+    ].join('\n');
+}
+
+// ─── Excel Import ───────────────────────────────────────────────────────────
+
+/**
+ * Parse the "Test Cases" sheet of a workbook written by
+ * excel-template-generator.js into document input.
+ *
+ * @param {string[][]} rows - Cell text of columns A–D, one array per row
+ * @returns {Object} Partial document: { ticketId, ticket, preConditions, testCases }
+ */
+function parseTestCaseRows(rows) {
+    const result = { ticketId: null, ticket: { title: '', url: null }, preConditions: '', testCases: [] };
+    let current = null;
+    let inTable = false;
+
+    for (const row of rows) {
+        const [a = '', b = '', c = '', d = ''] = row.map(cell => String(cell ?? '').trim());
+        if (!a && !b && !c && !d) {
+            inTable = false;
+            continue;
+        }
+
+        if (a === 'Jira Ticket Number:') result.ticketId = b;
+        else if (a === 'Jira Ticket Title:') result.ticket.title = b;
+        else if (a === 'Jira Ticket URL:') result.ticket.url = b || null;
+        else if (a.startsWith('Pre-Conditions (If any)')) result.preConditions = b;
+        else if (/^Test Step ID$/i.test(a)) inTable = true;
+        else if (current && a.startsWith('Priority:')) {
+            for (const cell of [a, b, c, d]) {
+                const [label, ...rest] = cell.split(':');
+                const value = rest.join(':').trim();
+                const list = value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+                if (label === 'Priority') current.priority = value || undefined;
+                else if (label === 'Tags') current.tags = list;
+                else if (label === 'Covers') current.acceptanceCriteria = list;
+                else if (label === 'Data') current.dataRefs = list;
+            }
+        } else if (current && !inTable && a.startsWith('Pre-Conditions:')) {
+            current.preConditions = a.slice('Pre-Conditions:'.length).trim();
+        } else if (TEST_CASE_TITLE.test(a) && (!inTable || b === a || (!b && !c))) {
+            // Title rows are merged across A–D; a title right under a step table is still a title
+            const [, id, title] = a.match(TEST_CASE_TITLE);
+            current = { id, title: title.trim(), steps: [] };
+            inTable = false;
+            result.testCases.push(current);
+        } else if (inTable && current) {
+            current.steps.push({ id: a, action: b, expected: c, actual: d });
+        }
+    }
+    return result;
+}
+
+const TEST_CASE_TITLE = /^([A-Za-z][\w.-]*\d[\w.-]*)\s*:\s+([\s\S]+)$/;
+
+/**
+ * Import an edited Excel file: validate it with validate-test-case-excel.js,
+ * parse it, merge it with the stored document and save the next revision.
+ * Fields Excel doesn't show (acceptance criteria text, step data references)
+ * are kept from the stored document.
+ *
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {TestCaseDocumentStore} [options.store]
+ * @param {string} [options.ticketId]     - Must match the workbook when given
+ * @param {string} [options.scenarioSlug] - Default: from the hidden sheet
+ * @param {boolean} [options.force]       - Import even if the document changed since the export
+ * @param {boolean} [options.render]      - Re-render Markdown and Gherkin (default true)
+ * @returns {Promise<Object>} { imported, document?, path?, errors, warnings, changes }
+ */
+async function importTestCaseExcel(filePath, options = {}) {
+    const store = options.store || new TestCaseDocumentStore();
+    const { ExcelValidator } = require(VALIDATOR_PATH);
+    const validation = await new ExcelValidator(filePath).validate();
+    if (!validation.valid) {
+        return { imported: false, errors: validation.errors.map(error => `Excel: ${error}`), warnings: validation.warnings, changes: [] };
+    }
+
+    const { rows, identity } = await readWorkbook(filePath);
+    const parsed = parseTestCaseRows(rows);
+    const ticketId = parsed.ticketId || identity?.ticketId;
+    if (options.ticketId && ticketId !== options.ticketId) {
+        return { imported: false, errors: [`Workbook is for ${ticketId}, not ${options.ticketId}`], warnings: validation.warnings, changes: [] };
+    }
+
+    const scenarioSlug = options.scenarioSlug !== undefined ? options.scenarioSlug : identity?.scenarioSlug || null;
+    const previous = store.load(ticketId, scenarioSlug);
+    if (previous && identity?.revision && identity.revision < previous.revision && !options.force) {
+        return {
+            imported: false,
+            errors: [`The workbook was rendered from revision ${identity.revision}, but the document is at revision ${previous.revision} — re-render it or import with force`],
+            warnings: validation.warnings,
+            changes: [],
+        };
+    }
+
+    const { document, errors, warnings } = normalizeTestCaseDocument(mergeImport(parsed, previous, { ticketId, scenarioSlug, identity }));
+    if (errors.length > 0) {
+        return { imported: false, errors, warnings: [...validation.warnings, ...warnings], changes: [] };
+    }
+
+    const changes = diffTestCases(previous, document);
+    const saved = store.save(document, DOCUMENT_SOURCE.EXCEL_IMPORT);
+    const rendered = options.render === false
+        ? { paths: {}, errors: {} }
+        : await renderTestCaseDocument(saved.document, { store, formats: ['markdown', 'gherkin'] });
+    return {
+        imported: true,
+        document: saved.document,
+        path: saved.path,
+        renderings: rendered.paths,
+        errors: [],
+        warnings: [...validation.warnings, ...warnings, ...Object.entries(rendered.errors).map(([format, error]) => `${format}: ${error}`)],
+        changes,
+    };
+}
+
+function mergeImport(parsed, previous, { ticketId, scenarioSlug, identity }) {
+    const previousCases = new Map((previous?.testCases || []).map(testCase => [testCase.id, testCase]));
+    return {
+        ticketId,
+        scenarioId: previous?.scenarioId || identity?.scenarioId || null,
+        scenarioName: previous?.scenarioName || identity?.scenarioName || null,
+        scenarioSlug,
+        ticket: { title: parsed.ticket.title || previous?.ticket?.title, url: parsed.ticket.url || previous?.ticket?.url },
+        preConditions: parsed.preConditions,
+        acceptanceCriteria: previous?.acceptanceCriteria || [],
+        testCases: parsed.testCases.map(testCase => {
+            const before = previousCases.get(testCase.id);
+            const beforeSteps = new Map((before?.steps || []).map(step => [step.id, step]));
+            return {
+                ...testCase,
+                priority: testCase.priority ?? before?.priority,
+                tags: testCase.tags ?? before?.tags,
+                acceptanceCriteria: testCase.acceptanceCriteria ?? before?.acceptanceCriteria,
+                dataRefs: testCase.dataRefs ?? before?.dataRefs,
+                preConditions: testCase.preConditions ?? before?.preConditions,
+                gherkin: before?.gherkin,
+                steps: testCase.steps.map(step => ({ ...step, dataRefs: beforeSteps.get(step.id)?.dataRefs || [] })),
+            };
+        }),
+    };
+}
+
+/**
+ * @param {Object|null} before
+ * @param {Object} after
+ * @returns {string[]} One line per added, removed or changed test case
+ */
+function diffTestCases(before, after) {
+    const beforeCases = new Map((before?.testCases || []).map(testCase => [testCase.id, testCase]));
+    const afterIds = new Set(after.testCases.map(testCase => testCase.id));
+    const changes = [];
+    for (const testCase of after.testCases) {
+        const previous = beforeCases.get(testCase.id);
+        if (!previous) changes.push(`${testCase.id} added`);
+        else if (JSON.stringify(previous) !== JSON.stringify(testCase)) changes.push(`${testCase.id} changed`);
+    }
+    for (const id of beforeCases.keys()) {
+        if (!afterIds.has(id)) changes.push(`${id} removed`);
+    }
+    return changes;
+}
+
+async function readWorkbook(filePath) {
+    const ExcelJS = require('exceljs');
+    const { METADATA_SHEET } = require(GENERATOR_PATH);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+
+    const worksheet = workbook.getWorksheet('Test Cases');
+    const rows = [];
+    for (let rowNumber = 1; rowNumber <= worksheet.rowCount; rowNumber++) {
+        const row = worksheet.getRow(rowNumber);
+        rows.push([1, 2, 3, 4].map(col => row.getCell(col).text || ''));
+    }
+
+    let identity = null;
+    const metadataSheet = workbook.getWorksheet(METADATA_SHEET);
+    if (metadataSheet) {
+        try {
+            identity = JSON.parse(metadataSheet.getCell('A1').text);
+        } catch {
+            identity = null;
+        }
+    }
+    return { rows, identity };
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function documentIdentity(document) {
+    return {
+        schemaVersion: document.schemaVersion,
+        ticketId: document.ticketId,
+        scenarioId: document.scenarioId,
+        scenarioName: document.scenarioName,
+        scenarioSlug: document.scenarioSlug,
+        revision: document.revision,
+    };
+}
+
+function normalizePriority(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const key = String(value).trim().toLowerCase();
+    if (PRIORITIES.includes(key)) return key;
+    return PRIORITY_ALIASES[key] || null;
+}
+
+function parseJSONField(value, name) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        throw new Error(`Invalid ${name} JSON: ${error.message}`);
+    }
+}
+
+function toArray(value) {
+    if (value === undefined || value === null || value === '') return [];
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string') return value.split(',').map(item => item.trim()).filter(Boolean);
+    return [value];
+}
+
+function uniqueStrings(values) {
+    return [...new Set(values.map(value => String(value).trim()).filter(Boolean))];
+}
+
+function duplicates(values) {
+    return [...new Set(values.filter((value, i) => values.indexOf(value) !== i))];
+}
+
+function markdownCell(value) {
+    return String(value || '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function gherkinText(value) {
+    return String(value || '').replace(/\s*\r?\n\s*/g, ' ').trim();
+}
+
+/**
+ * Gherkin steps from "Given …" lines (a string or array) or { keyword, text }
+ * objects. Lines without a keyword are dropped from strings.
+ */
+function gherkinSteps(value) {
+    const items = typeof value === 'string' ? value.split(/\r?\n/) : toArray(value);
+    return items.map(item => {
+        if (item && typeof item === 'object') {
+            const keyword = String(item.keyword || '').trim();
+            return { keyword: keyword.charAt(0).toUpperCase() + keyword.slice(1).toLowerCase(), text: String(item.text || '').trim() };
+        }
+        const match = String(item).match(GHERKIN_LINE);
+        return match ? { keyword: match[1].charAt(0).toUpperCase() + match[1].slice(1).toLowerCase(), text: match[2] } : null;
+    }).filter(Boolean);
+}
+
+/** "1: User is signed in\n2: Search page is open" → one Given per line */
+function preConditionLines(text) {
+    return String(text || '')
+        .split(/\r?\n/)
+        .map(line => line.replace(/^\s*(?:\d+[:.)]|[-*•])\s*/, '').trim())
+        .filter(Boolean);
+}
+
+function jiraBrowseUrl(ticketId) {
+    return `${(process.env.JIRA_BASE_URL || 'https://jira.atlassian.net/').replace(/\/+$/, '')}/browse/${ticketId}`;
+}
+
+function writeText(filePath, content) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content, 'utf-8');
+    return filePath;
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+    SCHEMA_VERSION,
+    PRIORITIES,
+    DOCUMENT_SOURCE,
+    normalizeTestCaseDocument,
+    buildTestCaseDocument,
+    testCaseFileStem,
+    TestCaseDocumentStore,
+    renderMarkdown,
+    renderGherkin,
+    scenarioSteps,
+    renderExcel,
+    renderTestCaseDocument,
+    formatForScriptGenerator,
+    parseTestCaseRows,
+    importTestCaseExcel,
+    diffTestCases,
+};
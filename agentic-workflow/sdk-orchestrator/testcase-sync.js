@@ -0,0 +1,495 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TEST CASE SYNC — TestGenie Cases and Pipeline Results to Test Management
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Pushes TestGenie test cases (the step model behind generate_test_case_excel:
+ * stepId / action / expected / actual, plus pre-conditions) to the tool in
+ * sdk.testManagement.provider, linked to the source ticket, and pushes
+ * pipeline execution results back as test runs.
+ *
+ *   - Each case is remembered by provider + ticket + TestGenie case ID, so a
+ *     re-sync updates the case it created instead of adding a duplicate, and
+ *     a case whose payload has not changed is not re-sent.
+ *   - Results are matched to synced cases by the case ID or the tool's key in
+ *     the Playwright test title (e.g. "TC-02 saves the filter"), or by equal
+ *     titles. Cases no test matches get the outcome of the whole run.
+ *   - Dry runs (sdk.testManagement.dryRun or per call) return the payloads
+ *     that would be sent and make no requests.
+ *
+ * With sdk.testManagement.pushResults, every completed run of a ticket with
+ * synced cases is pushed when EventBridge emits RUN_COMPLETE. Push failures
+ * are logged and never affect the run.
+ *
+ * Layout:
+ *   test-artifacts/test-management.json  — case mappings and pushed runs
+ *
+ * @module sdk-orchestrator/testcase-sync
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+'use strict';
+
+const path = require('path');
+const { createTestManagementAdapter, loadTestManagementConfig, fingerprint, RESULT_STATUS } = require('./test-management');
+const { parsePlaywrightReport, TEST_STATUS } = require('./playwright-results');
+const { EVENT_TYPES } = require('./event-bridge');
+const { RUN_STATUS } = require('./run-store');
+const { writeJSONSync, readJSONSync } = require('./utils');
+
+const WORKFLOW_ROOT = path.join(__dirname, '..');
+const DEFAULT_STORE_PATH = path.join(WORKFLOW_ROOT, 'test-artifacts', 'test-management.json');
+
+// ─── Test Case Model ────────────────────────────────────────────────────────
+
+/**
+ * Normalize TestGenie output into SyncTestCase records and validate them.
+ * Accepts the generator shape (testCases: [{ id, title, steps: [{ id, action,
+ * expected, actual }] }]) or the flat steps generate_test_case_excel takes
+ * (testSteps + testSuiteName), as arrays or JSON strings.
+ *
+ * @param {Object} input
+ * @param {Array|string} [input.testCases]
+ * @param {Array|string} [input.testSteps]
+ * @param {string} [input.testSuiteName]
+ * @param {string} [input.preConditions] - Shared by cases without their own
+ * @param {string[]} [input.labels]      - Added to every case
+ * @returns {{ testCases: Object[], errors: string[] }}
+ */
+function normalizeTestCases(input = {}) {
+    const parse = (value, name) => {
+        if (typeof value !== 'string') return value;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            throw new Error(`Invalid ${name} JSON: ${error.message}`);
+        }
+    };
+
+    let cases = parse(input.testCases, 'testCases');
+    if (!cases && input.testSteps) {
+        cases = [{ id: 'TC-01', title: input.testSuiteName, steps: parse(input.testSteps, 'testSteps') }];
+    }
+    if (!Array.isArray(cases) || cases.length === 0) {
+        return { testCases: [], errors: ['No test cases provided (testCases or testSteps)'] };
+    }
+
+    const errors = [];
+    const testCases = cases.map((testCase, index) => {
+        const label = `Test case ${index + 1}`;
+        const normalized = {
+            id: String(testCase.id || `TC-${String(index + 1).padStart(2, '0')}`),
+            title: String(testCase.title || testCase.name || input.testSuiteName || '').trim(),
+            preConditions: String(testCase.preConditions ?? input.preConditions ?? '').trim(),
+            labels: [...new Set([...(testCase.labels || []), ...(input.labels || [])].map(String))],
+            steps: (Array.isArray(testCase.steps) ? testCase.steps : []).map((step, stepIndex) => ({
+                stepId: String(step.stepId || step.id || stepIndex + 1),
+                action: String(step.action || step.activity || '').trim(),
+                expected: String(step.expected || step.expectedResult || '').trim(),
+                actual: String(step.actual || step.actualResults || step.actualResult || '').trim(),
+            })),
+        };
+
+        if (!normalized.title) errors.push(`${label}: missing title`);
+        if (normalized.steps.length === 0) errors.push(`${label}: no steps`);
+        normalized.steps.forEach((step, stepIndex) => {
+            if (!step.action) errors.push(`${label}, step ${stepIndex + 1}: missing action`);
+            if (!step.expected) errors.push(`${label}, step ${stepIndex + 1}: missing expected result`);
+        });
+        return normalized;
+    });
+
+    const ids = testCases.map(testCase => testCase.id);
+    for (const id of new Set(ids.filter((id, i) => ids.indexOf(id) !== i))) {
+        errors.push(`Duplicate test case ID ${id}`);
+    }
+    return { testCases, errors };
+}
+
+// ─── Mapping Store ──────────────────────────────────────────────────────────
+
+/**
+ * Where the mappings live: sdk.testManagement.storePath (relative to
+ * agentic-workflow/) or next to the run store.
+ *
+ * @param {Object} config - From loadTestManagementConfig()
+ * @param {string} [runStoreLocation]
+ * @returns {string}
+ */
+function resolveTestManagementStorePath(config = {}, runStoreLocation) {
+    if (config.storePath) {
+        return path.isAbsolute(config.storePath) ? config.storePath : path.join(WORKFLOW_ROOT, config.storePath);
+    }
+    return runStoreLocation
+        ? path.join(path.dirname(runStoreLocation), 'test-management.json')
+        : DEFAULT_STORE_PATH;
+}
+
+class TestCaseSyncStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.storePath]
+     */
+    constructor(options = {}) {
+        this.storePath = options.storePath || DEFAULT_STORE_PATH;
+    }
+
+    /**
+     * @param {string} provider
+     * @param {string} ticketId
+     * @param {string} caseId
+     * @returns {Object|null}
+     */
+    getCase(provider, ticketId, caseId) {
+        return this._read().cases[caseKey(provider, ticketId, caseId)] || null;
+    }
+
+    /**
+     * @param {Object} [filter]
+     * @param {string} [filter.provider]
+     * @param {string} [filter.ticketId]
+     * @returns {Object[]} Oldest first
+     */
+    listCases(filter = {}) {
+        return Object.values(this._read().cases)
+            .filter(entry => !filter.provider || entry.provider === filter.provider)
+            .filter(entry => !filter.ticketId || entry.ticketId === filter.ticketId)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    saveCase(entry) {
+        const data = this._read();
+        const key = caseKey(entry.provider, entry.ticketId, entry.caseId);
+        const now = new Date().toISOString();
+        data.cases[key] = { ...entry, createdAt: data.cases[key]?.createdAt || now, syncedAt: now };
+        writeJSONSync(this.storePath, data);
+        return data.cases[key];
+    }
+
+    /**
+     * @param {string} provider
+     * @param {string} runId - Pipeline run ID
+     * @returns {Object|null}
+     */
+    getRunPush(provider, runId) {
+        return this._read().runs[`${provider}|${runId}`] || null;
+    }
+
+    saveRunPush(entry) {
+        const data = this._read();
+        data.runs[`${entry.provider}|${entry.runId}`] = { ...entry, pushedAt: new Date().toISOString() };
+        writeJSONSync(this.storePath, data);
+        return data.runs[`${entry.provider}|${entry.runId}`];
+    }
+
+    _read() {
+        const data = readJSONSync(this.storePath, null);
+        return { cases: data?.cases || {}, runs: data?.runs || {} };
+    }
+}
+
+function caseKey(provider, ticketId, caseId) {
+    return `${provider}|${ticketId}|${caseId}`;
+}
+
+// ─── Results ────────────────────────────────────────────────────────────────
+
+/**
+ * Per-test records of a run, read from each scenario's raw Playwright
+ * results, and the run's overall outcome.
+ *
+ * @param {Object} run - Run record
+ * @returns {{ tests: Object[], rollup: string, passedCount: number, totalCount: number }}
+ */
+function collectRunResults(run) {
+    const tests = [];
+    let totalCount = 0;
+    let failedCount = 0;
+
+    for (const scenario of run.result?.scenarioResults || []) {
+        const summary = scenario.artifacts?.testResults || null;
+        const raw = summary?.rawResultsFile ? readJSONSync(summary.rawResultsFile, null) : null;
+        const report = raw?.playwrightResult || null;
+        if (report && Array.isArray(report.suites)) {
+            tests.push(...parsePlaywrightReport(report).tests);
+        }
+        if (summary) {
+            totalCount += summary.totalCount || 0;
+            failedCount += summary.failedCount || 0;
+        }
+    }
+
+    if (tests.length > 0) {
+        totalCount = tests.length;
+        failedCount = tests.filter(test => resultStatusOf([test]) === RESULT_STATUS.FAILED).length;
+    }
+
+    let rollup;
+    if (run.status === RUN_STATUS.CANCELLED || totalCount === 0) rollup = RESULT_STATUS.BLOCKED;
+    else rollup = failedCount > 0 ? RESULT_STATUS.FAILED : RESULT_STATUS.PASSED;
+
+    return { tests, rollup, passedCount: totalCount - failedCount, totalCount };
+}
+
+/**
+ * One result per synced case.
+ *
+ * @param {Object[]} mappings - TestCaseSyncStore entries of the ticket
+ * @param {{ tests: Object[], rollup: string, passedCount: number, totalCount: number }} collected
+ * @returns {Object[]} CaseResult records
+ */
+function matchCaseResults(mappings, collected) {
+    return mappings.map(mapping => {
+        const tests = collected.tests.filter(test => testMatchesCase(test, mapping));
+        if (tests.length === 0) {
+            return {
+                remote: mapping.remote,
+                caseId: mapping.caseId,
+                status: collected.rollup,
+                durationMs: null,
+                comment: `No test titled with ${mapping.caseId} or ${mapping.remote.key} — result of the whole run (${collected.passedCount}/${collected.totalCount} tests passed)`,
+            };
+        }
+
+        const lines = tests.map(test => {
+            const icon = { passed: '✓', flaky: '✓', skipped: '–' }[test.status] || '✗';
+            const retried = test.status === TEST_STATUS.FLAKY ? ` (passed on retry ${test.retries})` : '';
+            const error = test.error?.message ? `: ${firstLine(test.error.message)}` : '';
+            return `${icon} ${test.titlePath.join(' › ')}${test.project ? ` [${test.project}]` : ''}${retried}${error}`;
+        });
+        return {
+            remote: mapping.remote,
+            caseId: mapping.caseId,
+            status: resultStatusOf(tests),
+            durationMs: tests.reduce((total, test) => total + (test.duration || 0), 0),
+            comment: lines.join('\n'),
+        };
+    });
+}
+
+function testMatchesCase(test, mapping) {
+    const title = (test.titlePath || [test.title]).join(' ');
+    const tokens = [mapping.caseId, mapping.remote?.key].filter(Boolean).map(escapeRegExp);
+    if (tokens.some(token => new RegExp(`(^|[^A-Za-z0-9-])${token}($|[^A-Za-z0-9])`, 'i').test(title))) return true;
+    const leafTitle = test.titlePath?.length ? test.titlePath[test.titlePath.length - 1] : test.title;
+    return Boolean(mapping.title) && String(leafTitle).trim().toLowerCase() === mapping.title.trim().toLowerCase();
+}
+
+function resultStatusOf(tests) {
+    if (tests.some(test => test.status === TEST_STATUS.FAILED || test.status === TEST_STATUS.TIMED_OUT)) return RESULT_STATUS.FAILED;
+    if (tests.every(test => test.status === TEST_STATUS.SKIPPED)) return RESULT_STATUS.SKIPPED;
+    return RESULT_STATUS.PASSED;
+}
+
+function firstLine(text) {
+    return String(text).replace(/\u001b\[[0-9;]*m/g, '').split('\n').find(line => line.trim())?.trim().slice(0, 200) || '';
+}
+
+function escapeRegExp(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ─── Sync Service ───────────────────────────────────────────────────────────
+
+class TestCaseSync {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.config]      - From loadTestManagementConfig() (loaded when omitted)
+     * @param {Object|null} [options.adapter] - Default: createTestManagementAdapter(config)
+     * @param {TestCaseSyncStore} [options.store]
+     * @param {Object} [options.runStore]    - For subscribe() and pushRunResultsById()
+     * @param {Object} [options.eventBridge] - For subscribe()
+     * @param {Function} [options.log]       - (message, level) logger
+     */
+    constructor(options = {}) {
+        this.config = options.config || loadTestManagementConfig();
+        this.adapter = options.adapter !== undefined ? options.adapter : createTestManagementAdapter(this.config);
+        this.store = options.store || new TestCaseSyncStore({
+            storePath: resolveTestManagementStorePath(this.config, options.runStore?.storePath),
+        });
+        this.runStore = options.runStore || null;
+        this.eventBridge = options.eventBridge || null;
+        this.log = options.log || ((message) => console.log(`[TestSync] ${message}`));
+        this._listener = null;
+    }
+
+    /** @returns {boolean} Whether a provider is configured */
+    get enabled() {
+        return Boolean(this.adapter);
+    }
+
+    // ─── Test Cases ─────────────────────────────────────────────────
+
+    /**
+     * Create or update the ticket's test cases in the test management tool.
+     *
+     * @param {Object} input
+     * @param {string} input.ticketId
+     * @param {string} [input.ticketUrl]
+     * @param {Object[]} input.testCases - From normalizeTestCases()
+     * @param {boolean} [input.dryRun]  - Default: sdk.testManagement.dryRun
+     * @returns {Promise<Object>} { provider, ticketId, dryRun, created, updated, unchanged, failed, cases }
+     */
+    async syncTestCases({ ticketId, ticketUrl = null, testCases, dryRun }) {
+        const adapter = this._requireAdapter();
+        const isDryRun = dryRun ?? this.config.dryRun;
+        const context = { ticketId, ticketUrl };
+        const cases = [];
+
+        for (const testCase of testCases) {
+            const payload = adapter.buildCasePayload(testCase, context);
+            const hash = fingerprint(payload);
+            const existing = this.store.getCase(adapter.type, ticketId, testCase.id);
+            const action = !existing ? 'create' : existing.fingerprint === hash ? 'unchanged' : 'update';
+
+            if (isDryRun) {
+                cases.push({ caseId: testCase.id, title: testCase.title, action, remote: existing?.remote || null, payload });
+                continue;
+            }
+            if (action === 'unchanged') {
+                cases.push({ caseId: testCase.id, title: testCase.title, action, remote: existing.remote });
+                continue;
+            }
+
+            try {
+                const remote = action === 'create'
+                    ? await adapter.createTestCase(testCase, context)
+                    : await adapter.updateTestCase(existing.remote, testCase, context);
+                this.store.saveCase({
+                    provider: adapter.type,
+                    ticketId,
+                    caseId: testCase.id,
+                    title: testCase.title,
+                    remote,
+                    fingerprint: hash,
+                });
+                cases.push({ caseId: testCase.id, title: testCase.title, action, remote });
+            } catch (error) {
+                cases.push({ caseId: testCase.id, title: testCase.title, action, error: error.message });
+            }
+        }
+
+        const count = action => cases.filter(entry => entry.action === action && !entry.error).length;
+        const result = {
+            provider: adapter.type,
+            ticketId,
+            dryRun: isDryRun,
+            created: count('create'),
+            updated: count('update'),
+            unchanged: count('unchanged'),
+            failed: cases.filter(entry => entry.error).length,
+            cases,
+        };
+        if (!isDryRun) {
+            this.log(`${ticketId}: ${result.created} created, ${result.updated} updated, ${result.unchanged} unchanged, ${result.failed} failed in ${adapter.displayName}`);
+        }
+        return result;
+    }
+
+    /**
+     * @param {string} ticketId
+     * @returns {Object[]} The ticket's synced cases for the configured provider
+     */
+    listSyncedCases(ticketId) {
+        return this.store.listCases({ provider: this._requireAdapter().type, ticketId });
+    }
+
+    // ─── Test Runs ──────────────────────────────────────────────────
+
+    /**
+     * Push a finished run's results for the ticket's synced cases as a test run.
+     *
+     * @param {Object} run - Run record
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun] - Default: sdk.testManagement.dryRun
+     * @param {boolean} [options.force]  - Push again even if this run was pushed
+     * @returns {Promise<Object>}
+     */
+    async pushRunResults(run, options = {}) {
+        const adapter = this._requireAdapter();
+        const isDryRun = options.dryRun ?? this.config.dryRun;
+        const mappings = this.store.listCases({ provider: adapter.type, ticketId: run.ticketId });
+        if (mappings.length === 0) {
+            return { pushed: false, runId: run.runId, reason: `No test cases of ${run.ticketId} are synced to ${adapter.displayName}` };
+        }
+
+        const previous = this.store.getRunPush(adapter.type, run.runId);
+        if (previous && !options.force && !isDryRun) {
+            return { pushed: false, runId: run.runId, reason: 'Already pushed', testRun: previous.testRun };
+        }
+
+        const runInfo = {
+            name: this.config.runName.replace(/\{ticketId\}/g, run.ticketId).replace(/\{runId\}/g, run.runId),
+            ticketId: run.ticketId,
+            runId: run.runId,
+            environment: run.environment || null,
+            startedAt: run.startedAt || null,
+            completedAt: run.completedAt || null,
+        };
+        const results = matchCaseResults(mappings, collectRunResults(run));
+        const counts = Object.fromEntries(Object.values(RESULT_STATUS).map(status => [
+            status, results.filter(result => result.status === status).length,
+        ]));
+
+        if (isDryRun) {
+            return { pushed: false, dryRun: true, runId: run.runId, counts, results, payload: adapter.buildRunPayload(runInfo, results) };
+        }
+
+        const testRun = await adapter.createTestRun(runInfo, results);
+        this.store.saveRunPush({ provider: adapter.type, runId: run.runId, ticketId: run.ticketId, testRun, counts });
+        this.log(`${run.runId}: results for ${results.length} case(s) pushed to ${adapter.displayName} as ${testRun.key || testRun.id}`);
+        return { pushed: true, runId: run.runId, counts, results, testRun };
+    }
+
+    /**
+     * pushRunResults() for a run in the run store.
+     * @param {string} runId
+     * @param {Object} [options]
+     * @returns {Promise<Object>}
+     */
+    async pushRunResultsById(runId, options = {}) {
+        const run = this.runStore?.getRun(runId);
+        if (!run) throw new Error(`Run ${runId} not found`);
+        if (![RUN_STATUS.COMPLETED, RUN_STATUS.FAILED, RUN_STATUS.CANCELLED].includes(run.status)) {
+            throw new Error(`Run ${runId} is ${run.status} — results are pushed once it has finished`);
+        }
+        return this.pushRunResults(run, options);
+    }
+
+    /** Push every finished run (sdk.testManagement.pushResults). */
+    subscribe() {
+        if (this._listener || !this.eventBridge || !this.runStore) return;
+        this._listener = (event) => {
+            if (!this.config.pushResults || !this.adapter) return;
+            const run = this.runStore.getRun(event.runId);
+            if (!run || run.status === RUN_STATUS.CANCELLED) return;
+            this.pushRunResults(run)
+                .then(result => {
+                    if (!result.pushed && result.reason) this.log(`${run.runId}: not pushed — ${result.reason}`);
+                })
+                .catch(error => this.log(`${run.runId}: pushing results failed: ${error.message}`, 'warn'));
+        };
+        this.eventBridge.on(EVENT_TYPES.RUN_COMPLETE, this._listener);
+    }
+
+    unsubscribe() {
+        if (this._listener) this.eventBridge.off(EVENT_TYPES.RUN_COMPLETE, this._listener);
+        this._listener = null;
+    }
+
+    _requireAdapter() {
+        if (!this.adapter) throw new Error('No test management provider configured (sdk.testManagement.provider)');
+        return this.adapter;
+    }
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+    TestCaseSync,
+    TestCaseSyncStore,
+    normalizeTestCases,
+    collectRunResults,
+    matchCaseResults,
+    resolveTestManagementStorePath,
+};
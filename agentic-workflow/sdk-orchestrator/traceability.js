@@ -0,0 +1,641 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TRACEABILITY — Acceptance Criteria → Test Cases → Tests → Latest Results
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Builds the requirements traceability matrix of a ticket:
+ *
+ *   acceptance criterion ── covered by ──▶ test case       (test case documents)
+ *   test case            ── automated by ─▶ test() / Scenario (specs, features)
+ *   test                 ── latest ──────▶ outcome          (RunStore test history)
+ *
+ * ScriptGenerator links each test() to its test case and criteria with
+ * Playwright annotations:
+ *
+ *   test('TC-01 Filters persist', {
+ *       annotation: [
+ *           { type: 'testCase', description: 'TC-01' },
+ *           { type: 'acceptanceCriteria', description: 'AC-1, AC-2' },
+ *       ],
+ *   }, async ({ page }) => { ... });
+ *
+ * A known test case ID in the title links too, for specs written without
+ * annotations. Feature scenarios link through their @TC-01 / @AC-1 tags.
+ *
+ * Status of a test case or criterion (worst linked test wins):
+ *   passing · failing · not-run · not-automated (no test) · not-covered
+ *   (criterion without a test case or test)
+ *
+ * The matrix exports through scripts/html-report-generator.js and
+ * scripts/excel-report-generator.js.
+ *
+ * @module sdk-orchestrator/traceability
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { loadWorkflowConfig } = require('./utils');
+const { TEST_STATUS } = require('./playwright-results');
+const { loadBddConfig, findFeatureFiles, parseFeature } = require('./bdd-steps');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..', '..');
+const DEFAULT_SPECS_DIR = 'tests/specs';
+const HISTORY_LIMIT = 5000;
+
+const ANNOTATION_TYPES = {
+    TEST_CASE: 'testCase',
+    ACCEPTANCE_CRITERIA: 'acceptanceCriteria',
+};
+
+const TRACE_STATUS = {
+    PASSING: 'passing',
+    FAILING: 'failing',
+    NOT_RUN: 'not-run',
+    NOT_AUTOMATED: 'not-automated',
+    NOT_COVERED: 'not-covered',
+};
+
+const GAP_TYPES = {
+    UNCOVERED_CRITERION: 'uncovered-criterion',
+    UNAUTOMATED_TEST_CASE: 'unautomated-test-case',
+    FAILING_TEST: 'failing-test',
+    NOT_RUN_TEST: 'not-run-test',
+    UNLINKED_TEST: 'unlinked-test',
+    UNKNOWN_REFERENCE: 'unknown-reference',
+};
+
+const GAP_SEVERITY = {
+    [GAP_TYPES.UNCOVERED_CRITERION]: 'high',
+    [GAP_TYPES.FAILING_TEST]: 'high',
+    [GAP_TYPES.UNAUTOMATED_TEST_CASE]: 'medium',
+    [GAP_TYPES.UNKNOWN_REFERENCE]: 'medium',
+    [GAP_TYPES.NOT_RUN_TEST]: 'low',
+    [GAP_TYPES.UNLINKED_TEST]: 'low',
+};
+
+// Worst first — a test case or criterion takes the worst status of its tests
+const STATUS_ORDER = [TRACE_STATUS.FAILING, TRACE_STATUS.NOT_RUN, TRACE_STATUS.PASSING];
+
+const TEST_CALL = /\btest(?:\.(?:only|skip|fixme|fail|slow))?\s*\(\s*(['"`])((?:\\.|(?!\1)[^\\])*)\1/g;
+const ANNOTATION = /type\s*:\s*(['"`])(\w+)\1\s*,\s*description\s*:\s*(['"`])((?:\\.|(?!\3)[^\\])*)\3/g;
+const TAG_ID = /@((?:TC|AC)-[\w.]+)/g;
+
+// ─── Sources ────────────────────────────────────────────────────────────────
+
+/**
+ * The test() calls of a spec with the test case and criteria IDs their
+ * annotations (or @TC- / @AC- tags in the details object) name. test.describe,
+ * test.step and the hooks are not tests and are skipped.
+ *
+ * @param {string} content
+ * @param {string} file - Recorded on each test
+ * @returns {Array<{ title, file, line, source, testCases: string[], acceptanceCriteria: string[] }>}
+ */
+function parseSpecTests(content, file) {
+    const source = String(content || '');
+    const calls = [...source.matchAll(TEST_CALL)];
+
+    return calls.map((call, i) => {
+        const end = call.index + call[0].length;
+        const next = calls[i + 1]?.index ?? source.length;
+        // The details object sits between the title and the test body
+        const bodyStart = source.slice(end, next).search(/\basync\b|\bfunction\b|=>/);
+        const details = source.slice(end, bodyStart === -1 ? next : end + bodyStart);
+
+        const testCases = [];
+        const acceptanceCriteria = [];
+        for (const [, , type, , description] of details.matchAll(ANNOTATION)) {
+            if (type === ANNOTATION_TYPES.TEST_CASE) testCases.push(...splitIds(description));
+            if (type === ANNOTATION_TYPES.ACCEPTANCE_CRITERIA) acceptanceCriteria.push(...splitIds(description));
+        }
+        for (const [, id] of details.matchAll(TAG_ID)) {
+            (id.toUpperCase().startsWith('TC-') ? testCases : acceptanceCriteria).push(id);
+        }
+
+        return {
+            title: call[2].replace(/\\(['"`\\])/g, '$1'),
+            file,
+            line: source.slice(0, call.index).split('\n').length,
+            source: 'spec',
+            testCases: unique(testCases),
+            acceptanceCriteria: unique(acceptanceCriteria),
+        };
+    });
+}
+
+/**
+ * The scenarios of a Gherkin feature as tests, linked through their
+ * @TC- / @AC- tags (renderGherkin writes both).
+ *
+ * @param {string} content
+ * @param {string} file
+ * @returns {Object[]} Same shape as parseSpecTests()
+ */
+function parseFeatureTests(content, file) {
+    return parseFeature(content, file).scenarios.map(scenario => ({
+        title: scenario.name,
+        file,
+        line: scenario.line,
+        source: 'feature',
+        testCases: unique(scenario.tags.filter(tag => /^TC-/i.test(tag))),
+        acceptanceCriteria: unique(scenario.tags.filter(tag => /^AC-/i.test(tag))),
+    }));
+}
+
+// ─── Matrix ─────────────────────────────────────────────────────────────────
+
+/**
+ * Link a ticket's criteria, test cases, tests and results. Pure — the inputs
+ * come from collectTraceability() or the caller.
+ *
+ * @param {Object} input
+ * @param {string} input.ticketId
+ * @param {Object[]} input.documents - Test case documents of the ticket
+ * @param {Object[]} input.tests - parseSpecTests() / parseFeatureTests() results
+ * @param {Object[]} [input.history] - RunStore test history of the ticket, newest first
+ * @returns {Object} { ticketId, ticket, generatedAt, latestRun, criteria, testCases, tests, gaps, summary }
+ */
+function buildTraceabilityMatrix(input) {
+    const { ticketId, documents = [], history = [] } = input;
+    const scenarios = documents.map(document => document.scenarioSlug).filter(Boolean);
+
+    // Criteria are ticket-wide; scenario documents repeat them
+    const criteria = new Map();
+    for (const document of documents) {
+        for (const criterion of document.acceptanceCriteria || []) {
+            if (!criteria.has(criterion.id)) {
+                criteria.set(criterion.id, { id: criterion.id, text: criterion.text, testCases: [], tests: [], status: null });
+            }
+        }
+    }
+
+    const testCases = [];
+    for (const document of documents) {
+        for (const testCase of document.testCases || []) {
+            const scenario = document.scenarioSlug || null;
+            testCases.push({
+                key: scenario ? `${scenario}/${testCase.id}` : testCase.id,
+                id: testCase.id,
+                scenario,
+                title: testCase.title,
+                priority: testCase.priority,
+                acceptanceCriteria: [...(testCase.acceptanceCriteria || [])],
+                tests: [],
+                status: null,
+            });
+        }
+    }
+
+    const gaps = [];
+    const tests = (input.tests || []).map((test, index) => {
+        const scenario = scenarioOfFile(test.file, ticketId, scenarios);
+        const candidates = testCases.filter(testCase => !scenario || !testCase.scenario || testCase.scenario === scenario);
+        const result = latestResult(test, history);
+        const linked = {
+            key: `${test.file}:${test.line || index}`,
+            title: test.title,
+            file: test.file,
+            line: test.line || null,
+            source: test.source,
+            testCases: [],
+            acceptanceCriteria: [],
+            result,
+            status: statusOfResult(result),
+        };
+
+        for (const id of test.testCases || []) {
+            const matches = candidates.filter(testCase => sameId(testCase.id, id));
+            if (matches.length === 0) gaps.push(gap(GAP_TYPES.UNKNOWN_REFERENCE, id, `${describeTest(linked)} names ${id}, which is not a test case of ${ticketId}`));
+            linked.testCases.push(...matches.map(testCase => testCase.key));
+        }
+        // A case ID in the title links specs written without annotations
+        if (linked.testCases.length === 0) {
+            linked.testCases.push(...candidates.filter(testCase => mentionsId(test.title, testCase.id)).map(testCase => testCase.key));
+        }
+        for (const id of test.acceptanceCriteria || []) {
+            const criterion = [...criteria.values()].find(entry => sameId(entry.id, id));
+            if (!criterion) gaps.push(gap(GAP_TYPES.UNKNOWN_REFERENCE, id, `${describeTest(linked)} names ${id}, which is not an acceptance criterion of ${ticketId}`));
+            else linked.acceptanceCriteria.push(criterion.id);
+        }
+        linked.testCases = unique(linked.testCases);
+        linked.acceptanceCriteria = unique(linked.acceptanceCriteria);
+        return linked;
+    });
+
+    for (const testCase of testCases) {
+        const linkedTests = tests.filter(test => test.testCases.includes(testCase.key));
+        testCase.tests = linkedTests.map(test => test.key);
+        testCase.status = linkedTests.length === 0 ? TRACE_STATUS.NOT_AUTOMATED : worstStatus(linkedTests);
+        if (linkedTests.length === 0) {
+            gaps.push(gap(GAP_TYPES.UNAUTOMATED_TEST_CASE, testCase.key, `${testCase.key} has no test in a spec or feature`));
+        }
+        for (const criterionId of testCase.acceptanceCriteria) {
+            const criterion = criteria.get(criterionId);
+            if (criterion) criterion.testCases.push(testCase.key);
+        }
+    }
+
+    for (const criterion of criteria.values()) {
+        const linkedTests = tests.filter(test => test.acceptanceCriteria.includes(criterion.id)
+            || test.testCases.some(key => criterion.testCases.includes(key)));
+        criterion.tests = linkedTests.map(test => test.key);
+        if (criterion.testCases.length === 0 && linkedTests.length === 0) {
+            criterion.status = TRACE_STATUS.NOT_COVERED;
+            gaps.push(gap(GAP_TYPES.UNCOVERED_CRITERION, criterion.id, `${criterion.id} is not covered by any test case or test`));
+        } else {
+            criterion.status = linkedTests.length === 0 ? TRACE_STATUS.NOT_AUTOMATED : worstStatus(linkedTests);
+        }
+    }
+
+    for (const test of tests) {
+        if (test.testCases.length === 0 && test.acceptanceCriteria.length === 0) {
+            gaps.push(gap(GAP_TYPES.UNLINKED_TEST, test.key, `${describeTest(test)} is not linked to a test case or criterion`));
+        }
+        if (test.status === TRACE_STATUS.FAILING) {
+            gaps.push(gap(GAP_TYPES.FAILING_TEST, test.key, `${describeTest(test)} ${test.result.status} in run ${test.result.runId}${test.result.error ? `: ${test.result.error}` : ''}`));
+        } else if (test.status === TRACE_STATUS.NOT_RUN) {
+            gaps.push(gap(GAP_TYPES.NOT_RUN_TEST, test.key, `${describeTest(test)} has no ${test.result ? 'executed' : 'recorded'} result`));
+        }
+    }
+
+    const criteriaList = [...criteria.values()];
+    const firstDocument = documents[0] || {};
+    return {
+        ticketId,
+        ticket: firstDocument.ticket || null,
+        generatedAt: new Date().toISOString(),
+        latestRun: history[0] ? { runId: history[0].runId, recordedAt: history[0].recordedAt } : null,
+        criteria: criteriaList,
+        testCases,
+        tests,
+        gaps: gaps.sort((a, b) => severityRank(a.severity) - severityRank(b.severity)),
+        summary: summarize(criteriaList, testCases, tests, gaps),
+    };
+}
+
+/**
+ * Gather a ticket's documents, specs, features and test history and build
+ * its matrix.
+ *
+ * @param {string} ticketId
+ * @param {Object} options
+ * @param {Object} options.store - TestCaseDocumentStore
+ * @param {Object} [options.runStore] - Results are left out without one
+ * @param {string} [options.projectRoot]
+ * @param {string} [options.specsDir] - Relative to projectRoot (default: projectPaths.specsDir)
+ * @param {Object} [options.bddConfig] - sdk.bdd section (feature location)
+ * @returns {Object} buildTraceabilityMatrix() result
+ */
+function collectTraceability(ticketId, options = {}) {
+    const projectRoot = options.projectRoot || PROJECT_ROOT;
+    const specsDir = options.specsDir || loadWorkflowConfig()?.projectPaths?.specsDir || DEFAULT_SPECS_DIR;
+    const history = options.runStore ? options.runStore.getTestHistory({ ticketId, limit: HISTORY_LIMIT }) : [];
+
+    // The ticket's spec folder plus any other spec it was executed from
+    const specFiles = new Set(walkSpecs(path.resolve(projectRoot, specsDir, ticketId.toLowerCase())));
+    for (const record of history) {
+        if (!record.specPath) continue;
+        const specPath = path.resolve(projectRoot, record.specPath);
+        if (/\.spec\.[jt]s$/.test(specPath) && fs.existsSync(specPath)) specFiles.add(specPath);
+    }
+
+    const relative = (filePath) => path.relative(projectRoot, filePath).replace(/\\/g, '/');
+    const tests = [];
+    for (const specPath of [...specFiles].sort()) {
+        tests.push(...parseSpecTests(readFile(specPath), relative(specPath)));
+    }
+    const bddConfig = loadBddConfig(options.bddConfig);
+    for (const featurePath of findFeatureFiles(ticketId, { config: bddConfig, projectRoot })) {
+        tests.push(...parseFeatureTests(readFile(featurePath), relative(featurePath)));
+    }
+
+    return buildTraceabilityMatrix({ ticketId, documents: options.store.list(ticketId), tests, history });
+}
+
+// ─── Report Export ──────────────────────────────────────────────────────────
+
+/**
+ * The matrix as html-report-generator sections.
+ *
+ * @param {Object} matrix - buildTraceabilityMatrix() result
+ * @returns {Object[]}
+ */
+function toReportSections(matrix) {
+    const { summary } = matrix;
+    const sections = [
+        { type: 'heading', level: 1, text: `Traceability — ${matrix.ticketId}` },
+    ];
+    if (matrix.ticket?.title) sections.push({ type: 'paragraph', text: matrix.ticket.title });
+    sections.push({
+        type: 'metric-strip',
+        metrics: [
+            { label: 'Criteria covered', value: `${summary.criteria.covered}/${summary.criteria.total}`, status: metricStatus(summary.criteria.covered, summary.criteria.total) },
+            { label: 'Criteria automated', value: `${summary.criteria.automated}/${summary.criteria.total}`, status: metricStatus(summary.criteria.automated, summary.criteria.total) },
+            { label: 'Criteria passing', value: `${summary.criteria.passing}/${summary.criteria.total}`, status: metricStatus(summary.criteria.passing, summary.criteria.total) },
+            { label: 'Gaps', value: String(matrix.gaps.length), status: matrix.gaps.length === 0 ? 'good' : (summary.gaps.high > 0 ? 'critical' : 'warning') },
+        ],
+    });
+
+    sections.push({ type: 'heading', level: 2, text: 'Coverage Gaps' });
+    if (matrix.gaps.length === 0) {
+        sections.push({ type: 'callout', calloutType: 'success', text: 'Every criterion is covered, automated and passing.' });
+    } else {
+        for (const entry of matrix.gaps) {
+            sections.push({ type: 'callout', calloutType: { high: 'danger', medium: 'warning', low: 'info' }[entry.severity], text: entry.message });
+        }
+    }
+
+    sections.push(
+        { type: 'heading', level: 2, text: 'Acceptance Criteria' },
+        { type: 'table', headers: CRITERIA_HEADERS, rows: criteriaRows(matrix) },
+        { type: 'heading', level: 2, text: 'Test Cases' },
+        { type: 'table', headers: TEST_CASE_HEADERS, rows: testCaseRows(matrix) },
+        { type: 'heading', level: 2, text: 'Tests' },
+        { type: 'table', headers: TEST_HEADERS, rows: testRows(matrix) },
+    );
+    return sections;
+}
+
+/**
+ * The matrix as excel-report-generator sheets: summary, criterion × test case
+ * matrix, and one table each for criteria, test cases, tests and gaps.
+ *
+ * @param {Object} matrix - buildTraceabilityMatrix() result
+ * @returns {Object[]}
+ */
+function toReportSheets(matrix) {
+    const { summary } = matrix;
+    return [
+        {
+            name: 'Summary',
+            contentType: 'summary-card',
+            content: {
+                title: `Traceability — ${matrix.ticketId}`,
+                metrics: [
+                    { label: 'Acceptance criteria', value: summary.criteria.total },
+                    { label: 'Covered by test cases', value: summary.criteria.covered },
+                    { label: 'Automated', value: summary.criteria.automated },
+                    { label: 'Passing', value: summary.criteria.passing },
+                    { label: 'Test cases', value: summary.testCases.total },
+                    { label: 'Tests', value: summary.tests.total },
+                    { label: 'Gaps', value: matrix.gaps.length },
+                ],
+            },
+        },
+        {
+            name: 'Matrix',
+            contentType: 'matrix',
+            content: {
+                title: 'Acceptance Criteria × Test Cases',
+                rowHeaders: matrix.criteria.map(criterion => criterion.id),
+                colHeaders: matrix.testCases.map(testCase => testCase.key),
+                matrix: matrix.criteria.map(criterion => matrix.testCases.map(testCase => (
+                    criterion.testCases.includes(testCase.key) ? testCase.status : ''
+                ))),
+            },
+        },
+        { name: 'Criteria', contentType: 'data-table', content: { title: 'Acceptance Criteria', headers: CRITERIA_HEADERS, rows: criteriaRows(matrix) } },
+        { name: 'Test Cases', contentType: 'data-table', content: { title: 'Test Cases', headers: TEST_CASE_HEADERS, rows: testCaseRows(matrix) } },
+        { name: 'Tests', contentType: 'data-table', content: { title: 'Tests', headers: TEST_HEADERS, rows: testRows(matrix) } },
+        {
+            name: 'Gaps',
+            contentType: 'data-table',
+            content: {
+                title: 'Coverage Gaps',
+                headers: ['Severity', 'Type', 'Item', 'Detail'],
+                rows: matrix.gaps.map(entry => [entry.severity, entry.type, entry.id, entry.message]),
+            },
+        },
+    ];
+}
+
+/**
+ * Write the matrix as an HTML or Excel report.
+ *
+ * @param {Object} matrix
+ * @param {Object} [options]
+ * @param {string} [options.format='html'] - html | xlsx
+ * @param {string} [options.outputPath]
+ * @returns {Promise<Object>} The generator's result ({ success, filePath, ... })
+ */
+async function exportTraceability(matrix, options = {}) {
+    const format = options.format || 'html';
+    const title = `${matrix.ticketId} Traceability Matrix`;
+
+    if (format === 'xlsx') {
+        // exceljs is only needed for this format
+        const { generateExcelReport } = require('../scripts/excel-report-generator');
+        return generateExcelReport({ title, sheets: toReportSheets(matrix), outputPath: options.outputPath });
+    }
+    if (format === 'html') {
+        const { generateHtmlReport } = require('../scripts/html-report-generator');
+        return generateHtmlReport({ title, sections: toReportSections(matrix), outputPath: options.outputPath });
+    }
+    return { success: false, error: `Unsupported format: ${format} (use html or xlsx)` };
+}
+
+// ─── Private Helpers ────────────────────────────────────────────────────────
+
+const CRITERIA_HEADERS = ['Criterion', 'Description', 'Test Cases', 'Tests', 'Status'];
+const TEST_CASE_HEADERS = ['Test Case', 'Title', 'Priority', 'Criteria', 'Tests', 'Status'];
+const TEST_HEADERS = ['Test', 'File', 'Test Cases', 'Criteria', 'Latest Result', 'Run'];
+
+function criteriaRows(matrix) {
+    return matrix.criteria.map(criterion => [
+        criterion.id,
+        criterion.text,
+        criterion.testCases.join(', '),
+        String(criterion.tests.length),
+        criterion.status,
+    ]);
+}
+
+function testCaseRows(matrix) {
+    return matrix.testCases.map(testCase => [
+        testCase.key,
+        testCase.title,
+        testCase.priority || '',
+        testCase.acceptanceCriteria.join(', '),
+        String(testCase.tests.length),
+        testCase.status,
+    ]);
+}
+
+function testRows(matrix) {
+    return matrix.tests.map(test => [
+        test.title,
+        test.line ? `${test.file}:${test.line}` : test.file,
+        test.testCases.join(', '),
+        test.acceptanceCriteria.join(', '),
+        test.result ? test.result.status : 'no result',
+        test.result?.runId || '',
+    ]);
+}
+
+/**
+ * The newest run's outcome of a test: every matching record of that run
+ * (one per browser project) folded into one status.
+ */
+function latestResult(test, history) {
+    const matches = history.filter(record => titleMatches(record.title, test.title) && fileMatches(test.file, record.file));
+    if (matches.length === 0) return null;
+
+    const { runId, recordedAt } = matches[0];
+    const records = matches.filter(record => record.runId === runId);
+    const statuses = records.map(record => record.status);
+    let status = TEST_STATUS.PASSED;
+    if (statuses.some(value => value === TEST_STATUS.FAILED || value === TEST_STATUS.TIMED_OUT)) {
+        status = statuses.includes(TEST_STATUS.FAILED) ? TEST_STATUS.FAILED : TEST_STATUS.TIMED_OUT;
+    } else if (statuses.every(value => value === TEST_STATUS.SKIPPED)) {
+        status = TEST_STATUS.SKIPPED;
+    } else if (statuses.includes(TEST_STATUS.FLAKY)) {
+        status = TEST_STATUS.FLAKY;
+    }
+
+    return {
+        status,
+        runId,
+        recordedAt,
+        projects: unique(records.map(record => record.project).filter(Boolean)),
+        error: records.find(record => record.error)?.error || null,
+    };
+}
+
+function statusOfResult(result) {
+    if (!result || result.status === TEST_STATUS.SKIPPED) return TRACE_STATUS.NOT_RUN;
+    if (result.status === TEST_STATUS.FAILED || result.status === TEST_STATUS.TIMED_OUT) return TRACE_STATUS.FAILING;
+    return TRACE_STATUS.PASSING;
+}
+
+function worstStatus(tests) {
+    return STATUS_ORDER.find(status => tests.some(test => test.status === status)) || TRACE_STATUS.PASSING;
+}
+
+function summarize(criteria, testCases, tests, gaps) {
+    const count = (items, status) => items.filter(item => item.status === status).length;
+    const criteriaTotal = criteria.length;
+    const uncovered = count(criteria, TRACE_STATUS.NOT_COVERED);
+    const notAutomated = count(criteria, TRACE_STATUS.NOT_AUTOMATED);
+
+    return {
+        criteria: {
+            total: criteriaTotal,
+            covered: criteriaTotal - uncovered,
+            automated: criteriaTotal - uncovered - notAutomated,
+            passing: count(criteria, TRACE_STATUS.PASSING),
+            failing: count(criteria, TRACE_STATUS.FAILING),
+            notRun: count(criteria, TRACE_STATUS.NOT_RUN),
+            notAutomated,
+            notCovered: uncovered,
+        },
+        testCases: {
+            total: testCases.length,
+            automated: testCases.length - count(testCases, TRACE_STATUS.NOT_AUTOMATED),
+            passing: count(testCases, TRACE_STATUS.PASSING),
+            failing: count(testCases, TRACE_STATUS.FAILING),
+        },
+        tests: {
+            total: tests.length,
+            linked: tests.filter(test => test.testCases.length > 0 || test.acceptanceCriteria.length > 0).length,
+            withResults: tests.filter(test => test.result).length,
+        },
+        coverage: criteriaTotal === 0 ? null : Math.round(((criteriaTotal - uncovered) / criteriaTotal) * 100),
+        gaps: {
+            high: gaps.filter(entry => entry.severity === 'high').length,
+            medium: gaps.filter(entry => entry.severity === 'medium').length,
+            low: gaps.filter(entry => entry.severity === 'low').length,
+        },
+    };
+}
+
+function gap(type, id, message) {
+    return { type, severity: GAP_SEVERITY[type], id, message };
+}
+
+function severityRank(severity) {
+    return ['high', 'medium', 'low'].indexOf(severity);
+}
+
+function metricStatus(value, total) {
+    if (total === 0 || value === total) return 'good';
+    return value === 0 ? 'critical' : 'warning';
+}
+
+function describeTest(test) {
+    return `"${test.title}" (${test.file}${test.line ? `:${test.line}` : ''})`;
+}
+
+/** Scenario slug of a spec (<TICKET>-<slug>.spec.js) or feature (<TICKET>-<slug>-test-cases.feature). */
+function scenarioOfFile(file, ticketId, scenarios) {
+    const stem = path.basename(String(file || ''))
+        .replace(/\.spec\.[jt]s$/, '')
+        .replace(/(-test-cases)?\.feature$/, '');
+    return scenarios.find(slug => stem.toLowerCase() === `${ticketId}-${slug}`.toLowerCase()) || null;
+}
+
+function titleMatches(recordTitle, title) {
+    const full = String(recordTitle || '');
+    return full === title || full.endsWith(` › ${title}`);
+}
+
+/** Result files are relative to the Playwright testDir; playwright-bdd runs features from generated specs. */
+function fileMatches(testFile, recordFile) {
+    if (!testFile || !recordFile) return true;
+    const normalized = String(recordFile).replace(/\\/g, '/');
+    return testFile.endsWith(normalized) || normalized.includes(path.basename(testFile));
+}
+
+function mentionsId(title, id) {
+    const token = String(id).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^A-Za-z0-9-])${token}($|[^A-Za-z0-9])`, 'i').test(String(title || ''));
+}
+
+function sameId(a, b) {
+    return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+function splitIds(text) {
+    return String(text || '').split(/[\s,;]+/).map(id => id.trim()).filter(Boolean);
+}
+
+function unique(values) {
+    return [...new Set(values)];
+}
+
+function readFile(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf-8');
+    } catch {
+        return '';
+    }
+}
+
+function walkSpecs(dir) {
+    const results = [];
+    try {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) results.push(...walkSpecs(fullPath));
+            else if (entry.isFile() && /\.spec\.[jt]s$/.test(entry.name)) results.push(fullPath);
+        }
+    } catch {
+        // No specs for the ticket yet
+    }
+    return results;
+}
+
+module.exports = {
+    ANNOTATION_TYPES,
+    TRACE_STATUS,
+    GAP_TYPES,
+    parseSpecTests,
+    parseFeatureTests,
+    buildTraceabilityMatrix,
+    collectTraceability,
+    toReportSections,
+    toReportSheets,
+    exportTraceability,
+};
@@ -0,0 +1,444 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * AZURE DEVOPS TRACKER PROVIDER — Azure Boards Work Items
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ *   GET   /{org}/{project}/_apis/wit/workitems/{id}?$expand=relations — issue
+ *   POST  /{org}/{project}/_apis/wit/workitems/${type}               — create (JSON Patch)
+ *   PATCH /{org}/{project}/_apis/wit/workitems/{id}                  — update / transition
+ *   POST  /{org}/{project}/_apis/wit/workItems/{id}/comments         — comment
+ *   POST  /{org}/{project}/_apis/wit/attachments                     — upload, then AttachedFile relation
+ *   POST  /{org}/{project}/_apis/wit/wiql                            — search
+ *
+ * Work items are keyed `<keyPrefix>-<id>` (default ADO-4512). Descriptions
+ * and comments are HTML in Azure DevOps; markdown is converted on the way in
+ * and HTML flattened to plain text on the way out. Bugs keep their text in
+ * Repro Steps rather than Description.
+ *
+ * Config (workflow-config.json → sdk.tracker.azureDevOps):
+ *   organization, project — required
+ *   tokenEnv   — env var holding a PAT with Work Items read & write (default AZURE_DEVOPS_PAT)
+ *   apiBaseUrl — default https://dev.azure.com
+ *   keyPrefix  — default ADO
+ *
+ * Service hook webhooks authenticate with basic auth: set the hook's
+ * password to the value of secretEnv (default AZURE_DEVOPS_WEBHOOK_SECRET).
+ *
+ * @module sdk-orchestrator/tracker-providers/azure-devops-tracker-provider
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+const { TrackerProvider, TrackerError, emptyIssue, issueLink } = require('./tracker-provider');
+const { htmlToPlainText } = require('../../knowledge-base/kb-provider');
+
+const API_VERSION = '7.1';
+const COMMENTS_API_VERSION = '7.1-preview.4';
+
+const PRIORITY_BY_NAME = { highest: 1, critical: 1, high: 2, medium: 3, low: 4, lowest: 4 };
+
+// Forward relations point from this work item; reverse ones are the other side
+const LINK_TYPES = {
+    'System.LinkTypes.Related': { name: 'Related', inward: 'relates to', outward: 'relates to', direction: 'outward' },
+    'System.LinkTypes.Dependency-Forward': { name: 'Blocks', inward: 'is blocked by', outward: 'blocks', direction: 'outward' },
+    'System.LinkTypes.Dependency-Reverse': { name: 'Blocks', inward: 'is blocked by', outward: 'blocks', direction: 'inward' },
+    'System.LinkTypes.Duplicate-Forward': { name: 'Duplicate', inward: 'is duplicated by', outward: 'duplicates', direction: 'outward' },
+    'System.LinkTypes.Duplicate-Reverse': { name: 'Duplicate', inward: 'is duplicated by', outward: 'duplicates', direction: 'inward' },
+};
+
+class AzureDevOpsTrackerProvider extends TrackerProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.organization
+     * @param {string} options.project
+     * @param {string} [options.token]
+     * @param {string} [options.apiBaseUrl]
+     * @param {string} [options.keyPrefix]
+     * @param {Function} [options.fetch]
+     */
+    constructor(options = {}) {
+        super(options);
+        this.organization = options.organization;
+        this.project = options.project;
+        this.token = options.token || null;
+        this.apiBaseUrl = (options.apiBaseUrl || 'https://dev.azure.com').replace(/\/+$/, '');
+        this.keyPrefix = options.keyPrefix || 'ADO';
+    }
+
+    get type() {
+        return 'azure-devops';
+    }
+
+    get displayName() {
+        return 'Azure DevOps';
+    }
+
+    parseIssueKey(input) {
+        const value = String(input || '').trim();
+        const match = value.match(/_workitems\/edit\/(\d+)/i)
+            || value.match(new RegExp(`^(?:${this.keyPrefix}-|#)?(\\d+)$`, 'i'));
+        return match ? `${this.keyPrefix}-${match[1]}` : null;
+    }
+
+    async getIssue(issueKey) {
+        const id = this._id(issueKey);
+        const item = await this._request('GET', this._url(`wit/workitems/${id}?$expand=relations`));
+        const comments = await this._request('GET', this._url(`wit/workItems/${id}/comments?$top=50`, COMMENTS_API_VERSION))
+            .catch(() => null);
+        return this._toIssue(item, comments, issueKey);
+    }
+
+    async searchIssues(query, options = {}) {
+        const escaped = String(query || '').replace(/'/g, "''");
+        const project = String(options.project || this.project).replace(/'/g, "''");
+        const conditions = [`[System.TeamProject] = '${project}'`];
+        if (escaped) conditions.push(`([System.Title] CONTAINS '${escaped}' OR [System.Description] CONTAINS '${escaped}')`);
+        const wiql = `SELECT [System.Id] FROM WorkItems WHERE ${conditions.join(' AND ')} ORDER BY [System.ChangedDate] DESC`;
+
+        const result = await this._request('POST', this._url(`wit/wiql?$top=${options.maxResults || 10}`), { body: { query: wiql } });
+        const ids = (result?.workItems || []).map(item => item.id).slice(0, options.maxResults || 10);
+        if (ids.length === 0) return [];
+
+        const fields = ['System.Id', 'System.Title', 'System.State', 'System.WorkItemType', 'Microsoft.VSTS.Common.Priority', 'System.Tags', 'System.AreaPath'];
+        const batch = await this._request('GET',
+            `${this.apiBaseUrl}/${this.organization}/_apis/wit/workitems?ids=${ids.join(',')}&fields=${fields.join(',')}&api-version=${API_VERSION}`);
+        return (batch?.value || []).map(item => {
+            const issue = this._toIssue(item, null);
+            return {
+                provider: this.type,
+                key: issue.key,
+                summary: issue.summary,
+                status: issue.status,
+                issueType: issue.issueType,
+                priority: issue.priority,
+                labels: issue.labels,
+                components: issue.components,
+                ticketUrl: issue.ticketUrl,
+            };
+        });
+    }
+
+    async createIssue(input) {
+        const issueType = input.issueType || 'Bug';
+        const operations = [
+            { op: 'add', path: '/fields/System.Title', value: input.summary },
+            { op: 'add', path: `/fields/${descriptionField(issueType)}`, value: markdownToHtml(input.description || '') },
+        ];
+        if (input.priority) operations.push({ op: 'add', path: '/fields/Microsoft.VSTS.Common.Priority', value: toPriority(input.priority) });
+        if (input.labels?.length) operations.push({ op: 'add', path: '/fields/System.Tags', value: input.labels.join('; ') });
+        if (input.environment) operations.push({ op: 'add', path: '/fields/Microsoft.VSTS.TCM.SystemInfo', value: markdownToHtml(input.environment) });
+        if (input.assignee) operations.push({ op: 'add', path: '/fields/System.AssignedTo', value: input.assignee });
+        if (input.parentKey) operations.push(this._relationOp('System.LinkTypes.Hierarchy-Reverse', input.parentKey));
+        if (input.linkedKey) operations.push(this._relationOp(relationFor(input.linkType), input.linkedKey));
+
+        const project = input.project || this.project;
+        const created = await this._request('POST',
+            `${this.apiBaseUrl}/${this.organization}/${encodeURIComponent(project)}/_apis/wit/workitems/$${encodeURIComponent(issueType)}?api-version=${API_VERSION}`,
+            { body: operations, headers: { 'Content-Type': 'application/json-patch+json' } });
+
+        const key = `${this.keyPrefix}-${created.id}`;
+        return { key, id: String(created.id), ticketUrl: this.getIssueUrl(key) };
+    }
+
+    async updateIssue(issueKey, update) {
+        const operations = [];
+        const updatedFields = [];
+        let current = null;
+
+        if (update.description !== undefined || update.addLabels?.length) {
+            current = await this._request('GET', this._url(`wit/workitems/${this._id(issueKey)}`));
+        }
+        if (update.summary !== undefined) {
+            operations.push({ op: 'add', path: '/fields/System.Title', value: update.summary });
+            updatedFields.push('summary');
+        }
+        if (update.description !== undefined) {
+            const field = descriptionField(current?.fields?.['System.WorkItemType']);
+            operations.push({ op: 'add', path: `/fields/${field}`, value: markdownToHtml(update.description) });
+            updatedFields.push('description');
+        }
+        if (update.priority) {
+            operations.push({ op: 'add', path: '/fields/Microsoft.VSTS.Common.Priority', value: toPriority(update.priority) });
+            updatedFields.push('priority');
+        }
+        if (update.labels || update.addLabels?.length) {
+            const labels = update.labels || [...new Set([...splitTags(current?.fields?.['System.Tags']), ...update.addLabels])];
+            operations.push({ op: 'add', path: '/fields/System.Tags', value: labels.join('; ') });
+            updatedFields.push('labels');
+        }
+        if (operations.length > 0) await this._patch(issueKey, operations);
+
+        return { key: issueKey, updatedFields };
+    }
+
+    async transitionIssue(issueKey, status, options = {}) {
+        const current = await this._request('GET', this._url(`wit/workitems/${this._id(issueKey)}?fields=System.State`));
+        const from = current?.fields?.['System.State'] || '';
+        const updated = await this._patch(issueKey, [{ op: 'add', path: '/fields/System.State', value: status }]);
+        if (options.comment) await this.addComment(issueKey, options.comment);
+        return { key: issueKey, from, to: updated?.fields?.['System.State'] || status };
+    }
+
+    async addComment(issueKey, body) {
+        const comment = await this._request('POST', this._url(`wit/workItems/${this._id(issueKey)}/comments`, COMMENTS_API_VERSION), {
+            body: { text: markdownToHtml(body) },
+        });
+        return { id: String(comment?.id ?? '') };
+    }
+
+    async attachFile(issueKey, file) {
+        const uploaded = await this._request('POST', this._url(`wit/attachments?fileName=${encodeURIComponent(file.fileName)}`), {
+            body: file.buffer,
+            headers: { 'Content-Type': 'application/octet-stream' },
+        });
+        await this._patch(issueKey, [{
+            op: 'add',
+            path: '/relations/-',
+            value: { rel: 'AttachedFile', url: uploaded.url, attributes: { name: file.fileName } },
+        }]);
+        return { id: String(uploaded.id), fileName: file.fileName, url: uploaded.url };
+    }
+
+    /**
+     * Service hook deliveries: workitem.created / workitem.updated /
+     * workitem.commented / workitem.deleted.
+     */
+    parseWebhook(payload) {
+        const resource = payload?.resource;
+        if (!resource || !String(payload.eventType || '').startsWith('workitem.')) return null;
+
+        // workitem.updated carries the changes in resource.fields and the item in resource.revision
+        const isUpdate = payload.eventType === 'workitem.updated';
+        const item = isUpdate ? resource.revision || {} : resource;
+        const id = isUpdate ? resource.workItemId || item.id : item.id;
+        const fields = item.fields || {};
+        const stateChange = isUpdate ? resource.fields?.['System.State'] : null;
+
+        return {
+            webhookEvent: payload.eventType,
+            timestamp: payload.createdDate ? Date.parse(payload.createdDate) : null,
+            issueKey: id ? `${this.keyPrefix}-${id}` : null,
+            project: fields['System.TeamProject'] || this.project || null,
+            issueType: fields['System.WorkItemType'] || null,
+            status: fields['System.State'] || stateChange?.newValue || null,
+            labels: splitTags(fields['System.Tags']),
+            components: areaComponent(fields['System.AreaPath']),
+            transition: stateChange ? { from: stateChange.oldValue || null, to: stateChange.newValue || null } : null,
+            changedFields: isUpdate ? Object.keys(resource.fields || {}) : [],
+            fields,
+        };
+    }
+
+    get webhookSettings() {
+        return { ...super.webhookSettings, signatureHeader: 'authorization' };
+    }
+
+    /**
+     * Service hooks can't sign payloads; they send basic auth. The password
+     * must equal the webhook secret.
+     */
+    verifyWebhook(rawBody, headers, secret) {
+        if (!secret) return { valid: false, error: 'Webhook secret is not configured' };
+        const header = String(headers.authorization || '');
+        if (!/^basic\s+/i.test(header)) return { valid: false, error: 'Missing basic auth header' };
+
+        const decoded = Buffer.from(header.replace(/^basic\s+/i, ''), 'base64').toString('utf8');
+        const password = Buffer.from(decoded.slice(decoded.indexOf(':') + 1));
+        const expected = Buffer.from(secret);
+        if (password.length !== expected.length || !crypto.timingSafeEqual(password, expected)) {
+            return { valid: false, error: 'Basic auth password mismatch' };
+        }
+        return { valid: true, error: null };
+    }
+
+    async testConnection() {
+        try {
+            const project = await this._request('GET',
+                `${this.apiBaseUrl}/${this.organization}/_apis/projects/${encodeURIComponent(this.project)}?api-version=${API_VERSION}`);
+            return { connected: true, provider: this.type, message: `Connected to ${this.organization}/${project?.name || this.project}` };
+        } catch (error) {
+            return { connected: false, provider: this.type, message: error.message };
+        }
+    }
+
+    getIssueUrl(issueKey) {
+        return `${this.apiBaseUrl}/${this.organization}/${encodeURIComponent(this.project)}/_workitems/edit/${this._id(issueKey)}`;
+    }
+
+    // ─── Internal ───────────────────────────────────────────────────
+
+    _authHeaders() {
+        if (!this.token) throw new TrackerError('Azure DevOps: no personal access token (sdk.tracker.azureDevOps.tokenEnv)');
+        return { Authorization: `Basic ${Buffer.from(`:${this.token}`).toString('base64')}` };
+    }
+
+    _url(apiPath, apiVersion = API_VERSION) {
+        if (!this.organization || !this.project) {
+            throw new TrackerError('Azure DevOps: sdk.tracker.azureDevOps.organization and project are required');
+        }
+        const separator = apiPath.includes('?') ? '&' : '?';
+        return `${this.apiBaseUrl}/${this.organization}/${encodeURIComponent(this.project)}/_apis/${apiPath}${separator}api-version=${apiVersion}`;
+    }
+
+    _id(issueKey) {
+        const key = this.parseIssueKey(issueKey);
+        if (!key) throw new TrackerError(`Azure DevOps: "${issueKey}" is not a work item reference`);
+        return key.slice(this.keyPrefix.length + 1);
+    }
+
+    _patch(issueKey, operations) {
+        return this._request('PATCH', this._url(`wit/workitems/${this._id(issueKey)}`), {
+            body: operations,
+            headers: { 'Content-Type': 'application/json-patch+json' },
+        });
+    }
+
+    _relationOp(rel, issueKey) {
+        return {
+            op: 'add',
+            path: '/relations/-',
+            value: { rel, url: `${this.apiBaseUrl}/${this.organization}/_apis/wit/workItems/${this._id(issueKey)}` },
+        };
+    }
+
+    _toIssue(item, comments, requestedKey) {
+        const fields = item.fields || {};
+        const key = `${this.keyPrefix}-${item.id ?? fields['System.Id']}`;
+        const issue = emptyIssue(this.type, key);
+        const relations = item.relations || [];
+        const refFor = relation => `${this.keyPrefix}-${String(relation.url).split('/').pop()}`;
+
+        issue.ticketId = requestedKey || key;
+        issue.summary = fields['System.Title'] || '';
+        issue.description = htmlToPlainText(fields['System.Description'] || fields['Microsoft.VSTS.TCM.ReproSteps'] || '');
+        issue.acceptanceCriteria = htmlToPlainText(fields['Microsoft.VSTS.Common.AcceptanceCriteria'] || '');
+        issue.status = fields['System.State'] || '';
+        issue.issueType = fields['System.WorkItemType'] || '';
+        issue.priority = fields['Microsoft.VSTS.Common.Priority'] !== undefined ? String(fields['Microsoft.VSTS.Common.Priority']) : '';
+        issue.labels = splitTags(fields['System.Tags']);
+        issue.components = areaComponent(fields['System.AreaPath']);
+        issue.assignee = fields['System.AssignedTo']?.displayName || '';
+        issue.reporter = fields['System.CreatedBy']?.displayName || '';
+        issue.created = fields['System.CreatedDate'] || '';
+        issue.updated = fields['System.ChangedDate'] || '';
+        issue.ticketUrl = this.getIssueUrl(key);
+
+        const parent = relations.find(relation => relation.rel === 'System.LinkTypes.Hierarchy-Reverse');
+        issue.parent = parent ? { key: refFor(parent) } : null;
+        issue.subtasks = relations
+            .filter(relation => relation.rel === 'System.LinkTypes.Hierarchy-Forward')
+            .map(relation => ({ key: refFor(relation) }));
+        issue.issueLinks = relations
+            .filter(relation => LINK_TYPES[relation.rel])
+            .map(relation => issueLink({ ...LINK_TYPES[relation.rel], relatedIssue: { key: refFor(relation) } }));
+
+        issue.comments = (comments?.comments || []).map(comment => ({
+            id: String(comment.id),
+            author: comment.createdBy?.displayName || '',
+            body: htmlToPlainText(comment.text || ''),
+            created: comment.createdDate || '',
+        }));
+        issue.commentCount = comments?.totalCount ?? issue.comments.length;
+        return issue;
+    }
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function descriptionField(issueType) {
+    return String(issueType || '').toLowerCase() === 'bug' ? 'Microsoft.VSTS.TCM.ReproSteps' : 'System.Description';
+}
+
+function relationFor(linkType) {
+    const name = String(linkType || 'Related').toLowerCase();
+    return Object.keys(LINK_TYPES).find(rel => rel.endsWith('-Forward') && LINK_TYPES[rel].name.toLowerCase() === name)
+        || 'System.LinkTypes.Related';
+}
+
+function toPriority(priority) {
+    const numeric = Number(priority);
+    if (Number.isInteger(numeric) && numeric >= 1 && numeric <= 4) return numeric;
+    return PRIORITY_BY_NAME[String(priority).toLowerCase()] || 3;
+}
+
+function splitTags(tags) {
+    return String(tags || '').split(';').map(tag => tag.trim()).filter(Boolean);
+}
+
+function areaComponent(areaPath) {
+    const parts = String(areaPath || '').split('\\').filter(Boolean);
+    // The root area is the project itself — only sub-areas say anything
+    return parts.length > 1 ? [parts[parts.length - 1]] : [];
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function inlineMarkdown(text) {
+    return escapeHtml(text)
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+        .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>');
+}
+
+/**
+ * Markdown as produced by the agents → the HTML Azure DevOps rich-text
+ * fields expect. Headings, lists, code fences and inline marks.
+ *
+ * @param {string} markdown
+ * @returns {string}
+ */
+function markdownToHtml(markdown) {
+    const html = [];
+    let list = null;
+    let code = null;
+    const closeList = () => {
+        if (list) html.push(`</${list}>`);
+        list = null;
+    };
+
+    for (const line of String(markdown || '').split(/\r?\n/)) {
+        if (code !== null) {
+            if (/^```/.test(line)) {
+                html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+                code = null;
+            } else {
+                code.push(line);
+            }
+            continue;
+        }
+        if (/^```/.test(line)) {
+            closeList();
+            code = [];
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        if (heading) {
+            closeList();
+            html.push(`<h${heading[1].length}>${inlineMarkdown(heading[2])}</h${heading[1].length}>`);
+        } else if (bullet || numbered) {
+            const tag = bullet ? 'ul' : 'ol';
+            if (list !== tag) {
+                closeList();
+                html.push(`<${tag}>`);
+                list = tag;
+            }
+            html.push(`<li>${inlineMarkdown((bullet || numbered)[1])}</li>`);
+        } else if (line.trim()) {
+            closeList();
+            html.push(`<p>${inlineMarkdown(line)}</p>`);
+        } else {
+            closeList();
+        }
+    }
+    if (code !== null) html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+    closeList();
+    return html.join('');
+}
+
+module.exports = { AzureDevOpsTrackerProvider, markdownToHtml };
@@ -0,0 +1,339 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * GITHUB ISSUES TRACKER PROVIDER — Issues in One Repository
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ *   GET/PATCH /repos/:owner/:repo/issues/:number          — issue, update, open/close
+ *   POST      /repos/:owner/:repo/issues                  — create
+ *   POST      /repos/:owner/:repo/issues/:number/comments — comment
+ *   POST      /repos/:owner/:repo/issues/:number/sub_issues — parent/child
+ *   GET       /search/issues                              — search
+ *
+ * GitHub has no workflow statuses or priority fields, so they are labels:
+ * `status:<name>` (falling back to open/closed) and `priority:<name>`.
+ * Acceptance criteria are read from an "Acceptance Criteria" heading in the
+ * issue body. The REST API cannot upload binary attachments — small text
+ * files are posted as comments, anything else is reported as not uploaded.
+ *
+ * Config (workflow-config.json → sdk.tracker.github):
+ *   repository — owner/repo, required
+ *   tokenEnv   — env var with a token that can write issues (default GITHUB_TOKEN)
+ *   apiBaseUrl — default https://api.github.com
+ *   webUrl     — default https://github.com
+ *   keyPrefix  — default GH (issues are keyed GH-87)
+ *
+ * @module sdk-orchestrator/tracker-providers/github-issues-tracker-provider
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const { TrackerProvider, TrackerError, emptyIssue, splitAcceptanceCriteria } = require('./tracker-provider');
+const { apiHeaders } = require('../git-webhooks');
+
+const STATUS_LABEL = 'status:';
+const PRIORITY_LABEL = 'priority:';
+const CLOSED_STATUSES = ['closed', 'done', 'resolved'];
+const OPEN_STATUSES = ['open', 'reopened', 'to do', 'todo'];
+const MAX_TEXT_ATTACHMENT_BYTES = 60 * 1024;
+
+class GitHubIssuesTrackerProvider extends TrackerProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.repository - owner/repo
+     * @param {string} [options.token]
+     * @param {string} [options.apiBaseUrl]
+     * @param {string} [options.webUrl]
+     * @param {string} [options.keyPrefix]
+     * @param {Function} [options.fetch]
+     */
+    constructor(options = {}) {
+        super(options);
+        this.repository = options.repository;
+        this.token = options.token || null;
+        this.apiBaseUrl = (options.apiBaseUrl || 'https://api.github.com').replace(/\/+$/, '');
+        this.webUrl = (options.webUrl || 'https://github.com').replace(/\/+$/, '');
+        this.keyPrefix = options.keyPrefix || 'GH';
+    }
+
+    get type() {
+        return 'github';
+    }
+
+    get displayName() {
+        return 'GitHub Issues';
+    }
+
+    parseIssueKey(input) {
+        const value = String(input || '').trim();
+        const match = value.match(/\/issues\/(\d+)/)
+            || value.match(new RegExp(`^(?:${this.keyPrefix}-|#)?(\\d+)$`, 'i'));
+        return match ? `${this.keyPrefix}-${match[1]}` : null;
+    }
+
+    async getIssue(issueKey) {
+        const number = this._number(issueKey);
+        const item = await this._request('GET', this._url(`issues/${number}`));
+        if (item.pull_request) throw new TrackerError(`GitHub Issues: #${number} is a pull request`, { status: 404 });
+
+        const [comments, subIssues] = await Promise.all([
+            this._request('GET', this._url(`issues/${number}/comments?per_page=50`)).catch(() => []),
+            this._request('GET', this._url(`issues/${number}/sub_issues?per_page=50`)).catch(() => []),
+        ]);
+
+        const issue = this._toIssue(item, issueKey);
+        issue.comments = (comments || []).map(comment => ({
+            id: String(comment.id),
+            author: comment.user?.login || '',
+            body: comment.body || '',
+            created: comment.created_at || '',
+        }));
+        issue.commentCount = item.comments ?? issue.comments.length;
+        issue.subtasks = (subIssues || []).map(sub => ({
+            key: `${this.keyPrefix}-${sub.number}`,
+            summary: sub.title,
+            status: statusOf(sub),
+        }));
+        return issue;
+    }
+
+    async searchIssues(query, options = {}) {
+        const repository = options.project || this.repository;
+        const q = [query, `repo:${repository}`, 'is:issue'].filter(Boolean).join(' ');
+        const result = await this._request('GET',
+            `${this.apiBaseUrl}/search/issues?q=${encodeURIComponent(q)}&per_page=${options.maxResults || 10}&sort=updated`);
+        return (result?.items || []).map(item => {
+            const issue = this._toIssue(item);
+            return {
+                provider: this.type,
+                key: issue.key,
+                summary: issue.summary,
+                status: issue.status,
+                issueType: issue.issueType,
+                priority: issue.priority,
+                labels: issue.labels,
+                components: issue.components,
+                ticketUrl: issue.ticketUrl,
+            };
+        });
+    }
+
+    async createIssue(input) {
+        const repository = input.project || this.repository;
+        const sections = [input.description || ''];
+        if (input.environment) sections.push(`## Environment\n\n${input.environment}`);
+        if (input.linkedKey) sections.push(`${input.linkType || 'Relates'} to #${this._number(input.linkedKey)}`);
+
+        const labels = [...(input.labels || [])];
+        if (String(input.issueType || 'Bug').toLowerCase() === 'bug') labels.push('bug');
+        if (input.priority) labels.push(`${PRIORITY_LABEL}${input.priority.toLowerCase()}`);
+
+        const created = await this._request('POST', this._url('issues', repository), {
+            body: {
+                title: input.summary,
+                body: sections.filter(Boolean).join('\n\n'),
+                labels: [...new Set(labels)],
+                ...(input.assignee ? { assignees: [input.assignee] } : {}),
+            },
+        });
+
+        if (input.parentKey) {
+            await this._request('POST', this._url(`issues/${this._number(input.parentKey)}/sub_issues`, repository), {
+                body: { sub_issue_id: created.id },
+            });
+        }
+
+        const key = `${this.keyPrefix}-${created.number}`;
+        return { key, id: String(created.id), ticketUrl: created.html_url || this.getIssueUrl(key) };
+    }
+
+    async updateIssue(issueKey, update) {
+        const number = this._number(issueKey);
+        const body = {};
+        const updatedFields = [];
+
+        if (update.summary !== undefined) {
+            body.title = update.summary;
+            updatedFields.push('summary');
+        }
+        if (update.description !== undefined) {
+            body.body = update.description;
+            updatedFields.push('description');
+        }
+        if (update.labels || update.addLabels?.length || update.priority) {
+            const current = await this._request('GET', this._url(`issues/${number}`));
+            const existing = labelNames(current);
+            const reserved = existing.filter(label => label.startsWith(STATUS_LABEL) || label.startsWith(PRIORITY_LABEL));
+            let labels = update.labels ? [...reserved, ...update.labels] : [...existing, ...(update.addLabels || [])];
+            if (update.priority) {
+                labels = labels.filter(label => !label.startsWith(PRIORITY_LABEL));
+                labels.push(`${PRIORITY_LABEL}${update.priority.toLowerCase()}`);
+                updatedFields.push('priority');
+            }
+            body.labels = [...new Set(labels)];
+            if (update.labels || update.addLabels?.length) updatedFields.push('labels');
+        }
+
+        if (updatedFields.length > 0) await this._request('PATCH', this._url(`issues/${number}`), { body });
+        return { key: issueKey, updatedFields };
+    }
+
+    async transitionIssue(issueKey, status, options = {}) {
+        const number = this._number(issueKey);
+        const current = await this._request('GET', this._url(`issues/${number}`));
+        const from = statusOf(current);
+        const wanted = String(status).trim();
+        const labels = labelNames(current).filter(label => !label.startsWith(STATUS_LABEL));
+
+        let body;
+        if (CLOSED_STATUSES.includes(wanted.toLowerCase())) {
+            body = { state: 'closed', labels };
+        } else if (OPEN_STATUSES.includes(wanted.toLowerCase())) {
+            body = { state: 'open', labels };
+        } else {
+            body = { state: 'open', labels: [...labels, `${STATUS_LABEL}${wanted.toLowerCase()}`] };
+        }
+
+        const updated = await this._request('PATCH', this._url(`issues/${number}`), { body });
+        if (options.comment) await this.addComment(issueKey, options.comment);
+        return { key: issueKey, from, to: statusOf(updated || { ...current, ...body, labels: body.labels.map(name => ({ name })) }) };
+    }
+
+    async addComment(issueKey, body) {
+        const comment = await this._request('POST', this._url(`issues/${this._number(issueKey)}/comments`), { body: { body } });
+        return { id: String(comment?.id ?? '') };
+    }
+
+    async attachFile(issueKey, file) {
+        const isText = /^text\/|^application\/(json|xml)/.test(file.mimeType || '');
+        if (!isText || file.buffer.length > MAX_TEXT_ATTACHMENT_BYTES) {
+            throw new TrackerError(`GitHub Issues: cannot upload ${file.fileName} (${file.mimeType}) — the REST API has no attachment upload`);
+        }
+        const fence = file.buffer.includes('```') ? '````' : '```';
+        const comment = await this.addComment(issueKey,
+            `**Attachment: ${file.fileName}**\n\n${fence}\n${file.buffer.toString('utf8')}\n${fence}`);
+        return { id: comment.id, fileName: file.fileName, url: null };
+    }
+
+    /**
+     * `issues` webhook deliveries. Other events (issue_comment, pull_request,
+     * ping) are not about an issue changing and return null.
+     */
+    parseWebhook(payload, headers = {}) {
+        const event = headers['x-github-event'];
+        if (event && event !== 'issues') return null;
+        const issue = payload?.issue;
+        if (!issue || issue.pull_request || !payload.action) return null;
+
+        const status = statusOf(issue);
+        let transition = null;
+        if (payload.action === 'closed') transition = { from: 'Open', to: 'Closed' };
+        if (payload.action === 'reopened') transition = { from: 'Closed', to: 'Open' };
+        if (payload.action === 'labeled' && payload.label?.name?.startsWith(STATUS_LABEL)) {
+            transition = { from: null, to: status };
+        }
+
+        return {
+            webhookEvent: `issues.${payload.action}`,
+            timestamp: Date.parse(issue.updated_at || '') || null,
+            issueKey: `${this.keyPrefix}-${issue.number}`,
+            project: payload.repository?.full_name || this.repository || null,
+            issueType: issueTypeOf(issue),
+            status,
+            labels: plainLabels(issue),
+            components: [],
+            transition,
+            changedFields: Object.keys(payload.changes || {}),
+            fields: issue,
+        };
+    }
+
+    get webhookSettings() {
+        return {
+            ...super.webhookSettings,
+            signatureHeader: super.webhookSettings.signatureHeader || 'x-hub-signature-256',
+            deliveryIdHeader: super.webhookSettings.deliveryIdHeader || 'x-github-delivery',
+        };
+    }
+
+    async testConnection() {
+        try {
+            const repo = await this._request('GET', `${this.apiBaseUrl}/repos/${this.repository}`);
+            if (repo?.has_issues === false) {
+                return { connected: false, provider: this.type, message: `Issues are disabled on ${this.repository}` };
+            }
+            return { connected: true, provider: this.type, message: `Connected to ${repo?.full_name || this.repository}` };
+        } catch (error) {
+            return { connected: false, provider: this.type, message: error.message };
+        }
+    }
+
+    getIssueUrl(issueKey) {
+        return `${this.webUrl}/${this.repository}/issues/${this._number(issueKey)}`;
+    }
+
+    // ─── Internal ───────────────────────────────────────────────────
+
+    _authHeaders() {
+        return apiHeaders('github', this.token);
+    }
+
+    _url(apiPath, repository = this.repository) {
+        if (!repository) throw new TrackerError('GitHub Issues: sdk.tracker.github.repository is required');
+        return `${this.apiBaseUrl}/repos/${repository}/${apiPath}`;
+    }
+
+    _number(issueKey) {
+        const key = this.parseIssueKey(issueKey);
+        if (!key) throw new TrackerError(`GitHub Issues: "${issueKey}" is not an issue reference`);
+        return key.slice(this.keyPrefix.length + 1);
+    }
+
+    _toIssue(item, requestedKey) {
+        const key = `${this.keyPrefix}-${item.number}`;
+        const issue = emptyIssue(this.type, key);
+        const { description, acceptanceCriteria } = splitAcceptanceCriteria(item.body);
+        const priority = labelNames(item).find(label => label.startsWith(PRIORITY_LABEL));
+
+        issue.ticketId = requestedKey || key;
+        issue.summary = item.title || '';
+        issue.description = description;
+        issue.acceptanceCriteria = acceptanceCriteria;
+        issue.status = statusOf(item);
+        issue.issueType = issueTypeOf(item);
+        issue.priority = priority ? capitalize(priority.slice(PRIORITY_LABEL.length)) : '';
+        issue.labels = plainLabels(item);
+        issue.assignee = item.assignee?.login || '';
+        issue.reporter = item.user?.login || '';
+        issue.created = item.created_at || '';
+        issue.updated = item.updated_at || '';
+        issue.ticketUrl = item.html_url || this.getIssueUrl(key);
+        issue.commentCount = item.comments ?? 0;
+        return issue;
+    }
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function labelNames(item) {
+    return (item?.labels || []).map(label => (typeof label === 'string' ? label : label.name)).filter(Boolean);
+}
+
+function plainLabels(item) {
+    return labelNames(item).filter(label => !label.startsWith(STATUS_LABEL) && !label.startsWith(PRIORITY_LABEL));
+}
+
+function capitalize(value) {
+    return value ? value.charAt(0).toUpperCase() + value.slice(1) : value;
+}
+
+function statusOf(item) {
+    const label = labelNames(item).find(name => name.startsWith(STATUS_LABEL));
+    if (label && item.state !== 'closed') return capitalize(label.slice(STATUS_LABEL.length));
+    return item.state === 'closed' ? 'Closed' : 'Open';
+}
+
+function issueTypeOf(item) {
+    if (item.type?.name) return item.type.name;
+    return labelNames(item).some(label => label.toLowerCase() === 'bug') ? 'Bug' : 'Issue';
+}
+
+module.exports = { GitHubIssuesTrackerProvider };
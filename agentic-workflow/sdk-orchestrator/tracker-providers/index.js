@@ -0,0 +1,160 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TRACKER PROVIDERS — Module Index
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * The issue tracker the agents read tickets from and file bugs in, selected
+ * by workflow-config.json → sdk.tracker.provider:
+ *
+ *   jira         — Atlassian Jira Cloud (default)
+ *   azure-devops — Azure Boards work items
+ *   github       — GitHub Issues in one repository
+ *   local        — in-memory or a JSON file
+ *   <path>       — a module exporting a TrackerProvider subclass, resolved
+ *                  relative to agentic-workflow/
+ *
+ * Usage:
+ *   const { getTrackerProvider } = require('./tracker-providers');
+ *   const tracker = getTrackerProvider();
+ *   const issue = await tracker.getIssue('ADO-4512');
+ *
+ * @module sdk-orchestrator/tracker-providers
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const path = require('path');
+const { TrackerProvider, TrackerError } = require('./tracker-provider');
+const { JiraTrackerProvider } = require('./jira-tracker-provider');
+const { AzureDevOpsTrackerProvider } = require('./azure-devops-tracker-provider');
+const { GitHubIssuesTrackerProvider } = require('./github-issues-tracker-provider');
+const { LocalTrackerProvider } = require('./local-tracker-provider');
+const { loadWorkflowConfig } = require('../utils');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+// ─── Config ─────────────────────────────────────────────────────────────────
+
+/**
+ * Normalize sdk.tracker with per-provider defaults.
+ *
+ * @param {Object} [config] - sdk.tracker (read from workflow-config.json when omitted)
+ * @returns {Object}
+ */
+function loadTrackerConfig(config) {
+    const tracker = config || loadWorkflowConfig()?.sdk?.tracker || {};
+
+    return {
+        provider: String(tracker.provider || 'jira'),
+        jira: {
+            projectKey: null,
+            baseUrl: null,
+            ...(tracker.jira || {}),
+        },
+        azureDevOps: {
+            organization: null,
+            project: null,
+            tokenEnv: 'AZURE_DEVOPS_PAT',
+            apiBaseUrl: 'https://dev.azure.com',
+            keyPrefix: 'ADO',
+            secretEnv: 'AZURE_DEVOPS_WEBHOOK_SECRET',
+            ...(tracker.azureDevOps || {}),
+        },
+        github: {
+            repository: null,
+            tokenEnv: 'GITHUB_TOKEN',
+            apiBaseUrl: 'https://api.github.com',
+            webUrl: 'https://github.com',
+            keyPrefix: 'GH',
+            secretEnv: 'GITHUB_WEBHOOK_SECRET',
+            ...(tracker.github || {}),
+        },
+        local: {
+            storePath: null,
+            keyPrefix: 'LOCAL',
+            ...(tracker.local || {}),
+        },
+        options: tracker.options || {},
+    };
+}
+
+// ─── Factory ────────────────────────────────────────────────────────────────
+
+/**
+ * Create the tracker provider for a normalized config.
+ *
+ * @param {Object} [config] - From loadTrackerConfig() (loaded when omitted)
+ * @param {Object} [overrides] - Merged into the provider options (e.g., { fetch })
+ * @returns {TrackerProvider}
+ */
+function createTrackerProvider(config, overrides = {}) {
+    const resolved = config || loadTrackerConfig();
+    const withToken = settings => ({
+        ...settings,
+        token: settings.token || (settings.tokenEnv ? process.env[settings.tokenEnv] || null : null),
+        ...overrides,
+    });
+
+    switch (resolved.provider.toLowerCase()) {
+        case 'jira':
+            return new JiraTrackerProvider({ ...resolved.jira, ...overrides });
+        case 'azure-devops':
+        case 'azuredevops':
+        case 'ado':
+            return new AzureDevOpsTrackerProvider(withToken(resolved.azureDevOps));
+        case 'github':
+            return new GitHubIssuesTrackerProvider(withToken(resolved.github));
+        case 'local':
+            return new LocalTrackerProvider({ ...resolved.local, ...overrides });
+        default:
+            return loadCustomProvider(resolved.provider, { ...resolved.options, ...overrides });
+    }
+}
+
+function loadCustomProvider(modulePath, options) {
+    const resolved = path.isAbsolute(modulePath) ? modulePath : path.join(ROOT_DIR, modulePath);
+    let exported;
+    try {
+        exported = require(resolved);
+    } catch (error) {
+        throw new Error(`Unknown tracker provider "${modulePath}". Valid: jira, azure-devops, github, local, or a module path (${error.message})`);
+    }
+
+    const Provider = typeof exported === 'function'
+        ? exported
+        : Object.values(exported).find(value => typeof value === 'function' && value.prototype instanceof TrackerProvider);
+    if (!Provider || !(Provider.prototype instanceof TrackerProvider)) {
+        throw new Error(`Tracker provider module "${modulePath}" must export a TrackerProvider subclass`);
+    }
+    return new Provider(options);
+}
+
+// ─── Shared Instance ────────────────────────────────────────────────────────
+
+let _instance = null;
+
+/**
+ * The configured tracker, created on first use.
+ * @returns {TrackerProvider}
+ */
+function getTrackerProvider() {
+    if (!_instance) _instance = createTrackerProvider();
+    return _instance;
+}
+
+/** Drop the shared instance (config changed, or between tests). */
+function resetTrackerProvider() {
+    _instance = null;
+}
+
+module.exports = {
+    loadTrackerConfig,
+    createTrackerProvider,
+    getTrackerProvider,
+    resetTrackerProvider,
+    TrackerProvider,
+    TrackerError,
+    JiraTrackerProvider,
+    AzureDevOpsTrackerProvider,
+    GitHubIssuesTrackerProvider,
+    LocalTrackerProvider,
+};
@@ -0,0 +1,294 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * JIRA TRACKER PROVIDER — Atlassian Jira Cloud REST v3
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Reads credentials the same way the Jira tools do (JIRA_CLOUD_ID or
+ * JIRA_BASE_URL, JIRA_EMAIL, JIRA_API_TOKEN) and shapes issues with
+ * formatJiraTicket(). The Jira tools in custom-tools.js read, search, create,
+ * update, comment on, transition and attach to issues through this provider,
+ * so it is the one Jira client for those operations. Jira-only options the
+ * tools need on top of the TrackerProvider interface:
+ *   createIssue    — input.fields: raw Jira fields merged over the mapped ones
+ *   transitionIssue — options.transitionId / fields / update: post a transition
+ *                    the caller already resolved, with its screen fields
+ *   linkIssues / searchJql — issue links and JQL search with the legacy
+ *                    /search fallback
+ *
+ * Config (workflow-config.json → sdk.tracker.jira):
+ *   projectKey — default project for createIssue (falls back to JIRA_PROJECT_KEY)
+ *   baseUrl    — browse URL override (falls back to JIRA_BASE_URL)
+ *
+ * @module sdk-orchestrator/tracker-providers/jira-tracker-provider
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+const { TrackerProvider, TrackerError } = require('./tracker-provider');
+const { markdownToAdf } = require('../adf-converter');
+const { normalizeJiraTicketInput } = require('../atlassian-url-utils');
+const { normalizeJiraEvent } = require('../jira-webhook-rules');
+
+// custom-tools.js builds its tools from this module — require it lazily
+function jiraHelpers() {
+    return require('../custom-tools');
+}
+
+class JiraTrackerProvider extends TrackerProvider {
+    get type() {
+        return 'jira';
+    }
+
+    get displayName() {
+        return 'Jira';
+    }
+
+    parseIssueKey(input) {
+        return normalizeJiraTicketInput(input).ticketId || null;
+    }
+
+    async getIssue(issueKey) {
+        const config = this._config();
+        let data;
+        try {
+            data = await this._request('GET', `${issueApiUrl(config, issueKey)}?expand=renderedFields`);
+        } catch (error) {
+            // Jira Server / Data Center without REST v3
+            if (!(error instanceof TrackerError) || !config.baseUrl) throw error;
+            data = await this._request('GET', `${config.baseUrl.replace(/\/+$/, '')}/rest/api/2/issue/${encodeURIComponent(issueKey)}`);
+        }
+
+        const issue = jiraHelpers().formatJiraTicket(data, issueKey);
+        if (issue.commentsTruncated) {
+            // The first page stands when the comment endpoint is unavailable
+            const complete = await this._allComments(config, issueKey).catch(() => null);
+            if (complete) Object.assign(issue, complete);
+        }
+        return { ...issue, provider: this.type, ticketUrl: this.getIssueUrl(issue.key) };
+    }
+
+    async searchIssues(query, options = {}) {
+        const clauses = [];
+        if (options.project) clauses.push(`project = "${escapeJql(options.project)}"`);
+        if (query) clauses.push(`text ~ "${escapeJql(query)}"`);
+        const jql = options.jql || `${clauses.join(' AND ')} ORDER BY updated DESC`.trim();
+
+        const { data } = await this.searchJql({
+            jql,
+            maxResults: options.maxResults || 10,
+            fields: ['summary', 'status', 'issuetype', 'priority', 'labels', 'components'],
+        });
+        return (data?.issues || []).map(issue => ({
+            provider: this.type,
+            key: issue.key,
+            summary: issue.fields?.summary || '',
+            status: issue.fields?.status?.name || '',
+            issueType: issue.fields?.issuetype?.name || '',
+            priority: issue.fields?.priority?.name || '',
+            labels: issue.fields?.labels || [],
+            components: (issue.fields?.components || []).map(component => component.name),
+            ticketUrl: this.getIssueUrl(issue.key),
+        }));
+    }
+
+    /**
+     * Jira JQL search: the enhanced /search/jql endpoint, falling back to the
+     * legacy /search on sites that do not have it yet.
+     *
+     * @param {{ jql: string, maxResults: number, fields: string[] }} search
+     * @returns {Promise<{ endpoint: 'enhanced-jql'|'legacy-search-fallback', data: Object }>}
+     * @throws {TrackerError} with `endpoint` set when the legacy fallback failed too
+     */
+    async searchJql({ jql, maxResults, fields }) {
+        const config = this._config();
+        const body = { jql, maxResults, fields, fieldsByKeys: false };
+        try {
+            return { endpoint: 'enhanced-jql', data: await this._request('POST', `${config.apiBase}/search/jql`, { body }) };
+        } catch (error) {
+            if (![404, 405, 501].includes(error.status)) throw error;
+        }
+        try {
+            return { endpoint: 'legacy-search-fallback', data: await this._request('POST', `${config.apiBase}/search`, { body }) };
+        } catch (error) {
+            error.endpoint = 'legacy-search-fallback';
+            throw error;
+        }
+    }
+
+    async createIssue(input) {
+        const config = this._config();
+        const project = input.project || input.fields?.project?.key || this.options.projectKey || process.env.JIRA_PROJECT_KEY;
+        if (!project) {
+            throw new TrackerError('Jira: createIssue needs a project key (sdk.tracker.jira.projectKey or JIRA_PROJECT_KEY)');
+        }
+
+        const fields = {
+            project: { key: project },
+            summary: input.summary,
+            description: markdownToAdf(input.description || ''),
+            issuetype: { name: input.issueType || 'Bug' },
+        };
+        if (input.priority) fields.priority = { name: input.priority };
+        if (input.labels?.length) fields.labels = input.labels;
+        if (input.environment) fields.environment = markdownToAdf(input.environment);
+        if (input.parentKey) fields.parent = { key: input.parentKey };
+        if (input.assignee) fields.assignee = { accountId: input.assignee };
+        Object.assign(fields, input.fields || {});
+
+        const created = await this._request('POST', `${config.apiBase}/issue`, { body: { fields } });
+        if (input.linkedKey) await this.linkIssues(created.key, input.linkedKey, input.linkType);
+
+        return { key: created.key, id: String(created.id), ticketUrl: this.getIssueUrl(created.key) };
+    }
+
+    /**
+     * @param {string} inwardKey
+     * @param {string} outwardKey
+     * @param {string} [linkType] - Default 'Relates'
+     * @returns {Promise<void>}
+     */
+    async linkIssues(inwardKey, outwardKey, linkType = 'Relates') {
+        const config = this._config();
+        await this._request('POST', `${config.apiBase}/issueLink`, {
+            body: {
+                type: { name: linkType },
+                inwardIssue: { key: inwardKey },
+                outwardIssue: { key: outwardKey },
+            },
+        });
+    }
+
+    async updateIssue(issueKey, update) {
+        const config = this._config();
+        const fields = {};
+        const labelOps = [];
+        if (update.summary !== undefined) fields.summary = update.summary;
+        if (update.description !== undefined) fields.description = markdownToAdf(update.description);
+        if (update.priority) fields.priority = { name: update.priority };
+        if (update.labels) fields.labels = update.labels;
+        for (const label of update.addLabels || []) labelOps.push({ add: label });
+
+        const body = { fields };
+        if (labelOps.length && !update.labels) body.update = { labels: labelOps };
+        await this._request('PUT', issueApiUrl(config, issueKey), { body });
+
+        return {
+            key: issueKey,
+            updatedFields: [...Object.keys(fields), ...(body.update ? ['labels'] : [])],
+        };
+    }
+
+    async transitionIssue(issueKey, status, options = {}) {
+        const config = this._config();
+        const url = issueApiUrl(config, issueKey, '/transitions');
+
+        let from = '';
+        let transition = options.transitionId ? { id: String(options.transitionId), to: { name: status } } : null;
+        if (!transition) {
+            const current = await this._request('GET', `${issueApiUrl(config, issueKey)}?fields=status`);
+            const { transitions = [] } = await this._request('GET', url);
+            from = current?.fields?.status?.name || '';
+
+            const wanted = String(status).toLowerCase();
+            transition = transitions.find(item => item.to?.name?.toLowerCase() === wanted)
+                || transitions.find(item => item.name?.toLowerCase() === wanted);
+            if (!transition) {
+                const available = transitions.map(item => item.to?.name || item.name).join(', ');
+                throw new TrackerError(`Jira: no transition from "${from}" to "${status}" on ${issueKey} (available: ${available || 'none'})`);
+            }
+        }
+
+        const body = { transition: { id: transition.id } };
+        if (options.fields && Object.keys(options.fields).length > 0) body.fields = options.fields;
+        if (options.update && Object.keys(options.update).length > 0) body.update = options.update;
+        await this._request('POST', url, { body });
+        if (options.comment) await this.addComment(issueKey, options.comment);
+
+        return { key: issueKey, from, to: transition.to?.name || status };
+    }
+
+    async addComment(issueKey, body) {
+        const config = this._config();
+        const comment = await this._request('POST', issueApiUrl(config, issueKey, '/comment'), {
+            body: { body: markdownToAdf(body) },
+        });
+        return { id: String(comment?.id ?? '') };
+    }
+
+    async attachFile(issueKey, file) {
+        const config = this._config();
+        const boundary = `----TrackerAttachment${crypto.randomBytes(16).toString('hex')}`;
+        const safeName = String(file.fileName || 'attachment').replace(/[^a-zA-Z0-9._-]/g, '_');
+        const body = Buffer.concat([
+            Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${safeName}"\r\nContent-Type: ${file.mimeType}\r\n\r\n`),
+            file.buffer,
+            Buffer.from(`\r\n--${boundary}--\r\n`),
+        ]);
+
+        const uploaded = await this._request('POST', issueApiUrl(config, issueKey, '/attachments'), {
+            body,
+            headers: {
+                'X-Atlassian-Token': 'no-check',
+                'Content-Type': `multipart/form-data; boundary=${boundary}`,
+            },
+        });
+        const attachment = Array.isArray(uploaded) ? uploaded[0] : uploaded;
+        return { id: String(attachment?.id ?? ''), fileName: safeName, url: attachment?.content || null };
+    }
+
+    parseWebhook(payload) {
+        if (!payload?.issue) return null;
+        return normalizeJiraEvent(payload);
+    }
+
+    async testConnection() {
+        try {
+            const config = this._config();
+            const me = await this._request('GET', `${config.apiBase}/myself`);
+            return { connected: true, provider: this.type, message: `Connected as ${me?.displayName || me?.emailAddress || 'unknown user'}` };
+        } catch (error) {
+            return { connected: false, provider: this.type, message: error.message };
+        }
+    }
+
+    getIssueUrl(issueKey) {
+        const baseUrl = (this.options.baseUrl || process.env.JIRA_BASE_URL || '').replace(/\/+$/, '');
+        return baseUrl ? `${baseUrl}/browse/${issueKey}` : `https://${process.env.JIRA_SITE_NAME || 'jira'}.atlassian.net/browse/${issueKey}`;
+    }
+
+    // ─── Internal ───────────────────────────────────────────────────
+
+    _config() {
+        const config = jiraHelpers().getJiraApiConfig({ jiraBaseUrl: this.options.baseUrl });
+        if (config.error) throw new TrackerError(`Jira: ${config.error}`);
+        return config;
+    }
+
+    _authHeaders() {
+        return { Authorization: this._config().headers.Authorization };
+    }
+
+    /** Every comment of an issue whose GET returned only the first page. */
+    async _allComments(config, issueKey) {
+        const comments = [];
+        let total = null;
+        while (total === null || comments.length < total) {
+            const page = await this._request('GET', `${issueApiUrl(config, issueKey, '/comment')}?startAt=${comments.length}&maxResults=100`);
+            const items = page?.comments || [];
+            comments.push(...items);
+            total = typeof page?.total === 'number' ? page.total : comments.length;
+            if (items.length === 0) break;
+        }
+        return jiraHelpers().formatJiraComments({ comment: { comments, total, startAt: 0, maxResults: comments.length } });
+    }
+}
+
+function issueApiUrl(config, issueKey, suffix = '') {
+    return `${config.apiBase}/issue/${encodeURIComponent(issueKey)}${suffix}`;
+}
+
+function escapeJql(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+module.exports = { JiraTrackerProvider };
@@ -0,0 +1,282 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * LOCAL TRACKER PROVIDER — In-Memory or JSON File Issues
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * A tracker with no server: issues live in memory, or in a JSON file when
+ * storePath is set (written after every change, attachments saved next to
+ * it). For demos, offline work, and tests of anything built on a
+ * TrackerProvider.
+ *
+ * Config (workflow-config.json → sdk.tracker.local):
+ *   storePath — JSON file, relative to agentic-workflow/ (omit for in-memory)
+ *   keyPrefix — default LOCAL (issues are keyed LOCAL-1, LOCAL-2, …)
+ *   issues    — issues to seed an empty store with
+ *   statuses  — allowed workflow statuses (omit to allow any)
+ *
+ * Webhook payloads are the provider's own shape:
+ *   { event: 'issue_updated', timestamp, issue: { key, ... }, transition: { from, to } }
+ *
+ * @module sdk-orchestrator/tracker-providers/local-tracker-provider
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TrackerProvider, TrackerError, emptyIssue, issueLink } = require('./tracker-provider');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+class LocalTrackerProvider extends TrackerProvider {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.storePath]
+     * @param {string} [options.keyPrefix]
+     * @param {Object[]} [options.issues]
+     */
+    constructor(options = {}) {
+        super(options);
+        this.keyPrefix = options.keyPrefix || 'LOCAL';
+        this.storePath = options.storePath
+            ? (path.isAbsolute(options.storePath) ? options.storePath : path.join(ROOT_DIR, options.storePath))
+            : null;
+        this._store = this._load();
+        if (Object.keys(this._store.issues).length === 0 && Array.isArray(options.issues)) {
+            for (const seed of options.issues) this._insert(seed);
+            this._save();
+        }
+    }
+
+    get type() {
+        return 'local';
+    }
+
+    get displayName() {
+        return 'Local tracker';
+    }
+
+    parseIssueKey(input) {
+        const match = String(input || '').trim().match(new RegExp(`^(?:${this.keyPrefix}-|#)?(\\d+)$`, 'i'));
+        return match ? `${this.keyPrefix}-${match[1]}` : null;
+    }
+
+    async getIssue(issueKey) {
+        const stored = this._get(issueKey);
+        const { attachments, ...issue } = stored;
+        return {
+            ...clone(issue),
+            ticketId: issueKey,
+            commentCount: issue.comments.length,
+            attachments: attachments.map(({ fileName, mimeType, size, path: filePath }) => ({ fileName, mimeType, size, path: filePath })),
+        };
+    }
+
+    async searchIssues(query, options = {}) {
+        const needle = String(query || '').toLowerCase();
+        return Object.values(this._store.issues)
+            .filter(issue => !options.project || issue.project === options.project)
+            .filter(issue => !needle
+                || issue.summary.toLowerCase().includes(needle)
+                || issue.description.toLowerCase().includes(needle)
+                || issue.labels.some(label => label.toLowerCase() === needle))
+            .sort((a, b) => b.updated.localeCompare(a.updated))
+            .slice(0, options.maxResults || 10)
+            .map(issue => ({
+                provider: this.type,
+                key: issue.key,
+                summary: issue.summary,
+                status: issue.status,
+                issueType: issue.issueType,
+                priority: issue.priority,
+                labels: [...issue.labels],
+                components: [...issue.components],
+                ticketUrl: issue.ticketUrl,
+            }));
+    }
+
+    async createIssue(input) {
+        if (!input?.summary) throw new TrackerError('Local tracker: summary is required');
+        const issue = this._insert({
+            summary: input.summary,
+            description: [input.description, input.environment ? `Environment: ${input.environment}` : '']
+                .filter(Boolean).join('\n\n'),
+            project: input.project,
+            issueType: input.issueType || 'Bug',
+            priority: input.priority || '',
+            labels: input.labels || [],
+            assignee: input.assignee || '',
+        });
+
+        if (input.parentKey) {
+            const parent = this._get(input.parentKey);
+            issue.parent = reference(parent);
+            parent.subtasks.push(reference(issue));
+        }
+        if (input.linkedKey) {
+            const linked = this._get(input.linkedKey);
+            const name = input.linkType || 'Relates';
+            const wording = name.toLowerCase() === 'blocks'
+                ? { inward: 'is blocked by', outward: 'blocks' }
+                : { inward: name.toLowerCase(), outward: name.toLowerCase() };
+            issue.issueLinks.push(issueLink({ name, ...wording, direction: 'outward', relatedIssue: reference(linked) }));
+            linked.issueLinks.push(issueLink({ name, ...wording, direction: 'inward', relatedIssue: reference(issue) }));
+        }
+
+        this._save();
+        return { key: issue.key, id: issue.key, ticketUrl: issue.ticketUrl };
+    }
+
+    async updateIssue(issueKey, update) {
+        const issue = this._get(issueKey);
+        const updatedFields = [];
+        for (const field of ['summary', 'description', 'priority']) {
+            if (update[field] !== undefined) {
+                issue[field] = update[field];
+                updatedFields.push(field);
+            }
+        }
+        if (update.labels || update.addLabels?.length) {
+            issue.labels = [...new Set([...(update.labels || issue.labels), ...(update.addLabels || [])])];
+            updatedFields.push('labels');
+        }
+        if (updatedFields.length > 0) this._touch(issue);
+        return { key: issue.key, updatedFields };
+    }
+
+    async transitionIssue(issueKey, status, options = {}) {
+        const issue = this._get(issueKey);
+        const workflow = this.options.statuses;
+        if (Array.isArray(workflow) && !workflow.some(name => name.toLowerCase() === String(status).toLowerCase())) {
+            throw new TrackerError(`Local tracker: unknown status "${status}" (valid: ${workflow.join(', ')})`);
+        }
+        const from = issue.status;
+        issue.status = Array.isArray(workflow) ? workflow.find(name => name.toLowerCase() === String(status).toLowerCase()) : status;
+        if (options.comment) issue.comments.push(this._comment(options.comment));
+        this._touch(issue);
+        return { key: issue.key, from, to: issue.status };
+    }
+
+    async addComment(issueKey, body) {
+        const issue = this._get(issueKey);
+        const comment = this._comment(body);
+        issue.comments.push(comment);
+        this._touch(issue);
+        return { id: comment.id };
+    }
+
+    async attachFile(issueKey, file) {
+        const issue = this._get(issueKey);
+        const fileName = path.basename(file.fileName || 'attachment');
+        let filePath = null;
+        if (this.storePath) {
+            const dir = path.join(path.dirname(this.storePath), 'attachments', issue.key);
+            fs.mkdirSync(dir, { recursive: true });
+            filePath = path.join(dir, fileName);
+            fs.writeFileSync(filePath, file.buffer);
+        }
+        issue.attachments.push({ fileName, mimeType: file.mimeType, size: file.buffer.length, path: filePath });
+        this._touch(issue);
+        return { id: `${issue.key}/${fileName}`, fileName, url: filePath };
+    }
+
+    parseWebhook(payload) {
+        const issue = payload?.issue;
+        if (!issue?.key) return null;
+        return {
+            webhookEvent: payload.event || 'issue_updated',
+            timestamp: payload.timestamp ?? null,
+            issueKey: issue.key,
+            project: issue.project || null,
+            issueType: issue.issueType || null,
+            status: issue.status || payload.transition?.to || null,
+            labels: Array.isArray(issue.labels) ? issue.labels : [],
+            components: Array.isArray(issue.components) ? issue.components : [],
+            transition: payload.transition ? { from: payload.transition.from || null, to: payload.transition.to || null } : null,
+            changedFields: payload.transition ? ['status'] : [],
+            fields: issue,
+        };
+    }
+
+    async testConnection() {
+        const count = Object.keys(this._store.issues).length;
+        return {
+            connected: true,
+            provider: this.type,
+            message: `${count} issue(s) ${this.storePath ? `in ${path.relative(ROOT_DIR, this.storePath)}` : 'in memory'}`,
+        };
+    }
+
+    getIssueUrl(issueKey) {
+        return `local://${this.parseIssueKey(issueKey) || issueKey}`;
+    }
+
+    // ─── Store ──────────────────────────────────────────────────────
+
+    _load() {
+        if (this.storePath && fs.existsSync(this.storePath)) {
+            return JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+        }
+        return { nextId: 1, issues: {} };
+    }
+
+    _save() {
+        if (!this.storePath) return;
+        fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+        fs.writeFileSync(this.storePath, JSON.stringify(this._store, null, 2));
+    }
+
+    _insert(seed) {
+        const key = seed.key || `${this.keyPrefix}-${this._store.nextId}`;
+        const number = Number(key.split('-').pop());
+        if (Number.isInteger(number)) this._store.nextId = Math.max(this._store.nextId, number + 1);
+
+        const now = new Date().toISOString();
+        const issue = {
+            ...emptyIssue(this.type, key),
+            status: 'Open',
+            issueType: 'Task',
+            project: this.keyPrefix,
+            created: now,
+            updated: now,
+            attachments: [],
+            ...clone(seed),
+            key,
+            ticketUrl: this.getIssueUrl(key),
+        };
+        issue.ticketId = key;
+        issue.comments = issue.comments || [];
+        this._store.issues[key] = issue;
+        return issue;
+    }
+
+    _get(issueKey) {
+        const key = this.parseIssueKey(issueKey);
+        const issue = key && this._store.issues[key];
+        if (!issue) throw new TrackerError(`Local tracker: issue ${issueKey} not found`, { status: 404 });
+        return issue;
+    }
+
+    _touch(issue) {
+        issue.updated = new Date().toISOString();
+        this._save();
+    }
+
+    _comment(body) {
+        return {
+            id: `c${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            author: 'agentic-workflow',
+            body: String(body),
+            created: new Date().toISOString(),
+        };
+    }
+}
+
+function reference(issue) {
+    return { key: issue.key, summary: issue.summary, status: issue.status, issueType: issue.issueType };
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { LocalTrackerProvider };
@@ -0,0 +1,439 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TRACKER PROVIDER — Abstract Issue Tracker Interface
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Defines the contract every issue tracker provider implements. Providers
+ * translate a tracker (Jira, Azure DevOps Boards, GitHub Issues, a local file)
+ * into one TrackerIssue shape — the fields fetch_jira_ticket has always
+ * returned — so TestGenie, BugGenie, TaskGenie, the batch planner and the
+ * tracker webhook work against whichever tracker is configured.
+ *
+ * To add a new provider:
+ *   1. Create a new file (e.g., linear-tracker-provider.js)
+ *   2. Extend TrackerProvider
+ *   3. Implement all abstract methods
+ *   4. Register in tracker-providers/index.js → createTrackerProvider(), or
+ *      point sdk.tracker.provider at the module path
+ *
+ * @module sdk-orchestrator/tracker-providers/tracker-provider
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const { verifySignature } = require('../webhook-security');
+
+// ─── Standardized Types ─────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} TrackerIssueReference
+ * @property {string} key
+ * @property {string} [summary]
+ * @property {string} [status]
+ * @property {string} [issueType]
+ */
+
+/**
+ * Same shape as formatJiraIssueLinks() — the batch planner orders runs by it.
+ *
+ * @typedef {Object} TrackerIssueLink
+ * @property {{ name: string, inward: string, outward: string }} type - e.g., { name: 'Blocks', inward: 'is blocked by', outward: 'blocks' }
+ * @property {'inward'|'outward'} direction - inward: the related issue is the link's source
+ * @property {string} relatedIssueKey
+ * @property {TrackerIssueReference} relatedIssue
+ */
+
+/**
+ * @typedef {Object} TrackerComment
+ * @property {string} id
+ * @property {string} author
+ * @property {string} body    - Plain text
+ * @property {string} created - ISO 8601
+ */
+
+/**
+ * @typedef {Object} TrackerIssue
+ * @property {boolean} success
+ * @property {string}  provider      - Provider type (e.g., 'azure-devops')
+ * @property {string}  ticketId      - ID the issue was requested by
+ * @property {string}  key           - Canonical key (e.g., 'AOTF-123', 'ADO-4512', 'GH-87')
+ * @property {string}  summary
+ * @property {string}  description   - Plain text
+ * @property {string}  acceptanceCriteria - Plain text ('' when the tracker has none)
+ * @property {string}  status
+ * @property {string}  issueType
+ * @property {string}  priority
+ * @property {string[]} labels
+ * @property {string[]} components
+ * @property {string}  assignee
+ * @property {string}  reporter
+ * @property {TrackerIssueReference|null} parent
+ * @property {TrackerIssueReference[]} subtasks
+ * @property {TrackerIssueLink[]} issueLinks
+ * @property {TrackerComment[]} comments
+ * @property {number}  commentCount
+ * @property {string}  created
+ * @property {string}  updated
+ * @property {string}  ticketUrl
+ */
+
+/**
+ * @typedef {Object} TrackerIssueInput
+ * @property {string}   summary
+ * @property {string}   description   - Markdown
+ * @property {string}   [project]     - Project / repository; defaults to the provider's
+ * @property {string}   [issueType]   - Default 'Bug'
+ * @property {string}   [priority]
+ * @property {string[]} [labels]
+ * @property {string}   [environment]
+ * @property {string}   [parentKey]   - Create under this issue (subtask / child)
+ * @property {string}   [linkedKey]   - Link the new issue to this one
+ * @property {string}   [linkType]    - Default 'Relates'
+ * @property {string}   [assignee]    - Provider-specific user reference
+ */
+
+/**
+ * @typedef {Object} TrackerIssueUpdate
+ * @property {string}   [summary]
+ * @property {string}   [description] - Markdown
+ * @property {string}   [priority]
+ * @property {string[]} [labels]      - Replaces the labels
+ * @property {string[]} [addLabels]   - Added to the current labels
+ */
+
+/**
+ * Tracker webhook delivery flattened into the attributes
+ * sdk.webhooks.jira.rules match on (see jira-webhook-rules.js).
+ *
+ * @typedef {Object} TrackerEvent
+ * @property {string|null} webhookEvent
+ * @property {number|null} timestamp  - Epoch milliseconds
+ * @property {string|null} issueKey
+ * @property {string|null} project
+ * @property {string|null} issueType
+ * @property {string|null} status
+ * @property {string[]}    labels
+ * @property {string[]}    components
+ * @property {{ from: string|null, to: string|null }|null} transition
+ * @property {Object}      fields     - Raw provider fields for customFields conditions
+ */
+
+// ─── Errors ─────────────────────────────────────────────────────────────────
+
+class TrackerError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [details]
+     * @param {number} [details.status] - HTTP status from the tracker API
+     * @param {string} [details.body]   - Response body (trimmed)
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'TrackerError';
+        this.status = details.status ?? null;
+        this.body = details.body ?? null;
+    }
+}
+
+// ─── Abstract Provider Base Class ───────────────────────────────────────────
+
+class TrackerProvider {
+    /**
+     * @param {Object} [options] - Provider-specific settings (sdk.tracker.<provider>)
+     * @param {Function} [options.fetch] - Defaults to global fetch
+     */
+    constructor(options = {}) {
+        if (new.target === TrackerProvider) {
+            throw new Error('TrackerProvider is abstract — extend it and implement all methods.');
+        }
+        this.options = options;
+        this._fetch = options.fetch || ((...args) => fetch(...args));
+    }
+
+    /** @returns {string} Provider type identifier (e.g., 'jira') */
+    get type() {
+        throw new Error(`${this.constructor.name}.type is not implemented`);
+    }
+
+    /** @returns {string} Name for messages and logs (e.g., 'Azure DevOps') */
+    get displayName() {
+        return this.type;
+    }
+
+    /**
+     * Resolve a user- or agent-supplied reference (key, number, browse URL)
+     * to the provider's issue key.
+     *
+     * @param {string} input
+     * @returns {string|null} null when the input is not an issue reference
+     */
+    parseIssueKey(input) {
+        const value = String(input || '').trim();
+        return value || null;
+    }
+
+    /**
+     * @abstract
+     * @param {string} issueKey
+     * @returns {Promise<TrackerIssue>}
+     * @throws {TrackerError} status 404 when the issue does not exist
+     */
+    async getIssue(issueKey) {
+        throw new Error(`${this.constructor.name}.getIssue() is not implemented`);
+    }
+
+    /**
+     * @abstract
+     * @param {string} query - Plain text
+     * @param {Object} [options]
+     * @param {number} [options.maxResults] - Default 10
+     * @param {string} [options.project]
+     * @returns {Promise<TrackerIssue[]>} Issues with at least key, summary, status, issueType, ticketUrl
+     */
+    async searchIssues(query, options = {}) {
+        throw new Error(`${this.constructor.name}.searchIssues() is not implemented`);
+    }
+
+    /**
+     * @abstract
+     * @param {TrackerIssueInput} input
+     * @returns {Promise<{ key: string, id: string, ticketUrl: string }>}
+     */
+    async createIssue(input) {
+        throw new Error(`${this.constructor.name}.createIssue() is not implemented`);
+    }
+
+    /**
+     * @abstract
+     * @param {string} issueKey
+     * @param {TrackerIssueUpdate} update
+     * @returns {Promise<{ key: string, updatedFields: string[] }>}
+     */
+    async updateIssue(issueKey, update) {
+        throw new Error(`${this.constructor.name}.updateIssue() is not implemented`);
+    }
+
+    /**
+     * Move an issue to another workflow status.
+     *
+     * @abstract
+     * @param {string} issueKey
+     * @param {string} status - Target status (case-insensitive)
+     * @param {Object} [options]
+     * @param {string} [options.comment]
+     * @returns {Promise<{ key: string, from: string, to: string }>}
+     */
+    async transitionIssue(issueKey, status, options = {}) {
+        throw new Error(`${this.constructor.name}.transitionIssue() is not implemented`);
+    }
+
+    /**
+     * @abstract
+     * @param {string} issueKey
+     * @param {string} body - Markdown
+     * @returns {Promise<{ id: string }>}
+     */
+    async addComment(issueKey, body) {
+        throw new Error(`${this.constructor.name}.addComment() is not implemented`);
+    }
+
+    /**
+     * @abstract
+     * @param {string} issueKey
+     * @param {{ fileName: string, mimeType: string, buffer: Buffer }} file
+     * @returns {Promise<{ id: string, fileName: string, url: string|null }>}
+     */
+    async attachFile(issueKey, file) {
+        throw new Error(`${this.constructor.name}.attachFile() is not implemented`);
+    }
+
+    /**
+     * Flatten a webhook delivery from this tracker.
+     *
+     * @abstract
+     * @param {Object} payload - Parsed body
+     * @param {Object} [headers] - Lower-cased request headers
+     * @returns {TrackerEvent|null} null when the delivery is not about an issue
+     */
+    parseWebhook(payload, headers = {}) {
+        throw new Error(`${this.constructor.name}.parseWebhook() is not implemented`);
+    }
+
+    /**
+     * Header names and secret env var for this tracker's webhook. Unset
+     * values fall back to sdk.webhooks.jira.
+     *
+     * @returns {{ secretEnv: string|null, signatureHeader: string|null, deliveryIdHeader: string|null }}
+     */
+    get webhookSettings() {
+        const lower = value => (value ? String(value).toLowerCase() : null);
+        return {
+            secretEnv: this.options.secretEnv || null,
+            signatureHeader: lower(this.options.signatureHeader),
+            deliveryIdHeader: lower(this.options.deliveryIdHeader),
+        };
+    }
+
+    /**
+     * Authenticate a webhook delivery. Default: HMAC-SHA256 of the raw body
+     * in the signature header.
+     *
+     * @param {Buffer|string} rawBody
+     * @param {Object} headers - Lower-cased request headers
+     * @param {string} secret
+     * @param {string} signatureHeader - Resolved header name
+     * @returns {{ valid: boolean, error: string|null }}
+     */
+    verifyWebhook(rawBody, headers, secret, signatureHeader) {
+        return verifySignature(rawBody, headers[signatureHeader], secret);
+    }
+
+    /**
+     * @abstract
+     * @returns {Promise<{ connected: boolean, provider: string, message: string }>}
+     */
+    async testConnection() {
+        throw new Error(`${this.constructor.name}.testConnection() is not implemented`);
+    }
+
+    /**
+     * @abstract
+     * @param {string} issueKey
+     * @returns {string}
+     */
+    getIssueUrl(issueKey) {
+        throw new Error(`${this.constructor.name}.getIssueUrl() is not implemented`);
+    }
+
+    // ─── Helpers ────────────────────────────────────────────────────
+
+    /**
+     * Call the tracker API. JSON bodies are serialized; Buffers are sent as is.
+     *
+     * @param {string} method
+     * @param {string} url
+     * @param {Object} [options]
+     * @param {Object|Buffer} [options.body]
+     * @param {Object} [options.headers]
+     * @returns {Promise<Object|null>} Parsed JSON (null for an empty body)
+     * @throws {TrackerError} On a non-2xx response
+     */
+    async _request(method, url, options = {}) {
+        const isBuffer = Buffer.isBuffer(options.body);
+        const response = await this._fetch(url, {
+            method,
+            headers: {
+                Accept: 'application/json',
+                ...(options.body !== undefined && !isBuffer ? { 'Content-Type': 'application/json' } : {}),
+                ...this._authHeaders(),
+                ...(options.headers || {}),
+            },
+            ...(options.body !== undefined ? { body: isBuffer ? options.body : JSON.stringify(options.body) } : {}),
+        });
+
+        const text = await response.text();
+        if (!response.ok) {
+            throw new TrackerError(`${this.displayName}: ${method} ${url} returned ${response.status}`, {
+                status: response.status,
+                body: text.slice(0, 1000),
+            });
+        }
+        if (!text) return null;
+        try {
+            return JSON.parse(text);
+        } catch {
+            return { raw: text };
+        }
+    }
+
+    /** @returns {Object} Authorization headers for _request() */
+    _authHeaders() {
+        return {};
+    }
+}
+
+// ─── Utilities ──────────────────────────────────────────────────────────────
+
+/**
+ * Empty TrackerIssue with every field present, for providers to fill.
+ * @param {string} provider
+ * @param {string} key
+ * @returns {TrackerIssue}
+ */
+function emptyIssue(provider, key) {
+    return {
+        success: true,
+        provider,
+        ticketId: key,
+        key,
+        summary: '',
+        description: '',
+        acceptanceCriteria: '',
+        status: '',
+        issueType: '',
+        priority: '',
+        labels: [],
+        components: [],
+        assignee: '',
+        reporter: '',
+        parent: null,
+        subtasks: [],
+        issueLinks: [],
+        comments: [],
+        commentCount: 0,
+        commentsTruncated: false,
+        created: '',
+        updated: '',
+        ticketUrl: '',
+    };
+}
+
+/**
+ * Build a TrackerIssueLink.
+ *
+ * @param {Object} link
+ * @param {string} link.name      - Link type name
+ * @param {string} [link.inward]  - Wording from the related issue's side
+ * @param {string} [link.outward] - Wording from this issue's side
+ * @param {'inward'|'outward'} link.direction
+ * @param {TrackerIssueReference} link.relatedIssue
+ * @returns {TrackerIssueLink}
+ */
+function issueLink({ name, inward, outward, direction, relatedIssue }) {
+    return {
+        type: { name, inward: inward || outward || '', outward: outward || inward || '' },
+        direction,
+        relatedIssueKey: relatedIssue.key,
+        relatedIssue,
+    };
+}
+
+/**
+ * Pull an "Acceptance Criteria" section out of a markdown/plain-text body —
+ * for trackers without a dedicated field.
+ *
+ * @param {string} text
+ * @returns {{ description: string, acceptanceCriteria: string }}
+ */
+function splitAcceptanceCriteria(text) {
+    const body = String(text || '');
+    const match = body.match(/^(?:#{1,6}\s*|\*\*)?acceptance criteria(?:\*\*)?:?\s*$/im);
+    if (!match) return { description: body.trim(), acceptanceCriteria: '' };
+
+    const start = match.index + match[0].length;
+    const rest = body.slice(start);
+    // The section runs to the next heading of any level
+    const next = rest.search(/^#{1,6}\s+\S/m);
+    const criteria = next === -1 ? rest : rest.slice(0, next);
+    return {
+        description: (body.slice(0, match.index) + (next === -1 ? '' : rest.slice(next))).trim(),
+        acceptanceCriteria: criteria.trim(),
+    };
+}
+
+module.exports = {
+    TrackerProvider,
+    TrackerError,
+    emptyIssue,
+    issueLink,
+    splitAcceptanceCriteria,
+};
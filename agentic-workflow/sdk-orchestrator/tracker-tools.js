@@ -0,0 +1,482 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TRACKER TOOLS — Ticket Tools Backed by the Configured TrackerProvider
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * When sdk.tracker.provider is not `jira`, createCustomTools() swaps its
+ * Jira REST tools for these. The tool names stay the same — agent prompts
+ * and skills call fetch_jira_ticket / create_jira_ticket whatever the
+ * tracker — and the results keep the shapes the Jira tools return, so
+ * TestGenie, BugGenie and TaskGenie work unchanged against Azure DevOps,
+ * GitHub Issues or the local tracker.
+ *
+ * Jira-only tools (epics, time tracking, user search, issue-link removal…)
+ * have no provider equivalent and are dropped.
+ *
+ * Mutations go through the same approval guardrail as the Jira tools. The
+ * guardrail helpers live in custom-tools.js and are passed in, since
+ * custom-tools.js requires this module.
+ *
+ * @module tracker-tools
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+/** Tools replaced by a provider-backed version. */
+const TRACKER_TOOL_NAMES = [
+    'fetch_jira_ticket',
+    'search_jira_issues',
+    'create_jira_ticket',
+    'update_jira_ticket',
+    'transition_jira_ticket',
+    'attach_session_evidence_to_jira',
+];
+
+const TICKET_AGENTS = ['testgenie', 'buggenie', 'taskgenie'];
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+function splitLabels(value) {
+    const labels = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(labels.map(label => String(label).trim()).filter(Boolean))];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TOOL DEFINITIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create the provider-backed ticket tools for an agent.
+ *
+ * @param {Function} defineTool - Copilot SDK defineTool function
+ * @param {string}   agentName
+ * @param {Object}   deps       - Agent deps (chatManager, groundingStore, …)
+ * @param {Object}   context
+ * @param {import('./tracker-providers/tracker-provider').TrackerProvider} context.tracker
+ * @param {Object}   context.helpers - Guardrail and evidence helpers from custom-tools.js
+ * @returns {Array} Tool definitions
+ */
+function createTrackerTools(defineTool, agentName, deps = {}, { tracker, helpers }) {
+    const tools = [];
+    const trackerName = tracker.displayName;
+    const progress = (toolName, message, step, phase = 'tracker') => {
+        deps?.chatManager?.broadcastToolProgress?.(toolName, { phase, message, step });
+    };
+    const guardrailOverrides = action => ({ provider: tracker.type, providerLabel: trackerName, actionLabel: action });
+    const failure = (error, extra = {}) => JSON.stringify({ success: false, provider: tracker.type, error: error.message || error, ...extra });
+
+    /**
+     * Ask for approval the way the Jira tools do. Returns the refusal JSON,
+     * or null when approved.
+     */
+    const requireApproval = async ({ toolName, action, title, subject, changes, notes = [], consequence, ticketId, relatedIssueKey }) => {
+        const guardrail = helpers.buildJiraMutationGuardrailMetadata(toolName, guardrailOverrides(action));
+        const preview = helpers.buildMutationPreview({
+            guardrail,
+            title,
+            subject: helpers.buildMutationSubject(subject),
+            changes: changes.filter(Boolean),
+            notes: notes.filter(Boolean),
+            consequence,
+        });
+        const previewLines = helpers.buildJiraMutationPreviewLines([], preview);
+        const approval = await helpers.requireJiraMutationApproval({
+            deps,
+            toolName,
+            ticketId,
+            relatedIssueKey,
+            consequence,
+            previewLines,
+            preview,
+            guardrailOverrides: guardrailOverrides(action),
+        });
+        if (approval.approved) return null;
+        return JSON.stringify(helpers.buildJiraMutationApprovalFailure({
+            approval,
+            ticketId,
+            ticketUrl: ticketId ? tracker.getIssueUrl(ticketId) : undefined,
+            previewLines,
+            preview,
+        }), null, 2);
+    };
+
+    const resolveKey = input => tracker.parseIssueKey(input);
+    const invalidKey = input => failure(`"${input}" is not a ${trackerName} issue reference`, {
+        hint: `Pass an issue key like ${tracker.parseIssueKey('123') || '123'} or the issue URL.`,
+    });
+
+    if (!TICKET_AGENTS.includes(agentName)) return tools;
+
+    // ───────────────────────────────────────────────────────────────────
+    // TOOL: fetch_jira_ticket
+    // ───────────────────────────────────────────────────────────────────
+    tools.push(defineTool('fetch_jira_ticket', {
+        description:
+            `Fetches ticket details from ${trackerName} (summary, description, acceptance criteria, labels, ` +
+            'status, priority, issue type, components, parent, subtasks, issue links and comments). ' +
+            'For TestGenie, also computes a sparse-ticket score and forces KB enrichment when coverage context is insufficient.',
+        parameters: {
+            type: 'object',
+            properties: {
+                ticketId: {
+                    type: 'string',
+                    description: `${trackerName} issue key or URL (e.g., "${tracker.parseIssueKey('123') || '123'}")`,
+                },
+            },
+            required: ['ticketId'],
+        },
+        handler: async ({ ticketId }) => {
+            try {
+                const key = resolveKey(ticketId) || resolveKey(helpers.getLatestUserMessageText(deps));
+                if (!key) return invalidKey(ticketId);
+
+                progress('fetch_jira_ticket', `Fetching ${key} from ${trackerName}...`, 1);
+                const ticket = await tracker.getIssue(key);
+                ticket.sparseAssessment = helpers.computeSparseTicketScore(ticket);
+
+                if (agentName === 'testgenie') {
+                    progress('fetch_jira_ticket', `Ticket ${key} fetched — evaluating coverage completeness...`, 2);
+                    const kbEnrichment = await helpers.enrichSparseTicketWithKnowledgeBase(ticket, {
+                        agentName,
+                        groundingStore: deps.groundingStore,
+                    });
+                    ticket.kbAutoEnrichment = kbEnrichment;
+                    if (kbEnrichment.forcedByLogic) {
+                        progress('fetch_jira_ticket', `Sparse ticket detected for ${key} — forcing KB enrichment...`, 3, 'kb');
+                    }
+                }
+
+                return JSON.stringify(ticket, null, 2);
+            } catch (error) {
+                return failure(error, error.status === 404 ? { hint: 'Check the issue key and the sdk.tracker settings.' } : {});
+            }
+        },
+    }));
+
+    // ───────────────────────────────────────────────────────────────────
+    // TOOL: search_jira_issues
+    // ───────────────────────────────────────────────────────────────────
+    tools.push(defineTool('search_jira_issues', {
+        description:
+            `Searches ${trackerName} issues by text. Returns key, summary, status, issue type, priority, labels and URL ` +
+            'for the most recently updated matches.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Text to search for in titles and descriptions' },
+                projectKey: { type: 'string', description: 'Project / repository to search (defaults to the configured one)' },
+                maxResults: { type: 'number', description: 'Maximum results (default 10, max 50)' },
+            },
+        },
+        handler: async ({ query, projectKey, maxResults }) => {
+            try {
+                const limit = Math.min(Math.max(Number(maxResults) || 10, 1), 50);
+                const issues = await tracker.searchIssues(query || '', { project: projectKey, maxResults: limit });
+                return JSON.stringify({ success: true, provider: tracker.type, query: query || '', total: issues.length, issues }, null, 2);
+            } catch (error) {
+                return failure(error);
+            }
+        },
+    }));
+
+    // ───────────────────────────────────────────────────────────────────
+    // TOOL: create_jira_ticket
+    // ───────────────────────────────────────────────────────────────────
+    tools.push(defineTool('create_jira_ticket', {
+        description:
+            `Creates a new ${trackerName} issue. Used by BugGenie to file defects, TestGenie to create testing tasks, ` +
+            'and TaskGenie to create linked or child tasks. Returns the created issue key and URL.',
+        parameters: {
+            type: 'object',
+            properties: {
+                projectKey: { type: 'string', description: 'Project / repository (defaults to the configured one)' },
+                summary: { type: 'string', description: 'Issue title' },
+                description: { type: 'string', description: 'Full description in markdown (steps to reproduce, expected/actual, environment)' },
+                issueType: { type: 'string', description: 'Issue type (default: "Bug")' },
+                priority: { type: 'string', description: 'Priority: Highest, High, Medium, Low, Lowest' },
+                labels: { type: 'string', description: 'Comma-separated labels — only when the user explicitly asks for labels' },
+                environment: { type: 'string', description: 'Environment where the defect was found (e.g., "UAT")' },
+                linkedIssueKey: { type: 'string', description: 'Existing issue to link the new one to' },
+                parentIssueKey: { type: 'string', description: 'Existing issue to create the new one under' },
+                linkType: { type: 'string', description: 'Link type name (default: "Relates"); used with linkedIssueKey' },
+                assignee: { type: 'string', description: `${trackerName} user to assign (account, login or email)` },
+            },
+            required: ['summary', 'description'],
+        },
+        handler: async (args) => {
+            try {
+                const parentKey = args.parentIssueKey ? resolveKey(args.parentIssueKey) : null;
+                const linkedKey = args.linkedIssueKey ? resolveKey(args.linkedIssueKey) : null;
+                if (args.parentIssueKey && !parentKey) return invalidKey(args.parentIssueKey);
+                if (args.linkedIssueKey && !linkedKey) return invalidKey(args.linkedIssueKey);
+
+                const input = {
+                    project: args.projectKey || undefined,
+                    summary: args.summary,
+                    description: args.description,
+                    issueType: args.issueType || 'Bug',
+                    priority: args.priority || undefined,
+                    labels: splitLabels(args.labels),
+                    environment: args.environment || undefined,
+                    parentKey,
+                    linkedKey,
+                    linkType: args.linkType || undefined,
+                    assignee: args.assignee || undefined,
+                };
+
+                const change = (field, label, after) => helpers.createMutationFieldChange({ field, label, before: '', after });
+                const refusal = await requireApproval({
+                    toolName: 'create_jira_ticket',
+                    action: `create a new ${trackerName} issue`,
+                    title: `Approve ${trackerName} issue creation`,
+                    subject: { title: input.summary, label: `New ${input.issueType} issue` },
+                    changes: [
+                        change('issueType', 'Issue type', input.issueType),
+                        change('summary', 'Summary', input.summary),
+                        change('description', 'Description', input.description),
+                        change('priority', 'Priority', input.priority || ''),
+                        change('labels', 'Labels', input.labels),
+                        change('environment', 'Environment', input.environment || ''),
+                        change('assignee', 'Assignee', input.assignee || ''),
+                        change('parent', 'Parent issue', parentKey || ''),
+                    ],
+                    notes: [linkedKey ? `Will link the new issue to ${linkedKey}.` : ''],
+                    consequence: `${trackerName} will create a new issue that can trigger notifications and downstream workflow updates.`,
+                    ticketId: parentKey || linkedKey || null,
+                    relatedIssueKey: linkedKey,
+                });
+                if (refusal) return refusal;
+
+                progress('create_jira_ticket', `Creating ${input.issueType} in ${trackerName}...`, 2);
+                const created = await tracker.createIssue(input);
+                return JSON.stringify({
+                    success: true,
+                    provider: tracker.type,
+                    ticketKey: created.key,
+                    ticketId: created.id,
+                    ticketUrl: created.ticketUrl,
+                    issueType: input.issueType,
+                    parentIssueKey: parentKey || undefined,
+                    linkedIssueKey: linkedKey || undefined,
+                }, null, 2);
+            } catch (error) {
+                return failure(error);
+            }
+        },
+    }));
+
+    // ───────────────────────────────────────────────────────────────────
+    // TOOL: update_jira_ticket
+    // ───────────────────────────────────────────────────────────────────
+    tools.push(defineTool('update_jira_ticket', {
+        description:
+            `Updates an existing ${trackerName} issue: summary, description, priority, labels, and/or adds a comment.`,
+        parameters: {
+            type: 'object',
+            properties: {
+                ticketId: { type: 'string', description: `${trackerName} issue key or URL` },
+                summary: { type: 'string', description: 'New summary' },
+                description: { type: 'string', description: 'New description (markdown) — replaces the current one' },
+                comment: { type: 'string', description: 'Comment to add (markdown)' },
+                priority: { type: 'string', description: 'New priority' },
+                labels: { type: 'string', description: 'Comma-separated labels — replaces the current labels' },
+                addLabels: { type: 'string', description: 'Comma-separated labels to add' },
+            },
+            required: ['ticketId'],
+        },
+        handler: async ({ ticketId, summary, description, comment, priority, labels, addLabels }) => {
+            try {
+                const key = resolveKey(ticketId);
+                if (!key) return invalidKey(ticketId);
+
+                const update = {};
+                if (isNonEmptyString(summary)) update.summary = summary;
+                if (isNonEmptyString(description)) update.description = description;
+                if (isNonEmptyString(priority)) update.priority = priority;
+                if (labels !== undefined && labels !== null) update.labels = splitLabels(labels);
+                if (isNonEmptyString(addLabels)) update.addLabels = splitLabels(addLabels);
+                if (Object.keys(update).length === 0 && !isNonEmptyString(comment)) {
+                    return failure('Nothing to update — pass at least one field or a comment');
+                }
+
+                const current = await tracker.getIssue(key);
+                const change = (field, label, before, after) => helpers.createMutationFieldChange({ field, label, before, after });
+                const refusal = await requireApproval({
+                    toolName: 'update_jira_ticket',
+                    action: `update ${trackerName} issue fields`,
+                    title: `Approve ${trackerName} issue update`,
+                    subject: { id: key, url: current.ticketUrl, title: current.summary },
+                    changes: [
+                        update.summary !== undefined ? change('summary', 'Summary', current.summary, update.summary) : null,
+                        update.description !== undefined ? change('description', 'Description', current.description, update.description) : null,
+                        update.priority !== undefined ? change('priority', 'Priority', current.priority, update.priority) : null,
+                        update.labels || update.addLabels
+                            ? change('labels', 'Labels', current.labels, update.labels || [...new Set([...current.labels, ...update.addLabels])])
+                            : null,
+                        isNonEmptyString(comment) ? change('comment', 'New comment', '', comment) : null,
+                    ],
+                    consequence: `${trackerName} will update the issue and notify its watchers.`,
+                    ticketId: key,
+                });
+                if (refusal) return refusal;
+
+                progress('update_jira_ticket', `Updating ${key} in ${trackerName}...`, 2);
+                const result = Object.keys(update).length > 0
+                    ? await tracker.updateIssue(key, update)
+                    : { key, updatedFields: [] };
+                const addedComment = isNonEmptyString(comment) ? await tracker.addComment(key, comment) : null;
+
+                return JSON.stringify({
+                    success: true,
+                    provider: tracker.type,
+                    ticketId: key,
+                    ticketUrl: current.ticketUrl,
+                    updatedFields: result.updatedFields,
+                    commentAdded: Boolean(addedComment),
+                }, null, 2);
+            } catch (error) {
+                return failure(error);
+            }
+        },
+    }));
+
+    // ───────────────────────────────────────────────────────────────────
+    // TOOL: transition_jira_ticket
+    // ───────────────────────────────────────────────────────────────────
+    tools.push(defineTool('transition_jira_ticket', {
+        description:
+            `Moves a ${trackerName} issue to another workflow status (e.g., "In Progress", "Done"), optionally with a comment.`,
+        parameters: {
+            type: 'object',
+            properties: {
+                ticketId: { type: 'string', description: `${trackerName} issue key or URL` },
+                targetStatus: { type: 'string', description: 'Status to move the issue to' },
+                comment: { type: 'string', description: 'Optional comment to add with the transition' },
+            },
+            required: ['ticketId', 'targetStatus'],
+        },
+        handler: async ({ ticketId, targetStatus, comment }) => {
+            try {
+                const key = resolveKey(ticketId);
+                if (!key) return invalidKey(ticketId);
+                if (!isNonEmptyString(targetStatus)) return failure('targetStatus is required');
+
+                const current = await tracker.getIssue(key);
+                const refusal = await requireApproval({
+                    toolName: 'transition_jira_ticket',
+                    action: `change ${trackerName} issue status`,
+                    title: `Approve ${trackerName} status change`,
+                    subject: { id: key, url: current.ticketUrl, title: current.summary },
+                    changes: [
+                        helpers.createMutationFieldChange({ field: 'status', label: 'Status', before: current.status, after: targetStatus }),
+                        isNonEmptyString(comment) ? helpers.createMutationFieldChange({ field: 'comment', label: 'New comment', before: '', after: comment }) : null,
+                    ],
+                    consequence: `${trackerName} will move the issue and may trigger workflow automation.`,
+                    ticketId: key,
+                });
+                if (refusal) return refusal;
+
+                progress('transition_jira_ticket', `Moving ${key} to ${targetStatus}...`, 2);
+                const result = await tracker.transitionIssue(key, targetStatus.trim(), { comment: comment || undefined });
+                return JSON.stringify({
+                    success: true,
+                    provider: tracker.type,
+                    ticketId: key,
+                    ticketUrl: current.ticketUrl,
+                    fromStatus: result.from,
+                    toStatus: result.to,
+                    commentAdded: isNonEmptyString(comment),
+                }, null, 2);
+            } catch (error) {
+                return failure(error);
+            }
+        },
+    }));
+
+    // ───────────────────────────────────────────────────────────────────
+    // TOOL: attach_session_evidence_to_jira
+    // ───────────────────────────────────────────────────────────────────
+    if (agentName === 'buggenie') {
+        tools.push(defineTool('attach_session_evidence_to_jira', {
+            description:
+                `Attaches the active stored evidence (screenshots, video recordings) from the current chat session to an existing ${trackerName} issue.`,
+            parameters: {
+                type: 'object',
+                properties: {
+                    ticketKey: { type: 'string', description: `${trackerName} issue key to attach evidence to` },
+                    sessionId: { type: 'string', description: 'Chat session ID to retrieve stored evidence from. Use the current session ID.' },
+                    frameTimestamps: {
+                        type: 'array',
+                        items: { type: 'number' },
+                        description: 'Optional: specific frame timestamps (in seconds) to attach from uploaded videos.',
+                    },
+                },
+                required: ['ticketKey'],
+            },
+            handler: async ({ ticketKey, sessionId, frameTimestamps }) => {
+                try {
+                    const key = resolveKey(ticketKey);
+                    if (!key) return invalidKey(ticketKey);
+
+                    const sessionResult = helpers.getActiveSessionEntry(sessionId, deps);
+                    if (sessionResult.error) return failure(sessionResult.error);
+
+                    const uploadResult = await helpers.attachEvidenceToJira({
+                        ticketKey: key,
+                        entry: sessionResult.entry,
+                        activeEvidenceMessageId: sessionResult.entry?.sessionContext?.activeEvidenceMessageId,
+                        frameTimestamps,
+                        upload: async (fileName, mimeType, buffer, _boundaryPrefix, extra = {}) => {
+                            try {
+                                await tracker.attachFile(key, { fileName, mimeType, buffer });
+                                return { fileName, success: true, ...extra };
+                            } catch (error) {
+                                return { fileName, success: false, error: error.message, ...extra };
+                            }
+                        },
+                    });
+
+                    if (!uploadResult.hasEvidence) {
+                        return failure('No screenshots or video evidence found in the current session.');
+                    }
+                    return JSON.stringify({
+                        success: uploadResult.success,
+                        provider: tracker.type,
+                        ticketKey: key,
+                        sessionId: sessionResult.sessionId,
+                        ...uploadResult,
+                    });
+                } catch (error) {
+                    return failure(`Attachment error: ${error.message}`);
+                }
+            },
+        }));
+    }
+
+    return tools;
+}
+
+/**
+ * Replace the Jira ticket tools in a tool list with provider-backed ones and
+ * drop the remaining Jira-only tools.
+ *
+ * @param {Array}    tools      - From createCustomTools()
+ * @param {Function} defineTool
+ * @param {string}   agentName
+ * @param {Object}   deps
+ * @param {Object}   context    - { tracker, helpers } as for createTrackerTools()
+ * @returns {Array}
+ */
+function applyTrackerProvider(tools, defineTool, agentName, deps, context) {
+    const kept = tools.filter(tool => !/_jira(_|$)/.test(String(tool?.name || '')));
+    return [...kept, ...createTrackerTools(defineTool, agentName, deps, context)];
+}
+
+module.exports = {
+    createTrackerTools,
+    applyTrackerProvider,
+    TRACKER_TOOL_NAMES,
+};
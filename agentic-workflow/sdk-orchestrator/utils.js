@@ -111,6 +111,17 @@ function generateBatchId() {
     return `batch_${ts}_${rand}`;
 }
 
+/**
+ * Generate a unique schedule ID.
+ *
+ * @returns {string} Unique schedule ID
+ */
+function generateScheduleId() {
+    const ts = Date.now().toString(36);
+    const rand = crypto.randomBytes(4).toString('hex');
+    return `sched_${ts}_${rand}`;
+}
+
 // ─── Formatting Helpers ─────────────────────────────────────────────────────
 
 /**
@@ -195,12 +206,14 @@ function isValidTicketId(ticketId) {
 }
 
 /**
- * Validate pipeline mode.
+ * Validate pipeline mode: a built-in mode or a valid sdk.pipelineModes entry.
  * @param {string} mode
+ * @param {Object} [config] - Full workflow config (default: read from disk)
  * @returns {boolean}
  */
-function isValidMode(mode) {
-    return ['full', 'testcase', 'generate', 'heal', 'execute'].includes(mode);
+function isValidMode(mode, config) {
+    // Required lazily — pipeline-modes depends on this module
+    return require('./pipeline-modes').isKnownMode(mode, config);
 }
 
 // ─── Exports ────────────────────────────────────────────────────────────────
@@ -212,6 +225,7 @@ module.exports = {
     getStageTimeout,
     generateRunId,
     generateBatchId,
+    generateScheduleId,
     formatDuration,
     truncate,
     ensureDir,
@@ -0,0 +1,755 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * VISUAL BASELINE STORE — Versioned Screenshot Baselines with Review Workflow
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Tests record visual checkpoints during EXECUTE (captureVisualCheckpoint);
+ * after the run each capture is checked against the approved baseline for its
+ * key:
+ *
+ *   { ticketId, name, urlPattern, viewport, browser, environment }
+ *
+ * A capture within the mismatch threshold passes. Anything else becomes a
+ * pending candidate — 'new' when the key has no approved baseline yet,
+ * 'changed' when it differs — with the current image and a highlighted diff.
+ * Approving a candidate adds a baseline version; older versions are kept
+ * (up to maxVersions) and can be restored. Pending candidates fail EXECUTE
+ * per sdk.visual.failOnChanged / failOnNew.
+ *
+ * Layout under storeDir (default agentic-workflow/visual-baselines/):
+ *   baselines.json                      — index of every baseline
+ *   images/<baselineId>/v<N>.png         — approved versions
+ *   candidates/<baselineId>/<id>-*.png   — pending review (current + diff)
+ *
+ * Pixel comparison uses the MCP server's visual-diff engine (ESM, loaded on
+ * first use).
+ *
+ * @module sdk-orchestrator/visual-baseline-store
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+const { ensureDir, writeJSONSync, readJSONSync, loadWorkflowConfig } = require('./utils');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..', '..');
+const WORKFLOW_ROOT = path.join(__dirname, '..');
+const DEFAULT_STORE_DIR = path.join(WORKFLOW_ROOT, 'visual-baselines');
+const EVIDENCE_ROOT = path.join(PROJECT_ROOT, 'test-results', 'mission-evidence');
+const VISUAL_DIFF_MODULE = path.join(WORKFLOW_ROOT, 'mcp-server', 'utils', 'visual-diff.js');
+
+const CANDIDATE_STATUS = Object.freeze({
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    SUPERSEDED: 'superseded',
+});
+
+const CHECK_RESULT = Object.freeze({
+    PASSED: 'passed',
+    CHANGED: 'changed',
+    NEW: 'new',
+});
+
+const DEFAULTS = {
+    threshold: 0.01,
+    colorThreshold: 0.1,
+    maxVersions: 10,
+};
+
+// ─── Configuration ──────────────────────────────────────────────────────────
+
+/**
+ * Normalize sdk.visual.
+ *
+ * @param {Object} [config] - sdk.visual (defaults to workflow-config.json)
+ * @returns {Object}
+ */
+function loadVisualConfig(config) {
+    const visual = config || loadWorkflowConfig()?.sdk?.visual || {};
+    const storeDir = visual.storeDir
+        ? (path.isAbsolute(visual.storeDir) ? visual.storeDir : path.join(WORKFLOW_ROOT, visual.storeDir))
+        : DEFAULT_STORE_DIR;
+
+    return {
+        enabled: visual.enabled !== false,
+        storeDir,
+        threshold: toNumber(visual.threshold, DEFAULTS.threshold),
+        colorThreshold: toNumber(visual.colorThreshold, DEFAULTS.colorThreshold),
+        antialiasing: visual.antialiasing !== false,
+        failOnChanged: visual.failOnChanged !== false,
+        failOnNew: visual.failOnNew === true,
+        maxVersions: Math.max(1, Math.floor(toNumber(visual.maxVersions, DEFAULTS.maxVersions))),
+    };
+}
+
+// ─── Baseline Keys ──────────────────────────────────────────────────────────
+
+/**
+ * Reduce a page URL to the pattern baselines are keyed by: path only (the
+ * environment is a key of its own), no query, and ID-like segments — numbers,
+ * UUIDs, long hex or mixed letter/digit tokens — replaced by `*`. Hash routes
+ * (`#/search`) count as path.
+ *
+ * @param {string} url
+ * @returns {string} e.g. '/listing/*\/details'
+ */
+function toUrlPattern(url) {
+    if (!url) return '/';
+
+    let pathname = String(url);
+    let hash = '';
+    try {
+        const parsed = new URL(pathname, 'http://localhost');
+        pathname = parsed.pathname;
+        hash = parsed.hash;
+    } catch {
+        pathname = pathname.split(/[?#]/)[0];
+    }
+    if (hash.startsWith('#/')) {
+        pathname = `${pathname.replace(/\/$/, '')}/#${hash.slice(1).split('?')[0]}`;
+    }
+
+    const segments = pathname.split('/').map(segment => (isDynamicSegment(segment) ? '*' : segment));
+    const pattern = segments.join('/').replace(/\/{2,}/g, '/');
+    return pattern.length > 1 ? pattern.replace(/\/$/, '') : '/';
+}
+
+function isDynamicSegment(segment) {
+    if (!segment || segment === '#') return false;
+    const value = decodeURIComponent(segment);
+    return /^\d+$/.test(value)
+        || /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+        || /^[0-9a-f]{16,}$/i.test(value)
+        || (value.length >= 8 && /\d/.test(value) && /[a-z]/i.test(value) && /^[a-z0-9_-]+$/i.test(value)
+            && (value.match(/\d/g).length >= 3));
+}
+
+/**
+ * Canonical baseline key. `urlPattern` wins over `pageUrl`; viewport is
+ * 'WxH'; environment is upper-cased like run environments.
+ *
+ * @param {Object} input
+ * @returns {{ ticketId: string|null, name: string, urlPattern: string, viewport: string, browser: string, environment: string }}
+ */
+function normalizeKey(input = {}) {
+    const name = String(input.name || '').trim();
+    if (!name) throw new Error('Visual checkpoint name is required');
+
+    return {
+        ticketId: input.ticketId ? String(input.ticketId).toUpperCase() : null,
+        name,
+        urlPattern: input.urlPattern || toUrlPattern(input.pageUrl),
+        viewport: formatViewport(input.viewport),
+        browser: String(input.browser || 'chromium').toLowerCase(),
+        environment: String(input.environment || 'UAT').toUpperCase(),
+    };
+}
+
+/**
+ * Stable ID of a baseline key.
+ * @param {Object} key - normalizeKey() output
+ * @returns {string}
+ */
+function baselineIdFor(key) {
+    const material = [key.ticketId || '', key.name, key.urlPattern, key.viewport, key.browser, key.environment].join('\n');
+    return `vb_${crypto.createHash('sha1').update(material).digest('hex').slice(0, 16)}`;
+}
+
+function formatViewport(viewport) {
+    if (!viewport) return 'unknown';
+    if (typeof viewport === 'string') return viewport.toLowerCase().replace(/\s+/g, '');
+    return `${Math.round(viewport.width)}x${Math.round(viewport.height)}`;
+}
+
+// ─── Test-side Capture ──────────────────────────────────────────────────────
+
+/**
+ * Screenshot the page as a visual checkpoint of the current run. Called from
+ * specs; the EXECUTE stage checks the captures against approved baselines
+ * once Playwright finishes. Run context comes from the SDK_* environment the
+ * pipeline sets, like the other evidence recorders.
+ *
+ * @param {import('playwright').Page} page
+ * @param {string} name - Checkpoint name, unique per page within a spec
+ * @param {Object} [options]
+ * @param {boolean} [options.fullPage=false]
+ * @param {string[]} [options.mask]        - Selectors painted over before capture (dynamic content)
+ * @param {string[]} [options.ignore]      - Selectors whose area is left out of the comparison
+ * @param {Object[]} [options.ignoreRegions] - { x, y, width, height } in screenshot pixels
+ * @param {string} [options.urlPattern]    - Overrides the pattern derived from page.url()
+ * @param {string} [options.baseDir]       - Evidence root (default test-results/mission-evidence)
+ * @returns {Promise<Object>} The recorded capture entry
+ */
+async function captureVisualCheckpoint(page, name, options = {}) {
+    const runId = options.runId || process.env.SDK_RUN_ID || 'adhoc-run';
+    const scenarioId = options.scenarioId ?? (process.env.SDK_SCENARIO_ID || null);
+    const captureDir = getCaptureDir(runId, options.baseDir);
+    ensureDir(captureDir);
+
+    const viewport = page.viewportSize()
+        || await page.evaluate(() => ({ width: window.innerWidth, height: window.innerHeight }));
+    const browser = options.browser
+        || page.context().browser()?.browserType().name()
+        || process.env.BROWSER_TYPE
+        || 'chromium';
+
+    const fullPage = options.fullPage === true;
+    const ignoreRegions = [...(options.ignoreRegions || [])];
+    if (options.ignore?.length) {
+        const scroll = fullPage
+            ? await page.evaluate(() => ({ x: window.scrollX, y: window.scrollY }))
+            : { x: 0, y: 0 };
+        for (const selector of options.ignore) {
+            for (const box of await page.locator(selector).evaluateAll(nodes => nodes.map(node => {
+                const rect = node.getBoundingClientRect();
+                return { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+            }))) {
+                if (box.width > 0 && box.height > 0) {
+                    ignoreRegions.push({ x: box.x + scroll.x, y: box.y + scroll.y, width: box.width, height: box.height });
+                }
+            }
+        }
+    }
+
+    const id = `cap_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const file = path.join(captureDir, `${id}-${slug(name)}.png`);
+    await page.screenshot({
+        path: file,
+        fullPage,
+        animations: 'disabled',
+        caret: 'hide',
+        mask: (options.mask || []).map(selector => page.locator(selector)),
+    });
+
+    const entry = {
+        id,
+        runId,
+        scenarioId,
+        ticketId: options.ticketId || process.env.SDK_TICKET_ID || null,
+        name,
+        pageUrl: page.url(),
+        urlPattern: options.urlPattern || null,
+        viewport: formatViewport(viewport),
+        browser,
+        environment: options.environment || process.env.SDK_ENVIRONMENT || 'UAT',
+        fullPage,
+        ignoreRegions,
+        file,
+        capturedAt: new Date().toISOString(),
+    };
+    fs.appendFileSync(path.join(captureDir, 'captures.jsonl'), `${JSON.stringify(entry)}\n`, 'utf-8');
+    return entry;
+}
+
+/**
+ * Captures recorded for a run, optionally limited to one scenario.
+ *
+ * @param {string} runId
+ * @param {Object} [options]
+ * @param {string} [options.scenarioId]
+ * @param {string} [options.baseDir]
+ * @returns {Object[]}
+ */
+function readRunCaptures(runId, options = {}) {
+    const logPath = path.join(getCaptureDir(runId, options.baseDir), 'captures.jsonl');
+    if (!fs.existsSync(logPath)) return [];
+
+    return fs.readFileSync(logPath, 'utf-8').split(/\r?\n/).filter(Boolean)
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                return null;
+            }
+        })
+        .filter(entry => entry && (!options.scenarioId || entry.scenarioId === options.scenarioId));
+}
+
+function getCaptureDir(runId, baseDir = EVIDENCE_ROOT) {
+    return path.join(baseDir || EVIDENCE_ROOT, runId, 'visual');
+}
+
+// ─── Visual Baseline Store ──────────────────────────────────────────────────
+
+class VisualBaselineStore {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.config] - sdk.visual (raw or loadVisualConfig() output)
+     * @param {string} [options.storeDir] - Overrides config.storeDir
+     */
+    constructor(options = {}) {
+        this.config = loadVisualConfig(options.config);
+        this.storeDir = options.storeDir || this.config.storeDir;
+        this.indexPath = path.join(this.storeDir, 'baselines.json');
+        this._baselines = new Map();
+        this._mtimeMs = 0;
+        this._load();
+    }
+
+    // ─── Queries ────────────────────────────────────────────────────
+
+    /**
+     * @param {Object} [filters]
+     * @param {string} [filters.ticketId]
+     * @param {string} [filters.environment]
+     * @param {string} [filters.browser]
+     * @param {string} [filters.viewport]
+     * @param {string} [filters.status] - 'pending' (has a pending candidate) | 'approved' | 'unapproved'
+     * @param {string} [filters.runId]  - Baselines with a candidate from this run
+     * @returns {Object[]} Summaries, pending review first, then most recently updated
+     */
+    list(filters = {}) {
+        this._reloadIfChanged();
+        const match = (value, filter) => !filter || String(value || '').toLowerCase() === String(filter).toLowerCase();
+
+        return Array.from(this._baselines.values())
+            .filter(baseline => match(baseline.ticketId, filters.ticketId)
+                && match(baseline.environment, filters.environment)
+                && match(baseline.browser, filters.browser)
+                && match(baseline.viewport, filters.viewport))
+            .filter(baseline => !filters.runId || baseline.candidates.some(c => c.runId === filters.runId))
+            .map(baseline => this._summarize(baseline))
+            .filter(summary => {
+                if (filters.status === 'pending') return summary.pendingCandidate !== null;
+                if (filters.status === 'approved') return summary.approvedVersion !== null;
+                if (filters.status === 'unapproved') return summary.approvedVersion === null;
+                return true;
+            })
+            .sort((a, b) => Number(!!b.pendingCandidate) - Number(!!a.pendingCandidate)
+                || new Date(b.updatedAt) - new Date(a.updatedAt));
+    }
+
+    /**
+     * @param {string} baselineId
+     * @returns {Object|null} Full record: key, versions, candidates, lastCheck
+     */
+    get(baselineId) {
+        this._reloadIfChanged();
+        return this._baselines.get(baselineId) || null;
+    }
+
+    /**
+     * Pending candidates created by a run.
+     * @param {string} runId
+     * @returns {Object[]} { baselineId, key, candidate }
+     */
+    getPendingForRun(runId) {
+        this._reloadIfChanged();
+        const pending = [];
+        for (const baseline of this._baselines.values()) {
+            for (const candidate of baseline.candidates) {
+                if (candidate.runId === runId && candidate.status === CANDIDATE_STATUS.PENDING) {
+                    pending.push({ baselineId: baseline.id, key: keyOf(baseline), candidate });
+                }
+            }
+        }
+        return pending;
+    }
+
+    /**
+     * Absolute path of a stored image.
+     *
+     * @param {string} baselineId
+     * @param {Object} ref - { version } | { candidateId, kind: 'current'|'diff' }
+     * @returns {string|null}
+     */
+    getImagePath(baselineId, ref = {}) {
+        const baseline = this.get(baselineId);
+        if (!baseline) return null;
+
+        let file = null;
+        if (ref.version !== undefined) {
+            const version = ref.version === 'approved' ? baseline.approvedVersion : Number(ref.version);
+            file = baseline.versions.find(entry => entry.version === version)?.file || null;
+        } else if (ref.candidateId) {
+            const candidate = baseline.candidates.find(entry => entry.id === ref.candidateId);
+            file = ref.kind === 'diff' ? candidate?.diffFile : candidate?.file;
+        }
+        if (!file) return null;
+
+        const filePath = path.join(this.storeDir, file);
+        return fs.existsSync(filePath) ? filePath : null;
+    }
+
+    // ─── Checks ─────────────────────────────────────────────────────
+
+    /**
+     * Compare a screenshot with the approved baseline of its key. Differences
+     * (and first captures) become a pending candidate, replacing any earlier
+     * pending candidate of the same baseline.
+     *
+     * @param {Object} capture - Key fields + { runId, scenarioId, pageUrl, ignoreRegions }
+     * @param {Buffer} png
+     * @param {Object} [options] - Per-check threshold / colorThreshold / antialiasing
+     * @returns {Promise<Object>} { baselineId, key, result, mismatchRatio, diffPixels, candidateId }
+     */
+    async check(capture, png, options = {}) {
+        const key = normalizeKey(capture);
+        const baselineId = baselineIdFor(key);
+        const hash = sha256(png);
+        const approved = this._approvedVersion(this.get(baselineId));
+
+        let comparison = null;
+        if (approved) {
+            const baselinePng = fs.readFileSync(path.join(this.storeDir, approved.file));
+            if (approved.hash !== hash) {
+                const { comparePNG } = await loadVisualDiff();
+                comparison = comparePNG(baselinePng, png, {
+                    colorThreshold: options.colorThreshold ?? this.config.colorThreshold,
+                    antialiasing: options.antialiasing ?? this.config.antialiasing,
+                    ignoreRegions: capture.ignoreRegions || [],
+                });
+            }
+        }
+
+        const passed = approved && (!comparison || comparison.diffPixels === 0
+            || (comparison.dimensionsMatch && comparison.mismatchRatio <= (options.threshold ?? this.config.threshold)));
+        const result = passed ? CHECK_RESULT.PASSED : (approved ? CHECK_RESULT.CHANGED : CHECK_RESULT.NEW);
+        const mismatchRatio = comparison ? round(comparison.dimensionsMatch ? comparison.mismatchRatio : 1) : (approved ? 0 : null);
+
+        this._reloadIfChanged();
+        const baseline = this._baselines.get(baselineId) || this._createBaseline(baselineId, key);
+        const now = new Date().toISOString();
+        let candidate = null;
+
+        if (result !== CHECK_RESULT.PASSED) {
+            for (const entry of baseline.candidates) {
+                if (entry.status === CANDIDATE_STATUS.PENDING) {
+                    entry.status = CANDIDATE_STATUS.SUPERSEDED;
+                    entry.reviewedAt = now;
+                }
+            }
+
+            const candidateId = `cand_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`;
+            const dir = path.join('candidates', baselineId);
+            ensureDir(path.join(this.storeDir, dir));
+            candidate = {
+                id: candidateId,
+                kind: result,
+                status: CANDIDATE_STATUS.PENDING,
+                runId: capture.runId || null,
+                scenarioId: capture.scenarioId || null,
+                pageUrl: capture.pageUrl || null,
+                file: toPosix(path.join(dir, `${candidateId}-current.png`)),
+                diffFile: null,
+                hash,
+                againstVersion: approved?.version ?? null,
+                mismatchRatio,
+                diffPixels: comparison?.diffPixels ?? null,
+                dimensions: comparison?.dimensions || null,
+                submittedAt: now,
+                reviewedAt: null,
+                reviewedBy: null,
+                comment: null,
+            };
+            fs.writeFileSync(path.join(this.storeDir, candidate.file), png);
+            if (comparison?.diffPng) {
+                candidate.diffFile = toPosix(path.join(dir, `${candidateId}-diff.png`));
+                fs.writeFileSync(path.join(this.storeDir, candidate.diffFile), comparison.diffPng);
+            }
+            baseline.candidates.push(candidate);
+        }
+
+        baseline.lastCheck = {
+            runId: capture.runId || null,
+            result,
+            mismatchRatio,
+            candidateId: candidate?.id || null,
+            checkedAt: now,
+        };
+        baseline.updatedAt = now;
+        this._save();
+
+        return {
+            baselineId,
+            key,
+            result,
+            mismatchRatio,
+            diffPixels: comparison?.diffPixels ?? 0,
+            candidateId: candidate?.id || null,
+            candidate,
+            approvedVersion: approved?.version ?? null,
+        };
+    }
+
+    /**
+     * Check every capture a run recorded (captureVisualCheckpoint).
+     *
+     * @param {string} runId
+     * @param {Object} [options]
+     * @param {string} [options.scenarioId]
+     * @param {string} [options.baseDir] - Evidence root
+     * @returns {Promise<Object>} { checked, passed, changed, new, failed, checks, errors }
+     */
+    async checkRun(runId, options = {}) {
+        const summary = { checked: 0, passed: 0, changed: 0, new: 0, failed: false, checks: [], errors: [] };
+
+        for (const capture of readRunCaptures(runId, options)) {
+            try {
+                const check = await this.check({ ...capture, runId }, fs.readFileSync(capture.file));
+                delete check.candidate;
+                summary.checked++;
+                summary[check.result]++;
+                summary.checks.push({ name: capture.name, pageUrl: capture.pageUrl, ...check });
+            } catch (error) {
+                summary.errors.push({ name: capture.name, error: error.message });
+            }
+        }
+
+        summary.failed = (this.config.failOnChanged && summary.changed > 0)
+            || (this.config.failOnNew && summary.new > 0);
+        return summary;
+    }
+
+    // ─── Review ─────────────────────────────────────────────────────
+
+    /**
+     * Approve a pending candidate: its image becomes the next baseline version.
+     *
+     * @param {string} baselineId
+     * @param {string} candidateId
+     * @param {Object} [review] - { reviewer, comment }
+     * @returns {Object} The updated baseline
+     * @throws {Error} When the baseline/candidate is missing or not pending
+     */
+    approve(baselineId, candidateId, review = {}) {
+        const { baseline, candidate } = this._pendingCandidate(baselineId, candidateId);
+        const now = new Date().toISOString();
+        const version = baseline.versions.reduce((max, entry) => Math.max(max, entry.version), 0) + 1;
+        const file = toPosix(path.join('images', baselineId, `v${version}.png`));
+
+        ensureDir(path.join(this.storeDir, 'images', baselineId));
+        fs.copyFileSync(path.join(this.storeDir, candidate.file), path.join(this.storeDir, file));
+
+        baseline.versions.push({
+            version,
+            file,
+            hash: candidate.hash,
+            candidateId,
+            runId: candidate.runId,
+            approvedAt: now,
+            approvedBy: review.reviewer || null,
+            comment: review.comment || null,
+        });
+        baseline.approvedVersion = version;
+        Object.assign(candidate, {
+            status: CANDIDATE_STATUS.APPROVED,
+            version,
+            reviewedAt: now,
+            reviewedBy: review.reviewer || null,
+            comment: review.comment || null,
+        });
+        baseline.updatedAt = now;
+
+        this._pruneVersions(baseline);
+        this._save();
+        return baseline;
+    }
+
+    /**
+     * Reject a pending candidate. The approved baseline stays; the next run
+     * showing the same change raises a new candidate.
+     *
+     * @param {string} baselineId
+     * @param {string} candidateId
+     * @param {Object} [review] - { reviewer, comment }
+     * @returns {Object} The updated baseline
+     */
+    reject(baselineId, candidateId, review = {}) {
+        const { baseline, candidate } = this._pendingCandidate(baselineId, candidateId);
+        const now = new Date().toISOString();
+        Object.assign(candidate, {
+            status: CANDIDATE_STATUS.REJECTED,
+            reviewedAt: now,
+            reviewedBy: review.reviewer || null,
+            comment: review.comment || null,
+        });
+        baseline.updatedAt = now;
+        this._save();
+        return baseline;
+    }
+
+    /**
+     * Make an earlier version the approved baseline again.
+     *
+     * @param {string} baselineId
+     * @param {number} version
+     * @param {Object} [review] - { reviewer }
+     * @returns {Object} The updated baseline
+     */
+    restoreVersion(baselineId, version, review = {}) {
+        const baseline = this.get(baselineId);
+        if (!baseline) throw new Error(`Baseline ${baselineId} not found`);
+        const entry = baseline.versions.find(item => item.version === Number(version));
+        if (!entry) throw new Error(`Version ${version} of baseline ${baselineId} not found`);
+
+        baseline.approvedVersion = entry.version;
+        entry.restoredAt = new Date().toISOString();
+        entry.restoredBy = review.reviewer || null;
+        baseline.updatedAt = entry.restoredAt;
+        this._save();
+        return baseline;
+    }
+
+    // ─── Internals ──────────────────────────────────────────────────
+
+    _createBaseline(baselineId, key) {
+        const now = new Date().toISOString();
+        const baseline = {
+            id: baselineId,
+            ...key,
+            approvedVersion: null,
+            versions: [],
+            candidates: [],
+            lastCheck: null,
+            createdAt: now,
+            updatedAt: now,
+        };
+        this._baselines.set(baselineId, baseline);
+        return baseline;
+    }
+
+    _approvedVersion(baseline) {
+        if (!baseline || baseline.approvedVersion === null) return null;
+        return baseline.versions.find(entry => entry.version === baseline.approvedVersion) || null;
+    }
+
+    _pendingCandidate(baselineId, candidateId) {
+        const baseline = this.get(baselineId);
+        if (!baseline) throw new Error(`Baseline ${baselineId} not found`);
+        const candidate = baseline.candidates.find(entry => entry.id === candidateId);
+        if (!candidate) throw new Error(`Candidate ${candidateId} not found`);
+        if (candidate.status !== CANDIDATE_STATUS.PENDING) {
+            throw new Error(`Candidate ${candidateId} is ${candidate.status}, not pending`);
+        }
+        return { baseline, candidate };
+    }
+
+    /** Drop the oldest versions beyond maxVersions (never the approved one). */
+    _pruneVersions(baseline) {
+        while (baseline.versions.length > this.config.maxVersions) {
+            const index = baseline.versions.findIndex(entry => entry.version !== baseline.approvedVersion);
+            if (index === -1) break;
+            const [removed] = baseline.versions.splice(index, 1);
+            try {
+                fs.unlinkSync(path.join(this.storeDir, removed.file));
+            } catch { /* already gone */ }
+        }
+    }
+
+    _summarize(baseline) {
+        const approved = this._approvedVersion(baseline);
+        const pending = baseline.candidates.filter(entry => entry.status === CANDIDATE_STATUS.PENDING).pop() || null;
+        return {
+            id: baseline.id,
+            ...keyOf(baseline),
+            approvedVersion: baseline.approvedVersion,
+            versionCount: baseline.versions.length,
+            approvedAt: approved?.approvedAt || null,
+            approvedBy: approved?.approvedBy || null,
+            pendingCandidate: pending,
+            lastCheck: baseline.lastCheck,
+            createdAt: baseline.createdAt,
+            updatedAt: baseline.updatedAt,
+        };
+    }
+
+    // ─── Persistence ────────────────────────────────────────────────
+
+    _load() {
+        const data = readJSONSync(this.indexPath, null);
+        this._baselines.clear();
+        for (const baseline of data?.baselines || []) {
+            this._baselines.set(baseline.id, baseline);
+        }
+        this._mtimeMs = this._statMtime();
+    }
+
+    _reloadIfChanged() {
+        if (this._statMtime() !== this._mtimeMs) this._load();
+    }
+
+    _save() {
+        writeJSONSync(this.indexPath, {
+            version: '1.0.0',
+            lastUpdated: new Date().toISOString(),
+            baselines: Array.from(this._baselines.values()),
+        });
+        this._mtimeMs = this._statMtime();
+    }
+
+    _statMtime() {
+        try {
+            return fs.statSync(this.indexPath).mtimeMs;
+        } catch {
+            return 0;
+        }
+    }
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+let _visualDiff = null;
+
+/** The ESM pixel-diff engine shared with the MCP server. */
+function loadVisualDiff() {
+    if (!_visualDiff) _visualDiff = import(pathToFileURL(VISUAL_DIFF_MODULE).href);
+    return _visualDiff;
+}
+
+function keyOf(baseline) {
+    return {
+        ticketId: baseline.ticketId,
+        name: baseline.name,
+        urlPattern: baseline.urlPattern,
+        viewport: baseline.viewport,
+        browser: baseline.browser,
+        environment: baseline.environment,
+    };
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function round(value) {
+    return Number(value.toFixed(6));
+}
+
+function toNumber(value, fallback) {
+    const number = Number(value);
+    return value !== undefined && value !== null && Number.isFinite(number) ? number : fallback;
+}
+
+function toPosix(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+function slug(value) {
+    return String(value || 'checkpoint')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60) || 'checkpoint';
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+    VisualBaselineStore,
+    loadVisualConfig,
+    toUrlPattern,
+    normalizeKey,
+    baselineIdFor,
+    captureVisualCheckpoint,
+    readRunCaptures,
+    loadVisualDiff,
+    CANDIDATE_STATUS,
+    CHECK_RESULT,
+    DEFAULT_STORE_DIR,
+};
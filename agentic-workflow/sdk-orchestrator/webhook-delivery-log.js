@@ -0,0 +1,198 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * WEBHOOK DELIVERY LOG — Record of Every Incoming Webhook Delivery
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Every delivery to a webhook endpoint is recorded here, whether it was
+ * accepted, ignored by the trigger rules, rejected (bad signature, stale) or a
+ * duplicate. The log answers "why didn't ticket X trigger a run?" and doubles
+ * as the replay cache: a delivery ID that was already processed is not
+ * processed again.
+ *
+ * Persists to webhook-deliveries.json next to the run store, newest last,
+ * capped at `maxEntries`.
+ *
+ * @module sdk-orchestrator/webhook-delivery-log
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const path = require('path');
+const { writeJSONSync, readJSONSync, loadWorkflowConfig } = require('./utils');
+
+const WORKFLOW_ROOT = path.join(__dirname, '..');
+const DEFAULT_STORE_PATH = path.join(WORKFLOW_ROOT, 'test-artifacts', 'webhook-deliveries.json');
+const DEFAULT_MAX_ENTRIES = 2000;
+
+const DELIVERY_ACTION = {
+    ACCEPTED: 'accepted',
+    IGNORED: 'ignored',
+    REJECTED: 'rejected',
+    DUPLICATE: 'duplicate',
+    ERROR: 'error',
+};
+
+// ─── Webhook Delivery Log ───────────────────────────────────────────────────
+
+class WebhookDeliveryLog {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.storePath]       - Path to webhook-deliveries.json
+     * @param {number} [options.maxEntries=2000] - Oldest entries are dropped beyond this
+     */
+    constructor(options = {}) {
+        this.storePath = options.storePath || DEFAULT_STORE_PATH;
+        this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+        const data = readJSONSync(this.storePath, null);
+        this._deliveries = Array.isArray(data?.deliveries) ? data.deliveries : [];
+    }
+
+    /**
+     * Append a delivery.
+     *
+     * @param {Object} entry
+     * @param {string} entry.source     - 'jira' | 'github' | 'gitlab' | ...
+     * @param {string} entry.deliveryId - Provider delivery ID, or a body hash
+     * @param {string} entry.action     - DELIVERY_ACTION value
+     * @param {string} [entry.reason]
+     * @param {number} [entry.httpStatus]
+     * @returns {Object} The stored entry
+     */
+    record(entry) {
+        const stored = {
+            ...entry,
+            deliveryId: entry.deliveryId || null,
+            source: entry.source,
+            receivedAt: entry.receivedAt || new Date().toISOString(),
+            action: entry.action,
+            reason: entry.reason || null,
+            httpStatus: entry.httpStatus || null,
+            event: entry.event || null,
+            ticketId: entry.ticketId || null,
+            rule: entry.rule || null,
+            runId: entry.runId || null,
+        };
+
+        this._deliveries.push(stored);
+        if (this._deliveries.length > this.maxEntries) {
+            this._deliveries.splice(0, this._deliveries.length - this.maxEntries);
+        }
+        this._save();
+        return stored;
+    }
+
+    /**
+     * Whether a delivery ID from a source was already processed. Rejected
+     * deliveries don't count — their ID came from an unverified request.
+     *
+     * @param {string} source
+     * @param {string} deliveryId
+     * @returns {boolean}
+     */
+    hasProcessed(source, deliveryId) {
+        if (!deliveryId) return false;
+        return this._deliveries.some(entry =>
+            entry.source === source
+            && entry.deliveryId === deliveryId
+            && entry.action !== DELIVERY_ACTION.REJECTED);
+    }
+
+    /**
+     * Most recent entry for a delivery ID.
+     * @param {string} deliveryId
+     * @returns {Object|null}
+     */
+    get(deliveryId) {
+        for (let i = this._deliveries.length - 1; i >= 0; i--) {
+            if (this._deliveries[i].deliveryId === deliveryId) return this._deliveries[i];
+        }
+        return null;
+    }
+
+    /**
+     * Query deliveries, newest first.
+     *
+     * @param {Object} [filters]
+     * @param {string} [filters.source]
+     * @param {string} [filters.action]   - Comma-separated list allowed
+     * @param {string} [filters.ticketId]
+     * @param {string} [filters.rule]
+     * @param {string} [filters.since]    - ISO date (inclusive)
+     * @param {string} [filters.until]    - ISO date (exclusive)
+     * @param {number} [filters.limit=50]
+     * @param {number} [filters.offset=0]
+     * @returns {{ deliveries: Object[], total: number, limit: number, offset: number, hasMore: boolean }}
+     */
+    query(filters = {}) {
+        const actions = filters.action ? String(filters.action).split(',').map(a => a.trim()) : null;
+        const ticketId = filters.ticketId ? String(filters.ticketId).toUpperCase() : null;
+        const since = filters.since ? new Date(filters.since) : null;
+        const until = filters.until ? new Date(filters.until) : null;
+        const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 500);
+        const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+        const matches = this._deliveries.filter(entry => {
+            if (filters.source && entry.source !== filters.source) return false;
+            if (actions && !actions.includes(entry.action)) return false;
+            if (ticketId && String(entry.ticketId || '').toUpperCase() !== ticketId) return false;
+            if (filters.rule && entry.rule !== filters.rule) return false;
+            const receivedAt = new Date(entry.receivedAt);
+            if (since && receivedAt < since) return false;
+            if (until && receivedAt >= until) return false;
+            return true;
+        }).reverse();
+
+        return {
+            deliveries: matches.slice(offset, offset + limit),
+            total: matches.length,
+            limit,
+            offset,
+            hasMore: offset + limit < matches.length,
+        };
+    }
+
+    // ─── Persistence ────────────────────────────────────────────────
+
+    _save() {
+        try {
+            writeJSONSync(this.storePath, {
+                version: '1.0.0',
+                lastUpdated: new Date().toISOString(),
+                deliveries: this._deliveries,
+            });
+        } catch (error) {
+            console.warn(`[WebhookDeliveryLog] Failed to persist: ${error.message}`);
+        }
+    }
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Where webhook-deliveries.json lives: sdk.webhooks.deliveryLog.storePath
+ * (relative to agentic-workflow/) or, by default, next to the run store.
+ *
+ * @param {string} [runStoreLocation] - RunStore#storePath
+ * @param {Object} [config]           - sdk.webhooks.deliveryLog
+ * @returns {string}
+ */
+function resolveDeliveryLogPath(runStoreLocation, config = {}) {
+    if (config.storePath) {
+        return path.isAbsolute(config.storePath) ? config.storePath : path.join(WORKFLOW_ROOT, config.storePath);
+    }
+    return runStoreLocation
+        ? path.join(path.dirname(runStoreLocation), 'webhook-deliveries.json')
+        : DEFAULT_STORE_PATH;
+}
+
+/**
+ * Read sdk.webhooks.deliveryLog settings from workflow-config.json.
+ * @returns {Object}
+ */
+function loadDeliveryLogConfig() {
+    const config = loadWorkflowConfig();
+    return config?.sdk?.webhooks?.deliveryLog || {};
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = { WebhookDeliveryLog, DELIVERY_ACTION, resolveDeliveryLogPath, loadDeliveryLogConfig };
@@ -0,0 +1,142 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * WEBHOOK SECURITY — HMAC Signatures & Replay Protection
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Shared checks for incoming webhooks:
+ *
+ *   - HMAC signature of the raw request body with a shared secret
+ *     (`X-Hub-Signature: sha256=<hex>` — Jira Cloud and GitHub format)
+ *   - Replay protection: deliveries older than the replay window are
+ *     rejected, and a delivery ID that was already processed (per the
+ *     WebhookDeliveryLog) is acknowledged without being processed again
+ *
+ * @module sdk-orchestrator/webhook-security
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_REPLAY_WINDOW_SECONDS = 300;
+
+// ─── Signatures ─────────────────────────────────────────────────────────────
+
+/**
+ * HMAC of a raw body as hex.
+ * @param {Buffer|string} rawBody
+ * @param {string} secret
+ * @param {string} [algorithm='sha256']
+ * @returns {string}
+ */
+function computeSignature(rawBody, secret, algorithm = 'sha256') {
+    return crypto.createHmac(algorithm, secret).update(rawBody || '').digest('hex');
+}
+
+/**
+ * Verify a signature header against the raw body. Accepts `sha256=<hex>`
+ * or a bare hex digest. Comparison is constant-time.
+ *
+ * @param {Buffer|string} rawBody
+ * @param {string} signatureHeader
+ * @param {string} secret
+ * @param {Object} [options]
+ * @param {string} [options.algorithm='sha256']
+ * @returns {{ valid: boolean, error: string|null }}
+ */
+function verifySignature(rawBody, signatureHeader, secret, options = {}) {
+    const algorithm = options.algorithm || 'sha256';
+    if (!secret) return { valid: false, error: 'Webhook secret is not configured' };
+    if (!signatureHeader) return { valid: false, error: 'Missing signature header' };
+
+    let signature = String(signatureHeader).trim();
+    const separator = signature.indexOf('=');
+    if (separator > 0) {
+        const prefix = signature.slice(0, separator).toLowerCase();
+        if (prefix !== algorithm) {
+            return { valid: false, error: `Unsupported signature algorithm "${prefix}" (expected ${algorithm})` };
+        }
+        signature = signature.slice(separator + 1);
+    }
+
+    const expected = Buffer.from(computeSignature(rawBody, secret, algorithm), 'hex');
+    const received = Buffer.from(signature, 'hex');
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        return { valid: false, error: 'Signature mismatch' };
+    }
+    return { valid: true, error: null };
+}
+
+// ─── Replay Protection ──────────────────────────────────────────────────────
+
+/**
+ * Delivery ID from the provider header, or a hash of the body when the
+ * provider doesn't send one (a replayed body then hashes to the same ID).
+ *
+ * @param {Object} headers         - Lower-cased request headers
+ * @param {Buffer|string} rawBody
+ * @param {string[]} headerNames   - Candidate headers, first present wins
+ * @returns {string}
+ */
+function resolveDeliveryId(headers, rawBody, headerNames = []) {
+    for (const name of headerNames) {
+        const value = headers?.[name.toLowerCase()];
+        if (value) return String(value);
+    }
+    return `sha256:${crypto.createHash('sha256').update(rawBody || '').digest('hex').slice(0, 32)}`;
+}
+
+/**
+ * Reject deliveries outside the replay window or already processed.
+ *
+ * @param {Object} params
+ * @param {string} params.source
+ * @param {string} params.deliveryId
+ * @param {number|string|null} [params.timestamp] - Event time (epoch ms, epoch s or ISO)
+ * @param {Object} params.deliveryLog             - WebhookDeliveryLog
+ * @param {number} [params.windowSeconds=300]
+ * @param {Date}   [params.now]
+ * @returns {{ ok: boolean, duplicate: boolean, reason: string|null }}
+ */
+function checkReplay(params) {
+    const windowSeconds = params.windowSeconds ?? DEFAULT_REPLAY_WINDOW_SECONDS;
+    const now = (params.now || new Date()).getTime();
+
+    const eventTime = parseTimestamp(params.timestamp);
+    if (eventTime !== null && windowSeconds > 0) {
+        const ageSeconds = Math.round((now - eventTime) / 1000);
+        if (Math.abs(ageSeconds) > windowSeconds) {
+            return {
+                ok: false,
+                duplicate: false,
+                reason: `Delivery timestamp is ${ageSeconds}s from server time (replay window ${windowSeconds}s)`,
+            };
+        }
+    }
+
+    if (params.deliveryLog.hasProcessed(params.source, params.deliveryId)) {
+        return { ok: false, duplicate: true, reason: `Delivery ${params.deliveryId} was already processed` };
+    }
+
+    return { ok: true, duplicate: false, reason: null };
+}
+
+function parseTimestamp(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+        const number = Number(value);
+        // Seconds vs. milliseconds
+        return number < 1e12 ? number * 1000 : number;
+    }
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+    computeSignature,
+    verifySignature,
+    resolveDeliveryId,
+    checkReplay,
+    DEFAULT_REPLAY_WINDOW_SECONDS,
+};
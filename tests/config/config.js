@@ -3,6 +3,8 @@ const fs = require('fs');
 const path = require('path');
 const { chromium, firefox, webkit } = require('playwright');
 const { ObservationRecorder } = require('../../agentic-workflow/sdk-orchestrator/observation-recorder');
+const { captureVisualCheckpoint } = require('../../agentic-workflow/sdk-orchestrator/visual-baseline-store');
+const { auditAccessibility } = require('../../agentic-workflow/sdk-orchestrator/a11y-results');
 
 async function launchBrowser() {
   const browserType = process.env.BROWSER_TYPE || 'chromium'; // Default to chromium
@@ -170,4 +172,6 @@ async function launchBrowser() {
   return { browser, context, page };
 }
 
-module.exports = { launchBrowser };
+// Visual checkpoint for baseline review: await captureVisualCheckpoint(page, 'search-results', { mask: ['.price'] })
+// Accessibility audit of the current state: const audit = await auditAccessibility(page, { state: 'filters-open' })
+module.exports = { launchBrowser, captureVisualCheckpoint, auditAccessibility };
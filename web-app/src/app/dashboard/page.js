@@ -33,6 +33,7 @@ export default function DashboardPage() {
 
     const [ticketId, setTicketId] = useState('');
     const [mode, setMode] = useState('full');
+    const [customModes, setCustomModes] = useState([]);
     const [environment, setEnvironment] = useState('UAT');
     const [model, setModelState] = useState('');
     const [modelTouched, setModelTouched] = useState(false);
@@ -111,6 +112,20 @@ export default function DashboardPage() {
         return () => controller.abort();
     }, [selectedEvidenceRunId, runs]);
 
+    // Modes defined in sdk.pipelineModes — built-ins stay hard-wired so the
+    // dialog works before the backend answers
+    useEffect(() => {
+        const controller = new AbortController();
+        apiClient.getPipelineModes({ signal: controller.signal })
+            .then((data) => {
+                setCustomModes((data?.modes || []).filter((item) => item.source !== 'builtin'));
+            })
+            .catch(() => {
+                if (!controller.signal.aborted) setCustomModes([]);
+            });
+        return () => controller.abort();
+    }, []);
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         if (!ticketId.trim()) return;
@@ -220,6 +235,16 @@ export default function DashboardPage() {
                                 <option value="generate">Generate Script + Execute</option>
                                 <option value="execute">Execute Existing Script</option>
                                 <option value="heal">Repair Script</option>
+                                <option value="a11y">Accessibility Audit</option>
+                                {customModes.length > 0 && (
+                                    <optgroup label="Custom modes">
+                                        {customModes.map((item) => (
+                                            <option key={item.name} value={item.name} title={item.description || item.stages.join(' → ')}>
+                                                {item.label}
+                                            </option>
+                                        ))}
+                                    </optgroup>
+                                )}
                             </select>
                         </div>
                         <div>
@@ -0,0 +1,241 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '@/lib/api-client';
+import ErrorBanner from '@/components/ErrorBanner';
+import PageHeader from '@/components/PageHeader';
+import { formatDate } from '@/lib/report-utils';
+import { WarningTriangleIcon, SearchIcon, LockIcon, RetryIcon } from '@/components/Icons';
+
+const VIEW_FILTERS = [
+    { value: 'flaky', label: 'Flaky' },
+    { value: 'quarantined', label: 'Quarantined' },
+    { value: 'all', label: 'All tracked tests' },
+];
+
+const statusDot = {
+    passed: 'bg-accent-500',
+    flaky: 'bg-amber-400',
+    failed: 'bg-red-500',
+    'timed-out': 'bg-red-700',
+    skipped: 'bg-surface-300',
+};
+
+function scoreClass(score, threshold) {
+    if (score >= threshold) return 'bg-red-50 text-red-700 ring-1 ring-red-200';
+    if (score > 0) return 'bg-amber-50 text-amber-700 ring-1 ring-amber-200';
+    return 'bg-surface-100 text-surface-500';
+}
+
+function RecentOutcomes({ recent }) {
+    // Oldest on the left, like a timeline
+    return (
+        <div className="flex items-center gap-0.5">
+            {[...recent].reverse().map(outcome => (
+                <span
+                    key={outcome.runId}
+                    title={`${outcome.status} · ${formatDate(outcome.recordedAt)}${outcome.error ? ` — ${outcome.error}` : ''}`}
+                    className={`h-3 w-1.5 rounded-sm ${statusDot[outcome.status] || 'bg-surface-300'}`}
+                />
+            ))}
+        </div>
+    );
+}
+
+function FlakyTestRow({ test, threshold, onQuarantine, onRelease, busy }) {
+    const quarantine = test.quarantine;
+    return (
+        <tr className="border-t border-surface-100 align-top">
+            <td className="min-w-0 px-3 py-2.5">
+                <p className="text-[13px] font-semibold text-surface-800">{test.title}</p>
+                <p className="mt-0.5 truncate font-mono text-[10px] text-surface-500">
+                    {test.file}{test.project ? ` · ${test.project}` : ''}
+                </p>
+                {quarantine && (
+                    <p className="mt-1 text-[10px] text-surface-500">
+                        <span className="mr-1.5 rounded-md bg-red-50 px-1.5 py-0.5 font-bold uppercase tracking-[0.12em] text-red-700">
+                            {quarantine.auto ? 'Auto-quarantined' : 'Quarantined'}
+                        </span>
+                        {quarantine.reason} · {formatDate(quarantine.quarantinedAt)}
+                    </p>
+                )}
+            </td>
+            <td className="px-3 py-2.5">
+                <span className={`rounded-full px-2 py-0.5 text-[11px] font-bold ${scoreClass(test.score, threshold)}`}>
+                    {test.score.toFixed(2)}
+                </span>
+            </td>
+            <td className="px-3 py-2.5 text-[11px] text-surface-600">
+                {test.runs} run(s)
+                <span className="block text-[10px] text-surface-400">{test.flips} flip(s) · {test.flaky} flaky</span>
+            </td>
+            <td className="px-3 py-2.5"><RecentOutcomes recent={test.recent} /></td>
+            <td className="px-3 py-2.5 text-[11px] text-surface-500">{test.lastRunAt ? formatDate(test.lastRunAt) : '—'}</td>
+            <td className="px-3 py-2.5 text-right">
+                {quarantine ? (
+                    <button
+                        onClick={() => onRelease(test)}
+                        disabled={busy}
+                        className="inline-flex items-center gap-1 rounded-lg border border-surface-200 px-2 py-1 text-[10px] font-semibold text-surface-600 hover:bg-surface-50 disabled:opacity-50"
+                    >
+                        <RetryIcon className="h-3 w-3" />
+                        Release
+                    </button>
+                ) : (
+                    <button
+                        onClick={() => onQuarantine(test)}
+                        disabled={busy}
+                        className="inline-flex items-center gap-1 rounded-lg border border-red-200 bg-white px-2 py-1 text-[10px] font-semibold text-red-700 hover:bg-red-50 disabled:opacity-50"
+                    >
+                        <LockIcon className="h-3 w-3" />
+                        Quarantine
+                    </button>
+                )}
+            </td>
+        </tr>
+    );
+}
+
+export default function FlakyTestsPage() {
+    const [view, setView] = useState('flaky');
+    const [search, setSearch] = useState('');
+    const [report, setReport] = useState({ tests: [], summary: { tracked: 0, flaky: 0, quarantined: 0 }, settings: null });
+    const [loading, setLoading] = useState(true);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const loadReport = useCallback(async (signal) => {
+        setLoading(true);
+        try {
+            const data = await apiClient.listFlakyTests({}, { signal });
+            setReport(data);
+        } catch (err) {
+            if (!signal?.aborted) setError(`Failed to load flaky tests: ${err.message}`);
+        } finally {
+            if (!signal?.aborted) setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        loadReport(controller.signal);
+        return () => controller.abort();
+    }, [loadReport]);
+
+    const handleQuarantine = async (test) => {
+        setBusy(true);
+        try {
+            await apiClient.quarantineTest(test.testKey, `Quarantined from the dashboard (score ${test.score.toFixed(2)})`);
+            await loadReport();
+        } catch (err) {
+            setError(`Failed to quarantine: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleRelease = async (test) => {
+        setBusy(true);
+        try {
+            await apiClient.releaseTest(test.testKey);
+            await loadReport();
+        } catch (err) {
+            setError(`Failed to release: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const threshold = report.settings?.threshold ?? 0.3;
+    const query = search.trim().toLowerCase();
+    const visible = report.tests
+        .filter(test => view === 'all'
+            || (view === 'quarantined' ? test.quarantine : test.quarantine || test.score > 0))
+        .filter(test => !query
+            || test.title.toLowerCase().includes(query)
+            || (test.file || '').toLowerCase().includes(query)
+            || (test.ticketId || '').toLowerCase().includes(query));
+
+    return (
+        <div className="mx-auto max-w-7xl space-y-6 px-6 py-6">
+            <PageHeader
+                title="Flaky Tests"
+                subtitle={`Flakiness is scored over each test's last ${report.settings?.window ?? 20} runs. Tests scoring ${threshold} or more are quarantined — their failures no longer fail a run.`}
+                Icon={WarningTriangleIcon}
+                actions={(
+                    <div className="flex gap-2">
+                        <div className="page-header-panel rounded-xl px-2.5 py-1.5 text-left">
+                            <p className="page-header-panel-subtle text-[0.5rem] font-semibold uppercase tracking-[0.16em]">Flaky</p>
+                            <p className="text-[0.82rem] font-bold tracking-[-0.02em] text-white mt-0.5">{report.summary.flaky}</p>
+                        </div>
+                        <div className="page-header-panel rounded-xl px-2.5 py-1.5 text-left">
+                            <p className="page-header-panel-subtle text-[0.5rem] font-semibold uppercase tracking-[0.16em]">Quarantined</p>
+                            <p className="text-[0.82rem] font-bold tracking-[-0.02em] text-white mt-0.5">{report.summary.quarantined}</p>
+                        </div>
+                    </div>
+                )}
+            />
+
+            <ErrorBanner error={error} onDismiss={() => setError(null)} />
+
+            <div className="flex flex-col gap-3 sm:flex-row">
+                <select
+                    value={view}
+                    onChange={(e) => setView(e.target.value)}
+                    aria-label="Tests to show"
+                    className="custom-select sm:w-56"
+                >
+                    {VIEW_FILTERS.map(filter => <option key={filter.value} value={filter.value}>{filter.label}</option>)}
+                </select>
+                <div className="relative flex-1">
+                    <SearchIcon className="absolute left-3 top-1/2 h-3.5 w-3.5 -translate-y-1/2 text-surface-400" />
+                    <input
+                        type="text"
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                        placeholder="Filter by test, spec or ticket"
+                        aria-label="Filter tests"
+                        className="w-full rounded-xl border border-surface-200 bg-surface-50/80 py-2.5 pl-9 pr-3 text-xs focus:border-brand-400 focus:outline-none focus:ring-2 focus:ring-brand-500/20 transition-colors"
+                    />
+                </div>
+            </div>
+
+            {loading && report.tests.length === 0 ? (
+                <div className="space-y-2">
+                    {[1, 2, 3].map(item => <div key={item} className="h-14 animate-pulse rounded-2xl bg-surface-100" />)}
+                </div>
+            ) : visible.length === 0 ? (
+                <p className="px-2 py-10 text-center text-xs text-surface-500">
+                    {view === 'quarantined' ? 'No quarantined tests.' : view === 'flaky' ? 'No flaky tests detected.' : 'No test history recorded yet.'}
+                </p>
+            ) : (
+                <div className="overflow-x-auto rounded-2xl border border-surface-200/80 bg-white/85 shadow-sm">
+                    <table className="w-full text-left">
+                        <thead>
+                            <tr className="type-meta-label">
+                                <th className="px-3 py-2">Test</th>
+                                <th className="px-3 py-2">Score</th>
+                                <th className="px-3 py-2">History</th>
+                                <th className="px-3 py-2">Recent runs</th>
+                                <th className="px-3 py-2">Last run</th>
+                                <th className="px-3 py-2" />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {visible.map(test => (
+                                <FlakyTestRow
+                                    key={test.testKey}
+                                    test={test}
+                                    threshold={threshold}
+                                    onQuarantine={handleQuarantine}
+                                    onRelease={handleRelease}
+                                    busy={busy}
+                                />
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
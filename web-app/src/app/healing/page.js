@@ -0,0 +1,314 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '@/lib/api-client';
+import ErrorBanner from '@/components/ErrorBanner';
+import PageHeader from '@/components/PageHeader';
+import { formatDate } from '@/lib/report-utils';
+import { WrenchIcon, SearchIcon, CheckIcon, XIcon } from '@/components/Icons';
+
+const STATUS_FILTERS = [
+    { value: 'proposed', label: 'Awaiting review' },
+    { value: '', label: 'All patches' },
+    { value: 'accepted', label: 'Accepted' },
+    { value: 'rejected', label: 'Rejected' },
+    { value: 'applied', label: 'Applied in place' },
+];
+
+const statusBadge = {
+    proposed: 'bg-amber-50 text-amber-700 ring-1 ring-amber-200',
+    accepted: 'bg-accent-50 text-accent-700 ring-1 ring-accent-200',
+    rejected: 'bg-red-50 text-red-700 ring-1 ring-red-200',
+    applied: 'bg-surface-100 text-surface-500',
+};
+
+const diffLineClass = {
+    '+': 'bg-accent-50 text-accent-800',
+    '-': 'bg-red-50 text-red-800',
+    '@': 'bg-brand-50 text-brand-700',
+};
+
+function VerifiedChip({ patch }) {
+    if (patch.verified === null || patch.verified === undefined) {
+        return <span className="text-[10px] text-surface-400">Not re-run</span>;
+    }
+    return patch.verified ? (
+        <span className="text-[10px] font-semibold text-accent-700">Tests passed with this patch</span>
+    ) : (
+        <span className="text-[10px] font-semibold text-amber-700">
+            {patch.testsAfter?.failedCount ?? '?'}/{patch.testsAfter?.totalCount ?? '?'} still failing after this patch
+        </span>
+    );
+}
+
+function DiffView({ diff }) {
+    if (!diff) return <p className="text-xs text-surface-500">Empty diff.</p>;
+    return (
+        <pre className="max-h-[32rem] overflow-auto rounded-xl border border-surface-200 bg-white font-mono text-[11px] leading-5">
+            {diff.replace(/\n$/, '').split('\n').map((line, index) => (
+                <div key={index} className={`whitespace-pre px-3 ${line.startsWith('---') || line.startsWith('+++')
+                    ? 'font-semibold text-surface-600'
+                    : diffLineClass[line[0]] || 'text-surface-700'}`}
+                >
+                    {line || ' '}
+                </div>
+            ))}
+        </pre>
+    );
+}
+
+function PatchDetail({ patch, onAccept, onReject, busy }) {
+    const [comment, setComment] = useState('');
+    const [branch, setBranch] = useState('');
+    const evidence = patch.evidence || {};
+
+    useEffect(() => {
+        setComment('');
+        setBranch('');
+    }, [patch.id]);
+
+    return (
+        <div className="space-y-4">
+            <div className="rounded-2xl border border-surface-200/80 bg-white/85 p-4 shadow-sm">
+                <div className="flex flex-wrap items-start justify-between gap-3">
+                    <div className="min-w-0">
+                        <h2 className="type-card-title text-[1.05rem]">{patch.ticketId} · iteration {patch.iteration}</h2>
+                        <p className="mt-0.5 truncate font-mono text-[11px] text-surface-500">{patch.specPath}</p>
+                        <p className="mt-1.5 text-[11px] text-surface-600">
+                            {patch.category || 'Unknown'} · {patch.strategy}
+                            {patch.hypothesis && ` · hypothesis [${patch.hypothesis.rank}] ${patch.hypothesis.pattern} (${patch.hypothesis.confidence}%)`}
+                        </p>
+                    </div>
+                    <div className="text-right text-[11px] text-surface-500">
+                        <span className={`rounded-full px-2 py-0.5 text-[9px] font-bold uppercase tracking-[0.14em] ${statusBadge[patch.status] || ''}`}>
+                            {patch.status}
+                        </span>
+                        <p className="mt-1.5">+{patch.added} −{patch.removed} · {formatDate(patch.createdAt)}</p>
+                        <VerifiedChip patch={patch} />
+                    </div>
+                </div>
+            </div>
+
+            <div className="rounded-2xl border border-surface-200/80 bg-white/85 p-4 shadow-sm">
+                <p className="type-meta-label mb-2">Evidence</p>
+                {evidence.failedTests?.length > 0 && (
+                    <p className="text-[11px] text-surface-700">Failing: {evidence.failedTests.join(', ')}</p>
+                )}
+                {evidence.causalChain && <p className="mt-1 text-[11px] text-surface-600">Causal chain: {evidence.causalChain}</p>}
+                {evidence.changes?.length > 0 && (
+                    <ul className="mt-1 list-disc pl-5 text-[11px] text-surface-600">
+                        {evidence.changes.map(change => <li key={change}>{change}</li>)}
+                    </ul>
+                )}
+                {evidence.agentResponse && <p className="mt-1 text-[11px] italic text-surface-500">{evidence.agentResponse}</p>}
+                {evidence.error && (
+                    <pre className="mt-2 max-h-40 overflow-auto rounded-lg bg-surface-50 p-2 font-mono text-[10px] text-surface-600 whitespace-pre-wrap">{evidence.error}</pre>
+                )}
+            </div>
+
+            <DiffView diff={patch.diff} />
+
+            {patch.status === 'proposed' ? (
+                <div className="flex flex-col gap-2 lg:flex-row lg:items-center">
+                    <input
+                        type="text"
+                        value={comment}
+                        onChange={(e) => setComment(e.target.value)}
+                        placeholder="Comment (optional)"
+                        aria-label="Review comment"
+                        className="flex-1 rounded-xl border border-surface-200 bg-surface-50/80 px-3 py-2 text-xs focus:border-brand-400 focus:outline-none focus:ring-2 focus:ring-brand-500/20 transition-colors"
+                    />
+                    <input
+                        type="text"
+                        value={branch}
+                        onChange={(e) => setBranch(e.target.value)}
+                        placeholder="Branch (default healing/…)"
+                        aria-label="Branch name"
+                        className="rounded-xl border border-surface-200 bg-surface-50/80 px-3 py-2 font-mono text-xs focus:border-brand-400 focus:outline-none focus:ring-2 focus:ring-brand-500/20 transition-colors lg:w-56"
+                    />
+                    <button
+                        onClick={() => onAccept(patch, { target: 'branch', branch: branch.trim() || undefined, comment })}
+                        disabled={busy}
+                        className="inline-flex items-center justify-center gap-1.5 rounded-xl bg-accent-600 px-3 py-2 text-xs font-semibold text-white hover:bg-accent-700 disabled:opacity-50 transition-colors"
+                    >
+                        <CheckIcon className="h-3.5 w-3.5" />
+                        Accept on branch
+                    </button>
+                    <button
+                        onClick={() => onAccept(patch, { target: 'workspace', comment })}
+                        disabled={busy}
+                        className="inline-flex items-center justify-center gap-1.5 rounded-xl border border-accent-200 bg-white px-3 py-2 text-xs font-semibold text-accent-700 hover:bg-accent-50 disabled:opacity-50 transition-colors"
+                    >
+                        <CheckIcon className="h-3.5 w-3.5" />
+                        Apply to workspace
+                    </button>
+                    <button
+                        onClick={() => onReject(patch, comment)}
+                        disabled={busy}
+                        className="inline-flex items-center justify-center gap-1.5 rounded-xl border border-red-200 bg-white px-3 py-2 text-xs font-semibold text-red-700 hover:bg-red-50 disabled:opacity-50 transition-colors"
+                    >
+                        <XIcon className="h-3.5 w-3.5" />
+                        Reject
+                    </button>
+                </div>
+            ) : patch.reviewedAt && (
+                <p className="text-[11px] text-surface-500">
+                    {patch.status === 'accepted' ? 'Accepted' : 'Rejected'} by {patch.reviewedBy || 'unknown'} · {formatDate(patch.reviewedAt)}
+                    {patch.appliedTo === 'branch' && <> · committed to <span className="font-mono">{patch.branch}</span>{patch.commitSha && ` (${patch.commitSha.slice(0, 8)})`}</>}
+                    {patch.appliedTo === 'workspace' && ' · applied to the workspace spec'}
+                    {patch.pushError && <span className="block text-amber-700">Push failed: {patch.pushError}</span>}
+                    {patch.comment && <span className="block">{patch.comment}</span>}
+                </p>
+            )}
+        </div>
+    );
+}
+
+export default function HealingReviewPage() {
+    const [status, setStatus] = useState('proposed');
+    const [search, setSearch] = useState('');
+    const [patches, setPatches] = useState([]);
+    const [selectedKey, setSelectedKey] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const loadPatches = useCallback(async (signal) => {
+        setLoading(true);
+        try {
+            const data = await apiClient.listHealingPatches(status ? { status } : {}, { signal });
+            setPatches(data.patches || []);
+        } catch (err) {
+            if (!signal?.aborted) setError(`Failed to load healing patches: ${err.message}`);
+        } finally {
+            if (!signal?.aborted) setLoading(false);
+        }
+    }, [status]);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        loadPatches(controller.signal);
+        return () => controller.abort();
+    }, [loadPatches]);
+
+    const keyOf = (patch) => `${patch.runId}/${patch.id}`;
+
+    const handleAccept = async (patch, review) => {
+        setBusy(true);
+        try {
+            await apiClient.acceptHealingPatch(patch.runId, patch.id, review);
+            await loadPatches();
+        } catch (err) {
+            setError(`Failed to accept: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleReject = async (patch, comment) => {
+        setBusy(true);
+        try {
+            await apiClient.rejectHealingPatch(patch.runId, patch.id, comment);
+            await loadPatches();
+        } catch (err) {
+            setError(`Failed to reject: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const query = search.trim().toLowerCase();
+    const visible = patches.filter(patch => !query
+        || (patch.ticketId || '').toLowerCase().includes(query)
+        || (patch.specPath || '').toLowerCase().includes(query)
+        || (patch.runId || '').toLowerCase().includes(query));
+    const selected = patches.find(patch => keyOf(patch) === selectedKey) || null;
+    const proposedCount = patches.filter(patch => patch.status === 'proposed').length;
+
+    return (
+        <div className="mx-auto max-w-7xl space-y-6 px-6 py-6">
+            <PageHeader
+                title="Healing Review"
+                subtitle="Self-healing proposes each fix as a diff with the hypothesis and evidence behind it. Accept it onto a branch or the workspace, or reject it."
+                Icon={WrenchIcon}
+                actions={status === 'proposed' && (
+                    <div className="page-header-panel rounded-xl px-2.5 py-1.5 text-left">
+                        <p className="page-header-panel-subtle text-[0.5rem] font-semibold uppercase tracking-[0.16em]">Awaiting review</p>
+                        <p className="text-[0.82rem] font-bold tracking-[-0.02em] text-white mt-0.5">{proposedCount}</p>
+                    </div>
+                )}
+            />
+
+            <ErrorBanner error={error} onDismiss={() => setError(null)} />
+
+            <div className="grid gap-6 xl:grid-cols-[340px_minmax(0,1fr)]">
+                <aside className="space-y-3">
+                    <select
+                        value={status}
+                        onChange={(e) => setStatus(e.target.value)}
+                        aria-label="Patch status"
+                        className="custom-select w-full"
+                    >
+                        {STATUS_FILTERS.map(filter => <option key={filter.value} value={filter.value}>{filter.label}</option>)}
+                    </select>
+                    <div className="relative">
+                        <SearchIcon className="absolute left-3 top-1/2 h-3.5 w-3.5 -translate-y-1/2 text-surface-400" />
+                        <input
+                            type="text"
+                            value={search}
+                            onChange={(e) => setSearch(e.target.value)}
+                            placeholder="Filter by ticket, spec or run"
+                            aria-label="Filter patches"
+                            className="w-full rounded-xl border border-surface-200 bg-surface-50/80 py-2.5 pl-9 pr-3 text-xs focus:border-brand-400 focus:outline-none focus:ring-2 focus:ring-brand-500/20 transition-colors"
+                        />
+                    </div>
+
+                    {loading && patches.length === 0 ? (
+                        <div className="space-y-2">
+                            {[1, 2, 3].map(item => <div key={item} className="h-20 animate-pulse rounded-2xl bg-surface-100" />)}
+                        </div>
+                    ) : visible.length === 0 ? (
+                        <p className="px-2 py-10 text-center text-xs text-surface-500">
+                            {status === 'proposed' ? 'No healing patches awaiting review.' : 'No patches match.'}
+                        </p>
+                    ) : (
+                        <ul className="space-y-2">
+                            {visible.map(patch => (
+                                <li key={keyOf(patch)}>
+                                    <button
+                                        onClick={() => setSelectedKey(keyOf(patch))}
+                                        className={`w-full rounded-2xl border p-3 text-left transition-all duration-150 ${keyOf(patch) === selectedKey
+                                            ? 'border-brand-200 bg-brand-50/80 shadow-sm'
+                                            : 'border-surface-200/70 bg-white/80 hover:border-brand-200 hover:bg-white hover:shadow-sm'
+                                            }`}
+                                    >
+                                        <div className="flex items-center justify-between gap-2">
+                                            <span className="truncate text-[13px] font-semibold text-surface-800">{patch.ticketId} · {patch.category || patch.strategy}</span>
+                                            <span className={`rounded-full px-2 py-0.5 text-[9px] font-bold uppercase tracking-[0.14em] ${statusBadge[patch.status] || ''}`}>
+                                                {patch.status}
+                                            </span>
+                                        </div>
+                                        <p className="mt-0.5 truncate font-mono text-[10px] text-surface-500">{patch.specPath}</p>
+                                        <p className="mt-1 text-[10px] text-surface-400">
+                                            +{patch.added} −{patch.removed} · iteration {patch.iteration} · {formatDate(patch.createdAt)}
+                                        </p>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </aside>
+
+                <section className="min-w-0">
+                    {selected ? (
+                        <PatchDetail patch={selected} onAccept={handleAccept} onReject={handleReject} busy={busy} />
+                    ) : (
+                        <div className="flex h-64 items-center justify-center rounded-2xl border border-dashed border-surface-200 text-sm text-surface-500">
+                            Select a patch to see its diff and evidence.
+                        </div>
+                    )}
+                </section>
+            </div>
+        </div>
+    );
+}
@@ -6,9 +6,10 @@ import ChatMessage from '@/components/ChatMessage';
 import ErrorBanner from '@/components/ErrorBanner';
 import BouncingLoader from '@/components/BouncingLoader';
 import PageHeader from '@/components/PageHeader';
+import RunComparison from '@/components/RunComparison';
 import RobotMascotLogo from '@/components/RobotMascotLogo';
 import { formatDate } from '@/lib/report-utils';
-import { ClockIcon, SearchIcon, ConversationIcon, TrashIcon, XIcon, LockIcon } from '@/components/Icons';
+import { ClockIcon, SearchIcon, ConversationIcon, TrashIcon, XIcon, LockIcon, PlayIcon } from '@/components/Icons';
 import useResetScrollOnRouteChange from '@/hooks/useResetScrollOnRouteChange';
 
 function getSessionDisplayLabel(session) {
@@ -16,7 +17,13 @@ function getSessionDisplayLabel(session) {
     return session?.sessionId ? `Chat ${session.sessionId.substring(0, 8)}` : 'Chat session';
 }
 
+const VIEWS = [
+    { id: 'chats', label: 'Chat sessions', Icon: ConversationIcon },
+    { id: 'runs', label: 'Pipeline runs', Icon: PlayIcon },
+];
+
 export default function HistoryPage() {
+    const [view, setView] = useState('chats');
     const [sessions, setSessions] = useState([]);
     const [selectedSessionId, setSelectedSessionId] = useState(null);
     const [messages, setMessages] = useState([]);
@@ -116,10 +123,12 @@ export default function HistoryPage() {
     return (
         <div className="mx-auto max-w-6xl space-y-6 px-6 py-6">
             <PageHeader
-                title="Chat History"
-                subtitle="Review archived and active sessions from one archive workspace."
+                title={view === 'runs' ? 'Run History' : 'Chat History'}
+                subtitle={view === 'runs'
+                    ? 'Compare two pipeline runs to see what a rerun changed, follow the run queue, and resume failed runs.'
+                    : 'Review archived and active sessions from one archive workspace.'}
                 Icon={ClockIcon}
-                actions={(
+                actions={view === 'chats' && (
                     <div className="flex flex-wrap items-center gap-1.5">
                         <div className="page-header-panel rounded-xl px-2.5 py-1.5 text-left">
                             <p className="page-header-panel-subtle text-[0.5rem] font-semibold uppercase tracking-[0.16em]">Sessions</p>
@@ -137,7 +146,27 @@ export default function HistoryPage() {
                 )}
             />
 
-            <div className="grid min-h-[calc(100vh-13rem)] gap-6 xl:grid-cols-[340px_minmax(0,1fr)]">
+            <div className="flex gap-2" role="tablist" aria-label="History views">
+                {VIEWS.map(({ id, label, Icon }) => (
+                    <button
+                        key={id}
+                        role="tab"
+                        aria-selected={view === id}
+                        onClick={() => setView(id)}
+                        className={`inline-flex items-center gap-1.5 rounded-xl border px-3 py-2 text-xs font-semibold transition-colors ${view === id
+                            ? 'border-brand-200 bg-brand-50 text-brand-700'
+                            : 'border-surface-200 bg-white/80 text-surface-600 hover:border-surface-300 hover:bg-surface-50'
+                            }`}
+                    >
+                        <Icon className="h-3.5 w-3.5" />
+                        {label}
+                    </button>
+                ))}
+            </div>
+
+            {view === 'runs' && <RunComparison />}
+
+            <div className={`grid min-h-[calc(100vh-13rem)] gap-6 xl:grid-cols-[340px_minmax(0,1fr)] ${view === 'chats' ? '' : 'hidden'}`}>
                 <aside className="relative overflow-hidden rounded-[30px] border border-surface-200/80 bg-white/90 shadow-[0_20px_56px_rgba(15,23,42,0.08)]">
                     <div className="absolute inset-0 bg-[radial-gradient(circle_at_16%_16%,rgba(15,118,110,0.09),transparent_26%),radial-gradient(circle_at_84%_14%,rgba(37,99,235,0.08),transparent_22%),linear-gradient(180deg,rgba(255,255,255,0.98),rgba(248,250,252,0.94))]" />
                     <div className="relative flex h-full min-h-[620px] flex-col">
@@ -0,0 +1,345 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '@/lib/api-client';
+import ErrorBanner from '@/components/ErrorBanner';
+import PageHeader from '@/components/PageHeader';
+import { formatDate } from '@/lib/report-utils';
+import { CalendarIcon, PlayIcon, PlusIcon, TrashIcon } from '@/components/Icons';
+
+const statusBadge = {
+    completed: 'bg-accent-50 text-accent-700 ring-1 ring-accent-200',
+    running: 'bg-brand-50 text-brand-700 ring-1 ring-brand-200',
+    queued: 'bg-brand-50 text-brand-700 ring-1 ring-brand-200',
+    failed: 'bg-red-50 text-red-700 ring-1 ring-red-200',
+    cancelled: 'bg-amber-50 text-amber-700 ring-1 ring-amber-200',
+    skipped: 'bg-surface-100 text-surface-600 ring-1 ring-surface-200',
+};
+
+const EMPTY_FORM = { name: '', cron: '0 2 * * *', timezone: 'local', mode: 'full', environment: 'UAT', ticketIds: '', specFolders: '' };
+
+const inputClass = 'w-full rounded-xl border border-surface-200 bg-surface-50/80 px-3 py-2.5 text-xs focus:border-brand-400 focus:outline-none focus:ring-2 focus:ring-brand-500/20 transition-colors';
+
+function splitList(value) {
+    return value.split(/[\s,]+/).map(item => item.trim()).filter(Boolean);
+}
+
+function StatusBadge({ status }) {
+    return (
+        <span className={`whitespace-nowrap rounded-full px-2 py-0.5 text-[10px] font-bold uppercase tracking-[0.08em] ${statusBadge[status] || statusBadge.skipped}`}>
+            {status}
+        </span>
+    );
+}
+
+function CreateScheduleForm({ onCreated, onError }) {
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [preview, setPreview] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const update = (field) => (e) => setForm(current => ({ ...current, [field]: e.target.value }));
+
+    // Validate the cron expression as it is typed and show its next fire times
+    useEffect(() => {
+        const cron = form.cron.trim();
+        if (!cron) {
+            setPreview(null);
+            return undefined;
+        }
+        let cancelled = false;
+        const timer = setTimeout(() => {
+            apiClient.previewSchedule(cron, form.timezone, 3)
+                .then(data => { if (!cancelled) setPreview({ upcoming: data.upcoming }); })
+                .catch(err => { if (!cancelled) setPreview({ error: err.message }); });
+        }, 400);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [form.cron, form.timezone]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            await apiClient.createSchedule({
+                name: form.name.trim(),
+                cron: form.cron.trim(),
+                timezone: form.timezone,
+                mode: form.mode,
+                environment: form.environment,
+                ticketIds: splitList(form.ticketIds).map(id => id.toUpperCase()),
+                specFolders: splitList(form.specFolders),
+            });
+            setForm(EMPTY_FORM);
+            await onCreated();
+        } catch (err) {
+            onError(`Failed to create schedule: ${err.message}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-3 rounded-2xl border border-surface-200/80 bg-white/85 p-4 shadow-sm">
+            <h2 className="type-meta-label">New schedule</h2>
+            <div className="grid gap-3 sm:grid-cols-3">
+                <input type="text" value={form.name} onChange={update('name')} placeholder="Name, e.g. Nightly heal" aria-label="Schedule name" className={inputClass} />
+                <input type="text" value={form.cron} onChange={update('cron')} placeholder="Cron, e.g. 0 2 * * 1-5" aria-label="Cron expression" className={`${inputClass} font-mono`} />
+                <select value={form.timezone} onChange={update('timezone')} aria-label="Timezone" className="custom-select w-full">
+                    <option value="local">Server local time</option>
+                    <option value="UTC">UTC</option>
+                </select>
+                <select value={form.mode} onChange={update('mode')} aria-label="Pipeline mode" className="custom-select w-full">
+                    <option value="full">Full Pipeline</option>
+                    <option value="execute">Execute Existing Script</option>
+                    <option value="heal">Repair Script</option>
+                    <option value="a11y">Accessibility Audit</option>
+                </select>
+                <select value={form.environment} onChange={update('environment')} aria-label="Pipeline environment" className="custom-select w-full">
+                    <option value="UAT">UAT</option>
+                    <option value="INT">INT</option>
+                    <option value="PROD">PROD</option>
+                </select>
+                <input type="text" value={form.ticketIds} onChange={update('ticketIds')} placeholder="Tickets, e.g. AOTF-101, AOTF-102" aria-label="Ticket IDs" className={inputClass} />
+                <input type="text" value={form.specFolders} onChange={update('specFolders')} placeholder="Spec folders, e.g. tests/specs/aotf-204" aria-label="Spec folders" className={`${inputClass} sm:col-span-2`} />
+                <button
+                    type="submit"
+                    disabled={saving || !form.name.trim() || !preview?.upcoming || (!form.ticketIds.trim() && !form.specFolders.trim())}
+                    className="inline-flex items-center justify-center gap-1 rounded-xl bg-brand-600 px-4 py-2.5 text-xs font-semibold text-white hover:bg-brand-700 disabled:opacity-50"
+                >
+                    <PlusIcon className="h-3.5 w-3.5" />
+                    Create schedule
+                </button>
+            </div>
+            {preview && (
+                <p className={`text-[11px] ${preview.error ? 'text-red-600' : 'text-surface-500'}`}>
+                    {preview.error || `Next runs: ${preview.upcoming.map(formatDate).join(' · ')}`}
+                </p>
+            )}
+        </form>
+    );
+}
+
+function ScheduleDetails({ scheduleId }) {
+    const [schedule, setSchedule] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        apiClient.getSchedule(scheduleId, { signal: controller.signal })
+            .then(data => setSchedule(data.schedule))
+            .catch(err => { if (!controller.signal.aborted) setError(err.message); });
+        return () => controller.abort();
+    }, [scheduleId]);
+
+    if (error) return <p className="text-[11px] text-red-600">Failed to load schedule: {error}</p>;
+    if (!schedule) return <div className="h-10 animate-pulse rounded-xl bg-surface-100" />;
+
+    const lastRun = schedule.lastRun;
+    return (
+        <div className="grid gap-3 text-[11px] text-surface-600 sm:grid-cols-2">
+            <div>
+                <p className="type-meta-label mb-1">Upcoming</p>
+                {schedule.upcoming.length === 0
+                    ? <p>Paused — no upcoming runs.</p>
+                    : schedule.upcoming.map(date => <p key={date}>{formatDate(date)}</p>)}
+                <p className="mt-2 font-mono text-[10px] text-surface-500">
+                    {[...schedule.ticketIds, ...schedule.specFolders].join(', ') || 'No targets'}
+                </p>
+            </div>
+            <div>
+                <p className="type-meta-label mb-1">Last run</p>
+                {!lastRun ? <p>Never run.</p> : (
+                    <>
+                        <p>
+                            {formatDate(lastRun.triggeredAt)}{lastRun.manual ? ' · manual' : ''}{lastRun.catchUp ? ' · catch-up' : ''}
+                        </p>
+                        {lastRun.runIds.length > 0 && <p className="font-mono text-[10px]">{lastRun.runIds.join(', ')}</p>}
+                        {lastRun.skipped?.length > 0 && <p>Skipped: {lastRun.skipped.map(item => item.ticketId || item).join(', ')}</p>}
+                        {lastRun.unresolved?.length > 0 && <p>Unresolved specs: {lastRun.unresolved.join(', ')}</p>}
+                        {lastRun.error && <p className="text-red-600">{lastRun.error}</p>}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+function ScheduleRow({ schedule, expanded, onToggleDetails, onRun, onToggleEnabled, onDelete, busy }) {
+    return (
+        <>
+            <tr className="border-t border-surface-100 align-top">
+                <td className="min-w-0 px-3 py-2.5">
+                    <button onClick={() => onToggleDetails(schedule)} className="text-left text-[13px] font-semibold text-surface-800 hover:text-brand-700">
+                        {schedule.name}
+                    </button>
+                    <p className="mt-0.5 text-[10px] text-surface-500">{schedule.mode} · {schedule.environment} · {schedule.runCount} run(s)</p>
+                </td>
+                <td className="px-3 py-2.5 font-mono text-[11px] text-surface-700">
+                    {schedule.cron}
+                    <span className="block font-sans text-[10px] text-surface-400">{schedule.timezone}</span>
+                </td>
+                <td className="px-3 py-2.5 text-[11px] text-surface-500">
+                    {schedule.enabled ? (schedule.nextRunAt ? formatDate(schedule.nextRunAt) : '—') : 'Paused'}
+                </td>
+                <td className="px-3 py-2.5 text-[11px] text-surface-500">
+                    {schedule.lastRun ? (
+                        <>
+                            <StatusBadge status={schedule.lastRun.status} />
+                            <span className="mt-1 block text-[10px] text-surface-400">{formatDate(schedule.lastRun.triggeredAt)}</span>
+                        </>
+                    ) : '—'}
+                </td>
+                <td className="px-3 py-2.5">
+                    <div className="flex justify-end gap-1.5">
+                        <button
+                            onClick={() => onRun(schedule)}
+                            disabled={busy}
+                            className="inline-flex items-center gap-1 rounded-lg border border-surface-200 px-2 py-1 text-[10px] font-semibold text-surface-600 hover:bg-surface-50 disabled:opacity-50"
+                        >
+                            <PlayIcon className="h-3 w-3" />
+                            Run now
+                        </button>
+                        <button
+                            onClick={() => onToggleEnabled(schedule)}
+                            disabled={busy}
+                            className="rounded-lg border border-surface-200 px-2 py-1 text-[10px] font-semibold text-surface-600 hover:bg-surface-50 disabled:opacity-50"
+                        >
+                            {schedule.enabled ? 'Pause' : 'Enable'}
+                        </button>
+                        <button
+                            onClick={() => onDelete(schedule)}
+                            disabled={busy}
+                            aria-label={`Delete ${schedule.name}`}
+                            className="inline-flex items-center rounded-lg border border-red-200 bg-white px-2 py-1 text-red-700 hover:bg-red-50 disabled:opacity-50"
+                        >
+                            <TrashIcon className="h-3 w-3" />
+                        </button>
+                    </div>
+                </td>
+            </tr>
+            {expanded && (
+                <tr className="bg-surface-50/60">
+                    <td colSpan={5} className="px-3 py-3"><ScheduleDetails scheduleId={schedule.scheduleId} /></td>
+                </tr>
+            )}
+        </>
+    );
+}
+
+export default function SchedulesPage() {
+    const [data, setData] = useState({ schedules: [], total: 0, schedulerEnabled: true });
+    const [expandedId, setExpandedId] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const loadSchedules = useCallback(async (signal) => {
+        setLoading(true);
+        try {
+            setData(await apiClient.listSchedules({ signal }));
+        } catch (err) {
+            if (!signal?.aborted) setError(`Failed to load schedules: ${err.message}`);
+        } finally {
+            if (!signal?.aborted) setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        loadSchedules(controller.signal);
+        return () => controller.abort();
+    }, [loadSchedules]);
+
+    const runAction = async (label, action) => {
+        setBusy(true);
+        try {
+            await action();
+            await loadSchedules();
+        } catch (err) {
+            setError(`Failed to ${label}: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleRun = (schedule) => runAction('run schedule', () => apiClient.runSchedule(schedule.scheduleId));
+    const handleToggleEnabled = (schedule) => runAction(
+        schedule.enabled ? 'pause schedule' : 'enable schedule',
+        () => apiClient.updateSchedule(schedule.scheduleId, { enabled: !schedule.enabled }),
+    );
+    const handleDelete = (schedule) => {
+        if (!window.confirm(`Delete schedule "${schedule.name}"?`)) return;
+        runAction('delete schedule', () => apiClient.deleteSchedule(schedule.scheduleId));
+    };
+    const handleToggleDetails = (schedule) => {
+        setExpandedId(current => (current === schedule.scheduleId ? null : schedule.scheduleId));
+    };
+
+    const active = data.schedules.filter(schedule => schedule.enabled).length;
+
+    return (
+        <div className="mx-auto max-w-7xl space-y-6 px-6 py-6">
+            <PageHeader
+                title="Schedules"
+                subtitle="Recurring pipeline runs. Each schedule fires its tickets and spec folders on a cron expression; run one now without moving its next run."
+                Icon={CalendarIcon}
+                actions={(
+                    <div className="flex gap-2">
+                        <div className="page-header-panel rounded-xl px-2.5 py-1.5 text-left">
+                            <p className="page-header-panel-subtle text-[0.5rem] font-semibold uppercase tracking-[0.16em]">Active</p>
+                            <p className="text-[0.82rem] font-bold tracking-[-0.02em] text-white mt-0.5">{active}/{data.total}</p>
+                        </div>
+                    </div>
+                )}
+            />
+
+            <ErrorBanner error={error} onDismiss={() => setError(null)} />
+
+            {!data.schedulerEnabled && (
+                <p className="rounded-xl border border-amber-200 bg-amber-50 px-3 py-2 text-[11px] text-amber-800">
+                    The scheduler is disabled on this server (sdk.scheduler.enabled). Schedules only fire when run manually.
+                </p>
+            )}
+
+            <CreateScheduleForm onCreated={() => loadSchedules()} onError={setError} />
+
+            {loading && data.schedules.length === 0 ? (
+                <div className="space-y-2">
+                    {[1, 2, 3].map(item => <div key={item} className="h-14 animate-pulse rounded-2xl bg-surface-100" />)}
+                </div>
+            ) : data.schedules.length === 0 ? (
+                <p className="px-2 py-10 text-center text-xs text-surface-500">No schedules yet.</p>
+            ) : (
+                <div className="overflow-x-auto rounded-2xl border border-surface-200/80 bg-white/85 shadow-sm">
+                    <table className="w-full text-left">
+                        <thead>
+                            <tr className="type-meta-label">
+                                <th className="px-3 py-2">Schedule</th>
+                                <th className="px-3 py-2">Cron</th>
+                                <th className="px-3 py-2">Next run</th>
+                                <th className="px-3 py-2">Last run</th>
+                                <th className="px-3 py-2" />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {data.schedules.map(schedule => (
+                                <ScheduleRow
+                                    key={schedule.scheduleId}
+                                    schedule={schedule}
+                                    expanded={expandedId === schedule.scheduleId}
+                                    onToggleDetails={handleToggleDetails}
+                                    onRun={handleRun}
+                                    onToggleEnabled={handleToggleEnabled}
+                                    onDelete={handleDelete}
+                                    busy={busy}
+                                />
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,261 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '@/lib/api-client';
+import ErrorBanner from '@/components/ErrorBanner';
+import PageHeader from '@/components/PageHeader';
+import { formatDate } from '@/lib/report-utils';
+import { ClipboardListIcon, SearchIcon, DocumentIcon } from '@/components/Icons';
+
+const statusBadge = {
+    passing: 'bg-accent-50 text-accent-700 ring-1 ring-accent-200',
+    failing: 'bg-red-50 text-red-700 ring-1 ring-red-200',
+    'not-run': 'bg-surface-100 text-surface-600 ring-1 ring-surface-200',
+    'not-automated': 'bg-amber-50 text-amber-700 ring-1 ring-amber-200',
+    'not-covered': 'bg-red-600 text-white',
+};
+
+// Rows that are coverage gaps stand out from the rest of the matrix
+const gapRow = {
+    failing: 'bg-red-50/60',
+    'not-automated': 'bg-amber-50/60',
+    'not-covered': 'bg-red-50',
+};
+
+const gapSeverity = {
+    high: 'border-red-200 bg-red-50 text-red-800',
+    medium: 'border-amber-200 bg-amber-50 text-amber-800',
+    low: 'border-surface-200 bg-surface-50 text-surface-600',
+};
+
+function StatusBadge({ status }) {
+    return (
+        <span className={`whitespace-nowrap rounded-full px-2 py-0.5 text-[10px] font-bold uppercase tracking-[0.08em] ${statusBadge[status] || statusBadge['not-run']}`}>
+            {status}
+        </span>
+    );
+}
+
+function SummaryPanel({ label, value }) {
+    return (
+        <div className="page-header-panel rounded-xl px-2.5 py-1.5 text-left">
+            <p className="page-header-panel-subtle text-[0.5rem] font-semibold uppercase tracking-[0.16em]">{label}</p>
+            <p className="text-[0.82rem] font-bold tracking-[-0.02em] text-white mt-0.5">{value}</p>
+        </div>
+    );
+}
+
+function MatrixTable({ matrix }) {
+    const testsByKey = new Map(matrix.tests.map(test => [test.key, test]));
+    return (
+        <div className="overflow-x-auto rounded-2xl border border-surface-200/80 bg-white/85 shadow-sm">
+            <table className="w-full text-left">
+                <thead>
+                    <tr className="type-meta-label">
+                        <th className="px-3 py-2">Acceptance criterion</th>
+                        <th className="px-3 py-2">Test cases</th>
+                        <th className="px-3 py-2">Tests</th>
+                        <th className="px-3 py-2">Latest results</th>
+                        <th className="px-3 py-2">Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {matrix.criteria.map(criterion => {
+                        const tests = criterion.tests.map(key => testsByKey.get(key)).filter(Boolean);
+                        return (
+                            <tr key={criterion.id} className={`border-t border-surface-100 align-top ${gapRow[criterion.status] || ''}`}>
+                                <td className="min-w-0 px-3 py-2.5">
+                                    <p className="text-[13px] font-semibold text-surface-800">{criterion.id}</p>
+                                    <p className="mt-0.5 text-[11px] text-surface-600">{criterion.text}</p>
+                                </td>
+                                <td className="px-3 py-2.5 font-mono text-[11px] text-surface-700">
+                                    {criterion.testCases.length ? criterion.testCases.join(', ') : '—'}
+                                </td>
+                                <td className="px-3 py-2.5 text-[11px] text-surface-700">
+                                    {tests.length === 0 ? '—' : tests.map(test => (
+                                        <p key={test.key} className="truncate" title={`${test.file}${test.line ? `:${test.line}` : ''}`}>{test.title}</p>
+                                    ))}
+                                </td>
+                                <td className="px-3 py-2.5 text-[11px] text-surface-500">
+                                    {tests.length === 0 ? '—' : tests.map(test => (
+                                        <p key={test.key} title={test.result?.error || ''}>
+                                            {test.result ? `${test.result.status} · ${formatDate(test.result.recordedAt)}` : 'no result'}
+                                        </p>
+                                    ))}
+                                </td>
+                                <td className="px-3 py-2.5"><StatusBadge status={criterion.status} /></td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+function TestCaseTable({ testCases }) {
+    return (
+        <div className="overflow-x-auto rounded-2xl border border-surface-200/80 bg-white/85 shadow-sm">
+            <table className="w-full text-left">
+                <thead>
+                    <tr className="type-meta-label">
+                        <th className="px-3 py-2">Test case</th>
+                        <th className="px-3 py-2">Priority</th>
+                        <th className="px-3 py-2">Covers</th>
+                        <th className="px-3 py-2">Tests</th>
+                        <th className="px-3 py-2">Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {testCases.map(testCase => (
+                        <tr key={testCase.key} className={`border-t border-surface-100 align-top ${gapRow[testCase.status] || ''}`}>
+                            <td className="min-w-0 px-3 py-2.5">
+                                <p className="text-[13px] font-semibold text-surface-800">{testCase.key}</p>
+                                <p className="mt-0.5 text-[11px] text-surface-600">{testCase.title}</p>
+                            </td>
+                            <td className="px-3 py-2.5 text-[11px] text-surface-600">{testCase.priority || '—'}</td>
+                            <td className="px-3 py-2.5 font-mono text-[11px] text-surface-700">{testCase.acceptanceCriteria.join(', ') || '—'}</td>
+                            <td className="px-3 py-2.5 text-[11px] text-surface-600">{testCase.tests.length}</td>
+                            <td className="px-3 py-2.5"><StatusBadge status={testCase.status} /></td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+export default function TraceabilityPage() {
+    const [ticketInput, setTicketInput] = useState('');
+    const [ticketId, setTicketId] = useState('');
+    const [matrix, setMatrix] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const loadMatrix = useCallback(async (signal) => {
+        if (!ticketId) return;
+        setLoading(true);
+        try {
+            const data = await apiClient.getTraceability(ticketId, { signal });
+            setMatrix(data);
+        } catch (err) {
+            if (!signal?.aborted) setError(`Failed to load traceability for ${ticketId}: ${err.message}`);
+        } finally {
+            if (!signal?.aborted) setLoading(false);
+        }
+    }, [ticketId]);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        loadMatrix(controller.signal);
+        return () => controller.abort();
+    }, [loadMatrix]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const next = ticketInput.trim().toUpperCase();
+        if (!next) return;
+        setMatrix(null);
+        setTicketId(next);
+    };
+
+    const summary = matrix?.summary;
+
+    return (
+        <div className="mx-auto max-w-7xl space-y-6 px-6 py-6">
+            <PageHeader
+                title="Traceability"
+                subtitle="Follow each acceptance criterion through its test cases and the annotated spec tests to their latest results. Gaps are highlighted."
+                Icon={ClipboardListIcon}
+                actions={summary ? (
+                    <div className="flex gap-2">
+                        <SummaryPanel label="Covered" value={`${summary.criteria.covered}/${summary.criteria.total}`} />
+                        <SummaryPanel label="Automated" value={`${summary.criteria.automated}/${summary.criteria.total}`} />
+                        <SummaryPanel label="Passing" value={`${summary.criteria.passing}/${summary.criteria.total}`} />
+                    </div>
+                ) : null}
+            />
+
+            <ErrorBanner error={error} onDismiss={() => setError(null)} />
+
+            <form onSubmit={handleSubmit} className="flex flex-col gap-3 sm:flex-row">
+                <div className="relative flex-1">
+                    <SearchIcon className="absolute left-3 top-1/2 h-3.5 w-3.5 -translate-y-1/2 text-surface-400" />
+                    <input
+                        type="text"
+                        value={ticketInput}
+                        onChange={(e) => setTicketInput(e.target.value)}
+                        placeholder="Ticket ID, e.g. AOTF-1234"
+                        aria-label="Ticket ID"
+                        className="w-full rounded-xl border border-surface-200 bg-surface-50/80 py-2.5 pl-9 pr-3 text-xs focus:border-brand-400 focus:outline-none focus:ring-2 focus:ring-brand-500/20 transition-colors"
+                    />
+                </div>
+                <button
+                    type="submit"
+                    disabled={loading || !ticketInput.trim()}
+                    className="rounded-xl bg-brand-600 px-4 py-2.5 text-xs font-semibold text-white hover:bg-brand-700 disabled:opacity-50"
+                >
+                    Show matrix
+                </button>
+                {matrix && (
+                    <div className="flex gap-2">
+                        {['html', 'xlsx'].map(format => (
+                            <a
+                                key={format}
+                                href={apiClient.getTraceabilityExportUrl(matrix.ticketId, format)}
+                                className="inline-flex items-center gap-1 rounded-xl border border-surface-200 bg-white px-3 py-2.5 text-xs font-semibold text-surface-700 hover:bg-surface-50"
+                            >
+                                <DocumentIcon className="h-3.5 w-3.5" />
+                                {format === 'html' ? 'HTML' : 'Excel'}
+                            </a>
+                        ))}
+                    </div>
+                )}
+            </form>
+
+            {!ticketId ? (
+                <p className="px-2 py-10 text-center text-xs text-surface-500">Enter a ticket to see its traceability matrix.</p>
+            ) : loading && !matrix ? (
+                <div className="space-y-2">
+                    {[1, 2, 3].map(item => <div key={item} className="h-14 animate-pulse rounded-2xl bg-surface-100" />)}
+                </div>
+            ) : matrix && matrix.criteria.length === 0 && matrix.testCases.length === 0 ? (
+                <p className="px-2 py-10 text-center text-xs text-surface-500">No test case documents for {matrix.ticketId} yet.</p>
+            ) : matrix && (
+                <>
+                    {matrix.latestRun && (
+                        <p className="text-[11px] text-surface-500">
+                            Latest results from run <span className="font-mono">{matrix.latestRun.runId}</span> · {formatDate(matrix.latestRun.recordedAt)}
+                        </p>
+                    )}
+
+                    {matrix.gaps.length > 0 && (
+                        <section className="space-y-2">
+                            <h2 className="type-meta-label">Coverage gaps ({matrix.gaps.length})</h2>
+                            <ul className="space-y-1.5">
+                                {matrix.gaps.map((gap, index) => (
+                                    <li key={`${gap.type}-${gap.id}-${index}`} className={`rounded-xl border px-3 py-2 text-[11px] ${gapSeverity[gap.severity]}`}>
+                                        <span className="mr-2 font-bold uppercase tracking-[0.12em]">{gap.type.replace(/-/g, ' ')}</span>
+                                        {gap.message}
+                                    </li>
+                                ))}
+                            </ul>
+                        </section>
+                    )}
+
+                    <section className="space-y-2">
+                        <h2 className="type-meta-label">Acceptance criteria</h2>
+                        {matrix.criteria.length === 0
+                            ? <p className="px-2 py-4 text-xs text-surface-500">The test case documents list no acceptance criteria.</p>
+                            : <MatrixTable matrix={matrix} />}
+                    </section>
+
+                    <section className="space-y-2">
+                        <h2 className="type-meta-label">Test cases</h2>
+                        <TestCaseTable testCases={matrix.testCases} />
+                    </section>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,376 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '@/lib/api-client';
+import ErrorBanner from '@/components/ErrorBanner';
+import PageHeader from '@/components/PageHeader';
+import { formatDate } from '@/lib/report-utils';
+import { ImageIcon, SearchIcon, CheckIcon, XIcon, RetryIcon } from '@/components/Icons';
+
+const STATUS_FILTERS = [
+    { value: 'pending', label: 'Awaiting review' },
+    { value: '', label: 'All baselines' },
+    { value: 'approved', label: 'Approved' },
+    { value: 'unapproved', label: 'Never approved' },
+];
+
+const kindBadge = {
+    changed: 'bg-amber-50 text-amber-700 ring-1 ring-amber-200',
+    new: 'bg-brand-50 text-brand-700 ring-1 ring-brand-200',
+};
+
+const candidateBadge = {
+    pending: 'bg-amber-50 text-amber-700 ring-1 ring-amber-200',
+    approved: 'bg-accent-50 text-accent-700 ring-1 ring-accent-200',
+    rejected: 'bg-red-50 text-red-700 ring-1 ring-red-200',
+    superseded: 'bg-surface-100 text-surface-500',
+};
+
+function formatRatio(ratio) {
+    return typeof ratio === 'number' ? `${(ratio * 100).toFixed(2)}%` : '—';
+}
+
+function KeyChips({ baseline }) {
+    const chips = [baseline.ticketId, baseline.environment, baseline.browser, baseline.viewport].filter(Boolean);
+    return (
+        <div className="flex flex-wrap items-center gap-1">
+            {chips.map(chip => (
+                <span key={chip} className="rounded-md bg-surface-100 px-1.5 py-0.5 text-[10px] font-semibold text-surface-600">{chip}</span>
+            ))}
+        </div>
+    );
+}
+
+function ImagePanel({ label, src, note }) {
+    return (
+        <figure className="min-w-0 flex-1 rounded-2xl border border-surface-200/80 bg-white/85 p-3 shadow-sm">
+            <figcaption className="mb-2 flex items-center justify-between gap-2">
+                <span className="type-meta-label">{label}</span>
+                {note && <span className="text-[10px] text-surface-400">{note}</span>}
+            </figcaption>
+            {src ? (
+                <a href={src} target="_blank" rel="noreferrer">
+                    <img src={src} alt={label} className="w-full rounded-lg border border-surface-100 bg-[repeating-conic-gradient(#f1f5f9_0_25%,#fff_0_50%)] bg-[length:16px_16px]" />
+                </a>
+            ) : (
+                <div className="flex h-40 items-center justify-center rounded-lg border border-dashed border-surface-200 text-xs text-surface-400">
+                    Not available
+                </div>
+            )}
+        </figure>
+    );
+}
+
+function BaselineDetail({ baseline, onReview, onRestore, busy }) {
+    const [comment, setComment] = useState('');
+    const pending = [...baseline.candidates].reverse().find(candidate => candidate.status === 'pending') || null;
+    const approvedSrc = baseline.approvedVersion !== null
+        ? apiClient.getVisualImageUrl(baseline.id, { version: baseline.approvedVersion })
+        : null;
+    const history = [...baseline.candidates].reverse().filter(candidate => candidate.status !== 'pending').slice(0, 10);
+
+    useEffect(() => { setComment(''); }, [baseline.id]);
+
+    return (
+        <div className="space-y-4">
+            <div className="rounded-2xl border border-surface-200/80 bg-white/85 p-4 shadow-sm">
+                <div className="flex flex-wrap items-start justify-between gap-3">
+                    <div className="min-w-0">
+                        <h2 className="type-card-title text-[1.05rem]">{baseline.name}</h2>
+                        <p className="mt-0.5 truncate font-mono text-[11px] text-surface-500">{baseline.urlPattern}</p>
+                        <div className="mt-2"><KeyChips baseline={baseline} /></div>
+                    </div>
+                    <div className="text-right text-[11px] text-surface-500">
+                        <p>{baseline.approvedVersion !== null ? `Approved v${baseline.approvedVersion}` : 'No approved baseline'}</p>
+                        {baseline.lastCheck && <p>Last check {baseline.lastCheck.result} · {formatDate(baseline.lastCheck.checkedAt)}</p>}
+                    </div>
+                </div>
+            </div>
+
+            {pending ? (
+                <div className="space-y-3">
+                    <div className="flex flex-wrap items-center gap-2 text-xs text-surface-600">
+                        <span className={`rounded-full px-2 py-0.5 text-[9px] font-bold uppercase tracking-[0.14em] ${kindBadge[pending.kind] || ''}`}>
+                            {pending.kind === 'new' ? 'New baseline' : 'Changed'}
+                        </span>
+                        {pending.kind === 'changed' && <span>{formatRatio(pending.mismatchRatio)} of pixels differ ({pending.diffPixels ?? 0})</span>}
+                        {pending.runId && <span className="font-mono text-[11px] text-surface-400">{pending.runId}</span>}
+                        <span className="text-surface-400">{formatDate(pending.submittedAt)}</span>
+                    </div>
+                    <div className="flex flex-col gap-3 lg:flex-row">
+                        <ImagePanel label={`Baseline${baseline.approvedVersion !== null ? ` v${baseline.approvedVersion}` : ''}`} src={approvedSrc} />
+                        <ImagePanel label="Current" src={apiClient.getVisualImageUrl(baseline.id, { candidateId: pending.id, kind: 'current' })} />
+                        <ImagePanel
+                            label="Diff"
+                            note="red changed · yellow anti-aliasing · blue ignored"
+                            src={pending.diffFile ? apiClient.getVisualImageUrl(baseline.id, { candidateId: pending.id, kind: 'diff' }) : null}
+                        />
+                    </div>
+                    <div className="flex flex-col gap-2 sm:flex-row sm:items-center">
+                        <input
+                            type="text"
+                            value={comment}
+                            onChange={(e) => setComment(e.target.value)}
+                            placeholder="Comment (optional)"
+                            aria-label="Review comment"
+                            className="flex-1 rounded-xl border border-surface-200 bg-surface-50/80 px-3 py-2 text-xs focus:border-brand-400 focus:outline-none focus:ring-2 focus:ring-brand-500/20 transition-colors"
+                        />
+                        <button
+                            onClick={() => onReview(pending, 'approve', comment)}
+                            disabled={busy}
+                            className="inline-flex items-center justify-center gap-1.5 rounded-xl bg-accent-600 px-3 py-2 text-xs font-semibold text-white hover:bg-accent-700 disabled:opacity-50 transition-colors"
+                        >
+                            <CheckIcon className="h-3.5 w-3.5" />
+                            Approve as v{baseline.versions.reduce((max, entry) => Math.max(max, entry.version), 0) + 1}
+                        </button>
+                        <button
+                            onClick={() => onReview(pending, 'reject', comment)}
+                            disabled={busy}
+                            className="inline-flex items-center justify-center gap-1.5 rounded-xl border border-red-200 bg-white px-3 py-2 text-xs font-semibold text-red-700 hover:bg-red-50 disabled:opacity-50 transition-colors"
+                        >
+                            <XIcon className="h-3.5 w-3.5" />
+                            Reject
+                        </button>
+                    </div>
+                </div>
+            ) : (
+                <div className="flex flex-col gap-3 lg:flex-row">
+                    <ImagePanel label={`Baseline${baseline.approvedVersion !== null ? ` v${baseline.approvedVersion}` : ''}`} src={approvedSrc} />
+                </div>
+            )}
+
+            <div className="grid gap-4 lg:grid-cols-2">
+                <div className="rounded-2xl border border-surface-200/80 bg-white/85 p-4 shadow-sm">
+                    <h3 className="type-card-title mb-2 text-[0.95rem]">Versions</h3>
+                    {baseline.versions.length === 0 ? (
+                        <p className="text-xs text-surface-500">No approved versions yet.</p>
+                    ) : (
+                        <ul className="space-y-1.5">
+                            {[...baseline.versions].reverse().map(version => (
+                                <li key={version.version} className="flex items-center justify-between gap-2 rounded-lg border border-surface-200/80 bg-white px-2.5 py-1.5 text-[11px] text-surface-700">
+                                    <span>
+                                        <a
+                                            href={apiClient.getVisualImageUrl(baseline.id, { version: version.version })}
+                                            target="_blank"
+                                            rel="noreferrer"
+                                            className="font-semibold text-brand-700 hover:underline"
+                                        >
+                                            v{version.version}
+                                        </a>
+                                        <span className="text-surface-400"> · {formatDate(version.approvedAt)}{version.approvedBy ? ` · ${version.approvedBy}` : ''}</span>
+                                        {version.comment && <span className="block text-[10px] text-surface-500">{version.comment}</span>}
+                                    </span>
+                                    {version.version === baseline.approvedVersion ? (
+                                        <span className="rounded-md bg-accent-50 px-1.5 py-0.5 text-[10px] font-bold uppercase tracking-[0.12em] text-accent-700">Current</span>
+                                    ) : (
+                                        <button
+                                            onClick={() => onRestore(version.version)}
+                                            disabled={busy}
+                                            className="inline-flex items-center gap-1 rounded-lg border border-surface-200 px-2 py-1 text-[10px] font-semibold text-surface-600 hover:bg-surface-50 disabled:opacity-50"
+                                        >
+                                            <RetryIcon className="h-3 w-3" />
+                                            Restore
+                                        </button>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+                <div className="rounded-2xl border border-surface-200/80 bg-white/85 p-4 shadow-sm">
+                    <h3 className="type-card-title mb-2 text-[0.95rem]">Review history</h3>
+                    {history.length === 0 ? (
+                        <p className="text-xs text-surface-500">No reviewed changes yet.</p>
+                    ) : (
+                        <ul className="space-y-1.5">
+                            {history.map(candidate => (
+                                <li key={candidate.id} className="rounded-lg border border-surface-200/80 bg-white px-2.5 py-1.5 text-[11px] text-surface-700">
+                                    <span className={`mr-1.5 rounded-md px-1.5 py-0.5 text-[10px] font-bold uppercase tracking-[0.12em] ${candidateBadge[candidate.status] || ''}`}>
+                                        {candidate.status}
+                                    </span>
+                                    {candidate.kind} · {formatRatio(candidate.mismatchRatio)}
+                                    <span className="text-surface-400"> · {formatDate(candidate.reviewedAt || candidate.submittedAt)}{candidate.reviewedBy ? ` · ${candidate.reviewedBy}` : ''}</span>
+                                    {candidate.comment && <span className="block text-[10px] text-surface-500">{candidate.comment}</span>}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default function VisualReviewPage() {
+    const [status, setStatus] = useState('pending');
+    const [ticketFilter, setTicketFilter] = useState('');
+    const [baselines, setBaselines] = useState([]);
+    const [pendingCount, setPendingCount] = useState(0);
+    const [selectedId, setSelectedId] = useState(null);
+    const [selected, setSelected] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const loadBaselines = useCallback(async (signal) => {
+        setLoading(true);
+        try {
+            const data = await apiClient.listVisualBaselines(status ? { status } : {}, { signal });
+            setBaselines(data.baselines || []);
+        } catch (err) {
+            if (!signal?.aborted) setError(`Failed to load visual baselines: ${err.message}`);
+        } finally {
+            if (!signal?.aborted) setLoading(false);
+        }
+    }, [status]);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        loadBaselines(controller.signal);
+        return () => controller.abort();
+    }, [loadBaselines]);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        apiClient.listVisualBaselines({ status: 'pending' }, { signal: controller.signal })
+            .then(data => setPendingCount(data.total || 0))
+            .catch(() => { });
+        return () => controller.abort();
+    }, [baselines]);
+
+    useEffect(() => {
+        if (!selectedId) {
+            setSelected(null);
+            return undefined;
+        }
+        const controller = new AbortController();
+        apiClient.getVisualBaseline(selectedId, { signal: controller.signal })
+            .then(data => setSelected(data.baseline))
+            .catch(err => {
+                if (!controller.signal.aborted) setError(`Failed to load baseline: ${err.message}`);
+            });
+        return () => controller.abort();
+    }, [selectedId]);
+
+    const applyUpdate = (baseline) => {
+        setSelected(baseline);
+        loadBaselines();
+    };
+
+    const handleReview = async (candidate, action, comment) => {
+        setBusy(true);
+        try {
+            const data = await apiClient.reviewVisualCandidate(selected.id, candidate.id, action, comment);
+            applyUpdate(data.baseline);
+        } catch (err) {
+            setError(`Failed to ${action}: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleRestore = async (version) => {
+        setBusy(true);
+        try {
+            const data = await apiClient.restoreVisualVersion(selected.id, version);
+            applyUpdate(data.baseline);
+        } catch (err) {
+            setError(`Failed to restore v${version}: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const query = ticketFilter.trim().toLowerCase();
+    const visible = baselines.filter(baseline => !query
+        || (baseline.ticketId || '').toLowerCase().includes(query)
+        || baseline.name.toLowerCase().includes(query)
+        || baseline.urlPattern.toLowerCase().includes(query));
+
+    return (
+        <div className="mx-auto max-w-7xl space-y-6 px-6 py-6">
+            <PageHeader
+                title="Visual Review"
+                subtitle="Approve or reject visual changes detected by pipeline runs. Approved screenshots become the next baseline version."
+                Icon={ImageIcon}
+                actions={(
+                    <div className="page-header-panel rounded-xl px-2.5 py-1.5 text-left">
+                        <p className="page-header-panel-subtle text-[0.5rem] font-semibold uppercase tracking-[0.16em]">Awaiting review</p>
+                        <p className="text-[0.82rem] font-bold tracking-[-0.02em] text-white mt-0.5">{pendingCount}</p>
+                    </div>
+                )}
+            />
+
+            <ErrorBanner error={error} onDismiss={() => setError(null)} />
+
+            <div className="grid gap-6 xl:grid-cols-[340px_minmax(0,1fr)]">
+                <aside className="space-y-3">
+                    <select
+                        value={status}
+                        onChange={(e) => setStatus(e.target.value)}
+                        aria-label="Baseline status"
+                        className="custom-select w-full"
+                    >
+                        {STATUS_FILTERS.map(filter => <option key={filter.value} value={filter.value}>{filter.label}</option>)}
+                    </select>
+                    <div className="relative">
+                        <SearchIcon className="absolute left-3 top-1/2 h-3.5 w-3.5 -translate-y-1/2 text-surface-400" />
+                        <input
+                            type="text"
+                            value={ticketFilter}
+                            onChange={(e) => setTicketFilter(e.target.value)}
+                            placeholder="Filter by ticket, name or page"
+                            aria-label="Filter baselines"
+                            className="w-full rounded-xl border border-surface-200 bg-surface-50/80 py-2.5 pl-9 pr-3 text-xs focus:border-brand-400 focus:outline-none focus:ring-2 focus:ring-brand-500/20 transition-colors"
+                        />
+                    </div>
+
+                    {loading && baselines.length === 0 ? (
+                        <div className="space-y-2">
+                            {[1, 2, 3].map(item => <div key={item} className="h-20 animate-pulse rounded-2xl bg-surface-100" />)}
+                        </div>
+                    ) : visible.length === 0 ? (
+                        <p className="px-2 py-10 text-center text-xs text-surface-500">
+                            {status === 'pending' ? 'No visual changes awaiting review.' : 'No baselines match.'}
+                        </p>
+                    ) : (
+                        <ul className="space-y-2">
+                            {visible.map(baseline => (
+                                <li key={baseline.id}>
+                                    <button
+                                        onClick={() => setSelectedId(baseline.id)}
+                                        className={`w-full rounded-2xl border p-3 text-left transition-all duration-150 ${baseline.id === selectedId
+                                            ? 'border-brand-200 bg-brand-50/80 shadow-sm'
+                                            : 'border-surface-200/70 bg-white/80 hover:border-brand-200 hover:bg-white hover:shadow-sm'
+                                            }`}
+                                    >
+                                        <div className="flex items-center justify-between gap-2">
+                                            <span className="truncate text-[13px] font-semibold text-surface-800">{baseline.name}</span>
+                                            {baseline.pendingCandidate && (
+                                                <span className={`rounded-full px-2 py-0.5 text-[9px] font-bold uppercase tracking-[0.14em] ${kindBadge[baseline.pendingCandidate.kind] || ''}`}>
+                                                    {baseline.pendingCandidate.kind}
+                                                </span>
+                                            )}
+                                        </div>
+                                        <p className="mt-0.5 truncate font-mono text-[10px] text-surface-500">{baseline.urlPattern}</p>
+                                        <div className="mt-1.5"><KeyChips baseline={baseline} /></div>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </aside>
+
+                <section className="min-w-0">
+                    {selected ? (
+                        <BaselineDetail baseline={selected} onReview={handleReview} onRestore={handleRestore} busy={busy} />
+                    ) : (
+                        <div className="flex h-64 items-center justify-center rounded-2xl border border-dashed border-surface-200 text-sm text-surface-500">
+                            Select a baseline to compare baseline, current and diff.
+                        </div>
+                    )}
+                </section>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,242 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '@/lib/api-client';
+import ErrorBanner from '@/components/ErrorBanner';
+import PageHeader from '@/components/PageHeader';
+import { formatDate } from '@/lib/report-utils';
+import { LightningIcon, SearchIcon, XIcon } from '@/components/Icons';
+
+const PAGE_SIZE = 50;
+
+const ACTION_FILTERS = [
+    { value: '', label: 'All outcomes' },
+    { value: 'accepted', label: 'Accepted' },
+    { value: 'ignored', label: 'Ignored' },
+    { value: 'rejected,error', label: 'Rejected or error' },
+    { value: 'duplicate', label: 'Duplicate' },
+];
+
+const SOURCE_FILTERS = [
+    { value: '', label: 'All sources' },
+    { value: 'jira', label: 'Jira' },
+    { value: 'azure-devops', label: 'Azure DevOps' },
+    { value: 'github', label: 'GitHub' },
+    { value: 'gitlab', label: 'GitLab' },
+];
+
+const actionBadge = {
+    accepted: 'bg-accent-50 text-accent-700 ring-1 ring-accent-200',
+    ignored: 'bg-surface-100 text-surface-600 ring-1 ring-surface-200',
+    duplicate: 'bg-surface-100 text-surface-600 ring-1 ring-surface-200',
+    rejected: 'bg-red-50 text-red-700 ring-1 ring-red-200',
+    error: 'bg-red-600 text-white',
+};
+
+// Fields shown in the table; anything else the route recorded goes in the detail view
+const SUMMARY_FIELDS = ['deliveryId', 'source', 'receivedAt', 'action', 'reason', 'httpStatus', 'event', 'ticketId', 'rule', 'runId'];
+
+function ActionBadge({ action }) {
+    return (
+        <span className={`whitespace-nowrap rounded-full px-2 py-0.5 text-[10px] font-bold uppercase tracking-[0.08em] ${actionBadge[action] || actionBadge.ignored}`}>
+            {action}
+        </span>
+    );
+}
+
+function DeliveryDetails({ deliveryId, onClose }) {
+    const [delivery, setDelivery] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        setDelivery(null);
+        setError(null);
+        apiClient.getWebhookDelivery(deliveryId, { signal: controller.signal })
+            .then(setDelivery)
+            .catch(err => { if (!controller.signal.aborted) setError(err.message); });
+        return () => controller.abort();
+    }, [deliveryId]);
+
+    const extra = delivery
+        ? Object.fromEntries(Object.entries(delivery).filter(([key]) => !SUMMARY_FIELDS.includes(key)))
+        : {};
+
+    return (
+        <section className="space-y-3 rounded-2xl border border-surface-200/80 bg-white/85 p-4 shadow-sm">
+            <div className="flex items-center justify-between gap-3">
+                <h2 className="type-meta-label">Delivery <span className="font-mono normal-case">{deliveryId}</span></h2>
+                <button onClick={onClose} aria-label="Close delivery" className="rounded-lg p-1 text-surface-400 hover:bg-surface-100 hover:text-surface-700">
+                    <XIcon className="h-3.5 w-3.5" />
+                </button>
+            </div>
+            {error ? (
+                <p className="text-[11px] text-red-600">Failed to load delivery: {error}</p>
+            ) : !delivery ? (
+                <div className="h-16 animate-pulse rounded-xl bg-surface-100" />
+            ) : (
+                <>
+                    <dl className="grid gap-x-6 gap-y-1.5 text-[11px] sm:grid-cols-2">
+                        {SUMMARY_FIELDS.filter(key => key !== 'deliveryId').map(key => (
+                            <div key={key} className="flex gap-2">
+                                <dt className="w-20 shrink-0 text-surface-400">{key}</dt>
+                                <dd className="min-w-0 break-words text-surface-700">
+                                    {key === 'receivedAt' ? formatDate(delivery.receivedAt) : String(delivery[key] ?? '—')}
+                                </dd>
+                            </div>
+                        ))}
+                    </dl>
+                    {Object.keys(extra).length > 0 && (
+                        <pre className="max-h-80 overflow-auto rounded-xl border border-surface-200 bg-surface-50/80 p-3 font-mono text-[10px] leading-4 text-surface-700">
+                            {JSON.stringify(extra, null, 2)}
+                        </pre>
+                    )}
+                </>
+            )}
+        </section>
+    );
+}
+
+export default function WebhookDeliveriesPage() {
+    const [source, setSource] = useState('');
+    const [action, setAction] = useState('');
+    const [ticketInput, setTicketInput] = useState('');
+    const [ticketId, setTicketId] = useState('');
+    const [page, setPage] = useState({ deliveries: [], total: 0, hasMore: false });
+    const [selectedId, setSelectedId] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const loadDeliveries = useCallback(async (offset, signal) => {
+        setLoading(true);
+        try {
+            const filters = { limit: String(PAGE_SIZE), offset: String(offset) };
+            if (source) filters.source = source;
+            if (action) filters.action = action;
+            if (ticketId) filters.ticketId = ticketId;
+            const data = await apiClient.listWebhookDeliveries(filters, { signal });
+            setPage(current => ({
+                ...data,
+                deliveries: offset === 0 ? data.deliveries : [...current.deliveries, ...data.deliveries],
+            }));
+        } catch (err) {
+            if (!signal?.aborted) setError(`Failed to load webhook deliveries: ${err.message}`);
+        } finally {
+            if (!signal?.aborted) setLoading(false);
+        }
+    }, [source, action, ticketId]);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        loadDeliveries(0, controller.signal);
+        return () => controller.abort();
+    }, [loadDeliveries]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        setTicketId(ticketInput.trim().toUpperCase());
+    };
+
+    return (
+        <div className="mx-auto max-w-7xl space-y-6 px-6 py-6">
+            <PageHeader
+                title="Webhook Deliveries"
+                subtitle="Every tracker and Git webhook delivery with its outcome, the matched rule and the run it started. Newest first."
+                Icon={LightningIcon}
+                actions={(
+                    <div className="flex gap-2">
+                        <div className="page-header-panel rounded-xl px-2.5 py-1.5 text-left">
+                            <p className="page-header-panel-subtle text-[0.5rem] font-semibold uppercase tracking-[0.16em]">Matching</p>
+                            <p className="text-[0.82rem] font-bold tracking-[-0.02em] text-white mt-0.5">{page.total}</p>
+                        </div>
+                    </div>
+                )}
+            />
+
+            <ErrorBanner error={error} onDismiss={() => setError(null)} />
+
+            <form onSubmit={handleSubmit} className="flex flex-col gap-3 sm:flex-row">
+                <select value={source} onChange={(e) => setSource(e.target.value)} aria-label="Delivery source" className="custom-select sm:w-44">
+                    {SOURCE_FILTERS.map(filter => <option key={filter.value} value={filter.value}>{filter.label}</option>)}
+                </select>
+                <select value={action} onChange={(e) => setAction(e.target.value)} aria-label="Delivery outcome" className="custom-select sm:w-48">
+                    {ACTION_FILTERS.map(filter => <option key={filter.value} value={filter.value}>{filter.label}</option>)}
+                </select>
+                <div className="relative flex-1">
+                    <SearchIcon className="absolute left-3 top-1/2 h-3.5 w-3.5 -translate-y-1/2 text-surface-400" />
+                    <input
+                        type="text"
+                        value={ticketInput}
+                        onChange={(e) => setTicketInput(e.target.value)}
+                        placeholder="Ticket ID, e.g. AOTF-1234 — Enter to filter"
+                        aria-label="Filter by ticket"
+                        className="w-full rounded-xl border border-surface-200 bg-surface-50/80 py-2.5 pl-9 pr-3 text-xs focus:border-brand-400 focus:outline-none focus:ring-2 focus:ring-brand-500/20 transition-colors"
+                    />
+                </div>
+            </form>
+
+            {selectedId && <DeliveryDetails deliveryId={selectedId} onClose={() => setSelectedId(null)} />}
+
+            {loading && page.deliveries.length === 0 ? (
+                <div className="space-y-2">
+                    {[1, 2, 3].map(item => <div key={item} className="h-14 animate-pulse rounded-2xl bg-surface-100" />)}
+                </div>
+            ) : page.deliveries.length === 0 ? (
+                <p className="px-2 py-10 text-center text-xs text-surface-500">No webhook deliveries match these filters.</p>
+            ) : (
+                <>
+                    <div className="overflow-x-auto rounded-2xl border border-surface-200/80 bg-white/85 shadow-sm">
+                        <table className="w-full text-left">
+                            <thead>
+                                <tr className="type-meta-label">
+                                    <th className="px-3 py-2">Received</th>
+                                    <th className="px-3 py-2">Source</th>
+                                    <th className="px-3 py-2">Ticket</th>
+                                    <th className="px-3 py-2">Outcome</th>
+                                    <th className="px-3 py-2">Reason</th>
+                                    <th className="px-3 py-2">Run</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {page.deliveries.map((delivery, index) => (
+                                    <tr
+                                        key={`${delivery.deliveryId || 'unknown'}-${index}`}
+                                        onClick={() => delivery.deliveryId && setSelectedId(delivery.deliveryId)}
+                                        className={`border-t border-surface-100 align-top ${delivery.deliveryId ? 'cursor-pointer hover:bg-surface-50' : ''} ${delivery.deliveryId === selectedId ? 'bg-brand-50/60' : ''}`}
+                                    >
+                                        <td className="whitespace-nowrap px-3 py-2.5 text-[11px] text-surface-500">{formatDate(delivery.receivedAt)}</td>
+                                        <td className="px-3 py-2.5 text-[11px] text-surface-700">
+                                            {delivery.source}
+                                            {delivery.event && <span className="block font-mono text-[10px] text-surface-400">{delivery.event}</span>}
+                                        </td>
+                                        <td className="px-3 py-2.5 font-mono text-[11px] text-surface-700">{delivery.ticketId || '—'}</td>
+                                        <td className="px-3 py-2.5">
+                                            <ActionBadge action={delivery.action} />
+                                            {delivery.httpStatus && <span className="mt-1 block text-[10px] text-surface-400">HTTP {delivery.httpStatus}</span>}
+                                        </td>
+                                        <td className="px-3 py-2.5 text-[11px] text-surface-600">
+                                            {delivery.reason || '—'}
+                                            {delivery.rule && <span className="block text-[10px] text-surface-400">rule: {delivery.rule}</span>}
+                                        </td>
+                                        <td className="px-3 py-2.5 font-mono text-[10px] text-surface-500">{delivery.runId || '—'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    {page.hasMore && (
+                        <div className="text-center">
+                            <button
+                                onClick={() => loadDeliveries(page.deliveries.length)}
+                                disabled={loading}
+                                className="rounded-xl border border-surface-200 bg-white px-4 py-2 text-xs font-semibold text-surface-700 hover:bg-surface-50 disabled:opacity-50"
+                            >
+                                Load more
+                            </button>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
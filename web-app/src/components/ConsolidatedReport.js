@@ -163,6 +163,94 @@ function SpecItem({ spec, index }) {
     );
 }
 
+/* ──────────────────── Accessibility Defects ──────────────────── */
+const SEVERITY_CONFIG = [
+    { key: 'critical', label: 'Critical', barColor: 'bg-red-500', textColor: 'allure-status-failed' },
+    { key: 'serious', label: 'Serious', barColor: 'bg-orange-500', textColor: 'allure-status-broken' },
+    { key: 'moderate', label: 'Moderate', barColor: 'bg-amber-400', textColor: 'allure-status-skipped' },
+    { key: 'minor', label: 'Minor', barColor: 'bg-[#64748b]', textColor: 'allure-text-secondary' },
+];
+
+function DefectItem({ defect }) {
+    const [open, setOpen] = useState(false);
+    const severity = SEVERITY_CONFIG.find(s => s.key === defect.severity) || SEVERITY_CONFIG[3];
+    const criteria = defect.wcag?.length
+        ? defect.wcag.map(w => `${w.criterion} ${w.name} (${w.level})`).join(', ')
+        : 'Best practice';
+
+    return (
+        <div className="allure-spec-item">
+            <button onClick={() => setOpen(!open)} className="w-full flex items-center gap-2.5 py-2.5 px-4 text-left">
+                <ChevronRightIcon className={`w-3 h-3 allure-text-muted transition-transform flex-shrink-0 ${open ? 'rotate-90' : ''}`} />
+                <span className={`w-2 h-2 rounded-full flex-shrink-0 ${severity.barColor}`} />
+                <span className={`text-[11px] font-bold uppercase tracking-wider flex-shrink-0 ${severity.textColor}`}>{severity.label}</span>
+                <span className="text-[13px] font-medium tracking-[-0.012em] allure-text-primary flex-1 truncate">
+                    {defect.rule}
+                    <span className="ml-2 text-[11px] font-mono allure-text-muted">{defect.selector || 'document'}</span>
+                </span>
+                {defect.ticketId && (
+                    <span className="px-1.5 py-0.5 text-[9px] font-bold rounded allure-badge-retry flex-shrink-0">{defect.ticketId}</span>
+                )}
+                <span className="text-[11px] allure-text-muted flex-shrink-0 min-w-[60px] text-right">
+                    {defect.states?.length || 0} state{defect.states?.length === 1 ? '' : 's'}
+                </span>
+            </button>
+            {open && (
+                <div className="ml-[40px] mb-2 mr-4 space-y-1 text-[12px] allure-text-secondary">
+                    <p className="allure-text-primary">{defect.message}</p>
+                    <p><span className="font-semibold">WCAG:</span> {criteria}</p>
+                    {defect.locator && <p><span className="font-semibold">Locator:</span> <span className="font-mono">{defect.locator}</span></p>}
+                    <p>
+                        <span className="font-semibold">Seen in:</span>{' '}
+                        {(defect.states || []).map(s => s.url ? `${s.state} (${s.url})` : s.state).join(', ')}
+                    </p>
+                </div>
+            )}
+        </div>
+    );
+}
+
+function AccessibilitySection({ accessibility }) {
+    if (!accessibility.defects.length) {
+        return (
+            <div className="text-center py-12 text-sm allure-text-muted">
+                {accessibility.audits} state(s) audited — no {accessibility.standard} violations.
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-4">
+            <div className="allure-stats-strip flex items-center gap-6 text-xs px-1 py-2">
+                <div className="flex flex-col">
+                    <span className="text-[10px] font-semibold uppercase tracking-wider allure-text-muted">{accessibility.standard} defects</span>
+                    <span className="text-[1.2rem] font-bold tracking-[-0.03em] allure-text-primary">{accessibility.issueCount}</span>
+                </div>
+                <div className="flex flex-col">
+                    <span className="text-[10px] font-semibold uppercase tracking-wider allure-text-muted">States audited</span>
+                    <span className="text-[1.2rem] font-bold tracking-[-0.03em] allure-text-primary">{accessibility.audits}</span>
+                </div>
+                <div className="flex-1" />
+                <div className="flex items-center gap-5">
+                    {SEVERITY_CONFIG.filter(s => accessibility.bySeverity?.[s.key] > 0).map(({ key, label, barColor, textColor }) => (
+                        <div key={key} className="flex items-center gap-1.5">
+                            <span className={`w-[3px] h-5 rounded-full ${barColor}`} />
+                            <span className="font-medium allure-text-secondary text-[12px]">{label}</span>
+                            <span className={`font-bold text-[12px] ${textColor}`}>{accessibility.bySeverity[key]}</span>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            <div className="allure-suite-list rounded-xl overflow-hidden">
+                {accessibility.defects.map(defect => (
+                    <DefectItem key={defect.id} defect={defect} />
+                ))}
+            </div>
+        </div>
+    );
+}
+
 /* ──────────────────────── Filter Pill Config ──────────────────────── */
 const PILL_CONFIG = [
     { key: 'all', label: 'Total', activeBg: 'allure-pill-total-active', activeText: 'text-white' },
@@ -292,6 +380,7 @@ export default function ConsolidatedReport({ since = null }) {
         { key: 'quality-gates', label: 'Quality Gates', count: 0 },
         { key: 'global-attachments', label: 'Global Attachments', count: 0 },
         { key: 'global-errors', label: 'Global Errors', count: globalErrors.length },
+        ...(data.accessibility ? [{ key: 'accessibility', label: 'Accessibility', count: data.accessibility.issueCount }] : []),
     ];
 
     return (
@@ -487,6 +576,10 @@ export default function ConsolidatedReport({ since = null }) {
                 </div>
             )}
 
+            {activeTab === 'accessibility' && data.accessibility && (
+                <AccessibilitySection accessibility={data.accessibility} />
+            )}
+
             {/* ═══ Footer — Allure branding ═══ */}
             <div className="allure-footer">
                 <div className="flex items-center gap-2">
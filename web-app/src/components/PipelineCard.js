@@ -11,6 +11,7 @@ const MODE_LABELS = {
     heal: 'Repair Script',
     'test-only': 'Test Only',
     'script-only': 'Script Only',
+    a11y: 'Accessibility Audit',
 };
 
 const accentMap = {
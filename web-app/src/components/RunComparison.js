@@ -0,0 +1,480 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '@/lib/api-client';
+import ErrorBanner from '@/components/ErrorBanner';
+import BouncingLoader from '@/components/BouncingLoader';
+import { formatDate } from '@/lib/report-utils';
+import { SearchIcon, RetryIcon, WarningTriangleIcon, CodeIcon, WrenchIcon, PlayIcon } from '@/components/Icons';
+
+const statusBadge = {
+    completed: 'bg-accent-50 text-accent-700 ring-1 ring-accent-200',
+    passed: 'bg-accent-50 text-accent-700 ring-1 ring-accent-200',
+    flaky: 'bg-amber-50 text-amber-700 ring-1 ring-amber-200',
+    failed: 'bg-red-50 text-red-700 ring-1 ring-red-200',
+    timedOut: 'bg-red-50 text-red-700 ring-1 ring-red-200',
+    running: 'bg-brand-100 text-brand-700 ring-1 ring-brand-200',
+    queued: 'bg-amber-50 text-amber-700 ring-1 ring-amber-200',
+    cancelled: 'bg-surface-100 text-surface-600 ring-1 ring-surface-200',
+};
+
+// Runs the server can continue after their last completed stage
+const RESUMABLE_STATUSES = ['failed', 'cancelled'];
+
+const changeStyles = {
+    regression: { row: 'bg-red-50/70', badge: 'bg-red-100 text-red-700 ring-1 ring-red-200', label: 'Regression' },
+    fix: { row: 'bg-accent-50/70', badge: 'bg-accent-100 text-accent-700 ring-1 ring-accent-200', label: 'Fixed' },
+    changed: { row: '', badge: 'bg-amber-50 text-amber-700 ring-1 ring-amber-200', label: 'Changed' },
+    added: { row: '', badge: 'bg-brand-50 text-brand-700 ring-1 ring-brand-200', label: 'Added' },
+    removed: { row: '', badge: 'bg-surface-100 text-surface-600 ring-1 ring-surface-200', label: 'Removed' },
+    unchanged: { row: '', badge: 'bg-surface-50 text-surface-400', label: 'Same' },
+};
+
+const verdictStyles = {
+    regressed: 'border-red-200 bg-red-50 text-red-700',
+    improved: 'border-accent-200 bg-accent-50 text-accent-700',
+    mixed: 'border-amber-200 bg-amber-50 text-amber-700',
+    unchanged: 'border-surface-200 bg-surface-50 text-surface-600',
+};
+
+function formatMs(ms) {
+    if (typeof ms !== 'number') return '—';
+    const abs = Math.abs(ms);
+    return abs >= 60000 ? `${(ms / 60000).toFixed(1)}m` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function formatDelta(ms) {
+    if (typeof ms !== 'number' || ms === 0) return '';
+    return `${ms > 0 ? '+' : '−'}${formatMs(Math.abs(ms))}`;
+}
+
+function StatusPill({ status }) {
+    if (!status) return <span className="text-[11px] text-surface-300">—</span>;
+    return (
+        <span className={`rounded-md px-1.5 py-0.5 text-[10px] font-bold uppercase tracking-[0.12em] ${statusBadge[status] || 'bg-surface-100 text-surface-600'}`}>
+            {status}
+        </span>
+    );
+}
+
+function ChangeBadge({ change }) {
+    const style = changeStyles[change] || changeStyles.unchanged;
+    return (
+        <span className={`rounded-full px-2 py-0.5 text-[9px] font-bold uppercase tracking-[0.14em] ${style.badge}`}>
+            {style.label}
+        </span>
+    );
+}
+
+function Section({ title, Icon, children, count }) {
+    return (
+        <div className="rounded-2xl border border-surface-200/80 bg-white/85 p-4 shadow-sm">
+            <div className="mb-3 flex items-center gap-2">
+                {Icon && <Icon className="h-4 w-4 text-surface-500" />}
+                <h3 className="type-card-title text-[0.95rem]">{title}</h3>
+                {typeof count === 'number' && <span className="text-[11px] font-semibold text-surface-400">{count}</span>}
+            </div>
+            {children}
+        </div>
+    );
+}
+
+function SpecDiff({ spec }) {
+    if (spec.hunks.length === 0) {
+        return <p className="text-xs text-surface-500">No changes.</p>;
+    }
+    return (
+        <div className="overflow-x-auto rounded-xl border border-surface-200 bg-surface-50/80 font-mono text-[11px] leading-5">
+            {spec.hunks.map((hunk, i) => {
+                let baseLine = hunk.baseStart;
+                let headLine = hunk.headStart;
+                return (
+                    <div key={i} className={i > 0 ? 'border-t border-dashed border-surface-200' : ''}>
+                        <div className="bg-surface-100/80 px-3 text-surface-400">@@ -{hunk.baseStart} +{hunk.headStart} @@</div>
+                        {hunk.lines.map((line, j) => {
+                            const number = line.type === '-' ? baseLine : headLine;
+                            if (line.type !== '+') baseLine++;
+                            if (line.type !== '-') headLine++;
+                            const tone = line.type === '+' ? 'bg-accent-50 text-accent-800' : line.type === '-' ? 'bg-red-50 text-red-800' : 'text-surface-600';
+                            return (
+                                <div key={j} className={`flex whitespace-pre ${tone}`}>
+                                    <span className="w-10 shrink-0 select-none pr-2 text-right text-surface-300">{number}</span>
+                                    <span className="w-4 shrink-0 select-none">{line.type}</span>
+                                    <span>{line.text}</span>
+                                </div>
+                            );
+                        })}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+function HealingColumn({ label, healing }) {
+    return (
+        <div className="min-w-0 flex-1">
+            <p className="type-meta-label">{label}</p>
+            {!healing.attempted ? (
+                <p className="mt-1 text-xs text-surface-500">No healing.</p>
+            ) : (
+                <>
+                    <p className="mt-1 text-xs text-surface-600">
+                        {healing.iterations} iteration{healing.iterations === 1 ? '' : 's'} · {healing.success ? 'healed' : 'not healed'}
+                    </p>
+                    <ul className="mt-2 space-y-1.5">
+                        {healing.actions.map((action, i) => (
+                            <li key={i} className="rounded-lg border border-surface-200/80 bg-white px-2.5 py-1.5 text-[11px] text-surface-700">
+                                <span className="font-semibold">#{action.iteration} {action.action.replace(/_/g, ' ')}</span>
+                                {action.strategy && <span className="text-surface-400"> · {action.strategy}</span>}
+                                {action.category && <span className="text-surface-400"> · {action.category}</span>}
+                                {action.changes.map((change, j) => <p key={j} className="mt-0.5 font-mono text-[10px] text-surface-500">{change}</p>)}
+                                {action.detail && <p className="mt-0.5 text-[10px] text-surface-500">{action.detail}</p>}
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+        </div>
+    );
+}
+
+function ComparisonResult({ comparison }) {
+    const { summary, stages, tests, specs, selectors, healing, warnings } = comparison;
+    const changedTests = tests.items.filter(item => item.change !== 'unchanged');
+
+    return (
+        <div className="space-y-4">
+            <div className={`flex flex-wrap items-center gap-x-5 gap-y-2 rounded-2xl border px-4 py-3 ${verdictStyles[summary.verdict] || verdictStyles.unchanged}`}>
+                <span className="text-[13px] font-bold uppercase tracking-[0.14em]">{summary.verdict}</span>
+                <span className="text-xs font-semibold">{summary.regressions} regression{summary.regressions === 1 ? '' : 's'}</span>
+                <span className="text-xs font-semibold">{summary.fixes} fix{summary.fixes === 1 ? '' : 'es'}</span>
+                <span className="text-xs">Tests {tests.summary.base.passed}/{tests.summary.base.total} → {tests.summary.head.passed}/{tests.summary.head.total}</span>
+                {formatDelta(summary.durationDeltaMs) && <span className="text-xs">Duration {formatDelta(summary.durationDeltaMs)}</span>}
+                <span className="text-xs">Selectors +{summary.selectorsAdded} −{summary.selectorsRemoved}</span>
+            </div>
+
+            {warnings.length > 0 && (
+                <div className="space-y-1 rounded-2xl border border-amber-200 bg-amber-50/80 px-4 py-3">
+                    {warnings.map((warning, i) => (
+                        <p key={i} className="flex items-start gap-2 text-xs text-amber-800">
+                            <WarningTriangleIcon className="mt-0.5 h-3.5 w-3.5 shrink-0" />
+                            {warning}
+                        </p>
+                    ))}
+                </div>
+            )}
+
+            <Section title="Stages" count={stages.length}>
+                <table className="w-full text-left text-xs">
+                    <thead>
+                        <tr className="type-meta-label">
+                            <th className="py-1.5 font-semibold">Stage</th>
+                            <th className="py-1.5 font-semibold">Base</th>
+                            <th className="py-1.5 font-semibold">Head</th>
+                            <th className="py-1.5 text-right font-semibold">Δ duration</th>
+                            <th className="py-1.5" />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {stages.map(stage => (
+                            <tr key={stage.name} className={`border-t border-surface-100 ${changeStyles[stage.change]?.row || ''}`}>
+                                <td className="py-1.5 font-semibold text-surface-800">{stage.name}</td>
+                                <td className="py-1.5"><StatusPill status={stage.base?.status} /> <span className="ml-1 text-surface-400">{formatMs(stage.base?.durationMs)}</span></td>
+                                <td className="py-1.5"><StatusPill status={stage.head?.status} /> <span className="ml-1 text-surface-400">{formatMs(stage.head?.durationMs)}</span></td>
+                                <td className={`py-1.5 text-right font-mono ${stage.durationDeltaMs > 0 ? 'text-red-600' : 'text-accent-700'}`}>{formatDelta(stage.durationDeltaMs)}</td>
+                                <td className="py-1.5 text-right">{stage.change !== 'unchanged' && <ChangeBadge change={stage.change} />}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </Section>
+
+            <Section title="Tests" count={tests.items.length}>
+                {changedTests.length === 0 ? (
+                    <p className="text-xs text-surface-500">{tests.items.length === 0 ? 'No saved test results.' : 'Every test has the same status in both runs.'}</p>
+                ) : (
+                    <ul className="space-y-1.5">
+                        {changedTests.map(test => (
+                            <li key={test.key} className={`rounded-xl border border-surface-200/70 px-3 py-2 ${changeStyles[test.change]?.row || 'bg-white'}`}>
+                                <div className="flex items-center justify-between gap-3">
+                                    <div className="min-w-0">
+                                        <p className="truncate text-[12px] font-semibold text-surface-800">{test.title}</p>
+                                        <p className="truncate text-[10px] text-surface-400">{test.file}{test.project ? ` · ${test.project}` : ''}</p>
+                                    </div>
+                                    <div className="flex shrink-0 items-center gap-1.5">
+                                        <StatusPill status={test.base?.status} />
+                                        <span className="text-surface-300">→</span>
+                                        <StatusPill status={test.head?.status} />
+                                        <ChangeBadge change={test.change} />
+                                    </div>
+                                </div>
+                                {test.change === 'regression' && test.head?.error && (
+                                    <p className="mt-1 truncate font-mono text-[10px] text-red-700">{test.head.error}</p>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </Section>
+
+            <Section title="Selectors" Icon={CodeIcon} count={selectors.added.length + selectors.removed.length}>
+                {selectors.added.length === 0 && selectors.removed.length === 0 ? (
+                    <p className="text-xs text-surface-500">Same {selectors.unchanged} selector{selectors.unchanged === 1 ? '' : 's'} in both runs.</p>
+                ) : (
+                    <div className="space-y-1 font-mono text-[11px]">
+                        {selectors.removed.map(item => <p key={`-${item.selector}`} className="rounded-md bg-red-50 px-2 py-1 text-red-800">− {item.selector}</p>)}
+                        {selectors.added.map(item => <p key={`+${item.selector}`} className="rounded-md bg-accent-50 px-2 py-1 text-accent-800">+ {item.selector}</p>)}
+                    </div>
+                )}
+            </Section>
+
+            <Section title="Healing" Icon={WrenchIcon}>
+                <div className="flex flex-col gap-4 md:flex-row">
+                    <HealingColumn label="Base" healing={healing.base} />
+                    <HealingColumn label="Head" healing={healing.head} />
+                </div>
+            </Section>
+
+            {specs.map(spec => (
+                <Section key={spec.specPath} title={spec.specPath} Icon={CodeIcon}>
+                    <div className="mb-2 flex items-center gap-2 text-[11px] text-surface-500">
+                        <ChangeBadge change={spec.change} />
+                        <span className="text-accent-700">+{spec.added}</span>
+                        <span className="text-red-600">−{spec.removed}</span>
+                    </div>
+                    <SpecDiff spec={spec} />
+                </Section>
+            ))}
+        </div>
+    );
+}
+
+function QueueSummary({ queue }) {
+    return (
+        <div className="mt-4 rounded-2xl border border-surface-200/80 bg-white/80 px-3 py-2.5 shadow-sm">
+            <p className="type-meta-label">Run queue</p>
+            <p className="mt-1 text-[11px] text-surface-600">
+                {queue.active.length} running / {queue.limits.maxConcurrent} · {queue.queued.length} waiting
+                {!queue.ready && <span className="text-amber-600"> · dispatch paused</span>}
+            </p>
+            {queue.queued.length > 0 && (
+                <ul className="mt-1.5 space-y-0.5">
+                    {queue.queued.slice(0, 5).map(item => (
+                        <li key={item.runId} className="truncate text-[10px] text-surface-500">
+                            #{item.position} <span className="font-semibold text-surface-700">{item.ticketId}</span> · {item.environment} · {item.priorityClass}
+                            {item.waitingOn.length > 0 && ` · waits on ${item.waitingOn.join(', ')}`}
+                        </li>
+                    ))}
+                    {queue.queued.length > 5 && <li className="text-[10px] text-surface-400">+{queue.queued.length - 5} more</li>}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Pick two pipeline runs and show what changed between them
+ * (GET /api/pipeline/compare). Also shows the run queue and resumes
+ * failed or cancelled runs.
+ */
+export default function RunComparison() {
+    const [runs, setRuns] = useState([]);
+    const [queue, setQueue] = useState(null);
+    const [loadingRuns, setLoadingRuns] = useState(true);
+    const [resumingRunId, setResumingRunId] = useState(null);
+    const [ticketFilter, setTicketFilter] = useState('');
+    const [baseRunId, setBaseRunId] = useState(null);
+    const [headRunId, setHeadRunId] = useState(null);
+    const [comparison, setComparison] = useState(null);
+    const [comparing, setComparing] = useState(false);
+    const [error, setError] = useState(null);
+
+    const loadRuns = useCallback(async () => {
+        setLoadingRuns(true);
+        try {
+            const [data, snapshot] = await Promise.all([
+                apiClient.listRuns({ limit: 100 }),
+                apiClient.getQueue().catch(() => null),
+            ]);
+            setRuns(data.runs || []);
+            setQueue(snapshot);
+        } catch (err) {
+            setRuns([]);
+            setError(`Failed to load pipeline runs: ${err.message}`);
+        } finally {
+            setLoadingRuns(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadRuns();
+    }, [loadRuns]);
+
+    useEffect(() => {
+        if (!baseRunId || !headRunId) {
+            setComparison(null);
+            return;
+        }
+        let cancelled = false;
+        setComparing(true);
+        setError(null);
+        apiClient.compareRuns(baseRunId, headRunId)
+            .then(data => { if (!cancelled) setComparison(data); })
+            .catch(err => { if (!cancelled) setError(`Failed to compare runs: ${err.message}`); })
+            .finally(() => { if (!cancelled) setComparing(false); });
+        return () => { cancelled = true; };
+    }, [baseRunId, headRunId]);
+
+    const resume = async (run) => {
+        setResumingRunId(run.runId);
+        try {
+            await apiClient.resumePipeline(run.runId);
+            await loadRuns();
+        } catch (err) {
+            setError(`Failed to resume ${run.ticketId}: ${err.message}`);
+        } finally {
+            setResumingRunId(null);
+        }
+    };
+
+    const pick = (runId, role) => {
+        if (role === 'base') {
+            setBaseRunId(runId === baseRunId ? null : runId);
+            if (runId === headRunId) setHeadRunId(null);
+        } else {
+            setHeadRunId(runId === headRunId ? null : runId);
+            if (runId === baseRunId) setBaseRunId(null);
+        }
+    };
+
+    const queuePositions = new Map((queue?.queued || []).map(item => [item.runId, item.position]));
+    const visibleRuns = runs.filter(run => !ticketFilter.trim() || (run.ticketId || '').toLowerCase().includes(ticketFilter.trim().toLowerCase()));
+
+    return (
+        <div className="grid min-h-[calc(100vh-13rem)] gap-6 xl:grid-cols-[340px_minmax(0,1fr)]">
+            <aside className="relative overflow-hidden rounded-[30px] border border-surface-200/80 bg-white/90 shadow-[0_20px_56px_rgba(15,23,42,0.08)]">
+                <div className="relative flex h-full min-h-[620px] flex-col">
+                    <div className="border-b border-surface-200/80 px-5 py-5">
+                        <div className="flex items-center justify-between gap-3">
+                            <div>
+                                <h2 className="type-card-title text-[1.05rem]">Pipeline runs</h2>
+                                <p className="mt-1 text-[13px] font-medium leading-5 tracking-[-0.01em] text-surface-500">Pick a base run and a head run to compare, or resume a failed run.</p>
+                            </div>
+                            <button
+                                onClick={loadRuns}
+                                className="rounded-lg p-1.5 text-surface-400 transition-colors hover:bg-surface-100 hover:text-surface-700"
+                                title="Reload runs"
+                            >
+                                <RetryIcon className="h-3.5 w-3.5" />
+                            </button>
+                        </div>
+                        <div className="relative mt-4">
+                            <SearchIcon className="absolute left-3 top-1/2 h-3.5 w-3.5 -translate-y-1/2 text-surface-400" />
+                            <input
+                                type="text"
+                                value={ticketFilter}
+                                onChange={(e) => setTicketFilter(e.target.value)}
+                                placeholder="Filter by ticket"
+                                aria-label="Filter pipeline runs by ticket"
+                                className="w-full rounded-xl border border-surface-200 bg-surface-50/80 py-2.5 pl-9 pr-3 text-xs focus:border-brand-400 focus:outline-none focus:ring-2 focus:ring-brand-500/20 transition-colors"
+                            />
+                        </div>
+                        {queue && <QueueSummary queue={queue} />}
+                    </div>
+
+                    <div className="flex-1 overflow-y-auto px-3 py-3">
+                        {loadingRuns ? (
+                            <div className="space-y-2 px-1 py-2">
+                                {[1, 2, 3, 4].map(item => <div key={item} className="h-16 animate-pulse rounded-2xl bg-surface-100" />)}
+                            </div>
+                        ) : visibleRuns.length === 0 ? (
+                            <p className="px-4 py-14 text-center text-xs text-surface-500">No pipeline runs recorded yet.</p>
+                        ) : visibleRuns.map(run => {
+                            const role = run.runId === baseRunId ? 'base' : run.runId === headRunId ? 'head' : null;
+                            return (
+                                <div
+                                    key={run.runId}
+                                    className={`mb-2 rounded-2xl border p-3 transition-all duration-150 ${role ? 'border-brand-200 bg-brand-50/80 shadow-sm' : 'border-surface-200/70 bg-white/80'}`}
+                                >
+                                    <div className="flex items-center justify-between gap-2">
+                                        <div className="min-w-0">
+                                            <div className="flex items-center gap-2">
+                                                <span className="text-[13px] font-semibold text-surface-800">{run.ticketId}</span>
+                                                <StatusPill status={run.status} />
+                                                {queuePositions.has(run.runId) && (
+                                                    <span className="text-[10px] font-semibold text-surface-400">#{queuePositions.get(run.runId)} in queue</span>
+                                                )}
+                                            </div>
+                                            <p className="mt-1 text-[10px] text-surface-500">
+                                                {run.mode} · {formatDate(run.startedAt || run.createdAt)} · <span className="font-mono">{run.runId.substring(0, 12)}</span>
+                                            </p>
+                                        </div>
+                                        <div className="flex shrink-0 gap-1">
+                                            {RESUMABLE_STATUSES.includes(run.status) && (
+                                                <button
+                                                    onClick={() => resume(run)}
+                                                    disabled={resumingRunId !== null}
+                                                    title="Start a new run that continues after the last completed stage"
+                                                    className="inline-flex items-center gap-1 rounded-lg border border-brand-200 px-2 py-1 text-[10px] font-semibold uppercase tracking-[0.1em] text-brand-700 transition-colors hover:bg-brand-50 disabled:opacity-50"
+                                                >
+                                                    <PlayIcon className="h-3 w-3" />
+                                                    {resumingRunId === run.runId ? 'Resuming' : 'Resume'}
+                                                </button>
+                                            )}
+                                            {['base', 'head'].map(option => (
+                                                <button
+                                                    key={option}
+                                                    onClick={() => pick(run.runId, option)}
+                                                    className={`rounded-lg px-2 py-1 text-[10px] font-semibold uppercase tracking-[0.1em] transition-colors ${role === option
+                                                        ? 'bg-brand-600 text-white'
+                                                        : 'bg-surface-100 text-surface-600 hover:bg-surface-200'
+                                                        }`}
+                                                >
+                                                    {option}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            </aside>
+
+            <section className="relative overflow-hidden rounded-[30px] border border-surface-200/80 bg-white/92 shadow-[0_20px_56px_rgba(15,23,42,0.08)]">
+                <div className="relative flex h-full min-h-[620px] flex-col">
+                    <div className="border-b border-surface-200/80 px-6 py-5">
+                        <h2 className="type-card-title text-[1.05rem]">Run comparison</h2>
+                        <p className="mt-1 text-[13px] font-medium leading-5 tracking-[-0.01em] text-surface-500">
+                            {comparison
+                                ? `${comparison.base.ticketId} ${comparison.base.runId.substring(0, 12)} → ${comparison.head.ticketId} ${comparison.head.runId.substring(0, 12)}`
+                                : 'Regressions are highlighted in red, fixes in green.'}
+                        </p>
+                    </div>
+
+                    {error && (
+                        <div className="px-6 pt-4">
+                            <ErrorBanner error={error} onDismiss={() => setError(null)} />
+                        </div>
+                    )}
+
+                    <div className="flex-1 overflow-y-auto px-6 py-5">
+                        {comparing ? (
+                            <div className="flex h-full items-center justify-center py-12">
+                                <BouncingLoader label="Comparing runs" caption="Diffing stages, test results, specs and healing." size="lg" />
+                            </div>
+                        ) : comparison ? (
+                            <ComparisonResult comparison={comparison} />
+                        ) : (
+                            <p className="py-12 text-center text-sm text-surface-500">
+                                {baseRunId || headRunId ? `Now pick the ${baseRunId ? 'head' : 'base'} run.` : 'Select two runs from the list.'}
+                            </p>
+                        )}
+                    </div>
+                </div>
+            </section>
+        </div>
+    );
+}
@@ -190,11 +190,33 @@ class ApiClient {
         });
     }
 
+    async resumePipeline(runId, model) {
+        return this._fetch(EP.pipelineResume(runId), {
+            method: 'POST',
+            body: JSON.stringify({ model, triggeredBy: 'web-app' }),
+            timeout: TIMEOUTS.PIPELINE_START,
+            retries: 0,
+        });
+    }
+
     async listRuns(filters = {}) {
         const qs = new URLSearchParams(filters).toString();
         return this._fetch(`${EP.pipelineRuns}${qs ? '?' + qs : ''}`);
     }
 
+    async compareRuns(baseRunId, headRunId) {
+        const qs = new URLSearchParams({ base: baseRunId, head: headRunId }).toString();
+        return this._fetch(`${EP.pipelineCompare}?${qs}`);
+    }
+
+    async getQueue() {
+        return this._fetch(EP.pipelineQueue, { timeout: TIMEOUTS.RUN_STATUS });
+    }
+
+    async getPipelineModes(options = {}) {
+        return this._fetch(EP.pipelineModes, { retries: 0, timeout: TIMEOUTS.HEALTH, ...options });
+    }
+
     async getRunStatus(runId) {
         return this._fetch(EP.pipelineStatus(runId), { timeout: TIMEOUTS.RUN_STATUS });
     }
@@ -216,6 +238,151 @@ class ApiClient {
         return `${this.baseUrl}${EP.pipelineArtifact}?${query.toString()}`;
     }
 
+    // ─── Visual Baselines ───────────────────────────────────────
+    async listVisualBaselines(filters = {}, options = {}) {
+        const qs = new URLSearchParams(filters).toString();
+        return this._fetch(`${EP.visualBaselines}${qs ? '?' + qs : ''}`, options);
+    }
+
+    async getVisualBaseline(baselineId, options = {}) {
+        return this._fetch(EP.visualBaseline(baselineId), options);
+    }
+
+    /** @param {'approve'|'reject'} action */
+    async reviewVisualCandidate(baselineId, candidateId, action, comment) {
+        return this._fetch(EP.visualCandidateReview(baselineId, candidateId, action), {
+            method: 'POST',
+            body: JSON.stringify({ reviewer: 'web-app', comment: comment || undefined }),
+            retries: 0,
+        });
+    }
+
+    async restoreVisualVersion(baselineId, version) {
+        return this._fetch(EP.visualVersionRestore(baselineId, version), {
+            method: 'POST',
+            body: JSON.stringify({ reviewer: 'web-app' }),
+            retries: 0,
+        });
+    }
+
+    getVisualImageUrl(baselineId, ref) {
+        const endpoint = ref.candidateId
+            ? EP.visualCandidateImage(baselineId, ref.candidateId, ref.kind || 'current')
+            : EP.visualVersionImage(baselineId, ref.version ?? 'approved');
+        return `${this.baseUrl}${endpoint}`;
+    }
+
+    // ─── Flaky Tests ────────────────────────────────────────────
+    async listFlakyTests(filters = {}, options = {}) {
+        const qs = new URLSearchParams(filters).toString();
+        return this._fetch(`${EP.flakyTests}${qs ? '?' + qs : ''}`, options);
+    }
+
+    async quarantineTest(testKey, reason) {
+        return this._fetch(EP.flakyQuarantine, {
+            method: 'POST',
+            body: JSON.stringify({ testKey, reason: reason || undefined, by: 'web-app' }),
+            retries: 0,
+        });
+    }
+
+    async releaseTest(testKey) {
+        return this._fetch(EP.flakyRelease, {
+            method: 'POST',
+            body: JSON.stringify({ testKey }),
+            retries: 0,
+        });
+    }
+
+    // ─── Traceability ───────────────────────────────────────────
+    async getTraceability(ticketId, options = {}) {
+        return this._fetch(EP.traceability(ticketId), options);
+    }
+
+    /** Download URL of the matrix rendered as html or xlsx */
+    getTraceabilityExportUrl(ticketId, format = 'html') {
+        return `${this.baseUrl}${EP.traceabilityExport(ticketId)}?format=${encodeURIComponent(format)}`;
+    }
+
+    // ─── Healing Patches ────────────────────────────────────────
+    async listHealingPatches(filters = {}, options = {}) {
+        const qs = new URLSearchParams(filters).toString();
+        return this._fetch(`${EP.healingPatches}${qs ? '?' + qs : ''}`, options);
+    }
+
+    async getHealingPatch(runId, patchId, options = {}) {
+        return this._fetch(EP.healingPatch(runId, patchId), options);
+    }
+
+    /** @param {{ target?: 'workspace'|'branch', branch?: string, comment?: string }} [review] */
+    async acceptHealingPatch(runId, patchId, review = {}) {
+        return this._fetch(EP.healingPatchReview(runId, patchId, 'accept'), {
+            method: 'POST',
+            body: JSON.stringify({ reviewer: 'web-app', ...review }),
+            retries: 0,
+        });
+    }
+
+    async rejectHealingPatch(runId, patchId, comment) {
+        return this._fetch(EP.healingPatchReview(runId, patchId, 'reject'), {
+            method: 'POST',
+            body: JSON.stringify({ reviewer: 'web-app', comment: comment || undefined }),
+            retries: 0,
+        });
+    }
+
+    // ─── Schedules ──────────────────────────────────────────────
+    async listSchedules(options = {}) {
+        return this._fetch(EP.schedules, options);
+    }
+
+    async getSchedule(scheduleId, options = {}) {
+        return this._fetch(EP.schedule(scheduleId), options);
+    }
+
+    async createSchedule(schedule) {
+        return this._fetch(EP.schedules, {
+            method: 'POST',
+            body: JSON.stringify({ ...schedule, createdBy: 'web-app' }),
+            retries: 0,
+        });
+    }
+
+    async updateSchedule(scheduleId, changes) {
+        return this._fetch(EP.schedule(scheduleId), {
+            method: 'PATCH',
+            body: JSON.stringify(changes),
+            retries: 0,
+        });
+    }
+
+    async deleteSchedule(scheduleId) {
+        return this._fetch(EP.schedule(scheduleId), { method: 'DELETE', retries: 0 });
+    }
+
+    async runSchedule(scheduleId) {
+        return this._fetch(EP.scheduleRun(scheduleId), {
+            method: 'POST',
+            timeout: TIMEOUTS.PIPELINE_START,
+            retries: 0,
+        });
+    }
+
+    async previewSchedule(cron, timezone = 'local', count = 5) {
+        const qs = new URLSearchParams({ cron, timezone, count: String(count) }).toString();
+        return this._fetch(`${EP.schedulePreview}?${qs}`, { retries: 0 });
+    }
+
+    // ─── Webhooks ───────────────────────────────────────────────
+    async listWebhookDeliveries(filters = {}, options = {}) {
+        const qs = new URLSearchParams(filters).toString();
+        return this._fetch(`${EP.webhookDeliveries}${qs ? '?' + qs : ''}`, options);
+    }
+
+    async getWebhookDelivery(deliveryId, options = {}) {
+        return this._fetch(EP.webhookDelivery(deliveryId), options);
+    }
+
     // ─── Chat ───────────────────────────────────────────────────
     async createChatSession(model, agentMode = null) {
         return this._fetch(EP.chatSessions, {
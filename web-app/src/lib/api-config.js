@@ -17,13 +17,49 @@ export const API_CONFIG = {
         pipelineBatch: '/api/pipeline/batch',
         pipelineCancel: (runId) => `/api/pipeline/cancel/${runId}`,
         pipelineForceCancel: (runId) => `/api/pipeline/force-cancel/${runId}`,
+        pipelineResume: (runId) => `/api/pipeline/resume/${runId}`,
         pipelineRuns: '/api/pipeline/runs',
+        pipelineCompare: '/api/pipeline/compare',
+        pipelineQueue: '/api/pipeline/queue',
+        pipelineModes: '/api/pipeline/modes',
         pipelineStatus: (runId) => `/api/pipeline/status/${runId}`,
         pipelineEvidenceSummary: (runId) => `/api/pipeline/evidence-summary/${runId}`,
         pipelineArtifact: '/api/pipeline/artifact',
         pipelineStream: (runId) => `/api/pipeline/stream/${runId}`,
         pipelineStreamGlobal: '/api/pipeline/stream',
 
+        // Schedules (cron-triggered runs)
+        schedules: '/api/schedules',
+        schedulePreview: '/api/schedules/preview',
+        schedule: (id) => `/api/schedules/${id}`,
+        scheduleRun: (id) => `/api/schedules/${id}/run`,
+
+        // Visual baselines (review of visual checkpoint changes)
+        visualBaselines: '/api/visual/baselines',
+        visualBaseline: (id) => `/api/visual/baselines/${id}`,
+        visualVersionImage: (id, version) => `/api/visual/baselines/${id}/versions/${version}/image`,
+        visualCandidateImage: (id, candidateId, kind) => `/api/visual/baselines/${id}/candidates/${candidateId}/${kind}`,
+        visualCandidateReview: (id, candidateId, action) => `/api/visual/baselines/${id}/candidates/${candidateId}/${action}`,
+        visualVersionRestore: (id, version) => `/api/visual/baselines/${id}/versions/${version}/restore`,
+
+        // Flaky tests (per-test history and quarantine)
+        flakyTests: '/api/flaky-tests',
+        flakyQuarantine: '/api/flaky-tests/quarantine',
+        flakyRelease: '/api/flaky-tests/release',
+
+        // Healing patches (review of self-healing fixes)
+        healingPatches: '/api/healing-patches',
+        healingPatch: (runId, patchId) => `/api/healing-patches/${encodeURIComponent(runId)}/${encodeURIComponent(patchId)}`,
+        healingPatchReview: (runId, patchId, action) => `/api/healing-patches/${encodeURIComponent(runId)}/${encodeURIComponent(patchId)}/${action}`,
+
+        // Traceability (criteria → test cases → tests → results)
+        traceability: (ticketId) => `/api/traceability/${encodeURIComponent(ticketId)}`,
+        traceabilityExport: (ticketId) => `/api/traceability/${encodeURIComponent(ticketId)}/export`,
+
+        // Webhooks
+        webhookDeliveries: '/api/webhooks/deliveries',
+        webhookDelivery: (id) => `/api/webhooks/deliveries/${encodeURIComponent(id)}`,
+
         // Chat
         chatSessions: '/api/chat/sessions',
         chatSession: (id) => `/api/chat/sessions/${id}`,
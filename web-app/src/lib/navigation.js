@@ -7,8 +7,14 @@ import {
     HomeIcon,
     DashboardIcon,
     ChatBubbleIcon,
+    CalendarIcon,
     ClockIcon,
+    ClipboardListIcon,
     DocumentIcon,
+    ImageIcon,
+    LightningIcon,
+    WarningTriangleIcon,
+    WrenchIcon,
 } from '@/components/Icons';
 
 /** Primary navigation items shown in sidebar and mobile menu */
@@ -17,7 +23,13 @@ export const NAV_ITEMS = [
     { label: 'Dashboard', to: '/dashboard', Icon: DashboardIcon },
     { label: 'AI Chat', to: '/chat', Icon: ChatBubbleIcon },
     { label: 'History', to: '/history', Icon: ClockIcon },
+    { label: 'Schedules', to: '/schedules', Icon: CalendarIcon },
     { label: 'Reports', to: '/reports', Icon: DocumentIcon },
+    { label: 'Visual Review', to: '/visual', Icon: ImageIcon },
+    { label: 'Flaky Tests', to: '/flaky', Icon: WarningTriangleIcon },
+    { label: 'Healing Review', to: '/healing', Icon: WrenchIcon },
+    { label: 'Traceability', to: '/traceability', Icon: ClipboardListIcon },
+    { label: 'Webhooks', to: '/webhooks', Icon: LightningIcon },
 ];
 
 /** Footer navigation links */
@@ -28,9 +40,15 @@ export const PAGE_TITLES = {
     '/': { title: 'Home', subtitle: 'Platform overview' },
     '/dashboard': { title: 'Dashboard', subtitle: 'Operations and workflow status' },
     '/chat': { title: 'AI Chat', subtitle: 'Conversation workspace' },
-    '/history': { title: 'Chat History', subtitle: 'Session archive' },
+    '/history': { title: 'History', subtitle: 'Session archive and run comparisons' },
+    '/schedules': { title: 'Schedules', subtitle: 'Recurring pipeline runs and their last results' },
     '/reports': { title: 'Test Reports', subtitle: 'Reporting and quality insights' },
     '/results': { title: 'Test Results', subtitle: 'Detailed run output' },
+    '/visual': { title: 'Visual Review', subtitle: 'Baselines and visual changes awaiting approval' },
+    '/flaky': { title: 'Flaky Tests', subtitle: 'Flakiness scores and quarantined tests' },
+    '/healing': { title: 'Healing Review', subtitle: 'Self-healing patches awaiting review' },
+    '/traceability': { title: 'Traceability', subtitle: 'Acceptance criteria coverage from test cases to results' },
+    '/webhooks': { title: 'Webhook Deliveries', subtitle: 'Tracker and Git webhook outcomes' },
 };
 
 /**
@@ -245,12 +245,15 @@ const TOOL_DISPLAY_MAP = {
     'attach_session_evidence_to_jira': { label: 'Attach Evidence to Jira', category: 'jira' },
     'attach_session_images_to_jira': { label: 'Attach Images to Jira', category: 'jira' },
     'attach_video_frames_to_jira': { label: 'Attach Video Evidence to Jira', category: 'jira' },
+    'attach_accessibility_report_to_jira': { label: 'Attach Accessibility Report to Jira', category: 'jira' },
     'delete_jira_ticket': { label: 'Delete Jira Ticket', category: 'jira', effect: 'delete', impactLevel: 'destructive', requiresConfirmation: true },
     'transition_jira_ticket': { label: 'Transition Jira Ticket', category: 'jira', effect: 'write', impactLevel: 'high', requiresConfirmation: true },
     'log_jira_work': { label: 'Log Jira Work (Time Tracking)', category: 'jira', effect: 'write', impactLevel: 'medium', requiresConfirmation: false },
     'update_jira_estimates': { label: 'Update Jira Estimates (Original/Remaining)', category: 'jira', effect: 'write', impactLevel: 'medium', requiresConfirmation: false },
     'update_jira_ticket': { label: 'Update Jira Ticket', category: 'jira', effect: 'write', impactLevel: 'high', requiresConfirmation: true },
     'generate_test_case_excel': { label: 'Generate Test Case Excel', category: 'excel' },
+    'import_test_case_excel': { label: 'Import Edited Test Case Excel', category: 'excel', effect: 'write', impactLevel: 'low' },
+    'sync_test_cases': { label: 'Sync Test Cases to Test Management', category: 'excel', effect: 'write', impactLevel: 'medium', requiresConfirmation: true },
     'find_test_files': { label: 'Find Test Files', category: 'framework' },
     'execute_test': { label: 'Execute Test Suite', category: 'execution' },
     'write_shared_context': { label: 'Write Shared Context', category: 'context' },
@@ -261,6 +264,8 @@ const TOOL_DISPLAY_MAP = {
     'get_feature_map': { label: 'Get Feature Map', category: 'grounding' },
     'get_selector_recommendations': { label: 'Get Selector Recommendations', category: 'grounding' },
     'check_existing_coverage': { label: 'Check Existing Coverage', category: 'grounding' },
+    'find_step_bindings': { label: 'Find Step Bindings', category: 'grounding' },
+    'generate_step_definitions': { label: 'Generate Step Definitions', category: 'framework', effect: 'write', impactLevel: 'low' },
     'get_snapshot_quality': { label: 'Get Snapshot Quality', category: 'validation' },
     'search_knowledge_base': { label: 'Search Knowledge Base', category: 'kb' },
     'get_knowledge_base_page': { label: 'Get KB Page', category: 'kb' },